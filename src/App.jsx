@@ -10,6 +10,8 @@ import UserProfile from "./pages/UserProfile";
 import PredictiveAnalytics from "./pages/PredictiveAnalytics";
 import SinglePlantAnalytics from "./pages/SinglePlantAnalytics";
 import DataEntry from "./pages/DataEntry";
+import ModelTraining from "./pages/ModelTraining";
+import FarmMap from "./pages/FarmMap";
 import DSSRecommendations from "./pages/DSSRecommendations";
 import FarmerRecommendations from "./pages/FarmerRecommendations";
 import { AuthProvider } from "./lib/AuthProvider"; // Keep AuthProvider
@@ -24,6 +26,19 @@ import { ThemeProvider } from './lib/ThemeContext';
 import './styles/landing.css';
 import PlantStatus from "./pages/PlantStatus";
 import FarmerProfile from "./pages/FarmerProfile";
+import FarmLedger from "./pages/FarmLedger";
+import FertilizationPlanner from "./pages/FertilizationPlanner";
+import ProcessingBatches from "./pages/ProcessingBatches";
+import CoffeeLots from "./pages/CoffeeLots";
+import PublicLot from "./pages/PublicLot";
+import PriceTable from "./pages/PriceTable";
+import AlertRules from "./pages/AlertRules";
+import DssRules from "./pages/DssRules";
+import GradingStandards from "./pages/GradingStandards";
+import CuppingSessions from "./pages/CuppingSessions";
+import Notifications from "./pages/Notifications";
+import ActivityLog from "./pages/ActivityLog";
+import Onboarding from "./pages/Onboarding";
 
 function App() {
   return (
@@ -37,6 +52,7 @@ function App() {
             <Route path="/forgot-password" element={<ForgotPassword />} />
             <Route path="/reset-password" element={<ResetPassword />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/lot/:code" element={<PublicLot />} />
 
             {/* Dashboard route - now handles its own role-based redirection */}
             <Route
@@ -54,6 +70,16 @@ function App() {
               }
             />
 
+            {/* Setup wizard farmers are sent to after login until their farm is declared */}
+            <Route
+              path="/onboarding"
+              element={
+                <ProtectedRoute requiredRoles={['farmer']}>
+                  <Onboarding />
+                </ProtectedRoute>
+              }
+            />
+
             {/* Other Protected Routes (still use ProtectedRoute for strict access) */}
             <Route
               path="/user-management"
@@ -81,6 +107,14 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/farm-map"
+              element={
+                <ProtectedRoute requiredRoles={['admin']}>
+                  <FarmMap />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/user-profile"
               element={
@@ -105,6 +139,14 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/model-training"
+              element={
+                <ProtectedRoute requiredRoles={['admin']}>
+                  <ModelTraining />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/dss-recommendations"
               element={
@@ -129,6 +171,38 @@ function App() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/farm-ledger"
+              element={
+                <ProtectedRoute requiredRoles={['farmer']}>
+                  <FarmLedger />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/fertilization"
+              element={
+                <ProtectedRoute requiredRoles={['farmer']}>
+                  <FertilizationPlanner />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/processing"
+              element={
+                <ProtectedRoute requiredRoles={['farmer']}>
+                  <ProcessingBatches />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/lots"
+              element={
+                <ProtectedRoute requiredRoles={['farmer']}>
+                  <CoffeeLots />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/land-declaration"
               element={
@@ -172,6 +246,69 @@ function App() {
               }
             />
 
+            <Route
+              path="/price-table"
+              element={
+                <ProtectedRoute requiredRoles={['admin']}>
+                  <PriceTable />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/alert-rules"
+              element={
+                <ProtectedRoute requiredRoles={['admin']}>
+                  <AlertRules />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/dss-rules"
+              element={
+                <ProtectedRoute requiredRoles={['admin']}>
+                  <DssRules />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/grading-standards"
+              element={
+                <ProtectedRoute requiredRoles={['admin']}>
+                  <GradingStandards />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/cupping"
+              element={
+                <ProtectedRoute requiredRoles={['admin']}>
+                  <CuppingSessions />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/notifications"
+              element={
+                <ProtectedRoute requiredRoles={['farmer', 'admin']}>
+                  <Notifications />
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/activity-log"
+              element={
+                <ProtectedRoute requiredRoles={['admin']}>
+                  <ActivityLog />
+                </ProtectedRoute>
+              }
+            />
+
             {/* Redirect unknown routes to landing page */}
             <Route path="*" element={<Navigate to="/" replace />} />
           </Routes>
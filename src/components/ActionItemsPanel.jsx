@@ -0,0 +1,141 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { useTheme } from '../lib/ThemeContext';
+import ActionOutcome from './ActionOutcome';
+import {
+  ACTION_STATUSES,
+  FARMER_STATUSES,
+  fetchActionItems,
+  updateActionItem
+} from '../lib/recommendationActions';
+
+const PRIORITY_STYLES = {
+  critical: { dark: 'bg-red-900 text-red-200', light: 'bg-red-100 text-red-800', border: 'border-red-500' },
+  high: { dark: 'bg-orange-900 text-orange-200', light: 'bg-orange-100 text-orange-800', border: 'border-orange-500' },
+  medium: { dark: 'bg-yellow-900 text-yellow-200', light: 'bg-yellow-100 text-yellow-800', border: 'border-yellow-500' },
+  low: { dark: 'bg-green-900 text-green-200', light: 'bg-green-100 text-green-800', border: 'border-green-500' }
+};
+
+// Action items an admin assigned to the farmer; the farmer sets the status and adds notes
+const ActionItemsPanel = ({ farmerId }) => {
+  const { isDarkMode } = useTheme();
+  const [items, setItems] = useState(null);
+  const [error, setError] = useState(null);
+  const [notes, setNotes] = useState({});
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    if (!farmerId) return;
+    fetchActionItems({ farmerId })
+      .then(rows => setItems(rows.filter(item => item.status !== 'dismissed')))
+      .catch(err => setError(err.message));
+  }, [farmerId]);
+
+  const save = async (item, changes, successMessage) => {
+    setBusyId(item.action_id);
+    try {
+      const saved = await updateActionItem(item.action_id, changes);
+      setItems(prev => prev.map(i => (i.action_id === item.action_id ? { ...i, ...saved } : i)));
+      if ('farmer_notes' in changes) {
+        setNotes(prev => {
+          const { [item.action_id]: _, ...rest } = prev;
+          return rest;
+        });
+      }
+      toast.success(successMessage);
+    } catch (err) {
+      console.error('Error updating action item:', err);
+      toast.error(`Error updating action item: ${err.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (!items?.length && !error) return null;
+
+  const today = new Date().toISOString().split('T')[0];
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+  const inputClass = `w-full px-3 py-2 text-sm rounded-lg border ${
+    isDarkMode ? 'bg-gray-800 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+  }`;
+
+  return (
+    <div className={`${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6 mb-8`}>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className={`text-2xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+          Action Items
+        </h3>
+        {items && (
+          <span className={`text-sm ${mutedClass}`}>
+            {items.filter(item => item.status === 'done').length} of {items.length} done
+          </span>
+        )}
+      </div>
+
+      {error ? (
+        <p className="text-sm text-red-500">Could not load your action items: {error}</p>
+      ) : (
+        <ul className="space-y-4">
+          {items.map(item => {
+            const style = PRIORITY_STYLES[item.priority];
+            const open = item.status !== 'done';
+            const overdue = open && item.due_date && item.due_date < today;
+            const draft = notes[item.action_id] ?? item.farmer_notes ?? '';
+            return (
+              <li
+                key={item.action_id}
+                className={`p-4 rounded-lg border-l-4 ${style.border} ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'} ${open ? '' : 'opacity-75'}`}
+              >
+                <div className="flex items-center justify-between mb-2">
+                  <h4 className={`font-medium ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>{item.action}</h4>
+                  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full capitalize ${isDarkMode ? style.dark : style.light}`}>
+                    {item.priority}
+                  </span>
+                </div>
+                <p className={`text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>{item.issue}</p>
+                {item.impact && <p className={`text-sm mt-1 ${mutedClass}`}>Expected impact: {item.impact}</p>}
+                {item.admin_notes && (
+                  <p className={`text-sm mt-2 italic ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>Note from your adviser: {item.admin_notes}</p>
+                )}
+                <p className={`text-sm mt-2 ${overdue ? 'text-red-500 font-medium' : mutedClass}`}>
+                  {item.due_date ? `Due ${item.due_date}${overdue ? ' (overdue)' : ''}` : 'No due date'}
+                  {item.completed_at && ` · Done ${new Date(item.completed_at).toLocaleDateString()}`}
+                </p>
+                <ActionOutcome item={item} className="mt-1" />
+
+                <div className="mt-3 grid grid-cols-1 md:grid-cols-4 gap-2 items-start">
+                  <select
+                    value={item.status}
+                    onChange={(e) => save(item, { status: e.target.value }, `Marked as ${ACTION_STATUSES[e.target.value].label.toLowerCase()}.`)}
+                    disabled={busyId === item.action_id}
+                    className={inputClass}
+                  >
+                    {FARMER_STATUSES.map(status => (
+                      <option key={status} value={status}>{ACTION_STATUSES[status].label}</option>
+                    ))}
+                  </select>
+                  <textarea
+                    value={draft}
+                    onChange={(e) => setNotes(prev => ({ ...prev, [item.action_id]: e.target.value }))}
+                    placeholder="Your notes on this item"
+                    rows={2}
+                    className={`${inputClass} md:col-span-2`}
+                  />
+                  <button
+                    onClick={() => save(item, { farmer_notes: draft.trim() || null }, 'Notes saved.')}
+                    disabled={busyId === item.action_id || notes[item.action_id] === undefined}
+                    className="px-3 py-2 text-sm rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+                  >
+                    Save Notes
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ActionItemsPanel;
@@ -0,0 +1,19 @@
+import React from 'react';
+import { OUTCOMES, describeOutcome } from '../lib/recommendationActions';
+
+const OUTCOME_STYLES = {
+  improved: 'text-green-500',
+  no_change: 'text-yellow-500',
+  worse: 'text-red-500',
+  awaiting_data: 'text-gray-400',
+  not_measured: 'text-gray-400'
+};
+
+// Whether an action item's metric improved, with the values it was judged on
+const ActionOutcome = ({ item, className = '' }) => (
+  <p className={`text-sm ${OUTCOME_STYLES[item.outcome.outcome]} ${className}`}>
+    <span className="font-medium">{OUTCOMES[item.outcome.outcome].label}.</span> {describeOutcome(item)}
+  </p>
+);
+
+export default ActionOutcome;
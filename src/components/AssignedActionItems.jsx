@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { useTheme } from '../lib/ThemeContext';
+import ActionOutcome from './ActionOutcome';
+import { ACTION_STATUSES, deleteActionItem, updateActionItem } from '../lib/recommendationActions';
+
+const STATUS_STYLES = {
+  assigned: { dark: 'bg-blue-900 text-blue-200', light: 'bg-blue-100 text-blue-800' },
+  in_progress: { dark: 'bg-yellow-900 text-yellow-200', light: 'bg-yellow-100 text-yellow-800' },
+  done: { dark: 'bg-green-900 text-green-200', light: 'bg-green-100 text-green-800' },
+  dismissed: { dark: 'bg-gray-700 text-gray-300', light: 'bg-gray-100 text-gray-600' }
+};
+
+// One farmer's action items as an admin follows them up: status, the farmer's
+// notes, the measured outcome, and due date, dismiss and delete controls
+const AssignedActionItems = ({ items, onChanged }) => {
+  const { isDarkMode } = useTheme();
+  const [busyId, setBusyId] = useState(null);
+
+  const run = async (item, action, successMessage) => {
+    setBusyId(item.action_id);
+    try {
+      await action();
+      toast.success(successMessage);
+      onChanged();
+    } catch (err) {
+      console.error('Error updating action item:', err);
+      toast.error(`Error updating action item: ${err.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = (item) => {
+    if (!window.confirm(`Delete the action item "${item.action}"? The farmer will no longer see it.`)) return;
+    run(item, () => deleteActionItem(item.action_id), 'Action item deleted.');
+  };
+
+  const today = new Date().toISOString().split('T')[0];
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+  const linkButtonClass = `text-sm disabled:opacity-50 ${isDarkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'}`;
+
+  if (items.length === 0) {
+    return <p className={`text-sm ${mutedClass}`}>No action items assigned yet. Use Assign on a recommendation to create one.</p>;
+  }
+
+  return (
+    <ul className="space-y-3">
+      {items.map(item => {
+        const style = STATUS_STYLES[item.status];
+        const open = item.status === 'assigned' || item.status === 'in_progress';
+        const overdue = open && item.due_date && item.due_date < today;
+        return (
+          <li key={item.action_id} className={`p-4 rounded-md ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+            <div className="flex items-center justify-between mb-1">
+              <span className={`font-medium ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>{item.action}</span>
+              <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${isDarkMode ? style.dark : style.light}`}>
+                {ACTION_STATUSES[item.status].label}
+              </span>
+            </div>
+            <p className={`text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>{item.issue}</p>
+            <p className={`text-xs mt-1 ${mutedClass}`}>
+              {item.category} · assigned {item.assigned_on}
+              {item.completed_at && ` · done ${new Date(item.completed_at).toLocaleDateString()}`}
+            </p>
+            {item.admin_notes && <p className={`text-sm mt-2 italic ${mutedClass}`}>Your note: {item.admin_notes}</p>}
+            {item.farmer_notes && (
+              <p className={`text-sm mt-1 ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>Farmer's note: {item.farmer_notes}</p>
+            )}
+            <ActionOutcome item={item} className="mt-2" />
+
+            <div className="flex flex-wrap items-center gap-4 mt-3">
+              <label className={`flex items-center space-x-2 text-sm ${overdue ? 'text-red-500 font-medium' : mutedClass}`}>
+                <span>{overdue ? 'Overdue since' : 'Due'}</span>
+                <input
+                  type="date"
+                  value={item.due_date || ''}
+                  min={item.assigned_on}
+                  disabled={busyId === item.action_id || !open}
+                  onChange={(e) => run(item, () => updateActionItem(item.action_id, { due_date: e.target.value || null }), 'Due date updated.')}
+                  className={`px-2 py-1 rounded border text-sm ${
+                    isDarkMode ? 'bg-gray-800 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+                  }`}
+                />
+              </label>
+              {item.status === 'dismissed' ? (
+                <button
+                  onClick={() => run(item, () => updateActionItem(item.action_id, { status: 'assigned' }), 'Action item reopened.')}
+                  disabled={busyId === item.action_id}
+                  className={linkButtonClass}
+                >
+                  Reopen
+                </button>
+              ) : open && (
+                <button
+                  onClick={() => run(item, () => updateActionItem(item.action_id, { status: 'dismissed' }), 'Action item dismissed.')}
+                  disabled={busyId === item.action_id}
+                  className={linkButtonClass}
+                >
+                  Dismiss
+                </button>
+              )}
+              <button
+                onClick={() => handleDelete(item)}
+                disabled={busyId === item.action_id}
+                className="text-sm text-red-500 hover:text-red-600 disabled:opacity-50"
+              >
+                Delete
+              </button>
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default AssignedActionItems;
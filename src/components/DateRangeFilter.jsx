@@ -0,0 +1,40 @@
+import React from 'react';
+
+// From/to date inputs shared by the report filters, exports and activity log
+const DateRangeFilter = ({
+  from, to, onChange, isDarkMode, fromLabel = 'Harvested From', toLabel = 'Harvested To'
+}) => {
+  const inputClass = `mt-1 block w-full rounded-lg border-2 px-4 py-2.5 shadow-sm
+    focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition-colors duration-200
+    ${isDarkMode
+      ? 'bg-gray-700 border-gray-600 text-white focus:border-blue-500'
+      : 'bg-white border-gray-300 text-gray-900 focus:border-blue-500'}`;
+  const labelClass = `block text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`;
+
+  return (
+    <>
+      <div>
+        <label className={labelClass}>{fromLabel}</label>
+        <input
+          type="date"
+          value={from}
+          max={to || undefined}
+          onChange={(e) => onChange({ from: e.target.value, to })}
+          className={inputClass}
+        />
+      </div>
+      <div>
+        <label className={labelClass}>{toLabel}</label>
+        <input
+          type="date"
+          value={to}
+          min={from || undefined}
+          onChange={(e) => onChange({ from, to: e.target.value })}
+          className={inputClass}
+        />
+      </div>
+    </>
+  );
+};
+
+export default DateRangeFilter;
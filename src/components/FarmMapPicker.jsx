@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import MapView from './MapView';
+
+const hasPosition = (latitude, longitude) => latitude !== null && latitude !== undefined
+  && longitude !== null && longitude !== undefined && latitude !== '' && longitude !== '';
+
+/**
+ * Map for placing a farm pin or tracing its boundary
+ * @param {Object} props
+ * @param {number} [props.latitude] - Farm pin
+ * @param {number} [props.longitude]
+ * @param {Array<[number, number]>} [props.boundary] - [latitude, longitude] vertices
+ * @param {'pin'|'boundary'|'view'} [props.mode] - What a click on the map does
+ * @param {Function} [props.onPinChange] - (latitude, longitude)
+ * @param {Function} [props.onBoundaryChange] - (points)
+ * @param {number} [props.height] - Pixels
+ */
+const FarmMapPicker = ({
+  latitude,
+  longitude,
+  boundary = [],
+  mode = 'pin',
+  onPinChange,
+  onBoundaryChange,
+  height = 320
+}) => {
+  const pin = hasPosition(latitude, longitude) ? [Number(latitude), Number(longitude)] : null;
+  // Frame the farm as it was when the map opened; later changes only pan to the pin
+  const [fitPoints] = useState(() => (boundary.length > 0 ? boundary : pin ? [pin] : []));
+
+  const handleMapClick = (lat, lon) => {
+    if (mode === 'boundary') {
+      onBoundaryChange?.([...boundary, [lat, lon]]);
+    } else if (mode === 'pin') {
+      onPinChange?.(lat, lon);
+    }
+  };
+
+  return (
+    <MapView
+      fitPoints={fitPoints}
+      followPoint={pin}
+      onMapClick={mode === 'view' ? undefined : handleMapClick}
+      height={height}
+      cursor={mode === 'view' ? 'cursor-grab' : 'cursor-crosshair'}
+    >
+      {({ toScreen, width, height: mapHeight }) => {
+        const outline = boundary.map(([lat, lon]) => toScreen(lat, lon));
+        const marker = pin ? toScreen(pin[0], pin[1]) : null;
+        return (
+          <svg className="absolute inset-0 pointer-events-none" width={width} height={mapHeight}>
+            {outline.length > 1 && (
+              <polygon
+                points={outline.map(point => `${point.x},${point.y}`).join(' ')}
+                fill="rgba(22, 163, 74, 0.25)"
+                stroke="#16a34a"
+                strokeWidth="2"
+              />
+            )}
+            {outline.map((point, i) => (
+              <circle key={i} cx={point.x} cy={point.y} r="4" fill="#ffffff" stroke="#16a34a" strokeWidth="2" />
+            ))}
+            {marker && (
+              <g transform={`translate(${marker.x}, ${marker.y})`}>
+                <path d="M0 0 C-3 -8 -10 -12 -10 -20 A10 10 0 1 1 10 -20 C10 -12 3 -8 0 0 Z" fill="#dc2626" stroke="#ffffff" strokeWidth="1.5" />
+                <circle cy="-20" r="3.5" fill="#ffffff" />
+              </g>
+            )}
+          </svg>
+        );
+      }}
+    </MapView>
+  );
+};
+
+export default FarmMapPicker;
@@ -0,0 +1,101 @@
+import React from 'react';
+import SearchableDropdown from './SearchableDropdown';
+import DateRangeFilter from './DateRangeFilter';
+
+// Name, location, minimum yield/trees and harvest period filters shared by
+// FarmerReports and the farm map; values follow EMPTY_FARMER_FILTERS
+const FarmerFilters = ({ filters, onChange, names, locations, isDarkMode }) => {
+  const update = (patch) => onChange({ ...filters, ...patch });
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+      <SearchableDropdown
+        value={filters.name}
+        onChange={(name) => update({ name })}
+        options={names}
+        placeholder="Search by name..."
+        label="Farmer Name"
+        isDarkMode={isDarkMode}
+        icon={
+          <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+          </svg>
+        }
+      />
+
+      <SearchableDropdown
+        value={filters.location}
+        onChange={(location) => update({ location })}
+        options={locations}
+        placeholder="Search by location..."
+        label="Location"
+        isDarkMode={isDarkMode}
+        icon={
+          <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
+          </svg>
+        }
+      />
+
+      <div className="relative">
+        <label className={`block text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+          Minimum Yield (kg)
+        </label>
+        <div className="relative">
+          <input
+            type="number"
+            value={filters.minYield}
+            onChange={(e) => update({ minYield: e.target.value })}
+            placeholder="Min yield..."
+            className={`mt-1 block w-full rounded-lg border-2 px-4 py-2.5 
+              placeholder-gray-400 shadow-sm focus:ring-2 focus:ring-blue-500 
+              focus:ring-opacity-50 transition-colors duration-200
+              ${isDarkMode 
+                ? 'bg-gray-700 border-gray-600 text-white focus:border-blue-500' 
+                : 'bg-white border-gray-300 text-gray-900 focus:border-blue-500'}`}
+          />
+          <div className={`absolute inset-y-0 right-0 flex items-center pr-3 pointer-events-none ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M13 7h8m0 0v8m0-8l-8 8-4-4-6 6" />
+            </svg>
+          </div>
+        </div>
+      </div>
+
+      <div className="relative">
+        <label className={`block text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+          Minimum Trees
+        </label>
+        <div className="relative">
+          <input
+            type="number"
+            value={filters.minTrees}
+            onChange={(e) => update({ minTrees: e.target.value })}
+            placeholder="Min trees..."
+            className={`mt-1 block w-full rounded-lg border-2 px-4 py-2.5 
+              placeholder-gray-400 shadow-sm focus:ring-2 focus:ring-blue-500 
+              focus:ring-opacity-50 transition-colors duration-200
+              ${isDarkMode 
+                ? 'bg-gray-700 border-gray-600 text-white focus:border-blue-500' 
+                : 'bg-white border-gray-300 text-gray-900 focus:border-blue-500'}`}
+          />
+          <div className={`absolute inset-y-0 right-0 flex items-center pr-3 pointer-events-none ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+            <svg className="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 6l3 1m0 0l-3 9a5.002 5.002 0 006.001 0M6 7l3 9M6 7l6-2m6 2l3-1m-3 1l-3 9a5.002 5.002 0 006.001 0M18 7l3 9m-3-9l-6-2m0-2v2m0 16V5m0 16H9m3 0h3" />
+            </svg>
+          </div>
+        </div>
+      </div>
+
+      <DateRangeFilter
+        from={filters.from}
+        to={filters.to}
+        onChange={update}
+        isDarkMode={isDarkMode}
+      />
+    </div>
+  );
+};
+
+export default FarmerFilters;
@@ -0,0 +1,186 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useTheme } from '../lib/ThemeContext';
+import { TILE_SIZE, fitView, project, unproject } from '../lib/geo';
+
+// Point VITE_MAP_TILE_URL at a local tile server to use the maps without internet
+const TILE_URL = import.meta.env.VITE_MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_ATTRIBUTION = import.meta.env.VITE_MAP_TILE_ATTRIBUTION || '© OpenStreetMap contributors';
+const MIN_ZOOM = 2;
+const MAX_ZOOM = 19;
+const DRAG_THRESHOLD = 4;
+// Whole Philippines in view until there is something to show
+const DEFAULT_VIEW = { latitude: 12.3, longitude: 122.5, zoom: 6 };
+
+const tileSource = (zoom, x, y) => TILE_URL
+  .replace('{z}', zoom)
+  .replace('{x}', x)
+  .replace('{y}', y);
+
+/**
+ * Pannable, zoomable tile map. Overlays are drawn by the children render
+ * function, which gets the helpers it needs to place things on the map.
+ * Tiles need a tile server; overlays still work over a blank grid without one.
+ * @param {Object} props
+ * @param {Array<[number, number]>} [props.fitPoints] - [latitude, longitude] points framed
+ *   when the map first has something to show
+ * @param {[number, number]} [props.followPoint] - Brought into view whenever it changes
+ * @param {Function} [props.onMapClick] - (latitude, longitude) for a click that was not a drag
+ * @param {number} [props.height] - Pixels
+ * @param {string} [props.cursor] - Tailwind cursor class
+ * @param {Function} props.children - ({toScreen, zoom, zoomTo, width, height}) => overlay
+ */
+const MapView = ({
+  fitPoints = [],
+  followPoint = null,
+  onMapClick,
+  height = 320,
+  cursor = 'cursor-grab',
+  children
+}) => {
+  const { isDarkMode } = useTheme();
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const fitted = useRef(false);
+  const [width, setWidth] = useState(0);
+  const [view, setView] = useState(null);
+
+  useEffect(() => {
+    const element = containerRef.current;
+    if (!element) return undefined;
+    setWidth(element.clientWidth);
+    if (typeof ResizeObserver === 'undefined') return undefined;
+    const observer = new ResizeObserver(([entry]) => setWidth(entry.contentRect.width));
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    if (width === 0 || fitted.current) return;
+    if (fitPoints.length > 0) {
+      fitted.current = true;
+      setView(fitView(fitPoints, width, height));
+    } else {
+      setView(prev => prev || DEFAULT_VIEW);
+    }
+  }, [fitPoints, width, height]);
+
+  const followLatitude = followPoint?.[0];
+  const followLongitude = followPoint?.[1];
+  useEffect(() => {
+    if (followLatitude == null || followLongitude == null || width === 0) return;
+    fitted.current = true;
+    setView(prev => {
+      if (prev) {
+        const centre = project(prev.latitude, prev.longitude, prev.zoom);
+        const point = project(followLatitude, followLongitude, prev.zoom);
+        const inView = Math.abs(point.x - centre.x) < width / 2 && Math.abs(point.y - centre.y) < height / 2;
+        if (inView && prev.zoom >= 13) return prev;
+      }
+      return { latitude: followLatitude, longitude: followLongitude, zoom: Math.max(prev?.zoom || 0, 14) };
+    });
+  }, [followLatitude, followLongitude, width, height]);
+
+  const ready = view !== null && width > 0;
+  const centre = ready ? project(view.latitude, view.longitude, view.zoom) : { x: 0, y: 0 };
+  const origin = { x: centre.x - width / 2, y: centre.y - height / 2 };
+
+  const tiles = [];
+  if (ready) {
+    const tileCount = 2 ** view.zoom;
+    for (let ty = Math.floor(origin.y / TILE_SIZE); ty <= Math.floor((origin.y + height) / TILE_SIZE); ty++) {
+      if (ty < 0 || ty >= tileCount) continue;
+      for (let tx = Math.floor(origin.x / TILE_SIZE); tx <= Math.floor((origin.x + width) / TILE_SIZE); tx++) {
+        tiles.push({
+          key: `${view.zoom}/${tx}/${ty}`,
+          src: tileSource(view.zoom, ((tx % tileCount) + tileCount) % tileCount, ty),
+          left: tx * TILE_SIZE - origin.x,
+          top: ty * TILE_SIZE - origin.y
+        });
+      }
+    }
+  }
+
+  const toScreen = (latitude, longitude) => {
+    const point = project(latitude, longitude, view.zoom);
+    return { x: point.x - origin.x, y: point.y - origin.y };
+  };
+
+  const zoomTo = (latitude, longitude, zoom) => {
+    setView({ latitude, longitude, zoom: Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom)) });
+  };
+
+  const zoomBy = (delta) => {
+    setView(prev => prev && ({ ...prev, zoom: Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, prev.zoom + delta)) }));
+  };
+
+  const handlePointerDown = (e) => {
+    if (!ready) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { x: e.clientX, y: e.clientY, start: centre, moved: false };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const dx = e.clientX - drag.x;
+    const dy = e.clientY - drag.y;
+    if (!drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+    drag.moved = true;
+    setView(prev => ({ ...unproject(drag.start.x - dx, drag.start.y - dy, prev.zoom), zoom: prev.zoom }));
+  };
+
+  const handlePointerUp = (e) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || drag.moved || !onMapClick) return;
+
+    const bounds = e.currentTarget.getBoundingClientRect();
+    const point = unproject(origin.x + e.clientX - bounds.left, origin.y + e.clientY - bounds.top, view.zoom);
+    onMapClick(point.latitude, point.longitude);
+  };
+
+  const controlClass = `w-8 h-8 flex items-center justify-center text-lg font-bold rounded shadow ${
+    isDarkMode ? 'bg-gray-800 text-gray-200 hover:bg-gray-700' : 'bg-white text-gray-700 hover:bg-gray-100'
+  }`;
+
+  return (
+    <div
+      ref={containerRef}
+      className={`relative overflow-hidden rounded-lg border select-none touch-none ${cursor} ${
+        isDarkMode ? 'bg-gray-700 border-gray-600' : 'bg-gray-100 border-gray-300'
+      }`}
+      style={{ height }}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      onPointerCancel={() => { dragRef.current = null; }}
+    >
+      {tiles.map(tile => (
+        <img
+          key={tile.key}
+          src={tile.src}
+          alt=""
+          draggable={false}
+          className="absolute max-w-none pointer-events-none"
+          style={{ left: tile.left, top: tile.top, width: TILE_SIZE, height: TILE_SIZE }}
+        />
+      ))}
+
+      {ready && children({ toScreen, zoom: view.zoom, zoomTo, width, height })}
+
+      <div className="absolute top-2 right-2 flex flex-col space-y-1" onPointerDown={e => e.stopPropagation()}>
+        <button type="button" className={controlClass} onClick={() => zoomBy(1)} aria-label="Zoom in">+</button>
+        <button type="button" className={controlClass} onClick={() => zoomBy(-1)} aria-label="Zoom out">−</button>
+      </div>
+
+      <div
+        className="absolute bottom-0 right-0 px-1 text-[10px] bg-white bg-opacity-75 text-gray-700"
+        onPointerDown={e => e.stopPropagation()}
+      >
+        {TILE_ATTRIBUTION}
+      </div>
+    </div>
+  );
+};
+
+export default MapView;
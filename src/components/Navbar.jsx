@@ -2,6 +2,8 @@ import React from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../lib/AuthProvider';
 import { useTheme } from '../lib/ThemeContext';
+import SyncStatus from './SyncStatus';
+import NotificationBell from './NotificationBell';
 import '../styles/Styles.css';
 
 const Navbar = () => {
@@ -14,8 +16,16 @@ const Navbar = () => {
     { name: "Dashboard", path: "/dashboard" },
     { name: "Farmer Management", path: "/user-management" },
     { name: "Analytics", path: "/admin-analytics" },
+    { name: "Model Training", path: "/model-training" },
     { name: "DSS Insights", path: "/farmer-recommendations" },
+    { name: "DSS Rules", path: "/dss-rules" },
+    { name: "Grading Standards", path: "/grading-standards" },
+    { name: "Cupping", path: "/cupping" },
     { name: "Farmer Report", path: "/farmer-reports" },
+    { name: "Farm Map", path: "/farm-map" },
+    { name: "Coffee Prices", path: "/price-table" },
+    { name: "Alert Rules", path: "/alert-rules" },
+    { name: "Activity Log", path: "/activity-log" },
   ];
 
   const farmerLinks = [
@@ -25,6 +35,11 @@ const Navbar = () => {
     { name: "DSS Recommendations", path: "/dss-recommendations" },
     { name: "Land & Plant Declaration", path: "/land-declaration" },
     { name: "Harvest Reporting", path: "/harvest-reporting" },
+    { name: "Coffee Grader", path: "/coffee-grader" },
+    { name: "Processing", path: "/processing" },
+    { name: "Lots", path: "/lots" },
+    { name: "Farm Ledger", path: "/farm-ledger" },
+    { name: "Fertilization", path: "/fertilization" },
   ];
 
   const navLinks = user?.role === 'admin' ? adminLinks : farmerLinks;
@@ -49,20 +64,23 @@ const Navbar = () => {
               {user?.role === 'admin' ? 'Admin Panel' : 'Farmer Panel'}
             </h1>
           </div>
-          <button
-            onClick={toggleTheme}
-            className={`p-2 rounded-md ${isDarkMode ? 'text-yellow-400 hover:bg-gray-700' : 'text-gray-500 hover:bg-gray-100'}`}
-          >
-            {isDarkMode ? (
-              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 3v1m0 16v1m9-9h-1M4 12H3m15.364 6.364l-.707-.707M6.343 6.343l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707M16 12a4 4 0 11-8 0 4 4 0 018 0z" />
-              </svg>
-            ) : (
-              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20.354 15.354A9 9 0 018.646 3.646 9.003 9.003 0 0012 21a9.003 9.003 0 008.354-5.646z" />
-              </svg>
-            )}
-          </button>
+          <div className="flex items-center">
+            <NotificationBell userId={user?.id} />
+            <button
+              onClick={toggleTheme}
+              className={`p-2 rounded-md ${isDarkMode ? 'text-yellow-400 hover:bg-gray-700' : 'text-gray-500 hover:bg-gray-100'}`}
+            >
+              {isDarkMode ? (
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 3v1m0 16v1m9-9h-1M4 12H3m15.364 6.364l-.707-.707M6.343 6.343l-.707-.707m12.728 0l-.707.707M6.343 17.657l-.707.707M16 12a4 4 0 11-8 0 4 4 0 018 0z" />
+                </svg>
+              ) : (
+                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20.354 15.354A9 9 0 018.646 3.646 9.003 9.003 0 0012 21a9.003 9.003 0 008.354-5.646z" />
+                </svg>
+              )}
+            </button>
+          </div>
         </div>
       </div>
       <nav className="p-4">
@@ -87,6 +105,7 @@ const Navbar = () => {
           ))}
         </ul>
       </nav>
+      <SyncStatus />
       <div className={`sticky bottom-0 w-full p-4 border-t ${isDarkMode ? 'border-gray-700 bg-gray-800' : 'border-gray-200 bg-white'}`}>
         <button
           onClick={handleLogout}
@@ -0,0 +1,117 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useTheme } from '../lib/ThemeContext';
+import { fetchNotifications, markAllNotificationsRead, markNotificationsRead } from '../lib/notifications';
+import { useNotifications } from '../lib/notifications/useNotifications';
+
+const PREVIEW_COUNT = 8;
+
+// Bell with the unread count for the sidebar header; opens the latest notifications
+const NotificationBell = ({ userId }) => {
+  const navigate = useNavigate();
+  const { isDarkMode } = useTheme();
+  const { unreadCount } = useNotifications(userId);
+  const [open, setOpen] = useState(false);
+  const [items, setItems] = useState(null);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!open) return;
+    fetchNotifications(userId, { limit: PREVIEW_COUNT })
+      .then(setItems)
+      .catch(error => {
+        console.error('Error fetching notifications:', error);
+        setItems([]);
+      });
+
+    const closeOnOutsideClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', closeOnOutsideClick);
+    return () => document.removeEventListener('mousedown', closeOnOutsideClick);
+  }, [open, userId, unreadCount]);
+
+  const handleOpenItem = async (item) => {
+    setOpen(false);
+    if (!item.read_at) {
+      markNotificationsRead([item.notification_id]).catch(error => console.error('Error marking notification read:', error));
+    }
+    if (item.link) navigate(item.link);
+  };
+
+  const handleMarkAll = () => {
+    markAllNotificationsRead(userId).catch(error => console.error('Error marking notifications read:', error));
+  };
+
+  if (!userId) return null;
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className={`relative p-2 rounded-md ${isDarkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-500 hover:bg-gray-100'}`}
+        aria-label={unreadCount > 0 ? `${unreadCount} unread notifications` : 'Notifications'}
+      >
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 flex items-center justify-center rounded-full bg-red-600 text-white text-xs font-semibold">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className={`absolute left-0 top-full mt-2 w-80 z-50 rounded-lg shadow-xl border ${
+          isDarkMode ? 'bg-gray-800 border-gray-700' : 'bg-white border-gray-200'
+        }`}>
+          <div className={`flex items-center justify-between px-4 py-3 border-b ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+            <span className={`font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Notifications</span>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAll}
+                className={`text-xs ${isDarkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'}`}
+              >
+                Mark all read
+              </button>
+            )}
+          </div>
+          <ul className={`max-h-96 overflow-y-auto divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-100'}`}>
+            {items === null ? (
+              <li className={`px-4 py-3 text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>Loading...</li>
+            ) : items.length === 0 ? (
+              <li className={`px-4 py-3 text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>No notifications yet.</li>
+            ) : items.map(item => (
+              <li key={item.notification_id}>
+                <button
+                  onClick={() => handleOpenItem(item)}
+                  className={`w-full text-left px-4 py-3 ${isDarkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-50'}`}
+                >
+                  <div className="flex items-start space-x-2">
+                    <span className={`mt-1.5 w-2 h-2 rounded-full flex-shrink-0 ${item.read_at ? 'bg-transparent' : 'bg-indigo-500'}`} />
+                    <div>
+                      <p className={`text-sm ${item.read_at ? '' : 'font-semibold'} ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>{item.title}</p>
+                      <p className={`text-xs mt-1 line-clamp-2 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>{item.body}</p>
+                      <p className={`text-xs mt-1 ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>{new Date(item.created_at).toLocaleString()}</p>
+                    </div>
+                  </div>
+                </button>
+              </li>
+            ))}
+          </ul>
+          <button
+            onClick={() => { setOpen(false); navigate('/notifications'); }}
+            className={`w-full px-4 py-2 text-sm font-medium border-t rounded-b-lg ${
+              isDarkMode ? 'border-gray-700 text-indigo-400 hover:bg-gray-700' : 'border-gray-200 text-indigo-600 hover:bg-gray-50'
+            }`}
+          >
+            See all and settings
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { Link, useLocation } from 'react-router-dom';
+import { useTheme } from '../lib/ThemeContext';
+import { useOnboarding } from '../lib/useOnboarding';
+
+// Shown on the setup pages while a farmer is onboarding: which step they are on,
+// and a link on to the next page once the step here is done
+const OnboardingBanner = ({ refreshKey }) => {
+  const { isDarkMode } = useTheme();
+  const location = useLocation();
+  const { onboarding, justCompleted } = useOnboarding(refreshKey);
+
+  if (justCompleted) {
+    return (
+      <div className={`mb-8 p-4 rounded-lg flex flex-wrap items-center justify-between gap-3 ${
+        isDarkMode ? 'bg-green-900 text-green-100' : 'bg-green-50 text-green-800'
+      }`}>
+        <p className="font-medium">Your farm is set up. You can now record harvests and see your analytics.</p>
+        <Link to="/farmer-dashboard" className="px-4 py-2 text-sm font-medium rounded-lg bg-green-600 hover:bg-green-700 text-white">
+          Go to Dashboard
+        </Link>
+      </div>
+    );
+  }
+
+  if (!onboarding?.currentStep) return null;
+
+  const { currentStep, steps } = onboarding;
+  const stepIsElsewhere = currentStep.path && currentStep.path !== location.pathname;
+
+  return (
+    <div className={`mb-8 p-4 rounded-lg flex flex-wrap items-center justify-between gap-3 ${
+      isDarkMode ? 'bg-blue-900 text-blue-100' : 'bg-blue-50 text-blue-800'
+    }`}>
+      <div>
+        <p className="text-sm font-medium uppercase tracking-wide">Farm setup · Step {currentStep.number} of {steps.length}</p>
+        <p className="mt-1">{currentStep.title}. {currentStep.description}</p>
+      </div>
+      {stepIsElsewhere ? (
+        <Link to={currentStep.path} className="px-4 py-2 text-sm font-medium rounded-lg bg-blue-600 hover:bg-blue-700 text-white">
+          Next: {currentStep.action}
+        </Link>
+      ) : (
+        <Link to="/onboarding" className={`text-sm underline ${isDarkMode ? 'text-blue-200' : 'text-blue-700'}`}>
+          View all steps
+        </Link>
+      )}
+    </div>
+  );
+};
+
+export default OnboardingBanner;
@@ -0,0 +1,72 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useTheme } from '../lib/ThemeContext';
+
+// Setup steps with a progress bar; the first unfinished step shows its description and a link to start it.
+// onboarding is the result of describeOnboarding()
+const OnboardingChecklist = ({ onboarding, title = 'Set up your farm' }) => {
+  const { isDarkMode } = useTheme();
+  const { steps, completedCount, currentStep } = onboarding;
+  const percent = Math.round((completedCount / steps.length) * 100);
+
+  return (
+    <div className={`rounded-lg shadow-lg p-6 mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
+      <div className="flex items-center justify-between mb-2">
+        <h2 className={`text-xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>{title}</h2>
+        <span className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+          {completedCount} of {steps.length} steps done
+        </span>
+      </div>
+      <div className={`h-2 rounded-full mb-6 ${isDarkMode ? 'bg-gray-700' : 'bg-gray-200'}`}>
+        <div className="h-2 rounded-full bg-green-500 transition-all duration-300" style={{ width: `${percent}%` }} />
+      </div>
+
+      <ol className="space-y-4">
+        {steps.map(step => {
+          const isCurrent = currentStep?.key === step.key;
+          return (
+            <li key={step.key} className="flex items-start space-x-4">
+              <span className={`flex-shrink-0 w-8 h-8 rounded-full flex items-center justify-center text-sm font-semibold ${
+                step.done
+                  ? 'bg-green-500 text-white'
+                  : isCurrent
+                    ? (isDarkMode ? 'bg-blue-600 text-white' : 'bg-blue-500 text-white')
+                    : (isDarkMode ? 'bg-gray-700 text-gray-400' : 'bg-gray-200 text-gray-500')
+              }`}>
+                {step.done ? '✓' : step.number}
+              </span>
+              <div className="flex-1">
+                <p className={`font-medium ${
+                  step.done
+                    ? (isDarkMode ? 'text-gray-400 line-through' : 'text-gray-500 line-through')
+                    : (isDarkMode ? 'text-white' : 'text-gray-900')
+                }`}>
+                  {step.title}
+                </p>
+                {isCurrent && (
+                  <>
+                    <p className={`mt-1 text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>{step.description}</p>
+                    {step.path ? (
+                      <Link
+                        to={step.path}
+                        className="inline-block mt-3 px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white"
+                      >
+                        {step.action}
+                      </Link>
+                    ) : (
+                      <p className={`mt-2 text-sm ${isDarkMode ? 'text-yellow-300' : 'text-yellow-700'}`}>
+                        Available once your plants have synced.
+                      </p>
+                    )}
+                  </>
+                )}
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+};
+
+export default OnboardingChecklist;
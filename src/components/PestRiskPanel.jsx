@@ -0,0 +1,122 @@
+import React, { useEffect, useState } from 'react';
+import { useTheme } from '../lib/ThemeContext';
+import { fetchFarmRisk, THREATS } from '../lib/pestRiskModel';
+
+const LEVEL_STYLES = {
+  high: { label: 'High', dark: 'bg-red-900 text-red-200', light: 'bg-red-100 text-red-800' },
+  moderate: { label: 'Moderate', dark: 'bg-yellow-900 text-yellow-200', light: 'bg-yellow-100 text-yellow-800' },
+  low: { label: 'Low', dark: 'bg-green-900 text-green-200', light: 'bg-green-100 text-green-800' }
+};
+
+const BAR_COLORS = { high: 'bg-red-500', moderate: 'bg-yellow-500', low: 'bg-green-500' };
+
+// Farm and per-batch outbreak risk for leaf rust, berry borer and brown eye spot, with what to do about each
+const PestRiskPanel = ({ farmerId }) => {
+  const { isDarkMode } = useTheme();
+  const [risk, setRisk] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!farmerId) return;
+    fetchFarmRisk(farmerId)
+      .then(setRisk)
+      .catch(err => setError(err.message));
+  }, [farmerId]);
+
+  const badge = (level) => (
+    <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+      isDarkMode ? LEVEL_STYLES[level].dark : LEVEL_STYLES[level].light
+    }`}>
+      {LEVEL_STYLES[level].label}
+    </span>
+  );
+
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+  const headerClass = `px-4 py-3 text-left text-xs font-medium uppercase tracking-wider ${isDarkMode ? 'text-gray-300' : 'text-gray-500'}`;
+
+  const describeConditions = ({ conditions }) => {
+    if (conditions.source === 'estimate') {
+      return `No farm coordinates on record, so conditions are estimated from your elevation and the season (about ${conditions.temperature.toFixed(1)}°C).`;
+    }
+    const parts = [
+      `${conditions.temperature.toFixed(1)}°C average`,
+      `${Math.round(conditions.rainfall)} mm rain over ${conditions.rainyDays} rainy days`
+    ];
+    if (conditions.humidity != null) parts.push(`${Math.round(conditions.humidity)}% humidity`);
+    return `Last 30 days: ${parts.join(', ')}.`;
+  };
+
+  return (
+    <div className={`${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6 mb-8`}>
+      <div className="flex items-center justify-between mb-2">
+        <h3 className={`text-2xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+          Pest & Disease Risk
+        </h3>
+        {risk && badge(risk.overall.level)}
+      </div>
+
+      {error ? (
+        <p className="text-sm text-red-500">Could not assess risk: {error}</p>
+      ) : !risk ? (
+        <p className={mutedClass}>Assessing your farm...</p>
+      ) : (
+        <>
+          <p className={`text-sm mb-6 ${mutedClass}`}>{describeConditions(risk)}</p>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+            {risk.threats.map(threat => (
+              <div key={threat.key} className={`p-4 rounded-lg ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+                <div className="flex items-center justify-between mb-2">
+                  <h4 className={`font-medium ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>{threat.label}</h4>
+                  {badge(threat.level)}
+                </div>
+                <div className={`h-2 rounded-full mb-3 ${isDarkMode ? 'bg-gray-600' : 'bg-gray-200'}`}>
+                  <div className={`h-2 rounded-full ${BAR_COLORS[threat.level]}`} style={{ width: `${threat.score}%` }} />
+                </div>
+                <p className={`text-xs mb-3 ${mutedClass}`}>
+                  Risk score {threat.score}/100. Main drivers: {threat.factors.slice(0, 2).map(f => f.label.toLowerCase()).join(' and ')}.
+                </p>
+                <ul className={`text-sm space-y-2 list-disc list-inside ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                  {threat.interventions.map(step => <li key={step}>{step}</li>)}
+                </ul>
+              </div>
+            ))}
+          </div>
+
+          {risk.plants.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className={`min-w-full divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                <thead className={isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+                  <tr>
+                    <th className={headerClass}>Plant Batch</th>
+                    <th className={headerClass}>Status</th>
+                    {THREATS.map(threat => <th key={threat.key} className={headerClass}>{threat.label}</th>)}
+                  </tr>
+                </thead>
+                <tbody className={`divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                  {risk.plants.map(plant => (
+                    <tr key={plant.plantId}>
+                      <td className={`px-4 py-3 text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>{plant.variety}</td>
+                      <td className={`px-4 py-3 text-sm ${mutedClass}`}>{plant.status || 'Not recorded'}</td>
+                      {plant.threats.map(threat => (
+                        <td key={threat.key} className="px-4 py-3 text-sm">
+                          <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                            isDarkMode ? LEVEL_STYLES[threat.level].dark : LEVEL_STYLES[threat.level].light
+                          }`}>
+                            {threat.score}
+                          </span>
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PestRiskPanel;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { useTheme } from '../lib/ThemeContext';
+import { exportFarmerReport, exportCooperativeReport, describeFilters } from '../lib/reports';
+import DateRangeFilter from './DateRangeFilter';
+
+// PDF/CSV download buttons. Pass farmerId for a farmer's season report, or leave it out
+// for the cooperative summary. Without a filters prop, shows its own date range.
+const ReportExport = ({ farmerId, filters, title = 'Export Report' }) => {
+  const { isDarkMode } = useTheme();
+  const [dateRange, setDateRange] = useState({ from: '', to: '' });
+  const [exporting, setExporting] = useState(null);
+
+  const activeFilters = filters || dateRange;
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    try {
+      if (farmerId) {
+        await exportFarmerReport(farmerId, format, activeFilters);
+      } else {
+        await exportCooperativeReport(format, activeFilters);
+      }
+    } catch (error) {
+      console.error('Error exporting report:', error);
+      toast.error(`Could not create the report: ${error.message}`);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const buttonClass = `px-4 py-2 rounded-lg text-sm font-medium transition-colors duration-200 disabled:opacity-50
+    ${isDarkMode ? 'bg-blue-600 text-white hover:bg-blue-500' : 'bg-blue-500 text-white hover:bg-blue-600'}`;
+
+  return (
+    <div className={`rounded-lg p-6 mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
+      <h2 className={`text-xl font-semibold mb-4 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+        {title}
+      </h2>
+      {!filters && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-6 mb-4">
+          <DateRangeFilter
+            from={dateRange.from}
+            to={dateRange.to}
+            onChange={setDateRange}
+            isDarkMode={isDarkMode}
+          />
+        </div>
+      )}
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+          {describeFilters(activeFilters)}
+        </p>
+        <div className="flex space-x-3">
+          <button onClick={() => handleExport('pdf')} disabled={exporting !== null} className={buttonClass}>
+            {exporting === 'pdf' ? 'Preparing PDF...' : 'Download PDF'}
+          </button>
+          <button onClick={() => handleExport('csv')} disabled={exporting !== null} className={buttonClass}>
+            {exporting === 'csv' ? 'Preparing CSV...' : 'Download CSV'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReportExport;
@@ -0,0 +1,73 @@
+import React, { useEffect, useState } from 'react';
+import { useTheme } from '../lib/ThemeContext';
+import { fetchRegionalRisk, THREATS } from '../lib/pestRiskModel';
+
+// Green at 0 through yellow to red at 100
+const cellStyle = (score, isDarkMode) => ({
+  backgroundColor: `hsl(${Math.round(120 - score * 1.2)}, 70%, ${isDarkMode ? 30 : 85}%)`
+});
+
+// Average outbreak risk per farm location, one column per threat
+const RiskHeatmap = () => {
+  const { isDarkMode } = useTheme();
+  const [regions, setRegions] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchRegionalRisk()
+      .then(setRegions)
+      .catch(err => setError(err.message));
+  }, []);
+
+  const headerClass = `px-4 py-3 text-left text-xs font-medium uppercase tracking-wider ${isDarkMode ? 'text-gray-300' : 'text-gray-500'}`;
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+
+  if (error) {
+    return <p className="text-sm text-red-500">Could not assess regional risk: {error}</p>;
+  }
+  if (!regions) {
+    return <p className={mutedClass}>Assessing farms...</p>;
+  }
+  if (regions.length === 0) {
+    return <p className={mutedClass}>No farms have been declared yet.</p>;
+  }
+
+  return (
+    <div className={`rounded-lg shadow overflow-x-auto ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
+      <table className={`min-w-full divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+        <thead className={isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+          <tr>
+            <th className={headerClass}>Region</th>
+            <th className={headerClass}>Farms</th>
+            {THREATS.map(threat => <th key={threat.key} className={headerClass}>{threat.label}</th>)}
+            <th className={headerClass}>Main Threat</th>
+          </tr>
+        </thead>
+        <tbody className={`divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+          {regions.map(region => (
+            <tr key={region.region}>
+              <td className={`px-4 py-3 text-sm font-medium ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>{region.region}</td>
+              <td className={`px-4 py-3 text-sm ${mutedClass}`}>{region.farmCount}</td>
+              {THREATS.map(threat => (
+                <td
+                  key={threat.key}
+                  className={`px-4 py-3 text-sm font-semibold text-center ${isDarkMode ? 'text-white' : 'text-gray-900'}`}
+                  style={cellStyle(region.scores[threat.key], isDarkMode)}
+                >
+                  {region.scores[threat.key]}
+                </td>
+              ))}
+              <td className={`px-4 py-3 text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>{region.overall.threat}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className={`px-4 py-3 text-xs ${mutedClass}`}>
+        Scores run from 0 to 100 and are averaged across the farms in each region.
+        Farms without coordinates are scored from their elevation and the season.
+      </p>
+    </div>
+  );
+};
+
+export default RiskHeatmap;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { useTheme } from '../lib/ThemeContext';
+import { formatCurrency } from '../lib/ledgerService';
+
+// Per-season revenue, cost and margin table fed by summarizeBySeason()
+const SeasonFinanceSummary = ({ seasons }) => {
+  const { isDarkMode } = useTheme();
+
+  if (seasons.length === 0) {
+    return (
+      <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+        No costs or sales recorded yet.
+      </p>
+    );
+  }
+
+  const headerClass = `px-4 py-3 text-left text-xs font-medium uppercase tracking-wider ${isDarkMode ? 'text-gray-300' : 'text-gray-500'}`;
+  const cellClass = `px-4 py-3 whitespace-nowrap text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`;
+
+  return (
+    <div className="overflow-x-auto">
+      <table className={`min-w-full divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+        <thead className={isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+          <tr>
+            <th className={headerClass}>Season</th>
+            <th className={headerClass}>Gross Revenue</th>
+            <th className={headerClass}>Total Cost</th>
+            <th className={headerClass}>Net Margin</th>
+            <th className={headerClass}>Dry Coffee</th>
+            <th className={headerClass}>Cost per kg Dry</th>
+          </tr>
+        </thead>
+        <tbody className={`divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+          {seasons.map(season => (
+            <tr key={season.season}>
+              <td className={`${cellClass} font-medium`}>{season.season}</td>
+              <td className={cellClass}>{formatCurrency(season.grossRevenue)}</td>
+              <td className={cellClass}>{formatCurrency(season.totalCost)}</td>
+              <td className={`px-4 py-3 whitespace-nowrap text-sm font-medium ${season.netMargin < 0 ? 'text-red-500' : 'text-green-500'}`}>
+                {formatCurrency(season.netMargin)}
+                {season.marginPercent !== null && ` (${season.marginPercent}%)`}
+              </td>
+              <td className={cellClass}>{season.dryKg} kg</td>
+              <td className={cellClass}>{season.costPerKgDry !== null ? formatCurrency(season.costPerKgDry) : 'N/A'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default SeasonFinanceSummary;
@@ -0,0 +1,33 @@
+import React from 'react';
+import { useTheme } from '../lib/ThemeContext';
+
+const LABELS = {
+  pending: 'Pending sync',
+  synced: 'Synced',
+  conflict: 'Conflict',
+  failed: 'Sync failed'
+};
+
+// Shows the outbox state of a row annotated by applyOutbox; renders nothing for untouched rows
+const SyncBadge = ({ sync }) => {
+  const { isDarkMode } = useTheme();
+  if (!sync) return null;
+
+  const colors = {
+    pending: isDarkMode ? 'bg-yellow-900 text-yellow-200' : 'bg-yellow-100 text-yellow-800',
+    synced: isDarkMode ? 'bg-green-900 text-green-200' : 'bg-green-100 text-green-800',
+    conflict: isDarkMode ? 'bg-red-900 text-red-200' : 'bg-red-100 text-red-800',
+    failed: isDarkMode ? 'bg-red-900 text-red-200' : 'bg-red-100 text-red-800'
+  };
+
+  return (
+    <span
+      title={sync.error || undefined}
+      className={`px-2 py-0.5 rounded-full text-xs font-medium ${colors[sync.state]}`}
+    >
+      {LABELS[sync.state]}
+    </span>
+  );
+};
+
+export default SyncBadge;
@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { toast } from 'react-toastify';
+import { useTheme } from '../lib/ThemeContext';
+import { syncQueue, SYNC_STATES } from '../lib/offline';
+import { useSyncQueue } from '../lib/offline/useSyncQueue';
+
+const TABLE_LABELS = {
+  harvest_data: 'Harvest',
+  plant_data: 'Plant',
+  plant_status: 'Plant status',
+  fertilizer_applications: 'Fertilizer application',
+  processing_batches: 'Processing batch',
+  processing_moisture_readings: 'Moisture reading'
+};
+
+const OP_LABELS = {
+  insert: 'new',
+  update: 'edit',
+  delete: 'deletion'
+};
+
+// Connection state and outbox summary for the sidebar, with conflict resolution
+const SyncStatus = () => {
+  const { isDarkMode } = useTheme();
+  const { entries, online } = useSyncQueue();
+  const [syncing, setSyncing] = useState(false);
+
+  const pending = entries.filter(e => e.state === SYNC_STATES.PENDING);
+  const problems = entries.filter(e => e.state === SYNC_STATES.CONFLICT || e.state === SYNC_STATES.FAILED);
+
+  if (online && pending.length === 0 && problems.length === 0) return null;
+
+  const run = async (action) => {
+    setSyncing(true);
+    try {
+      await action();
+    } catch (error) {
+      console.error('Error syncing offline changes:', error);
+      toast.error(error.message);
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const buttonClass = `px-2 py-1 text-xs font-medium rounded-md ${
+    isDarkMode ? 'bg-gray-600 text-gray-200 hover:bg-gray-500' : 'bg-white text-gray-700 hover:bg-gray-100'
+  }`;
+
+  return (
+    <div className={`mx-4 mb-4 p-3 rounded-md text-sm ${isDarkMode ? 'bg-gray-700 text-gray-200' : 'bg-gray-100 text-gray-700'}`}>
+      <div className="flex items-center justify-between">
+        <span className="flex items-center space-x-2">
+          <span className={`w-2 h-2 rounded-full ${online ? 'bg-green-500' : 'bg-red-500'}`} />
+          <span>{online ? 'Online' : 'Offline'}</span>
+        </span>
+        {online && pending.length > 0 && (
+          <button onClick={() => run(syncQueue.flush)} disabled={syncing} className={buttonClass}>
+            {syncing ? 'Syncing...' : 'Sync now'}
+          </button>
+        )}
+      </div>
+      {pending.length > 0 && (
+        <p className={`mt-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+          {pending.length} change{pending.length > 1 ? 's' : ''} saved on this device, waiting to sync
+        </p>
+      )}
+      {problems.map(entry => (
+        <div key={entry.id} className={`mt-3 pt-3 border-t ${isDarkMode ? 'border-gray-600' : 'border-gray-200'}`}>
+          <p className="font-medium">
+            {TABLE_LABELS[entry.table]} {OP_LABELS[entry.op]} {entry.state === SYNC_STATES.CONFLICT ? 'conflicts with the server' : 'could not be saved'}
+          </p>
+          <p className={`mt-1 text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>{entry.error}</p>
+          <div className="mt-2 flex flex-wrap gap-2">
+            {entry.state === SYNC_STATES.CONFLICT ? (
+              <>
+                {entry.serverRow && (
+                  <button onClick={() => run(() => syncQueue.resolveConflict(entry.id, 'mine'))} disabled={syncing} className={buttonClass}>
+                    Keep mine
+                  </button>
+                )}
+                <button onClick={() => run(() => syncQueue.resolveConflict(entry.id, 'theirs'))} disabled={syncing} className={buttonClass}>
+                  Use server version
+                </button>
+              </>
+            ) : (
+              <>
+                <button onClick={() => run(() => syncQueue.retry(entry.id))} disabled={syncing} className={buttonClass}>
+                  Retry
+                </button>
+                <button onClick={() => run(() => syncQueue.discard(entry.id))} disabled={syncing} className={buttonClass}>
+                  Discard
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SyncStatus;
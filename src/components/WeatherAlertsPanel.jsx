@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'react-toastify';
+import { useTheme } from '../lib/ThemeContext';
+import { ALERT_SEVERITIES, SNOOZE_OPTIONS, acknowledgeAlert, fetchFarmAlerts, snoozeAlert } from '../lib/weatherAlerts';
+
+const SEVERITY_STYLES = {
+  critical: { dark: 'bg-red-900 text-red-200', light: 'bg-red-100 text-red-800', border: 'border-red-500' },
+  warning: { dark: 'bg-yellow-900 text-yellow-200', light: 'bg-yellow-100 text-yellow-800', border: 'border-yellow-500' }
+};
+
+// Weather alerts for the farmer's plants, each with acknowledge and snooze
+const WeatherAlertsPanel = ({ farmerId }) => {
+  const { isDarkMode } = useTheme();
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    if (!farmerId) return;
+    fetchFarmAlerts(farmerId)
+      .then(setResult)
+      .catch(err => setError(err.message));
+  }, [farmerId]);
+
+  // Takes a dismissed alert out of the list and counts it as hidden
+  const dismiss = async (alertId, action, successMessage) => {
+    setBusyId(alertId);
+    try {
+      await action();
+      setResult(prev => ({
+        ...prev,
+        alerts: prev.alerts.filter(alert => alert.alert_id !== alertId),
+        hidden: prev.hidden + 1
+      }));
+      toast.success(successMessage);
+    } catch (err) {
+      console.error('Error updating alert:', err);
+      toast.error(`Error updating alert: ${err.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleAcknowledge = (alert) => dismiss(alert.alert_id, () => acknowledgeAlert(alert.alert_id), 'Alert acknowledged.');
+
+  const handleSnooze = (alert, days) => {
+    const option = SNOOZE_OPTIONS.find(o => o.days === days);
+    dismiss(alert.alert_id, () => snoozeAlert(alert.alert_id, days), `Alert snoozed for ${option.label}.`);
+  };
+
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+  const buttonClass = `px-3 py-1 text-sm rounded-lg transition-colors disabled:opacity-50 ${
+    isDarkMode ? 'bg-gray-600 hover:bg-gray-500 text-white' : 'bg-white hover:bg-gray-100 text-gray-800 border border-gray-300'
+  }`;
+
+  return (
+    <div className={`${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6 mb-8`}>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className={`text-2xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+          Weather Alerts
+        </h3>
+        {result?.hidden > 0 && (
+          <span className={`text-sm ${mutedClass}`}>{result.hidden} acknowledged or snoozed</span>
+        )}
+      </div>
+
+      {error ? (
+        <p className="text-sm text-red-500">Could not check the weather: {error}</p>
+      ) : !result ? (
+        <p className={mutedClass}>Checking the forecast for your farm...</p>
+      ) : !result.hasLocation ? (
+        <p className={mutedClass}>
+          Alerts need your farm's position.{' '}
+          <Link to="/land-declaration" className={isDarkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'}>
+            Pin your farm on the map
+          </Link>{' '}
+          to get warnings about rain, heat, drought and leaf rust weather.
+        </p>
+      ) : result.alerts.length === 0 ? (
+        <p className={mutedClass}>Nothing to act on in the next week's weather.</p>
+      ) : (
+        <ul className="space-y-4">
+          {result.alerts.map(alert => {
+            const style = SEVERITY_STYLES[alert.severity];
+            return (
+              <li
+                key={alert.alert_id}
+                className={`p-4 rounded-lg border-l-4 ${style.border} ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`}
+              >
+                <div className="flex items-center justify-between mb-2">
+                  <h4 className={`font-medium ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>{alert.title}</h4>
+                  <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${isDarkMode ? style.dark : style.light}`}>
+                    {ALERT_SEVERITIES[alert.severity].label}
+                  </span>
+                </div>
+                <p className={`text-sm mb-3 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>{alert.message}</p>
+                <div className="flex items-center space-x-2">
+                  <button
+                    onClick={() => handleAcknowledge(alert)}
+                    disabled={busyId === alert.alert_id}
+                    className="px-3 py-1 text-sm rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+                  >
+                    Acknowledge
+                  </button>
+                  <select
+                    value=""
+                    onChange={(e) => handleSnooze(alert, Number(e.target.value))}
+                    disabled={busyId === alert.alert_id}
+                    className={buttonClass}
+                  >
+                    <option value="" disabled>Snooze...</option>
+                    {SNOOZE_OPTIONS.map(option => (
+                      <option key={option.days} value={option.days}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default WeatherAlertsPanel;
@@ -0,0 +1,82 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useTheme } from '../../lib/ThemeContext';
+import { fetchActivePredictors } from '../../lib/conditionModelService';
+import { CONDITION_MODELS } from '../../lib/ml/ConditionPredictor';
+
+// Ripeness and pest-incidence forecast from the active coffee_data models
+const ConditionOutlook = ({ conditions }) => {
+    const { isDarkMode } = useTheme();
+    const [predictors, setPredictors] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        fetchActivePredictors()
+            .then(setPredictors)
+            .catch(err => setError(err.message));
+    }, []);
+
+    const outlook = useMemo(() => {
+        if (!predictors || !conditions) return [];
+        return Object.entries(predictors)
+            .filter(([, active]) => active)
+            .map(([kind, active]) => {
+                const metrics = Object.fromEntries(active.evaluation.targets.map(target => [target.key, target]));
+                return {
+                    kind,
+                    label: CONDITION_MODELS[kind].label,
+                    version: active.version,
+                    predictions: active.predictor.predict(conditions)
+                        .map(prediction => ({ ...prediction, mae: metrics[prediction.key]?.mae ?? null }))
+                        .sort((a, b) => b.value - a.value)
+                };
+            });
+    }, [predictors, conditions]);
+
+    const mutedText = isDarkMode ? 'text-gray-400' : 'text-gray-600';
+
+    if (error) {
+        return <p className="text-sm text-red-500">Could not load the ripeness and pest models: {error}</p>;
+    }
+    if (!predictors || !conditions) {
+        return <p className={`text-sm ${mutedText}`}>Loading forecast...</p>;
+    }
+    if (outlook.length === 0) {
+        return <p className={`text-sm ${mutedText}`}>No ripeness or pest model has been activated yet.</p>;
+    }
+
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {outlook.map(model => (
+                <div key={model.kind} className={`p-4 rounded-lg ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+                    <div className="flex items-center justify-between mb-3">
+                        <span className={`font-medium ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>{model.label}</span>
+                        <span className={`text-xs ${mutedText}`}>Model v{model.version}</span>
+                    </div>
+                    <div className="space-y-3">
+                        {model.predictions.map(prediction => (
+                            <div key={prediction.key}>
+                                <div className="flex justify-between text-sm mb-1">
+                                    <span className={isDarkMode ? 'text-gray-300' : 'text-gray-700'}>{prediction.label}</span>
+                                    <span className={`font-medium ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+                                        {prediction.value.toFixed(1)}%
+                                        {prediction.mae !== null && (
+                                            <span className={`ml-1 font-normal ${mutedText}`}>± {prediction.mae.toFixed(1)}</span>
+                                        )}
+                                    </span>
+                                </div>
+                                <div className={`h-2 rounded-full ${isDarkMode ? 'bg-gray-600' : 'bg-gray-200'}`}>
+                                    <div
+                                        className={`h-2 rounded-full ${model.kind === 'ripeness' ? 'bg-green-500' : 'bg-orange-500'}`}
+                                        style={{ width: `${prediction.value}%` }}
+                                    />
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default ConditionOutlook;
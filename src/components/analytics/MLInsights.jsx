@@ -11,6 +11,7 @@ import {
     Legend
 } from 'chart.js';
 import { DecisionSupportSystem } from '../../lib/ml/DecisionSupportSystem';
+import { getDssRules } from '../../lib/dssRules';
 import { useTheme } from '../../lib/ThemeContext';
 
 // Register ChartJS components
@@ -24,15 +25,25 @@ ChartJS.register(
     Legend
 );
 
-const MLInsights = ({ environmentalData, growthData }) => {
+const MLInsights = ({ environmentalData, growthData, variety }) => {
     const [dss] = useState(() => new DecisionSupportSystem());
     const [insights, setInsights] = useState(null);
     const [seasonalAnalysis, setSeasonalAnalysis] = useState(null);
     const [riskScore, setRiskScore] = useState(0);
+    const [rulesLoaded, setRulesLoaded] = useState(false);
     const { isDarkMode } = useTheme();
 
     useEffect(() => {
-        if (environmentalData && growthData) {
+        getDssRules().then(rules => {
+            dss.setRules(rules);
+            setRulesLoaded(true);
+        });
+    }, [dss]);
+
+    useEffect(() => {
+        if (rulesLoaded && environmentalData && growthData) {
+            dss.setVariety(variety);
+
             // Update growth data
             growthData.forEach(data => {
                 dss.addGrowthData(data.value, data.timestamp);
@@ -66,7 +77,7 @@ const MLInsights = ({ environmentalData, growthData }) => {
             setInsights(currentInsights);
             setRiskScore(currentRiskScore);
         }
-    }, [environmentalData, growthData]);
+    }, [environmentalData, growthData, rulesLoaded, variety]);
 
     const getStatusColor = (status) => {
         switch (status) {
@@ -231,7 +242,7 @@ const MLInsights = ({ environmentalData, growthData }) => {
                             }`}
                         >
                             <div className={`font-semibold ${
-                                rec.severity === 'high' 
+                                rec.severity === 'high' || rec.severity === 'critical'
                                     ? isDarkMode ? 'text-red-400' : 'text-red-600'
                                     : rec.severity === 'medium'
                                     ? isDarkMode ? 'text-yellow-400' : 'text-yellow-600'
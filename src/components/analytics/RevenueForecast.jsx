@@ -0,0 +1,104 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useTheme } from '../../lib/ThemeContext';
+import { formatCurrency } from '../../lib/ledgerService';
+import {
+    MONTHS,
+    fetchPriceTable,
+    buildPriceLookup,
+    getNextHarvestMonth,
+    forecastRevenue
+} from '../../lib/revenueForecast';
+
+// Expected revenue for a yield forecast, priced with the admin price table
+const RevenueForecast = ({ harvests, yieldKg, confidenceScore }) => {
+    const { isDarkMode } = useTheme();
+    const [priceLookup, setPriceLookup] = useState(null);
+    const [priceError, setPriceError] = useState(null);
+    const [month, setMonth] = useState(() => getNextHarvestMonth(harvests));
+
+    useEffect(() => {
+        const loadPrices = async () => {
+            try {
+                setPriceLookup(buildPriceLookup(await fetchPriceTable()));
+            } catch (error) {
+                setPriceError(error.message);
+            }
+        };
+        loadPrices();
+    }, []);
+
+    const forecast = useMemo(() => {
+        if (!priceLookup) return null;
+        return forecastRevenue({ yieldKg, confidenceScore, harvests, priceLookup, month });
+    }, [priceLookup, yieldKg, confidenceScore, harvests, month]);
+
+    const mutedText = isDarkMode ? 'text-gray-400' : 'text-gray-600';
+
+    const renderBody = () => {
+        if (priceError) {
+            return <p className="text-sm text-red-500">Could not load coffee prices: {priceError}</p>;
+        }
+        if (!priceLookup) {
+            return <p className={`text-sm ${mutedText}`}>Loading prices...</p>;
+        }
+        if (!yieldKg) {
+            return <p className={`text-sm ${mutedText}`}>Run the next harvest forecast to estimate revenue.</p>;
+        }
+        if (!forecast) {
+            return <p className={`text-sm ${mutedText}`}>Record grades on at least one harvest to estimate revenue.</p>;
+        }
+
+        return (
+            <>
+                <div className={`text-2xl font-bold mb-1 ${isDarkMode ? 'text-green-400' : 'text-green-600'}`}>
+                    {formatCurrency(forecast.expected)}
+                </div>
+                <div className={`text-sm mb-4 ${mutedText}`}>
+                    Range: {formatCurrency(forecast.low)} - {formatCurrency(forecast.high)} for {forecast.dryKg} kg dry coffee
+                </div>
+                <div className="space-y-2">
+                    {forecast.byGrade.map(grade => (
+                        <div key={grade.grade} className="flex justify-between text-sm">
+                            <span className={isDarkMode ? 'text-gray-300' : 'text-gray-700'}>
+                                {grade.label}: {grade.kg} kg × {grade.price !== null ? formatCurrency(grade.price) : 'no price'}
+                            </span>
+                            <span className={`font-medium ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+                                {grade.revenue !== null ? formatCurrency(grade.revenue) : '-'}
+                            </span>
+                        </div>
+                    ))}
+                </div>
+                {forecast.missingPrices.length > 0 && (
+                    <p className={`mt-3 text-sm ${isDarkMode ? 'text-yellow-300' : 'text-yellow-700'}`}>
+                        No price is set for {forecast.missingPrices.join(', ')}; that coffee is left out of the estimate.
+                    </p>
+                )}
+            </>
+        );
+    };
+
+    return (
+        <div className={`p-4 rounded-lg ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+            <div className="flex items-center justify-between mb-2">
+                <div className="flex items-center gap-2">
+                    <span className="text-xl">💰</span>
+                    <span className={`font-medium ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>Revenue Forecast</span>
+                </div>
+                <select
+                    value={month}
+                    onChange={(e) => setMonth(parseInt(e.target.value, 10))}
+                    className={`text-sm rounded border px-2 py-1 ${
+                        isDarkMode ? 'bg-gray-800 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+                    }`}
+                >
+                    {MONTHS.map((name, index) => (
+                        <option key={name} value={index + 1}>Sold in {name}</option>
+                    ))}
+                </select>
+            </div>
+            {renderBody()}
+        </div>
+    );
+};
+
+export default RevenueForecast;
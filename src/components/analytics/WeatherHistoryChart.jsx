@@ -0,0 +1,100 @@
+import React from 'react';
+import {
+    Chart as ChartJS,
+    BarController,
+    LineController,
+    BarElement,
+    LineElement,
+    PointElement,
+    CategoryScale,
+    LinearScale,
+    Tooltip,
+    Legend
+} from 'chart.js';
+import { Chart } from 'react-chartjs-2';
+import { useTheme } from '../../lib/ThemeContext';
+
+ChartJS.register(BarController, LineController, BarElement, LineElement, PointElement, CategoryScale, LinearScale, Tooltip, Legend);
+
+// Daily rainfall bars and temperature line from a farm's weather history; forecast days are paler
+const WeatherHistoryChart = ({ daily }) => {
+    const { isDarkMode } = useTheme();
+
+    if (!daily || daily.length === 0) {
+        return (
+            <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                No daily weather recorded for this farm yet.
+            </p>
+        );
+    }
+
+    const gridColor = isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+    const tickColor = isDarkMode ? 'rgba(255, 255, 255, 0.7)' : 'rgba(0, 0, 0, 0.7)';
+
+    const data = {
+        labels: daily.map(day => day.date.slice(5)),
+        datasets: [
+            {
+                type: 'line',
+                label: 'Mean Temperature (°C)',
+                data: daily.map(day => day.temperature_mean),
+                borderColor: 'rgb(239, 68, 68)',
+                backgroundColor: 'rgb(239, 68, 68)',
+                pointRadius: 2,
+                tension: 0.3,
+                yAxisID: 'temperature',
+                segment: {
+                    borderDash: (ctx) => (daily[ctx.p1DataIndex]?.is_forecast ? [4, 4] : undefined)
+                }
+            },
+            {
+                type: 'bar',
+                label: 'Rainfall (mm)',
+                data: daily.map(day => day.rainfall),
+                backgroundColor: daily.map(day => (day.is_forecast ? 'rgba(59, 130, 246, 0.35)' : 'rgba(59, 130, 246, 0.8)')),
+                yAxisID: 'rainfall'
+            }
+        ]
+    };
+
+    const options = {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: { mode: 'index', intersect: false },
+        scales: {
+            x: { grid: { color: gridColor }, ticks: { color: tickColor, maxTicksLimit: 12 } },
+            rainfall: {
+                position: 'left',
+                beginAtZero: true,
+                grid: { color: gridColor },
+                ticks: { color: tickColor },
+                title: { display: true, text: 'mm', color: tickColor }
+            },
+            temperature: {
+                position: 'right',
+                grid: { drawOnChartArea: false },
+                ticks: { color: tickColor },
+                title: { display: true, text: '°C', color: tickColor }
+            }
+        },
+        plugins: {
+            legend: { labels: { color: tickColor } },
+            tooltip: {
+                callbacks: {
+                    title: (items) => {
+                        const day = daily[items[0].dataIndex];
+                        return day.is_forecast ? `${day.date} (forecast)` : day.date;
+                    }
+                }
+            }
+        }
+    };
+
+    return (
+        <div className="h-64">
+            <Chart type="bar" data={data} options={options} />
+        </div>
+    );
+};
+
+export default WeatherHistoryChart;
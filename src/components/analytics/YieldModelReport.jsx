@@ -0,0 +1,120 @@
+import React, { useEffect, useState } from 'react';
+import { toast } from 'react-toastify';
+import { useTheme } from '../../lib/ThemeContext';
+import { fetchYieldModel, retrainYieldModel } from '../../lib/yieldModelService';
+
+// Holdout evaluation and feature importance of the active yield model, with retraining
+const YieldModelReport = ({ trainedBy }) => {
+    const { isDarkMode } = useTheme();
+    const [record, setRecord] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [training, setTraining] = useState(false);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        fetchYieldModel({ refresh: true })
+            .then(setRecord)
+            .catch(err => setError(err.message))
+            .finally(() => setLoading(false));
+    }, []);
+
+    const handleTrain = async () => {
+        setTraining(true);
+        setError(null);
+        try {
+            setRecord(await retrainYieldModel(trainedBy));
+            toast.success('Yield model trained');
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setTraining(false);
+        }
+    };
+
+    const mutedText = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+    const valueText = `mt-2 text-3xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`;
+
+    const renderReport = () => {
+        if (loading) {
+            return <p className={mutedText}>Loading yield model...</p>;
+        }
+        if (!record) {
+            return (
+                <p className={mutedText}>
+                    No yield model has been trained yet. Farmers see yield forecasts once one is trained.
+                </p>
+            );
+        }
+
+        const { evaluation, importance } = record;
+        return (
+            <>
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-6">
+                    <div>
+                        <h3 className={`text-sm font-medium ${mutedText}`}>Mean Absolute Error</h3>
+                        <p className={valueText}>{evaluation.mae.toFixed(1)} kg</p>
+                    </div>
+                    <div>
+                        <h3 className={`text-sm font-medium ${mutedText}`}>Root Mean Squared Error</h3>
+                        <p className={valueText}>{evaluation.rmse.toFixed(1)} kg</p>
+                    </div>
+                    <div>
+                        <h3 className={`text-sm font-medium ${mutedText}`}>Average-Only Baseline</h3>
+                        <p className={valueText}>{evaluation.baselineMae.toFixed(1)} kg</p>
+                    </div>
+                    <div>
+                        <h3 className={`text-sm font-medium ${mutedText}`}>Confidence</h3>
+                        <p className={valueText}>{Math.round(evaluation.confidence * 100)}%</p>
+                    </div>
+                </div>
+                <p className={`text-sm mb-6 ${mutedText}`}>
+                    Trained {new Date(record.trainedAt).toLocaleString()} on {record.trainingRows} harvests.
+                    Errors are measured on the {evaluation.holdoutRows} newest harvests (from {new Date(evaluation.holdoutFrom).toLocaleDateString()}),
+                    which were held out of training; the baseline always predicts the average harvest. The saved model
+                    was then refit on all harvests.
+                </p>
+
+                <h3 className={`text-lg font-medium mb-4 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                    Feature Importance
+                </h3>
+                <div className="space-y-3">
+                    {importance.map(feature => (
+                        <div key={feature.key}>
+                            <div className="flex justify-between text-sm mb-1">
+                                <span className={isDarkMode ? 'text-gray-300' : 'text-gray-700'}>{feature.label}</span>
+                                <span className={mutedText}>+{feature.importance.toFixed(1)} kg error when shuffled</span>
+                            </div>
+                            <div className={`h-2 rounded-full ${isDarkMode ? 'bg-gray-700' : 'bg-gray-200'}`}>
+                                <div
+                                    className="h-2 rounded-full bg-indigo-500"
+                                    style={{ width: `${Math.round(feature.share * 100)}%` }}
+                                />
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            </>
+        );
+    };
+
+    return (
+        <div className={`p-6 rounded-lg shadow ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
+            <div className="flex items-center justify-between mb-6">
+                <p className={`text-sm ${mutedText}`}>
+                    Ridge regression on tree age and count, farm elevation, plant status at harvest, season and the previous harvest.
+                </p>
+                <button
+                    onClick={handleTrain}
+                    disabled={training || loading}
+                    className="ml-4 shrink-0 px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-indigo-600 hover:bg-indigo-700 text-white disabled:opacity-50"
+                >
+                    {training ? 'Training...' : record ? 'Retrain' : 'Train Model'}
+                </button>
+            </div>
+            {error && <p className="text-sm text-red-500 mb-4">{error}</p>}
+            {renderReport()}
+        </div>
+    );
+};
+
+export default YieldModelReport;
@@ -1,5 +1,6 @@
 import { createContext, useContext, useEffect, useState } from "react";
 import { supabase } from "./supabaseClient";
+import { logSessionEvent } from "./activityLog";
 
 // Create a context to share user information across the app
 const AuthContext = createContext();
@@ -9,6 +10,10 @@ export const AuthProvider = ({ children }) => {
 
     // Add signOut function
     const signOut = async () => {
+        // Log while the session is still valid
+        const { data: sessionData } = await supabase.auth.getSession();
+        await logSessionEvent('logout', sessionData?.session);
+
         const { error } = await supabase.auth.signOut();
         if (error) {
             console.error('Error signing out:', error.message);
@@ -46,6 +51,10 @@ export const AuthProvider = ({ children }) => {
 
         // Listen for auth state changes
         const { data: authListener } = supabase.auth.onAuthStateChange((event, session) => {
+            if (event === 'SIGNED_IN') {
+                logSessionEvent('login', session);
+            }
+
             if (session?.user) {
                 fetchUser(); // Refresh user data if session changes
             } else {
@@ -0,0 +1,141 @@
+// Activity log: sessions and farm data changes, for admins to review
+import { supabase } from './supabaseClient';
+
+export const ACTIVITY_ENTITIES = [
+  { key: 'session', label: 'Session' },
+  { key: 'farmer_detail', label: 'Farm Details' },
+  { key: 'plant_data', label: 'Plants' },
+  { key: 'harvest_data', label: 'Harvests' },
+  { key: 'plant_status', label: 'Plant Status' }
+];
+
+export const ACTIVITY_ACTIONS = {
+  login: 'Logged in',
+  logout: 'Logged out',
+  insert: 'Created',
+  update: 'Updated',
+  delete: 'Deleted'
+};
+
+// A farmer with no activity in this many days shows as inactive
+export const ACTIVE_WINDOW_DAYS = 30;
+
+const LAST_LOGIN_KEY = 'coffeefarmer-logged-session';
+const LOG_PAGE_SIZE = 500;
+
+// Supabase access tokens carry the id of the login session they belong to
+const getSessionId = (session) => {
+  try {
+    return JSON.parse(atob(session.access_token.split('.')[1])).session_id || null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Records a login or logout. A login is recorded once per session, however
+ * often the auth listener reports it.
+ * @param {'login'|'logout'} action
+ * @param {Object} session - Supabase session of the user
+ */
+export const logSessionEvent = async (action, session) => {
+  if (!session?.user) return;
+
+  const sessionId = getSessionId(session);
+  if (action === 'login' && sessionId && localStorage.getItem(LAST_LOGIN_KEY) === sessionId) return;
+
+  try {
+    const { error } = await supabase.from('activity_log').insert([{
+      actor_id: session.user.id,
+      farmer_id: session.user.id,
+      action,
+      entity: 'session',
+      entity_id: sessionId,
+      after_values: { user_agent: navigator.userAgent }
+    }]);
+    if (error) throw error;
+
+    if (action === 'login' && sessionId) localStorage.setItem(LAST_LOGIN_KEY, sessionId);
+    if (action === 'logout') localStorage.removeItem(LAST_LOGIN_KEY);
+  } catch (error) {
+    // Never block signing in or out over the log
+    console.error(`Error logging ${action}:`, error);
+  }
+};
+
+/**
+ * Fetches log entries, newest first
+ * @param {Object} [filters]
+ * @param {string} [filters.farmerId]
+ * @param {string} [filters.entity] - One of ACTIVITY_ENTITIES
+ * @param {string} [filters.from] - ISO date (YYYY-MM-DD), inclusive
+ * @param {string} [filters.to] - ISO date (YYYY-MM-DD), inclusive
+ * @returns {Promise<Array>} Up to 500 activity_log rows
+ */
+export const fetchActivityLog = async ({ farmerId, entity, from, to } = {}) => {
+  try {
+    let query = supabase
+      .from('activity_log')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(LOG_PAGE_SIZE);
+
+    if (farmerId) query = query.eq('farmer_id', farmerId);
+    if (entity) query = query.eq('entity', entity);
+    if (from) query = query.gte('created_at', new Date(`${from}T00:00:00`).toISOString());
+    if (to) query = query.lte('created_at', new Date(`${to}T23:59:59.999`).toISOString());
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching activity log:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches when each user was last active
+ * @returns {Promise<Object<string, {lastActivityAt: string, lastLoginAt: string|null}>>} Keyed by user id
+ */
+export const fetchLastActivity = async () => {
+  try {
+    const { data, error } = await supabase.from('farmer_last_activity').select('*');
+    if (error) throw error;
+
+    return Object.fromEntries((data || []).map(row => [row.farmer_id, {
+      lastActivityAt: row.last_activity_at,
+      lastLoginAt: row.last_login_at
+    }]));
+  } catch (error) {
+    console.error('Error fetching last activity:', error);
+    throw error;
+  }
+};
+
+/**
+ * Activity status from the time of the latest log entry
+ * @param {string|null} lastActivityAt
+ * @param {Date} [now]
+ * @returns {'active'|'inactive'|'never'}
+ */
+export const getActivityStatus = (lastActivityAt, now = new Date()) => {
+  if (!lastActivityAt) return 'never';
+  const days = (now - new Date(lastActivityAt)) / (1000 * 60 * 60 * 24);
+  return days <= ACTIVE_WINDOW_DAYS ? 'active' : 'inactive';
+};
+
+/**
+ * Lists the columns an entry changed
+ * @param {Object} entry - activity_log row
+ * @returns {Array<{field: string, before: any, after: any}>} Every column for inserts and deletes
+ */
+export const getChangedValues = (entry) => {
+  const before = entry.before_values || {};
+  const after = entry.after_values || {};
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return fields
+    .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+};
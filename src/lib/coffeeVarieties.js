@@ -0,0 +1,176 @@
+// Coffee variety catalog: the growing conditions each variety does best in,
+// when it starts bearing and what a tree should yield. plant_data.coffee_variety
+// holds a catalog name; older free-text entries are matched to the closest
+// variety, and anything unrecognised is treated as generic Arabica.
+
+export const COFFEE_SPECIES = {
+  arabica: { label: 'Arabica (Coffea arabica)' },
+  robusta: { label: 'Robusta (Coffea canephora)' },
+  liberica: { label: 'Liberica (Coffea liberica)' },
+  excelsa: { label: 'Excelsa (Coffea liberica var. dewevrei)' }
+};
+
+// Optimal ranges a variety is judged against. Rainfall is per year.
+export const VARIETY_RANGES = {
+  elevation: { label: 'Elevation', unit: 'm' },
+  temperature: { label: 'Temperature', unit: '°C' },
+  rainfall: { label: 'Annual rainfall', unit: 'mm' },
+  ph: { label: 'Soil pH', unit: '' }
+};
+
+export const VARIETY_VALUES = {
+  maturityYears: { label: 'Bearing age', unit: 'years' },
+  yieldPerTree: { label: 'Expected dry yield per tree', unit: 'kg' }
+};
+
+export const COFFEE_VARIETIES = [
+  {
+    key: 'arabica', name: 'Arabica', species: 'arabica', aliases: ['coffea arabica'],
+    elevation: { min: 1000, max: 2000 }, temperature: { min: 18, max: 24 }, rainfall: { min: 1200, max: 2000 },
+    ph: { min: 5.5, max: 6.5 }, maturityYears: 3, yieldPerTree: 2
+  },
+  {
+    key: 'typica', name: 'Typica', species: 'arabica', aliases: ['arabica typica'],
+    elevation: { min: 1200, max: 2000 }, temperature: { min: 18, max: 22 }, rainfall: { min: 1500, max: 2000 },
+    ph: { min: 5.5, max: 6.5 }, maturityYears: 4, yieldPerTree: 1.5
+  },
+  {
+    key: 'bourbon', name: 'Bourbon', species: 'arabica', aliases: ['red bourbon', 'yellow bourbon'],
+    elevation: { min: 1100, max: 2000 }, temperature: { min: 18, max: 23 }, rainfall: { min: 1500, max: 2000 },
+    ph: { min: 5.5, max: 6.5 }, maturityYears: 3, yieldPerTree: 2
+  },
+  {
+    key: 'caturra', name: 'Caturra', species: 'arabica', aliases: [],
+    elevation: { min: 900, max: 1800 }, temperature: { min: 18, max: 24 }, rainfall: { min: 1500, max: 2500 },
+    ph: { min: 5.5, max: 6.5 }, maturityYears: 3, yieldPerTree: 2.5
+  },
+  {
+    key: 'catuai', name: 'Catuai', species: 'arabica', aliases: ['catuaí'],
+    elevation: { min: 900, max: 1800 }, temperature: { min: 18, max: 24 }, rainfall: { min: 1200, max: 2000 },
+    ph: { min: 5.5, max: 6.5 }, maturityYears: 3, yieldPerTree: 2.5
+  },
+  {
+    key: 'sl28', name: 'SL28', species: 'arabica', aliases: ['sl 28', 'sl-28', 'sl34', 'sl 34', 'sl-34'],
+    elevation: { min: 1200, max: 2000 }, temperature: { min: 18, max: 24 }, rainfall: { min: 1200, max: 1800 },
+    ph: { min: 5.5, max: 6.5 }, maturityYears: 3, yieldPerTree: 2
+  },
+  {
+    key: 'geisha', name: 'Geisha', species: 'arabica', aliases: ['gesha'],
+    elevation: { min: 1500, max: 2200 }, temperature: { min: 16, max: 22 }, rainfall: { min: 1600, max: 2400 },
+    ph: { min: 5.5, max: 6.5 }, maturityYears: 4, yieldPerTree: 1.2
+  },
+  {
+    key: 'catimor', name: 'Catimor', species: 'arabica', aliases: ['sarchimor', 'castillo', 'ruiru 11'],
+    elevation: { min: 700, max: 1600 }, temperature: { min: 19, max: 26 }, rainfall: { min: 1500, max: 2500 },
+    ph: { min: 5.5, max: 6.5 }, maturityYears: 2.5, yieldPerTree: 3
+  },
+  {
+    key: 'robusta', name: 'Robusta', species: 'robusta', aliases: ['canephora', 'coffea canephora', 'conilon'],
+    elevation: { min: 200, max: 800 }, temperature: { min: 22, max: 30 }, rainfall: { min: 2000, max: 3000 },
+    ph: { min: 5.0, max: 6.5 }, maturityYears: 3, yieldPerTree: 3
+  },
+  {
+    key: 'liberica', name: 'Liberica', species: 'liberica', aliases: ['barako', 'barakô', 'coffea liberica'],
+    elevation: { min: 0, max: 800 }, temperature: { min: 22, max: 30 }, rainfall: { min: 1500, max: 2500 },
+    ph: { min: 5.5, max: 6.5 }, maturityYears: 5, yieldPerTree: 2.5
+  },
+  {
+    key: 'excelsa', name: 'Excelsa', species: 'excelsa', aliases: ['dewevrei', 'coffea excelsa', 'liberica var. dewevrei'],
+    elevation: { min: 0, max: 1300 }, temperature: { min: 22, max: 30 }, rainfall: { min: 1500, max: 2500 },
+    ph: { min: 5.5, max: 6.5 }, maturityYears: 4, yieldPerTree: 2.5
+  }
+];
+
+export const DEFAULT_VARIETY = COFFEE_VARIETIES[0];
+
+const VARIETY_BY_KEY = Object.fromEntries(COFFEE_VARIETIES.map(variety => [variety.key, variety]));
+
+const namesOf = (variety) => [variety.key, variety.name.toLowerCase(), ...variety.aliases];
+
+/**
+ * Finds the catalog variety for a coffee_variety value. An exact name or alias
+ * wins; otherwise the longest name or alias the text contains, cultivars before
+ * species, so "Arabica - Typica" is Typica rather than Arabica.
+ * @param {string} [text] - plant_data.coffee_variety
+ * @returns {Object} A COFFEE_VARIETIES entry, DEFAULT_VARIETY when nothing matches
+ */
+export const getVariety = (text) => {
+  const normalized = (text || '').trim().toLowerCase();
+  if (!normalized) return DEFAULT_VARIETY;
+
+  const exact = COFFEE_VARIETIES.find(variety => namesOf(variety).includes(normalized));
+  if (exact) return exact;
+
+  const longestMatch = (varieties) => {
+    let best = null;
+    let bestLength = 0;
+    varieties.forEach(variety => {
+      namesOf(variety).forEach(name => {
+        if (name.length > bestLength && normalized.includes(name)) {
+          best = variety;
+          bestLength = name.length;
+        }
+      });
+    });
+    return best;
+  };
+  return longestMatch(COFFEE_VARIETIES.filter(variety => variety.key !== variety.species))
+    || longestMatch(COFFEE_VARIETIES.filter(variety => variety.key === variety.species))
+    || DEFAULT_VARIETY;
+};
+
+/**
+ * @param {string} text - plant_data.coffee_variety
+ * @returns {boolean} Whether the value names a catalog variety exactly
+ */
+export const isCatalogVariety = (text) => COFFEE_VARIETIES.some(variety => variety.name === text);
+
+/**
+ * The variety most of a farm's trees are, for advice given to the whole farm
+ * @param {Array<Object>} plants - plant_data rows
+ * @returns {Object} A COFFEE_VARIETIES entry
+ */
+export const predominantVariety = (plants = []) => {
+  const trees = {};
+  plants.forEach(plant => {
+    const { key } = getVariety(plant.coffee_variety);
+    trees[key] = (trees[key] || 0) + (plant.number_of_tree_planted || 0);
+  });
+  const [key] = Object.entries(trees).sort((a, b) => b[1] - a[1])[0] || [];
+  return VARIETY_BY_KEY[key] || DEFAULT_VARIETY;
+};
+
+/**
+ * Looks up one of a variety's targets by path, e.g. "ph.min" for a number or
+ * "ph" for the whole range
+ * @param {Object} variety - A COFFEE_VARIETIES entry
+ * @param {string} ref
+ * @returns {number|{min: number, max: number}|undefined}
+ */
+export const varietyTarget = (variety, ref) => {
+  return (ref || '').split('.').reduce((value, part) => (value == null ? undefined : value[part]), variety);
+};
+
+/**
+ * The numeric targets a rule condition can compare a fact to
+ * @returns {Object<string, string>} Label by ref, e.g. { 'ph.min': 'Soil pH minimum', ... }
+ */
+export const varietyValueRefs = () => ({
+  ...Object.fromEntries(Object.entries(VARIETY_RANGES).flatMap(([key, { label }]) => [
+    [`${key}.min`, `${label} minimum`],
+    [`${key}.max`, `${label} maximum`]
+  ])),
+  ...Object.fromEntries(Object.entries(VARIETY_VALUES).map(([key, { label }]) => [key, label]))
+});
+
+/**
+ * One line summary of a variety's profile for forms and plant cards, e.g.
+ * "1000-2000 m, 18-24 °C, ...; bears from 3 years, about 2 kg dry per tree"
+ * @param {Object} variety - A COFFEE_VARIETIES entry
+ * @returns {string}
+ */
+export const describeVariety = (variety) => {
+  const range = (key) => `${variety[key].min}-${variety[key].max}${VARIETY_RANGES[key].unit ? ` ${VARIETY_RANGES[key].unit}` : ''}`;
+  return `${range('elevation')}, ${range('temperature')}, ${range('rainfall')} of rain a year and soil pH ${range('ph')}; ` +
+    `bears from ${variety.maturityYears} years, about ${variety.yieldPerTree} kg dry per tree`;
+};
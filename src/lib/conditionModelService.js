@@ -0,0 +1,179 @@
+// Versioned ripeness and pest-incidence predictors trained on the admin-curated
+// coffee_data table, and the farm conditions they are applied to.
+import { supabase } from './supabaseClient';
+import { fetchFarmWeather } from './weather';
+import { fetchStatusHistory, groupSeriesByPlant } from './plantStatusService';
+import { CONDITION_MODELS, ConditionPredictor, trainConditionPredictor } from './ml/ConditionPredictor';
+
+// Active predictors by kind, shared by every page for the session
+let activePredictors;
+
+/**
+ * Lists every trained version, newest first
+ * @returns {Promise<Array>} condition_models rows
+ */
+export const fetchConditionModels = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('condition_models')
+      .select('model_id, kind, version, is_active, evaluation, training_rows, trained_by, trained_at, activated_at')
+      .order('kind', { ascending: true })
+      .order('version', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching condition models:', error);
+    throw error;
+  }
+};
+
+/**
+ * Makes a version the one farmers' forecasts use, replacing the kind's current one
+ * @param {string} modelId
+ * @returns {Promise<void>}
+ */
+export const activateConditionModel = async (modelId) => {
+  try {
+    const { error } = await supabase.rpc('activate_condition_model', { target: modelId });
+    if (error) throw error;
+    activePredictors = undefined;
+  } catch (error) {
+    console.error('Error activating condition model:', error);
+    throw error;
+  }
+};
+
+/**
+ * Trains a new version of a predictor on all coffee_data rows. The first
+ * version of a kind becomes active right away; later ones wait for an admin
+ * to activate them after comparing the validation metrics.
+ * @param {string} kind - 'ripeness' or 'pest_incidence'
+ * @param {string} [trainedBy] - Admin user id
+ * @returns {Promise<Object>} The saved condition_models row
+ */
+export const trainConditionModel = async (kind, trainedBy) => {
+  if (!CONDITION_MODELS[kind]) {
+    throw new Error(`Unknown model kind: ${kind}`);
+  }
+
+  try {
+    const [recordResult, versionResult] = await Promise.all([
+      supabase.from('coffee_data').select('*'),
+      supabase.from('condition_models').select('version, is_active').eq('kind', kind)
+    ]);
+    if (recordResult.error) throw recordResult.error;
+    if (versionResult.error) throw versionResult.error;
+
+    const records = recordResult.data || [];
+    const versions = versionResult.data || [];
+    const { predictor, evaluation } = trainConditionPredictor(kind, records);
+
+    const { data, error } = await supabase
+      .from('condition_models')
+      .insert([{
+        kind,
+        version: versions.reduce((max, row) => Math.max(max, row.version), 0) + 1,
+        parameters: predictor.toJSON(),
+        evaluation,
+        training_rows: records.length,
+        trained_by: trainedBy || null
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    if (!versions.some(row => row.is_active)) {
+      await activateConditionModel(data.model_id);
+      return { ...data, is_active: true };
+    }
+    return data;
+  } catch (error) {
+    console.error('Error training condition model:', error);
+    throw error;
+  }
+};
+
+/**
+ * Loads the active version of each predictor
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh] - Skip the session cache
+ * @returns {Promise<Object<string, {modelId: string, version: number, predictor: ConditionPredictor, evaluation: Object}|null>>}
+ *   Keyed by kind; null for kinds with no active version
+ */
+export const fetchActivePredictors = async ({ refresh = false } = {}) => {
+  if (!refresh && activePredictors !== undefined) return activePredictors;
+
+  try {
+    const { data, error } = await supabase
+      .from('condition_models')
+      .select('*')
+      .eq('is_active', true);
+
+    if (error) throw error;
+
+    activePredictors = Object.fromEntries(Object.keys(CONDITION_MODELS).map(kind => {
+      const row = (data || []).find(model => model.kind === kind);
+      return [kind, row ? {
+        modelId: row.model_id,
+        version: row.version,
+        predictor: new ConditionPredictor(kind, row.parameters),
+        evaluation: row.evaluation
+      } : null];
+    }));
+    return activePredictors;
+  } catch (error) {
+    console.error('Error fetching active condition models:', error);
+    throw error;
+  }
+};
+
+/**
+ * A farm's current conditions in coffee_data terms: this month, the average
+ * latest soil pH across its plant batches and the last 30 days of weather
+ * (average temperature, total rainfall). Anything unknown is left out and
+ * the predictors use their training average instead.
+ * @param {string} farmerId
+ * @returns {Promise<Object>} {month, ph_level?, avg_temperature?, avg_rainfall?}
+ */
+export const fetchFarmConditions = async (farmerId) => {
+  try {
+    const [farmResult, plantResult] = await Promise.all([
+      supabase.from('farmer_detail').select('farm_latitude, farm_longitude').eq('id', farmerId).maybeSingle(),
+      supabase.from('plant_data').select('plant_id').eq('farmer_id', farmerId)
+    ]);
+    if (farmResult.error) throw farmResult.error;
+    if (plantResult.error) throw plantResult.error;
+
+    const conditions = { month: new Date().getMonth() + 1 };
+
+    const plantIds = (plantResult.data || []).map(plant => plant.plant_id);
+    if (plantIds.length > 0) {
+      const readings = Object.values(groupSeriesByPlant(await fetchStatusHistory(plantIds)))
+        .map(series => parseFloat(series[series.length - 1].soil_ph))
+        .filter(value => !isNaN(value));
+      if (readings.length > 0) {
+        conditions.ph_level = readings.reduce((sum, value) => sum + value, 0) / readings.length;
+      }
+    }
+
+    const farm = farmResult.data;
+    if (farm?.farm_latitude != null && farm?.farm_longitude != null) {
+      try {
+        const { recent } = await fetchFarmWeather({ id: farmerId, ...farm }, { forecastDays: 0 });
+        if (recent.days > 0) {
+          conditions.avg_temperature = recent.temperature;
+          conditions.avg_rainfall = recent.rainfall;
+        }
+      } catch {
+        // Forecast without weather rather than not at all
+      }
+    }
+
+    return conditions;
+  } catch (error) {
+    console.error('Error fetching farm conditions:', error);
+    throw error;
+  }
+};
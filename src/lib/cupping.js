@@ -0,0 +1,382 @@
+// Cupping sessions scored on the SCA cupping form. Each cupper fills in one
+// sheet per lot on the table; the final score is worked out here and stored
+// with the sheet, and a session's sheets are compared to see how closely the
+// cuppers agree (calibration).
+import { supabase } from './supabaseClient';
+
+// Scored 6-10 in quarter points
+export const SCORED_ATTRIBUTES = [
+  { key: 'fragrance', label: 'Fragrance / Aroma' },
+  { key: 'flavor', label: 'Flavor' },
+  { key: 'aftertaste', label: 'Aftertaste' },
+  { key: 'acidity', label: 'Acidity' },
+  { key: 'body', label: 'Body' },
+  { key: 'balance', label: 'Balance' },
+  { key: 'overall', label: 'Overall' }
+];
+
+export const SCORE_RANGE = { min: 6, max: 10, step: 0.25 };
+
+// Earned cup by cup; all cups earning it scores 10
+export const CUP_ATTRIBUTES = [
+  { key: 'uniform_cups', label: 'Uniformity' },
+  { key: 'clean_cups', label: 'Clean Cup' },
+  { key: 'sweet_cups', label: 'Sweetness' }
+];
+
+// Points taken off per affected cup
+export const DEFECT_INTENSITIES = [
+  { key: 'taint_cups', label: 'Taint', points: 2 },
+  { key: 'fault_cups', label: 'Fault', points: 4 }
+];
+
+export const QUALITY_CLASSES = [
+  { min: 90, label: 'Outstanding' },
+  { min: 85, label: 'Excellent' },
+  { min: 80, label: 'Very Good' },
+  { min: 0, label: 'Below Specialty' }
+];
+
+// A cupper whose final scores sit further than this from the panel's, on
+// average, is out of calibration with the rest of the session. The panel's
+// score is its median, so one cupper far off does not pull the others out of
+// line with it.
+export const CALIBRATION_TOLERANCE_PTS = 2;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * SCA quality class of a final score
+ * @param {number} score
+ * @returns {string}
+ */
+export const qualityClass = (score) => QUALITY_CLASSES.find(({ min }) => score >= min).label;
+
+/**
+ * Checks a score sheet before it is saved
+ * @param {Object} sheet - cupper_name and the SCORED_ATTRIBUTES, CUP_ATTRIBUTES and DEFECT_INTENSITIES keys, as entered
+ * @param {number} cupsPerSample
+ * @returns {string|null} What is wrong, or null when the sheet can be saved
+ */
+export const validateScoreSheet = (sheet, cupsPerSample) => {
+  if (!sheet.cupper_name?.trim()) return 'Enter the name of the cupper.';
+
+  for (const { key, label } of SCORED_ATTRIBUTES) {
+    const score = parseFloat(sheet[key]);
+    if (isNaN(score) || score < SCORE_RANGE.min || score > SCORE_RANGE.max) {
+      return `${label} must be scored from ${SCORE_RANGE.min} to ${SCORE_RANGE.max}.`;
+    }
+    if (Math.round(score / SCORE_RANGE.step) * SCORE_RANGE.step !== score) {
+      return `${label} is scored in quarter points.`;
+    }
+  }
+
+  for (const { key, label } of [...CUP_ATTRIBUTES, ...DEFECT_INTENSITIES]) {
+    const cups = Number(sheet[key] === '' ? NaN : sheet[key]);
+    if (!Number.isInteger(cups) || cups < 0 || cups > cupsPerSample) {
+      return `${label} takes a number of cups from 0 to ${cupsPerSample}.`;
+    }
+  }
+
+  const defectiveCups = Number(sheet.taint_cups) + Number(sheet.fault_cups);
+  if (defectiveCups > cupsPerSample) return `Only ${cupsPerSample} cups can carry a taint or fault.`;
+  if (Number(sheet.clean_cups) > cupsPerSample - defectiveCups) return 'A cup with a taint or fault is not a clean cup.';
+  return null;
+};
+
+/**
+ * Final score of a score sheet: the scored attributes, plus 10 for each cup
+ * attribute pro rata to the cups earning it, less the defect points
+ * @param {Object} sheet - Validated with validateScoreSheet
+ * @param {number} cupsPerSample
+ * @returns {{attributes: number, cups: number, defects: number, final: number}}
+ */
+export const calculateFinalScore = (sheet, cupsPerSample) => {
+  const attributes = SCORED_ATTRIBUTES.reduce((sum, { key }) => sum + parseFloat(sheet[key]), 0);
+  const cups = CUP_ATTRIBUTES.reduce((sum, { key }) => sum + Number(sheet[key]) / cupsPerSample * 10, 0);
+  const defects = DEFECT_INTENSITIES.reduce((sum, { key, points }) => sum + Number(sheet[key]) * points, 0);
+  return {
+    attributes: round2(attributes),
+    cups: round2(cups),
+    defects,
+    final: round2(attributes + cups - defects)
+  };
+};
+
+/**
+ * The panel's result for each lot on a session's table
+ * @param {Array<Object>} cuppingLots - cupping_lots rows with their cupping_scores
+ * @returns {Array<{cuppingLotId: string, label: string, sheets: number, score: number|null, spread: number|null, quality: string|null}>}
+ *   spread is the standard deviation of the cuppers' final scores
+ */
+export const summarizeLots = (cuppingLots) => cuppingLots.map(cuppingLot => {
+  const finals = (cuppingLot.cupping_scores || []).map(score => Number(score.final_score));
+  const score = finals.length > 0 ? mean(finals) : null;
+  return {
+    cuppingLotId: cuppingLot.cupping_lot_id,
+    label: cuppingLot.label,
+    sheets: finals.length,
+    score: score === null ? null : round2(score),
+    spread: finals.length > 1 ? round2(Math.sqrt(mean(finals.map(final => (final - score) ** 2)))) : null,
+    quality: score === null ? null : qualityClass(score)
+  };
+});
+
+/**
+ * How far each cupper scored from the panel's median over a session. Only
+ * lots that two or more cuppers scored count.
+ * @param {Array<Object>} cuppingLots - cupping_lots rows with their cupping_scores
+ * @returns {Array<{cupper: string, sheets: number, biasPts: number, meanDeviationPts: number, widestAttribute: {label: string, biasPts: number}|null, outOfLine: boolean}>}
+ *   biasPts is positive for a cupper scoring above the panel
+ */
+export const calibrateSession = (cuppingLots) => {
+  const deviations = {};
+
+  cuppingLots.forEach(cuppingLot => {
+    const sheets = cuppingLot.cupping_scores || [];
+    if (sheets.length < 2) return;
+    const panelFinal = median(sheets.map(sheet => Number(sheet.final_score)));
+    const panelAttributes = Object.fromEntries(SCORED_ATTRIBUTES.map(({ key }) => [key, median(sheets.map(sheet => Number(sheet[key])))]));
+
+    sheets.forEach(sheet => {
+      const entry = deviations[sheet.cupper_name] || (deviations[sheet.cupper_name] = { finals: [], attributes: {} });
+      entry.finals.push(Number(sheet.final_score) - panelFinal);
+      SCORED_ATTRIBUTES.forEach(({ key }) => {
+        (entry.attributes[key] = entry.attributes[key] || []).push(Number(sheet[key]) - panelAttributes[key]);
+      });
+    });
+  });
+
+  return Object.entries(deviations)
+    .map(([cupper, { finals, attributes }]) => {
+      const meanDeviationPts = round2(mean(finals.map(Math.abs)));
+      const widest = SCORED_ATTRIBUTES
+        .map(({ key, label }) => ({ label, biasPts: round2(mean(attributes[key])) }))
+        .sort((a, b) => Math.abs(b.biasPts) - Math.abs(a.biasPts))[0];
+      return {
+        cupper,
+        sheets: finals.length,
+        biasPts: round2(mean(finals)),
+        meanDeviationPts,
+        widestAttribute: widest.biasPts !== 0 ? widest : null,
+        outOfLine: meanDeviationPts > CALIBRATION_TOLERANCE_PTS
+      };
+    })
+    .sort((a, b) => b.meanDeviationPts - a.meanDeviationPts);
+};
+
+/**
+ * A farmer's cup scores, lot by lot, with the harvests each lot came from
+ * @param {Array<Object>} cuppedLots - From fetchFarmerCupScores()
+ * @param {Array<Object>} harvests - The farmer's harvest_data rows
+ * @returns {{count: number, avgScore: number|null, lots: Array<{cuppingLotId: string, lotCode: string, grade: string|null, harvestDates: Array<string>, session: string, heldOn: string, cuppers: number, score: number, quality: string}>}}
+ *   Lots no cupper has scored yet are left out
+ */
+export const summarizeFarmerCupScores = (cuppedLots, harvests) => {
+  const lots = cuppedLots
+    .filter(cuppedLot => (cuppedLot.cupping_scores || []).length > 0)
+    .map(cuppedLot => {
+      const score = round2(mean(cuppedLot.cupping_scores.map(sheet => Number(sheet.final_score))));
+      const harvestIds = new Set((cuppedLot.coffee_lots.coffee_lot_sources || []).map(source => source.harvest_id));
+      return {
+        cuppingLotId: cuppedLot.cupping_lot_id,
+        lotCode: cuppedLot.coffee_lots.lot_code,
+        grade: cuppedLot.coffee_lots.grade,
+        harvestDates: harvests.filter(harvest => harvestIds.has(harvest.harvest_id)).map(harvest => harvest.harvest_date).sort(),
+        session: cuppedLot.cupping_sessions?.name || '',
+        heldOn: cuppedLot.cupping_sessions?.held_on || null,
+        cuppers: cuppedLot.cupping_scores.length,
+        score,
+        quality: qualityClass(score)
+      };
+    });
+
+  return {
+    count: lots.length,
+    avgScore: lots.length > 0 ? round2(mean(lots.map(lot => lot.score))) : null,
+    lots
+  };
+};
+
+/**
+ * Fetches cupping sessions with their lots and score sheets, newest first
+ * @returns {Promise<Array>}
+ */
+export const fetchCuppingSessions = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('cupping_sessions')
+      .select('*, cupping_lots(*, coffee_lots(lot_code, grade, farmer_id), cupping_scores(*))')
+      .order('held_on', { ascending: false })
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return (data || []).map(session => ({
+      ...session,
+      cupping_lots: (session.cupping_lots || []).sort((a, b) => a.label.localeCompare(b.label, undefined, { numeric: true }))
+    }));
+  } catch (error) {
+    console.error('Error fetching cupping sessions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches every farmer's lots that can be put on a cupping table, with the
+ * farmer's name
+ * @returns {Promise<Array>}
+ */
+export const fetchCuppableLots = async () => {
+  try {
+    const [lotResult, userResult] = await Promise.all([
+      supabase
+        .from('coffee_lots')
+        .select('lot_id, lot_code, grade, quantity_kg, farmer_id, created_at')
+        .eq('status', 'active')
+        .order('created_at', { ascending: false }),
+      supabase.from('users').select('id, first_name, last_name')
+    ]);
+    if (lotResult.error) throw lotResult.error;
+    if (userResult.error) throw userResult.error;
+
+    const names = Object.fromEntries((userResult.data || []).map(u => [u.id, `${u.first_name} ${u.last_name}`.trim()]));
+    return (lotResult.data || []).map(lot => ({ ...lot, farmerName: names[lot.farmer_id] || 'Unknown farmer' }));
+  } catch (error) {
+    console.error('Error fetching lots for cupping:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches the cupped lots of one farmer with their sessions, sources and
+ * score sheets, newest session first
+ * @param {string} farmerId - farmer_detail id
+ * @returns {Promise<Array>}
+ */
+export const fetchFarmerCupScores = async (farmerId) => {
+  try {
+    const { data, error } = await supabase
+      .from('cupping_lots')
+      .select('cupping_lot_id, label, cupping_sessions(name, held_on), coffee_lots!inner(lot_code, grade, farmer_id, coffee_lot_sources(harvest_id)), cupping_scores(cupper_name, final_score)')
+      .eq('coffee_lots.farmer_id', farmerId);
+
+    if (error) throw error;
+    return (data || []).sort((a, b) => (b.cupping_sessions?.held_on || '').localeCompare(a.cupping_sessions?.held_on || ''));
+  } catch (error) {
+    console.error('Error fetching cup scores:', error);
+    throw error;
+  }
+};
+
+/**
+ * Creates a cupping session
+ * @param {Object} form - name, held_on, cups_per_sample, notes
+ * @param {string} createdBy - auth user id
+ * @returns {Promise<Object>} The inserted row
+ */
+export const createCuppingSession = async (form, createdBy) => {
+  const cups = Number(form.cups_per_sample);
+  if (!form.name?.trim()) throw new Error('Name the session.');
+  if (!Number.isInteger(cups) || cups < 1 || cups > 10) throw new Error('Brew from 1 to 10 cups per lot.');
+
+  const { data, error } = await supabase
+    .from('cupping_sessions')
+    .insert([{
+      name: form.name.trim(),
+      held_on: form.held_on,
+      cups_per_sample: cups,
+      notes: form.notes?.trim() || null,
+      created_by: createdBy
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Deletes a session with its lots and score sheets
+ * @param {string} sessionId
+ */
+export const deleteCuppingSession = async (sessionId) => {
+  const { error } = await supabase.from('cupping_sessions').delete().eq('session_id', sessionId);
+  if (error) throw error;
+};
+
+/**
+ * Puts a lot on a session's table under a blind label
+ * @param {string} sessionId
+ * @param {string} lotId
+ * @param {string} label
+ * @returns {Promise<Object>} The inserted row
+ */
+export const addLotToSession = async (sessionId, lotId, label) => {
+  if (!label?.trim()) throw new Error('Give the cup a blind label.');
+
+  const { data, error } = await supabase
+    .from('cupping_lots')
+    .insert([{ session_id: sessionId, lot_id: lotId, label: label.trim() }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Takes a lot off a session's table with its score sheets
+ * @param {string} cuppingLotId
+ */
+export const removeLotFromSession = async (cuppingLotId) => {
+  const { error } = await supabase.from('cupping_lots').delete().eq('cupping_lot_id', cuppingLotId);
+  if (error) throw error;
+};
+
+/**
+ * Saves a cupper's score sheet for a lot, replacing the cupper's earlier
+ * sheet for it
+ * @param {string} cuppingLotId
+ * @param {Object} sheet - As entered; score_id when editing a saved sheet
+ * @param {number} cupsPerSample
+ * @param {string} recordedBy - auth user id
+ * @returns {Promise<Object>} The saved row
+ */
+export const saveScoreSheet = async (cuppingLotId, sheet, cupsPerSample, recordedBy) => {
+  const problem = validateScoreSheet(sheet, cupsPerSample);
+  if (problem) throw new Error(problem);
+
+  const row = {
+    cupping_lot_id: cuppingLotId,
+    cupper_name: sheet.cupper_name.trim(),
+    ...Object.fromEntries(SCORED_ATTRIBUTES.map(({ key }) => [key, parseFloat(sheet[key])])),
+    ...Object.fromEntries([...CUP_ATTRIBUTES, ...DEFECT_INTENSITIES].map(({ key }) => [key, Number(sheet[key])])),
+    final_score: calculateFinalScore(sheet, cupsPerSample).final,
+    notes: sheet.notes?.trim() || null,
+    recorded_by: recordedBy,
+    updated_at: new Date().toISOString()
+  };
+
+  const query = sheet.score_id
+    ? supabase.from('cupping_scores').update(row).eq('score_id', sheet.score_id)
+    : supabase.from('cupping_scores').upsert(row, { onConflict: 'cupping_lot_id,cupper_name' });
+  const { data, error } = await query.select().single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Deletes a score sheet
+ * @param {string} scoreId
+ */
+export const deleteScoreSheet = async (scoreId) => {
+  const { error } = await supabase.from('cupping_scores').delete().eq('score_id', scoreId);
+  if (error) throw error;
+};
@@ -0,0 +1,359 @@
+// Defect-count grading of green coffee. A sample (300 g under most national
+// standards, 350 g under SCA) is sorted by hand; each kind of defect is
+// counted and converted to full-defect equivalents, the beans are shaken
+// through screens and the moisture is measured. A grading standard, stored in
+// grading_standards so admins can adjust it, says how many beans of each
+// defect make one full defect and what each grade allows.
+import { supabase } from './supabaseClient';
+import { GRADE_FIELDS } from './harvestMetrics';
+
+export const DEFECT_CATEGORIES = {
+  primary: { label: 'Primary' },
+  secondary: { label: 'Secondary' }
+};
+
+// Screen sizes in 64ths of an inch, largest first; 'below' holds what falls through the smallest
+export const SCREEN_SIZES = [18, 17, 16, 15, 14, 13];
+export const SCREEN_BELOW = 'below';
+
+// What a sample is when it misses every grade of the standard
+export const OFF_GRADE = { key: 'off_grade', label: 'Off-grade' };
+
+const SCA_DEFECTS = [
+  { key: 'full_black', label: 'Full black', category: 'primary', beans_per_full: 1 },
+  { key: 'full_sour', label: 'Full sour', category: 'primary', beans_per_full: 1 },
+  { key: 'dried_cherry', label: 'Dried cherry / pod', category: 'primary', beans_per_full: 1 },
+  { key: 'fungus_damaged', label: 'Fungus damaged', category: 'primary', beans_per_full: 1 },
+  { key: 'foreign_matter', label: 'Foreign matter', category: 'primary', beans_per_full: 1 },
+  { key: 'severe_insect', label: 'Severe insect damage', category: 'primary', beans_per_full: 5 },
+  { key: 'partial_black', label: 'Partial black', category: 'secondary', beans_per_full: 3 },
+  { key: 'partial_sour', label: 'Partial sour', category: 'secondary', beans_per_full: 3 },
+  { key: 'parchment', label: 'Parchment', category: 'secondary', beans_per_full: 5 },
+  { key: 'floater', label: 'Floater', category: 'secondary', beans_per_full: 5 },
+  { key: 'immature', label: 'Immature / unripe', category: 'secondary', beans_per_full: 5 },
+  { key: 'withered', label: 'Withered', category: 'secondary', beans_per_full: 5 },
+  { key: 'shell', label: 'Shell', category: 'secondary', beans_per_full: 5 },
+  { key: 'broken', label: 'Broken / chipped / cut', category: 'secondary', beans_per_full: 5 },
+  { key: 'hull_husk', label: 'Hull / husk', category: 'secondary', beans_per_full: 5 },
+  { key: 'slight_insect', label: 'Slight insect damage', category: 'secondary', beans_per_full: 10 }
+];
+
+// Used when the stored standards cannot be loaded; the grading_standards
+// migration seeds the same two
+export const DEFAULT_GRADING_STANDARDS = [
+  {
+    id: null,
+    key: 'pns',
+    name: 'Philippine National Standard (PNS/BAFS)',
+    description: 'Defect count on a 300 g sample of green coffee beans. Check the limits against the edition your buyers grade to.',
+    sampleWeightG: 300,
+    moistureMin: 10,
+    moistureMax: 13,
+    defects: SCA_DEFECTS,
+    grades: [
+      { grade: 'fine', max_full_defects: 8, max_primary_defects: 0, min_screen: 15, min_screen_pct: 80 },
+      { grade: 'premium', max_full_defects: 15, max_primary_defects: null, min_screen: 14, min_screen_pct: 60 },
+      { grade: 'commercial', max_full_defects: 30, max_primary_defects: null, min_screen: null, min_screen_pct: null }
+    ],
+    position: 1
+  },
+  {
+    id: null,
+    key: 'sca',
+    name: 'SCA green arabica',
+    description: 'Specialty Coffee Association defect count on a 350 g sample. Specialty maps to Fine, Premium to Premium and Exchange to Commercial.',
+    sampleWeightG: 350,
+    moistureMin: 10,
+    moistureMax: 12,
+    defects: SCA_DEFECTS,
+    grades: [
+      { grade: 'fine', max_full_defects: 5, max_primary_defects: 0, min_screen: null, min_screen_pct: null },
+      { grade: 'premium', max_full_defects: 8, max_primary_defects: null, min_screen: null, min_screen_pct: null },
+      { grade: 'commercial', max_full_defects: 23, max_primary_defects: null, min_screen: null, min_screen_pct: null }
+    ],
+    position: 2
+  }
+];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const gradeName = (grade) => GRADE_FIELDS.find(({ key }) => key === grade)?.label || (grade === OFF_GRADE.key ? OFF_GRADE.label : grade);
+
+const parseCount = (value) => (value === '' || value === undefined || value === null ? 0 : Number(value));
+
+/**
+ * Share of a screen analysis that stayed on the given screen or a larger one
+ * @param {Object<string, string|number>} screens - Grams retained by screen size, plus SCREEN_BELOW
+ * @param {number} minScreen
+ * @returns {number|null} Percent, or null when no screen analysis was entered
+ */
+export const screenShareAbove = (screens, minScreen) => {
+  const total = [...SCREEN_SIZES, SCREEN_BELOW].reduce((sum, size) => sum + (parseFloat(screens?.[size]) || 0), 0);
+  if (total <= 0) return null;
+  const retained = SCREEN_SIZES.filter(size => size >= minScreen).reduce((sum, size) => sum + (parseFloat(screens[size]) || 0), 0);
+  return round1(retained / total * 100);
+};
+
+/**
+ * Grades a hand-sorted sample against a standard
+ * @param {Object} standard - A grading standard (see DEFAULT_GRADING_STANDARDS)
+ * @param {Object} sample
+ * @param {string|number} sample.sampleWeightG - Weight of the sample sorted; counts are scaled to the standard's sample weight
+ * @param {Object<string, string|number>} sample.counts - Beans counted by defect key
+ * @param {Object<string, string|number>} [sample.screens] - Grams retained by screen size
+ * @param {string|number} sample.moisturePct
+ * @returns {{grade: string, fullDefects: number, primaryDefects: number, secondaryDefects: number,
+ *   defects: Array<{key: string, label: string, category: string, count: number, fullDefects: number}>,
+ *   moistureOk: boolean, missed: Array<{grade: string, label: string, reasons: string[]}>}|{error: string}}
+ */
+export const gradeByDefects = (standard, { sampleWeightG, counts = {}, screens = {}, moisturePct }) => {
+  const weight = parseFloat(sampleWeightG);
+  const moisture = parseFloat(moisturePct);
+
+  if (isNaN(weight) || weight <= 0) return { error: 'Enter the weight of the sample you sorted.' };
+  if (isNaN(moisture) || moisture < 0 || moisture > 100) return { error: 'Enter the moisture content as a percentage.' };
+  const badCount = standard.defects.find(({ key }) => {
+    const count = parseCount(counts[key]);
+    return isNaN(count) || count < 0 || !Number.isInteger(count);
+  });
+  if (badCount) return { error: `The ${badCount.label.toLowerCase()} count must be a whole number of beans.` };
+
+  // Counts from a sample of another size are scaled to the standard's before
+  // converting, and partial full defects do not count
+  const scale = standard.sampleWeightG / weight;
+  const defects = standard.defects.map(defect => {
+    const count = parseCount(counts[defect.key]);
+    return { ...defect, count, fullDefects: Math.floor(count * scale / defect.beans_per_full + 1e-9) };
+  });
+  const sum = (category) => defects
+    .filter(defect => !category || defect.category === category)
+    .reduce((total, defect) => total + defect.fullDefects, 0);
+  const fullDefects = sum();
+  const primaryDefects = sum('primary');
+  const moistureOk = moisture >= standard.moistureMin && moisture <= standard.moistureMax;
+  const lowestGrade = standard.grades[standard.grades.length - 1]?.grade;
+
+  const missed = [];
+  let grade = OFF_GRADE.key;
+  for (const requirement of standard.grades) {
+    const reasons = [];
+    if (fullDefects > requirement.max_full_defects) {
+      reasons.push(`${fullDefects} full defects, over the limit of ${requirement.max_full_defects}`);
+    }
+    if (requirement.max_primary_defects != null && primaryDefects > requirement.max_primary_defects) {
+      reasons.push(requirement.max_primary_defects === 0
+        ? `${primaryDefects} primary full defect${primaryDefects === 1 ? '' : 's'}, where none are allowed`
+        : `${primaryDefects} primary full defects, over the limit of ${requirement.max_primary_defects}`);
+    }
+    if (requirement.min_screen != null && requirement.min_screen_pct != null) {
+      const share = screenShareAbove(screens, requirement.min_screen);
+      if (share === null) {
+        reasons.push(`no screen analysis to show ${requirement.min_screen_pct}% on screen ${requirement.min_screen} and above`);
+      } else if (share < requirement.min_screen_pct) {
+        reasons.push(`${share}% on screen ${requirement.min_screen} and above, short of ${requirement.min_screen_pct}%`);
+      }
+    }
+    // Coffee outside the moisture range can still sell, but only at the lowest grade
+    if (!moistureOk && requirement.grade !== lowestGrade) {
+      reasons.push(`moisture of ${moisture}% is outside ${standard.moistureMin}-${standard.moistureMax}%`);
+    }
+    if (reasons.length === 0) {
+      grade = requirement.grade;
+      break;
+    }
+    missed.push({ grade: requirement.grade, label: gradeName(requirement.grade), reasons });
+  }
+
+  return {
+    grade,
+    fullDefects,
+    primaryDefects,
+    secondaryDefects: fullDefects - primaryDefects,
+    defects: defects.filter(defect => defect.count > 0).sort((a, b) => b.fullDefects - a.fullDefects),
+    moistureOk,
+    missed
+  };
+};
+
+/**
+ * Plain-language reasons for a defect grade: the grades missed and why, then
+ * the defects that weighed most
+ * @param {Object} result - From gradeByDefects()
+ * @returns {string[]}
+ */
+export const explainDefectGrade = (result) => {
+  const lines = result.missed.map(({ label, reasons }) => `Not ${label}: ${reasons.join('; ')}.`);
+  const drivers = result.defects.filter(defect => defect.fullDefects > 0).slice(0, 3);
+  if (drivers.length > 0) {
+    lines.push(`Most full defects came from ${drivers
+      .map(defect => `${defect.label.toLowerCase()} (${defect.count} bean${defect.count === 1 ? '' : 's'} = ${defect.fullDefects})`)
+      .join(', ')}.`);
+  } else if (result.defects.length > 0) {
+    lines.push('Too few of any one defect were found to make a full defect.');
+  } else {
+    lines.push('No defects were found.');
+  }
+  return lines;
+};
+
+/**
+ * Checks a standard before it is saved
+ * @param {Object} standard
+ * @param {Array<Object>} [standards] - The other standards, to keep keys unique
+ * @returns {Object<string, string>} Messages by field, with defects.<index> and grades.<index>; empty when valid
+ */
+export const validateStandard = (standard, standards = []) => {
+  const errors = {};
+
+  if (!/^[a-z][a-z0-9_]*$/.test(standard.key || '')) {
+    errors.key = 'Use lowercase letters, digits and underscores, starting with a letter.';
+  } else if (standards.some(other => other.key === standard.key && other.id !== standard.id)) {
+    errors.key = 'Another standard already uses this key.';
+  }
+  if (!standard.name?.trim()) errors.name = 'A name is required.';
+  if (!(standard.sampleWeightG > 0)) errors.sampleWeightG = 'The sample weight must be greater than zero.';
+  if (isNaN(standard.moistureMin) || isNaN(standard.moistureMax) || standard.moistureMin < 0 || standard.moistureMax > 100 ||
+      standard.moistureMin > standard.moistureMax) {
+    errors.moisture = 'Enter a moisture range between 0 and 100%, lowest first.';
+  }
+
+  if (!standard.defects?.length) {
+    errors.defects = 'Add at least one defect.';
+  } else {
+    const keys = standard.defects.map(defect => defect.key);
+    standard.defects.forEach((defect, index) => {
+      let message = null;
+      if (!/^[a-z][a-z0-9_]*$/.test(defect.key || '')) message = 'Give the defect a key of lowercase letters, digits and underscores.';
+      else if (keys.indexOf(defect.key) !== index) message = 'Another defect already uses this key.';
+      else if (!defect.label?.trim()) message = 'Name the defect.';
+      else if (!DEFECT_CATEGORIES[defect.category]) message = 'Choose primary or secondary.';
+      else if (!(defect.beans_per_full > 0)) message = 'Beans per full defect must be greater than zero.';
+      if (message) errors[`defects.${index}`] = message;
+    });
+  }
+
+  if (!standard.grades?.length) {
+    errors.grades = 'Add at least one grade.';
+  } else {
+    const grades = standard.grades.map(requirement => requirement.grade);
+    standard.grades.forEach((requirement, index) => {
+      const previous = standard.grades[index - 1];
+      let message = null;
+      if (!GRADE_FIELDS.some(({ key }) => key === requirement.grade)) message = 'Choose a grade.';
+      else if (grades.indexOf(requirement.grade) !== index) message = 'Each grade can only be listed once.';
+      else if (!Number.isInteger(requirement.max_full_defects) || requirement.max_full_defects < 0) message = 'The full defect limit must be a whole number.';
+      else if (previous && requirement.max_full_defects < previous.max_full_defects) message = 'List grades best first; a lower grade cannot allow fewer defects.';
+      else if (requirement.max_primary_defects != null && (!Number.isInteger(requirement.max_primary_defects) || requirement.max_primary_defects < 0)) {
+        message = 'The primary defect limit must be a whole number, or empty for no limit.';
+      } else if ((requirement.min_screen == null) !== (requirement.min_screen_pct == null)) {
+        message = 'Give both a screen size and the share that must stay on it, or neither.';
+      } else if (requirement.min_screen != null && (!SCREEN_SIZES.includes(requirement.min_screen) || !(requirement.min_screen_pct > 0 && requirement.min_screen_pct <= 100))) {
+        message = `Choose a screen from ${SCREEN_SIZES[SCREEN_SIZES.length - 1]} to ${SCREEN_SIZES[0]} and a share up to 100%.`;
+      }
+      if (message) errors[`grades.${index}`] = message;
+    });
+  }
+
+  return errors;
+};
+
+const toStandard = (row) => ({
+  id: row.standard_id,
+  key: row.standard_key,
+  name: row.name,
+  description: row.description || '',
+  sampleWeightG: Number(row.sample_weight_g),
+  moistureMin: Number(row.moisture_min),
+  moistureMax: Number(row.moisture_max),
+  defects: row.defects || [],
+  grades: row.grades || [],
+  position: row.position
+});
+
+/**
+ * Fetches the stored grading standards in display order
+ * @returns {Promise<Array<Object>>}
+ */
+export const fetchGradingStandards = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('grading_standards')
+      .select('*')
+      .order('position', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(toStandard);
+  } catch (error) {
+    console.error('Error fetching grading standards:', error);
+    throw error;
+  }
+};
+
+let cachedStandards = null;
+
+/**
+ * The standards the grader offers, fetched once per session. Falls back to
+ * DEFAULT_GRADING_STANDARDS when they cannot be loaded so grading works offline.
+ * @returns {Promise<Array<Object>>}
+ */
+export const getGradingStandards = () => {
+  if (!cachedStandards) {
+    cachedStandards = fetchGradingStandards()
+      .then(standards => (standards.length > 0 ? standards : DEFAULT_GRADING_STANDARDS))
+      .catch(() => {
+        cachedStandards = null;
+        return DEFAULT_GRADING_STANDARDS;
+      });
+  }
+  return cachedStandards;
+};
+
+/**
+ * Saves a new or changed standard
+ * @param {Object} standard
+ * @param {Array<Object>} standards - All current standards, for validation
+ * @param {string} [updatedBy] - Admin user id
+ * @returns {Promise<Object>} The saved standard
+ */
+export const saveGradingStandard = async (standard, standards, updatedBy) => {
+  const errors = validateStandard(standard, standards);
+  if (Object.keys(errors).length > 0) {
+    throw new Error(Object.values(errors)[0]);
+  }
+
+  const row = {
+    standard_key: standard.key,
+    name: standard.name.trim(),
+    description: standard.description?.trim() || null,
+    sample_weight_g: standard.sampleWeightG,
+    moisture_min: standard.moistureMin,
+    moisture_max: standard.moistureMax,
+    defects: standard.defects.map(defect => ({ ...defect, label: defect.label.trim() })),
+    grades: standard.grades,
+    position: standard.position ?? Math.max(0, ...standards.map(s => s.position || 0)) + 1,
+    updated_by: updatedBy || null,
+    updated_at: new Date().toISOString()
+  };
+
+  const query = standard.id
+    ? supabase.from('grading_standards').update(row).eq('standard_id', standard.id)
+    : supabase.from('grading_standards').insert(row);
+  const { data, error } = await query.select().single();
+
+  if (error) throw error;
+  cachedStandards = null;
+  return toStandard(data);
+};
+
+/**
+ * @param {string} standardId
+ */
+export const deleteGradingStandard = async (standardId) => {
+  const { error } = await supabase
+    .from('grading_standards')
+    .delete()
+    .eq('standard_id', standardId);
+
+  if (error) throw error;
+  cachedStandards = null;
+};
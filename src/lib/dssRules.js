@@ -0,0 +1,621 @@
+// DSS rules: the thresholds behind every recommendation the app gives, stored
+// in dss_rules so agronomists can tune the advice without a code change. A rule
+// fires when all of its conditions hold for the facts of one farm, plant or set
+// of growing conditions; DSS Insights, DSS Recommendations, plant analytics and
+// the DecisionSupportSystem all evaluate the same rules. A condition can compare
+// a fact to the coffee variety's own target (ref: 'ph.min') instead of a fixed
+// number, so the same rule advises Arabica and Robusta farms differently.
+import { supabase } from './supabaseClient';
+import { COFFEE_SPECIES, DEFAULT_VARIETY, VARIETY_RANGES, getVariety, predominantVariety, varietyTarget, varietyValueRefs } from './coffeeVarieties';
+import { summarizeHarvests } from './harvestMetrics';
+import { fetchStatusHistory, getFieldTrend, groupSeriesByPlant } from './plantStatusService';
+import { fetchFarmWeather } from './weather';
+
+export const RULE_SEVERITIES = {
+  critical: { label: 'Critical', rank: 0 },
+  high: { label: 'High', rank: 1 },
+  medium: { label: 'Medium', rank: 2 },
+  low: { label: 'Low', rank: 3 }
+};
+
+// The facts each scope's rules can test. Text facts list the values they take.
+// Every scope's facts also carry the variety, a COFFEE_VARIETIES entry, which
+// condition refs and {{variety.name}}-style placeholders read from.
+export const RULE_SCOPES = {
+  farm: {
+    label: 'Farm',
+    description: 'Yield, grade and land use across a farm. Shown on DSS Insights and DSS Recommendations, and can be assigned as action items.',
+    fields: {
+      yieldPerTree: { label: 'Yield per tree', unit: 'kg' },
+      premiumPercentage: { label: 'Premium grade', unit: '%' },
+      totalTrees: { label: 'Total trees', unit: 'trees' },
+      farmSize: { label: 'Farm size', unit: 'ha' },
+      treeDensity: { label: 'Tree density', unit: 'trees/ha' },
+      elevation: { label: 'Elevation', unit: 'm' },
+      harvestCount: { label: 'Harvests recorded', unit: '' },
+      totalDryYield: { label: 'Total dry yield', unit: 'kg' },
+      species: { label: 'Main coffee species', options: Object.keys(COFFEE_SPECIES) }
+    }
+  },
+  plant: {
+    label: 'Plant',
+    description: 'One plant from its latest status, history and the farm forecast. Shown in plant analytics, where the penalty comes off the health score.',
+    fields: {
+      ageYears: { label: 'Plant age', unit: 'years' },
+      status: { label: 'Status', options: ['healthy', 'diseased', 'pest-affected', 'stressed'] },
+      soilPh: { label: 'Soil pH', unit: '' },
+      phTrend: { label: 'Soil pH trend', options: ['increasing', 'stable', 'decreasing'] },
+      phTrendPerMonth: { label: 'Soil pH change per month', unit: '' },
+      phTrendPoints: { label: 'Soil pH readings', unit: '' },
+      moistureLevel: { label: 'Soil moisture', options: ['dry', 'moist', 'wet'] },
+      forecastTemperature: { label: 'Forecast mean temperature', unit: '°C' },
+      forecastRainfall: { label: 'Forecast rainfall, next 7 days', unit: 'mm' },
+      species: { label: 'Coffee species', options: Object.keys(COFFEE_SPECIES) }
+    }
+  },
+  conditions: {
+    label: 'Growing conditions',
+    description: 'Temperature, humidity and soil pH readings in the predictive analytics insights. The penalty adds to the risk score.',
+    fields: {
+      temperature: { label: 'Temperature', unit: '°C' },
+      humidity: { label: 'Humidity', unit: '%' },
+      pH: { label: 'Soil pH', unit: '' },
+      growthTrend: { label: 'Growth trend', options: ['increasing', 'stable', 'decreasing'] },
+      species: { label: 'Main coffee species', options: Object.keys(COFFEE_SPECIES) }
+    }
+  }
+};
+
+export const RULE_OPERATORS = {
+  lt: { label: '<', test: (fact, c) => fact < c.value },
+  lte: { label: '≤', test: (fact, c) => fact <= c.value },
+  gt: { label: '>', test: (fact, c) => fact > c.value },
+  gte: { label: '≥', test: (fact, c) => fact >= c.value },
+  between: { label: 'between', range: true, test: (fact, c) => fact >= c.min && fact <= c.max },
+  outside: { label: 'outside', range: true, test: (fact, c) => fact < c.min || fact > c.max },
+  is: { label: 'is', text: true, test: (fact, c) => fact === c.value },
+  is_not: { label: 'is not', text: true, test: (fact, c) => fact !== c.value }
+};
+
+// The rules the app shipped with, seeded into dss_rules by its migration and
+// used whenever the stored rules cannot be loaded
+export const DEFAULT_DSS_RULES = [
+  {
+    key: 'low_yield_per_tree', scope: 'farm', severity: 'critical', category: 'Yield',
+    conditions: [{ field: 'yieldPerTree', op: 'lt', ref: 'yieldPerTree' }],
+    issue: 'Low yield per tree - below the {{variety.yieldPerTree}} kg expected of {{variety.name}}',
+    action: 'Implement proper fertilization and pruning techniques',
+    impact: 'Potential 20-30% yield increase',
+    metric: 'yield_per_tree', penalty: 0
+  },
+  {
+    key: 'low_premium_share', scope: 'farm', severity: 'high', category: 'Quality',
+    conditions: [{ field: 'premiumPercentage', op: 'lt', value: 30 }],
+    issue: 'Low premium grade percentage',
+    action: 'Improve cherry selection and processing methods',
+    impact: 'Increase premium grade ratio by 15-20%',
+    metric: 'premium_percentage', penalty: 0
+  },
+  {
+    key: 'low_tree_density', scope: 'farm', severity: 'medium', category: 'Farm Utilization',
+    conditions: [{ field: 'treeDensity', op: 'lt', value: 1000 }],
+    issue: 'Low tree density',
+    action: 'Consider planting more trees in available space',
+    impact: 'Optimize land usage and increase total yield',
+    metric: 'tree_density', penalty: 0
+  },
+  {
+    key: 'low_harvest_frequency', scope: 'farm', severity: 'high', category: 'Harvest Management',
+    conditions: [{ field: 'harvestCount', op: 'lt', value: 2 }, { field: 'totalDryYield', op: 'gt', value: 0 }],
+    issue: 'Low harvest frequency',
+    action: 'Implement regular harvest schedules',
+    impact: 'Better yield distribution and quality control',
+    metric: 'harvests_per_season', penalty: 0
+  },
+  {
+    key: 'low_elevation', scope: 'farm', severity: 'medium', category: 'Environment',
+    conditions: [{ field: 'elevation', op: 'lt', ref: 'elevation.min' }],
+    issue: 'Low elevation farming - {{variety.name}} grows best from {{variety.elevation.min}} m',
+    action: 'Implement shade management techniques',
+    impact: 'Improve coffee quality and plant health',
+    metric: 'premium_percentage', penalty: 0
+  },
+  {
+    key: 'young_plant', scope: 'plant', severity: 'low', category: 'Age',
+    conditions: [{ field: 'ageYears', op: 'lt', ref: 'maturityYears' }],
+    issue: 'Young plant - requires careful nurturing until {{variety.name}} bears at about {{variety.maturityYears}} years',
+    action: 'Monitor plant health and maintain regular care',
+    impact: '', metric: null, penalty: 10
+  },
+  {
+    key: 'aging_plant', scope: 'plant', severity: 'medium', category: 'Age',
+    conditions: [{ field: 'ageYears', op: 'gt', value: 20 }],
+    issue: 'Aging plant - may have reduced yield',
+    action: 'Consider stumping or replacing the plant to restore yield',
+    impact: '', metric: null, penalty: 20
+  },
+  {
+    key: 'soil_ph_acidic', scope: 'plant', severity: 'medium', category: 'Soil',
+    conditions: [{ field: 'soilPh', op: 'lt', ref: 'ph.min' }],
+    issue: 'Soil pH is too acidic ({{soilPh}}). Optimal range for {{variety.name}} is {{variety.ph.min}}-{{variety.ph.max}}',
+    action: 'Apply agricultural lime to raise soil pH',
+    impact: '', metric: null, penalty: 15
+  },
+  {
+    key: 'soil_ph_alkaline', scope: 'plant', severity: 'medium', category: 'Soil',
+    conditions: [{ field: 'soilPh', op: 'gt', ref: 'ph.max' }],
+    issue: 'Soil pH is too alkaline ({{soilPh}}). Optimal range for {{variety.name}} is {{variety.ph.min}}-{{variety.ph.max}}',
+    action: 'Apply sulfur or ammonium-based fertilizers to lower soil pH',
+    impact: '', metric: null, penalty: 15
+  },
+  {
+    key: 'soil_acidifying', scope: 'plant', severity: 'medium', category: 'Soil',
+    conditions: [{ field: 'phTrend', op: 'is', value: 'decreasing' }],
+    issue: 'Soil pH is falling ({{phTrendPerMonth}} per month over {{phTrendPoints}} readings) - soil is acidifying',
+    action: 'Schedule liming and reduce ammonium-based fertilizers to halt soil acidification',
+    impact: '', metric: null, penalty: 5
+  },
+  {
+    key: 'dry_soil', scope: 'plant', severity: 'high', category: 'Water',
+    conditions: [{ field: 'moistureLevel', op: 'is', value: 'dry' }],
+    issue: 'Low soil moisture - risk of drought stress',
+    action: 'Increase irrigation frequency and consider mulching',
+    impact: '', metric: null, penalty: 20
+  },
+  {
+    key: 'diseased_plant', scope: 'plant', severity: 'critical', category: 'Health',
+    conditions: [{ field: 'status', op: 'is', value: 'diseased' }],
+    issue: 'Plant is currently diseased - requires immediate attention',
+    action: 'Apply fungicide treatment and improve air circulation',
+    impact: '', metric: null, penalty: 25
+  },
+  {
+    key: 'pest_affected_plant', scope: 'plant', severity: 'high', category: 'Health',
+    conditions: [{ field: 'status', op: 'is', value: 'pest-affected' }],
+    issue: 'Plant is affected by pests - requires treatment',
+    action: 'Implement integrated pest management strategies',
+    impact: '', metric: null, penalty: 20
+  },
+  {
+    key: 'heat_forecast', scope: 'plant', severity: 'medium', category: 'Weather',
+    conditions: [{ field: 'forecastTemperature', op: 'gt', ref: 'temperature.max' }],
+    issue: 'High temperature forecast - risk of heat stress above the {{variety.temperature.max}}°C {{variety.name}} grows best under',
+    action: 'Provide additional shade and increase irrigation',
+    impact: '', metric: null, penalty: 10
+  },
+  {
+    key: 'dry_forecast', scope: 'plant', severity: 'medium', category: 'Weather',
+    conditions: [{ field: 'forecastRainfall', op: 'lt', value: 125 }],
+    issue: 'Low rainfall forecast - irrigation may be needed',
+    action: 'Set up irrigation system and apply mulch for water retention',
+    impact: '', metric: null, penalty: 10
+  },
+  {
+    key: 'cold_conditions', scope: 'conditions', severity: 'high', category: 'Temperature',
+    conditions: [{ field: 'temperature', op: 'lt', ref: 'temperature.min' }],
+    issue: 'Temperature is too low for {{variety.name}}',
+    action: 'Consider increasing greenhouse temperature.',
+    impact: '', metric: null, penalty: 25
+  },
+  {
+    key: 'hot_conditions', scope: 'conditions', severity: 'high', category: 'Temperature',
+    conditions: [{ field: 'temperature', op: 'gt', ref: 'temperature.max' }],
+    issue: 'Temperature is too high for {{variety.name}}',
+    action: 'Consider cooling measures.',
+    impact: '', metric: null, penalty: 25
+  },
+  {
+    key: 'dry_air', scope: 'conditions', severity: 'medium', category: 'Humidity',
+    conditions: [{ field: 'humidity', op: 'lt', value: 60 }],
+    issue: 'Humidity is low',
+    action: 'Consider increasing misting frequency.',
+    impact: '', metric: null, penalty: 25
+  },
+  {
+    key: 'humid_air', scope: 'conditions', severity: 'high', category: 'Humidity',
+    conditions: [{ field: 'humidity', op: 'gt', value: 80 }],
+    issue: 'Humidity is too high',
+    action: 'Improve ventilation.',
+    impact: '', metric: null, penalty: 25
+  },
+  {
+    key: 'acidic_conditions', scope: 'conditions', severity: 'medium', category: 'Soil',
+    conditions: [{ field: 'pH', op: 'lt', ref: 'ph.min' }],
+    issue: 'Soil pH is too acidic for {{variety.name}}',
+    action: 'Consider pH adjustment.',
+    impact: '', metric: null, penalty: 25
+  },
+  {
+    key: 'alkaline_conditions', scope: 'conditions', severity: 'medium', category: 'Soil',
+    conditions: [{ field: 'pH', op: 'gt', ref: 'ph.max' }],
+    issue: 'Soil pH is too alkaline for {{variety.name}}',
+    action: 'Consider pH adjustment.',
+    impact: '', metric: null, penalty: 25
+  },
+  {
+    key: 'declining_growth', scope: 'conditions', severity: 'high', category: 'Growth',
+    conditions: [{ field: 'growthTrend', op: 'is', value: 'decreasing' }],
+    issue: 'Growth rate is declining',
+    action: 'Review recent environmental changes.',
+    impact: '', metric: null, penalty: 25
+  }
+].map((rule, index) => ({ id: null, enabled: true, position: index + 1, ...rule }));
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const roundFact = (value) => (typeof value === 'number' ? Math.round(value * 100) / 100 : value);
+
+// Reads a fact or a dotted path into one, e.g. variety.ph.min
+const factAt = (facts, path) => path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), facts);
+
+// Fills {{fact}} placeholders in a rule's text with the facts it fired on
+const fillFacts = (text, facts) => (text || '').replace(PLACEHOLDER, (match, path) => {
+  const value = factAt(facts, path);
+  return value === null || value === undefined || typeof value === 'object' ? '' : String(roundFact(value));
+});
+
+// The numbers a condition compares with: its own, or the variety's target it refers to
+const boundsOf = (condition, variety) => {
+  if (!condition.ref) return condition;
+  const target = varietyTarget(variety || DEFAULT_VARIETY, condition.ref);
+  return RULE_OPERATORS[condition.op]?.range ? target || {} : { value: target };
+};
+
+// A condition on a fact that is missing never holds, so a farm without a size
+// is never told its tree density is low
+const conditionHolds = (condition, facts) => {
+  const fact = facts[condition.field];
+  const operator = RULE_OPERATORS[condition.op];
+  if (!operator || fact === null || fact === undefined || fact === '' || Number.isNaN(fact)) return false;
+  return operator.test(fact, boundsOf(condition, facts.variety));
+};
+
+/**
+ * Runs one scope's enabled rules against a set of facts
+ * @param {Array<Object>} rules - From fetchDssRules() or DEFAULT_DSS_RULES
+ * @param {string} scope - RULE_SCOPES key
+ * @param {Object} facts - Values for the scope's fields, e.g. from farmFacts()
+ * @returns {Array<{key: string, severity: string, category: string, issue: string, action: string,
+ *   impact: string, metric: string|null, penalty: number}>} The rules that fired in rule order, with their text filled in
+ */
+export const evaluateRules = (rules, scope, facts) => {
+  return rules
+    .filter(rule => rule.enabled && rule.scope === scope && rule.conditions.length > 0)
+    .filter(rule => rule.conditions.every(condition => conditionHolds(condition, facts)))
+    .sort((a, b) => a.position - b.position)
+    .map(rule => ({
+      key: rule.key,
+      severity: rule.severity,
+      category: rule.category,
+      issue: fillFacts(rule.issue, facts),
+      action: fillFacts(rule.action, facts),
+      impact: fillFacts(rule.impact, facts),
+      metric: rule.metric || null,
+      penalty: Number(rule.penalty) || 0
+    }));
+};
+
+/**
+ * Farm facts from the metrics the DSS pages already compute
+ * @param {Object} metrics - yieldPerTree, premiumPercentage, totalTrees, farmSize, elevation, harvestCount, totalDryYield,
+ *   and variety, the farm's predominantVariety(); generic Arabica when left out
+ * @returns {Object}
+ */
+export const farmFacts = ({ yieldPerTree, premiumPercentage, totalTrees, farmSize, elevation, harvestCount, totalDryYield, variety = DEFAULT_VARIETY }) => ({
+  yieldPerTree,
+  premiumPercentage,
+  totalTrees,
+  farmSize: farmSize || null,
+  treeDensity: farmSize && totalTrees ? totalTrees / farmSize : null,
+  elevation: elevation ?? null,
+  harvestCount,
+  totalDryYield,
+  species: variety.species,
+  variety
+});
+
+/**
+ * Plant facts from its record, variety, latest status and status history
+ * @param {Object} params
+ * @param {Object} params.plant - plant_data row
+ * @param {Object} [params.status] - Latest plant_status row
+ * @param {Array} [params.series] - Effective status history, oldest first
+ * @param {Object} [params.forecast] - Forecast summary from fetchFarmWeather()
+ * @param {Date} [params.now]
+ * @returns {Object}
+ */
+export const plantFacts = ({ plant, status = null, series = [], forecast = null, now = new Date() }) => {
+  const variety = getVariety(plant?.coffee_variety);
+  const plantingDate = plant?.planting_date ? new Date(plant.planting_date) : null;
+  const soilPh = status?.soil_ph === null || status?.soil_ph === undefined || status?.soil_ph === ''
+    ? null
+    : parseFloat(status.soil_ph);
+  const trend = getFieldTrend(series, 'soil_ph');
+  return {
+    ageYears: plantingDate ? (now - plantingDate) / (1000 * 60 * 60 * 24 * 365) : null,
+    status: status?.status || null,
+    soilPh: Number.isNaN(soilPh) ? null : soilPh,
+    phTrend: trend?.direction || null,
+    phTrendPerMonth: trend?.perMonth ?? null,
+    phTrendPoints: trend?.points ?? null,
+    moistureLevel: status?.moisture_level || null,
+    forecastTemperature: forecast?.days > 0 ? forecast.temperature : null,
+    forecastRainfall: forecast?.days > 0 ? forecast.rainfall : null,
+    species: variety.species,
+    variety
+  };
+};
+
+/**
+ * Growing-conditions facts from current readings
+ * @param {Object} readings - temperature, humidity, pH and growthTrend, any of which may be null
+ * @param {Object} [variety] - The farm's predominantVariety(); generic Arabica when left out
+ * @returns {Object}
+ */
+export const conditionFacts = ({ temperature = null, humidity = null, pH = null, growthTrend = null }, variety = DEFAULT_VARIETY) => ({
+  temperature,
+  humidity,
+  pH,
+  growthTrend,
+  species: variety.species,
+  variety
+});
+
+// {{variety.name}}, {{variety.ph.min}} and the like, but not a whole range
+const isVarietyPlaceholder = (name) => name.startsWith('variety.') &&
+  ['string', 'number'].includes(typeof factAt({ variety: DEFAULT_VARIETY }, name));
+
+/**
+ * Checks a rule before it is saved
+ * @param {Object} rule
+ * @param {Array<Object>} [rules] - The other rules, to keep keys unique
+ * @returns {Object<string, string>} Messages by field, with conditions as conditions.<index>; empty when valid
+ */
+export const validateRule = (rule, rules = []) => {
+  const errors = {};
+  const scope = RULE_SCOPES[rule.scope];
+
+  if (!/^[a-z][a-z0-9_]*$/.test(rule.key || '')) {
+    errors.key = 'Use lowercase letters, digits and underscores, starting with a letter.';
+  } else if (rules.some(other => other.key === rule.key && other.id !== rule.id)) {
+    errors.key = 'Another rule already uses this key.';
+  }
+  if (!scope) errors.scope = 'Choose where the rule applies.';
+  if (!RULE_SEVERITIES[rule.severity]) errors.severity = 'Choose a severity.';
+  if (!rule.category?.trim()) errors.category = 'A category is required.';
+  if (!rule.issue?.trim()) errors.issue = 'Describe the issue the rule detects.';
+  if (!rule.action?.trim()) errors.action = 'Say what the farmer should do.';
+  if (rule.penalty !== '' && rule.penalty !== null && (isNaN(Number(rule.penalty)) || Number(rule.penalty) < 0 || Number(rule.penalty) > 100)) {
+    errors.penalty = 'The penalty must be between 0 and 100.';
+  }
+
+  if (!rule.conditions?.length) {
+    errors.conditions = 'Add at least one condition.';
+  } else if (scope) {
+    rule.conditions.forEach((condition, index) => {
+      const field = scope.fields[condition.field];
+      const operator = RULE_OPERATORS[condition.op];
+      let message = null;
+      if (!field) {
+        message = 'Choose a fact to test.';
+      } else if (!operator) {
+        message = 'Choose a comparison.';
+      } else if (Boolean(field.options) !== Boolean(operator.text)) {
+        message = field.options ? 'Text facts can only be compared with is or is not.' : 'Compare numbers with <, ≤, >, ≥, between or outside.';
+      } else if (field.options) {
+        if (!field.options.includes(condition.value)) message = `Choose one of ${field.options.join(', ')}.`;
+      } else if (condition.ref) {
+        const known = operator.range ? Boolean(VARIETY_RANGES[condition.ref]) : Boolean(varietyValueRefs()[condition.ref]);
+        if (!known) message = 'Choose a variety target to compare with.';
+      } else if (operator.range) {
+        if (typeof condition.min !== 'number' || typeof condition.max !== 'number' || isNaN(condition.min) || isNaN(condition.max)) {
+          message = 'Enter both ends of the range.';
+        } else if (condition.min > condition.max) {
+          message = 'The lower end must not be above the upper end.';
+        }
+      } else if (typeof condition.value !== 'number' || isNaN(condition.value)) {
+        message = 'Enter a number.';
+      }
+      if (message) errors[`conditions.${index}`] = message;
+    });
+  }
+
+  const placeholders = `${rule.issue || ''} ${rule.action || ''} ${rule.impact || ''}`.match(PLACEHOLDER) || [];
+  const unknown = placeholders.map(p => p.replace(/[{}\s]/g, '')).filter(name => scope && !scope.fields[name] && !isVarietyPlaceholder(name));
+  if (unknown.length > 0) errors.text = `Unknown placeholder${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}.`;
+
+  return errors;
+};
+
+const toRule = (row) => ({
+  id: row.rule_id,
+  key: row.rule_key,
+  scope: row.scope,
+  enabled: row.enabled,
+  severity: row.severity,
+  category: row.category,
+  conditions: row.conditions || [],
+  issue: row.issue,
+  action: row.action,
+  impact: row.impact || '',
+  metric: row.metric,
+  penalty: Number(row.penalty) || 0,
+  position: row.position
+});
+
+/**
+ * Fetches the stored rules in evaluation order
+ * @returns {Promise<Array<Object>>}
+ */
+export const fetchDssRules = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('dss_rules')
+      .select('*')
+      .order('position', { ascending: true });
+
+    if (error) throw error;
+    return (data || []).map(toRule);
+  } catch (error) {
+    console.error('Error fetching DSS rules:', error);
+    throw error;
+  }
+};
+
+let cachedRules = null;
+
+/**
+ * The rules the DSS modules evaluate, fetched once per session. Falls back to
+ * DEFAULT_DSS_RULES when they cannot be loaded so advice still shows offline.
+ * @returns {Promise<Array<Object>>}
+ */
+export const getDssRules = () => {
+  if (!cachedRules) {
+    cachedRules = fetchDssRules().catch(() => {
+      cachedRules = null;
+      return DEFAULT_DSS_RULES;
+    });
+  }
+  return cachedRules;
+};
+
+/**
+ * Saves a new or changed rule
+ * @param {Object} rule
+ * @param {Array<Object>} rules - All current rules, for validation
+ * @param {string} [updatedBy] - Admin user id
+ * @returns {Promise<Object>} The saved rule
+ */
+export const saveDssRule = async (rule, rules, updatedBy) => {
+  const errors = validateRule(rule, rules);
+  if (Object.keys(errors).length > 0) {
+    throw new Error(Object.values(errors)[0]);
+  }
+
+  const row = {
+    rule_key: rule.key,
+    scope: rule.scope,
+    enabled: rule.enabled,
+    severity: rule.severity,
+    category: rule.category.trim(),
+    conditions: rule.conditions,
+    issue: rule.issue.trim(),
+    action: rule.action.trim(),
+    impact: rule.impact?.trim() || null,
+    metric: rule.scope === 'farm' ? rule.metric || null : null,
+    penalty: Number(rule.penalty) || 0,
+    position: rule.position ?? Math.max(0, ...rules.map(r => r.position || 0)) + 1,
+    updated_by: updatedBy || null,
+    updated_at: new Date().toISOString()
+  };
+
+  const query = rule.id
+    ? supabase.from('dss_rules').update(row).eq('rule_id', rule.id)
+    : supabase.from('dss_rules').insert(row);
+  const { data, error } = await query.select().single();
+
+  if (error) throw error;
+  cachedRules = null;
+  return toRule(data);
+};
+
+/**
+ * @param {string} ruleId
+ */
+export const deleteDssRule = async (ruleId) => {
+  const { error } = await supabase
+    .from('dss_rules')
+    .delete()
+    .eq('rule_id', ruleId);
+
+  if (error) throw error;
+  cachedRules = null;
+};
+
+/**
+ * Evaluates a rule set against one farmer's records, for previewing edits
+ * before they are saved
+ * @param {string} farmerId
+ * @param {Array<Object>} rules - The rules to try, saved or not
+ * @returns {Promise<{farm: {facts: Object, results: Array}, plants: Array<{plant: Object, facts: Object, results: Array}>,
+ *   conditions: {facts: Object, results: Array}}>}
+ */
+export const previewRulesForFarmer = async (farmerId, rules) => {
+  try {
+    const [detailResult, plantResult, harvestResult] = await Promise.all([
+      supabase.from('farmer_detail').select('*').eq('id', farmerId).maybeSingle(),
+      supabase.from('plant_data').select('*').eq('farmer_id', farmerId),
+      supabase.from('harvest_data').select('*').eq('farmer_id', farmerId)
+    ]);
+    if (detailResult.error) throw detailResult.error;
+    if (plantResult.error) throw plantResult.error;
+    if (harvestResult.error) throw harvestResult.error;
+
+    const farm = detailResult.data || {};
+    const plants = plantResult.data || [];
+    const harvests = harvestResult.data || [];
+    const seriesByPlant = groupSeriesByPlant(await fetchStatusHistory(plants.map(p => p.plant_id)));
+
+    const totalTrees = plants.reduce((sum, p) => sum + (p.number_of_tree_planted || 0), 0);
+    const totals = summarizeHarvests(harvests);
+    const variety = predominantVariety(plants);
+    const facts = farmFacts({
+      yieldPerTree: totalTrees > 0 ? totals.dryKg / totalTrees : 0,
+      premiumPercentage: totals.dryKg > 0 ? (totals.gradeKg.premium / totals.dryKg) * 100 : 0,
+      totalTrees,
+      farmSize: farm.farm_size,
+      elevation: farm.farm_elevation,
+      harvestCount: harvests.length,
+      totalDryYield: totals.dryKg,
+      variety
+    });
+
+    let weather = null;
+    if (farm.farm_latitude != null && farm.farm_longitude != null) {
+      weather = await fetchFarmWeather(farm).catch(() => null);
+    }
+
+    const plantResults = plants.map(plant => {
+      const series = seriesByPlant[plant.plant_id] || [];
+      const plantFactValues = plantFacts({ plant, status: series[series.length - 1], series, forecast: weather?.forecast });
+      return { plant, facts: plantFactValues, results: evaluateRules(rules, 'plant', plantFactValues) };
+    });
+
+    const latestPh = plantResults.map(p => p.facts.soilPh).filter(value => value !== null);
+    const readings = conditionFacts({
+      temperature: weather?.recent.days > 0 ? weather.recent.temperature : null,
+      humidity: weather?.recent.days > 0 ? weather.recent.humidity : null,
+      pH: latestPh.length > 0 ? latestPh.reduce((sum, value) => sum + value, 0) / latestPh.length : null
+    }, variety);
+
+    return {
+      farm: { facts, results: evaluateRules(rules, 'farm', facts) },
+      plants: plantResults,
+      conditions: { facts: readings, results: evaluateRules(rules, 'conditions', readings) }
+    };
+  } catch (error) {
+    console.error('Error previewing DSS rules:', error);
+    throw error;
+  }
+};
+
+/**
+ * Reads a condition back as text, e.g. "Yield per tree < 2 kg" or
+ * "Soil pH < Soil pH minimum (variety)"
+ * @param {string} scope - RULE_SCOPES key
+ * @param {Object} condition
+ * @returns {string}
+ */
+export const describeCondition = (scope, condition) => {
+  const field = RULE_SCOPES[scope]?.fields[condition.field];
+  const operator = RULE_OPERATORS[condition.op];
+  if (!field || !operator) return 'Incomplete condition';
+  const unit = field.unit ? ` ${field.unit}` : '';
+  if (condition.ref) {
+    const target = operator.range ? VARIETY_RANGES[condition.ref] && `${VARIETY_RANGES[condition.ref].label} range` : varietyValueRefs()[condition.ref];
+    return `${field.label} ${operator.label} ${target || condition.ref} (variety)`;
+  }
+  if (operator.range) return `${field.label} ${operator.label} ${condition.min} and ${condition.max}${unit}`;
+  if (operator.text) return `${field.label} ${operator.label} ${condition.value}`;
+  return `${field.label} ${operator.label} ${condition.value}${unit}`;
+};
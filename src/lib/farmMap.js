@@ -0,0 +1,105 @@
+// Admin farm map: the values each map layer shows per farm, how a cluster of
+// farms combines them and the colours they are drawn in.
+import { fetchCooperativeData } from './reports';
+import { fetchStatusHistory, groupSeriesByPlant } from './plantStatusService';
+
+// Latest plant_status.status values, in legend order
+export const HEALTH_STATUSES = [
+  { key: 'healthy', label: 'Healthy', color: '#16a34a' },
+  { key: 'stressed', label: 'Stressed', color: '#eab308' },
+  { key: 'pest-affected', label: 'Pest-affected', color: '#f97316' },
+  { key: 'diseased', label: 'Diseased', color: '#dc2626' },
+  { key: 'unknown', label: 'No status recorded', color: '#9ca3af' }
+];
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const emptyHealth = () => Object.fromEntries(HEALTH_STATUSES.map(({ key }) => [key, 0]));
+
+/**
+ * Map layers. value() takes the farms in a marker (one farm or a cluster) and
+ * returns what the marker shows, or null when none of them has the data.
+ */
+export const FARM_MAP_LAYERS = {
+  yield: {
+    label: 'Total Dry Yield',
+    value: (farms) => sum(farms.map(farm => farm.totalDryYield)),
+    format: (value) => `${value.toFixed(1)} kg dry`
+  },
+  premium: {
+    label: 'Premium Share',
+    value: (farms) => {
+      const graded = sum(farms.map(farm => farm.premiumGrade + farm.fineGrade + farm.commercialGrade));
+      return graded > 0 ? (sum(farms.map(farm => farm.premiumGrade)) / graded) * 100 : null;
+    },
+    format: (value) => `${value.toFixed(0)}% premium`
+  },
+  health: {
+    label: 'Plant Health',
+    value: (farms) => {
+      const mix = emptyHealth();
+      farms.forEach(farm => HEALTH_STATUSES.forEach(({ key }) => { mix[key] += farm.healthMix?.[key] || 0; }));
+      return sum(Object.values(mix)) > 0 ? mix : null;
+    },
+    format: (mix) => HEALTH_STATUSES
+      .filter(({ key }) => mix[key] > 0)
+      .map(({ key, label }) => `${mix[key]} ${label.toLowerCase()}`)
+      .join(', ') + ' trees'
+  },
+  elevation: {
+    label: 'Elevation',
+    value: (farms) => {
+      const elevations = farms.map(farm => parseFloat(farm.farm_elevation)).filter(value => !isNaN(value));
+      return elevations.length > 0 ? sum(elevations) / elevations.length : null;
+    },
+    format: (value) => `${value.toFixed(0)} m`
+  }
+};
+
+/**
+ * Marker colour for a scalar layer value
+ * @param {string} layer - 'yield', 'premium' or 'elevation'
+ * @param {number|null} value
+ * @param {{min: number, max: number}} range - Spread of single-farm values on the map
+ * @returns {string} CSS colour
+ */
+export const layerColor = (layer, value, range) => {
+  if (value === null) return HEALTH_STATUSES[HEALTH_STATUSES.length - 1].color;
+  if (layer === 'premium') {
+    return `hsl(${Math.round(Math.min(100, value) * 1.2)}, 70%, 45%)`;
+  }
+  const share = range.max > range.min
+    ? Math.max(0, Math.min(1, (value - range.min) / (range.max - range.min)))
+    : 0.5;
+  // Yield: pale to deep green. Elevation: lowland blue to highland brown.
+  return layer === 'yield'
+    ? `hsl(130, 60%, ${Math.round(75 - share * 50)}%)`
+    : `hsl(${Math.round(200 - share * 170)}, 55%, 45%)`;
+};
+
+/**
+ * Everything the farm map needs: the cooperative report data plus each farm's
+ * plant health mix, counted in trees by each batch's latest recorded status
+ * @returns {Promise<{users: Array, farmerDetails: Array, plants: Array, harvests: Array,
+ *   healthByFarmer: Object<string, Object<string, number>>}>}
+ */
+export const fetchFarmMapData = async () => {
+  try {
+    const data = await fetchCooperativeData();
+    const seriesByPlant = groupSeriesByPlant(await fetchStatusHistory(data.plants.map(plant => plant.plant_id)));
+
+    const healthByFarmer = {};
+    data.plants.forEach(plant => {
+      const mix = healthByFarmer[plant.farmer_id] || (healthByFarmer[plant.farmer_id] = emptyHealth());
+      const series = seriesByPlant[plant.plant_id];
+      const status = series?.[series.length - 1]?.status;
+      const key = HEALTH_STATUSES.some(entry => entry.key === status) ? status : 'unknown';
+      mix[key] += plant.number_of_tree_planted || 0;
+    });
+
+    return { ...data, healthByFarmer };
+  } catch (error) {
+    console.error('Error fetching farm map data:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,28 @@
+// Farm-level DSS recommendations derived from yield, grade and farm metrics
+import { DEFAULT_DSS_RULES, evaluateRules, farmFacts } from './dssRules';
+
+/**
+ * Builds recommendations for one farmer from the farm-scope DSS rules
+ * @param {Object} metrics
+ * @param {number} metrics.yieldPerTree - Dry kg per tree
+ * @param {number} metrics.premiumPercentage - Premium share of the dry weight, 0-100
+ * @param {number} metrics.totalTrees
+ * @param {number} [metrics.farmSize] - Hectares
+ * @param {number} [metrics.elevation] - Meters above sea level
+ * @param {number} metrics.harvestCount
+ * @param {number} metrics.totalDryYield - Dry kg
+ * @param {Object} [metrics.variety] - The farm's predominantVariety(), which variety-relative rules compare with
+ * @param {Array<Object>} [rules] - From getDssRules(); the built-in rules when left out
+ * @returns {Array<{type: string, category: string, issue: string, action: string, impact: string, metric: string}>}
+ *   metric is the ACTION_METRICS key an assigned action item is measured by
+ */
+export const generateFarmRecommendations = (metrics, rules = DEFAULT_DSS_RULES) => {
+  return evaluateRules(rules, 'farm', farmFacts(metrics)).map(result => ({
+    type: result.severity,
+    category: result.category,
+    issue: result.issue,
+    action: result.action,
+    impact: result.impact,
+    metric: result.metric
+  }));
+};
@@ -0,0 +1,337 @@
+// Fertilization planner: a dated application calendar per plant batch from tree
+// age, the latest soil pH, tree count and the tropical season, plus the
+// applications the farmer actually carried out.
+import { supabase } from './supabaseClient';
+import { syncQueue } from './offline';
+import { TimeSeriesAnalysis } from './ml/TimeSeriesAnalysis';
+
+// Nutrient fractions are N, P2O5 and K2O by weight. Lime and organic matter
+// are tracked as applications but not counted towards the NPK targets.
+export const FERTILIZER_PRODUCTS = {
+  complete: { label: 'Complete (14-14-14)', n: 0.14, p: 0.14, k: 0.14 },
+  urea: { label: 'Urea (46-0-0)', n: 0.46, p: 0, k: 0 },
+  ammonium_sulfate: { label: 'Ammonium Sulfate (21-0-0)', n: 0.21, p: 0, k: 0 },
+  muriate_of_potash: { label: 'Muriate of Potash (0-0-60)', n: 0, p: 0, k: 0.6 },
+  lime: { label: 'Agricultural Lime', n: 0, p: 0, k: 0 },
+  organic: { label: 'Organic / Compost', n: 0, p: 0, k: 0 }
+};
+
+// Application windows (month 1-12). None falls in the dry season, when
+// fertilizer sits on dry soil and is lost before roots can take it up.
+export const APPLICATION_SPLITS = {
+  onsetOfRains: { label: 'Onset of rains', month: 10, purpose: 'Flower buds and new leaves' },
+  midWet: { label: 'Mid wet season', month: 1, purpose: 'Berry expansion' },
+  beforeDry: { label: 'Before the dry season', month: 4, purpose: 'Berry filling and root reserves' }
+};
+
+// Share of the yearly N, P2O5 and K2O given at each window
+const NON_BEARING_SPLITS = {
+  onsetOfRains: { n: 0.5, p: 1, k: 0.5 },
+  beforeDry: { n: 0.5, p: 0, k: 0.5 }
+};
+const BEARING_SPLITS = {
+  onsetOfRains: { n: 0.4, p: 1, k: 0.3 },
+  midWet: { n: 0.3, p: 0, k: 0.35 },
+  beforeDry: { n: 0.3, p: 0, k: 0.35 }
+};
+
+// Yearly grams of N, P2O5 and K2O per tree by age. Bearing trees carry most
+// potassium out of the farm in their cherries, so K rises with production.
+export const GROWTH_STAGES = [
+  { key: 'newly_planted', label: 'Newly planted', maxAgeYears: 1, n: 20, p: 20, k: 15, splits: NON_BEARING_SPLITS },
+  { key: 'young', label: 'Young (1-2 years)', maxAgeYears: 2, n: 50, p: 30, k: 40, splits: NON_BEARING_SPLITS },
+  { key: 'pre_bearing', label: 'Pre-bearing (2-3 years)', maxAgeYears: 3, n: 90, p: 40, k: 80, splits: NON_BEARING_SPLITS },
+  { key: 'bearing', label: 'Bearing (3-15 years)', maxAgeYears: 15, n: 150, p: 50, k: 150, splits: BEARING_SPLITS },
+  { key: 'old', label: 'Old (over 15 years)', maxAgeYears: Infinity, n: 120, p: 40, k: 150, splits: BEARING_SPLITS }
+];
+
+export const SEASON_LABELS = {
+  wetSeason: 'Wet season',
+  drySeason: 'Dry season',
+  transitional: 'Transitional'
+};
+
+const ACIDIC_PH = 5.5;
+const VERY_ACIDIC_PH = 5.0;
+const ALKALINE_PH = 6.5;
+const LIME_LEAD_DAYS = 30; // Lime goes on well before fertilizer so it has time to react
+const MATCH_WINDOW_DAYS = 60; // An application this close to a window counts for it
+const LOOKBACK_DAYS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BAG_KG = 50;
+
+const seasons = new TimeSeriesAnalysis();
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+const roundTo5 = (grams) => Math.round(grams / 5) * 5;
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Tree age in years on a date
+ * @param {string|Date} plantingDate
+ * @param {Date} [on]
+ * @returns {number}
+ */
+export const getTreeAge = (plantingDate, on = new Date()) => {
+  return Math.max(0, (on - new Date(plantingDate)) / (365.25 * DAY_MS));
+};
+
+/**
+ * Growth stage for a tree age
+ * @param {number} ageYears
+ * @returns {Object} One of GROWTH_STAGES
+ */
+export const getGrowthStage = (ageYears) => {
+  return GROWTH_STAGES.find(stage => ageYears < stage.maxAgeYears);
+};
+
+/**
+ * Nitrogen product suited to the soil: ammonium sulfate lowers a high pH,
+ * urea acidifies least where the soil is already acidic
+ * @param {number|null} soilPh
+ * @returns {'urea'|'ammonium_sulfate'}
+ */
+export const getNitrogenSource = (soilPh) => {
+  return soilPh != null && soilPh > ALKALINE_PH ? 'ammonium_sulfate' : 'urea';
+};
+
+/**
+ * Lime per tree for acidic soil
+ * @param {number|null} soilPh
+ * @returns {number} Grams per tree, 0 when no lime is needed
+ */
+export const getLimeRate = (soilPh) => {
+  if (soilPh == null || soilPh >= ACIDIC_PH) return 0;
+  return soilPh < VERY_ACIDIC_PH ? 500 : 250;
+};
+
+/**
+ * Turns a nutrient target into products: complete fertilizer covers the
+ * phosphorus, straight N and K products top up the rest
+ * @param {{n: number, p: number, k: number}} nutrients - Grams per tree
+ * @param {'urea'|'ammonium_sulfate'} nitrogenSource
+ * @returns {Array<{product: string, gramsPerTree: number}>}
+ */
+export const toProductRates = ({ n, p, k }, nitrogenSource) => {
+  const products = [];
+  const complete = p / FERTILIZER_PRODUCTS.complete.p;
+  if (complete > 0) products.push({ product: 'complete', gramsPerTree: complete });
+
+  const nLeft = n - complete * FERTILIZER_PRODUCTS.complete.n;
+  if (nLeft > 0) products.push({ product: nitrogenSource, gramsPerTree: nLeft / FERTILIZER_PRODUCTS[nitrogenSource].n });
+
+  const kLeft = k - complete * FERTILIZER_PRODUCTS.complete.k;
+  if (kLeft > 0) products.push({ product: 'muriate_of_potash', gramsPerTree: kLeft / FERTILIZER_PRODUCTS.muriate_of_potash.k });
+
+  return products
+    .map(item => ({ ...item, gramsPerTree: roundTo5(item.gramsPerTree) }))
+    .filter(item => item.gramsPerTree > 0);
+};
+
+const withTotals = (products, trees) => products.map(item => {
+  const totalKg = round2((item.gramsPerTree * trees) / 1000);
+  return { ...item, totalKg, bags: round2(totalKg / BAG_KG) };
+});
+
+const itemStatus = (date, matched, today) => {
+  if (matched) return 'done';
+  const days = (date - today) / DAY_MS;
+  if (days < -14) return 'overdue';
+  if (days <= 14) return 'due';
+  return 'upcoming';
+};
+
+/**
+ * Builds a plant batch's application calendar
+ * @param {Object} options
+ * @param {Object} options.plant - plant_data row
+ * @param {Object|null} [options.latestStatus] - Latest effective plant_status row
+ * @param {Array} [options.applications] - fertilizer_applications rows for this plant
+ * @param {Date} [options.today]
+ * @param {number} [options.horizonMonths] - How far ahead to plan
+ * @returns {Object} stage, ageYears, soilPh, nitrogenSource, annual rates, notes and dated items
+ *   (each with products per tree and for the batch, season and a done/due/overdue/upcoming status)
+ */
+export const buildApplicationPlan = ({ plant, latestStatus = null, applications = [], today = new Date(), horizonMonths = 12 }) => {
+  const trees = plant.number_of_tree_planted || 0;
+  const plantedOn = new Date(plant.planting_date);
+  const rawPh = latestStatus?.soil_ph;
+  const soilPh = rawPh === null || rawPh === undefined || rawPh === '' ? null : Number(rawPh);
+  const nitrogenSource = getNitrogenSource(soilPh);
+  const ageYears = getTreeAge(plant.planting_date, today);
+  const stage = getGrowthStage(ageYears);
+
+  const applied = applications.map(a => ({ ...a, date: new Date(a.applied_on) }));
+  const matchFor = (splitKey, product, date) => applied.find(a =>
+    (splitKey ? a.split_key === splitKey : a.product === product) &&
+    Math.abs(a.date - date) <= MATCH_WINDOW_DAYS * DAY_MS
+  );
+
+  const items = [];
+  const start = new Date(today.getTime() - LOOKBACK_DAYS * DAY_MS);
+  const end = new Date(today.getFullYear(), today.getMonth() + horizonMonths, today.getDate());
+
+  for (let cursor = new Date(start.getFullYear(), start.getMonth(), 15); cursor <= end; cursor.setMonth(cursor.getMonth() + 1)) {
+    const date = new Date(cursor);
+    if (date < start || date < plantedOn) continue;
+
+    const stageThen = getGrowthStage(getTreeAge(plant.planting_date, date));
+    Object.entries(stageThen.splits).forEach(([splitKey, share]) => {
+      const split = APPLICATION_SPLITS[splitKey];
+      if (split.month !== date.getMonth() + 1) return;
+
+      const nutrients = { n: stageThen.n * share.n, p: stageThen.p * share.p, k: stageThen.k * share.k };
+      const matched = matchFor(splitKey, null, date);
+      items.push({
+        key: `${splitKey}-${toDateString(date)}`,
+        splitKey,
+        label: split.label,
+        purpose: split.purpose,
+        date: toDateString(date),
+        season: SEASON_LABELS[seasons.getTropicalSeason(date)],
+        stage: stageThen.label,
+        nutrients,
+        products: withTotals(toProductRates(nutrients, nitrogenSource), trees),
+        status: itemStatus(date, matched, today),
+        appliedOn: matched?.applied_on || null
+      });
+    });
+  }
+
+  // Lime goes on ahead of the first fertilizer window that is still to come
+  const limeRate = getLimeRate(soilPh);
+  if (limeRate > 0) {
+    const nextWindow = items.find(item => item.status !== 'done' && new Date(item.date) >= today);
+    const target = nextWindow ? new Date(new Date(nextWindow.date).getTime() - LIME_LEAD_DAYS * DAY_MS) : today;
+    const limeDate = target < today ? today : target;
+    const matched = applied.find(a => a.product === 'lime' && (today - a.date) <= 365 * DAY_MS);
+    items.push({
+      key: `lime-${toDateString(limeDate)}`,
+      splitKey: null,
+      label: 'Liming',
+      purpose: `Raise soil pH from ${soilPh}`,
+      date: toDateString(limeDate),
+      season: SEASON_LABELS[seasons.getTropicalSeason(limeDate)],
+      stage: stage.label,
+      nutrients: { n: 0, p: 0, k: 0 },
+      products: withTotals([{ product: 'lime', gramsPerTree: limeRate }], trees),
+      status: matched ? 'done' : itemStatus(limeDate, null, today),
+      appliedOn: matched?.applied_on || null
+    });
+  }
+
+  items.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  const notes = [];
+  if (soilPh == null) {
+    notes.push('No soil pH on record for this batch. Record one in Plant Status so lime and the nitrogen product can be matched to your soil.');
+  } else if (soilPh < ACIDIC_PH) {
+    notes.push(`Soil pH ${soilPh} is too acidic for coffee. Apply lime at least ${LIME_LEAD_DAYS} days before fertilizer, and re-test after a year.`);
+  } else if (soilPh > ALKALINE_PH) {
+    notes.push(`Soil pH ${soilPh} is high for coffee. Nitrogen is planned as ammonium sulfate, which brings pH down over time.`);
+  }
+  if (seasons.getTropicalSeason(today) === 'drySeason') {
+    notes.push('It is the dry season. Hold fertilizer until the soil is moist again, or apply right after irrigation.');
+  }
+  if (trees === 0) {
+    notes.push('This batch has no tree count, so batch totals are zero. Update it in Land & Plant Declaration.');
+  }
+
+  return {
+    stage,
+    ageYears: round2(ageYears),
+    soilPh,
+    nitrogenSource,
+    annual: { n: stage.n, p: stage.p, k: stage.k },
+    trees,
+    items,
+    notes
+  };
+};
+
+/**
+ * Fetches a farmer's recorded applications, newest first
+ * @param {string} farmerId - farmer_detail id
+ * @returns {Promise<Array>}
+ */
+export const fetchApplications = async (farmerId) => {
+  try {
+    const { data, error } = await supabase
+      .from('fertilizer_applications')
+      .select('*')
+      .eq('farmer_id', farmerId)
+      .order('applied_on', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching fertilizer applications:', error);
+    throw error;
+  }
+};
+
+/**
+ * A plant's status with last_fertilized brought up to date from its recorded
+ * applications. The database does this once an application is synced; this
+ * also counts the ones still in the outbox. Lime corrects the soil and does
+ * not count.
+ * @param {Object|null} status - plant_status observation, or null when there is none
+ * @param {Array<Object>} applications - fertilizer_applications rows; other plants' rows are ignored
+ * @param {string} plantId
+ * @param {Date|string} [asOf] - Only applications up to this day count
+ * @returns {Object|null} The status carrying the later of the two dates; null with neither
+ */
+export const withLastFertilized = (status, applications, plantId, asOf = new Date()) => {
+  const day = toDateString(new Date(asOf));
+  const applied = (applications || [])
+    .filter(a => a.plant_id === plantId && a.product !== 'lime' && a.applied_on <= day)
+    .reduce((latest, a) => (!latest || a.applied_on > latest ? a.applied_on : latest), null);
+
+  if (!applied || (status?.last_fertilized && status.last_fertilized >= applied)) return status;
+  return { ...(status || { plant_id: plantId }), last_fertilized: applied };
+};
+
+/**
+ * Records an application through the offline outbox. Once it is synced, the
+ * database moves the batch's last_fertilized date forward.
+ * @param {string} farmerId - farmer_detail id
+ * @param {Object} form - plant_id, applied_on, product, grams_per_tree, trees_covered, split_key, notes
+ * @param {string} [recordedBy] - User id of the person recording it
+ * @returns {Promise<Object>} The saved application (see _sync.state)
+ */
+export const recordApplication = async (farmerId, form, recordedBy) => {
+  const gramsPerTree = parseFloat(form.grams_per_tree);
+  const treesCovered = parseInt(form.trees_covered, 10);
+
+  if (!form.plant_id || !form.applied_on || !FERTILIZER_PRODUCTS[form.product]) {
+    throw new Error('Choose a plant batch, date and product.');
+  }
+  if (isNaN(gramsPerTree) || gramsPerTree <= 0) {
+    throw new Error('Grams per tree must be a positive number.');
+  }
+  if (isNaN(treesCovered) || treesCovered <= 0) {
+    throw new Error('Trees covered must be a positive whole number.');
+  }
+  if (form.applied_on > toDateString(new Date())) {
+    throw new Error('Only record applications that have been carried out.');
+  }
+
+  const entry = await syncQueue.save('fertilizer_applications', 'insert', {
+    payload: {
+      farmer_id: farmerId,
+      plant_id: form.plant_id,
+      applied_on: form.applied_on,
+      product: form.product,
+      grams_per_tree: gramsPerTree,
+      trees_covered: treesCovered,
+      split_key: form.split_key || null,
+      notes: form.notes?.trim() || null,
+      recorded_by: recordedBy || null
+    }
+  });
+
+  return {
+    ...(entry.serverRow || { ...entry.payload, application_id: entry.id, created_at: entry.queuedAt }),
+    _sync: { id: entry.id, state: entry.state, error: entry.error }
+  };
+};
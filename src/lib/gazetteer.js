@@ -0,0 +1,194 @@
+// Offline gazetteer of coffee-growing municipalities and barangays, so a typed
+// farm location can be placed on the map without a geocoding request.
+// Coordinates are approximate town or barangay centres; farmers refine them
+// with the map pin.
+
+// [name, province, latitude, longitude]
+const MUNICIPALITIES = [
+  // Benguet
+  ['Atok', 'Benguet', 16.567, 120.700],
+  ['Bakun', 'Benguet', 16.790, 120.660],
+  ['Baguio City', 'Benguet', 16.412, 120.599],
+  ['Bokod', 'Benguet', 16.490, 120.830],
+  ['Buguias', 'Benguet', 16.720, 120.830],
+  ['Itogon', 'Benguet', 16.367, 120.683],
+  ['Kabayan', 'Benguet', 16.620, 120.850],
+  ['Kapangan', 'Benguet', 16.580, 120.600],
+  ['Kibungan', 'Benguet', 16.693, 120.654],
+  ['La Trinidad', 'Benguet', 16.460, 120.590],
+  ['Mankayan', 'Benguet', 16.860, 120.790],
+  ['Sablan', 'Benguet', 16.496, 120.487],
+  ['Tuba', 'Benguet', 16.330, 120.550],
+  ['Tublay', 'Benguet', 16.476, 120.633],
+  // Mountain Province, Ifugao, Kalinga
+  ['Besao', 'Mountain Province', 17.100, 120.860],
+  ['Bontoc', 'Mountain Province', 17.090, 120.977],
+  ['Sabangan', 'Mountain Province', 17.000, 120.920],
+  ['Sagada', 'Mountain Province', 17.084, 120.901],
+  ['Banaue', 'Ifugao', 16.913, 121.061],
+  ['Kiangan', 'Ifugao', 16.780, 121.087],
+  ['Lagawe', 'Ifugao', 16.820, 121.120],
+  ['Lubuagan', 'Kalinga', 17.350, 121.180],
+  ['Pasil', 'Kalinga', 17.380, 121.160],
+  ['Tabuk City', 'Kalinga', 17.418, 121.444],
+  ['Tinglayan', 'Kalinga', 17.265, 121.155],
+  // Cavite
+  ['Alfonso', 'Cavite', 14.138, 120.855],
+  ['Amadeo', 'Cavite', 14.170, 120.923],
+  ['General Emilio Aguinaldo', 'Cavite', 14.180, 120.800],
+  ['Indang', 'Cavite', 14.195, 120.877],
+  ['Maragondon', 'Cavite', 14.270, 120.740],
+  ['Mendez', 'Cavite', 14.129, 120.906],
+  ['Silang', 'Cavite', 14.230, 120.975],
+  ['Tagaytay City', 'Cavite', 14.115, 120.962],
+  // Batangas, Laguna, Quezon
+  ['Batangas City', 'Batangas', 13.756, 121.058],
+  ['Cuenca', 'Batangas', 13.904, 121.052],
+  ['Ibaan', 'Batangas', 13.818, 121.133],
+  ['Lemery', 'Batangas', 13.880, 120.913],
+  ['Lipa City', 'Batangas', 13.941, 121.163],
+  ['Rosario', 'Batangas', 13.846, 121.206],
+  ['San Jose', 'Batangas', 13.877, 121.105],
+  ['Taal', 'Batangas', 13.880, 120.923],
+  ['Liliw', 'Laguna', 14.130, 121.440],
+  ['Nagcarlan', 'Laguna', 14.136, 121.416],
+  ['Dolores', 'Quezon', 14.015, 121.401],
+  ['Tiaong', 'Quezon', 13.962, 121.322],
+  // Bukidnon
+  ['Impasugong', 'Bukidnon', 8.301, 125.000],
+  ['Kitaotao', 'Bukidnon', 7.640, 125.010],
+  ['Lantapan', 'Bukidnon', 8.001, 125.024],
+  ['Malaybalay City', 'Bukidnon', 8.158, 125.128],
+  ['Manolo Fortich', 'Bukidnon', 8.370, 124.860],
+  ['Maramag', 'Bukidnon', 7.763, 125.005],
+  ['Quezon', 'Bukidnon', 7.730, 125.100],
+  ['Sumilao', 'Bukidnon', 8.300, 124.980],
+  ['Talakag', 'Bukidnon', 8.230, 124.600],
+  ['Valencia City', 'Bukidnon', 7.906, 125.094],
+  // Davao region and Cotabato
+  ['Bansalan', 'Davao del Sur', 6.780, 125.210],
+  ['Davao City', 'Davao del Sur', 7.073, 125.613],
+  ['Digos City', 'Davao del Sur', 6.750, 125.357],
+  ['Santa Cruz', 'Davao del Sur', 6.830, 125.410],
+  ['Maragusan', 'Davao de Oro', 7.317, 126.150],
+  ['Arakan', 'Cotabato', 7.350, 125.130],
+  ['Kidapawan City', 'Cotabato', 7.008, 125.089],
+  ['Magpet', 'Cotabato', 7.110, 125.110],
+  ['Makilala', 'Cotabato', 6.959, 125.088],
+  ['President Roxas', 'Cotabato', 7.150, 125.060],
+  ['Lake Sebu', 'South Cotabato', 6.220, 124.700],
+  ['Tboli', 'South Cotabato', 6.200, 124.850],
+  ['Tupi', 'South Cotabato', 6.330, 124.950]
+];
+
+// [name, municipality, province, latitude, longitude]
+const BARANGAYS = [
+  ['Calinan', 'Davao City', 'Davao del Sur', 7.190, 125.450],
+  ['Marilog', 'Davao City', 'Davao del Sur', 7.450, 125.270],
+  ['Tugbok', 'Davao City', 'Davao del Sur', 7.090, 125.500],
+  ['Ilomavis', 'Kidapawan City', 'Cotabato', 7.050, 125.180],
+  ['Songco', 'Lantapan', 'Bukidnon', 8.050, 125.030]
+];
+
+export const GAZETTEER = [
+  ...MUNICIPALITIES.map(([name, province, latitude, longitude]) => ({
+    name, municipality: null, province, latitude, longitude, precision: 'municipality'
+  })),
+  ...BARANGAYS.map(([name, municipality, province, latitude, longitude]) => ({
+    name, municipality, province, latitude, longitude, precision: 'barangay'
+  }))
+];
+
+const ABBREVIATIONS = [
+  [/\bsta\b/g, 'santa'],
+  [/\bsto\b/g, 'santo'],
+  [/\bgen\b/g, 'general'],
+  [/\bmt\b/g, 'mount'],
+  [/\bmtn\b/g, 'mountain']
+];
+
+// Lowercase words without accents, punctuation or place-type prefixes
+const normalize = (text) => {
+  let value = String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’-]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ');
+  ABBREVIATIONS.forEach(([pattern, replacement]) => {
+    value = value.replace(pattern, replacement);
+  });
+  return value
+    .replace(/\b(brgy|bgy|barangay|municipality of|city of|poblacion)\b/g, ' ')
+    .replace(/\bcity\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const containsWords = (haystack, needle) => needle !== '' && ` ${haystack} `.includes(` ${needle} `);
+
+/**
+ * Display label for a gazetteer entry
+ * @param {Object} entry
+ * @returns {string} e.g. "Marilog, Davao City, Davao del Sur"
+ */
+export const formatPlace = (entry) => [entry.name, entry.municipality, entry.province].filter(Boolean).join(', ');
+
+/**
+ * Finds the coordinates of a typed farm location such as "Brgy. Marilog,
+ * Davao City" or "Atok, Benguet". A barangay beats its municipality and a
+ * matching province settles names shared by several towns.
+ * @param {string} text - Free-text farm location
+ * @returns {{name: string, municipality: string|null, province: string, latitude: number,
+ *   longitude: number, precision: 'barangay'|'municipality', label: string}|null}
+ */
+export const resolveLocation = (text) => {
+  const query = normalize(text);
+  if (!query) return null;
+
+  let best = null;
+  let bestScore = 0;
+  GAZETTEER.forEach((entry) => {
+    const name = normalize(entry.name);
+    if (!containsWords(query, name)) return;
+
+    let score = entry.precision === 'barangay' ? 2 : 1;
+    if (entry.municipality) {
+      if (containsWords(query, normalize(entry.municipality))) score += 2;
+    }
+    if (containsWords(query, normalize(entry.province))) score += 1;
+
+    // On a tie the longer name is the more specific match ("Santa Cruz, Davao del Sur")
+    if (score > bestScore || (score === bestScore && name.length > normalize(best.name).length)) {
+      best = entry;
+      bestScore = score;
+    }
+  });
+
+  return best ? { ...best, label: formatPlace(best) } : null;
+};
+
+/**
+ * Suggestions for a location field as the farmer types
+ * @param {string} text
+ * @param {number} [limit]
+ * @returns {Array<Object>} Gazetteer entries with a label; places whose name starts with
+ *   the text come before those whose municipality or province does
+ */
+export const searchGazetteer = (text, limit = 8) => {
+  const query = normalize(text);
+  if (query.length < 2) return [];
+
+  return GAZETTEER
+    .map((entry) => {
+      const label = formatPlace(entry);
+      const normalized = normalize(label);
+      if (normalized.startsWith(query)) return { entry, label, rank: 0 };
+      if (` ${normalized}`.includes(` ${query}`)) return { entry, label, rank: 1 };
+      return null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.rank - b.rank || a.label.localeCompare(b.label))
+    .slice(0, limit)
+    .map(({ entry, label }) => ({ ...entry, label }));
+};
@@ -0,0 +1,160 @@
+// Geometry for farm pins and boundaries: Web Mercator projection for the map
+// picker and polygon area/centroid for farm boundaries.
+
+export const TILE_SIZE = 256;
+const EARTH_RADIUS_M = 6371008.8;
+const SQ_METERS_PER_HECTARE = 10000;
+const MAX_LATITUDE = 85.05112878;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Projects a coordinate to world pixels at a zoom level
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {number} zoom
+ * @returns {{x: number, y: number}}
+ */
+export const project = (latitude, longitude, zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const lat = toRadians(Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, latitude)));
+  return {
+    x: ((longitude + 180) / 360) * scale,
+    y: ((1 - Math.log(Math.tan(lat) + 1 / Math.cos(lat)) / Math.PI) / 2) * scale
+  };
+};
+
+/**
+ * Inverse of project
+ * @param {number} x - World pixels
+ * @param {number} y - World pixels
+ * @param {number} zoom
+ * @returns {{latitude: number, longitude: number}}
+ */
+export const unproject = (x, y, zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const n = Math.PI - (2 * Math.PI * y) / scale;
+  return {
+    latitude: (180 / Math.PI) * Math.atan(Math.sinh(n)),
+    longitude: (x / scale) * 360 - 180
+  };
+};
+
+// Metres east/north of a reference point; accurate at farm scale
+const toLocalMeters = (points) => {
+  const lat0 = points.reduce((sum, [lat]) => sum + lat, 0) / points.length;
+  const cosLat = Math.cos(toRadians(lat0));
+  return points.map(([lat, lon]) => [
+    toRadians(lon) * EARTH_RADIUS_M * cosLat,
+    toRadians(lat) * EARTH_RADIUS_M
+  ]);
+};
+
+/**
+ * Area enclosed by a boundary
+ * @param {Array<[number, number]>} points - [latitude, longitude] vertices, not closed
+ * @returns {number} Hectares, 0 for fewer than three points
+ */
+export const polygonAreaHectares = (points) => {
+  if (!points || points.length < 3) return 0;
+  const local = toLocalMeters(points);
+  let twiceArea = 0;
+  local.forEach(([x1, y1], i) => {
+    const [x2, y2] = local[(i + 1) % local.length];
+    twiceArea += x1 * y2 - x2 * y1;
+  });
+  return Math.abs(twiceArea) / 2 / SQ_METERS_PER_HECTARE;
+};
+
+/**
+ * Centre of a boundary, used as the farm pin when none was placed
+ * @param {Array<[number, number]>} points - [latitude, longitude] vertices
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+export const polygonCentroid = (points) => {
+  if (!points || points.length === 0) return null;
+  if (points.length < 3) {
+    return {
+      latitude: points.reduce((sum, [lat]) => sum + lat, 0) / points.length,
+      longitude: points.reduce((sum, [, lon]) => sum + lon, 0) / points.length
+    };
+  }
+
+  let twiceArea = 0;
+  let cx = 0;
+  let cy = 0;
+  points.forEach(([y1, x1], i) => {
+    const [y2, x2] = points[(i + 1) % points.length];
+    const cross = x1 * y2 - x2 * y1;
+    twiceArea += cross;
+    cx += (x1 + x2) * cross;
+    cy += (y1 + y2) * cross;
+  });
+  if (twiceArea === 0) return polygonCentroid(points.slice(0, 2));
+  return { latitude: cy / (3 * twiceArea), longitude: cx / (3 * twiceArea) };
+};
+
+/**
+ * Formats a coordinate pair for display
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {string} e.g. "16.4600° N, 120.5880° E"
+ */
+export const formatCoordinates = (latitude, longitude) => {
+  const lat = Number(latitude);
+  const lon = Number(longitude);
+  return `${Math.abs(lat).toFixed(4)}° ${lat >= 0 ? 'N' : 'S'}, ${Math.abs(lon).toFixed(4)}° ${lon >= 0 ? 'E' : 'W'}`;
+};
+
+/**
+ * Map view that shows every point with some padding
+ * @param {Array<[number, number]>} points - [latitude, longitude]
+ * @param {number} width - Viewport pixels
+ * @param {number} height
+ * @param {Object} [options]
+ * @param {number} [options.padding] - Pixels kept clear on every side
+ * @param {number} [options.minZoom]
+ * @param {number} [options.maxZoom] - Also the zoom for a single point
+ * @returns {{latitude: number, longitude: number, zoom: number}}
+ */
+export const fitView = (points, width, height, { padding = 40, minZoom = 2, maxZoom = 16 } = {}) => {
+  const projected = points.map(([lat, lon]) => project(lat, lon, 0));
+  const xs = projected.map(point => point.x);
+  const ys = projected.map(point => point.y);
+  const spanX = Math.max(...xs) - Math.min(...xs);
+  const spanY = Math.max(...ys) - Math.min(...ys);
+  const usableWidth = Math.max(width - padding * 2, 1);
+  const usableHeight = Math.max(height - padding * 2, 1);
+
+  const fitted = Math.floor(Math.log2(Math.min(
+    spanX > 0 ? usableWidth / spanX : Infinity,
+    spanY > 0 ? usableHeight / spanY : Infinity
+  )));
+  const zoom = Math.max(minZoom, Math.min(maxZoom, Number.isFinite(fitted) ? fitted : maxZoom));
+  const centre = unproject((Math.min(...xs) + Math.max(...xs)) / 2, (Math.min(...ys) + Math.max(...ys)) / 2, 0);
+  return { ...centre, zoom };
+};
+
+/**
+ * Groups points that would overlap on screen at a zoom level
+ * @param {Array<Object>} items - Anything with latitude and longitude
+ * @param {number} zoom
+ * @param {number} [radius] - Pixels within which points merge
+ * @returns {Array<{latitude: number, longitude: number, items: Array<Object>}>} Cluster centres
+ *   are the mean of their members
+ */
+export const clusterPoints = (items, zoom, radius = 40) => {
+  const clusters = [];
+  items.forEach((item) => {
+    const point = project(item.latitude, item.longitude, zoom);
+    const cluster = clusters.find(c => Math.hypot(c.x - point.x, c.y - point.y) <= radius);
+    if (cluster) {
+      cluster.items.push(item);
+      cluster.x += (point.x - cluster.x) / cluster.items.length;
+      cluster.y += (point.y - cluster.y) / cluster.items.length;
+    } else {
+      clusters.push({ x: point.x, y: point.y, items: [item] });
+    }
+  });
+  return clusters.map(({ x, y, items: members }) => ({ ...unproject(x, y, zoom), items: members }));
+};
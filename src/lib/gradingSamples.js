@@ -0,0 +1,272 @@
+// Graded bean samples: the Coffee Grade Predictor's quick scoring of bean
+// size, weight and physical description, and the samples farmers save from it
+// or from defect-count grading (see defectGrading.js). Samples linked to a
+// harvest let the grade split reported for that harvest be cross-checked
+// against what was measured.
+import { supabase } from './supabaseClient';
+import { GRADE_FIELDS } from './harvestMetrics';
+import { OFF_GRADE, gradeByDefects } from './defectGrading';
+
+export const DESCRIPTION_OPTIONS = [
+  { value: 'uniform_minimal_defects', label: 'Uniform, minimal defects', grade: 'fine' },
+  { value: 'slight_variation_few_defects', label: 'Slight variation, few defects', grade: 'premium' },
+  { value: 'mixed_sizes_more_defects', label: 'Mixed sizes, more defects', grade: 'commercial' }
+];
+
+// Confidence by how many of the three measurements agree on the grade
+export const CONFIDENCE_LEVELS = {
+  3: { key: 'high', label: 'High Confidence' },
+  2: { key: 'moderate', label: 'Moderate Confidence' },
+  1: { key: 'low', label: 'Low Confidence' }
+};
+
+// Ties go to the higher grade
+const GRADE_PRIORITY = ['fine', 'premium', 'commercial'];
+
+// A harvest's reported split is flagged when a grade's share differs from
+// the samples' by more than this many percentage points
+export const SPLIT_TOLERANCE_PCT = 20;
+
+// Fewer samples than this say too little about a whole harvest to flag it
+export const MIN_SAMPLES_FOR_CHECK = 3;
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Grade label for a grade key
+ * @param {string} grade - A GRADE_FIELDS key
+ * @returns {string}
+ */
+export const gradeLabel = (grade) => {
+  if (grade === OFF_GRADE.key) return OFF_GRADE.label;
+  return GRADE_FIELDS.find(({ key }) => key === grade)?.label || grade;
+};
+
+/**
+ * Scores bean measurements into a grade. Size, weight and description each
+ * vote for one grade; the grade with the most votes wins.
+ * @param {Object} input
+ * @param {string|number} input.size - Average bean size in mm
+ * @param {string|number} input.weight - Weight of 100 beans in grams
+ * @param {string} input.description - A DESCRIPTION_OPTIONS value
+ * @returns {{grade: string, confidence: string, tied: boolean, scores: Object<string, number>}|{error: string}}
+ */
+export const gradeBeans = ({ size, weight, description }) => {
+  const sizeMm = parseFloat(size);
+  const weightG = parseFloat(weight);
+
+  if (isNaN(sizeMm) || isNaN(weightG) || sizeMm <= 0 || weightG <= 0) {
+    return { error: 'Please enter valid positive numbers for Size and Weight.' };
+  }
+  const option = DESCRIPTION_OPTIONS.find(({ value }) => value === description);
+  if (!option) {
+    return { error: 'Please select a physical description of the coffee beans.' };
+  }
+
+  const scores = { fine: 0, premium: 0, commercial: 0 };
+
+  if (sizeMm >= 6.75) {
+    scores.fine += 1;
+  } else if (sizeMm >= 6.0) {
+    scores.premium += 1;
+  } else {
+    scores.commercial += 1;
+  }
+
+  if (weightG >= 8.5 && weightG <= 10.5) {
+    scores.fine += 1;
+  } else if (weightG >= 7.0 && weightG < 8.5) {
+    scores.premium += 1;
+  } else {
+    scores.commercial += 1;
+  }
+
+  scores[option.grade] += 1;
+
+  const maxScore = Math.max(...Object.values(scores));
+  const leaders = GRADE_PRIORITY.filter(grade => scores[grade] === maxScore);
+
+  return {
+    grade: leaders[0],
+    confidence: CONFIDENCE_LEVELS[maxScore].key,
+    tied: leaders.length > 1,
+    scores
+  };
+};
+
+/**
+ * How a grading result reads on screen, e.g. "Fine Grade (High Confidence)"
+ * @param {{grade: string, confidence: string, tied: boolean}} result
+ * @returns {string}
+ */
+export const describeGrade = ({ grade, confidence, tied }) => {
+  const level = Object.values(CONFIDENCE_LEVELS).find(({ key }) => key === confidence);
+  return `${gradeLabel(grade)} Grade (${level?.label || confidence})${tied ? ' (Tie resolved to higher grade)' : ''}`;
+};
+
+/**
+ * Grade split and averages over a set of samples. Off-grade samples get a
+ * row of their own when there are any, so the shares add up to 100.
+ * @param {Array<Object>} samples - grading_samples rows
+ * @returns {{count: number, grades: Array<{key: string, label: string, count: number, sharePct: number}>, avgSizeMm: number|null, avgWeightG: number|null}}
+ */
+export const summarizeSamples = (samples) => {
+  const count = samples.length;
+  // Sizes and weights come from quick estimates only
+  const measured = samples.filter(sample => sample.bean_size_mm != null);
+  const average = (field) => (measured.length > 0 ? Math.round(measured.reduce((sum, s) => sum + s[field], 0) / measured.length * 100) / 100 : null);
+
+  const share = ({ key, label }) => {
+    const gradeCount = samples.filter(sample => sample.grade === key).length;
+    return { key, label, count: gradeCount, sharePct: count > 0 ? round1(gradeCount / count * 100) : 0 };
+  };
+  const offGrade = share(OFF_GRADE);
+
+  return {
+    count,
+    grades: [...GRADE_FIELDS.map(share), ...(offGrade.count > 0 ? [offGrade] : [])],
+    avgSizeMm: average('bean_size_mm'),
+    avgWeightG: average('bean_weight_g')
+  };
+};
+
+/**
+ * Compares a harvest's reported grade split with the samples drawn from it.
+ * The reported split has no off-grade share, so off-grade samples are left
+ * out of the sampled one and only counted.
+ * @param {Object} harvest - harvest_data row, normalized
+ * @param {Array<Object>} samples - grading_samples rows
+ * @returns {{sampleCount: number, offGradeCount: number, grades: Array<{key: string, label: string, reportedPct: number, sampledPct: number, gapPct: number}>, mismatch: boolean}|null}
+ *   null when no samples were drawn from the harvest
+ */
+export const compareHarvestToSamples = (harvest, samples) => {
+  const harvestSamples = samples.filter(sample => sample.harvest_id === harvest.harvest_id);
+  if (harvestSamples.length === 0) return null;
+
+  const reportedTotal = GRADE_FIELDS.reduce((sum, { field }) => sum + (harvest[field] || 0), 0);
+  const gradedSamples = harvestSamples.filter(sample => sample.grade !== OFF_GRADE.key);
+  const sampled = summarizeSamples(gradedSamples).grades;
+  const grades = GRADE_FIELDS.map(({ key, field, label }) => {
+    const reportedPct = reportedTotal > 0 ? round1((harvest[field] || 0) / reportedTotal * 100) : 0;
+    const sampledPct = sampled.find(grade => grade.key === key).sharePct;
+    return { key, label, reportedPct, sampledPct, gapPct: round1(sampledPct - reportedPct) };
+  });
+
+  return {
+    sampleCount: harvestSamples.length,
+    offGradeCount: harvestSamples.length - gradedSamples.length,
+    grades,
+    mismatch: reportedTotal > 0 &&
+      gradedSamples.length >= MIN_SAMPLES_FOR_CHECK &&
+      grades.some(grade => Math.abs(grade.gapPct) > SPLIT_TOLERANCE_PCT)
+  };
+};
+
+/**
+ * Fetches a farmer's graded samples, newest first
+ * @param {string} farmerId - farmer_detail id
+ * @returns {Promise<Array>}
+ */
+export const fetchSamples = async (farmerId) => {
+  try {
+    const { data, error } = await supabase
+      .from('grading_samples')
+      .select('*')
+      .eq('farmer_id', farmerId)
+      .order('sampled_on', { ascending: false })
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching grading samples:', error);
+    throw error;
+  }
+};
+
+/**
+ * Saves a graded sample
+ * @param {string} farmerId - farmer_detail id
+ * @param {Object} form - size, weight, description, sampled_on, notes and optionally harvest_id and lot_id
+ * @param {string} recordedBy - auth user id
+ * @returns {Promise<Object>} The inserted row
+ */
+export const saveSample = async (farmerId, form, recordedBy) => {
+  // Graded again here so the saved grade always matches the saved inputs
+  const result = gradeBeans(form);
+  if (result.error) throw new Error(result.error);
+
+  const { data, error } = await supabase
+    .from('grading_samples')
+    .insert([{
+      farmer_id: farmerId,
+      harvest_id: form.harvest_id || null,
+      lot_id: form.lot_id || null,
+      sampled_on: form.sampled_on,
+      bean_size_mm: parseFloat(form.size),
+      bean_weight_g: parseFloat(form.weight),
+      description: form.description,
+      grade: result.grade,
+      confidence: result.confidence,
+      tied: result.tied,
+      scores: result.scores,
+      notes: form.notes?.trim() || null,
+      recorded_by: recordedBy
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Saves a sample graded by defect count
+ * @param {string} farmerId - farmer_detail id
+ * @param {Object} form - sampleWeightG, counts, screens, moisturePct, sampled_on, notes and optionally harvest_id and lot_id
+ * @param {Object} standard - The grading standard used
+ * @param {string} recordedBy - auth user id
+ * @returns {Promise<Object>} The inserted row
+ */
+export const saveDefectSample = async (farmerId, form, standard, recordedBy) => {
+  const result = gradeByDefects(standard, form);
+  if (result.error) throw new Error(result.error);
+
+  const numbers = (values) => Object.fromEntries(
+    Object.entries(values || {}).filter(([, value]) => value !== '' && value != null).map(([key, value]) => [key, Number(value)])
+  );
+  const screens = numbers(form.screens);
+
+  const { data, error } = await supabase
+    .from('grading_samples')
+    .insert([{
+      farmer_id: farmerId,
+      harvest_id: form.harvest_id || null,
+      lot_id: form.lot_id || null,
+      sampled_on: form.sampled_on,
+      method: 'defects',
+      standard_key: standard.key,
+      sample_weight_g: parseFloat(form.sampleWeightG),
+      moisture_pct: parseFloat(form.moisturePct),
+      defect_counts: numbers(form.counts),
+      screen_grams: Object.keys(screens).length > 0 ? screens : null,
+      full_defects: result.fullDefects,
+      grade: result.grade,
+      notes: form.notes?.trim() || null,
+      recorded_by: recordedBy
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Deletes a graded sample
+ * @param {string} sampleId
+ */
+export const deleteSample = async (sampleId) => {
+  const { error } = await supabase.from('grading_samples').delete().eq('sample_id', sampleId);
+  if (error) throw error;
+};
@@ -0,0 +1,117 @@
+// Harvest metrics: the one place that defines how coffee grades are stored in harvest_data.
+//
+// coffee_premium_grade, coffee_fine_grade and coffee_commercial_grade hold kilograms of
+// dry coffee, and together they make up coffee_dry_quantity. Some older rows were entered
+// as percentages of the dry weight instead; normalizeHarvest() converts those on read
+// until the normalisation migration has run everywhere.
+
+export const GRADE_FIELDS = [
+  { key: 'premium', field: 'coffee_premium_grade', label: 'Premium' },
+  { key: 'fine', field: 'coffee_fine_grade', label: 'Fine' },
+  { key: 'commercial', field: 'coffee_commercial_grade', label: 'Commercial' }
+];
+
+// Grades may differ from the dry quantity by rounding, but not by more than this
+export const GRADE_TOLERANCE_KG = 0.05;
+
+// Percentages entered by hand rarely add up to exactly 100
+const PERCENT_TOLERANCE = 0.5;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const toNumber = (value) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? 0 : parsed;
+};
+
+/**
+ * Whether a row's grades look like percentages of the dry weight rather than kilograms
+ * @param {Object} harvest - harvest_data row
+ * @returns {boolean}
+ */
+export const hasPercentGrades = (harvest) => {
+  const dry = toNumber(harvest.coffee_dry_quantity);
+  const gradeSum = GRADE_FIELDS.reduce((sum, { field }) => sum + toNumber(harvest[field]), 0);
+  return dry > 0 &&
+    Math.abs(gradeSum - 100) <= PERCENT_TOLERANCE &&
+    Math.abs(gradeSum - dry) > GRADE_TOLERANCE_KG;
+};
+
+/**
+ * Returns a harvest row with numeric quantities and grades in kilograms
+ * @param {Object} harvest - harvest_data row
+ * @returns {Object} Copy of the row
+ */
+export const normalizeHarvest = (harvest) => {
+  const dry = toNumber(harvest.coffee_dry_quantity);
+  const asPercent = hasPercentGrades(harvest);
+  const normalized = {
+    ...harvest,
+    coffee_raw_quantity: toNumber(harvest.coffee_raw_quantity),
+    coffee_dry_quantity: dry
+  };
+  GRADE_FIELDS.forEach(({ field }) => {
+    const value = toNumber(harvest[field]);
+    normalized[field] = asPercent ? round2(dry * value / 100) : value;
+  });
+  return normalized;
+};
+
+/**
+ * Checks harvest quantities before they are saved
+ * @param {Object} values - coffee_raw_quantity, coffee_dry_quantity and the three grade fields
+ * @returns {string|null} What is wrong, or null when the values are consistent
+ */
+export const validateHarvestGrades = (values) => {
+  const raw = parseFloat(values.coffee_raw_quantity);
+  if (isNaN(raw) || raw < 0) return 'Raw coffee quantity must be a non-negative number.';
+
+  let gradeSum = 0;
+  for (const { field, label } of GRADE_FIELDS) {
+    const kg = parseFloat(values[field]);
+    if (isNaN(kg) || kg < 0) return `${label} grade must be a non-negative number of kilograms.`;
+    gradeSum += kg;
+  }
+
+  if (gradeSum - raw > GRADE_TOLERANCE_KG) {
+    return `Graded coffee (${round2(gradeSum)} kg) cannot exceed the raw quantity (${raw} kg).`;
+  }
+
+  const dry = parseFloat(values.coffee_dry_quantity);
+  if (!isNaN(dry) && Math.abs(gradeSum - dry) > GRADE_TOLERANCE_KG) {
+    return `Premium, fine and commercial grades must add up to the dry quantity (${dry} kg).`;
+  }
+
+  return null;
+};
+
+/**
+ * Totals a set of harvests
+ * @param {Array} harvests - harvest_data rows, in either grade representation
+ * @returns {{harvestCount: number, rawKg: number, dryKg: number, gradeKg: Object<string, number>,
+ *   gradePercent: Object<string, number>}} gradePercent is each grade's share of the graded coffee
+ */
+export const summarizeHarvests = (harvests = []) => {
+  const totals = harvests.map(normalizeHarvest).reduce((acc, harvest) => {
+    acc.rawKg += harvest.coffee_raw_quantity;
+    acc.dryKg += harvest.coffee_dry_quantity;
+    GRADE_FIELDS.forEach(({ key, field }) => { acc.gradeKg[key] += harvest[field]; });
+    return acc;
+  }, {
+    rawKg: 0,
+    dryKg: 0,
+    gradeKg: Object.fromEntries(GRADE_FIELDS.map(({ key }) => [key, 0]))
+  });
+
+  const gradedKg = Object.values(totals.gradeKg).reduce((a, b) => a + b, 0);
+
+  return {
+    harvestCount: harvests.length,
+    rawKg: round2(totals.rawKg),
+    dryKg: round2(totals.dryKg),
+    gradeKg: Object.fromEntries(Object.entries(totals.gradeKg).map(([key, kg]) => [key, round2(kg)])),
+    gradePercent: Object.fromEntries(Object.entries(totals.gradeKg).map(([key, kg]) => [
+      key,
+      gradedKg > 0 ? round2((kg / gradedKg) * 100) : 0
+    ]))
+  };
+};
@@ -0,0 +1,226 @@
+// Farm ledger: input costs, labor and coffee sales, summarised per crop season
+import { supabase } from './supabaseClient';
+
+export const EXPENSE_CATEGORIES = [
+  { key: 'fertilizer', label: 'Fertilizer', defaultUnit: 'kg' },
+  { key: 'pesticide', label: 'Pesticide', defaultUnit: 'L' },
+  { key: 'labor', label: 'Labor', defaultUnit: 'days' },
+  { key: 'equipment', label: 'Equipment', defaultUnit: 'pcs' },
+  { key: 'processing', label: 'Processing', defaultUnit: 'kg' }
+];
+
+export const SALE_GRADES = [
+  { key: 'premium', label: 'Premium' },
+  { key: 'fine', label: 'Fine' },
+  { key: 'commercial', label: 'Commercial' }
+];
+
+// Crop seasons run October to September, so one harvest period stays in one season
+const SEASON_START_MONTH = 9;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Formats an amount in Philippine pesos
+ * @param {number} amount
+ * @returns {string}
+ */
+export const formatCurrency = (amount) => {
+  return (amount || 0).toLocaleString('en-PH', { style: 'currency', currency: 'PHP' });
+};
+
+/**
+ * Returns the crop season a date falls in
+ * @param {string|Date} date
+ * @returns {string} Season label, e.g. "2024/25" for Oct 2024 - Sep 2025
+ */
+export const getCropSeason = (date) => {
+  const d = new Date(date);
+  const startYear = d.getMonth() >= SEASON_START_MONTH ? d.getFullYear() : d.getFullYear() - 1;
+  return `${startYear}/${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Fetches a farmer's expenses and sales, newest first
+ * @param {string} farmerId - farmer_detail id
+ * @returns {Promise<{expenses: Array, sales: Array}>}
+ */
+export const fetchLedger = async (farmerId) => {
+  try {
+    const [expensesResult, salesResult] = await Promise.all([
+      supabase
+        .from('farm_expenses')
+        .select('*')
+        .eq('farmer_id', farmerId)
+        .order('expense_date', { ascending: false }),
+      supabase
+        .from('coffee_sales')
+        .select('*')
+        .eq('farmer_id', farmerId)
+        .order('sale_date', { ascending: false })
+    ]);
+
+    if (expensesResult.error) throw expensesResult.error;
+    if (salesResult.error) throw salesResult.error;
+
+    return { expenses: expensesResult.data || [], sales: salesResult.data || [] };
+  } catch (error) {
+    console.error('Error fetching ledger:', error);
+    throw error;
+  }
+};
+
+/**
+ * Records an expense
+ * @param {string} farmerId - farmer_detail id
+ * @param {Object} form - category, expense_date, description, quantity, unit, unit_cost,
+ *   and optionally plant_id and harvest_id
+ * @returns {Promise<Object>} The inserted row
+ */
+export const addExpense = async (farmerId, form) => {
+  const quantity = parseFloat(form.quantity);
+  const unitCost = parseFloat(form.unit_cost);
+
+  if (!EXPENSE_CATEGORIES.some(c => c.key === form.category)) {
+    throw new Error('Please choose an expense category.');
+  }
+  if (isNaN(quantity) || quantity < 0 || isNaN(unitCost) || unitCost < 0) {
+    throw new Error('Quantity and unit cost must be non-negative numbers.');
+  }
+
+  const { data, error } = await supabase
+    .from('farm_expenses')
+    .insert([{
+      farmer_id: farmerId,
+      plant_id: form.plant_id || null,
+      harvest_id: form.harvest_id || null,
+      category: form.category,
+      expense_date: form.expense_date,
+      description: form.description || null,
+      quantity,
+      unit: form.unit || null,
+      unit_cost: unitCost,
+      amount: round2(quantity * unitCost)
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Records a coffee sale
+ * @param {string} farmerId - farmer_detail id
+ * @param {Object} form - sale_date, grade, quantity_kg, price_per_kg, buyer,
+ *   and optionally plant_id and harvest_id
+ * @returns {Promise<Object>} The inserted row
+ */
+export const addSale = async (farmerId, form) => {
+  const quantityKg = parseFloat(form.quantity_kg);
+  const pricePerKg = parseFloat(form.price_per_kg);
+
+  if (!SALE_GRADES.some(g => g.key === form.grade)) {
+    throw new Error('Please choose the grade sold.');
+  }
+  if (isNaN(quantityKg) || quantityKg <= 0) {
+    throw new Error('Quantity sold must be greater than zero.');
+  }
+  if (isNaN(pricePerKg) || pricePerKg < 0) {
+    throw new Error('Price per kg must be a non-negative number.');
+  }
+
+  const { data, error } = await supabase
+    .from('coffee_sales')
+    .insert([{
+      farmer_id: farmerId,
+      plant_id: form.plant_id || null,
+      harvest_id: form.harvest_id || null,
+      lot_id: form.lot_id || null,
+      sale_date: form.sale_date,
+      grade: form.grade,
+      quantity_kg: quantityKg,
+      price_per_kg: pricePerKg,
+      amount: round2(quantityKg * pricePerKg),
+      buyer: form.buyer || null
+    }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Removes an expense
+ * @param {string} expenseId
+ */
+export const deleteExpense = async (expenseId) => {
+  const { error } = await supabase.from('farm_expenses').delete().eq('expense_id', expenseId);
+  if (error) throw error;
+};
+
+/**
+ * Removes a sale
+ * @param {string} saleId
+ */
+export const deleteSale = async (saleId) => {
+  const { error } = await supabase.from('coffee_sales').delete().eq('sale_id', saleId);
+  if (error) throw error;
+};
+
+/**
+ * Totals the ledger per crop season
+ * @param {Object} ledger
+ * @param {Array} ledger.expenses - farm_expenses rows
+ * @param {Array} ledger.sales - coffee_sales rows
+ * @param {Array} ledger.harvests - harvest_data rows, for the dry coffee produced
+ * @returns {Array<{season: string, grossRevenue: number, totalCost: number, netMargin: number,
+ *   marginPercent: number|null, dryKg: number, costPerKgDry: number|null, costsByCategory: Object}>}
+ *   Newest season first
+ */
+export const summarizeBySeason = ({ expenses = [], sales = [], harvests = [] }) => {
+  const seasons = {};
+  const seasonFor = (date) => {
+    const season = getCropSeason(date);
+    if (!seasons[season]) {
+      seasons[season] = {
+        season,
+        grossRevenue: 0,
+        totalCost: 0,
+        dryKg: 0,
+        costsByCategory: Object.fromEntries(EXPENSE_CATEGORIES.map(c => [c.key, 0]))
+      };
+    }
+    return seasons[season];
+  };
+
+  expenses.forEach(expense => {
+    const season = seasonFor(expense.expense_date);
+    season.totalCost += expense.amount || 0;
+    season.costsByCategory[expense.category] = (season.costsByCategory[expense.category] || 0) + (expense.amount || 0);
+  });
+
+  sales.forEach(sale => {
+    seasonFor(sale.sale_date).grossRevenue += sale.amount || 0;
+  });
+
+  harvests.forEach(harvest => {
+    seasonFor(harvest.harvest_date).dryKg += harvest.coffee_dry_quantity || 0;
+  });
+
+  return Object.values(seasons)
+    .map(s => {
+      const netMargin = s.grossRevenue - s.totalCost;
+      return {
+        ...s,
+        grossRevenue: round2(s.grossRevenue),
+        totalCost: round2(s.totalCost),
+        dryKg: round2(s.dryKg),
+        netMargin: round2(netMargin),
+        marginPercent: s.grossRevenue > 0 ? round2((netMargin / s.grossRevenue) * 100) : null,
+        costPerKgDry: s.dryKg > 0 ? round2(s.totalCost / s.dryKg) : null
+      };
+    })
+    .sort((a, b) => b.season.localeCompare(a.season));
+};
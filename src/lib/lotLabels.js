@@ -0,0 +1,115 @@
+// Printable lot labels: a QR code pointing at the public lot page next to the
+// lot code and a short origin summary, as a single SVG or as a PDF sheet of
+// labels to print on A4.
+import { jsPDF } from 'jspdf';
+import { GRADE_FIELDS } from './harvestMetrics';
+import { encodeQr, qrPath, qrToPngDataUrl } from './qrCode';
+import { lotUrl } from './lots';
+
+// Label size and A4 sheet layout, in millimetres
+const LABEL_WIDTH = 90;
+const LABEL_HEIGHT = 50;
+const LABEL_PADDING = 4;
+const SHEET_COLUMNS = 2;
+const SHEET_ROWS = 5;
+const SHEET_MARGIN_X = 12;
+const SHEET_MARGIN_Y = 16;
+const QUIET_ZONE = 4;
+const SVG_LINE_CHARS = 30; // What fits beside the QR code at the label font size
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+const fit = (line, max) => (line.length > max ? `${line.slice(0, max - 1)}…` : line);
+
+const escapeXml = (text) => String(text).replace(/[<>&'"]/g, char => ({
+  '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+}[char]));
+
+/**
+ * The lines printed under a lot code
+ * @param {Object} lot - coffee_lots row
+ * @param {Object} origin - From describeOrigin()
+ * @param {Object} [farm] - farmer_detail row, for farm_location and farm_elevation
+ * @returns {string[]}
+ */
+export const lotLabelLines = (lot, origin, farm = {}) => {
+  const grade = GRADE_FIELDS.find(({ key }) => key === lot.grade)?.label || 'Mixed grade';
+  const harvest = origin.harvestFrom
+    ? origin.harvestFrom === origin.harvestTo
+      ? `Harvested ${formatDate(origin.harvestFrom)}`
+      : `Harvested ${formatDate(origin.harvestFrom)} - ${formatDate(origin.harvestTo)}`
+    : null;
+  const place = [farm.farm_location, farm.farm_elevation ? `${farm.farm_elevation} m` : null].filter(Boolean).join(', ');
+
+  return [
+    `${grade}, ${lot.quantity_kg} kg`,
+    origin.varieties.join(', ') || null,
+    origin.methods.length ? `${origin.methods.join(', ')} process` : null,
+    harvest,
+    place || null
+  ].filter(Boolean);
+};
+
+/**
+ * One lot label as an SVG document, sized in millimetres for printing
+ * @param {Object} lot - coffee_lots row
+ * @param {string[]} lines - From lotLabelLines()
+ * @returns {string}
+ */
+export const lotLabelSvg = (lot, lines) => {
+  const qr = encodeQr(lotUrl(lot.lot_code));
+  const qrSize = LABEL_HEIGHT - LABEL_PADDING * 2;
+  const scale = qrSize / (qr.size + QUIET_ZONE * 2);
+  const textX = LABEL_PADDING + qrSize + 2;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${LABEL_WIDTH}mm" height="${LABEL_HEIGHT}mm" viewBox="0 0 ${LABEL_WIDTH} ${LABEL_HEIGHT}">`,
+    `<rect width="${LABEL_WIDTH}" height="${LABEL_HEIGHT}" fill="#ffffff" stroke="#d1d5db" stroke-width="0.2"/>`,
+    `<g transform="translate(${LABEL_PADDING} ${LABEL_PADDING}) scale(${scale})">`,
+    `<path d="${qrPath(qr, QUIET_ZONE, QUIET_ZONE)}" fill="#000000"/>`,
+    '</g>',
+    `<text x="${textX}" y="${LABEL_PADDING + 6}" font-family="Helvetica, Arial, sans-serif" font-size="5" font-weight="bold">${escapeXml(lot.lot_code)}</text>`,
+    ...lines.map((line, i) =>
+      `<text x="${textX}" y="${LABEL_PADDING + 13 + i * 4.5}" font-family="Helvetica, Arial, sans-serif" font-size="3">${escapeXml(fit(line, SVG_LINE_CHARS))}</text>`
+    ),
+    `<text x="${textX}" y="${LABEL_HEIGHT - LABEL_PADDING}" font-family="Helvetica, Arial, sans-serif" font-size="2.6" fill="#6b7280">Scan to trace this lot</text>`,
+    '</svg>'
+  ].join('\n');
+};
+
+/**
+ * Lays lot labels out on A4 pages, ten to a page
+ * @param {Array<{lot: Object, lines: string[]}>} labels
+ * @returns {jsPDF}
+ */
+export const createLotLabelSheetPdf = (labels) => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const perPage = SHEET_COLUMNS * SHEET_ROWS;
+  const qrSize = LABEL_HEIGHT - LABEL_PADDING * 2;
+
+  labels.forEach(({ lot, lines }, index) => {
+    if (index > 0 && index % perPage === 0) doc.addPage();
+    const slot = index % perPage;
+    const x = SHEET_MARGIN_X + (slot % SHEET_COLUMNS) * LABEL_WIDTH;
+    const y = SHEET_MARGIN_Y + Math.floor(slot / SHEET_COLUMNS) * LABEL_HEIGHT;
+    const textX = x + LABEL_PADDING + qrSize + 2;
+
+    doc.setDrawColor(209, 213, 219);
+    doc.rect(x, y, LABEL_WIDTH, LABEL_HEIGHT);
+    doc.addImage(qrToPngDataUrl(encodeQr(lotUrl(lot.lot_code)), 8, QUIET_ZONE), 'PNG', x + LABEL_PADDING, y + LABEL_PADDING, qrSize, qrSize);
+
+    doc.setTextColor(0);
+    doc.setFontSize(14);
+    doc.setFont('helvetica', 'bold');
+    doc.text(lot.lot_code, textX, y + LABEL_PADDING + 6);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8.5);
+    lines.forEach((line, i) => {
+      doc.text(doc.splitTextToSize(line, LABEL_WIDTH - (textX - x) - LABEL_PADDING)[0], textX, y + LABEL_PADDING + 13 + i * 4.5);
+    });
+    doc.setFontSize(7);
+    doc.setTextColor(107, 114, 128);
+    doc.text('Scan to trace this lot', textX, y + LABEL_HEIGHT - LABEL_PADDING);
+  });
+
+  return doc;
+};
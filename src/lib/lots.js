@@ -0,0 +1,307 @@
+// Coffee lots: graded coffee put together for sale, traceable back to its
+// harvests, processing batches and plant batches through sources and the
+// split/merge history. Lots are created, split and merged by database
+// functions so each change happens in one transaction (see the coffee_lots
+// migration); availability is checked here first for a clear message.
+import { supabase } from './supabaseClient';
+import { GRADE_FIELDS, GRADE_TOLERANCE_KG } from './harvestMetrics';
+import { BATCH_GRADE_FIELDS, PROCESSING_METHODS } from './processing';
+
+export const LOT_STATUSES = {
+  active: { label: 'Active' },
+  sold: { label: 'Sold' },
+  split: { label: 'Split' },
+  merged: { label: 'Merged' }
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * The public page a lot's QR label points to
+ * @param {string} lotCode
+ * @returns {string} Absolute URL
+ */
+export const lotUrl = (lotCode) => {
+  const base = typeof window !== 'undefined'
+    ? new URL(import.meta.env.BASE_URL, window.location.origin).href
+    : import.meta.env.BASE_URL;
+  return `${base.replace(/\/$/, '')}/lot/${encodeURIComponent(lotCode)}`;
+};
+
+/**
+ * Kilograms of a lot sold so far
+ * @param {string} lotId
+ * @param {Array<Object>} sales - coffee_sales rows
+ * @returns {number}
+ */
+export const soldKg = (lotId, sales) => {
+  return round2(sales.filter(sale => sale.lot_id === lotId).reduce((sum, sale) => sum + sale.quantity_kg, 0));
+};
+
+/**
+ * A lot's status, counting a lot with nothing left unsold as sold
+ * @param {Object} lot - coffee_lots row
+ * @param {Array<Object>} sales - coffee_sales rows
+ * @returns {string} A LOT_STATUSES key
+ */
+export const lotStatus = (lot, sales) => {
+  if (lot.status !== 'active') return lot.status;
+  return lot.quantity_kg - soldKg(lot.lot_id, sales) <= GRADE_TOLERANCE_KG ? 'sold' : 'active';
+};
+
+// Graded kilograms of a harvest or batch, for one grade or all of them
+const gradedKg = (row, fields, grade) => {
+  if (grade) return row[fields.find(({ key }) => key === grade).field] || 0;
+  return fields.reduce((sum, { field }) => sum + (row[field] || 0), 0);
+};
+
+/**
+ * Graded coffee that can still go into a lot of the given grade. A harvest
+ * that went into processing batches is offered through its graded batches.
+ * Mirrors lot_source_available() in the database.
+ * @param {Object} data
+ * @param {Array<Object>} data.harvests - harvest_data rows, normalized
+ * @param {Array<Object>} data.batches - processing_batches rows
+ * @param {Array<Object>} data.lots - coffee_lots rows with their coffee_lot_sources
+ * @param {string|null} grade - A GRADE_FIELDS key, or null for a mixed lot
+ * @returns {Array<{harvest_id: string, batch_id: string|null, harvest: Object, batch: Object|null, availableKg: number}>}
+ */
+export const lotSourceOptions = ({ harvests, batches, lots }, grade) => {
+  const used = (harvestId, batchId) => lots
+    .filter(lot => !grade || !lot.grade || lot.grade === grade)
+    .flatMap(lot => lot.coffee_lot_sources || [])
+    .filter(source => source.harvest_id === harvestId && (source.batch_id || null) === batchId)
+    .reduce((sum, source) => sum + source.quantity_kg, 0);
+
+  return harvests.flatMap(harvest => {
+    const harvestBatches = batches.filter(batch => batch.harvest_id === harvest.harvest_id);
+    if (harvestBatches.length === 0) {
+      const graded = grade ? gradedKg(harvest, GRADE_FIELDS, grade) : harvest.coffee_dry_quantity;
+      return [{ harvest_id: harvest.harvest_id, batch_id: null, harvest, batch: null, availableKg: round2(graded - used(harvest.harvest_id, null)) }];
+    }
+    return harvestBatches
+      .filter(batch => batch.graded_on)
+      .map(batch => ({
+        harvest_id: harvest.harvest_id,
+        batch_id: batch.batch_id,
+        harvest,
+        batch,
+        availableKg: round2(gradedKg(batch, BATCH_GRADE_FIELDS, grade) - used(harvest.harvest_id, batch.batch_id))
+      }));
+  }).filter(option => option.availableKg > GRADE_TOLERANCE_KG);
+};
+
+/**
+ * Checks a new lot before it is created
+ * @param {Object} form
+ * @param {string} form.grade - A GRADE_FIELDS key, or '' for a mixed lot
+ * @param {Object<string, string>} form.quantities - Kilograms by source key (see sourceKey)
+ * @param {Array<Object>} options - From lotSourceOptions()
+ * @returns {string|null} What is wrong, or null when the lot can be created
+ */
+export const validateLot = (form, options) => {
+  let total = 0;
+  for (const option of options) {
+    const raw = form.quantities[sourceKey(option)];
+    if (raw === undefined || raw === '') continue;
+    const kg = parseFloat(raw);
+    if (isNaN(kg) || kg < 0) return 'Quantities must be non-negative numbers of kilograms.';
+    if (kg - option.availableKg > GRADE_TOLERANCE_KG) {
+      return `Only ${option.availableKg} kg of the ${new Date(option.harvest.harvest_date).toLocaleDateString()} harvest is left for this lot.`;
+    }
+    total += kg;
+  }
+  if (total <= 0) return 'Put some coffee from at least one harvest into the lot.';
+  return null;
+};
+
+/**
+ * Key of a lot source option in the create form
+ * @param {{harvest_id: string, batch_id: string|null}} option
+ * @returns {string}
+ */
+export const sourceKey = ({ harvest_id, batch_id }) => `${harvest_id}:${batch_id || ''}`;
+
+/**
+ * The sources a lot's coffee ultimately came from, following splits and merges back
+ * @param {string} lotId
+ * @param {Array<Object>} lots - coffee_lots rows with their coffee_lot_sources
+ * @param {Array<Object>} links - coffee_lot_links rows
+ * @returns {Array<Object>} coffee_lot_sources rows
+ */
+export const traceSources = (lotId, lots, links) => {
+  const seen = new Set();
+  const visit = (id) => {
+    if (seen.has(id)) return [];
+    seen.add(id);
+    const own = lots.find(lot => lot.lot_id === id)?.coffee_lot_sources || [];
+    const parents = links.filter(link => link.child_lot_id === id).map(link => link.parent_lot_id);
+    return [...own, ...parents.flatMap(visit)];
+  };
+  return visit(lotId);
+};
+
+/**
+ * What a lot label and the lot list say about a lot's origin
+ * @param {Array<Object>} sources - From traceSources()
+ * @param {Object} data
+ * @param {Array<Object>} data.harvests - harvest_data rows
+ * @param {Array<Object>} data.plants - plant_data rows
+ * @param {Array<Object>} data.batches - processing_batches rows
+ * @returns {{varieties: string[], methods: string[], harvestFrom: string|null, harvestTo: string|null}}
+ */
+export const describeOrigin = (sources, { harvests, plants, batches }) => {
+  const sourceHarvests = sources.map(source => harvests.find(h => h.harvest_id === source.harvest_id)).filter(Boolean);
+  const dates = sourceHarvests.map(harvest => harvest.harvest_date.split('T')[0]).sort();
+  const varieties = sourceHarvests.map(harvest => plants.find(p => p.plant_id === harvest.plant_id)?.coffee_variety).filter(Boolean);
+  const methods = sources
+    .map(source => batches.find(b => b.batch_id === source.batch_id)?.method)
+    .filter(Boolean)
+    .map(method => PROCESSING_METHODS[method]?.label || method);
+
+  return {
+    varieties: [...new Set(varieties)],
+    methods: [...new Set(methods)],
+    harvestFrom: dates[0] || null,
+    harvestTo: dates[dates.length - 1] || null
+  };
+};
+
+/**
+ * Fetches a farmer's lots with their sources, split/merge links and the sales naming them
+ * @param {string} farmerId - farmer_detail id
+ * @returns {Promise<{lots: Array, links: Array, sales: Array}>}
+ */
+export const fetchLots = async (farmerId) => {
+  try {
+    const [lotResult, saleResult] = await Promise.all([
+      supabase
+        .from('coffee_lots')
+        .select('*, coffee_lot_sources(*)')
+        .eq('farmer_id', farmerId)
+        .order('created_at', { ascending: false }),
+      supabase
+        .from('coffee_sales')
+        .select('sale_id, lot_id, sale_date, quantity_kg, buyer')
+        .eq('farmer_id', farmerId)
+        .not('lot_id', 'is', null)
+    ]);
+    if (lotResult.error) throw lotResult.error;
+    if (saleResult.error) throw saleResult.error;
+
+    const lots = lotResult.data || [];
+    let links = [];
+    if (lots.length > 0) {
+      const { data, error } = await supabase
+        .from('coffee_lot_links')
+        .select('*')
+        .in('child_lot_id', lots.map(lot => lot.lot_id));
+      if (error) throw error;
+      links = data || [];
+    }
+
+    return { lots, links, sales: saleResult.data || [] };
+  } catch (error) {
+    console.error('Error fetching lots:', error);
+    throw error;
+  }
+};
+
+/**
+ * Creates a lot from graded coffee
+ * @param {Object} form - grade, quantities (see validateLot) and notes
+ * @param {Array<Object>} options - From lotSourceOptions() for the form's grade
+ * @returns {Promise<Object>} The new coffee_lots row, with its generated lot_code
+ */
+export const createLot = async (form, options) => {
+  const problem = validateLot(form, options);
+  if (problem) throw new Error(problem);
+
+  const sources = options
+    .map(option => ({ option, kg: parseFloat(form.quantities[sourceKey(option)]) }))
+    .filter(({ kg }) => kg > 0)
+    .map(({ option, kg }) => ({ harvest_id: option.harvest_id, batch_id: option.batch_id, quantity_kg: kg }));
+
+  const { data, error } = await supabase.rpc('create_lot', {
+    p_grade: form.grade || null,
+    p_sources: sources,
+    p_notes: form.notes?.trim() || null
+  });
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Splits what is left of a lot into smaller lots, e.g. for two buyers. The
+ * parts take all of it, so no coffee drops out of the trace.
+ * @param {Object} lot - coffee_lots row
+ * @param {Array<string|number>} quantities - Kilograms of each new lot
+ * @param {number} unsoldKg - What is left of the lot
+ * @returns {Promise<Array<Object>>} The new lots
+ */
+export const splitLot = async (lot, quantities, unsoldKg) => {
+  const parts = quantities.map(value => parseFloat(value));
+  if (parts.length < 2 || parts.some(kg => isNaN(kg) || kg <= 0)) {
+    throw new Error('Split the lot into at least two parts of more than 0 kg.');
+  }
+  const total = parts.reduce((sum, kg) => sum + kg, 0);
+  if (Math.abs(total - unsoldKg) > GRADE_TOLERANCE_KG) {
+    throw new Error(`The parts add up to ${round2(total)} kg but must add up to the ${unsoldKg} kg left unsold.`);
+  }
+
+  const { data, error } = await supabase.rpc('split_lot', { p_lot: lot.lot_id, p_quantities: parts });
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Merges what is left of several lots into one new lot
+ * @param {Array<string>} lotIds
+ * @param {string} [notes]
+ * @returns {Promise<Object>} The new lot
+ */
+export const mergeLots = async (lotIds, notes) => {
+  if (lotIds.length < 2) throw new Error('Choose at least two lots to merge.');
+
+  const { data, error } = await supabase.rpc('merge_lots', { p_lots: lotIds, p_notes: notes?.trim() || null });
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Whether a lot can still be deleted: made straight from harvests, and not yet sold, split or merged
+ * @param {Object} lot - coffee_lots row
+ * @param {Array<Object>} links - coffee_lot_links rows
+ * @param {Array<Object>} sales - coffee_sales rows
+ * @returns {boolean}
+ */
+export const canDeleteLot = (lot, links, sales) => {
+  return lot.status === 'active' &&
+    soldKg(lot.lot_id, sales) === 0 &&
+    !links.some(link => link.child_lot_id === lot.lot_id);
+};
+
+/**
+ * Deletes a lot that has not been sold, split or merged, freeing its coffee for other lots
+ * @param {string} lotId
+ */
+export const deleteLot = async (lotId) => {
+  const { error } = await supabase.from('coffee_lots').delete().eq('lot_id', lotId);
+  if (error) throw error;
+};
+
+/**
+ * Fetches what the public lot page shows, without signing in
+ * @param {string} lotCode
+ * @returns {Promise<Object|null>} See get_public_lot() in the coffee_lots migration; null for an unknown code
+ */
+export const fetchPublicLot = async (lotCode) => {
+  try {
+    const { data, error } = await supabase.rpc('get_public_lot', { p_code: lotCode });
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching public lot:', error);
+    throw error;
+  }
+};
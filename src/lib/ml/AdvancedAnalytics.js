@@ -1,11 +1,45 @@
 import { TimeSeriesAnalysis } from './TimeSeriesAnalysis';
 import { DecisionSupportSystem } from './DecisionSupportSystem';
+import { predictNextHarvest } from './YieldModel';
+import { DEFAULT_VARIETY, getVariety } from '../coffeeVarieties';
 
 export class AdvancedAnalytics {
     constructor() {
         this.timeSeriesAnalyzer = new TimeSeriesAnalysis();
         this.dss = new DecisionSupportSystem();
         this.historicalData = [];
+        this.yieldModel = null;
+        this.yieldContext = null;
+        this.variety = DEFAULT_VARIETY;
+    }
+
+    // Evaluate growing conditions with the DSS rules as stored, from getDssRules()
+    setDssRules(rules) {
+        this.dss.setRules(rules);
+    }
+
+    // Judge the farm's conditions against its main variety, from predominantVariety()
+    setVariety(variety) {
+        this.variety = variety || DEFAULT_VARIETY;
+        this.dss.setVariety(this.variety);
+    }
+
+    // Optimal ranges for the environmental status; humidity is the same for every variety
+    getEnvironmentalRanges() {
+        const { temperature, ph, rainfall } = this.variety;
+        return {
+            temperature: { ...temperature, unit: '°C', default: (temperature.min + temperature.max) / 2 },
+            humidity: { min: 60, max: 80, unit: '%', default: 70 },
+            pH: { ...ph, unit: '', default: (ph.min + ph.max) / 2 },
+            rainfall: { ...rainfall, unit: 'mm', default: (rainfall.min + rainfall.max) / 2 }
+        };
+    }
+
+    // Use a trained YieldModel for the farm's plants; context holds
+    // { plants, farm, seriesByPlant, harvests } as loaded by the page
+    setYieldModel(model, context) {
+        this.yieldModel = model;
+        this.yieldContext = context;
     }
 
     // Validate harvest data
@@ -138,8 +172,9 @@ export class AdvancedAnalytics {
             // Get growth forecast
             const growthForecast = this.dss.getGrowthForecast(7);
 
-            // Calculate yield prediction
-            const yieldPrediction = this.predictYield(validatedConditions);
+            // Calculate yield prediction, overriding the plants' soil pH only
+            // with a measured one, never with validateConditions' default
+            const yieldPrediction = this.predictYield(validatedConditions, Number.isFinite(currentConditions.pH));
 
             // Generate comprehensive recommendations
             const recommendations = [
@@ -194,14 +229,7 @@ export class AdvancedAnalytics {
 
     // Get default environmental status
     getDefaultEnvironmentalStatus(factor) {
-        const ranges = {
-            temperature: { min: 20, max: 28, unit: '°C', default: 25 },
-            humidity: { min: 60, max: 80, unit: '%', default: 70 },
-            pH: { min: 6.0, max: 7.0, unit: '', default: 6.5 },
-            rainfall: { min: 1200, max: 1800, unit: 'mm', default: 1500 }
-        };
-
-        const range = ranges[factor];
+        const range = this.getEnvironmentalRanges()[factor];
         return {
             value: range.default,
             status: 'unknown',
@@ -213,50 +241,51 @@ export class AdvancedAnalytics {
         };
     }
 
-    // Predict yield based on all available factors
-    predictYield(conditions) {
+    // Predict the farm's next harvest: the trained model's forecast for every
+    // plant batch, adjusted for weather, which the model does not see, by how
+    // well that batch's variety suits it. Each batch's own soil pH is used
+    // unless the caller measured one.
+    predictYield(conditions, phMeasured = false) {
         try {
-            const { temperature, rainfall, fertilizerApplication, pestDiseaseIncidence } = conditions;
-            
-            // Get base prediction from time series
-            const basePrediction = this.timeSeriesAnalyzer.predictNextValue() || 0;
-
-            // Apply environmental impact factors
-            const tempImpact = this.calculateTemperatureImpact(temperature);
-            const rainImpact = this.calculateRainfallImpact(rainfall);
-            const fertilizerImpact = this.calculateFertilizerImpact(fertilizerApplication);
-            const pestImpact = this.calculatePestImpact(pestDiseaseIncidence);
-
-            // Combine all factors and ensure non-negative
-            return Math.max(0, basePrediction * tempImpact * rainImpact * fertilizerImpact * pestImpact);
+            if (!this.yieldModel || !this.yieldContext) return null;
+
+            const { temperature, rainfall, pH } = conditions;
+            const { plants, farm, seriesByPlant, harvests } = this.yieldContext;
+
+            const prediction = plants.reduce((sum, plant) => {
+                const variety = getVariety(plant.coffee_variety);
+                const amount = predictNextHarvest(this.yieldModel, {
+                    plant,
+                    farm,
+                    series: seriesByPlant[plant.plant_id],
+                    harvests: harvests.filter(h => h.plant_id === plant.plant_id),
+                    overrides: phMeasured ? { soilPh: pH } : {}
+                }).amount;
+                return sum + amount * this.calculateTemperatureImpact(temperature, variety) * this.calculateRainfallImpact(rainfall, variety);
+            }, 0);
+
+            return Math.max(0, prediction);
         } catch (error) {
             console.error('Error in yield prediction:', error);
             return null;
         }
     }
 
-    // Calculate environmental factor impacts
-    calculateTemperatureImpact(temp) {
-        const optimal = 25;
-        const tolerance = 5;
-        const impact = 1 - Math.abs(temp - optimal) / (tolerance * 2);
-        return Math.max(0.5, Math.min(1.2, impact + 1));
+    // Calculate environmental factor impacts against a variety's optimal ranges
+    calculateTemperatureImpact(temp, variety = this.variety) {
+        const optimal = (variety.temperature.min + variety.temperature.max) / 2;
+        const tolerance = (variety.temperature.max - variety.temperature.min) / 2;
+        // No effect within the variety's range, falling to half beyond twice its half-width outside it
+        const impact = 1 - Math.max(0, Math.abs(temp - optimal) - tolerance) / (tolerance * 2);
+        return Math.max(0.5, Math.min(1, impact));
     }
 
-    calculateRainfallImpact(rainfall) {
-        const optimal = 1500;
+    calculateRainfallImpact(rainfall, variety = this.variety) {
+        const optimal = (variety.rainfall.min + variety.rainfall.max) / 2;
         const impact = rainfall / optimal;
         return Math.max(0.6, Math.min(1.3, impact));
     }
 
-    calculateFertilizerImpact(level) {
-        return Math.max(0.7, Math.min(1.2, 0.7 + (level * 0.5)));
-    }
-
-    calculatePestImpact(level) {
-        return Math.max(0.4, Math.min(1.0, 1 - (level * 0.6)));
-    }
-
     // Generate specific yield-related recommendations
     generateYieldRecommendations(prediction, conditions) {
         try {
@@ -272,11 +301,12 @@ export class AdvancedAnalytics {
             }
 
             // Add more specific recommendations based on conditions
-            if (conditions.temperature < 20 || conditions.temperature > 28) {
+            const { name, temperature } = this.variety;
+            if (conditions.temperature < temperature.min || conditions.temperature > temperature.max) {
                 recommendations.push({
                     type: 'temperature',
                     severity: 'medium',
-                    message: `Temperature is outside optimal range. Adjust greenhouse conditions to maintain 20-28°C.`
+                    message: `Temperature is outside the optimal range for ${name}. Adjust greenhouse conditions to maintain ${temperature.min}-${temperature.max}°C.`
                 });
             }
 
@@ -291,6 +321,7 @@ export class AdvancedAnalytics {
     prioritizeRecommendations(recommendations) {
         try {
             const severityScore = {
+                critical: 4,
                 high: 3,
                 medium: 2,
                 low: 1
@@ -308,14 +339,7 @@ export class AdvancedAnalytics {
     // Analyze environmental factors
     analyzeEnvironmentalFactor(factor, value) {
         try {
-            const ranges = {
-                temperature: { min: 20, max: 28, unit: '°C' },
-                humidity: { min: 60, max: 80, unit: '%' },
-                pH: { min: 6.0, max: 7.0, unit: '' },
-                rainfall: { min: 1200, max: 1800, unit: 'mm' }
-            };
-
-            const range = ranges[factor];
+            const range = this.getEnvironmentalRanges()[factor];
             const status = value < range.min ? 'low' : 
                         value > range.max ? 'high' : 'optimal';
 
@@ -0,0 +1,191 @@
+import { mean } from 'simple-statistics';
+import { RidgeRegression, scoreRegression, seededRandom, shuffle } from './RidgeRegression';
+import { TimeSeriesAnalysis } from './TimeSeriesAnalysis';
+
+const seasons = new TimeSeriesAnalysis();
+const FOLDS = 5;
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Inputs shared by every predictor. Farmers rarely have a lab soil test, so
+// nutrient readings are often missing and fall back to the training average.
+export const CONDITION_FEATURES = [
+    { key: 'monthSin', label: 'Time of year (sine)' },
+    { key: 'monthCos', label: 'Time of year (cosine)' },
+    { key: 'wetSeason', label: 'Wet season' },
+    { key: 'drySeason', label: 'Dry season' },
+    { key: 'ph_level', label: 'Soil pH' },
+    { key: 'nitrogen', label: 'Nitrogen' },
+    { key: 'phosphorus', label: 'Phosphorus' },
+    { key: 'potassium', label: 'Potassium' },
+    { key: 'calcium', label: 'Calcium' },
+    { key: 'magnesium', label: 'Magnesium' },
+    { key: 'organic_matter', label: 'Organic matter' },
+    { key: 'avg_temperature', label: 'Average temperature' },
+    { key: 'avg_rainfall', label: 'Rainfall' }
+];
+
+// Predictor kinds and the coffee_data columns each one predicts, all percentages
+export const CONDITION_MODELS = {
+    ripeness: {
+        label: 'Cherry Ripeness',
+        targets: [{ key: 'ripe_percentage', label: 'Ripe cherries' }]
+    },
+    pest_incidence: {
+        label: 'Pest & Disease Incidence',
+        targets: [
+            { key: 'coffee_berry_borer', label: 'Coffee Berry Borer' },
+            { key: 'coffee_leaf_rust', label: 'Coffee Leaf Rust' },
+            { key: 'coffee_berry_disease', label: 'Coffee Berry Disease' },
+            { key: 'root_rot', label: 'Root Rot' },
+            { key: 'green_coffee_scale', label: 'Green Coffee Scale' },
+            { key: 'mealybugs_aphids', label: 'Mealybugs & Aphids' }
+        ]
+    }
+};
+
+const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+// Accepts 1-12 or a month name such as "March" or "Mar"
+export const parseMonth = (value) => {
+    const number = toNumber(value);
+    if (number !== null) return number >= 1 && number <= 12 ? Math.round(number) : null;
+    if (typeof value !== 'string') return null;
+    const index = MONTH_NAMES.indexOf(value.trim().slice(0, 3).toLowerCase());
+    return index === -1 ? null : index + 1;
+};
+
+const clampPercent = (value) => Math.max(0, Math.min(100, value));
+
+/**
+ * Model inputs from a coffee_data row or a farm's current conditions
+ * @param {Object} record - month plus any of ph_level, nitrogen, phosphorus,
+ *   potassium, calcium, magnesium, organic_matter, avg_temperature, avg_rainfall
+ * @returns {Object<string, number|null>} Keyed by CONDITION_FEATURES key
+ */
+export const toConditionFeatures = (record) => {
+    const month = parseMonth(record.month);
+    const angle = month === null ? null : (2 * Math.PI * (month - 1)) / 12;
+    const season = month === null ? null : seasons.getTropicalSeason(new Date(2000, month - 1, 15));
+
+    const features = {
+        monthSin: angle === null ? null : Math.sin(angle),
+        monthCos: angle === null ? null : Math.cos(angle),
+        wetSeason: season === null ? null : season === 'wetSeason' ? 1 : 0,
+        drySeason: season === null ? null : season === 'drySeason' ? 1 : 0
+    };
+    CONDITION_FEATURES.slice(4).forEach(({ key }) => {
+        features[key] = toNumber(record[key]);
+    });
+    return features;
+};
+
+const featureKeys = CONDITION_FEATURES.map(feature => feature.key);
+
+// Rows that have a value for the target column
+const labelledRows = (records, features, key) => records
+    .map((record, i) => ({ features: features[i], target: toNumber(record[key]) }))
+    .filter(row => row.target !== null);
+
+// One regression per target column; predictions are clamped to 0-100%
+export class ConditionPredictor {
+    constructor(kind, parameters) {
+        this.kind = kind;
+        this.regressions = Object.fromEntries(
+            Object.entries(parameters.targets).map(([key, params]) => [key, new RidgeRegression(params)])
+        );
+    }
+
+    static fit(kind, records) {
+        const features = records.map(toConditionFeatures);
+        const targets = {};
+        CONDITION_MODELS[kind].targets.forEach(({ key }) => {
+            const rows = labelledRows(records, features, key);
+            if (rows.length > 0) targets[key] = RidgeRegression.fit(rows, featureKeys).toJSON();
+        });
+        return new ConditionPredictor(kind, { targets });
+    }
+
+    toJSON() {
+        return {
+            targets: Object.fromEntries(
+                Object.entries(this.regressions).map(([key, regression]) => [key, regression.toJSON()])
+            )
+        };
+    }
+
+    /**
+     * @param {Object} conditions - See toConditionFeatures
+     * @returns {Array<{key: string, label: string, value: number}>} One entry per target, in percent
+     */
+    predict(conditions) {
+        const features = toConditionFeatures(conditions);
+        return CONDITION_MODELS[this.kind].targets
+            .filter(({ key }) => this.regressions[key])
+            .map(({ key, label }) => ({ key, label, value: clampPercent(this.regressions[key].predict(features)) }));
+    }
+}
+
+/**
+ * Fits a predictor on coffee_data and validates it with 5-fold cross-validation
+ * @param {string} kind - CONDITION_MODELS key
+ * @param {Array} records - coffee_data rows
+ * @returns {{predictor: ConditionPredictor, evaluation: Object}} The predictor is fit
+ *   on every row; evaluation has per-target MAE, RMSE and R² across the folds,
+ *   the MAE of always predicting the average (baselineMae) and the row count
+ */
+export const trainConditionPredictor = (kind, records) => {
+    const features = records.map(toConditionFeatures);
+
+    const targets = CONDITION_MODELS[kind].targets.map(({ key, label }) => {
+        const rows = labelledRows(records, features, key);
+        if (rows.length < FOLDS * 2) {
+            return { key, label, rows: rows.length, mae: null, rmse: null, r2: null, baselineMae: null };
+        }
+
+        const ordered = shuffle(rows, seededRandom(rows.length));
+        const predictions = [];
+        for (let fold = 0; fold < FOLDS; fold++) {
+            const test = ordered.filter((_, i) => i % FOLDS === fold);
+            const train = ordered.filter((_, i) => i % FOLDS !== fold);
+            const regression = RidgeRegression.fit(train, featureKeys);
+            const trainMean = mean(train.map(row => row.target));
+            test.forEach(row => predictions.push({
+                target: row.target,
+                predicted: clampPercent(regression.predict(row.features)),
+                baseline: trainMean
+            }));
+        }
+
+        const score = (field) => scoreRegression(
+            { predict: p => p[field] },
+            predictions.map(p => ({ features: p, target: p.target }))
+        );
+        const { mae, rmse } = score('predicted');
+        const baseline = score('baseline');
+        const overallMean = mean(rows.map(row => row.target));
+        const total = rows.reduce((sum, row) => sum + (row.target - overallMean) ** 2, 0);
+
+        return {
+            key,
+            label,
+            rows: rows.length,
+            mae,
+            rmse,
+            r2: total > 0 ? 1 - (rmse * rmse * predictions.length) / total : null,
+            baselineMae: baseline.mae
+        };
+    });
+
+    if (targets.every(target => target.mae === null)) {
+        throw new Error(`At least ${FOLDS * 2} coffee_data rows with ${CONDITION_MODELS[kind].label.toLowerCase()} values are needed to train this model`);
+    }
+
+    return {
+        predictor: ConditionPredictor.fit(kind, records),
+        evaluation: { folds: FOLDS, rows: records.length, targets }
+    };
+};
@@ -1,9 +1,13 @@
 import { TimeSeriesAnalysis } from './TimeSeriesAnalysis';
+import { DEFAULT_DSS_RULES, conditionFacts, evaluateRules } from '../dssRules';
+import { DEFAULT_VARIETY } from '../coffeeVarieties';
 
 export class DecisionSupportSystem {
-    constructor() {
+    constructor(rules = DEFAULT_DSS_RULES) {
         this.growthAnalyzer = new TimeSeriesAnalysis();
         this.recommendations = [];
+        this.rules = rules;
+        this.variety = DEFAULT_VARIETY;
         this.seasonalYieldTargets = {
             wetSeason: { 
                 min: 600, 
@@ -26,6 +30,16 @@ export class DecisionSupportSystem {
         };
     }
 
+    // Use the DSS rules as stored, from getDssRules()
+    setRules(rules) {
+        this.rules = rules;
+    }
+
+    // Judge conditions against this variety's optimal ranges, a COFFEE_VARIETIES entry
+    setVariety(variety) {
+        this.variety = variety || DEFAULT_VARIETY;
+    }
+
     // Add new growth data point
     addGrowthData(value, timestamp) {
         if (typeof value !== 'number' || value < 0) {
@@ -68,59 +82,13 @@ export class DecisionSupportSystem {
             const growthTrend = this.growthAnalyzer.getSeasonalGrowthTrend();
             const predictedNextValue = this.growthAnalyzer.predictNextSeasonalValue();
 
-            const recommendations = [];
-
-            // Analyze environmental conditions
-            if (temperature < 20) {
-                recommendations.push({
-                    type: 'temperature',
-                    severity: 'high',
-                    message: 'Temperature is too low. Consider increasing greenhouse temperature.'
-                });
-            } else if (temperature > 28) {
-                recommendations.push({
-                    type: 'temperature',
-                    severity: 'high',
-                    message: 'Temperature is too high. Consider cooling measures.'
-                });
-            }
-
-            if (humidity < 60) {
-                recommendations.push({
-                    type: 'humidity',
-                    severity: 'medium',
-                    message: 'Humidity is low. Consider increasing misting frequency.'
-                });
-            } else if (humidity > 80) {
-                recommendations.push({
-                    type: 'humidity',
-                    severity: 'high',
-                    message: 'Humidity is too high. Improve ventilation.'
-                });
-            }
-
-            if (pH < 6.0) {
-                recommendations.push({
-                    type: 'soil',
-                    severity: 'medium',
-                    message: 'Soil pH is too acidic. Consider pH adjustment.'
-                });
-            } else if (pH > 7.0) {
-                recommendations.push({
-                    type: 'soil',
-                    severity: 'medium',
-                    message: 'Soil pH is too alkaline. Consider pH adjustment.'
-                });
-            }
-
-            // Analyze growth trend
-            if (growthTrend === 'decreasing') {
-                recommendations.push({
-                    type: 'growth',
-                    severity: 'high',
-                    message: 'Growth rate is declining. Review recent environmental changes.'
-                });
-            }
+            // Each growing-conditions rule that fires becomes a recommendation
+            const recommendations = evaluateRules(this.rules, 'conditions', conditionFacts({ temperature, humidity, pH, growthTrend }, this.variety))
+                .map(rule => ({
+                    type: rule.category.toLowerCase(),
+                    severity: rule.severity,
+                    message: `${rule.issue}. ${rule.action}`
+                }));
 
             this.recommendations = recommendations;
 
@@ -349,14 +317,12 @@ export class DecisionSupportSystem {
             const growthTrend = this.growthAnalyzer.getSeasonalGrowthTrend();
             let riskScore = 0;
 
-            // Environmental conditions risk (0-75 points)
-            if (temperature < 20 || temperature > 28) riskScore += 25;
-            if (humidity < 60 || humidity > 80) riskScore += 25;
-            if (pH < 6.0 || pH > 7.0) riskScore += 25;
+            // Penalties of the growing-conditions rules that fire, growth trend included
+            riskScore += evaluateRules(this.rules, 'conditions', conditionFacts({ temperature, humidity, pH, growthTrend }, this.variety))
+                .reduce((sum, rule) => sum + rule.penalty, 0);
 
-            // Growth trend-based risk (0-25 points)
-            if (growthTrend === 'decreasing') riskScore += 25;
-            else if (growthTrend === 'stable') riskScore += 12.5;
+            // A stalled growth trend is a smaller risk than a falling one
+            if (growthTrend === 'stable') riskScore += 12.5;
 
             return Math.min(Math.round(riskScore), 100);
         } catch (error) {
@@ -0,0 +1,128 @@
+import { Matrix, solve } from 'ml-matrix';
+import { mean } from 'simple-statistics';
+
+// Penalty on standardized features; keeps the fit stable on small datasets
+export const DEFAULT_LAMBDA = 1;
+
+// Deterministic shuffle so reports are the same on every run
+export const seededRandom = (seed) => {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+};
+
+export const shuffle = (items, random) => {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+};
+
+// Linear regression with an L2 penalty. Features are standardized with the
+// training mean and spread; a missing (null) feature counts as the mean.
+export class RidgeRegression {
+    constructor({ keys, means, scales, weights, intercept, lambda = DEFAULT_LAMBDA }) {
+        this.keys = keys;
+        this.means = means;
+        this.scales = scales;
+        this.weights = weights;
+        this.intercept = intercept;
+        this.lambda = lambda;
+    }
+
+    // rows are { features: {key: number|null}, target: number }
+    static fit(rows, keys, lambda = DEFAULT_LAMBDA) {
+        if (rows.length === 0) {
+            throw new Error('Cannot fit a regression without data');
+        }
+
+        const known = keys.map(key => rows.map(row => row.features[key]).filter(value => value !== null && value !== undefined));
+        const means = known.map(values => (values.length > 0 ? mean(values) : 0));
+        const scales = known.map((values, j) => {
+            if (values.length < 2) return 1;
+            const variance = values.reduce((sum, value) => sum + (value - means[j]) ** 2, 0) / values.length;
+            return variance > 0 ? Math.sqrt(variance) : 1;
+        });
+
+        const model = new RidgeRegression({ keys, means, scales, weights: keys.map(() => 0), intercept: 0, lambda });
+        const X = new Matrix(rows.map(row => model.standardize(row.features)));
+        const targets = rows.map(row => row.target);
+        const intercept = mean(targets);
+        const y = Matrix.columnVector(targets.map(target => target - intercept));
+
+        const Xt = X.transpose();
+        const penalty = Matrix.eye(keys.length).mul(lambda);
+        model.weights = solve(Xt.mmul(X).add(penalty), Xt.mmul(y)).getColumn(0);
+        model.intercept = intercept;
+        return model;
+    }
+
+    toJSON() {
+        return {
+            keys: this.keys,
+            means: this.means,
+            scales: this.scales,
+            weights: this.weights,
+            intercept: this.intercept,
+            lambda: this.lambda
+        };
+    }
+
+    standardize(features) {
+        return this.keys.map((key, j) => {
+            const value = features[key];
+            return value === null || value === undefined ? 0 : (value - this.means[j]) / this.scales[j];
+        });
+    }
+
+    predict(features) {
+        return this.standardize(features).reduce((sum, x, j) => sum + x * this.weights[j], this.intercept);
+    }
+}
+
+/**
+ * Error metrics of a fitted model on labelled rows
+ * @param {{predict: Function}} model
+ * @param {Array<{features: Object, target: number}>} rows
+ * @returns {{mae: number, rmse: number}}
+ */
+export const scoreRegression = (model, rows) => {
+    const errors = rows.map(row => model.predict(row.features) - row.target);
+    return {
+        mae: errors.reduce((sum, e) => sum + Math.abs(e), 0) / errors.length,
+        rmse: Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length)
+    };
+};
+
+/**
+ * Permutation importance: how much the MAE grows when one feature's values
+ * are shuffled across the rows, averaged over a few shuffles
+ * @param {{predict: Function}} model
+ * @param {Array<{features: Object, target: number}>} rows - Rows the model was not trained on
+ * @param {Array<{key: string, label: string}>} features
+ * @param {number} [repeats]
+ * @returns {Array<{key: string, label: string, importance: number, share: number}>} Largest first
+ */
+export const permutationImportance = (model, rows, features, repeats = 5) => {
+    const { mae } = scoreRegression(model, rows);
+    const random = seededRandom(rows.length);
+
+    const importance = features.map(({ key, label }) => {
+        let increase = 0;
+        for (let repeat = 0; repeat < repeats; repeat++) {
+            const values = shuffle(rows.map(row => row.features[key]), random);
+            const shuffled = rows.map((row, i) => ({ ...row, features: { ...row.features, [key]: values[i] } }));
+            increase += scoreRegression(model, shuffled).mae - mae;
+        }
+        return { key, label, importance: Math.max(0, increase / repeats) };
+    });
+    const total = importance.reduce((sum, item) => sum + item.importance, 0);
+
+    return importance
+        .map(item => ({ ...item, share: total > 0 ? item.importance / total : 0 }))
+        .sort((a, b) => b.importance - a.importance);
+};
@@ -0,0 +1,226 @@
+import { mean } from 'simple-statistics';
+import { TimeSeriesAnalysis } from './TimeSeriesAnalysis';
+import { DEFAULT_LAMBDA, RidgeRegression, permutationImportance, scoreRegression } from './RidgeRegression';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+const seasons = new TimeSeriesAnalysis();
+
+const HOLDOUT_SHARE = 0.2;
+const MAX_DAYS_SINCE_FERTILIZED = 365;
+
+// moisture_level as recorded on the plant status form
+const MOISTURE_SCALE = { dry: 0, moist: 0.5, wet: 1 };
+const AFFECTED_STATUSES = ['diseased', 'pest-affected'];
+
+// Model inputs, in the order of the weight vector
+export const YIELD_FEATURES = [
+    { key: 'treeAge', label: 'Tree age' },
+    { key: 'treeAgeSquared', label: 'Tree age (peak and decline)' },
+    { key: 'trees', label: 'Trees in batch' },
+    { key: 'elevation', label: 'Farm elevation' },
+    { key: 'soilPh', label: 'Soil pH' },
+    { key: 'moisture', label: 'Soil moisture' },
+    { key: 'daysSinceFertilized', label: 'Days since fertilized' },
+    { key: 'affected', label: 'Diseased or pest-affected' },
+    { key: 'wetSeason', label: 'Wet-season harvest' },
+    { key: 'drySeason', label: 'Dry-season harvest' },
+    { key: 'previousYieldPerTree', label: 'Previous yield per tree' }
+];
+
+const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+const observedAt = (status) => new Date(status.observed_at || status.created_at);
+
+// Latest effective observation made on or before the date
+const statusAsOf = (series = [], date) => {
+    let latest = null;
+    series.forEach(status => {
+        if (observedAt(status) <= date) latest = status;
+    });
+    return latest;
+};
+
+/**
+ * Model inputs for one plant batch at a harvest date. Unknown values are null
+ * and are filled with the training mean when predicting.
+ * @param {Object} options
+ * @param {Object} options.plant - plant_data row
+ * @param {Object|null} options.farm - farmer_detail row
+ * @param {Object|null} options.status - Latest plant_status observation before the harvest
+ * @param {Object|null} options.previousHarvest - The batch's previous harvest_data row
+ * @param {Date} options.date - Harvest date
+ * @returns {Object<string, number|null>} Keyed by YIELD_FEATURES key
+ */
+export const extractYieldFeatures = ({ plant, farm, status, previousHarvest, date }) => {
+    const planted = plant.planting_date ? new Date(plant.planting_date) : null;
+    const treeAge = planted && !isNaN(planted.getTime()) ? Math.max(0, (date - planted) / YEAR_MS) : null;
+    const trees = toNumber(plant.number_of_tree_planted);
+    const season = seasons.getTropicalSeason(date);
+
+    let daysSinceFertilized = null;
+    if (status) {
+        daysSinceFertilized = status.last_fertilized
+            ? Math.min(MAX_DAYS_SINCE_FERTILIZED, Math.max(0, (date - new Date(status.last_fertilized)) / DAY_MS))
+            : MAX_DAYS_SINCE_FERTILIZED;
+    }
+
+    const previousYield = previousHarvest ? toNumber(previousHarvest.coffee_raw_quantity) : null;
+
+    return {
+        treeAge,
+        treeAgeSquared: treeAge === null ? null : treeAge * treeAge,
+        trees,
+        elevation: toNumber(farm?.farm_elevation),
+        soilPh: toNumber(status?.soil_ph),
+        moisture: MOISTURE_SCALE[status?.moisture_level] ?? null,
+        daysSinceFertilized,
+        affected: status ? (AFFECTED_STATUSES.includes(status.status) ? 1 : 0) : null,
+        wetSeason: season === 'wetSeason' ? 1 : 0,
+        drySeason: season === 'drySeason' ? 1 : 0,
+        previousYieldPerTree: previousYield !== null && trees ? previousYield / trees : null
+    };
+};
+
+/**
+ * Joins harvests with their plant batch, farm and the plant status at harvest time
+ * @param {Object} data
+ * @param {Array} data.harvests - harvest_data rows
+ * @param {Array} data.plants - plant_data rows
+ * @param {Array} data.farms - farmer_detail rows
+ * @param {Object<string, Array>} data.seriesByPlant - plant_id -> effective observations, oldest first
+ * @returns {Array<{plantId: string, date: Date, features: Object, target: number}>} Oldest harvest first
+ */
+export const buildYieldDataset = ({ harvests, plants, farms, seriesByPlant }) => {
+    const plantsById = Object.fromEntries(plants.map(plant => [plant.plant_id, plant]));
+    const farmsById = Object.fromEntries(farms.map(farm => [farm.id, farm]));
+
+    const byPlant = {};
+    harvests.forEach(harvest => {
+        const target = toNumber(harvest.coffee_raw_quantity);
+        const date = new Date(harvest.harvest_date);
+        if (target === null || target < 0 || isNaN(date.getTime()) || !plantsById[harvest.plant_id]) return;
+        (byPlant[harvest.plant_id] = byPlant[harvest.plant_id] || []).push({ harvest, date, target });
+    });
+
+    const rows = [];
+    Object.entries(byPlant).forEach(([plantId, entries]) => {
+        const plant = plantsById[plantId];
+        entries.sort((a, b) => a.date - b.date);
+        entries.forEach(({ harvest, date, target }, index) => {
+            rows.push({
+                plantId,
+                date,
+                target,
+                features: extractYieldFeatures({
+                    plant,
+                    farm: farmsById[plant.farmer_id] || farmsById[harvest.farmer_id] || null,
+                    status: statusAsOf(seriesByPlant[plantId], date),
+                    previousHarvest: index > 0 ? entries[index - 1].harvest : null,
+                    date
+                })
+            });
+        });
+    });
+
+    return rows.sort((a, b) => a.date - b.date);
+};
+
+export class YieldModel extends RidgeRegression {
+    constructor(parameters) {
+        super({ ...parameters, keys: YIELD_FEATURES.map(feature => feature.key) });
+    }
+
+    static fit(rows, lambda = DEFAULT_LAMBDA) {
+        if (rows.length === 0) {
+            throw new Error('Cannot train a yield model without harvests');
+        }
+        return new YieldModel(RidgeRegression.fit(rows, YIELD_FEATURES.map(feature => feature.key), lambda).toJSON());
+    }
+
+    static fromJSON(parameters) {
+        return new YieldModel(parameters);
+    }
+
+    // Predicted raw coffee in kg, never negative
+    predict(features) {
+        return Math.max(0, super.predict(features));
+    }
+}
+
+/**
+ * Trains on the older harvests and scores the newest ones, then refits on
+ * everything so the saved model has seen the latest seasons.
+ * @param {Array} rows - buildYieldDataset result, oldest first
+ * @returns {{model: YieldModel, evaluation: Object, importance: Array}}
+ *   evaluation holds holdout MAE/RMSE in kg, the error of always predicting the
+ *   training mean (baselineMae) and a 0-1 confidence; importance is the holdout
+ *   MAE increase when each feature is shuffled, largest first
+ */
+export const trainYieldModel = (rows) => {
+    const holdoutSize = Math.max(2, Math.round(rows.length * HOLDOUT_SHARE));
+    if (rows.length - holdoutSize < 2) {
+        throw new Error('Not enough harvests to train and evaluate a yield model');
+    }
+
+    const training = rows.slice(0, rows.length - holdoutSize);
+    const holdout = rows.slice(rows.length - holdoutSize);
+    const candidate = YieldModel.fit(training);
+
+    const { mae, rmse } = scoreRegression(candidate, holdout);
+    const trainingMean = mean(training.map(row => row.target));
+    const holdoutMean = mean(holdout.map(row => row.target));
+    const baseline = scoreRegression({ predict: () => trainingMean }, holdout);
+
+    return {
+        model: YieldModel.fit(rows),
+        evaluation: {
+            mae,
+            rmse,
+            baselineMae: baseline.mae,
+            meanYield: holdoutMean,
+            confidence: holdoutMean > 0 ? Math.max(0, Math.min(1, 1 - mae / holdoutMean)) : 0,
+            trainingRows: training.length,
+            holdoutRows: holdout.length,
+            holdoutFrom: holdout[0].date.toISOString()
+        },
+        importance: permutationImportance(candidate, holdout, YIELD_FEATURES)
+    };
+};
+
+// One year after the last harvest, rolled forward past today
+const nextHarvestDate = (harvests, today) => {
+    const dates = harvests.map(h => new Date(h.harvest_date)).filter(d => !isNaN(d.getTime()));
+    if (dates.length === 0) return today;
+    const next = new Date(Math.max(...dates));
+    do {
+        next.setFullYear(next.getFullYear() + 1);
+    } while (next < today);
+    return next;
+};
+
+/**
+ * Predicts a plant batch's next harvest with a trained model
+ * @param {YieldModel} model
+ * @param {Object} options
+ * @param {Object} options.plant - plant_data row
+ * @param {Object|null} options.farm - farmer_detail row
+ * @param {Array} options.series - The batch's effective plant_status observations, oldest first
+ * @param {Array} options.harvests - The batch's harvest_data rows
+ * @param {Object} [options.overrides] - Feature values to use instead of the recorded ones
+ * @param {Date} [options.today]
+ * @returns {{date: Date, amount: number}} Expected date and raw coffee in kg
+ */
+export const predictNextHarvest = (model, { plant, farm, series = [], harvests = [], overrides = {}, today = new Date() }) => {
+    const date = nextHarvestDate(harvests, today);
+    const previousHarvest = [...harvests].sort((a, b) => new Date(a.harvest_date) - new Date(b.harvest_date)).pop() || null;
+    const features = {
+        ...extractYieldFeatures({ plant, farm, status: statusAsOf(series, today), previousHarvest, date }),
+        ...overrides
+    };
+    return { date, amount: model.predict(features) };
+};
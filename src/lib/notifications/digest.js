@@ -0,0 +1,86 @@
+// Weekly digest: every user with the digest on gets their unread notifications
+// from the past week in one message, through whichever transport is plugged in.
+import { renderDigest } from './templates';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const DIGEST_INTERVAL_DAYS = 7;
+
+/**
+ * Creates the digest sender
+ * @param {Object} deps
+ * @param {Object} deps.client - Supabase client, signed in as an admin
+ * @param {Object} deps.transport - See transports.js
+ * @param {string} deps.appUrl - Link back to the app in each message
+ * @param {Function} [deps.now] - Current time, injectable for tests
+ * @returns {{transportName: string, sendDueDigests: Function}}
+ */
+export const createDigestSender = ({ client, transport, appUrl, now = () => new Date() }) => {
+  /**
+   * Sends a digest to each user whose last one is a week old or who never had
+   * one, covering unread notifications since then. Users with nothing unread
+   * are skipped and stay due.
+   * @param {{force?: boolean}} [options] - force sends to everyone regardless of the last digest
+   * @returns {Promise<{sent: number, skipped: number, failed: Array<{email: string, error: string}>}>}
+   */
+  const sendDueDigests = async ({ force = false } = {}) => {
+    const current = now();
+    const weekAgo = new Date(current.getTime() - DIGEST_INTERVAL_DAYS * DAY_MS);
+
+    const [userResult, preferenceResult] = await Promise.all([
+      client.from('users').select('id, email, first_name, last_name'),
+      client.from('notification_preferences').select('*')
+    ]);
+    if (userResult.error) throw userResult.error;
+    if (preferenceResult.error) throw preferenceResult.error;
+
+    const preferences = new Map((preferenceResult.data || []).map(row => [row.user_id, row]));
+    const due = (userResult.data || [])
+      .filter(user => user.email)
+      .map(user => {
+        const lastDigestAt = preferences.get(user.id)?.last_digest_at;
+        const since = lastDigestAt && new Date(lastDigestAt) > weekAgo ? new Date(lastDigestAt) : weekAgo;
+        return { user, lastDigestAt, since, enabled: preferences.get(user.id)?.email_digest !== false };
+      })
+      .filter(({ enabled, lastDigestAt }) => enabled && (force || !lastDigestAt || new Date(lastDigestAt) <= weekAgo));
+    if (due.length === 0) return { sent: 0, skipped: 0, failed: [] };
+
+    const earliest = due.reduce((min, entry) => (entry.since < min ? entry.since : min), current);
+    const { data: unread, error } = await client
+      .from('notifications')
+      .select('*')
+      .in('user_id', due.map(entry => entry.user.id))
+      .is('read_at', null)
+      .gte('created_at', earliest.toISOString());
+    if (error) throw error;
+
+    const result = { sent: 0, skipped: 0, failed: [] };
+    for (const { user, since } of due) {
+      const notifications = (unread || []).filter(n => n.user_id === user.id && new Date(n.created_at) >= since);
+      if (notifications.length === 0) {
+        result.skipped++;
+        continue;
+      }
+
+      try {
+        await transport.send(renderDigest({
+          recipient: user,
+          notifications,
+          since: since.toISOString().slice(0, 10),
+          until: current.toISOString().slice(0, 10),
+          appUrl
+        }));
+        const { error: stampError } = await client
+          .from('notification_preferences')
+          .upsert({ user_id: user.id, last_digest_at: current.toISOString() }, { onConflict: 'user_id' });
+        if (stampError) throw stampError;
+        result.sent++;
+      } catch (sendError) {
+        console.error(`Error sending digest to ${user.email}:`, sendError);
+        result.failed.push({ email: user.email, error: sendError.message });
+      }
+    }
+    return result;
+  };
+
+  return { transportName: transport.name, sendDueDigests };
+};
@@ -0,0 +1,77 @@
+import { supabase } from '../supabaseClient';
+import { createNotificationService } from './service';
+import { createDigestSender } from './digest';
+import { createReminders } from './reminders';
+import { createConsoleTransport, createFileTransport, createWebhookTransport } from './transports';
+
+export { NOTIFICATION_KINDS, DIGEST_TEMPLATES, renderTemplate, renderDigest } from './templates';
+export { createConsoleTransport, createFileTransport, createWebhookTransport } from './transports';
+export { createNotificationService } from './service';
+export { createDigestSender, DIGEST_INTERVAL_DAYS } from './digest';
+export { createReminders, buildHarvestReminder, diffRecommendations } from './reminders';
+
+// VITE_DIGEST_TRANSPORT picks where digests go: console (default), file, or
+// webhook, which posts to VITE_DIGEST_WEBHOOK_URL. A webhook without a URL
+// falls back to the console rather than failing while the app loads.
+const defaultTransport = () => {
+  switch (import.meta.env.VITE_DIGEST_TRANSPORT) {
+    case 'file':
+      return createFileTransport();
+    case 'webhook':
+      if (!import.meta.env.VITE_DIGEST_WEBHOOK_URL) {
+        console.error('VITE_DIGEST_WEBHOOK_URL is not set; sending digests to the console instead.');
+        return createConsoleTransport();
+      }
+      return createWebhookTransport({ url: import.meta.env.VITE_DIGEST_WEBHOOK_URL });
+    default:
+      return createConsoleTransport();
+  }
+};
+
+const appUrl = () => (typeof window !== 'undefined'
+  ? new URL(import.meta.env.BASE_URL, window.location.origin).href
+  : import.meta.env.BASE_URL);
+
+const service = createNotificationService({ client: supabase });
+const reminders = createReminders({ client: supabase, service });
+let digestSender = createDigestSender({ client: supabase, transport: defaultTransport(), appUrl: appUrl() });
+
+/**
+ * Swaps the transport weekly digests are sent through
+ * @param {Object} transport - See transports.js
+ */
+export const setDigestTransport = (transport) => {
+  digestSender = createDigestSender({ client: supabase, transport, appUrl: appUrl() });
+};
+
+/**
+ * @returns {string} Name of the transport digests go through
+ */
+export const getDigestTransportName = () => digestSender.transportName;
+
+/**
+ * Sends the weekly digest to everyone who is due one
+ * @param {{force?: boolean}} [options]
+ * @returns {Promise<{sent: number, skipped: number, failed: Array}>}
+ */
+export const sendDueDigests = async (options) => {
+  try {
+    return await digestSender.sendDueDigests(options);
+  } catch (error) {
+    console.error('Error sending digests:', error);
+    throw error;
+  }
+};
+
+export const {
+  subscribe: subscribeNotifications,
+  fetchNotifications,
+  fetchUnreadCount,
+  markRead: markNotificationsRead,
+  markAllRead: markAllNotificationsRead,
+  notify,
+  fetchPreferences: fetchNotificationPreferences,
+  savePreferences: saveNotificationPreferences
+} = service;
+
+export const { notifyHarvestDue, notifyRecommendationChanges } = reminders;
@@ -0,0 +1,122 @@
+// Notifications the app raises from farm data it already has on screen:
+// harvest reminders and changes to a farmer's DSS recommendations.
+import { getTreeAge } from '../fertilizationPlanner';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Coffee in the Philippines is picked from October to February
+const HARVEST_MONTHS = [10, 11, 12, 1, 2];
+const BEARING_AGE_YEARS = 3;
+// Ripe cherries are picked in rounds, about once a month
+const HARVEST_ROUND_DAYS = 30;
+
+/**
+ * Harvest reminder for a farm, if one is due
+ * @param {Object} params
+ * @param {Array<Object>} params.plants - plant_data rows
+ * @param {Array<Object>} params.harvests - harvest_data rows with harvest_date
+ * @param {Date} [params.today]
+ * @returns {Object|null} Notification for notify(), or null when bearing trees are out of
+ *   season or were harvested within the last round
+ */
+export const buildHarvestReminder = ({ plants, harvests, today = new Date() }) => {
+  if (!HARVEST_MONTHS.includes(today.getMonth() + 1)) return null;
+
+  const bearingTrees = plants
+    .filter(plant => getTreeAge(plant.planting_date, today) >= BEARING_AGE_YEARS)
+    .reduce((sum, plant) => sum + (plant.number_of_tree_planted || 0), 0);
+  if (bearingTrees === 0) return null;
+
+  const lastHarvest = harvests
+    .map(h => h.harvest_date)
+    .filter(Boolean)
+    .sort()
+    .pop();
+  if (lastHarvest && today - new Date(lastHarvest) < HARVEST_ROUND_DAYS * DAY_MS) return null;
+
+  const month = today.toISOString().slice(0, 7);
+  return {
+    kind: 'harvest_due',
+    title: 'Harvest is due',
+    body: `${bearingTrees} bearing trees are in harvest season and ` +
+      (lastHarvest ? `no harvest has been recorded since ${lastHarvest}.` : 'no harvest has been recorded yet.') +
+      ' Pick the ripe red cherries and record the harvest.',
+    link: '/harvest-reporting',
+    data: { month, bearingTrees, lastHarvest: lastHarvest || null },
+    dedupeKey: `harvest_due:${month}`
+  };
+};
+
+/**
+ * What changed between two sets of recommendations
+ * @param {string[]} previous - Issues from the last notification
+ * @param {Array<{issue: string}>} recommendations - From generateFarmRecommendations()
+ * @returns {{added: string[], removed: string[], issues: string[]}}
+ */
+export const diffRecommendations = (previous, recommendations) => {
+  const issues = [...new Set(recommendations.map(r => r.issue))].sort();
+  return {
+    added: issues.filter(issue => !previous.includes(issue)),
+    removed: previous.filter(issue => !issues.includes(issue)),
+    issues
+  };
+};
+
+/**
+ * Creates the reminder producers
+ * @param {Object} deps
+ * @param {Object} deps.client - Supabase client
+ * @param {Object} deps.service - See service.js
+ * @param {Function} [deps.now] - Current time, injectable for tests
+ * @returns {{notifyHarvestDue: Function, notifyRecommendationChanges: Function}}
+ */
+export const createReminders = ({ client, service, now = () => new Date() }) => ({
+  /**
+   * Reminds a farmer to harvest, at most once a month
+   * @param {string} farmerId
+   * @param {{plants: Array, harvests: Array}} farm
+   */
+  notifyHarvestDue: async (farmerId, { plants, harvests }) => {
+    const reminder = buildHarvestReminder({ plants, harvests, today: now() });
+    if (reminder) await service.notify(farmerId, reminder);
+  },
+
+  /**
+   * Tells each farmer when their recommendations differ from the ones they
+   * were last told about
+   * @param {Array<{userId: string, recommendations: Array}>} entries
+   */
+  notifyRecommendationChanges: async (entries) => {
+    if (entries.length === 0) return;
+
+    const { data, error } = await client
+      .from('notifications')
+      .select('user_id, data, created_at')
+      .eq('kind', 'recommendation')
+      .in('user_id', entries.map(e => e.userId))
+      .order('created_at', { ascending: false });
+    if (error) throw error;
+
+    const lastIssues = new Map();
+    (data || []).forEach(row => {
+      if (!lastIssues.has(row.user_id)) lastIssues.set(row.user_id, row.data?.issues || []);
+    });
+
+    const today = now().toISOString().slice(0, 10);
+    for (const { userId, recommendations } of entries) {
+      const { added, removed, issues } = diffRecommendations(lastIssues.get(userId) || [], recommendations);
+      if (added.length === 0 && removed.length === 0) continue;
+
+      const parts = [];
+      if (added.length > 0) parts.push(`New: ${added.join(', ')}.`);
+      if (removed.length > 0) parts.push(`No longer flagged: ${removed.join(', ')}.`);
+      await service.notify(userId, {
+        kind: 'recommendation',
+        title: 'Your recommendations changed',
+        body: parts.join(' '),
+        link: '/dss-recommendations',
+        data: { issues },
+        dedupeKey: `recommendation:${today}:${issues.join('|')}`
+      });
+    }
+  }
+});
@@ -0,0 +1,146 @@
+// Inbox, read state and preferences on top of the notifications tables. The
+// client is injected, so the service runs the same against a local stand-in.
+// Subscribers hear about every change made through the service, which keeps
+// the Navbar bell in step with the inbox page.
+
+const DEFAULT_PREFERENCES = { muted_kinds: [], email_digest: true, last_digest_at: null };
+
+/**
+ * Creates the notification service
+ * @param {Object} deps
+ * @param {Object} deps.client - Supabase client
+ * @param {Function} [deps.now] - Current time, injectable for tests
+ * @returns {Object} Inbox, read state, notify and preference functions, plus subscribe
+ */
+export const createNotificationService = ({ client, now = () => new Date() }) => {
+  const listeners = new Set();
+  const changed = () => listeners.forEach(listener => listener());
+
+  return {
+    /**
+     * @param {Function} listener - Called with no arguments after any change
+     * @returns {Function} Unsubscribe
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * A user's notifications, newest first
+     * @param {string} userId
+     * @param {{limit?: number, unreadOnly?: boolean}} [options]
+     * @returns {Promise<Array>} notifications rows
+     */
+    fetchNotifications: async (userId, { limit = 20, unreadOnly = false } = {}) => {
+      let query = client
+        .from('notifications')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      if (unreadOnly) query = query.is('read_at', null);
+
+      const { data, error } = await query;
+      if (error) throw error;
+      return data || [];
+    },
+
+    /**
+     * @param {string} userId
+     * @returns {Promise<number>}
+     */
+    fetchUnreadCount: async (userId) => {
+      const { count, error } = await client
+        .from('notifications')
+        .select('notification_id', { count: 'exact', head: true })
+        .eq('user_id', userId)
+        .is('read_at', null);
+      if (error) throw error;
+      return count || 0;
+    },
+
+    /**
+     * @param {string[]} notificationIds
+     */
+    markRead: async (notificationIds) => {
+      if (notificationIds.length === 0) return;
+      const { error } = await client
+        .from('notifications')
+        .update({ read_at: now().toISOString() })
+        .in('notification_id', notificationIds)
+        .is('read_at', null);
+      if (error) throw error;
+      changed();
+    },
+
+    /**
+     * @param {string} userId
+     */
+    markAllRead: async (userId) => {
+      const { error } = await client
+        .from('notifications')
+        .update({ read_at: now().toISOString() })
+        .eq('user_id', userId)
+        .is('read_at', null);
+      if (error) throw error;
+      changed();
+    },
+
+    /**
+     * Sends a notification to one or more users. With a dedupeKey a user gets
+     * it once, however often the same event is raised. Kinds a user has muted
+     * are dropped by the database.
+     * @param {string|string[]} userIds
+     * @param {{kind: string, title: string, body?: string, link?: string, data?: Object, dedupeKey?: string}} notification
+     */
+    notify: async (userIds, { kind, title, body = '', link = null, data = {}, dedupeKey = null }) => {
+      const rows = [].concat(userIds).map(userId => ({
+        user_id: userId,
+        kind,
+        title,
+        body,
+        link,
+        data,
+        dedupe_key: dedupeKey
+      }));
+      if (rows.length === 0) return;
+
+      const { error } = await client
+        .from('notifications')
+        .upsert(rows, { onConflict: 'user_id,dedupe_key', ignoreDuplicates: true });
+      if (error) throw error;
+      changed();
+    },
+
+    /**
+     * @param {string} userId
+     * @returns {Promise<{muted_kinds: string[], email_digest: boolean, last_digest_at: string|null}>}
+     *   Stored preferences, or the defaults when the user has none yet
+     */
+    fetchPreferences: async (userId) => {
+      const { data, error } = await client
+        .from('notification_preferences')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+      if (error) throw error;
+      return { ...DEFAULT_PREFERENCES, ...(data || {}) };
+    },
+
+    /**
+     * @param {string} userId
+     * @param {{muted_kinds: string[], email_digest: boolean}} preferences
+     * @returns {Promise<Object>} The saved row
+     */
+    savePreferences: async (userId, { muted_kinds, email_digest }) => {
+      const { data, error } = await client
+        .from('notification_preferences')
+        .upsert({ user_id: userId, muted_kinds, email_digest, updated_at: now().toISOString() }, { onConflict: 'user_id' })
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    }
+  };
+};
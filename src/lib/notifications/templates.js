@@ -0,0 +1,111 @@
+// Notification kinds and the weekly digest templates. Templates are plain
+// strings with {{name}} placeholders so the wording can change without
+// touching the code that fills them in.
+
+export const NOTIFICATION_KINDS = {
+  review: {
+    label: 'Admin reviews',
+    description: 'An administrator reviewed or changed your farm records.'
+  },
+  harvest_due: {
+    label: 'Harvest reminders',
+    description: 'Your bearing trees are in harvest season and no harvest has been recorded lately.'
+  },
+  recommendation: {
+    label: 'Recommendation changes',
+    description: 'Your DSS recommendations changed.'
+  },
+  action: {
+    label: 'Action items',
+    description: 'An action item was assigned to you, or a farmer finished one you assigned.'
+  }
+};
+
+export const DIGEST_TEMPLATES = {
+  subject: 'CoffeeFarmer weekly digest: {{count}} new notification{{plural}}',
+  text: 'Hi {{name}},\n\n' +
+    'Here is what happened on your farm from {{since}} to {{until}}.\n\n' +
+    '{{sections}}\n' +
+    'Open CoffeeFarmer to see the details: {{appUrl}}\n\n' +
+    'You get this email because the weekly digest is on. Turn it off under Notifications.\n',
+  textSection: '{{label}}\n{{items}}',
+  textItem: '- {{title}} ({{date}})\n  {{body}}\n',
+  html: '<p>Hi {{name}},</p>' +
+    '<p>Here is what happened on your farm from {{since}} to {{until}}.</p>' +
+    '{{sections}}' +
+    '<p><a href="{{appUrl}}">Open CoffeeFarmer</a> to see the details.</p>' +
+    '<p style="color:#6b7280;font-size:12px">You get this email because the weekly digest is on. Turn it off under Notifications.</p>',
+  htmlSection: '<h3>{{label}}</h3><ul>{{items}}</ul>',
+  htmlItem: '<li><strong>{{title}}</strong> <span style="color:#6b7280">({{date}})</span><br>{{body}}</li>'
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Fills {{name}} placeholders; unknown names become empty
+ * @param {string} template
+ * @param {Object<string, any>} values
+ * @returns {string}
+ */
+export const renderTemplate = (template, values) => {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (values[key] ?? ''));
+};
+
+/**
+ * Renders one user's digest, grouping notifications by kind
+ * @param {Object} params
+ * @param {{email: string, first_name?: string}} params.recipient - users row
+ * @param {Array<Object>} params.notifications - notifications rows, any order
+ * @param {string} params.since - YYYY-MM-DD
+ * @param {string} params.until - YYYY-MM-DD
+ * @param {string} params.appUrl - Link back to the app
+ * @param {Object} [params.templates] - Overrides for DIGEST_TEMPLATES
+ * @returns {{to: string, subject: string, text: string, html: string}}
+ */
+export const renderDigest = ({ recipient, notifications, since, until, appUrl, templates = {} }) => {
+  const t = { ...DIGEST_TEMPLATES, ...templates };
+  const sorted = [...notifications].sort((a, b) => a.created_at.localeCompare(b.created_at));
+  const groups = Object.entries(NOTIFICATION_KINDS)
+    .map(([kind, { label }]) => ({ label, items: sorted.filter(n => n.kind === kind) }))
+    .filter(group => group.items.length > 0);
+
+  const itemValues = (n, escape) => ({
+    title: escape(n.title),
+    body: escape(n.body || ''),
+    date: n.created_at.slice(0, 10)
+  });
+  const identity = (text) => text;
+
+  const values = {
+    name: recipient.first_name || recipient.email,
+    count: notifications.length,
+    plural: notifications.length === 1 ? '' : 's',
+    since,
+    until,
+    appUrl
+  };
+
+  return {
+    to: recipient.email,
+    subject: renderTemplate(t.subject, values),
+    text: renderTemplate(t.text, {
+      ...values,
+      sections: groups.map(group => renderTemplate(t.textSection, {
+        label: group.label,
+        items: group.items.map(n => renderTemplate(t.textItem, itemValues(n, identity))).join('')
+      })).join('\n')
+    }),
+    html: renderTemplate(t.html, {
+      ...values,
+      name: escapeHtml(values.name),
+      sections: groups.map(group => renderTemplate(t.htmlSection, {
+        label: escapeHtml(group.label),
+        items: group.items.map(n => renderTemplate(t.htmlItem, itemValues(n, escapeHtml))).join('')
+      })).join('')
+    })
+  };
+};
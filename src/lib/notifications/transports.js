@@ -0,0 +1,89 @@
+// Digest transports. A transport delivers one rendered message; the digest
+// sender does not care whether that means an email relay, a file or the
+// console, so a real mail service can be plugged in without other changes.
+//
+// Message: { to, subject, text, html }
+
+/**
+ * Logs each message instead of sending it
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - console-like, injectable for tests
+ * @returns {{name: string, send: Function}}
+ */
+export const createConsoleTransport = ({ logger = console } = {}) => ({
+  name: 'console',
+  send: async (message) => {
+    logger.info(`To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+  }
+});
+
+const downloadFile = (filename, content) => {
+  const url = URL.createObjectURL(new Blob([content], { type: 'message/rfc822' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Saves each message as an .eml file that a mail client can open
+ * @param {Object} [options]
+ * @param {Function} [options.save] - (filename, content), downloads in the browser by default
+ * @param {Function} [options.now] - Current time, injectable for tests
+ * @returns {{name: string, send: Function}}
+ */
+export const createFileTransport = ({ save = downloadFile, now = () => new Date() } = {}) => ({
+  name: 'file',
+  send: async (message) => {
+    const boundary = `digest-${now().getTime()}`;
+    const content = [
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${now().toUTCString()}`,
+      'MIME-Version: 1.0',
+      `Content-Type: multipart/alternative; boundary="${boundary}"`,
+      '',
+      `--${boundary}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      message.text,
+      `--${boundary}`,
+      'Content-Type: text/html; charset=utf-8',
+      '',
+      message.html,
+      `--${boundary}--`,
+      ''
+    ].join('\r\n');
+    const name = message.to.replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+    save(`digest_${name}_${now().toISOString().slice(0, 10)}.eml`, content);
+  }
+});
+
+/**
+ * Posts each message as JSON to a mail relay, such as a serverless function
+ * in front of an email API
+ * @param {Object} options
+ * @param {string} options.url
+ * @param {Object} [options.headers] - Extra request headers, e.g. an auth token
+ * @param {Function} [options.fetchImpl] - fetch, injectable for tests
+ * @returns {{name: string, send: Function}}
+ */
+export const createWebhookTransport = ({ url, headers = {}, fetchImpl = (...args) => fetch(...args) }) => {
+  if (!url) throw new Error('The webhook digest transport needs a URL.');
+  return {
+    name: 'webhook',
+    send: async (message) => {
+      const response = await fetchImpl(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(message)
+      });
+      if (!response.ok) {
+        throw new Error(`Mail relay answered ${response.status}`);
+      }
+    }
+  };
+};
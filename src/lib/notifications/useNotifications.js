@@ -0,0 +1,33 @@
+import { useCallback, useEffect, useState } from 'react';
+import { fetchUnreadCount, subscribeNotifications } from './index';
+
+// New notifications can come from other users and database triggers, so the count is polled
+const POLL_MS = 60 * 1000;
+
+/**
+ * Keeps a user's unread count current
+ * @param {string} [userId]
+ * @returns {{unreadCount: number, refresh: Function}}
+ */
+export const useNotifications = (userId) => {
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const refresh = useCallback(() => {
+    if (!userId) return;
+    fetchUnreadCount(userId)
+      .then(setUnreadCount)
+      .catch(error => console.error('Error fetching unread notifications:', error));
+  }, [userId]);
+
+  useEffect(() => {
+    refresh();
+    const unsubscribe = subscribeNotifications(refresh);
+    const timer = setInterval(refresh, POLL_MS);
+    return () => {
+      unsubscribe();
+      clearInterval(timer);
+    };
+  }, [refresh]);
+
+  return { unreadCount, refresh };
+};
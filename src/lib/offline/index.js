@@ -0,0 +1,12 @@
+import { supabase } from '../supabaseClient';
+import { createOutboxStore } from './outboxStore';
+import { createSyncQueue } from './syncQueue';
+
+export { SYNC_TABLES, SYNC_STATES, isLocalId, applyOutbox, describePendingWrite } from './syncQueue';
+
+// The app-wide queue; replay starts as soon as the module loads
+export const syncQueue = createSyncQueue({ client: supabase, store: createOutboxStore() });
+
+if (typeof window !== 'undefined') {
+  syncQueue.start();
+}
@@ -0,0 +1,79 @@
+// Persistence for the offline outbox. Entries are kept in IndexedDB so queued
+// field entries survive a reload; the memory store is used where IndexedDB is
+// unavailable (private browsing, tests).
+
+const DB_NAME = 'coffeefarmer-offline';
+const DB_VERSION = 1;
+const OUTBOX = 'outbox';
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(OUTBOX)) {
+      // seq is auto-assigned, so iterating by key replays writes in the order they were made
+      db.createObjectStore(OUTBOX, { keyPath: 'seq', autoIncrement: true });
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Creates an outbox store backed by IndexedDB
+ * @returns {{getAll: Function, put: Function, remove: Function}}
+ */
+export const createIndexedDbStore = () => {
+  let dbPromise = null;
+  const getDb = () => {
+    if (!dbPromise) dbPromise = openDatabase();
+    return dbPromise;
+  };
+
+  const run = async (mode, fn) => {
+    const db = await getDb();
+    const tx = db.transaction(OUTBOX, mode);
+    return promisify(fn(tx.objectStore(OUTBOX)));
+  };
+
+  return {
+    getAll: () => run('readonly', store => store.getAll()),
+    // Resolves with the entry's seq, assigning one to new entries
+    put: (entry) => run('readwrite', store => store.put(entry)),
+    remove: (seq) => run('readwrite', store => store.delete(seq))
+  };
+};
+
+/**
+ * Creates an outbox store that only lives in memory
+ * @returns {{getAll: Function, put: Function, remove: Function}}
+ */
+export const createMemoryStore = () => {
+  const entries = new Map();
+  let nextSeq = 1;
+
+  return {
+    getAll: async () => [...entries.values()].map(e => ({ ...e })).sort((a, b) => a.seq - b.seq),
+    put: async (entry) => {
+      const seq = entry.seq ?? nextSeq++;
+      entries.set(seq, { ...entry, seq });
+      return seq;
+    },
+    remove: async (seq) => {
+      entries.delete(seq);
+    }
+  };
+};
+
+/**
+ * Picks the best store available in the current environment
+ * @returns {{getAll: Function, put: Function, remove: Function}}
+ */
+export const createOutboxStore = () => {
+  return typeof indexedDB !== 'undefined' ? createIndexedDbStore() : createMemoryStore();
+};
@@ -0,0 +1,562 @@
+// Offline-first write queue for field entries. Every write to a synced table is
+// stored in the outbox first and replayed against the Supabase client in the
+// order it was made. The client and the store are injected, so the queue runs
+// the same against the real backend or a local stand-in.
+
+// Synced tables and their primary key column
+export const SYNC_TABLES = {
+  harvest_data: 'harvest_id',
+  plant_data: 'plant_id',
+  plant_status: 'status_id',
+  fertilizer_applications: 'application_id',
+  processing_batches: 'batch_id',
+  processing_moisture_readings: 'reading_id'
+};
+
+export const SYNC_STATES = {
+  PENDING: 'pending',
+  SYNCED: 'synced',
+  CONFLICT: 'conflict',
+  FAILED: 'failed'
+};
+
+const LOCAL_PREFIX = 'local-';
+const SYNCED_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const newLocalId = () => {
+  const random = typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  return `${LOCAL_PREFIX}${random}`;
+};
+
+/**
+ * Tells whether an id was assigned on this device and has not reached the server yet
+ * @param {any} value - A primary or foreign key value
+ * @returns {boolean}
+ */
+export const isLocalId = (value) => typeof value === 'string' && value.startsWith(LOCAL_PREFIX);
+
+/**
+ * Tells whether a write failed because the server could not be reached
+ * @param {Object} error - Error returned or thrown by the client
+ * @returns {boolean}
+ */
+export const isNetworkError = (error) => {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  return /failed to fetch|networkerror|fetcherror|load failed|network request failed/i.test(error?.message || '');
+};
+
+/**
+ * Words what became of a write still pending in the outbox. It may be waiting
+ * for the connection or held behind another write, so it only says the
+ * device is offline when it is.
+ * @param {string} what - The record written, e.g. 'harvest' or 'deletion'
+ * @param {boolean} [held] - Whether the write waits on an unsettled one, see isHeld()
+ * @returns {string}
+ */
+export const describePendingWrite = (what, held = false) => {
+  if (held) {
+    return `The ${what} is saved on this device and will sync once the earlier change to the same record is settled in the sync panel.`;
+  }
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    return `You're offline. The ${what} is saved on this device and will sync when the connection returns.`;
+  }
+  return `The ${what} is saved on this device and will sync automatically.`;
+};
+
+const sameValue = (a, b) => {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a ?? null) === (b ?? null);
+  }
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) === Number(b);
+  return String(a) === String(b);
+};
+
+/**
+ * Lists the columns that differ between the row a write was based on and the server row
+ * @param {Object} base - Row as it was when the write was queued
+ * @param {Object} current - Row as it is on the server now
+ * @param {string[]} [columns] - Columns to compare, defaults to every column in base
+ * @returns {string[]}
+ */
+export const findChangedColumns = (base, current, columns = Object.keys(base)) => {
+  return columns.filter(column => column in base && column in current && !sameValue(base[column], current[column]));
+};
+
+// Drops UI annotations such as _sync before a row is kept as a conflict base
+const stripMeta = (row) => Object.fromEntries(Object.entries(row).filter(([key]) => !key.startsWith('_')));
+
+const recordKey = (entry) => `${entry.table}:${entry.key ?? entry.id}`;
+
+const references = (entry, id) => entry.key === id || Object.values(entry.payload).includes(id);
+
+const snapshot = (entry) => (entry ? { ...entry, payload: { ...entry.payload } } : null);
+
+/**
+ * Creates a sync queue
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client, or anything with the same query builder API
+ * @param {Object} options.store - Outbox store from outboxStore.js
+ * @param {Function} [options.isOnline] - Returns false to hold replay without trying the network
+ * @returns {Object} The queue API
+ */
+export const createSyncQueue = ({ client, store, isOnline = () => typeof navigator === 'undefined' || navigator.onLine }) => {
+  let entries = null;
+  let loading = null;
+  let flushing = null;
+  let nextFlush = null;
+  const listeners = new Set();
+
+  const load = async () => {
+    if (entries) return entries;
+    if (!loading) {
+      loading = store.getAll().then(stored => {
+        entries = stored.sort((a, b) => a.seq - b.seq);
+        return entries;
+      });
+    }
+    return loading;
+  };
+
+  const emit = () => {
+    const current = entries.map(snapshot);
+    listeners.forEach(listener => listener(current));
+  };
+
+  const persist = async (entry) => {
+    // New entries go in without a seq so the store assigns the next one
+    const { seq, ...rest } = entry;
+    entry.seq = await store.put(seq == null ? rest : entry);
+  };
+
+  const drop = async (entry) => {
+    await store.remove(entry.seq);
+    entries = entries.filter(e => e !== entry);
+  };
+
+  const isOpen = (entry) => entry.state !== SYNC_STATES.SYNCED;
+
+  const markConflict = (entry, serverRow, message) => {
+    entry.state = SYNC_STATES.CONFLICT;
+    entry.serverRow = serverRow;
+    entry.error = message;
+  };
+
+  // Later writes that point at a record created offline are repointed at its server id
+  const repoint = async (localId, serverId) => {
+    for (const entry of entries.filter(e => isOpen(e) && references(e, localId))) {
+      if (entry.key === localId) entry.key = serverId;
+      entry.payload = Object.fromEntries(
+        Object.entries(entry.payload).map(([column, value]) => [column, value === localId ? serverId : value])
+      );
+      await persist(entry);
+    }
+  };
+
+  const applyFilters = (query, entry) => {
+    return Object.entries(entry.match || {}).reduce((q, [column, value]) => q.eq(column, value), query);
+  };
+
+  // Returns false when the entry has to wait for a record it depends on
+  const apply = async (entry) => {
+    const keyColumn = SYNC_TABLES[entry.table];
+
+    if (Object.values(entry.payload).some(isLocalId)) return false;
+
+    if (entry.op === 'insert') {
+      // A correction is rejected when someone else already corrected the same row
+      if (entry.payload.supersedes_id) {
+        const { data: existing, error } = await client
+          .from(entry.table)
+          .select('*')
+          .eq('supersedes_id', entry.payload.supersedes_id)
+          .limit(1);
+
+        if (error) throw error;
+        if (existing?.length) {
+          markConflict(entry, existing[0], 'This entry was already corrected on another device.');
+          return true;
+        }
+      }
+
+      const { data, error } = await client
+        .from(entry.table)
+        .insert([entry.payload])
+        .select()
+        .single();
+
+      if (error) throw error;
+      entry.key = data[keyColumn];
+      entry.serverRow = data;
+      entry.state = SYNC_STATES.SYNCED;
+      entry.syncedAt = new Date().toISOString();
+      await repoint(entry.id, entry.key);
+      return true;
+    }
+
+    const { data: current, error: currentError } = await applyFilters(
+      client.from(entry.table).select('*').eq(keyColumn, entry.key),
+      entry
+    ).maybeSingle();
+
+    if (currentError) throw currentError;
+
+    if (!current) {
+      if (entry.op === 'delete') {
+        entry.state = SYNC_STATES.SYNCED;
+        entry.syncedAt = new Date().toISOString();
+      } else {
+        markConflict(entry, null, 'This record was deleted on the server.');
+      }
+      return true;
+    }
+
+    if (entry.base) {
+      const changed = findChangedColumns(entry.base, current, entry.op === 'update' ? Object.keys(entry.payload) : undefined);
+      if (changed.length > 0) {
+        markConflict(entry, current, `Changed on the server since it was edited here: ${changed.join(', ')}`);
+        return true;
+      }
+    }
+
+    if (entry.op === 'update') {
+      const { data, error } = await applyFilters(
+        client.from(entry.table).update(entry.payload).eq(keyColumn, entry.key),
+        entry
+      ).select().single();
+
+      if (error) throw error;
+      entry.serverRow = data;
+    } else {
+      const { error } = await applyFilters(
+        client.from(entry.table).delete().eq(keyColumn, entry.key),
+        entry
+      );
+
+      if (error) throw error;
+    }
+
+    entry.state = SYNC_STATES.SYNCED;
+    entry.syncedAt = new Date().toISOString();
+    return true;
+  };
+
+  const pruneSynced = async () => {
+    const cutoff = Date.now() - SYNCED_RETENTION_MS;
+    for (const entry of entries.filter(e => e.state === SYNC_STATES.SYNCED && new Date(e.syncedAt).getTime() < cutoff)) {
+      await drop(entry);
+    }
+  };
+
+  /**
+   * Queues a write
+   * @param {string} table - One of SYNC_TABLES
+   * @param {'insert'|'update'|'delete'} op - Kind of write
+   * @param {Object} [options]
+   * @param {string} [options.key] - Primary key of the record for updates and deletes
+   * @param {Object} [options.payload] - Column values to write
+   * @param {Object} [options.base] - The row as the user saw it, used to detect conflicting server edits
+   * @param {Object} [options.match] - Extra equality filters, e.g. { farmer_id } for ownership checks
+   * @returns {Promise<Object|null>} The queued entry, or null when the write cancelled an offline insert
+   */
+  const enqueue = async (table, op, { key = null, payload = {}, base = null, match = null } = {}) => {
+    if (!SYNC_TABLES[table]) {
+      throw new Error(`${table} is not synced offline`);
+    }
+    await load();
+
+    // Edits to a record that never reached the server are folded into its insert
+    if (isLocalId(key)) {
+      const insert = entries.find(e => isOpen(e) && e.op === 'insert' && e.id === key);
+      if (!insert) {
+        throw new Error('This offline record is no longer in the outbox.');
+      }
+
+      if (op === 'delete') {
+        const dependents = entries.filter(e => e !== insert && isOpen(e) && references(e, key));
+        for (const entry of [insert, ...dependents]) await drop(entry);
+        emit();
+        return null;
+      }
+
+      insert.payload = { ...insert.payload, ...payload };
+      insert.state = SYNC_STATES.PENDING;
+      insert.error = null;
+      await persist(insert);
+      emit();
+      return snapshot(insert);
+    }
+
+    const queuedUpdate = key && entries.find(e =>
+      e.state === SYNC_STATES.PENDING && e.op === 'update' && e.table === table && e.key === key
+    );
+
+    if (queuedUpdate && op === 'update') {
+      queuedUpdate.payload = { ...queuedUpdate.payload, ...payload };
+      await persist(queuedUpdate);
+      emit();
+      return snapshot(queuedUpdate);
+    }
+
+    if (queuedUpdate && op === 'delete') {
+      // Keep the row the first edit was based on, it is what the server should still hold
+      base = queuedUpdate.base;
+      await drop(queuedUpdate);
+    }
+
+    const entry = {
+      id: newLocalId(),
+      table,
+      op,
+      key,
+      payload: { ...payload },
+      base: base ? stripMeta(base) : null,
+      match,
+      state: SYNC_STATES.PENDING,
+      error: null,
+      serverRow: null,
+      queuedAt: new Date().toISOString(),
+      syncedAt: null
+    };
+
+    await persist(entry);
+    entries.push(entry);
+    emit();
+    return snapshot(entry);
+  };
+
+  /**
+   * Replays pending writes in order. Stops at the first network failure and
+   * holds back later writes to a record that is in conflict or failed.
+   * @returns {Promise<{synced: number, pending: number, conflicts: number, failed: number}>}
+   */
+  const flush = () => {
+    // Writes queued during a replay get a pass of their own once it finishes
+    if (flushing) {
+      if (!nextFlush) {
+        nextFlush = flushing.then(() => {
+          nextFlush = null;
+          return flush();
+        });
+      }
+      return nextFlush;
+    }
+
+    flushing = (async () => {
+      await load();
+      await pruneSynced();
+
+      const held = new Set(entries.filter(e => e.state === SYNC_STATES.CONFLICT || e.state === SYNC_STATES.FAILED).map(recordKey));
+      let synced = 0;
+
+      for (const entry of entries.filter(e => e.state === SYNC_STATES.PENDING)) {
+        if (!isOnline()) break;
+        if (held.has(recordKey(entry))) continue;
+
+        try {
+          const applied = await apply(entry);
+          if (!applied) {
+            held.add(recordKey(entry));
+            continue;
+          }
+          if (entry.state === SYNC_STATES.SYNCED) synced++;
+          else held.add(recordKey(entry));
+        } catch (error) {
+          if (isNetworkError(error)) break;
+          console.error(`Error syncing ${entry.op} on ${entry.table}:`, error);
+          entry.state = SYNC_STATES.FAILED;
+          entry.error = error.message;
+          held.add(recordKey(entry));
+        }
+
+        await persist(entry);
+        emit();
+      }
+
+      emit();
+      const count = (state) => entries.filter(e => e.state === state).length;
+      return {
+        synced,
+        pending: count(SYNC_STATES.PENDING),
+        conflicts: count(SYNC_STATES.CONFLICT),
+        failed: count(SYNC_STATES.FAILED)
+      };
+    })().finally(() => {
+      flushing = null;
+    });
+
+    return flushing;
+  };
+
+  /**
+   * Queues a write and tries to send it straight away. A write the server
+   * rejects outright is taken back out of the outbox and thrown, so forms can
+   * report validation errors the same way they do online.
+   * @returns {Promise<Object|null>} The entry after the attempt; check its state
+   */
+  const save = async (table, op, options) => {
+    const queued = await enqueue(table, op, options);
+    if (!queued) return null;
+
+    await flush();
+    const entry = entries.find(e => e.id === queued.id);
+    if (entry?.state === SYNC_STATES.FAILED) {
+      const message = entry.error;
+      await drop(entry);
+      emit();
+      throw new Error(message);
+    }
+    return snapshot(entry);
+  };
+
+  /**
+   * Settles a conflicted write
+   * @param {string} id - Outbox entry id
+   * @param {'mine'|'theirs'} resolution - 'mine' re-applies the local write over the
+   *   server row, 'theirs' discards it and keeps the server version
+   */
+  const resolveConflict = async (id, resolution) => {
+    await load();
+    const entry = entries.find(e => e.id === id);
+    if (!entry || entry.state !== SYNC_STATES.CONFLICT) return;
+
+    if (resolution === 'theirs') {
+      await drop(entry);
+      emit();
+      return;
+    }
+
+    if (!entry.serverRow) {
+      throw new Error('The record no longer exists on the server, so the local edit cannot be applied.');
+    }
+
+    if (entry.op === 'insert') {
+      // Correct the newer correction instead of the row it replaced
+      entry.payload = { ...entry.payload, supersedes_id: entry.serverRow.status_id };
+    } else {
+      entry.base = stripMeta(entry.serverRow);
+    }
+    entry.state = SYNC_STATES.PENDING;
+    entry.error = null;
+    entry.serverRow = null;
+    await persist(entry);
+    emit();
+    return flush();
+  };
+
+  /**
+   * Puts a failed write back in line
+   * @param {string} id - Outbox entry id
+   */
+  const retry = async (id) => {
+    await load();
+    const entry = entries.find(e => e.id === id);
+    if (!entry || entry.state !== SYNC_STATES.FAILED) return;
+
+    entry.state = SYNC_STATES.PENDING;
+    entry.error = null;
+    await persist(entry);
+    emit();
+    return flush();
+  };
+
+  /**
+   * Removes a write from the outbox without sending it
+   * @param {string} id - Outbox entry id
+   */
+  const discard = async (id) => {
+    await load();
+    const entry = entries.find(e => e.id === id);
+    if (!entry) return;
+    await drop(entry);
+    emit();
+  };
+
+  /**
+   * Tells whether a write waits behind a conflicted or failed write to the
+   * same record, which flush() holds back until that one is settled
+   * @param {string} id - Outbox entry id
+   * @returns {boolean}
+   */
+  const isHeld = (id) => {
+    const entry = entries.find(e => e.id === id);
+    return Boolean(entry) && entries.some(e =>
+      e !== entry
+      && recordKey(e) === recordKey(entry)
+      && (e.state === SYNC_STATES.CONFLICT || e.state === SYNC_STATES.FAILED)
+    );
+  };
+
+  /**
+   * Listens for outbox changes
+   * @param {Function} listener - Called with a copy of every entry, oldest first
+   * @returns {Function} Unsubscribe
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    load().then(() => listener(entries.map(snapshot)));
+    return () => listeners.delete(listener);
+  };
+
+  /**
+   * Replays the outbox now and whenever the browser comes back online
+   * @returns {Function} Stops listening for the online event
+   */
+  const start = () => {
+    const onOnline = () => flush();
+    window.addEventListener('online', onOnline);
+    flush();
+    return () => window.removeEventListener('online', onOnline);
+  };
+
+  const getEntries = async () => (await load()).map(snapshot);
+
+  return { enqueue, flush, save, resolveConflict, retry, discard, isHeld, subscribe, start, getEntries };
+};
+
+/**
+ * Lays outbox writes over rows fetched from the server, so records show what
+ * the user entered even before it is synced. Each touched row gets a _sync
+ * field with the entry id, state and error.
+ * @param {Array} rows - Rows from the server
+ * @param {Array} entries - Outbox entries from subscribe()
+ * @param {string} table - One of SYNC_TABLES
+ * @param {Function} [ownsInsert] - Decides whether a queued insert belongs in this list
+ * @returns {Array} New array of rows
+ */
+export const applyOutbox = (rows, entries, table, ownsInsert = () => true) => {
+  const keyColumn = SYNC_TABLES[table];
+  let result = rows.map(row => ({ ...row }));
+  const tag = (entry) => ({ id: entry.id, state: entry.state, error: entry.error });
+
+  entries.filter(e => e.table === table).forEach(entry => {
+    if (entry.op === 'insert') {
+      const id = entry.key ?? entry.id;
+      const existing = result.find(row => row[keyColumn] === id);
+      if (existing) {
+        existing._sync = tag(entry);
+      } else if (ownsInsert(entry)) {
+        result.push({ ...entry.payload, ...(entry.serverRow || {}), [keyColumn]: id, _sync: tag(entry) });
+      }
+      return;
+    }
+
+    const index = result.findIndex(row => row[keyColumn] === entry.key);
+    if (index === -1) return;
+
+    if (entry.op === 'delete') {
+      if (entry.state === SYNC_STATES.CONFLICT || entry.state === SYNC_STATES.FAILED) {
+        result[index]._sync = tag(entry);
+      } else {
+        result = result.filter((_, i) => i !== index);
+      }
+      return;
+    }
+
+    const values = entry.state === SYNC_STATES.SYNCED && entry.serverRow ? entry.serverRow : entry.payload;
+    result[index] = { ...result[index], ...values, _sync: tag(entry) };
+  });
+
+  return result;
+};
@@ -0,0 +1,26 @@
+import { useEffect, useState } from 'react';
+import { syncQueue } from './index';
+
+/**
+ * Subscribes a component to the outbox and the browser's connection state
+ * @returns {{entries: Array, online: boolean}}
+ */
+export const useSyncQueue = () => {
+  const [entries, setEntries] = useState([]);
+  const [online, setOnline] = useState(typeof navigator === 'undefined' || navigator.onLine);
+
+  useEffect(() => syncQueue.subscribe(setEntries), []);
+
+  useEffect(() => {
+    const goOnline = () => setOnline(true);
+    const goOffline = () => setOnline(false);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, []);
+
+  return { entries, online };
+};
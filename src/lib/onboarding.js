@@ -0,0 +1,122 @@
+// Farmer onboarding: the setup steps a new farmer goes through before their
+// dashboard, analytics and harvest reporting have anything to work with.
+import { supabase } from './supabaseClient';
+import { SYNC_STATES } from './offline';
+
+export const ONBOARDING_STEPS = [
+  {
+    key: 'farm',
+    title: 'Declare your farm',
+    description: 'Enter where your farm is, its size in hectares and its elevation.',
+    action: 'Declare Farm'
+  },
+  {
+    key: 'plants',
+    title: 'Add your plant batches',
+    description: 'Add one entry for each group of trees of the same variety planted on the same date.',
+    action: 'Add Plants'
+  },
+  {
+    key: 'status',
+    title: 'Record a first plant status',
+    description: 'Note the health, soil pH and moisture of one of your batches. Recommendations and forecasts start from this.',
+    action: 'Record Status'
+  }
+];
+
+/**
+ * Checks which setup steps a farmer has done, counting writes still waiting in the offline outbox
+ * @param {string} userId - The farmer's user id (same as farmer_detail.id)
+ * @param {Array} [outbox] - Outbox entries from useSyncQueue
+ * @returns {Promise<{farm: boolean, plants: boolean, status: boolean, firstPlantId: string|null}>}
+ */
+export const fetchOnboardingProgress = async (userId, outbox = []) => {
+  try {
+    const [farmResult, plantResult] = await Promise.all([
+      supabase.from('farmer_detail').select('id').eq('id', userId).maybeSingle(),
+      supabase.from('plant_data').select('plant_id').eq('farmer_id', userId).order('planting_date', { ascending: true })
+    ]);
+    if (farmResult.error) throw farmResult.error;
+    if (plantResult.error) throw plantResult.error;
+
+    const plantIds = (plantResult.data || []).map(p => p.plant_id);
+    let statusCount = 0;
+    if (plantIds.length > 0) {
+      const { count, error } = await supabase
+        .from('plant_status')
+        .select('status_id', { count: 'exact', head: true })
+        .in('plant_id', plantIds);
+      if (error) throw error;
+      statusCount = count || 0;
+    }
+
+    // Only this farmer's inserts still waiting to sync count; conflicted or
+    // failed ones may never reach the server. An observation belongs to the
+    // farmer through a plant they own, including one still in the outbox.
+    const pendingInserts = (table) => outbox.filter(entry =>
+      entry.table === table && entry.op === 'insert' && entry.state === SYNC_STATES.PENDING
+    );
+    const pendingPlants = pendingInserts('plant_data').filter(entry => entry.payload.farmer_id === userId);
+    const ownedPlantIds = new Set([...plantIds, ...pendingPlants.map(entry => entry.key ?? entry.id)]);
+    const pendingStatuses = pendingInserts('plant_status').filter(entry => ownedPlantIds.has(entry.payload.plant_id));
+
+    return {
+      farm: Boolean(farmResult.data),
+      plants: plantIds.length > 0 || pendingPlants.length > 0,
+      status: statusCount > 0 || pendingStatuses.length > 0,
+      firstPlantId: plantIds[0] || null
+    };
+  } catch (error) {
+    console.error('Error checking onboarding progress:', error);
+    throw error;
+  }
+};
+
+/**
+ * Lays the steps out against a farmer's progress
+ * @param {Object} progress - Result of fetchOnboardingProgress
+ * @returns {{steps: Array, completedCount: number, currentStep: Object|null, complete: boolean}}
+ *   Each step carries done and path; path is null while the step can't be started yet
+ */
+export const describeOnboarding = (progress) => {
+  const paths = {
+    farm: '/land-declaration',
+    plants: progress.farm ? '/land-declaration' : null,
+    status: progress.firstPlantId ? `/plant-status/${progress.firstPlantId}` : null
+  };
+
+  const steps = ONBOARDING_STEPS.map((step, index) => ({
+    ...step,
+    number: index + 1,
+    done: Boolean(progress[step.key]),
+    path: paths[step.key]
+  }));
+  const completedCount = steps.filter(s => s.done).length;
+
+  return {
+    steps,
+    completedCount,
+    currentStep: steps.find(s => !s.done) || null,
+    complete: completedCount === steps.length
+  };
+};
+
+/**
+ * Records that a farmer finished setup, so they are no longer routed to it
+ * @param {string} userId
+ * @returns {Promise<string>} The completion timestamp
+ */
+export const markOnboardingComplete = async (userId) => {
+  try {
+    const completedAt = new Date().toISOString();
+    const { error } = await supabase
+      .from('users')
+      .update({ onboarding_completed_at: completedAt })
+      .eq('id', userId);
+    if (error) throw error;
+    return completedAt;
+  } catch (error) {
+    console.error('Error completing onboarding:', error);
+    throw error;
+  }
+};
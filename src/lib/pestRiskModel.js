@@ -0,0 +1,378 @@
+// Pest and disease risk: scores coffee leaf rust, berry borer and brown eye spot
+// from recent weather, farm elevation and what farmers have flagged in plant
+// status, for a whole farm and for each plant batch.
+import { supabase } from './supabaseClient';
+import { fetchWeatherData, fetchFarmWeather } from './weather';
+import { TimeSeriesAnalysis } from './ml/TimeSeriesAnalysis';
+import { fetchStatusHistory, groupSeriesByPlant } from './plantStatusService';
+import { getVariety } from './coffeeVarieties';
+
+export const RISK_LEVELS = [
+  { key: 'high', label: 'High', min: 65 },
+  { key: 'moderate', label: 'Moderate', min: 35 },
+  { key: 'low', label: 'Low', min: 0 }
+];
+
+export const RISK_FACTORS = {
+  temperature: 'Temperature',
+  moisture: 'Humidity and rain',
+  dryness: 'Dry spells',
+  elevation: 'Elevation',
+  observed: 'Plants already affected',
+  crop: 'Berries on the trees',
+  nutrition: 'Time since fertilizing'
+};
+
+// Each threat weighs the factors that drive it. temperature is the band
+// [zero below, full from, full to, zero above] in °C; elevation maps metres to
+// a factor, lower farms being warmer and more exposed.
+export const THREATS = [
+  {
+    key: 'leaf_rust',
+    label: 'Coffee Leaf Rust',
+    flaggedStatus: 'diseased',
+    weights: { temperature: 0.3, moisture: 0.3, elevation: 0.15, observed: 0.25 },
+    temperature: [15, 21, 25, 30],
+    elevation: [[800, 1], [1200, 0.8], [1600, 0.5], [Infinity, 0.25]],
+    interventions: {
+      high: [
+        'Spray a copper-based fungicide on the undersides of leaves now and repeat every 3 to 4 weeks through the rains.',
+        'Strip and burn leaves with orange powder, and wash hands and tools before moving to healthy rows.',
+        'Thin shade and prune crowded stems so leaves dry faster after rain.'
+      ],
+      moderate: [
+        'Check the undersides of 10 leaves per batch each week for yellow spots with orange powder.',
+        'Prune and thin shade to keep air moving through the canopy.',
+        'Keep trees well fed; starved trees lose leaves to rust faster.'
+      ],
+      low: ['Keep checking leaves monthly and replant with rust-tolerant varieties when renewing old trees.']
+    }
+  },
+  {
+    key: 'berry_borer',
+    label: 'Coffee Berry Borer',
+    flaggedStatus: 'pest-affected',
+    weights: { temperature: 0.25, dryness: 0.1, elevation: 0.2, observed: 0.25, crop: 0.2 },
+    temperature: [18, 23, 30, 35],
+    elevation: [[1000, 1], [1400, 0.7], [1700, 0.4], [Infinity, 0.2]],
+    interventions: {
+      high: [
+        'Pick up fallen berries and strip overripe and dry ones left on the trees; bury or boil them.',
+        'Hang alcohol-baited traps (methanol and ethanol, 3:1), about 16 per hectare.',
+        'Spray Beauveria bassiana on the berries in the late afternoon when it is humid.'
+      ],
+      moderate: [
+        'Harvest ripe cherries every 10 to 14 days so borers have nowhere to breed.',
+        'Sample 100 green berries per batch each month and count those with entry holes.'
+      ],
+      low: ['Strip all remaining berries after the main harvest so the borer cannot carry over.']
+    }
+  },
+  {
+    key: 'brown_eye_spot',
+    label: 'Brown Eye Spot',
+    flaggedStatus: 'diseased',
+    weights: { temperature: 0.2, moisture: 0.25, nutrition: 0.3, observed: 0.25 },
+    temperature: [18, 24, 30, 34],
+    elevation: [[Infinity, 0.5]],
+    interventions: {
+      high: [
+        'Fertilize now; brown eye spot is worst on trees short of nitrogen.',
+        'Give young trees light shade and mulch them to cut sun and drought stress.',
+        'Spray a copper fungicide on affected batches.'
+      ],
+      moderate: [
+        'Keep to the fertilization plan and mulch around the trees before the dry season.'
+      ],
+      low: ['Keep up regular fertilization and shade for seedlings.']
+    }
+  }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEA_LEVEL_TEMP_C = 27; // Mean lowland temperature in the tropics
+const LAPSE_RATE_C_PER_M = 0.006;
+const OBSERVED_FULL_SHARE = 0.3; // Once 30% of trees are flagged the outbreak factor is maxed
+
+const seasons = new TimeSeriesAnalysis();
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const round = (value) => Math.round(value);
+
+// Trapezoid: 0 outside [zeroBelow, zeroAbove], 1 inside [fullFrom, fullTo]
+const band = (value, [zeroBelow, fullFrom, fullTo, zeroAbove]) => {
+  if (value <= zeroBelow || value >= zeroAbove) return 0;
+  if (value < fullFrom) return (value - zeroBelow) / (fullFrom - zeroBelow);
+  if (value > fullTo) return (zeroAbove - value) / (zeroAbove - fullTo);
+  return 1;
+};
+
+const elevationFactor = (elevation, table) => {
+  if (elevation == null || isNaN(elevation)) return 0.5;
+  return table.find(([maxMetres]) => elevation < maxMetres)[1];
+};
+
+/**
+ * Risk level for a 0-100 score
+ * @param {number} score
+ * @returns {Object} One of RISK_LEVELS
+ */
+export const getRiskLevel = (score) => RISK_LEVELS.find(level => score >= level.min);
+
+/**
+ * Weather conditions used by the model. Without weather data, temperature is
+ * estimated from elevation and moisture from the season.
+ * @param {Object|null} weather - Result of fetchWeatherData
+ * @param {number|null} elevation - Metres above sea level
+ * @param {Date} today
+ * @returns {{source: 'weather'|'estimate', temperature: number, moisture: number, humidity: number|null, rainfall: number|null, rainyDays: number|null}}
+ */
+export const describeConditions = (weather, elevation, today = new Date()) => {
+  if (weather) {
+    let moisture;
+    if (weather.humidity != null) {
+      moisture = band(weather.humidity, [60, 85, 100, 101]);
+    } else {
+      moisture = clamp01(((weather.rainyDays / (weather.days || 30)) - 0.2) / 0.4);
+    }
+    return {
+      source: 'weather',
+      temperature: weather.temperature,
+      moisture,
+      humidity: weather.humidity,
+      rainfall: weather.rainfall,
+      rainyDays: weather.rainyDays
+    };
+  }
+
+  const seasonalMoisture = { wetSeason: 0.8, transitional: 0.5, drySeason: 0.2 };
+  return {
+    source: 'estimate',
+    temperature: SEA_LEVEL_TEMP_C - LAPSE_RATE_C_PER_M * (Number(elevation) || 0),
+    moisture: seasonalMoisture[seasons.getTropicalSeason(today)],
+    humidity: null,
+    rainfall: null,
+    rainyDays: null
+  };
+};
+
+// 0 within 90 days of fertilizing, rising to 1 at 180 days or when never fertilized
+const nutritionFactor = (status, today) => {
+  if (!status?.last_fertilized) return 1;
+  const days = (today - new Date(status.last_fertilized)) / DAY_MS;
+  return clamp01((days - 90) / 90);
+};
+
+// Trees carry a crop once they reach their variety's bearing age
+const isBearing = (plant, today) => {
+  return plant.planting_date && (today - new Date(plant.planting_date)) / (365.25 * DAY_MS) >= getVariety(plant.coffee_variety).maturityYears;
+};
+
+const scoreThreat = (threat, factors) => {
+  const entries = Object.entries(threat.weights);
+  const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  const score = round((100 * entries.reduce((sum, [key, weight]) => sum + weight * factors[key], 0)) / totalWeight);
+  const level = getRiskLevel(score);
+
+  return {
+    key: threat.key,
+    label: threat.label,
+    score,
+    level: level.key,
+    factors: entries
+      .map(([key, weight]) => ({ key, label: RISK_FACTORS[key], value: round(factors[key] * 100), weight }))
+      .sort((a, b) => b.value * b.weight - a.value * a.weight),
+    interventions: threat.interventions[level.key]
+  };
+};
+
+const summarize = (threats) => {
+  const worst = threats.reduce((top, threat) => (threat.score > top.score ? threat : top), threats[0]);
+  return { score: worst.score, level: worst.level, threat: worst.label };
+};
+
+/**
+ * Scores every threat for a farm and each of its plant batches
+ * @param {Object} options
+ * @param {Object|null} options.weather - Result of fetchWeatherData, null when the farm has no coordinates
+ * @param {number|null} options.elevation - farmer_detail.farm_elevation
+ * @param {Array} options.plants - plant_data rows
+ * @param {Object<string, Object>} options.latestByPlant - plant_id -> latest effective plant_status row
+ * @param {Date} [options.today]
+ * @returns {{conditions: Object, threats: Array, overall: Object, plants: Array}}
+ */
+export const assessRisk = ({ weather, elevation, plants, latestByPlant, today = new Date() }) => {
+  const conditions = describeConditions(weather, elevation, today);
+  const trees = (plant) => plant.number_of_tree_planted || 0;
+  const totalTrees = plants.reduce((sum, plant) => sum + trees(plant), 0);
+  // Batches count by tree number; without tree counts every batch counts once
+  const weightOf = (plant) => (totalTrees > 0 ? trees(plant) / totalTrees : 1 / plants.length);
+  const shareOf = (predicate) => plants.reduce((sum, plant) => sum + (predicate(plant) ? weightOf(plant) : 0), 0);
+
+  const environment = (threat) => ({
+    temperature: band(conditions.temperature, threat.temperature),
+    moisture: conditions.moisture,
+    dryness: 1 - conditions.moisture,
+    elevation: elevationFactor(elevation, threat.elevation)
+  });
+
+  const threats = THREATS.map(threat => scoreThreat(threat, {
+    ...environment(threat),
+    observed: plants.length > 0
+      ? clamp01(shareOf(plant => latestByPlant[plant.plant_id]?.status === threat.flaggedStatus) / OBSERVED_FULL_SHARE)
+      : 0,
+    crop: plants.length > 0 ? shareOf(plant => isBearing(plant, today)) : 0,
+    nutrition: plants.length > 0
+      ? plants.reduce((sum, plant) => sum + weightOf(plant) * nutritionFactor(latestByPlant[plant.plant_id], today), 0)
+      : 0
+  }));
+
+  const plantRisks = plants.map(plant => {
+    const status = latestByPlant[plant.plant_id];
+    const plantThreats = THREATS.map(threat => scoreThreat(threat, {
+      ...environment(threat),
+      observed: status?.status === threat.flaggedStatus ? 1 : 0,
+      crop: isBearing(plant, today) ? 1 : 0,
+      nutrition: nutritionFactor(status, today)
+    }));
+    return {
+      plantId: plant.plant_id,
+      variety: plant.coffee_variety,
+      status: status?.status || null,
+      threats: plantThreats,
+      overall: summarize(plantThreats)
+    };
+  });
+
+  return { conditions, threats, overall: summarize(threats), plants: plantRisks };
+};
+
+const latestByPlantOf = (rows) => {
+  return Object.fromEntries(
+    Object.entries(groupSeriesByPlant(rows)).map(([plantId, series]) => [plantId, series[series.length - 1]])
+  );
+};
+
+// Weather is optional; a failed lookup falls back to the estimate
+const weatherFor = async (latitude, longitude) => {
+  if (latitude == null || longitude == null) return null;
+  try {
+    return await fetchWeatherData(latitude, longitude);
+  } catch {
+    return null;
+  }
+};
+
+// The farm's own stored history, with the same fallback
+const farmWeatherFor = async (farm) => {
+  if (farm.farm_latitude == null || farm.farm_longitude == null) return null;
+  try {
+    const { recent } = await fetchFarmWeather(farm, { forecastDays: 0 });
+    return recent.days > 0 ? recent : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Fetches everything the model needs for one farm and scores it
+ * @param {string} farmerId - farmer_detail id
+ * @returns {Promise<Object>} assessRisk result plus the farm's location and elevation
+ */
+export const fetchFarmRisk = async (farmerId) => {
+  try {
+    const [farmResult, plantResult] = await Promise.all([
+      supabase
+        .from('farmer_detail')
+        .select('farm_location, farm_elevation, farm_latitude, farm_longitude')
+        .eq('id', farmerId)
+        .maybeSingle(),
+      supabase
+        .from('plant_data')
+        .select('plant_id, coffee_variety, planting_date, number_of_tree_planted')
+        .eq('farmer_id', farmerId)
+    ]);
+    if (farmResult.error) throw farmResult.error;
+    if (plantResult.error) throw plantResult.error;
+
+    const farm = farmResult.data || {};
+    const plants = plantResult.data || [];
+    const [statusRows, weather] = await Promise.all([
+      fetchStatusHistory(plants.map(p => p.plant_id)),
+      farmWeatherFor({ id: farmerId, ...farm })
+    ]);
+    const latestByPlant = latestByPlantOf(statusRows);
+
+    return {
+      location: farm.farm_location || null,
+      elevation: farm.farm_elevation ?? null,
+      ...assessRisk({ weather, elevation: farm.farm_elevation, plants, latestByPlant })
+    };
+  } catch (error) {
+    console.error('Error assessing farm risk:', error);
+    throw error;
+  }
+};
+
+/**
+ * Scores every farm and averages the scores by farm location, for the admin heatmap.
+ * Farms close together share one weather lookup.
+ * @returns {Promise<Array<{region: string, farmCount: number, scores: Object<string, number>, overall: Object}>>}
+ *   Regions sorted from highest to lowest risk; scores is keyed by threat
+ */
+export const fetchRegionalRisk = async () => {
+  try {
+    const [farmResult, plantResult, statusResult] = await Promise.all([
+      supabase.from('farmer_detail').select('id, farm_location, farm_elevation, farm_latitude, farm_longitude'),
+      supabase.from('plant_data').select('plant_id, farmer_id, coffee_variety, planting_date, number_of_tree_planted'),
+      supabase.from('plant_status').select('*')
+    ]);
+    if (farmResult.error) throw farmResult.error;
+    if (plantResult.error) throw plantResult.error;
+    if (statusResult.error) throw statusResult.error;
+
+    const farms = farmResult.data || [];
+    const plants = plantResult.data || [];
+    const latestByPlant = latestByPlantOf(statusResult.data || []);
+
+    const cellOf = (farm) => (farm.farm_latitude == null || farm.farm_longitude == null
+      ? null
+      : `${Number(farm.farm_latitude).toFixed(1)},${Number(farm.farm_longitude).toFixed(1)}`);
+    const cells = [...new Set(farms.map(cellOf).filter(Boolean))];
+    const weatherByCell = Object.fromEntries(await Promise.all(cells.map(async cell => {
+      const [latitude, longitude] = cell.split(',').map(Number);
+      return [cell, await weatherFor(latitude, longitude)];
+    })));
+
+    const regions = {};
+    farms.forEach(farm => {
+      const risk = assessRisk({
+        weather: weatherByCell[cellOf(farm)] || null,
+        elevation: farm.farm_elevation,
+        plants: plants.filter(p => p.farmer_id === farm.id),
+        latestByPlant
+      });
+      const region = farm.farm_location?.trim() || 'Unspecified';
+      (regions[region] = regions[region] || []).push(risk);
+    });
+
+    return Object.entries(regions)
+      .map(([region, risks]) => {
+        const scores = Object.fromEntries(THREATS.map(threat => [
+          threat.key,
+          round(risks.reduce((sum, risk) => sum + risk.threats.find(t => t.key === threat.key).score, 0) / risks.length)
+        ]));
+        const worst = THREATS.reduce((top, threat) => (scores[threat.key] > scores[top.key] ? threat : top), THREATS[0]);
+        return {
+          region,
+          farmCount: risks.length,
+          scores,
+          overall: { score: scores[worst.key], level: getRiskLevel(scores[worst.key]).key, threat: worst.label }
+        };
+      })
+      .sort((a, b) => b.overall.score - a.overall.score);
+  } catch (error) {
+    console.error('Error assessing regional risk:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,166 @@
+// Plant status history: plant_status is an append-only log of observations.
+// A correction never edits a row; it inserts a new one that supersedes it.
+import { linearRegression } from 'simple-statistics';
+import { supabase } from './supabaseClient';
+import { syncQueue } from './offline';
+
+export const STATUS_FIELDS = [
+  { key: 'status', label: 'Health Status' },
+  { key: 'age_stage', label: 'Age Stage' },
+  { key: 'soil_ph', label: 'Soil pH', numeric: true },
+  { key: 'moisture_level', label: 'Moisture Level' },
+  { key: 'last_fertilized', label: 'Last Fertilized' }
+];
+
+const toObservationRow = (plantId, form) => ({
+  plant_id: plantId,
+  status: form.status || null,
+  age_stage: form.age_stage || null,
+  soil_ph: form.soil_ph === '' || form.soil_ph == null ? null : parseFloat(form.soil_ph),
+  moisture_level: form.moisture_level || null,
+  last_fertilized: form.last_fertilized || null,
+  observed_at: form.observed_at || new Date().toISOString().split('T')[0]
+});
+
+const compareObservations = (a, b) => {
+  const byDate = new Date(a.observed_at || a.created_at) - new Date(b.observed_at || b.created_at);
+  return byDate !== 0 ? byDate : new Date(a.created_at) - new Date(b.created_at);
+};
+
+/**
+ * Fetches every status row recorded for one or more plants, oldest first
+ * @param {string|string[]} plantIds - A plant id or a list of plant ids
+ * @returns {Promise<Array>} Raw plant_status rows, including superseded ones
+ */
+export const fetchStatusHistory = async (plantIds) => {
+  const ids = Array.isArray(plantIds) ? plantIds : [plantIds];
+  if (ids.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('plant_status')
+    .select('*')
+    .in('plant_id', ids)
+    .order('observed_at', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Drops rows that have been replaced by a correction
+ * @param {Array} rows - plant_status rows for one or more plants
+ * @returns {Array} The effective observations, oldest first
+ */
+export const resolveEffectiveSeries = (rows) => {
+  const superseded = new Set(rows.filter(r => r.supersedes_id).map(r => r.supersedes_id));
+  return rows
+    .filter(r => !superseded.has(r.status_id))
+    .sort(compareObservations);
+};
+
+/**
+ * Groups the effective series by plant
+ * @param {Array} rows - plant_status rows for several plants
+ * @returns {Object<string, Array>} plant_id -> effective observations, oldest first
+ */
+export const groupSeriesByPlant = (rows) => {
+  return resolveEffectiveSeries(rows).reduce((acc, row) => {
+    (acc[row.plant_id] = acc[row.plant_id] || []).push(row);
+    return acc;
+  }, {});
+};
+
+/**
+ * Returns the most recent effective observation
+ * @param {Array} rows - plant_status rows for a single plant
+ * @returns {Object|null} Latest observation or null when there is none
+ */
+export const getLatestStatus = (rows) => {
+  const series = resolveEffectiveSeries(rows);
+  return series.length > 0 ? series[series.length - 1] : null;
+};
+
+/**
+ * Lists the fields that changed between two consecutive observations
+ * @param {Object|null} previous - Earlier observation (null for the first one)
+ * @param {Object} current - Later observation
+ * @returns {Array<{key: string, label: string, from: any, to: any, delta: number|null}>}
+ */
+export const diffObservations = (previous, current) => {
+  if (!previous) return [];
+
+  return STATUS_FIELDS
+    .filter(({ key }) => (previous[key] ?? null) !== (current[key] ?? null))
+    .map(({ key, label, numeric }) => {
+      const from = previous[key] ?? null;
+      const to = current[key] ?? null;
+      const delta = numeric && from !== null && to !== null
+        ? Math.round((parseFloat(to) - parseFloat(from)) * 100) / 100
+        : null;
+      return { key, label, from, to, delta };
+    });
+};
+
+/**
+ * Calculates the trend of a numeric field across the series
+ * @param {Array} series - Effective observations, oldest first
+ * @param {string} field - Numeric column, e.g. 'soil_ph'
+ * @returns {{direction: 'increasing'|'decreasing'|'stable', perMonth: number, points: number}|null}
+ *   Change per 30 days, or null with fewer than two measurements
+ */
+export const getFieldTrend = (series, field = 'soil_ph') => {
+  const points = series
+    .filter(s => s[field] !== null && s[field] !== undefined && s[field] !== '')
+    .map(s => [new Date(s.observed_at || s.created_at).getTime() / (1000 * 60 * 60 * 24), parseFloat(s[field])])
+    .filter(([x, y]) => !isNaN(x) && !isNaN(y));
+
+  if (points.length < 2 || points[0][0] === points[points.length - 1][0]) return null;
+
+  const { m } = linearRegression(points);
+  const perMonth = Math.round(m * 30 * 100) / 100;
+  const direction = perMonth > 0.05 ? 'increasing' : perMonth < -0.05 ? 'decreasing' : 'stable';
+
+  return { direction, perMonth, points: points.length };
+};
+
+// Observations go through the offline outbox; until synced the row carries a local status_id
+const saveObservation = async (row) => {
+  const entry = await syncQueue.save('plant_status', 'insert', { payload: row });
+  return {
+    ...(entry.serverRow || { ...entry.payload, status_id: entry.id, created_at: entry.queuedAt }),
+    _sync: { id: entry.id, state: entry.state, error: entry.error }
+  };
+};
+
+/**
+ * Appends a new observation for a plant
+ * @param {string} plantId - Plant being observed
+ * @param {Object} form - Observation values from the status form
+ * @param {string} [recordedBy] - User id of the person recording it
+ * @returns {Promise<Object>} The inserted row, or the queued one when offline (see _sync.state)
+ */
+export const recordObservation = async (plantId, form, recordedBy) => {
+  return saveObservation({ ...toObservationRow(plantId, form), recorded_by: recordedBy || null });
+};
+
+/**
+ * Corrects a past observation by inserting a row that supersedes it
+ * @param {Object} original - The plant_status row being corrected
+ * @param {Object} form - Corrected values
+ * @param {string} note - Why the entry was corrected
+ * @param {string} [recordedBy] - User id of the person correcting it
+ * @returns {Promise<Object>} The inserted correction row, or the queued one when offline
+ */
+export const correctObservation = async (original, form, note, recordedBy) => {
+  if (!original?.status_id) {
+    throw new Error('Cannot correct an observation without a status_id');
+  }
+
+  return saveObservation({
+    ...toObservationRow(original.plant_id, { ...form, observed_at: form.observed_at || original.observed_at }),
+    supersedes_id: original.status_id,
+    correction_note: note || null,
+    recorded_by: recordedBy || null
+  });
+};
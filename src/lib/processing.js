@@ -0,0 +1,464 @@
+// Post-harvest processing: cherry from a harvest is split into batches that go
+// through fermentation, drying and hulling to graded green coffee. Conversion
+// ratios come from the weights logged at each step. Once every batch of a
+// harvest is graded, the database records their graded green coffee on the
+// harvest (see the processing_batches migration).
+import { supabase } from './supabaseClient';
+import { syncQueue } from './offline';
+import { GRADE_FIELDS, GRADE_TOLERANCE_KG } from './harvestMetrics';
+
+export const PROCESSING_METHODS = {
+  washed: { label: 'Washed', dried: 'parchment', description: 'Pulped, fermented and washed before drying' },
+  honey: { label: 'Honey', dried: 'parchment', description: 'Pulped and dried with the mucilage left on' },
+  natural: { label: 'Natural', dried: 'dried cherry', description: 'Dried as whole cherry' }
+};
+
+export const DRYING_METHODS = {
+  raised_beds: { label: 'Raised beds' },
+  patio: { label: 'Patio' },
+  tarpaulin: { label: 'Tarpaulin' },
+  mechanical: { label: 'Mechanical dryer' }
+};
+
+export const BATCH_STAGES = {
+  received: { label: 'Received' },
+  drying: { label: 'Drying' },
+  hulled: { label: 'Hulled' },
+  graded: { label: 'Graded' }
+};
+
+// Grade columns of processing_batches, in kilograms of green coffee
+export const BATCH_GRADE_FIELDS = GRADE_FIELDS.map(({ key, label }) => ({ key, field: `${key}_kg`, label }));
+
+// Moisture content dried coffee should be hulled and stored at
+export const TARGET_MOISTURE_PCT = { min: 10, max: 12 };
+
+const MAX_FERMENTATION_HOURS = 120;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const toNumber = (value) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? null : parsed;
+};
+const toDateString = (date) => date.toISOString().split('T')[0];
+const daysBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / DAY_MS);
+
+/**
+ * A batch's moisture readings, oldest first
+ * @param {Array<Object>} readings - processing_moisture_readings rows of one batch
+ * @returns {Array<Object>}
+ */
+export const sortReadings = (readings = []) => {
+  return [...readings].sort((a, b) =>
+    a.read_on.localeCompare(b.read_on) || (a.created_at || '').localeCompare(b.created_at || '')
+  );
+};
+
+/**
+ * Where a batch is in processing
+ * @param {Object} batch - processing_batches row
+ * @param {Array<Object>} [readings] - The batch's moisture readings
+ * @returns {string} A BATCH_STAGES key
+ */
+export const batchStage = (batch, readings = []) => {
+  if (batch.graded_on) return 'graded';
+  if (batch.green_kg != null) return 'hulled';
+  if (batch.drying_started_on || readings.length > 0) return 'drying';
+  return 'received';
+};
+
+/**
+ * Compares a moisture reading with TARGET_MOISTURE_PCT
+ * @param {number} moisturePct
+ * @returns {'wet'|'ready'|'overdried'}
+ */
+export const moistureStatus = (moisturePct) => {
+  if (moisturePct > TARGET_MOISTURE_PCT.max) return 'wet';
+  if (moisturePct < TARGET_MOISTURE_PCT.min) return 'overdried';
+  return 'ready';
+};
+
+/**
+ * Days a batch spent drying: from the start of drying (or its first reading)
+ * to hulling (or its latest reading)
+ * @param {Object} batch - processing_batches row
+ * @param {Array<Object>} [readings] - The batch's moisture readings
+ * @returns {number|null}
+ */
+export const dryingDays = (batch, readings = []) => {
+  const sorted = sortReadings(readings);
+  const start = batch.drying_started_on || sorted[0]?.read_on;
+  const end = batch.hulled_on || sorted[sorted.length - 1]?.read_on;
+  if (!start || !end || end < start) return null;
+  return daysBetween(start, end);
+};
+
+/**
+ * Weight ratios between the steps of a batch, null where a weight is not logged yet
+ * @param {Object} batch - processing_batches row
+ * @returns {{drying: number|null, hulling: number|null, overall: number|null, cherryPerGreen: number|null, premiumShare: number|null}}
+ *   drying is dried/cherry, hulling green/dried, overall green/cherry, premiumShare premium/graded (all 0-1)
+ */
+export const conversionRatios = (batch) => {
+  const cherry = toNumber(batch.cherry_kg);
+  const dried = toNumber(batch.dried_kg);
+  const green = toNumber(batch.green_kg);
+  const graded = batch.graded_on
+    ? BATCH_GRADE_FIELDS.reduce((sum, { field }) => sum + (toNumber(batch[field]) || 0), 0)
+    : null;
+  const ratio = (part, whole) => (part != null && whole ? part / whole : null);
+
+  return {
+    drying: ratio(dried, cherry),
+    hulling: ratio(green, dried),
+    overall: ratio(green, cherry),
+    cherryPerGreen: ratio(cherry, green),
+    premiumShare: ratio(graded ? toNumber(batch.premium_kg) : null, graded)
+  };
+};
+
+/**
+ * Cherry of a harvest already put into batches
+ * @param {string} harvestId
+ * @param {Array<Object>} batches - processing_batches rows
+ * @param {string} [exceptBatchId] - A batch being edited, left out of the sum
+ * @returns {number} Kilograms
+ */
+export const allocatedCherry = (harvestId, batches, exceptBatchId = null) => {
+  return round2(batches
+    .filter(batch => batch.harvest_id === harvestId && batch.batch_id !== exceptBatchId)
+    .reduce((sum, batch) => sum + (toNumber(batch.cherry_kg) || 0), 0));
+};
+
+/**
+ * Checks a new or edited batch before it is saved
+ * @param {Object} form - harvest_id, method, started_on, cherry_kg, fermentation_hours, drying_method, drying_started_on
+ * @param {Object} context
+ * @param {Object} context.harvest - The harvest_data row the batch is taken from
+ * @param {Array<Object>} context.batches - The farmer's batches
+ * @param {string} [context.batchId] - The batch being edited
+ * @returns {string|null} What is wrong, or null when the batch can be saved
+ */
+export const validateBatch = (form, { harvest, batches, batchId = null }) => {
+  if (!harvest) return 'Choose the harvest the cherry comes from.';
+  if (!PROCESSING_METHODS[form.method]) return 'Choose a processing method.';
+  if (!form.started_on) return 'Enter the date processing started.';
+  if (form.started_on < harvest.harvest_date.split('T')[0]) {
+    return 'Processing cannot start before the harvest date.';
+  }
+
+  const cherry = toNumber(form.cherry_kg);
+  if (cherry == null || cherry <= 0) return 'Cherry weight must be a positive number of kilograms.';
+
+  const available = round2(harvest.coffee_raw_quantity - allocatedCherry(harvest.harvest_id, batches, batchId));
+  if (cherry - available > GRADE_TOLERANCE_KG) {
+    return `Only ${Math.max(available, 0)} kg of this harvest's ${harvest.coffee_raw_quantity} kg is left to process.`;
+  }
+
+  const hours = toNumber(form.fermentation_hours);
+  if (form.method === 'washed' && hours == null) return 'Enter how long washed coffee fermented.';
+  if (hours != null && (hours < 0 || hours > MAX_FERMENTATION_HOURS)) {
+    return `Fermentation hours must be between 0 and ${MAX_FERMENTATION_HOURS}.`;
+  }
+
+  if (form.drying_method && !DRYING_METHODS[form.drying_method]) return 'Choose a drying method.';
+  if (form.drying_started_on && form.drying_started_on < form.started_on) {
+    return 'Drying cannot start before processing did.';
+  }
+  return null;
+};
+
+/**
+ * Checks the weights logged when a batch is hulled
+ * @param {Object} batch - processing_batches row
+ * @param {Object} form - dried_kg, green_kg, hulled_on
+ * @returns {string|null}
+ */
+export const validateHulling = (batch, form) => {
+  const dried = toNumber(form.dried_kg);
+  const green = toNumber(form.green_kg);
+  const driedLabel = PROCESSING_METHODS[batch.method]?.dried || 'dried coffee';
+
+  if (!form.hulled_on) return 'Enter the date the batch was hulled.';
+  if (form.hulled_on < (batch.drying_started_on || batch.started_on)) return 'Hulling cannot come before drying.';
+  if (dried == null || dried <= 0) return `Weight of ${driedLabel} must be a positive number of kilograms.`;
+  if (dried > batch.cherry_kg) return `The ${driedLabel} cannot weigh more than the ${batch.cherry_kg} kg of cherry.`;
+  if (green == null || green <= 0) return 'Green coffee must be a positive number of kilograms.';
+  if (green > dried) return `Green coffee cannot weigh more than the ${dried} kg of ${driedLabel}.`;
+  return null;
+};
+
+/**
+ * Checks the grades logged for a hulled batch. Sorting removes defects, so
+ * grades may add up to less than the green weight but not more.
+ * @param {Object} batch - processing_batches row
+ * @param {Object} form - premium_kg, fine_kg, commercial_kg, graded_on
+ * @returns {string|null}
+ */
+export const validateGrading = (batch, form) => {
+  if (batch.green_kg == null) return 'Log the hulling output before grading.';
+  if (!form.graded_on) return 'Enter the date the batch was graded.';
+  if (form.graded_on < batch.hulled_on) return 'Grading cannot come before hulling.';
+
+  let gradeSum = 0;
+  for (const { field, label } of BATCH_GRADE_FIELDS) {
+    const kg = toNumber(form[field]);
+    if (kg == null || kg < 0) return `${label} grade must be a non-negative number of kilograms.`;
+    gradeSum += kg;
+  }
+  if (gradeSum - batch.green_kg > GRADE_TOLERANCE_KG) {
+    return `Graded coffee (${round2(gradeSum)} kg) cannot exceed the ${batch.green_kg} kg of green coffee.`;
+  }
+  return null;
+};
+
+/**
+ * Processing totals for one harvest, for the harvest cards
+ * @param {string} harvestId
+ * @param {Array<Object>} batches - processing_batches rows
+ * @returns {{count: number, cherryKg: number, greenKg: number, allGraded: boolean, cherryPerGreen: number|null}}
+ */
+export const summarizeHarvestBatches = (harvestId, batches) => {
+  const own = batches.filter(batch => batch.harvest_id === harvestId);
+  const hulled = own.filter(batch => batch.green_kg != null);
+  const hulledCherry = hulled.reduce((sum, batch) => sum + batch.cherry_kg, 0);
+  const greenKg = hulled.reduce((sum, batch) => sum + batch.green_kg, 0);
+
+  return {
+    count: own.length,
+    cherryKg: allocatedCherry(harvestId, own),
+    greenKg: round2(greenKg),
+    allGraded: own.length > 0 && own.every(batch => batch.graded_on),
+    cherryPerGreen: greenKg > 0 ? round2(hulledCherry / greenKg) : null
+  };
+};
+
+/**
+ * Outcomes of hulled and graded batches grouped by a processing choice, so
+ * quality can be compared between methods
+ * @param {Array<Object>} batches - processing_batches rows
+ * @param {Object<string, Array<Object>>} readingsByBatch - Moisture readings by batch_id
+ * @param {'method'|'drying_method'} [groupBy]
+ * @returns {Array<{key: string, label: string, batches: number, cherryKg: number, greenKg: number, cherryPerGreen: number|null,
+ *   premiumShare: number|null, avgFermentationHours: number|null, avgDryingDays: number|null}>}
+ *   premiumShare is 0-100 over graded batches; groups without a hulled batch are left out
+ */
+export const summarizeProcessing = (batches, readingsByBatch = {}, groupBy = 'method') => {
+  const catalog = groupBy === 'method' ? PROCESSING_METHODS : DRYING_METHODS;
+  const average = (values) => (values.length ? round2(values.reduce((sum, v) => sum + v, 0) / values.length) : null);
+
+  return Object.entries(catalog).map(([key, { label }]) => {
+    const hulled = batches.filter(batch => batch[groupBy] === key && batch.green_kg != null);
+    const graded = hulled.filter(batch => batch.graded_on);
+    const cherryKg = hulled.reduce((sum, batch) => sum + batch.cherry_kg, 0);
+    const greenKg = hulled.reduce((sum, batch) => sum + batch.green_kg, 0);
+    const gradedKg = graded.reduce((sum, batch) =>
+      sum + BATCH_GRADE_FIELDS.reduce((kg, { field }) => kg + (batch[field] || 0), 0), 0);
+    const premiumKg = graded.reduce((sum, batch) => sum + (batch.premium_kg || 0), 0);
+
+    return {
+      key,
+      label,
+      batches: hulled.length,
+      cherryKg: round2(cherryKg),
+      greenKg: round2(greenKg),
+      cherryPerGreen: greenKg > 0 ? round2(cherryKg / greenKg) : null,
+      premiumShare: gradedKg > 0 ? round2(premiumKg / gradedKg * 100) : null,
+      avgFermentationHours: average(hulled.map(batch => batch.fermentation_hours).filter(hours => hours != null)),
+      avgDryingDays: average(hulled.map(batch => dryingDays(batch, readingsByBatch[batch.batch_id])).filter(days => days != null))
+    };
+  }).filter(group => group.batches > 0);
+};
+
+// Outbox entry as the row the page shows, with its sync state
+const toRow = (entry, keyColumn, base = {}) => ({
+  ...(entry.serverRow || { ...base, ...entry.payload, [keyColumn]: entry.key ?? entry.id, created_at: base.created_at || entry.queuedAt }),
+  _sync: { id: entry.id, state: entry.state, error: entry.error }
+});
+
+/**
+ * Fetches a farmer's processing batches, newest first
+ * @param {string} farmerId - farmer_detail id
+ * @returns {Promise<Array>}
+ */
+export const fetchBatches = async (farmerId) => {
+  try {
+    const { data, error } = await supabase
+      .from('processing_batches')
+      .select('*')
+      .eq('farmer_id', farmerId)
+      .order('started_on', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching processing batches:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetches the moisture readings of all of a farmer's batches
+ * @param {string} farmerId - farmer_detail id
+ * @returns {Promise<Array>}
+ */
+export const fetchMoistureReadings = async (farmerId) => {
+  try {
+    const { data, error } = await supabase
+      .from('processing_moisture_readings')
+      .select('*')
+      .eq('farmer_id', farmerId)
+      .order('read_on', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching moisture readings:', error);
+    throw error;
+  }
+};
+
+/**
+ * Starts a batch, or edits how an existing one was set up. Goes through the offline outbox.
+ * @param {string} farmerId - farmer_detail id
+ * @param {Object} form - See validateBatch
+ * @param {Object} context
+ * @param {Object} context.harvest - The harvest_data row the batch is taken from
+ * @param {Array<Object>} context.batches - The farmer's batches
+ * @param {Object} [context.batch] - The batch being edited
+ * @param {string} [recordedBy] - User id of the person recording it
+ * @returns {Promise<Object>} The saved batch (see _sync.state)
+ */
+export const saveBatch = async (farmerId, form, { harvest, batches, batch = null }, recordedBy) => {
+  const problem = validateBatch(form, { harvest, batches, batchId: batch?.batch_id });
+  if (problem) throw new Error(problem);
+
+  const payload = {
+    harvest_id: harvest.harvest_id,
+    method: form.method,
+    started_on: form.started_on,
+    cherry_kg: toNumber(form.cherry_kg),
+    fermentation_hours: toNumber(form.fermentation_hours),
+    drying_method: form.drying_method || null,
+    drying_started_on: form.drying_started_on || null,
+    notes: form.notes?.trim() || null
+  };
+
+  if (batch) {
+    const entry = await syncQueue.save('processing_batches', 'update', {
+      key: batch.batch_id,
+      payload,
+      base: batch,
+      match: { farmer_id: farmerId }
+    });
+    return toRow(entry, 'batch_id', batch);
+  }
+
+  const entry = await syncQueue.save('processing_batches', 'insert', {
+    payload: { ...payload, farmer_id: farmerId, recorded_by: recordedBy || null }
+  });
+  return toRow(entry, 'batch_id');
+};
+
+/**
+ * Logs the weights after drying and hulling
+ * @param {string} farmerId - farmer_detail id
+ * @param {Object} batch - processing_batches row
+ * @param {Object} form - dried_kg, green_kg, hulled_on
+ * @returns {Promise<Object>} The saved batch (see _sync.state)
+ */
+export const recordHulling = async (farmerId, batch, form) => {
+  const problem = validateHulling(batch, form);
+  if (problem) throw new Error(problem);
+
+  const entry = await syncQueue.save('processing_batches', 'update', {
+    key: batch.batch_id,
+    payload: {
+      dried_kg: toNumber(form.dried_kg),
+      green_kg: toNumber(form.green_kg),
+      hulled_on: form.hulled_on
+    },
+    base: batch,
+    match: { farmer_id: farmerId }
+  });
+  return toRow(entry, 'batch_id', batch);
+};
+
+/**
+ * Logs the graded output of a hulled batch. When it is the last of its
+ * harvest's batches to be graded, the harvest records their graded green coffee.
+ * @param {string} farmerId - farmer_detail id
+ * @param {Object} batch - processing_batches row
+ * @param {Object} form - premium_kg, fine_kg, commercial_kg, graded_on
+ * @returns {Promise<Object>} The saved batch (see _sync.state)
+ */
+export const recordGrading = async (farmerId, batch, form) => {
+  const problem = validateGrading(batch, form);
+  if (problem) throw new Error(problem);
+
+  const entry = await syncQueue.save('processing_batches', 'update', {
+    key: batch.batch_id,
+    payload: {
+      ...Object.fromEntries(BATCH_GRADE_FIELDS.map(({ field }) => [field, toNumber(form[field])])),
+      graded_on: form.graded_on
+    },
+    base: batch,
+    match: { farmer_id: farmerId }
+  });
+  return toRow(entry, 'batch_id', batch);
+};
+
+/**
+ * Deletes a batch with its moisture readings
+ * @param {string} farmerId - farmer_detail id
+ * @param {Object} batch - processing_batches row
+ * @returns {Promise<Object|null>} The outbox entry, or null when the batch never left this device
+ */
+export const deleteBatch = async (farmerId, batch) => {
+  return syncQueue.save('processing_batches', 'delete', {
+    key: batch.batch_id,
+    base: batch,
+    match: { farmer_id: farmerId }
+  });
+};
+
+/**
+ * Logs a moisture reading of a drying batch
+ * @param {string} farmerId - farmer_detail id
+ * @param {Object} batch - processing_batches row
+ * @param {Object} form - read_on, moisture_pct, notes
+ * @returns {Promise<Object>} The saved reading (see _sync.state)
+ */
+export const addMoistureReading = async (farmerId, batch, form) => {
+  const moisture = toNumber(form.moisture_pct);
+  if (!form.read_on) throw new Error('Enter the date of the reading.');
+  if (form.read_on < batch.started_on) throw new Error('The reading cannot come before processing started.');
+  if (form.read_on > toDateString(new Date())) throw new Error('Only record readings that have been taken.');
+  if (moisture == null || moisture < 0 || moisture > 100) throw new Error('Moisture must be a percentage between 0 and 100.');
+
+  const entry = await syncQueue.save('processing_moisture_readings', 'insert', {
+    payload: {
+      batch_id: batch.batch_id,
+      farmer_id: farmerId,
+      read_on: form.read_on,
+      moisture_pct: moisture,
+      notes: form.notes?.trim() || null
+    }
+  });
+  return toRow(entry, 'reading_id');
+};
+
+/**
+ * Deletes a moisture reading
+ * @param {string} farmerId - farmer_detail id
+ * @param {Object} reading - processing_moisture_readings row
+ * @returns {Promise<Object|null>} The outbox entry, or null when the reading never left this device
+ */
+export const deleteMoistureReading = async (farmerId, reading) => {
+  return syncQueue.save('processing_moisture_readings', 'delete', {
+    key: reading.reading_id,
+    base: reading,
+    match: { farmer_id: farmerId }
+  });
+};
@@ -0,0 +1,321 @@
+// QR Code encoder for lot labels (ISO/IEC 18004): byte mode, error correction
+// level M and versions 1-10, which holds up to 213 bytes - plenty for a lot URL.
+// Kept to what the labels need rather than pulling in a dependency.
+
+// Error correction codewords per block and [blocks, data codewords per block]
+// groups for level M, with the alignment pattern centres of each version
+const VERSIONS = [
+  { ecPerBlock: 10, groups: [[1, 16]], align: [] },
+  { ecPerBlock: 16, groups: [[1, 28]], align: [6, 18] },
+  { ecPerBlock: 26, groups: [[1, 44]], align: [6, 22] },
+  { ecPerBlock: 18, groups: [[2, 32]], align: [6, 26] },
+  { ecPerBlock: 24, groups: [[2, 43]], align: [6, 30] },
+  { ecPerBlock: 16, groups: [[4, 27]], align: [6, 34] },
+  { ecPerBlock: 18, groups: [[4, 31]], align: [6, 22, 38] },
+  { ecPerBlock: 22, groups: [[2, 38], [2, 39]], align: [6, 24, 42] },
+  { ecPerBlock: 22, groups: [[3, 36], [2, 37]], align: [6, 26, 46] },
+  { ecPerBlock: 26, groups: [[4, 43], [1, 44]], align: [6, 28, 50] }
+];
+
+const EC_LEVEL_M = 0; // Format bits 00
+const BYTE_MODE = 0x4;
+const PAD_BYTES = [0xec, 0x11];
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// GF(256) arithmetic for Reed-Solomon, reducing by x^8 + x^4 + x^3 + x^2 + 1
+const EXP = new Array(512);
+const LOG = new Array(256);
+for (let i = 0, value = 1; i < 255; i++) {
+  EXP[i] = value;
+  LOG[value] = i;
+  value <<= 1;
+  if (value & 0x100) value ^= 0x11d;
+}
+for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+
+const gfMultiply = (a, b) => (a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]]);
+
+// (x - α^0)(x - α^1)...(x - α^(degree-1)), highest power first
+const generatorPolynomial = (degree) => {
+  let poly = [1];
+  for (let i = 0; i < degree; i++) {
+    const next = new Array(poly.length + 1).fill(0);
+    poly.forEach((coefficient, j) => {
+      next[j] ^= coefficient;
+      next[j + 1] ^= gfMultiply(coefficient, EXP[i]);
+    });
+    poly = next;
+  }
+  return poly;
+};
+
+// Remainder of the data polynomial divided by the generator
+const errorCorrection = (data, degree) => {
+  const generator = generatorPolynomial(degree);
+  const remainder = [...data, ...new Array(degree).fill(0)];
+  for (let i = 0; i < data.length; i++) {
+    const factor = remainder[i];
+    if (factor !== 0) {
+      generator.forEach((coefficient, j) => {
+        remainder[i + j] ^= gfMultiply(coefficient, factor);
+      });
+    }
+  }
+  return remainder.slice(data.length);
+};
+
+const dataCapacity = ({ groups }) => groups.reduce((sum, [blocks, size]) => sum + blocks * size, 0);
+
+const bitAt = (value, index) => ((value >>> index) & 1) === 1;
+
+// Mode, length, payload, terminator and padding, split into blocks and interleaved with their error correction
+const buildCodewords = (bytes, version) => {
+  const spec = VERSIONS[version - 1];
+  const capacity = dataCapacity(spec);
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push(bitAt(value, i) ? 1 : 0);
+  };
+
+  push(BYTE_MODE, 4);
+  push(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach(byte => push(byte, 8));
+  push(0, Math.min(4, capacity * 8 - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  for (let i = 0; data.length < capacity; i++) data.push(PAD_BYTES[i % 2]);
+
+  const blocks = [];
+  let offset = 0;
+  spec.groups.forEach(([count, size]) => {
+    for (let i = 0; i < count; i++) {
+      const blockData = data.slice(offset, offset + size);
+      blocks.push({ data: blockData, ec: errorCorrection(blockData, spec.ecPerBlock) });
+      offset += size;
+    }
+  });
+
+  const result = [];
+  const longest = Math.max(...blocks.map(block => block.data.length));
+  for (let i = 0; i < longest; i++) {
+    blocks.forEach(block => { if (i < block.data.length) result.push(block.data[i]); });
+  }
+  for (let i = 0; i < spec.ecPerBlock; i++) {
+    blocks.forEach(block => result.push(block.ec[i]));
+  }
+  return result;
+};
+
+// Lower is easier to scan: long runs, 2x2 blocks, finder look-alikes and an uneven dark share cost points
+const penalty = (modules) => {
+  const size = modules.length;
+  let score = 0;
+  const lines = [
+    ...modules,
+    ...modules.map((_, x) => modules.map(row => row[x]))
+  ];
+
+  lines.forEach(line => {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) score += 3 + (run - 5);
+        run = 1;
+      }
+    }
+    const pattern = line.map(dark => (dark ? '1' : '0')).join('');
+    for (const finderLike of ['10111010000', '00001011101']) {
+      for (let at = pattern.indexOf(finderLike); at !== -1; at = pattern.indexOf(finderLike, at + 1)) score += 40;
+    }
+  });
+
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const dark = modules[y][x];
+      if (modules[y][x + 1] === dark && modules[y + 1][x] === dark && modules[y + 1][x + 1] === dark) score += 3;
+    }
+  }
+
+  const darkCount = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  score += Math.floor(Math.abs(darkCount * 100 / (size * size) - 50) / 5) * 10;
+  return score;
+};
+
+/**
+ * Encodes text as a QR code
+ * @param {string} text - UTF-8 text, up to 213 bytes
+ * @returns {{size: number, version: number, modules: boolean[][]}} modules[y][x] is true for a dark module
+ */
+export const encodeQr = (text) => {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  const versionIndex = VERSIONS.findIndex((spec, i) =>
+    4 + (i + 1 < 10 ? 8 : 16) + bytes.length * 8 <= dataCapacity(spec) * 8
+  );
+  if (versionIndex === -1) {
+    throw new Error(`Text is too long for a QR label (${bytes.length} bytes).`);
+  }
+
+  const version = versionIndex + 1;
+  const spec = VERSIONS[versionIndex];
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  // Timing patterns, then finders with their separators, then alignment patterns
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  });
+  const last = spec.align.length - 1;
+  spec.align.forEach((cy, i) => {
+    spec.align.forEach((cx, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  const drawFormat = (mask) => {
+    const data = (EC_LEVEL_M << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) setFunction(8, i, bitAt(bits, i));
+    setFunction(8, 7, bitAt(bits, 6));
+    setFunction(8, 8, bitAt(bits, 7));
+    setFunction(7, 8, bitAt(bits, 8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bitAt(bits, i));
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bitAt(bits, i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bitAt(bits, i));
+    setFunction(8, size - 8, true);
+  };
+
+  drawFormat(0);
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, bitAt(bits, i));
+      setFunction(b, a, bitAt(bits, i));
+    }
+  }
+
+  // Codewords zigzag up and down two-column strips from the bottom right, skipping the timing column
+  const codewords = buildCodewords(bytes, version);
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let step = 0; step < size; step++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - step : step;
+        if (!reserved[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = bitAt(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+          bitIndex++;
+        }
+      }
+    }
+  }
+
+  const applyMask = (mask) => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!reserved[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  };
+
+  let bestMask = 0;
+  let bestScore = Infinity;
+  MASKS.forEach((_, mask) => {
+    applyMask(mask);
+    drawFormat(mask);
+    const score = penalty(modules);
+    if (score < bestScore) {
+      bestMask = mask;
+      bestScore = score;
+    }
+    applyMask(mask);
+  });
+  applyMask(bestMask);
+  drawFormat(bestMask);
+
+  return { size, version, modules };
+};
+
+/**
+ * SVG path of a QR code's dark modules, one unit per module, for embedding in a larger drawing
+ * @param {{modules: boolean[][]}} qr - From encodeQr()
+ * @param {number} [offsetX]
+ * @param {number} [offsetY]
+ * @returns {string} Path data
+ */
+export const qrPath = (qr, offsetX = 0, offsetY = 0) => {
+  const parts = [];
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) parts.push(`M${x + offsetX} ${y + offsetY}h1v1h-1z`);
+    });
+  });
+  return parts.join('');
+};
+
+/**
+ * Draws a QR code on a canvas and returns it as a PNG data URL. Browser only.
+ * @param {{size: number, modules: boolean[][]}} qr - From encodeQr()
+ * @param {number} [scale] - Pixels per module
+ * @param {number} [quietZone] - Light modules around the code; scanners need at least 4
+ * @returns {string}
+ */
+export const qrToPngDataUrl = (qr, scale = 8, quietZone = 4) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = (qr.size + quietZone * 2) * scale;
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = '#000000';
+  qr.modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) context.fillRect((x + quietZone) * scale, (y + quietZone) * scale, scale, scale);
+    });
+  });
+  return canvas.toDataURL('image/png');
+};
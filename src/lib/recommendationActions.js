@@ -0,0 +1,299 @@
+// Action items: DSS recommendations an admin assigns to a farmer, and whether
+// the metric each one targets improved in the harvests that came after.
+import { supabase } from './supabaseClient';
+import { summarizeHarvests } from './harvestMetrics';
+import { getCropSeason } from './ledgerService';
+import { notify } from './notifications';
+
+export const ACTION_STATUSES = {
+  assigned: { label: 'Assigned' },
+  in_progress: { label: 'In progress' },
+  done: { label: 'Done' },
+  dismissed: { label: 'Dismissed' }
+};
+
+// Statuses a farmer can move an item to; dismissing is left to admins
+export const FARMER_STATUSES = ['assigned', 'in_progress', 'done'];
+
+// Changes smaller than this share of the baseline count as no change
+const MIN_CHANGE_SHARE = 0.05;
+
+const yieldPerTree = ({ harvests, totalTrees }) => {
+  if (harvests.length === 0 || totalTrees === 0) return null;
+  return summarizeHarvests(harvests).dryKg / totalTrees;
+};
+
+const premiumPercentage = ({ harvests }) => {
+  const totals = summarizeHarvests(harvests);
+  return totals.dryKg > 0 ? (totals.gradeKg.premium / totals.dryKg) * 100 : null;
+};
+
+// basis says which harvests a value is measured on: 'season' compares whole
+// crop seasons, 'harvests' compares every harvest before and after the item was
+// assigned, 'farm' compares the farm as it is now with the baseline
+export const ACTION_METRICS = {
+  yield_per_tree: { label: 'Yield per tree', unit: 'kg', digits: 2, basis: 'season', measure: yieldPerTree },
+  premium_percentage: { label: 'Premium grade', unit: '%', digits: 1, basis: 'harvests', measure: premiumPercentage },
+  tree_density: {
+    label: 'Tree density',
+    unit: 'trees/ha',
+    digits: 0,
+    basis: 'farm',
+    measure: ({ totalTrees, farmSize }) => (farmSize > 0 ? totalTrees / farmSize : null)
+  },
+  harvests_per_season: {
+    label: 'Harvests per season',
+    unit: '',
+    digits: 0,
+    basis: 'season',
+    measure: ({ harvests }) => (harvests.length > 0 ? harvests.length : null)
+  }
+};
+
+export const OUTCOMES = {
+  improved: { label: 'Improved' },
+  no_change: { label: 'No clear change' },
+  worse: { label: 'Worse' },
+  awaiting_data: { label: 'Waiting for harvests' },
+  not_measured: { label: 'Not measured' }
+};
+
+/**
+ * Formats a metric value with its unit
+ * @param {string} metric - ACTION_METRICS key
+ * @param {number|null} value
+ * @returns {string}
+ */
+export const formatMetric = (metric, value) => {
+  const definition = ACTION_METRICS[metric];
+  if (!definition || value === null || value === undefined) return '-';
+  const number = Number(value).toFixed(definition.digits);
+  return definition.unit ? `${number} ${definition.unit}` : number;
+};
+
+const toDateString = (date) => new Date(date).toISOString().split('T')[0];
+
+// Harvests of the latest crop season that has any, optionally only seasons after a given one
+const latestSeason = (harvests, after = null) => {
+  const seasons = [...new Set(harvests.map(h => getCropSeason(h.harvest_date)))]
+    .filter(season => !after || season > after)
+    .sort();
+  const season = seasons.pop();
+  return season ? { season, harvests: harvests.filter(h => getCropSeason(h.harvest_date) === season) } : null;
+};
+
+/**
+ * A metric's value for a farm from the harvests before a date, as stored when an item is assigned
+ * @param {string} metric - ACTION_METRICS key
+ * @param {Object} farm
+ * @param {Array} farm.harvests - harvest_data rows
+ * @param {number} farm.totalTrees
+ * @param {number} [farm.farmSize] - Hectares
+ * @param {string} [before] - YYYY-MM-DD, defaults to today
+ * @returns {number|null}
+ */
+export const measureBaseline = (metric, { harvests, totalTrees, farmSize }, before = toDateString(new Date())) => {
+  const definition = ACTION_METRICS[metric];
+  if (!definition) return null;
+  const earlier = harvests.filter(h => h.harvest_date < before);
+
+  if (definition.basis === 'season') {
+    const latest = latestSeason(earlier);
+    return latest ? definition.measure({ harvests: latest.harvests, totalTrees, farmSize }) : null;
+  }
+  if (definition.basis === 'harvests') {
+    return definition.measure({ harvests: earlier, totalTrees, farmSize });
+  }
+  return definition.measure({ harvests, totalTrees, farmSize });
+};
+
+/**
+ * Whether the metric an action item targets improved after it was assigned
+ * @param {Object} item - recommendation_actions row
+ * @param {Object} farm - harvests, totalTrees and farmSize, as for measureBaseline
+ * @returns {{outcome: string, baseline: number|null, current: number|null, change: number|null, measuredOn: string|null}}
+ *   outcome is an OUTCOMES key; measuredOn describes the harvests the current value comes from
+ */
+export const measureOutcome = (item, { harvests, totalTrees, farmSize }) => {
+  const definition = ACTION_METRICS[item.metric];
+  const baseline = item.baseline_value === null || item.baseline_value === undefined ? null : Number(item.baseline_value);
+  const result = { outcome: 'not_measured', baseline, current: null, change: null, measuredOn: null };
+  if (!definition || baseline === null) return result;
+
+  const later = harvests.filter(h => h.harvest_date >= item.assigned_on);
+  let current = null;
+  if (definition.basis === 'season') {
+    // Only a season after the one the baseline came from is a fair comparison
+    const baselineSeason = latestSeason(harvests.filter(h => h.harvest_date < item.assigned_on));
+    const season = latestSeason(later, baselineSeason?.season);
+    if (season) {
+      current = definition.measure({ harvests: season.harvests, totalTrees, farmSize });
+      result.measuredOn = `${season.season} season`;
+    }
+  } else if (definition.basis === 'harvests') {
+    current = definition.measure({ harvests: later, totalTrees, farmSize });
+    if (later.length > 0) result.measuredOn = `${later.length} harvest${later.length === 1 ? '' : 's'} since ${item.assigned_on}`;
+  } else {
+    current = definition.measure({ harvests, totalTrees, farmSize });
+    result.measuredOn = 'current farm records';
+  }
+
+  if (current === null) return { ...result, outcome: 'awaiting_data' };
+
+  const change = current - baseline;
+  const threshold = Math.abs(baseline) * MIN_CHANGE_SHARE;
+  const outcome = change > threshold ? 'improved' : change < -threshold ? 'worse' : 'no_change';
+  return { ...result, outcome, current, change };
+};
+
+// Harvests, tree counts and farm sizes for the farmers whose items are being measured
+const fetchFarmRecords = async (farmerIds) => {
+  if (farmerIds.length === 0) return {};
+  const [harvestResult, plantResult, detailResult] = await Promise.all([
+    supabase.from('harvest_data').select('*').in('farmer_id', farmerIds),
+    supabase.from('plant_data').select('farmer_id, number_of_tree_planted').in('farmer_id', farmerIds),
+    supabase.from('farmer_detail').select('id, farm_size').in('id', farmerIds)
+  ]);
+  if (harvestResult.error) throw harvestResult.error;
+  if (plantResult.error) throw plantResult.error;
+  if (detailResult.error) throw detailResult.error;
+
+  return Object.fromEntries(farmerIds.map(id => [id, {
+    harvests: (harvestResult.data || []).filter(h => h.farmer_id === id && h.harvest_date),
+    totalTrees: (plantResult.data || [])
+      .filter(p => p.farmer_id === id)
+      .reduce((sum, p) => sum + (p.number_of_tree_planted || 0), 0),
+    farmSize: (detailResult.data || []).find(d => d.id === id)?.farm_size ?? null
+  }]));
+};
+
+/**
+ * Fetches action items with the outcome of each, open items first by due date
+ * @param {Object} [filters]
+ * @param {string} [filters.farmerId] - One farmer's items; all farmers when left out
+ * @returns {Promise<Array<Object>>} recommendation_actions rows, each with an outcome from measureOutcome()
+ */
+export const fetchActionItems = async ({ farmerId } = {}) => {
+  try {
+    let query = supabase
+      .from('recommendation_actions')
+      .select('*')
+      .order('due_date', { ascending: true, nullsFirst: false })
+      .order('created_at', { ascending: false });
+    if (farmerId) query = query.eq('farmer_id', farmerId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const items = data || [];
+    const records = await fetchFarmRecords([...new Set(items.map(item => item.farmer_id))]);
+    const open = (item) => item.status === 'assigned' || item.status === 'in_progress';
+    return items
+      .map(item => ({ ...item, outcome: measureOutcome(item, records[item.farmer_id]) }))
+      .sort((a, b) => Number(open(b)) - Number(open(a)));
+  } catch (error) {
+    console.error('Error fetching action items:', error);
+    throw error;
+  }
+};
+
+/**
+ * Assigns a recommendation to a farmer as an action item and lets them know
+ * @param {string} farmerId
+ * @param {Object} recommendation - From generateFarmRecommendations()
+ * @param {{dueDate?: string, notes?: string}} details
+ * @param {string} assignedBy - Admin user id
+ * @returns {Promise<Object>} The saved row
+ */
+export const assignActionItem = async (farmerId, recommendation, { dueDate, notes }, assignedBy) => {
+  const today = toDateString(new Date());
+  if (dueDate && dueDate < today) {
+    throw new Error('The due date cannot be in the past.');
+  }
+
+  const records = await fetchFarmRecords([farmerId]);
+  const baseline = recommendation.metric ? measureBaseline(recommendation.metric, records[farmerId], today) : null;
+
+  const { data, error } = await supabase
+    .from('recommendation_actions')
+    .insert({
+      farmer_id: farmerId,
+      assigned_by: assignedBy,
+      priority: recommendation.type,
+      category: recommendation.category,
+      issue: recommendation.issue,
+      action: recommendation.action,
+      impact: recommendation.impact,
+      metric: recommendation.metric || null,
+      baseline_value: baseline,
+      assigned_on: today,
+      due_date: dueDate || null,
+      admin_notes: notes || null
+    })
+    .select()
+    .single();
+  if (error) throw error;
+
+  // The item is saved either way; a missed notification is only logged
+  notify(farmerId, {
+    kind: 'action',
+    title: `New action item: ${recommendation.action}`,
+    body: `${recommendation.issue}.${dueDate ? ` Due ${dueDate}.` : ''}${notes ? ` ${notes}` : ''}`,
+    link: '/farmer-dashboard',
+    data: { action_id: data.action_id },
+    dedupeKey: `action:${data.action_id}`
+  }).catch(notifyError => console.error('Error notifying farmer of action item:', notifyError));
+
+  return data;
+};
+
+/**
+ * Updates an action item. Farmers can change status and farmer_notes; admins
+ * can also change the due date and their notes, or dismiss it.
+ * @param {string} actionId
+ * @param {Object} changes - Any of status, farmer_notes, due_date, admin_notes
+ * @returns {Promise<Object>} The saved row
+ */
+export const updateActionItem = async (actionId, changes) => {
+  if (changes.status && !ACTION_STATUSES[changes.status]) {
+    throw new Error(`Unknown status: ${changes.status}`);
+  }
+
+  const { data, error } = await supabase
+    .from('recommendation_actions')
+    .update(changes)
+    .eq('action_id', actionId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * @param {string} actionId
+ */
+export const deleteActionItem = async (actionId) => {
+  const { error } = await supabase
+    .from('recommendation_actions')
+    .delete()
+    .eq('action_id', actionId);
+
+  if (error) throw error;
+};
+
+/**
+ * One line on how an item's metric moved, for lists
+ * @param {Object} item - Row from fetchActionItems()
+ * @returns {string}
+ */
+export const describeOutcome = (item) => {
+  const { outcome, baseline, current, measuredOn } = item.outcome;
+  const label = ACTION_METRICS[item.metric]?.label;
+  if (!label) return 'This item has no metric to measure.';
+  if (outcome === 'not_measured') return `There were no harvest records to measure ${label.toLowerCase()} against when it was assigned.`;
+  if (outcome === 'awaiting_data') {
+    return `${label} was ${formatMetric(item.metric, baseline)} when assigned. Waiting for later harvests to compare.`;
+  }
+  return `${label}: ${formatMetric(item.metric, baseline)} when assigned, ${formatMetric(item.metric, current)} from ${measuredOn}.`;
+};
@@ -0,0 +1,53 @@
+// CSV layouts: one row per harvest for a farmer, one row per farmer for the cooperative
+import Papa from 'papaparse';
+import { GRADE_FIELDS } from '../harvestMetrics';
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+// Names, locations and varieties are typed in by farmers; a leading = + - or @
+// must not run as a formula when the export is opened in a spreadsheet
+const UNPARSE_OPTIONS = { escapeFormulae: true };
+
+/**
+ * @param {Object} report - From buildFarmerReport()
+ * @returns {string} CSV text
+ */
+export const createFarmerReportCsv = (report) => {
+  return Papa.unparse(report.harvests.map(h => ({
+    farmer: report.farmer.name,
+    location: report.farmer.location || '',
+    harvest_date: String(h.harvest_date).slice(0, 10),
+    coffee_variety: h.coffee_variety,
+    raw_kg: round2(h.coffee_raw_quantity),
+    dry_kg: round2(h.coffee_dry_quantity),
+    ...Object.fromEntries(GRADE_FIELDS.map(g => [`${g.key}_kg`, round2(h[g.field])]))
+  })), {
+    ...UNPARSE_OPTIONS,
+    columns: ['farmer', 'location', 'harvest_date', 'coffee_variety', 'raw_kg', 'dry_kg', ...GRADE_FIELDS.map(g => `${g.key}_kg`)]
+  });
+};
+
+/**
+ * @param {Object} report - From buildCooperativeReport()
+ * @returns {string} CSV text
+ */
+export const createCooperativeReportCsv = (report) => {
+  return Papa.unparse(report.farmers.map(f => ({
+    farmer: f.name,
+    location: f.farm_location || '',
+    farm_size_ha: f.farm_size ?? '',
+    elevation_m: f.farm_elevation ?? '',
+    trees: f.total_trees,
+    harvests: f.harvestCount,
+    raw_kg: round2(f.totalRawYield),
+    dry_kg: round2(f.totalDryYield),
+    premium_kg: round2(f.premiumGrade),
+    fine_kg: round2(f.fineGrade),
+    commercial_kg: round2(f.commercialGrade),
+    last_harvest: f.lastHarvestDate ? f.lastHarvestDate.toISOString().slice(0, 10) : ''
+  })), {
+    ...UNPARSE_OPTIONS,
+    columns: ['farmer', 'location', 'farm_size_ha', 'elevation_m', 'trees', 'harvests', 'raw_kg', 'dry_kg',
+      'premium_kg', 'fine_kg', 'commercial_kg', 'last_harvest']
+  });
+};
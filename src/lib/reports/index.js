@@ -0,0 +1,63 @@
+// Report exports: everything is fetched, laid out and saved in the browser
+import { fetchFarmerData, buildFarmerReport, fetchCooperativeData, buildCooperativeReport } from './reportData';
+import { createFarmerReportPdf, createCooperativeReportPdf } from './pdfReport';
+import { createFarmerReportCsv, createCooperativeReportCsv } from './csvReport';
+
+const slug = (text) => (text || 'report').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const fileSuffix = ({ from, to } = {}) => (from || to ? `_${from || 'start'}_${to || 'today'}` : '');
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+const save = (format, filename, createPdf, createCsv, report) => {
+  if (format === 'pdf') {
+    createPdf(report).save(`${filename}.pdf`);
+  } else if (format === 'csv') {
+    downloadBlob(new Blob([createCsv(report)], { type: 'text/csv;charset=utf-8' }), `${filename}.csv`);
+  } else {
+    throw new Error(`Unknown report format: ${format}`);
+  }
+};
+
+/**
+ * Downloads one farmer's season report
+ * @param {string} farmerId - farmer_detail id
+ * @param {'pdf'|'csv'} format
+ * @param {{from?: string, to?: string}} [filters] - Harvest date range
+ */
+export const exportFarmerReport = async (farmerId, format, filters = {}) => {
+  const report = buildFarmerReport(await fetchFarmerData(farmerId), filters);
+  save(format, `farm-report_${slug(report.farmer.name)}${fileSuffix(filters)}`,
+    createFarmerReportPdf, createFarmerReportCsv, report);
+};
+
+/**
+ * Downloads the cooperative-wide summary
+ * @param {'pdf'|'csv'} format
+ * @param {{from?: string, to?: string, location?: string}} [filters]
+ */
+export const exportCooperativeReport = async (format, filters = {}) => {
+  const report = buildCooperativeReport(await fetchCooperativeData(), filters);
+  const location = filters.location ? `_${slug(filters.location)}` : '';
+  save(format, `cooperative-report${location}${fileSuffix(filters)}`,
+    createCooperativeReportPdf, createCooperativeReportCsv, report);
+};
+
+export {
+  filterHarvestsByDate,
+  matchesLocation,
+  EMPTY_FARMER_FILTERS,
+  filterFarmers,
+  describeFilters,
+  summarizeFarmers,
+  fetchCooperativeData
+} from './reportData';
@@ -0,0 +1,198 @@
+// PDF layouts for the farmer season report and the cooperative summary
+import { jsPDF } from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import { GRADE_FIELDS } from '../harvestMetrics';
+import { describeFilters } from './reportData';
+import { renderGradeChart, renderYieldChart, renderTopFarmersChart } from './reportCharts';
+
+const MARGIN = 14;
+const HEAD_STYLE = { fillColor: [22, 101, 52] };
+
+const kg = (value) => `${(value || 0).toFixed(2)} kg`;
+
+// Title block shared by both reports; returns the y position below it
+const drawHeader = (doc, title, subtitle, report) => {
+  doc.setFontSize(18);
+  doc.text(title, MARGIN, 20);
+  doc.setFontSize(11);
+  doc.setTextColor(90);
+  doc.text(subtitle, MARGIN, 28);
+  doc.text(`Period: ${describeFilters(report.filters)}`, MARGIN, 34);
+  doc.text(`Generated: ${report.generatedAt.toLocaleString()}`, MARGIN, 40);
+  doc.setTextColor(0);
+  return 48;
+};
+
+const drawSectionTitle = (doc, text, y) => {
+  const pageHeight = doc.internal.pageSize.getHeight();
+  if (y > pageHeight - 40) {
+    doc.addPage();
+    y = 20;
+  }
+  doc.setFontSize(13);
+  doc.text(text, MARGIN, y);
+  return y + 4;
+};
+
+// Places an image, starting a new page when it would not fit
+const drawImage = (doc, image, y, width, height) => {
+  const pageHeight = doc.internal.pageSize.getHeight();
+  if (y + height > pageHeight - MARGIN) {
+    doc.addPage();
+    y = 20;
+  }
+  doc.addImage(image, 'PNG', MARGIN, y, width, height);
+  return y + height + 8;
+};
+
+const gradeRows = (totals) => GRADE_FIELDS.map(({ key, label }) => [
+  label,
+  kg(totals.gradeKg[key]),
+  `${totals.gradePercent[key].toFixed(1)}%`
+]);
+
+/**
+ * Lays out a farmer's season report
+ * @param {Object} report - From buildFarmerReport()
+ * @returns {jsPDF}
+ */
+export const createFarmerReportPdf = (report) => {
+  const doc = new jsPDF();
+  const pageWidth = doc.internal.pageSize.getWidth() - MARGIN * 2;
+  let y = drawHeader(doc, 'Farm Season Report', report.farmer.name, report);
+
+  y = drawSectionTitle(doc, 'Farm Details', y);
+  autoTable(doc, {
+    startY: y,
+    theme: 'plain',
+    body: [
+      ['Location', report.farmer.location || 'N/A'],
+      ['Farm Size', report.farmer.size ? `${report.farmer.size} ha` : 'N/A'],
+      ['Elevation', report.farmer.elevation ? `${report.farmer.elevation} m` : 'N/A'],
+      ['Trees Planted', String(report.totalTrees)],
+      ['Harvests in Period', String(report.totals.harvestCount)],
+      ['Raw Yield', kg(report.totals.rawKg)],
+      ['Dry Yield', kg(report.totals.dryKg)]
+    ],
+    columnStyles: { 0: { fontStyle: 'bold', cellWidth: 50 } }
+  });
+  y = doc.lastAutoTable.finalY + 10;
+
+  y = drawSectionTitle(doc, 'Plants', y);
+  autoTable(doc, {
+    startY: y,
+    headStyles: HEAD_STYLE,
+    head: [['Variety', 'Planted', 'Trees', 'Status', 'Soil pH', 'Moisture']],
+    body: report.plants.map(p => [
+      p.coffee_variety || 'Unknown',
+      p.planting_date ? new Date(p.planting_date).toLocaleDateString() : 'N/A',
+      p.number_of_tree_planted || 0,
+      p.latestStatus?.status || 'No record',
+      p.latestStatus?.soil_ph ?? '-',
+      p.latestStatus?.moisture_level || '-'
+    ])
+  });
+  y = doc.lastAutoTable.finalY + 10;
+
+  y = drawSectionTitle(doc, 'Harvests', y);
+  autoTable(doc, {
+    startY: y,
+    headStyles: HEAD_STYLE,
+    head: [['Date', 'Variety', 'Raw', 'Dry', ...GRADE_FIELDS.map(g => g.label)]],
+    body: report.harvests.map(h => [
+      new Date(h.harvest_date).toLocaleDateString(),
+      h.coffee_variety,
+      kg(h.coffee_raw_quantity),
+      kg(h.coffee_dry_quantity),
+      ...GRADE_FIELDS.map(g => kg(h[g.field]))
+    ])
+  });
+  y = doc.lastAutoTable.finalY + 10;
+
+  y = drawSectionTitle(doc, 'Grade Distribution', y);
+  autoTable(doc, {
+    startY: y,
+    headStyles: HEAD_STYLE,
+    head: [['Grade', 'Dry Weight', 'Share']],
+    body: gradeRows(report.totals)
+  });
+  y = doc.lastAutoTable.finalY + 6;
+
+  if (report.harvests.length > 0) {
+    y = drawImage(doc, renderGradeChart(report.totals), y, pageWidth * 0.7, pageWidth * 0.35);
+    y = drawImage(doc, renderYieldChart(report.harvests), y, pageWidth, pageWidth / 2);
+  }
+
+  y = drawSectionTitle(doc, 'Recommendations', y);
+  autoTable(doc, {
+    startY: y,
+    headStyles: HEAD_STYLE,
+    head: [['Priority', 'Area', 'Issue', 'Action', 'Expected Impact']],
+    body: report.recommendations.length > 0
+      ? report.recommendations.map(r => [r.type, r.category, r.issue, r.action, r.impact])
+      : [['-', '-', 'No issues found', '-', '-']]
+  });
+
+  return doc;
+};
+
+/**
+ * Lays out the cooperative-wide summary
+ * @param {Object} report - From buildCooperativeReport()
+ * @returns {jsPDF}
+ */
+export const createCooperativeReportPdf = (report) => {
+  const doc = new jsPDF();
+  const pageWidth = doc.internal.pageSize.getWidth() - MARGIN * 2;
+  let y = drawHeader(doc, 'Cooperative Summary Report', `${report.farmers.length} farmers`, report);
+
+  y = drawSectionTitle(doc, 'Totals', y);
+  autoTable(doc, {
+    startY: y,
+    theme: 'plain',
+    body: [
+      ['Farmers', String(report.farmers.length)],
+      ['Trees Planted', String(report.totalTrees)],
+      ['Harvests', String(report.totals.harvestCount)],
+      ['Raw Yield', kg(report.totals.rawKg)],
+      ['Dry Yield', kg(report.totals.dryKg)]
+    ],
+    columnStyles: { 0: { fontStyle: 'bold', cellWidth: 50 } }
+  });
+  y = doc.lastAutoTable.finalY + 10;
+
+  y = drawSectionTitle(doc, 'Grade Distribution', y);
+  autoTable(doc, {
+    startY: y,
+    headStyles: HEAD_STYLE,
+    head: [['Grade', 'Dry Weight', 'Share']],
+    body: gradeRows(report.totals)
+  });
+  y = doc.lastAutoTable.finalY + 6;
+
+  if (report.totals.harvestCount > 0) {
+    y = drawImage(doc, renderGradeChart(report.totals), y, pageWidth * 0.7, pageWidth * 0.35);
+    y = drawImage(doc, renderTopFarmersChart(report.farmers), y, pageWidth, pageWidth / 2);
+  }
+
+  y = drawSectionTitle(doc, 'Farmers', y);
+  autoTable(doc, {
+    startY: y,
+    headStyles: HEAD_STYLE,
+    head: [['Farmer', 'Location', 'Trees', 'Raw', 'Dry', 'Premium', 'Fine', 'Commercial', 'Last Harvest']],
+    body: report.farmers.map(f => [
+      f.name,
+      f.farm_location || 'N/A',
+      f.total_trees,
+      kg(f.totalRawYield),
+      kg(f.totalDryYield),
+      kg(f.premiumGrade),
+      kg(f.fineGrade),
+      kg(f.commercialGrade),
+      f.lastHarvest
+    ]),
+    styles: { fontSize: 8 }
+  });
+
+  return doc;
+};
@@ -0,0 +1,112 @@
+// Renders report charts off-screen so they can be embedded in a PDF as images
+import {
+  Chart as ChartJS,
+  BarController,
+  PieController,
+  BarElement,
+  ArcElement,
+  CategoryScale,
+  LinearScale,
+  Title,
+  Legend
+} from 'chart.js';
+import { GRADE_FIELDS } from '../harvestMetrics';
+
+ChartJS.register(BarController, PieController, BarElement, ArcElement, CategoryScale, LinearScale, Title, Legend);
+
+const GRADE_COLORS = ['rgba(34, 197, 94, 0.8)', 'rgba(59, 130, 246, 0.8)', 'rgba(234, 179, 8, 0.8)'];
+
+// Paints a white background; a transparent PNG shows up black in some PDF viewers
+const whiteBackground = {
+  id: 'whiteBackground',
+  beforeDraw: (chart) => {
+    const { ctx, width, height } = chart;
+    ctx.save();
+    ctx.globalCompositeOperation = 'destination-over';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.restore();
+  }
+};
+
+/**
+ * Draws a chart on a detached canvas and returns it as a PNG
+ * @param {Object} config - Chart.js config (type, data, options)
+ * @param {number} [width]
+ * @param {number} [height]
+ * @returns {string} PNG data URL
+ */
+export const renderChartImage = (config, width = 800, height = 400) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  const chart = new ChartJS(canvas.getContext('2d'), {
+    ...config,
+    options: { ...config.options, responsive: false, animation: false, devicePixelRatio: 1 },
+    plugins: [whiteBackground]
+  });
+  const image = canvas.toDataURL('image/png');
+  chart.destroy();
+  return image;
+};
+
+/**
+ * Pie chart of dry kilograms per grade
+ * @param {{gradeKg: Object<string, number>}} totals - From summarizeHarvests()
+ * @returns {string} PNG data URL
+ */
+export const renderGradeChart = (totals) => renderChartImage({
+  type: 'pie',
+  data: {
+    labels: GRADE_FIELDS.map(g => g.label),
+    datasets: [{ data: GRADE_FIELDS.map(g => totals.gradeKg[g.key]), backgroundColor: GRADE_COLORS }]
+  },
+  options: {
+    plugins: {
+      title: { display: true, text: 'Grade Distribution (kg dry)' },
+      legend: { position: 'right' }
+    }
+  }
+}, 600, 300);
+
+/**
+ * Bar chart of raw and dry yield per harvest date
+ * @param {Array} harvests - Normalised harvest_data rows, oldest first
+ * @returns {string} PNG data URL
+ */
+export const renderYieldChart = (harvests) => renderChartImage({
+  type: 'bar',
+  data: {
+    labels: harvests.map(h => new Date(h.harvest_date).toLocaleDateString()),
+    datasets: [
+      { label: 'Raw (kg)', data: harvests.map(h => h.coffee_raw_quantity), backgroundColor: 'rgba(75, 192, 192, 0.8)' },
+      { label: 'Dry (kg)', data: harvests.map(h => h.coffee_dry_quantity), backgroundColor: 'rgba(153, 102, 255, 0.8)' }
+    ]
+  },
+  options: {
+    plugins: { title: { display: true, text: 'Yield per Harvest' } },
+    scales: { y: { beginAtZero: true } }
+  }
+});
+
+/**
+ * Bar chart of the farmers with the highest dry yield
+ * @param {Array} farmers - From summarizeFarmers(), sorted by dry yield
+ * @param {number} [limit]
+ * @returns {string} PNG data URL
+ */
+export const renderTopFarmersChart = (farmers, limit = 10) => {
+  const top = farmers.slice(0, limit);
+  return renderChartImage({
+    type: 'bar',
+    data: {
+      labels: top.map(f => f.name),
+      datasets: [{ label: 'Dry Yield (kg)', data: top.map(f => f.totalDryYield), backgroundColor: 'rgba(59, 130, 246, 0.8)' }]
+    },
+    options: {
+      plugins: { title: { display: true, text: `Top ${top.length} Farmers by Dry Yield` } },
+      scales: { y: { beginAtZero: true } }
+    }
+  });
+};
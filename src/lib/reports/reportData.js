@@ -0,0 +1,238 @@
+// Report data: fetches and shapes what the farmer and cooperative reports contain
+import { supabase } from '../supabaseClient';
+import { summarizeHarvests, normalizeHarvest } from '../harvestMetrics';
+import { fetchStatusHistory, groupSeriesByPlant } from '../plantStatusService';
+import { generateFarmRecommendations } from '../farmRecommendations';
+import { getDssRules } from '../dssRules';
+import { predominantVariety } from '../coffeeVarieties';
+
+const toDay = (date) => (date ? String(date).slice(0, 10) : '');
+
+/**
+ * Keeps harvests whose date falls in the range; either end may be left open
+ * @param {Array} harvests - harvest_data rows
+ * @param {{from?: string, to?: string}} [range] - ISO dates (YYYY-MM-DD), inclusive
+ * @returns {Array}
+ */
+export const filterHarvestsByDate = (harvests, { from, to } = {}) => {
+  return harvests.filter(h => {
+    const day = toDay(h.harvest_date);
+    return (!from || day >= from) && (!to || day <= to);
+  });
+};
+
+/**
+ * Whether a farm location matches a location filter (case-insensitive substring)
+ * @param {string} farmLocation
+ * @param {string} [location]
+ * @returns {boolean}
+ */
+export const matchesLocation = (farmLocation, location) => {
+  if (!location) return true;
+  return (farmLocation || '').toLowerCase().includes(location.toLowerCase());
+};
+
+// Farmer filters shared by FarmerReports and the farm map
+export const EMPTY_FARMER_FILTERS = { name: '', location: '', minYield: '', minTrees: '', from: '', to: '' };
+
+/**
+ * Applies the farmer filters to per-farmer summaries
+ * @param {Array<Object>} farmers - From summarizeFarmers
+ * @param {{name?: string, location?: string, minYield?: string, minTrees?: string}} filters -
+ *   Empty values are ignored; the harvest date range is applied before summarizing
+ * @returns {Array<Object>}
+ */
+export const filterFarmers = (farmers, { name, location, minYield, minTrees } = {}) => {
+  return farmers.filter(farmer =>
+    (!name || farmer.name.toLowerCase().includes(name.toLowerCase()))
+    && matchesLocation(farmer.farm_location, location)
+    && (!minYield || farmer.totalDryYield >= parseFloat(minYield))
+    && (!minTrees || farmer.total_trees >= parseInt(minTrees))
+  );
+};
+
+/**
+ * Describes the active filters for report headers and file names
+ * @param {{from?: string, to?: string, location?: string}} filters
+ * @returns {string}
+ */
+export const describeFilters = ({ from, to, location } = {}) => {
+  const period = from || to ? `${from || 'start'} to ${to || 'today'}` : 'All dates';
+  return location ? `${period}, ${location}` : period;
+};
+
+/**
+ * Per-farmer totals used by FarmerReports and the cooperative report
+ * @param {Object} data
+ * @param {Array} data.users - users rows (id, first_name, last_name)
+ * @param {Array} data.farmerDetails - farmer_detail rows
+ * @param {Array} data.plants - plant_data rows
+ * @param {Array} data.harvests - harvest_data rows, already filtered by date
+ * @returns {Array<Object>} One summary per farmer
+ */
+export const summarizeFarmers = ({ users, farmerDetails, plants, harvests }) => {
+  return farmerDetails.map(farmer => {
+    const user = users.find(u => u.id === farmer.id);
+    const totalTrees = plants
+      .filter(p => p.farmer_id === farmer.id)
+      .reduce((sum, plant) => sum + (plant.number_of_tree_planted || 0), 0);
+
+    const farmerHarvests = harvests.filter(h => h.farmer_id === farmer.id);
+    const totals = summarizeHarvests(farmerHarvests);
+    const lastHarvestDate = farmerHarvests.length > 0
+      ? new Date(Math.max(...farmerHarvests.map(h => new Date(h.harvest_date))))
+      : null;
+
+    return {
+      id: farmer.id,
+      name: user ? `${user.first_name || ''} ${user.last_name || ''}`.trim() : 'Unnamed Farmer',
+      farm_location: farmer.farm_location,
+      farm_size: farmer.farm_size,
+      farm_elevation: farmer.farm_elevation,
+      farm_latitude: farmer.farm_latitude ?? null,
+      farm_longitude: farmer.farm_longitude ?? null,
+      total_trees: totalTrees,
+      totalRawYield: totals.rawKg,
+      totalDryYield: totals.dryKg,
+      avgYieldPerTree: totalTrees > 0 ? totals.dryKg / totalTrees : 0,
+      premiumGrade: totals.gradeKg.premium,
+      fineGrade: totals.gradeKg.fine,
+      commercialGrade: totals.gradeKg.commercial,
+      lastHarvestDate,
+      lastHarvest: lastHarvestDate ? lastHarvestDate.toLocaleDateString() : 'N/A',
+      harvestCount: farmerHarvests.length
+    };
+  });
+};
+
+/**
+ * Fetches everything the cooperative views need, for all farmers
+ * @returns {Promise<{users: Array, farmerDetails: Array, plants: Array, harvests: Array}>}
+ */
+export const fetchCooperativeData = async () => {
+  try {
+    const [usersResult, detailsResult, plantsResult, harvestsResult] = await Promise.all([
+      supabase.from('users').select('id, first_name, last_name'),
+      supabase.from('farmer_detail').select('farmers_details, id, farm_location, farm_size, farm_elevation, farm_latitude, farm_longitude, plant_id'),
+      supabase.from('plant_data').select('plant_id, farmer_id, number_of_tree_planted'),
+      supabase.from('harvest_data').select('*')
+    ]);
+
+    const failed = [usersResult, detailsResult, plantsResult, harvestsResult].find(r => r.error);
+    if (failed) throw failed.error;
+
+    return {
+      users: usersResult.data || [],
+      farmerDetails: detailsResult.data || [],
+      plants: plantsResult.data || [],
+      harvests: harvestsResult.data || []
+    };
+  } catch (error) {
+    console.error('Error fetching cooperative data:', error);
+    throw error;
+  }
+};
+
+/**
+ * Builds the cooperative-wide summary
+ * @param {Object} data - From fetchCooperativeData()
+ * @param {{from?: string, to?: string, location?: string}} [filters]
+ * @returns {{filters: Object, generatedAt: Date, farmers: Array, totals: Object, totalTrees: number}}
+ */
+export const buildCooperativeReport = (data, filters = {}) => {
+  const farmerDetails = data.farmerDetails.filter(f => matchesLocation(f.farm_location, filters.location));
+  const farmerIds = new Set(farmerDetails.map(f => f.id));
+  const harvests = filterHarvestsByDate(data.harvests, filters).filter(h => farmerIds.has(h.farmer_id));
+
+  const farmers = summarizeFarmers({ ...data, farmerDetails, harvests })
+    .sort((a, b) => b.totalDryYield - a.totalDryYield);
+
+  return {
+    filters,
+    generatedAt: new Date(),
+    farmers,
+    totals: summarizeHarvests(harvests),
+    totalTrees: farmers.reduce((sum, f) => sum + f.total_trees, 0)
+  };
+};
+
+/**
+ * Fetches everything a single farmer's report needs
+ * @param {string} farmerId - farmer_detail id
+ * @returns {Promise<{user: Object, detail: Object|null, plants: Array, harvests: Array, statusesByPlant: Object, rules: Array}>}
+ */
+export const fetchFarmerData = async (farmerId) => {
+  try {
+    const [userResult, detailResult, plantsResult, harvestsResult] = await Promise.all([
+      supabase.from('users').select('id, first_name, last_name, email').eq('id', farmerId).single(),
+      // No farmer_detail row until the farmer declares their land; the report shows N/A
+      supabase.from('farmer_detail').select('*').eq('id', farmerId).maybeSingle(),
+      supabase.from('plant_data').select('*').eq('farmer_id', farmerId),
+      supabase.from('harvest_data').select('*').eq('farmer_id', farmerId).order('harvest_date', { ascending: true })
+    ]);
+
+    const failed = [userResult, detailResult, plantsResult, harvestsResult].find(r => r.error);
+    if (failed) throw failed.error;
+
+    const plants = plantsResult.data || [];
+    const [statuses, rules] = await Promise.all([
+      fetchStatusHistory(plants.map(p => p.plant_id)),
+      getDssRules()
+    ]);
+
+    return {
+      user: userResult.data,
+      detail: detailResult.data,
+      plants,
+      harvests: harvestsResult.data || [],
+      statusesByPlant: groupSeriesByPlant(statuses),
+      rules
+    };
+  } catch (error) {
+    console.error('Error fetching farmer report data:', error);
+    throw error;
+  }
+};
+
+/**
+ * Builds a single farmer's season report
+ * @param {Object} data - From fetchFarmerData()
+ * @param {{from?: string, to?: string}} [filters]
+ * @returns {Object} Farm details, plants with their latest status, harvests, totals and recommendations
+ */
+export const buildFarmerReport = (data, filters = {}) => {
+  const { user, detail, plants, statusesByPlant } = data;
+  const harvests = filterHarvestsByDate(data.harvests, filters).map(normalizeHarvest);
+  const totals = summarizeHarvests(harvests);
+  const totalTrees = plants.reduce((sum, p) => sum + (p.number_of_tree_planted || 0), 0);
+  const varietyByPlant = Object.fromEntries(plants.map(p => [p.plant_id, p.coffee_variety]));
+
+  return {
+    filters,
+    generatedAt: new Date(),
+    farmer: {
+      name: user ? `${user.first_name || ''} ${user.last_name || ''}`.trim() : 'Unnamed Farmer',
+      email: user?.email,
+      location: detail?.farm_location,
+      size: detail?.farm_size,
+      elevation: detail?.farm_elevation
+    },
+    plants: plants.map(p => {
+      const series = statusesByPlant[p.plant_id] || [];
+      return { ...p, latestStatus: series.length > 0 ? series[series.length - 1] : null };
+    }),
+    harvests: harvests.map(h => ({ ...h, coffee_variety: varietyByPlant[h.plant_id] || 'Unknown' })),
+    totals,
+    totalTrees,
+    recommendations: generateFarmRecommendations({
+      yieldPerTree: totalTrees > 0 ? totals.dryKg / totalTrees : 0,
+      premiumPercentage: totals.gradePercent.premium,
+      totalTrees,
+      farmSize: detail?.farm_size,
+      elevation: detail?.farm_elevation,
+      harvestCount: harvests.length,
+      totalDryYield: totals.dryKg,
+      variety: predominantVariety(plants)
+    }, data.rules)
+  };
+};
@@ -0,0 +1,161 @@
+// Revenue forecast: forecast yield x historical grade split x admin price table
+import { supabase } from './supabaseClient';
+import { SALE_GRADES } from './ledgerService';
+import { summarizeHarvests } from './harvestMetrics';
+
+export const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Band around a prediction that narrows as confidence grows
+ * @param {number} prediction - Predicted value
+ * @param {number} confidenceScore - 0 to 1
+ * @returns {{min: number, max: number}}
+ */
+export const calculateConfidenceInterval = (prediction, confidenceScore) => {
+  const margin = prediction * (1 - confidenceScore) * 0.2; // 20% margin based on confidence
+  return {
+    min: prediction - margin,
+    max: prediction + margin
+  };
+};
+
+/**
+ * Fetches the price table
+ * @returns {Promise<Array>} coffee_prices rows ordered by grade and month
+ */
+export const fetchPriceTable = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('coffee_prices')
+      .select('*')
+      .order('grade', { ascending: true })
+      .order('month', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching price table:', error);
+    throw error;
+  }
+};
+
+/**
+ * Saves prices, replacing any existing price for the same grade and month
+ * @param {Array<{grade: string, month: number, price_per_kg: number}>} prices
+ * @param {string} [updatedBy] - Admin user id
+ * @returns {Promise<Array>} The saved rows
+ */
+export const savePriceTable = async (prices, updatedBy) => {
+  const rows = prices.map(p => ({
+    grade: p.grade,
+    month: p.month,
+    price_per_kg: p.price_per_kg,
+    updated_by: updatedBy || null,
+    updated_at: new Date().toISOString()
+  }));
+
+  const { data, error } = await supabase
+    .from('coffee_prices')
+    .upsert(rows, { onConflict: 'grade,month' })
+    .select();
+
+  if (error) throw error;
+  return data || [];
+};
+
+/**
+ * Indexes price rows by grade and month. A month without a price falls back
+ * to the average of the months that have one for that grade.
+ * @param {Array} rows - coffee_prices rows
+ * @returns {Object<string, Array<number|null>>} grade -> 12 monthly prices (index 0 = January)
+ */
+export const buildPriceLookup = (rows) => {
+  return Object.fromEntries(SALE_GRADES.map(({ key }) => {
+    const monthly = Array(12).fill(null);
+    rows
+      .filter(r => r.grade === key && r.price_per_kg !== null && r.price_per_kg !== undefined)
+      .forEach(r => { monthly[r.month - 1] = parseFloat(r.price_per_kg); });
+
+    const known = monthly.filter(p => p !== null);
+    const fallback = known.length > 0 ? round2(known.reduce((a, b) => a + b, 0) / known.length) : null;
+    return [key, monthly.map(p => (p === null ? fallback : p))];
+  }));
+};
+
+/**
+ * Share of each grade in past harvests and how much of the raw weight ends up dry
+ * @param {Array} harvests - harvest_data rows
+ * @returns {{shares: Object<string, number>, dryRatio: number|null}|null} null without graded harvests
+ */
+export const getGradeSplit = (harvests) => {
+  const { rawKg, dryKg, gradeKg } = summarizeHarvests(harvests);
+  const graded = Object.values(gradeKg).reduce((a, b) => a + b, 0);
+  if (graded <= 0) return null;
+
+  return {
+    shares: Object.fromEntries(Object.entries(gradeKg).map(([key, kg]) => [key, kg / graded])),
+    dryRatio: rawKg > 0 && dryKg > 0 ? Math.min(1, dryKg / rawKg) : null
+  };
+};
+
+/**
+ * Picks the next calendar month in which the farmer has harvested before
+ * @param {Array} harvests - harvest_data rows
+ * @param {Date} [from] - Start looking from this date
+ * @returns {number} Month 1-12; the current month when there is no history
+ */
+export const getNextHarvestMonth = (harvests, from = new Date()) => {
+  const months = new Set(harvests.map(h => new Date(h.harvest_date).getMonth()).filter(m => !isNaN(m)));
+  for (let offset = 0; offset < 12; offset++) {
+    const month = (from.getMonth() + offset) % 12;
+    if (months.has(month)) return month + 1;
+  }
+  return from.getMonth() + 1;
+};
+
+/**
+ * Expected revenue for a yield forecast
+ * @param {Object} params
+ * @param {number} params.yieldKg - Forecast raw yield in kg
+ * @param {number} params.confidenceScore - Confidence of the yield forecast, 0 to 1
+ * @param {Array} params.harvests - Past harvest_data rows, for the grade split and dry ratio
+ * @param {Object} params.priceLookup - From buildPriceLookup()
+ * @param {number} params.month - Month the coffee is expected to be sold, 1-12
+ * @returns {{month: number, dryKg: number, byGrade: Array, expected: number, low: number, high: number,
+ *   missingPrices: string[]}|null} null when there is no yield or no graded harvest yet
+ */
+export const forecastRevenue = ({ yieldKg, confidenceScore, harvests, priceLookup, month }) => {
+  const split = getGradeSplit(harvests);
+  if (!split || !yieldKg || yieldKg <= 0) return null;
+
+  const dryKg = yieldKg * (split.dryRatio ?? 1);
+  const byGrade = SALE_GRADES.map(({ key, label }) => {
+    const kg = dryKg * split.shares[key];
+    const price = priceLookup[key]?.[month - 1] ?? null;
+    return {
+      grade: key,
+      label,
+      kg: round2(kg),
+      price,
+      revenue: price === null ? null : round2(kg * price)
+    };
+  });
+
+  const expected = byGrade.reduce((sum, g) => sum + (g.revenue || 0), 0);
+  const band = calculateConfidenceInterval(expected, confidenceScore);
+
+  return {
+    month,
+    dryKg: round2(dryKg),
+    byGrade,
+    expected: round2(expected),
+    low: round2(band.min),
+    high: round2(band.max),
+    missingPrices: byGrade.filter(g => g.price === null && g.kg > 0).map(g => g.label)
+  };
+};
@@ -0,0 +1,46 @@
+import { useEffect, useState } from 'react';
+import { useAuth } from './AuthProvider';
+import { useSyncQueue } from './offline/useSyncQueue';
+import { fetchOnboardingProgress, describeOnboarding, markOnboardingComplete } from './onboarding';
+
+/**
+ * Tracks the signed-in farmer's setup steps and marks setup finished once they are all done
+ * @param {any} [refreshKey] - Re-checks progress whenever it changes, e.g. after a save
+ * @returns {{required: boolean, onboarding: Object|null, justCompleted: boolean}}
+ *   required is false for admins and for farmers who finished setup
+ */
+export const useOnboarding = (refreshKey) => {
+  const { user, setUser } = useAuth();
+  const { entries: outbox } = useSyncQueue();
+  const [progress, setProgress] = useState(null);
+  const [justCompleted, setJustCompleted] = useState(false);
+
+  const userId = user?.id;
+  const required = user?.role === 'farmer' && !user.onboarding_completed_at;
+
+  useEffect(() => {
+    if (!required) return undefined;
+
+    let cancelled = false;
+    fetchOnboardingProgress(userId, outbox)
+      .then(result => { if (!cancelled) setProgress(result); })
+      .catch(() => { /* logged by the service; the checklist simply stays as it was */ });
+    return () => { cancelled = true; };
+  }, [required, userId, outbox, refreshKey]);
+
+  const onboarding = progress ? describeOnboarding(progress) : null;
+  const complete = Boolean(onboarding?.complete);
+
+  useEffect(() => {
+    if (!required || !complete) return;
+
+    markOnboardingComplete(userId)
+      .then(completedAt => {
+        setJustCompleted(true);
+        setUser(prev => ({ ...prev, onboarding_completed_at: completedAt }));
+      })
+      .catch(() => { /* retried on the next check */ });
+  }, [required, complete, userId, setUser]);
+
+  return { required, onboarding: required ? onboarding : null, justCompleted };
+};
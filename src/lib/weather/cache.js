@@ -0,0 +1,109 @@
+// Expiring cache for provider responses, so moving between pages does not
+// refetch the same weather. Entries live in localStorage to survive a reload;
+// the memory storage is used where localStorage is unavailable (tests, SSR).
+
+const PREFIX = 'coffeefarmer-weather:';
+const MAX_ENTRIES = 60;
+
+/**
+ * Storage with the localStorage interface that only lives in memory
+ * @returns {{getItem: Function, setItem: Function, removeItem: Function, key: Function, length: number}}
+ */
+export const createMemoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); },
+    removeItem: (key) => { items.delete(key); },
+    key: (index) => [...items.keys()][index] ?? null,
+    get length() { return items.size; }
+  };
+};
+
+const defaultStorage = () => {
+  try {
+    if (typeof localStorage !== 'undefined') return localStorage;
+  } catch {
+    // Access can throw when storage is disabled
+  }
+  return createMemoryStorage();
+};
+
+/**
+ * Creates a weather response cache
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - localStorage-compatible storage
+ * @param {Function} [options.now] - Current time in ms, injectable for tests
+ * @returns {{get: Function, set: Function, clear: Function}}
+ */
+export const createWeatherCache = ({ storage = defaultStorage(), now = () => Date.now() } = {}) => {
+  const ownKeys = () => {
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key && key.startsWith(PREFIX)) keys.push(key);
+    }
+    return keys;
+  };
+
+  const read = (key) => {
+    try {
+      return JSON.parse(storage.getItem(key));
+    } catch {
+      return null;
+    }
+  };
+
+  // Drops expired entries, then the oldest ones beyond the size limit
+  const prune = () => {
+    const entries = ownKeys().map(key => ({ key, entry: read(key) }));
+    const live = entries.filter(({ key, entry }) => {
+      if (entry && entry.expiresAt > now()) return true;
+      storage.removeItem(key);
+      return false;
+    });
+    live
+      .sort((a, b) => a.entry.storedAt - b.entry.storedAt)
+      .slice(0, Math.max(0, live.length - MAX_ENTRIES))
+      .forEach(({ key }) => storage.removeItem(key));
+  };
+
+  return {
+    /**
+     * @param {string} key
+     * @returns {any} The cached value, or undefined when missing or expired
+     */
+    get: (key) => {
+      const entry = read(PREFIX + key);
+      if (!entry) return undefined;
+      if (entry.expiresAt <= now()) {
+        storage.removeItem(PREFIX + key);
+        return undefined;
+      }
+      return entry.value;
+    },
+
+    /**
+     * @param {string} key
+     * @param {any} value - JSON-serializable
+     * @param {number} ttlMs - How long the value stays fresh
+     */
+    set: (key, value, ttlMs) => {
+      const entry = JSON.stringify({ value, storedAt: now(), expiresAt: now() + ttlMs });
+      try {
+        storage.setItem(PREFIX + key, entry);
+      } catch {
+        // Storage full: make room and try once more, otherwise skip caching
+        prune();
+        try {
+          storage.setItem(PREFIX + key, entry);
+        } catch {
+          return;
+        }
+      }
+      prune();
+    },
+
+    clear: () => ownKeys().forEach(key => storage.removeItem(key))
+  };
+};
@@ -0,0 +1,112 @@
+import { supabase } from '../supabaseClient';
+import { addDays, createMockProvider, createOpenMeteoProvider, toDateString } from './providers';
+import { createWeatherCache } from './cache';
+import { createWeatherService, summarizeDaily } from './service';
+
+export { WEATHER_VARIABLES, addDays, toDateString, createOpenMeteoProvider, createMockProvider } from './providers';
+export { createWeatherCache, createMemoryStorage } from './cache';
+export { createWeatherService, summarizeDaily } from './service';
+
+// VITE_WEATHER_PROVIDER=mock serves made-up weather without a network connection
+const defaultProvider = () => (import.meta.env.VITE_WEATHER_PROVIDER === 'mock'
+  ? createMockProvider()
+  : createOpenMeteoProvider());
+
+const cache = createWeatherCache();
+let service = createWeatherService({ client: supabase, provider: defaultProvider(), cache });
+
+/**
+ * Swaps the provider behind every weather lookup, e.g. for a local mock in tests
+ * @param {Object} provider - See providers.js
+ */
+export const setWeatherProvider = (provider) => {
+  service = createWeatherService({ client: supabase, provider, cache });
+};
+
+const today = () => toDateString(new Date());
+
+/**
+ * Daily weather for a place and date range, cached
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {{start: string, end: string}} range - Inclusive YYYY-MM-DD dates
+ * @returns {Promise<Array<Object>>} Daily rows, oldest first
+ */
+export const fetchDailyWeather = (latitude, longitude, range) => service.fetchDaily(latitude, longitude, range);
+
+/**
+ * Weather over the past days for a given location
+ * @param {number} latitude - Location latitude
+ * @param {number} longitude - Location longitude
+ * @param {number} days - Number of days before today
+ * @returns {Promise<{temperature: number, rainfall: number, humidity: number|null, rainyDays: number, days: number, daily: Array}>}
+ *   Average temperature, total rainfall, average relative humidity, days with rain and the daily series
+ */
+export const fetchWeatherData = async (latitude, longitude, days = 30) => {
+  try {
+    return summarizeDaily(await service.fetchDaily(latitude, longitude, {
+      start: addDays(today(), -days),
+      end: addDays(today(), -1)
+    }));
+  } catch (error) {
+    console.error('Error fetching weather data:', error);
+    throw error;
+  }
+};
+
+/**
+ * Weather forecast for a given location, starting today
+ * @param {number} latitude - Location latitude
+ * @param {number} longitude - Location longitude
+ * @param {number} days - Number of days to forecast (max 16)
+ * @returns {Promise<{temperature: number, rainfall: number, humidity: number|null, rainyDays: number, days: number, daily: Array}>}
+ *   Average temperature, total rainfall, average relative humidity, days with rain and the daily series
+ */
+export const fetchWeatherForecast = async (latitude, longitude, days = 7) => {
+  try {
+    return summarizeDaily(await service.fetchDaily(latitude, longitude, {
+      start: today(),
+      end: addDays(today(), days - 1)
+    }));
+  } catch (error) {
+    console.error('Error fetching weather forecast:', error);
+    throw error;
+  }
+};
+
+/**
+ * A farm's stored daily weather, backfilled from the provider where days are missing
+ * @param {{id: string, farm_latitude: number, farm_longitude: number}} farm - farmer_detail row
+ * @param {{start: string, end: string}} range - Inclusive YYYY-MM-DD dates
+ * @returns {Promise<Array<Object>>} weather_daily rows, oldest first
+ */
+export const fetchFarmWeatherHistory = async (farm, range) => {
+  try {
+    return await service.fetchFarmHistory(farm, range);
+  } catch (error) {
+    console.error('Error fetching farm weather history:', error);
+    throw error;
+  }
+};
+
+/**
+ * A farm's recent weather and forecast from its stored history, in the same
+ * shape as fetchWeatherData and fetchWeatherForecast
+ * @param {{id: string, farm_latitude: number, farm_longitude: number}} farm - farmer_detail row
+ * @param {Object} [options]
+ * @param {number} [options.pastDays]
+ * @param {number} [options.forecastDays]
+ * @returns {Promise<{recent: Object, forecast: Object, daily: Array<Object>}>} Summaries of the days
+ *   before today and from today on, and every day in order
+ */
+export const fetchFarmWeather = async (farm, { pastDays = 30, forecastDays = 7 } = {}) => {
+  const daily = await fetchFarmWeatherHistory(farm, {
+    start: addDays(today(), -pastDays),
+    end: addDays(today(), forecastDays - 1)
+  });
+  return {
+    recent: summarizeDaily(daily.filter(day => day.date < today())),
+    forecast: summarizeDaily(daily.filter(day => day.date >= today())),
+    daily
+  };
+};
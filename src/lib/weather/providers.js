@@ -0,0 +1,140 @@
+// Weather providers. A provider turns a place and a date range into daily
+// weather rows; everything above it (cache, stored history, summaries) is the
+// same whichever provider is plugged in.
+//
+// Daily row: { date: 'YYYY-MM-DD', temperature_mean, temperature_min, temperature_max,
+//   rainfall (mm), humidity (%), wind_speed_max (km/h), evapotranspiration (mm), is_forecast }
+// Any measurement may be null when the provider has no value for it.
+
+export const WEATHER_VARIABLES = [
+  'temperature_mean',
+  'temperature_min',
+  'temperature_max',
+  'rainfall',
+  'humidity',
+  'wind_speed_max',
+  'evapotranspiration'
+];
+
+const OPEN_METEO_FIELDS = {
+  temperature_mean: 'temperature_2m_mean',
+  temperature_min: 'temperature_2m_min',
+  temperature_max: 'temperature_2m_max',
+  rainfall: 'rain_sum',
+  humidity: 'relative_humidity_2m_mean',
+  wind_speed_max: 'wind_speed_10m_max',
+  evapotranspiration: 'et0_fao_evapotranspiration'
+};
+
+// The forecast endpoint serves roughly the last three months; older days come from the archive
+const FORECAST_PAST_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const toDateString = (date) => new Date(date).toISOString().slice(0, 10);
+
+export const addDays = (dateString, days) => toDateString(new Date(`${dateString}T00:00:00Z`).getTime() + days * DAY_MS);
+
+/**
+ * Open-Meteo forecast and historical archive APIs
+ * @param {Object} [options]
+ * @param {Function} [options.fetchImpl] - fetch, injectable for tests
+ * @param {string} [options.forecastUrl]
+ * @param {string} [options.archiveUrl]
+ * @param {Function} [options.now] - Current time, injectable for tests
+ * @returns {{name: string, fetchDaily: Function}}
+ */
+export const createOpenMeteoProvider = ({
+  fetchImpl = (...args) => fetch(...args),
+  forecastUrl = 'https://api.open-meteo.com/v1/forecast',
+  archiveUrl = 'https://archive-api.open-meteo.com/v1/archive',
+  now = () => new Date()
+} = {}) => {
+  const request = async (baseUrl, { latitude, longitude, start, end }) => {
+    const params = new URLSearchParams({
+      latitude,
+      longitude,
+      start_date: start,
+      end_date: end,
+      daily: Object.values(OPEN_METEO_FIELDS).join(','),
+      timezone: 'auto'
+    });
+    const response = await fetchImpl(`${baseUrl}?${params}`);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data?.reason || 'Failed to fetch weather data');
+    }
+
+    const today = toDateString(now());
+    return data.daily.time.map((date, i) => {
+      const row = { date, is_forecast: date >= today };
+      Object.entries(OPEN_METEO_FIELDS).forEach(([key, field]) => {
+        row[key] = data.daily[field]?.[i] ?? null;
+      });
+      return row;
+    });
+  };
+
+  return {
+    name: 'open-meteo',
+    /**
+     * @param {{latitude: number, longitude: number, start: string, end: string}} range - Inclusive dates
+     * @returns {Promise<Array<Object>>} Daily rows, oldest first
+     */
+    fetchDaily: async ({ latitude, longitude, start, end }) => {
+      const split = addDays(toDateString(now()), -FORECAST_PAST_DAYS);
+      const parts = [];
+      if (start < split) {
+        parts.push(request(archiveUrl, { latitude, longitude, start, end: end < split ? end : addDays(split, -1) }));
+      }
+      if (end >= split) {
+        parts.push(request(forecastUrl, { latitude, longitude, start: start > split ? start : split, end }));
+      }
+      return (await Promise.all(parts)).flat();
+    }
+  };
+};
+
+// Repeatable pseudo-random number in [0, 1) for a string
+const hashUnit = (text) => {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0) / 4294967296;
+};
+
+/**
+ * Offline stand-in that makes up plausible highland tropical weather. The same
+ * place and day always gets the same values, so tests and demos are repeatable.
+ * @param {Object} [options]
+ * @param {Function} [options.now]
+ * @returns {{name: string, fetchDaily: Function}}
+ */
+export const createMockProvider = ({ now = () => new Date() } = {}) => ({
+  name: 'mock',
+  fetchDaily: async ({ latitude, longitude, start, end }) => {
+    const today = toDateString(now());
+    const rows = [];
+    for (let date = start; date <= end; date = addDays(date, 1)) {
+      const key = `${Number(latitude).toFixed(2)},${Number(longitude).toFixed(2)},${date}`;
+      const month = Number(date.slice(5, 7));
+      // Wet from June to November, as in most Philippine coffee areas
+      const wet = month >= 6 && month <= 11;
+      const mean = 21 + 2 * Math.sin(((month - 2) / 12) * 2 * Math.PI) + (hashUnit(`${key}t`) - 0.5) * 2;
+      const raining = hashUnit(`${key}r`) < (wet ? 0.65 : 0.25);
+      rows.push({
+        date,
+        temperature_mean: Number(mean.toFixed(1)),
+        temperature_min: Number((mean - 4).toFixed(1)),
+        temperature_max: Number((mean + 5).toFixed(1)),
+        rainfall: raining ? Number((hashUnit(`${key}a`) * (wet ? 30 : 12)).toFixed(1)) : 0,
+        humidity: Math.round((wet ? 85 : 72) + (hashUnit(`${key}h`) - 0.5) * 10),
+        wind_speed_max: Number((8 + hashUnit(`${key}w`) * 15).toFixed(1)),
+        evapotranspiration: Number((3 + hashUnit(`${key}e`) * 2).toFixed(1)),
+        is_forecast: date >= today
+      });
+    }
+    return rows;
+  }
+});
@@ -0,0 +1,160 @@
+// Weather lookups on top of a provider: cached lookups by coordinates, and a
+// per-farm daily history stored in weather_daily that is backfilled from the
+// provider only for the days it does not have yet. The client, provider and
+// cache are injected, so the service runs the same against a local stand-in.
+import { WEATHER_VARIABLES, addDays, toDateString } from './providers';
+
+const HOUR_MS = 60 * 60 * 1000;
+// Forecasts change through the day; past days only change when the provider revises them
+const FORECAST_TTL_MS = 3 * HOUR_MS;
+const HISTORY_TTL_MS = 24 * HOUR_MS;
+// Stored days belong to a farm only while its pin stays within about a kilometre
+const SAME_PLACE_DEGREES = 0.01;
+const RAINY_DAY_MM = 1;
+
+const average = (values) => {
+  const present = values.filter(value => value !== null && value !== undefined);
+  return present.length > 0 ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+};
+
+/**
+ * Averages and totals over a daily series
+ * @param {Array<Object>} daily - Daily rows, see providers.js
+ * @returns {{temperature: number|null, rainfall: number, humidity: number|null, rainyDays: number,
+ *   days: number, daily: Array<Object>}} Average temperature, total rainfall, average relative
+ *   humidity, days with rain and the series itself
+ */
+export const summarizeDaily = (daily) => {
+  const rainfall = daily.map(day => day.rainfall).filter(value => value !== null && value !== undefined);
+  return {
+    temperature: average(daily.map(day => day.temperature_mean)),
+    rainfall: rainfall.reduce((sum, value) => sum + value, 0),
+    humidity: average(daily.map(day => day.humidity)),
+    rainyDays: rainfall.filter(value => value >= RAINY_DAY_MM).length,
+    days: daily.length,
+    daily
+  };
+};
+
+// Runs of consecutive dates in [start, end] that fail the keep test
+const missingSpans = (start, end, keep) => {
+  const spans = [];
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    if (keep(date)) continue;
+    const last = spans[spans.length - 1];
+    if (last && addDays(last.end, 1) === date) {
+      last.end = date;
+    } else {
+      spans.push({ start: date, end: date });
+    }
+  }
+  return spans;
+};
+
+/**
+ * Creates the weather service
+ * @param {Object} deps
+ * @param {Object} deps.client - Supabase client
+ * @param {Object} deps.provider - See providers.js
+ * @param {Object} deps.cache - See cache.js
+ * @param {Function} [deps.now] - Current time, injectable for tests
+ * @returns {{fetchDaily: Function, fetchFarmHistory: Function}}
+ */
+export const createWeatherService = ({ client, provider, cache, now = () => new Date() }) => {
+  const inFlight = new Map();
+
+  /**
+   * Daily weather for any place, served from the cache while fresh
+   * @param {number} latitude
+   * @param {number} longitude
+   * @param {{start: string, end: string}} range - Inclusive YYYY-MM-DD dates
+   * @returns {Promise<Array<Object>>} Daily rows, oldest first
+   */
+  const fetchDaily = async (latitude, longitude, { start, end }) => {
+    const key = `${provider.name}:${Number(latitude).toFixed(2)},${Number(longitude).toFixed(2)}:${start}:${end}`;
+    const cached = cache.get(key);
+    if (cached) return cached;
+    if (inFlight.has(key)) return inFlight.get(key);
+
+    const request = provider.fetchDaily({ latitude, longitude, start, end })
+      .then(rows => {
+        const ttl = end >= toDateString(now()) ? FORECAST_TTL_MS : HISTORY_TTL_MS;
+        cache.set(key, rows, ttl);
+        return rows;
+      })
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, request);
+    return request;
+  };
+
+  /**
+   * A farm's stored daily weather for a date range. Days that are missing,
+   * were stored as a forecast and have since passed, were recorded for an
+   * old pin position or hold a stale forecast are fetched again and saved.
+   * When the provider cannot be reached the stored days are returned as they are.
+   * @param {{id: string, farm_latitude: number, farm_longitude: number}} farm - farmer_detail row
+   * @param {{start: string, end: string}} range - Inclusive YYYY-MM-DD dates
+   * @returns {Promise<Array<Object>>} weather_daily rows, oldest first
+   */
+  const fetchFarmHistory = async (farm, { start, end }) => {
+    const latitude = Number(farm.farm_latitude);
+    const longitude = Number(farm.farm_longitude);
+
+    const { data, error } = await client
+      .from('weather_daily')
+      .select('*')
+      .eq('farmer_id', farm.id)
+      .gte('date', start)
+      .lte('date', end)
+      .order('date', { ascending: true });
+    if (error) throw error;
+
+    const stored = data || [];
+    const today = toDateString(now());
+    const isCurrent = (row) => Math.abs(row.latitude - latitude) < SAME_PLACE_DEGREES
+      && Math.abs(row.longitude - longitude) < SAME_PLACE_DEGREES
+      && (row.date < today
+        ? !row.is_forecast
+        : now().getTime() - new Date(row.fetched_at).getTime() < FORECAST_TTL_MS);
+
+    const byDate = new Map(stored.filter(isCurrent).map(row => [row.date, row]));
+    const spans = missingSpans(start, end, date => byDate.has(date));
+    if (spans.length === 0) return [...byDate.values()];
+
+    try {
+      const fetchedAt = now().toISOString();
+      const fetched = (await Promise.all(spans.map(span => fetchDaily(latitude, longitude, span)))).flat();
+      const rows = fetched.map(day => ({
+        farmer_id: farm.id,
+        date: day.date,
+        ...Object.fromEntries(WEATHER_VARIABLES.map(key => [key, day[key] ?? null])),
+        is_forecast: day.is_forecast,
+        latitude,
+        longitude,
+        provider: provider.name,
+        fetched_at: fetchedAt
+      }));
+
+      if (rows.length > 0) {
+        const { error: saveError } = await client
+          .from('weather_daily')
+          .upsert(rows, { onConflict: 'farmer_id,date' });
+        // The fetched days are still good for this page even if they could not be stored
+        if (saveError) console.error('Error saving weather history:', saveError);
+      }
+      rows.forEach(row => byDate.set(row.date, row));
+    } catch (fetchError) {
+      if (stored.length === 0) throw fetchError;
+      console.error('Error backfilling weather history:', fetchError);
+      stored.forEach(row => {
+        if (!byDate.has(row.date)) byDate.set(row.date, row);
+      });
+    }
+
+    return [...byDate.values()]
+      .filter(row => row.date >= start && row.date <= end)
+      .sort((a, b) => a.date.localeCompare(b.date));
+  };
+
+  return { fetchDaily, fetchFarmHistory };
+};
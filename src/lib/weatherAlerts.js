@@ -0,0 +1,444 @@
+// Weather alerts: rules that read a farm's recent weather and forecast against
+// its plant batches and fertilizer plan, and raise an alert with what to do
+// before the weather arrives. Thresholds live in alert_rules so admins can
+// tune them; raised alerts are kept in weather_alerts with the farmer's
+// acknowledge and snooze state.
+import { supabase } from './supabaseClient';
+import { fetchFarmWeather, addDays, toDateString } from './weather';
+import { fetchStatusHistory, groupSeriesByPlant } from './plantStatusService';
+import { buildApplicationPlan, fetchApplications } from './fertilizationPlanner';
+import { getVariety } from './coffeeVarieties';
+
+const PAST_DAYS = 30;
+const FORECAST_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A spell this much past its threshold is critical rather than a warning
+const HEAT_CRITICAL_MARGIN_C = 3;
+// Robusta, liberica and excelsa tolerate lowland heat; every arabica cultivar does not
+const isHeatTolerant = (plant) => getVariety(plant.coffee_variety).species !== 'arabica';
+
+export const ALERT_SEVERITIES = {
+  critical: { label: 'Act now' },
+  warning: { label: 'Heads up' }
+};
+
+export const SNOOZE_OPTIONS = [
+  { days: 1, label: '1 day' },
+  { days: 3, label: '3 days' },
+  { days: 7, label: '1 week' }
+];
+
+// Each threshold is a number admins can change; default is used until they do
+export const ALERT_RULES = [
+  {
+    key: 'heavy_rain_fertilizer',
+    label: 'Heavy rain before fertilizing',
+    description: 'A fertilizer application is due and heavy rain is forecast, which would wash it off.',
+    thresholds: [
+      { key: 'rain_mm', label: 'Heavy rain day', unit: 'mm', default: 25 },
+      { key: 'lookahead_days', label: 'Look ahead', unit: 'days', default: 3 }
+    ]
+  },
+  {
+    key: 'heat_stress',
+    label: 'Heat stress',
+    description: 'Daily highs stay above what the variety tolerates, which drops flowers and scorches leaves.',
+    thresholds: [
+      { key: 'arabica_max_c', label: 'Arabica maximum', unit: '°C', default: 30 },
+      { key: 'robusta_max_c', label: 'Robusta and liberica maximum', unit: '°C', default: 35 },
+      { key: 'min_days', label: 'For at least', unit: 'days', default: 2 }
+    ]
+  },
+  {
+    key: 'drought_streak',
+    label: 'Drought streak',
+    description: 'A run of dry days that carries on to today or into the forecast.',
+    thresholds: [
+      { key: 'dry_day_mm', label: 'Dry day below', unit: 'mm', default: 1 },
+      { key: 'min_days', label: 'For at least', unit: 'days', default: 14 }
+    ]
+  },
+  {
+    key: 'rust_humid_spell',
+    label: 'Leaf rust weather',
+    description: 'Humid, mild days in a row, when coffee leaf rust spores germinate and spread.',
+    thresholds: [
+      { key: 'min_humidity', label: 'Humidity at least', unit: '%', default: 85 },
+      { key: 'min_temp_c', label: 'Mean temperature from', unit: '°C', default: 18 },
+      { key: 'max_temp_c', label: 'Mean temperature to', unit: '°C', default: 28 },
+      { key: 'min_days', label: 'For at least', unit: 'days', default: 3 }
+    ]
+  }
+];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Merges stored alert_rules rows over the built-in rules. Rules without a row,
+ * and thresholds missing from a row, keep their defaults.
+ * @param {Array} rows - alert_rules rows
+ * @returns {Array<Object>} ALERT_RULES entries with enabled and a values map (threshold key -> number)
+ */
+export const resolveAlertRules = (rows = []) => {
+  return ALERT_RULES.map(rule => {
+    const row = rows.find(r => r.rule_key === rule.key);
+    const stored = row?.thresholds || {};
+    return {
+      ...rule,
+      enabled: row ? row.enabled : true,
+      values: Object.fromEntries(rule.thresholds.map(t => {
+        const value = stored[t.key] === null || stored[t.key] === '' ? NaN : Number(stored[t.key]);
+        return [t.key, isNaN(value) ? t.default : value];
+      }))
+    };
+  });
+};
+
+// Runs of consecutive days that pass the test, as {start, end, days: [rows]}
+const spellsOf = (daily, test) => {
+  const spells = [];
+  let current = null;
+  daily.forEach(day => {
+    if (!test(day)) {
+      current = null;
+      return;
+    }
+    if (current && addDays(current.end, 1) === day.date) {
+      current.end = day.date;
+      current.days.push(day);
+    } else {
+      current = { start: day.date, end: day.date, days: [day] };
+      spells.push(current);
+    }
+  });
+  return spells;
+};
+
+const plantName = (plant) => `${plant.coffee_variety || 'Plant batch'} (${plant.number_of_tree_planted || 0} trees)`;
+
+const listNames = (plants) => plants.map(plantName).join(', ');
+
+const describeDates = (start, end) => (start === end ? start : `${start} to ${end}`);
+
+const heavyRainBeforeFertilizer = ({ values }, { forecast, plants, plans, today }) => {
+  const until = addDays(today, values.lookahead_days);
+  const heavyDays = forecast.filter(day => day.date < until && day.rainfall != null && day.rainfall >= values.rain_mm);
+  if (heavyDays.length === 0) return [];
+
+  const pending = plants
+    .map(plant => ({
+      plant,
+      items: (plans[plant.plant_id]?.items || []).filter(item => item.status === 'due' || item.status === 'overdue')
+    }))
+    .filter(entry => entry.items.length > 0);
+  if (pending.length === 0) return [];
+
+  const wettest = heavyDays.reduce((max, day) => (day.rainfall > max.rainfall ? day : max));
+  const applications = [...new Set(pending.flatMap(entry => entry.items.map(item => item.label.toLowerCase())))];
+  const start = heavyDays[0].date;
+  const end = heavyDays[heavyDays.length - 1].date;
+  return [{
+    rule: 'heavy_rain_fertilizer',
+    scope: 'farm',
+    severity: heavyDays.length > 1 || wettest.rainfall >= values.rain_mm * 2 ? 'critical' : 'warning',
+    title: 'Heavy rain before fertilizing',
+    message: `Up to ${round1(wettest.rainfall)} mm of rain is forecast on ${describeDates(start, end)}. ` +
+      `Hold the ${applications.join(' and ')} application for ${listNames(pending.map(e => e.plant))} ` +
+      'until a day after the rain stops, so the fertilizer is not washed off before roots take it up.',
+    plantIds: pending.map(entry => entry.plant.plant_id),
+    startsOn: start,
+    endsOn: end
+  }];
+};
+
+const heatStress = ({ values }, { forecast, plants }) => {
+  const groups = [
+    { scope: 'arabica', label: 'arabica', maxC: values.arabica_max_c, plants: plants.filter(p => !isHeatTolerant(p)) },
+    { scope: 'robusta', label: 'robusta and liberica', maxC: values.robusta_max_c, plants: plants.filter(isHeatTolerant) }
+  ];
+
+  return groups.filter(group => group.plants.length > 0).flatMap(group => {
+    return spellsOf(forecast, day => day.temperature_max != null && day.temperature_max > group.maxC)
+      .filter(spell => spell.days.length >= values.min_days)
+      .map(spell => {
+        const peak = Math.max(...spell.days.map(day => day.temperature_max));
+        return {
+          rule: 'heat_stress',
+          scope: group.scope,
+          severity: peak >= group.maxC + HEAT_CRITICAL_MARGIN_C ? 'critical' : 'warning',
+          title: 'Heat stress',
+          message: `Highs up to ${round1(peak)}°C are forecast on ${describeDates(spell.start, spell.end)}, above the ` +
+            `${group.maxC}°C ${group.label} coffee tolerates. Affects ${listNames(group.plants)}. Water early in the ` +
+            'morning, mulch around the trunks and keep the shade trees; hold pruning and fertilizer until it cools.',
+          plantIds: group.plants.map(p => p.plant_id),
+          startsOn: spell.start,
+          endsOn: spell.end
+        };
+      });
+  });
+};
+
+const droughtStreak = ({ values }, { daily, plants, today }) => {
+  if (plants.length === 0) return [];
+  const yesterday = addDays(today, -1);
+  return spellsOf(daily, day => day.rainfall != null && day.rainfall < values.dry_day_mm)
+    .filter(spell => spell.days.length >= values.min_days && spell.end >= yesterday)
+    .map(spell => {
+      const forecastDays = spell.days.filter(day => day.date >= today).length;
+      return {
+        rule: 'drought_streak',
+        scope: 'farm',
+        severity: spell.days.length >= values.min_days * 2 ? 'critical' : 'warning',
+        title: 'Drought streak',
+        message: `No meaningful rain for ${spell.days.length} days (${describeDates(spell.start, spell.end)}` +
+          `${forecastDays > 0 ? `, ${forecastDays} of them forecast` : ''}). Irrigate the youngest trees first, ` +
+          'mulch to hold soil moisture and hold fertilizer until the soil is moist again.',
+        plantIds: plants.map(p => p.plant_id),
+        startsOn: spell.start,
+        endsOn: spell.end
+      };
+    });
+};
+
+const rustHumidSpell = ({ values }, { daily, plants, latestByPlant, today }) => {
+  if (plants.length === 0) return [];
+  const yesterday = addDays(today, -1);
+  const diseased = plants.filter(p => latestByPlant[p.plant_id]?.status === 'diseased');
+  return spellsOf(daily, day => day.humidity != null && day.temperature_mean != null &&
+    day.humidity >= values.min_humidity &&
+    day.temperature_mean >= values.min_temp_c && day.temperature_mean <= values.max_temp_c)
+    .filter(spell => spell.days.length >= values.min_days && spell.end >= yesterday)
+    .map(spell => {
+      const temperatures = spell.days.map(day => day.temperature_mean);
+      const lowest = round1(Math.min(...temperatures));
+      const highest = round1(Math.max(...temperatures));
+      return {
+        rule: 'rust_humid_spell',
+        scope: 'farm',
+        severity: diseased.length > 0 ? 'critical' : 'warning',
+        title: 'Leaf rust weather',
+        message: `${spell.days.length} humid days at ${lowest === highest ? lowest : `${lowest}-${highest}`}°C ` +
+          `(${describeDates(spell.start, spell.end)}) favour coffee leaf rust. Check the undersides of leaves ` +
+          'for orange powder and thin crowded stems so leaves dry faster.' +
+          (diseased.length > 0
+            ? ` ${listNames(diseased)} already show disease: spray a copper fungicide before the spell spreads it.`
+            : ''),
+        plantIds: plants.map(p => p.plant_id),
+        startsOn: spell.start,
+        endsOn: spell.end
+      };
+    });
+};
+
+const RULE_CHECKS = {
+  heavy_rain_fertilizer: heavyRainBeforeFertilizer,
+  heat_stress: heatStress,
+  drought_streak: droughtStreak,
+  rust_humid_spell: rustHumidSpell
+};
+
+/**
+ * Runs the enabled rules over a farm's weather
+ * @param {Object} params
+ * @param {Array<Object>} params.daily - Daily weather rows, oldest first, recent days and forecast
+ * @param {Array<Object>} params.plants - plant_data rows
+ * @param {Object<string, Object>} [params.latestByPlant] - plant_id -> latest plant_status row
+ * @param {Object<string, Object>} [params.plans] - plant_id -> buildApplicationPlan result
+ * @param {Array<Object>} params.rules - From resolveAlertRules()
+ * @param {Date} [params.today]
+ * @returns {Array<{rule: string, scope: string, severity: string, title: string, message: string,
+ *   plantIds: string[], startsOn: string, endsOn: string}>} Critical alerts first, then by start date
+ */
+export const evaluateAlerts = ({ daily, plants, latestByPlant = {}, plans = {}, rules, today = new Date() }) => {
+  const todayString = toDateString(today);
+  const context = {
+    daily,
+    forecast: daily.filter(day => day.date >= todayString),
+    plants,
+    latestByPlant,
+    plans,
+    today: todayString
+  };
+
+  return rules
+    .filter(rule => rule.enabled && RULE_CHECKS[rule.key])
+    .flatMap(rule => RULE_CHECKS[rule.key](rule, context))
+    .sort((a, b) => (a.severity === b.severity ? a.startsOn.localeCompare(b.startsOn) : a.severity === 'critical' ? -1 : 1));
+};
+
+/**
+ * Fetches the alert rules with admin overrides applied
+ * @returns {Promise<Array<Object>>} See resolveAlertRules
+ */
+export const fetchAlertRules = async () => {
+  try {
+    const { data, error } = await supabase.from('alert_rules').select('*');
+
+    if (error) throw error;
+    return resolveAlertRules(data || []);
+  } catch (error) {
+    console.error('Error fetching alert rules:', error);
+    throw error;
+  }
+};
+
+/**
+ * Saves rule thresholds and whether each rule is switched on
+ * @param {Array<{key: string, enabled: boolean, values: Object<string, number>}>} rules
+ * @param {string} [updatedBy] - Admin user id
+ * @returns {Promise<Array>} The saved rows
+ */
+export const saveAlertRules = async (rules, updatedBy) => {
+  const rows = rules.map(rule => ({
+    rule_key: rule.key,
+    enabled: rule.enabled,
+    thresholds: rule.values,
+    updated_by: updatedBy || null,
+    updated_at: new Date().toISOString()
+  }));
+
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .upsert(rows, { onConflict: 'rule_key' })
+    .select();
+
+  if (error) throw error;
+  return data || [];
+};
+
+// A forecast spell shifts by a day or grows as the forecast is revised. An
+// alert from the same rule and scope that overlaps or touches it is the same
+// spell, so it keeps that alert's key and with it the acknowledge and snooze.
+const matchStored = (alert, stored) => stored.find(row =>
+  row.alert_key.startsWith(`${alert.rule}:${alert.scope}:`) &&
+  row.starts_on <= addDays(alert.endsOn, 1) &&
+  row.ends_on >= addDays(alert.startsOn, -1)
+);
+
+/**
+ * Runs the rules for a farm and stores what they raise. Alerts the farmer has
+ * acknowledged, or snoozed until later, are counted but not returned.
+ * @param {string} farmerId - farmer_detail id
+ * @param {Date} [now]
+ * @returns {Promise<{alerts: Array<Object>, hidden: number, hasLocation: boolean}>} weather_alerts rows
+ *   to show, critical first, and how many were acknowledged or snoozed
+ */
+export const fetchFarmAlerts = async (farmerId, now = new Date()) => {
+  try {
+    const [farmResult, plantResult, rules, applications] = await Promise.all([
+      supabase
+        .from('farmer_detail')
+        .select('id, farm_latitude, farm_longitude')
+        .eq('id', farmerId)
+        .maybeSingle(),
+      supabase
+        .from('plant_data')
+        .select('plant_id, coffee_variety, planting_date, number_of_tree_planted')
+        .eq('farmer_id', farmerId),
+      fetchAlertRules(),
+      fetchApplications(farmerId)
+    ]);
+    if (farmResult.error) throw farmResult.error;
+    if (plantResult.error) throw plantResult.error;
+
+    const farm = farmResult.data;
+    if (!farm || farm.farm_latitude == null || farm.farm_longitude == null) {
+      return { alerts: [], hidden: 0, hasLocation: false };
+    }
+
+    const plants = plantResult.data || [];
+    const [statusRows, weather] = await Promise.all([
+      fetchStatusHistory(plants.map(p => p.plant_id)),
+      fetchFarmWeather(farm, { pastDays: PAST_DAYS, forecastDays: FORECAST_DAYS })
+    ]);
+    const latestByPlant = Object.fromEntries(
+      Object.entries(groupSeriesByPlant(statusRows)).map(([plantId, series]) => [plantId, series[series.length - 1]])
+    );
+    const plans = Object.fromEntries(plants.map(plant => [plant.plant_id, buildApplicationPlan({
+      plant,
+      latestStatus: latestByPlant[plant.plant_id] || null,
+      applications: applications.filter(a => a.plant_id === plant.plant_id),
+      today: now
+    })]));
+
+    const raised = evaluateAlerts({ daily: weather.daily, plants, latestByPlant, plans, rules, today: now });
+    if (raised.length === 0) return { alerts: [], hidden: 0, hasLocation: true };
+
+    const { data: stored, error: storedError } = await supabase
+      .from('weather_alerts')
+      .select('alert_key, starts_on, ends_on')
+      .eq('farmer_id', farmerId)
+      .gte('ends_on', addDays(toDateString(now), -PAST_DAYS - 1));
+    if (storedError) throw storedError;
+
+    const updatedAt = now.toISOString();
+    const rows = raised.map(alert => {
+      const match = matchStored(alert, stored || []);
+      const startsOn = match && match.starts_on < alert.startsOn ? match.starts_on : alert.startsOn;
+      return {
+        farmer_id: farmerId,
+        alert_key: match ? match.alert_key : `${alert.rule}:${alert.scope}:${alert.startsOn}`,
+        rule_key: alert.rule,
+        severity: alert.severity,
+        title: alert.title,
+        message: alert.message,
+        plant_ids: alert.plantIds,
+        starts_on: startsOn,
+        ends_on: alert.endsOn,
+        updated_at: updatedAt
+      };
+    });
+
+    // Acknowledge and snooze columns are left out so the upsert keeps them
+    const { data: saved, error: saveError } = await supabase
+      .from('weather_alerts')
+      .upsert(rows, { onConflict: 'farmer_id,alert_key' })
+      .select();
+    if (saveError) throw saveError;
+
+    const order = rows.map(row => row.alert_key);
+    const isShown = (row) => !row.acknowledged_at && (!row.snoozed_until || new Date(row.snoozed_until) <= now);
+    const alerts = (saved || [])
+      .filter(isShown)
+      .sort((a, b) => order.indexOf(a.alert_key) - order.indexOf(b.alert_key));
+    return { alerts, hidden: (saved || []).length - alerts.length, hasLocation: true };
+  } catch (error) {
+    console.error('Error fetching farm alerts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Marks an alert as dealt with; the same spell will not be raised again
+ * @param {string} alertId
+ * @returns {Promise<Object>} The updated row
+ */
+export const acknowledgeAlert = async (alertId) => {
+  const { data, error } = await supabase
+    .from('weather_alerts')
+    .update({ acknowledged_at: new Date().toISOString() })
+    .eq('alert_id', alertId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Hides an alert for a number of days
+ * @param {string} alertId
+ * @param {number} days
+ * @returns {Promise<Object>} The updated row
+ */
+export const snoozeAlert = async (alertId, days) => {
+  const { data, error } = await supabase
+    .from('weather_alerts')
+    .update({ snoozed_until: new Date(Date.now() + days * DAY_MS).toISOString() })
+    .eq('alert_id', alertId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
@@ -0,0 +1,98 @@
+// Yield model persistence: trains the shared model on every farm's harvests and
+// loads the newest saved one for the forecasting pages.
+import { supabase } from './supabaseClient';
+import { groupSeriesByPlant } from './plantStatusService';
+import { YIELD_FEATURES, YieldModel, buildYieldDataset, trainYieldModel } from './ml/YieldModel';
+
+export const MIN_TRAINING_HARVESTS = 10;
+
+// The newest model, shared by every page for the session
+let latestModel;
+
+const toRecord = (row) => ({
+  modelId: row.model_id,
+  trainedAt: row.trained_at,
+  trainingRows: row.training_rows,
+  model: YieldModel.fromJSON(row.parameters),
+  evaluation: row.evaluation,
+  importance: row.feature_importance
+});
+
+/**
+ * Loads the most recently trained yield model
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh] - Skip the session cache
+ * @returns {Promise<Object|null>} {modelId, trainedAt, trainingRows, model, evaluation, importance},
+ *   or null when no model has been trained yet
+ */
+export const fetchYieldModel = async ({ refresh = false } = {}) => {
+  if (!refresh && latestModel !== undefined) return latestModel;
+
+  try {
+    const { data, error } = await supabase
+      .from('yield_models')
+      .select('*')
+      .order('trained_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    latestModel = data?.length ? toRecord(data[0]) : null;
+    return latestModel;
+  } catch (error) {
+    console.error('Error fetching yield model:', error);
+    throw error;
+  }
+};
+
+/**
+ * Trains a model on all harvests, evaluates it on the newest ones and saves it
+ * as the active model. Needs admin access to read every farm.
+ * @param {string} [trainedBy] - Admin user id
+ * @returns {Promise<Object>} The saved model record, as returned by fetchYieldModel
+ */
+export const retrainYieldModel = async (trainedBy) => {
+  try {
+    const [harvestResult, plantResult, farmResult, statusResult] = await Promise.all([
+      supabase.from('harvest_data').select('plant_id, farmer_id, harvest_date, coffee_raw_quantity'),
+      supabase.from('plant_data').select('plant_id, farmer_id, planting_date, number_of_tree_planted'),
+      supabase.from('farmer_detail').select('id, farm_elevation'),
+      supabase.from('plant_status').select('*')
+    ]);
+    if (harvestResult.error) throw harvestResult.error;
+    if (plantResult.error) throw plantResult.error;
+    if (farmResult.error) throw farmResult.error;
+    if (statusResult.error) throw statusResult.error;
+
+    const rows = buildYieldDataset({
+      harvests: harvestResult.data || [],
+      plants: plantResult.data || [],
+      farms: farmResult.data || [],
+      seriesByPlant: groupSeriesByPlant(statusResult.data || [])
+    });
+    if (rows.length < MIN_TRAINING_HARVESTS) {
+      throw new Error(`At least ${MIN_TRAINING_HARVESTS} recorded harvests are needed to train a yield model (found ${rows.length})`);
+    }
+
+    const { model, evaluation, importance } = trainYieldModel(rows);
+
+    const { data, error } = await supabase
+      .from('yield_models')
+      .insert([{
+        features: YIELD_FEATURES.map(feature => feature.key),
+        parameters: model.toJSON(),
+        evaluation,
+        feature_importance: importance,
+        training_rows: rows.length,
+        trained_by: trainedBy || null
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    latestModel = toRecord(data);
+    return latestModel;
+  } catch (error) {
+    console.error('Error training yield model:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,230 @@
+import React, { useEffect, useState } from "react";
+import { supabase } from "../lib/supabaseClient";
+import { useTheme } from "../lib/ThemeContext";
+import { toast } from 'react-toastify';
+import Layout from '../components/Layout';
+import DateRangeFilter from '../components/DateRangeFilter';
+import { ACTIVITY_ENTITIES, ACTIVITY_ACTIONS, fetchActivityLog, getChangedValues } from '../lib/activityLog';
+
+const entityLabels = Object.fromEntries(ACTIVITY_ENTITIES.map(({ key, label }) => [key, label]));
+
+// Columns that change on every write and only add noise to the diff
+const HIDDEN_FIELDS = ['created_at', 'updated_at'];
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const actionBadgeClass = (action, isDarkMode) => {
+  const colors = {
+    login: isDarkMode ? 'bg-blue-900 text-blue-200' : 'bg-blue-100 text-blue-800',
+    logout: isDarkMode ? 'bg-gray-700 text-gray-200' : 'bg-gray-100 text-gray-800',
+    insert: isDarkMode ? 'bg-green-900 text-green-200' : 'bg-green-100 text-green-800',
+    update: isDarkMode ? 'bg-yellow-900 text-yellow-200' : 'bg-yellow-100 text-yellow-800',
+    delete: isDarkMode ? 'bg-red-900 text-red-200' : 'bg-red-100 text-red-800'
+  };
+  return colors[action];
+};
+
+const ActivityLog = () => {
+  const { isDarkMode } = useTheme();
+  const [users, setUsers] = useState({});
+  const [entries, setEntries] = useState([]);
+  const [farmerId, setFarmerId] = useState("");
+  const [entity, setEntity] = useState("");
+  const [dateRange, setDateRange] = useState({ from: "", to: "" });
+  const [loading, setLoading] = useState(true);
+
+  // Names for actors and farmers, who may be admins as well
+  useEffect(() => {
+    const loadUsers = async () => {
+      const { data, error } = await supabase
+        .from("users")
+        .select("id, first_name, last_name, role");
+      if (error) {
+        console.error("Error fetching users:", error.message);
+        return;
+      }
+      setUsers(Object.fromEntries(data.map(u => [u.id, u])));
+    };
+    loadUsers();
+  }, []);
+
+  useEffect(() => {
+    const loadEntries = async () => {
+      setLoading(true);
+      try {
+        setEntries(await fetchActivityLog({ farmerId, entity, ...dateRange }));
+      } catch (error) {
+        toast.error(`Error loading activity log: ${error.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadEntries();
+  }, [farmerId, entity, dateRange]);
+
+  const userName = (id) => {
+    if (!id) return 'System';
+    const u = users[id];
+    return u ? `${u.first_name} ${u.last_name}` : 'Unknown user';
+  };
+
+  const farmers = Object.values(users)
+    .filter(u => u.role === 'farmer')
+    .sort((a, b) => `${a.first_name} ${a.last_name}`.localeCompare(`${b.first_name} ${b.last_name}`));
+
+  const clearFilters = () => {
+    setFarmerId("");
+    setEntity("");
+    setDateRange({ from: "", to: "" });
+  };
+
+  const selectClass = `mt-1 block w-full rounded-lg border-2 px-4 py-2.5 shadow-sm
+    focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50 transition-colors duration-200
+    ${isDarkMode
+      ? 'bg-gray-700 border-gray-600 text-white focus:border-blue-500'
+      : 'bg-white border-gray-300 text-gray-900 focus:border-blue-500'}`;
+  const labelClass = `block text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const headerClass = `px-4 py-3 text-left text-xs font-medium uppercase tracking-wider ${isDarkMode ? 'text-gray-300' : 'text-gray-500'}`;
+  const cellClass = `px-4 py-3 text-sm align-top ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`;
+
+  const renderChanges = (entry) => {
+    if (entry.entity === 'session') {
+      return <span className={isDarkMode ? 'text-gray-400' : 'text-gray-500'}>{entry.after_values?.user_agent || '—'}</span>;
+    }
+
+    const changes = getChangedValues(entry).filter(c => !HIDDEN_FIELDS.includes(c.field));
+    if (changes.length === 0) return '—';
+
+    return (
+      <ul className="space-y-1">
+        {changes.map(({ field, before, after }) => (
+          <li key={field}>
+            <span className="font-medium">{field}</span>:{' '}
+            {entry.action !== 'insert' && (
+              <span className={isDarkMode ? 'text-red-300 line-through' : 'text-red-600 line-through'}>{formatValue(before)}</span>
+            )}
+            {entry.action === 'update' && ' → '}
+            {entry.action !== 'delete' && (
+              <span className={isDarkMode ? 'text-green-300' : 'text-green-700'}>{formatValue(after)}</span>
+            )}
+          </li>
+        ))}
+      </ul>
+    );
+  };
+
+  return (
+    <Layout>
+      <div className="flex-1 overflow-auto">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          {/* Header */}
+          <div className={`mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6`}>
+            <h2 className={`text-3xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+              Activity Log
+            </h2>
+            <p className={`mt-2 text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+              Logins, logouts and every change to farm details, plants, harvests and plant status.
+            </p>
+          </div>
+
+          {/* Filters */}
+          <div className={`mb-8 p-6 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+              <div>
+                <label className={labelClass}>Farmer</label>
+                <select value={farmerId} onChange={(e) => setFarmerId(e.target.value)} className={selectClass}>
+                  <option value="">All farmers</option>
+                  {farmers.map(f => (
+                    <option key={f.id} value={f.id}>{f.first_name} {f.last_name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className={labelClass}>Record Type</label>
+                <select value={entity} onChange={(e) => setEntity(e.target.value)} className={selectClass}>
+                  <option value="">All records</option>
+                  {ACTIVITY_ENTITIES.map(({ key, label }) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <DateRangeFilter
+                from={dateRange.from}
+                to={dateRange.to}
+                onChange={setDateRange}
+                isDarkMode={isDarkMode}
+                fromLabel="From"
+                toLabel="To"
+              />
+            </div>
+            <div className="mt-4 flex justify-end">
+              <button
+                onClick={clearFilters}
+                className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
+                  isDarkMode ? 'bg-gray-700 text-gray-200 hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                Clear Filters
+              </button>
+            </div>
+          </div>
+
+          <div className={`p-6 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
+            {loading ? (
+              <p className={isDarkMode ? 'text-gray-300' : 'text-gray-600'}>Loading activity...</p>
+            ) : entries.length === 0 ? (
+              <p className={isDarkMode ? 'text-gray-300' : 'text-gray-600'}>No activity matches these filters.</p>
+            ) : (
+              <>
+                <p className={`mb-4 text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                  Showing the latest {entries.length} entries.
+                </p>
+                <div className="overflow-x-auto">
+                  <table className={`min-w-full divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                    <thead className={isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+                      <tr>
+                        <th className={headerClass}>Time</th>
+                        <th className={headerClass}>By</th>
+                        <th className={headerClass}>Farmer</th>
+                        <th className={headerClass}>Action</th>
+                        <th className={headerClass}>Record</th>
+                        <th className={headerClass}>Changes</th>
+                      </tr>
+                    </thead>
+                    <tbody className={`divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                      {entries.map(entry => (
+                        <tr key={entry.log_id}>
+                          <td className={`${cellClass} whitespace-nowrap`}>{new Date(entry.created_at).toLocaleString()}</td>
+                          <td className={cellClass}>{userName(entry.actor_id)}</td>
+                          <td className={cellClass}>{entry.farmer_id ? userName(entry.farmer_id) : '—'}</td>
+                          <td className={cellClass}>
+                            <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${actionBadgeClass(entry.action, isDarkMode)}`}>
+                              {ACTIVITY_ACTIONS[entry.action]}
+                            </span>
+                          </td>
+                          <td className={cellClass}>
+                            {entityLabels[entry.entity]}
+                            {entry.entity !== 'session' && entry.entity_id && (
+                              <span className={`block text-xs ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>#{entry.entity_id}</span>
+                            )}
+                          </td>
+                          <td className={`${cellClass} break-all`}>{renderChanges(entry)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default ActivityLog;
@@ -2,7 +2,10 @@ import React, { useState, useEffect } from 'react';
 import { useAuth } from '../lib/AuthProvider';
 import { useTheme } from '../lib/ThemeContext';
 import Layout from '../components/Layout';
+import RiskHeatmap from '../components/RiskHeatmap';
+import YieldModelReport from '../components/analytics/YieldModelReport';
 import { supabase } from '../lib/supabaseClient';
+import { summarizeHarvests } from '../lib/harvestMetrics';
 import { Line, Bar, Pie, Doughnut } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
@@ -178,18 +181,8 @@ const AdminAnalytics = () => {
         setAverageTreesPerFarmer(avgTrees);
         setTotalActivePlants(totalTrees);
 
-        // Calculate coffee grade distribution
-        const gradeData = {
-          premium: 0,
-          fine: 0,
-          commercial: 0
-        };
-
-        harvestData.data.forEach(harvest => {
-          gradeData.premium += Number(harvest.coffee_premium_grade) || 0;
-          gradeData.fine += Number(harvest.coffee_fine_grade) || 0;
-          gradeData.commercial += Number(harvest.coffee_commercial_grade) || 0;
-        });
+        // Calculate coffee grade distribution (kilograms of dry coffee)
+        const gradeData = summarizeHarvests(harvestData.data).gradeKg;
 
         setGradeDistribution(prev => ({
           ...prev,
@@ -574,6 +567,22 @@ const AdminAnalytics = () => {
                 </div>
               </div>
             </div>
+
+            {/* Yield Model Section */}
+            <div className="mt-12 mb-8">
+              <h2 className={`text-xl font-semibold mb-6 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                Yield Model
+              </h2>
+              <YieldModelReport trainedBy={user?.id} />
+            </div>
+
+            {/* Pest & Disease Risk Section */}
+            <div className="mt-12 mb-8">
+              <h2 className={`text-xl font-semibold mb-6 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                Pest & Disease Risk by Region
+              </h2>
+              <RiskHeatmap />
+            </div>
           </div>
         </div>
       </div>
@@ -0,0 +1,164 @@
+import React, { useEffect, useState } from "react";
+import { useTheme } from "../lib/ThemeContext";
+import { useAuth } from "../lib/AuthProvider";
+import { toast } from 'react-toastify';
+import Layout from '../components/Layout';
+import { ALERT_RULES, fetchAlertRules, saveAlertRules } from '../lib/weatherAlerts';
+
+// rule key -> { enabled, values as input strings }, so half-typed values survive re-renders
+const toForm = (rules) => Object.fromEntries(rules.map(rule => [rule.key, {
+  enabled: rule.enabled,
+  values: Object.fromEntries(Object.entries(rule.values).map(([key, value]) => [key, String(value)]))
+}]));
+
+const AlertRules = () => {
+  const { isDarkMode } = useTheme();
+  const { user } = useAuth();
+  const [form, setForm] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadRules = async () => {
+      try {
+        setForm(toForm(await fetchAlertRules()));
+      } catch (error) {
+        toast.error(`Error loading alert rules: ${error.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadRules();
+  }, []);
+
+  const handleValueChange = (ruleKey, thresholdKey, value) => {
+    setForm(prev => ({
+      ...prev,
+      [ruleKey]: { ...prev[ruleKey], values: { ...prev[ruleKey].values, [thresholdKey]: value } }
+    }));
+  };
+
+  const handleToggle = (ruleKey) => {
+    setForm(prev => ({ ...prev, [ruleKey]: { ...prev[ruleKey], enabled: !prev[ruleKey].enabled } }));
+  };
+
+  const resetRule = (rule) => {
+    setForm(prev => ({
+      ...prev,
+      [rule.key]: { ...prev[rule.key], values: Object.fromEntries(rule.thresholds.map(t => [t.key, String(t.default)])) }
+    }));
+  };
+
+  const handleSave = async () => {
+    const rules = [];
+    for (const rule of ALERT_RULES) {
+      const values = {};
+      for (const threshold of rule.thresholds) {
+        const value = parseFloat(form[rule.key].values[threshold.key]);
+        if (isNaN(value) || value < 0) {
+          toast.warning(`${rule.label}: ${threshold.label} must be a non-negative number.`);
+          return;
+        }
+        values[threshold.key] = value;
+      }
+      rules.push({ key: rule.key, enabled: form[rule.key].enabled, values });
+    }
+
+    setSaving(true);
+    try {
+      await saveAlertRules(rules, user?.id);
+      toast.success("Alert rules saved.");
+    } catch (error) {
+      console.error("Error saving alert rules:", error);
+      toast.error(`Error saving alert rules: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = `w-24 px-2 py-1 rounded border text-sm ${
+    isDarkMode
+      ? 'bg-gray-700 border-gray-600 text-white focus:border-green-500'
+      : 'bg-white border-gray-300 text-gray-900 focus:border-green-500'
+  }`;
+
+  return (
+    <Layout>
+      <div className="flex-1 overflow-auto">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          {/* Header */}
+          <div className={`mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6`}>
+            <h2 className={`text-3xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+              Weather Alert Rules
+            </h2>
+            <p className={`mt-2 text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+              Thresholds the forecast is checked against for every farm. Farmers see the alerts these rules raise on their dashboard.
+            </p>
+          </div>
+
+          {loading || !form ? (
+            <p className={isDarkMode ? 'text-gray-300' : 'text-gray-600'}>{loading ? 'Loading alert rules...' : 'Alert rules could not be loaded.'}</p>
+          ) : (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                {ALERT_RULES.map(rule => (
+                  <div key={rule.key} className={`p-6 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
+                    <div className="flex items-center justify-between mb-2">
+                      <h3 className={`text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>{rule.label}</h3>
+                      <label className={`flex items-center space-x-2 text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                        <input
+                          type="checkbox"
+                          checked={form[rule.key].enabled}
+                          onChange={() => handleToggle(rule.key)}
+                        />
+                        <span>Enabled</span>
+                      </label>
+                    </div>
+                    <p className={`text-sm mb-4 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>{rule.description}</p>
+                    <div className="space-y-3">
+                      {rule.thresholds.map(threshold => (
+                        <div key={threshold.key} className="flex items-center justify-between">
+                          <span className={`text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>{threshold.label}</span>
+                          <div className="flex items-center space-x-2">
+                            <input
+                              type="number"
+                              step="any"
+                              min="0"
+                              value={form[rule.key].values[threshold.key]}
+                              onChange={(e) => handleValueChange(rule.key, threshold.key, e.target.value)}
+                              disabled={!form[rule.key].enabled}
+                              className={`${inputClass} disabled:opacity-50`}
+                            />
+                            <span className={`w-10 text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>{threshold.unit}</span>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => resetRule(rule)}
+                      className={`mt-4 text-sm ${isDarkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'}`}
+                    >
+                      Reset to defaults
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <div className="mt-6 flex justify-end">
+                <button
+                  onClick={handleSave}
+                  disabled={saving}
+                  className="px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : 'Save Rules'}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default AlertRules;
@@ -2,7 +2,45 @@ import React, { useState, useEffect } from "react";
 import { useNavigate, useLocation } from "react-router-dom";
 import { supabase } from "../lib/supabaseClient";
 import { useTheme } from "../lib/ThemeContext";
+import { useAuth } from "../lib/AuthProvider";
+import { toast } from 'react-toastify';
 import Layout from '../components/Layout';
+import {
+  DESCRIPTION_OPTIONS,
+  gradeBeans,
+  gradeLabel,
+  describeGrade,
+  summarizeSamples,
+  fetchSamples,
+  saveSample,
+  saveDefectSample,
+  deleteSample
+} from '../lib/gradingSamples';
+import {
+  DEFECT_CATEGORIES,
+  SCREEN_SIZES,
+  SCREEN_BELOW,
+  gradeByDefects,
+  explainDefectGrade,
+  getGradingStandards
+} from '../lib/defectGrading';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyDefectForm = (standard) => ({
+  standard_key: standard?.key || "",
+  sampleWeightG: standard ? String(standard.sampleWeightG) : "",
+  moisturePct: "",
+  counts: {},
+  screens: {},
+});
+
+const emptySampleForm = () => ({
+  sampled_on: today(),
+  harvest_id: "",
+  lot_id: "",
+  notes: "",
+});
 
 const CoffeeGrader = () => {
   const navigate = useNavigate();
@@ -14,15 +52,27 @@ const CoffeeGrader = () => {
   const [beanDescription, setBeanDescription] = useState(""); // This will hold the selected dropdown value
   const [predictedGrade, setPredictedGrade] = useState("");
   const [messageType, setMessageType] = useState(""); // "success" or "error" for styling messages
+  const { user: account } = useAuth();
+  const [gradedInputs, setGradedInputs] = useState(null); // The inputs behind the grade on screen, until saved
+  const [sampleForm, setSampleForm] = useState(emptySampleForm());
+  const [samples, setSamples] = useState([]);
+  const [harvests, setHarvests] = useState([]);
+  const [lots, setLots] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [mode, setMode] = useState("quick"); // "quick" estimate or "defects" count
+  const [standards, setStandards] = useState([]);
+  const [defectForm, setDefectForm] = useState(emptyDefectForm());
+  const [defectResult, setDefectResult] = useState(null); // From gradeByDefects, for the explanation
 
   // Dropdown options for Physical Description - simplified to only lead to Fine, Premium, Commercial
   const descriptionOptions = [
     { value: "", label: "Select description..." },
-    { value: "uniform_minimal_defects", label: "Uniform, minimal defects" },
-    { value: "slight_variation_few_defects", label: "Slight variation, few defects" },
-    { value: "mixed_sizes_more_defects", label: "Mixed sizes, more defects" },
+    ...DESCRIPTION_OPTIONS,
   ];
 
+  // Only farmers keep samples; admins use the predictor on its own
+  const isFarmer = user?.role === "farmer";
+
   useEffect(() => {
     const fetchUser = async () => {
       const { data: { user: authUser } } = await supabase.auth.getUser();
@@ -40,114 +90,161 @@ const CoffeeGrader = () => {
     fetchUser();
   }, [navigate]);
 
+  useEffect(() => {
+    const loadSamples = async () => {
+      if (!isFarmer || !account) return;
+      try {
+        const [sampleRows, harvestResult, lotResult] = await Promise.all([
+          fetchSamples(account.id),
+          supabase
+            .from("harvest_data")
+            .select("harvest_id, harvest_date, coffee_dry_quantity")
+            .eq("farmer_id", account.id)
+            .order("harvest_date", { ascending: false }),
+          supabase
+            .from("coffee_lots")
+            .select("lot_id, lot_code, status")
+            .eq("farmer_id", account.id)
+            .order("created_at", { ascending: false }),
+        ]);
+        if (harvestResult.error) throw harvestResult.error;
+        if (lotResult.error) throw lotResult.error;
+
+        setSamples(sampleRows);
+        setHarvests(harvestResult.data || []);
+        setLots(lotResult.data || []);
+      } catch (error) {
+        console.error("Error loading grading samples:", error);
+        toast.error("Error loading your samples. Please try refreshing the page.");
+      }
+    };
+    loadSamples();
+  }, [isFarmer, account]);
+
+  useEffect(() => {
+    getGradingStandards().then(list => {
+      setStandards(list);
+      setDefectForm(emptyDefectForm(list[0]));
+    });
+  }, []);
+
+  const selectedStandard = standards.find(standard => standard.key === defectForm.standard_key);
+
   const handleLogout = async () => {
     await supabase.auth.signOut();
     navigate("/login");
   };
 
   const gradeCoffee = () => {
-    setPredictedGrade(""); // Clear previous prediction
-    setMessageType(""); // Clear previous message type
-
-    const size = parseFloat(beanSize);
-    const weight = parseFloat(beanWeight);
+    const input = { size: beanSize, weight: beanWeight, description: beanDescription };
+    const result = gradeBeans(input);
 
-    if (isNaN(size) || isNaN(weight) || size <= 0 || weight <= 0) {
-      setPredictedGrade("Please enter valid positive numbers for Size and Weight.");
+    if (result.error) {
+      setPredictedGrade(result.error);
       setMessageType("error");
+      setGradedInputs(null);
       return;
     }
 
-    if (!beanDescription) {
-      setPredictedGrade("Please select a physical description of the coffee beans.");
+    setPredictedGrade(describeGrade(result));
+    setMessageType("success");
+    setGradedInputs(input);
+  };
+
+  const gradeDefectSample = () => {
+    const result = gradeByDefects(selectedStandard, defectForm);
+
+    if (result.error) {
+      setPredictedGrade(result.error);
       setMessageType("error");
+      setGradedInputs(null);
+      setDefectResult(null);
       return;
     }
 
-    // Calculate scores for each grade based on how well the inputs match
-    const gradeScores = {
-      fine: 0,
-      premium: 0,
-      commercial: 0
-    };
-
-    // --- SIZE SCORING ---
-    if (size >= 6.75) {
-      gradeScores.fine += 1;
-    } else if (size >= 6.0 && size < 6.75) {
-      gradeScores.premium += 1;
-    } else { // All other valid sizes ( >= 5.5 for commercial) default to commercial
-      gradeScores.commercial += 1;
-    }
+    setPredictedGrade(`${gradeLabel(result.grade)}${result.grade === 'off_grade' ? '' : ' Grade'} (${result.fullDefects} full defects, ${selectedStandard.name})`);
+    setMessageType("success");
+    setGradedInputs({ method: "defects", ...defectForm });
+    setDefectResult(result);
+  };
 
-    // --- WEIGHT SCORING ---
-    if (weight >= 8.5 && weight <= 10.5) {
-      gradeScores.fine += 1;
-    } else if (weight >= 7.0 && weight < 8.5) {
-      gradeScores.premium += 1;
-    } else { // All other valid weights ( >= 6.0 for commercial) default to commercial
-      gradeScores.commercial += 1;
-    }
+  const switchMode = (next) => {
+    setMode(next);
+    setPredictedGrade("");
+    setMessageType("");
+    setGradedInputs(null);
+    setDefectResult(null);
+  };
 
-    // --- DESCRIPTION SCORING (based on dropdown value) ---
-    switch (beanDescription) {
-      case "uniform_minimal_defects":
-        gradeScores.fine += 1;
-        break;
-      case "slight_variation_few_defects":
-        gradeScores.premium += 1;
-        break;
-      case "mixed_sizes_more_defects":
-        gradeScores.commercial += 1;
-        break;
-      default:
-        // This case should ideally not be hit due to 'required' and initial check
-        break;
-    }
+  // A new standard brings its own sample weight and defect list
+  const handleStandardChange = (e) => {
+    setDefectForm(emptyDefectForm(standards.find(standard => standard.key === e.target.value)));
+  };
 
-    // --- DETERMINE FINAL GRADE ---
-    let grade = "Cannot determine grade - inputs don't match standard criteria"; // Default for initial message
-    let confidence = "";
+  const handleDefectFormChange = (e) => {
+    const { name, value } = e.target;
+    setDefectForm(prev => ({ ...prev, [name]: value }));
+  };
 
-    const maxScore = Math.max(gradeScores.fine, gradeScores.premium, gradeScores.commercial);
+  const handleDefectCountChange = (group, key, value) => {
+    setDefectForm(prev => ({ ...prev, [group]: { ...prev[group], [key]: value } }));
+  };
 
-    if (maxScore === 0) {
-      setPredictedGrade(grade);
-      setMessageType("error");
-    } else {
-      // Find all grades that have the max score
-      const potentialGrades = [];
-      if (gradeScores.fine === maxScore) potentialGrades.push("Fine Grade");
-      if (gradeScores.premium === maxScore) potentialGrades.push("Premium Grade");
-      if (gradeScores.commercial === maxScore) potentialGrades.push("Commercial Grade");
-
-      // Prioritize higher quality in case of a tie
-      if (potentialGrades.includes("Fine Grade")) {
-        grade = "Fine Grade";
-      } else if (potentialGrades.includes("Premium Grade")) {
-        grade = "Premium Grade";
-      } else {
-        grade = "Commercial Grade";
-      }
+  const handleSampleChange = (e) => {
+    const { name, value } = e.target;
+    setSampleForm(prev => ({ ...prev, [name]: value }));
+  };
 
-      // Refine confidence based on max score
-      if (maxScore === 3) {
-        confidence = " (High Confidence)";
-      } else if (maxScore === 2) {
-        confidence = " (Moderate Confidence)";
-      } else if (maxScore === 1) {
-        confidence = " (Low Confidence)";
-      }
-      
-      if (potentialGrades.length > 1) {
-          confidence += " (Tie resolved to higher grade)";
-      }
+  const submitSample = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const saved = gradedInputs.method === "defects"
+        ? await saveDefectSample(account.id, { ...gradedInputs, ...sampleForm }, standards.find(s => s.key === gradedInputs.standard_key), account.id)
+        : await saveSample(account.id, { ...gradedInputs, ...sampleForm }, account.id);
+      setSamples(prev => [saved, ...prev].sort((a, b) => b.sampled_on.localeCompare(a.sampled_on)));
+      setGradedInputs(null);
+      setDefectResult(null);
+      setSampleForm(prev => ({ ...emptySampleForm(), harvest_id: prev.harvest_id, lot_id: prev.lot_id }));
+      toast.success("Sample saved.");
+    } catch (error) {
+      console.error("Error saving sample:", error);
+      toast.error(`Error saving sample: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
 
-      setPredictedGrade(grade + confidence);
-      setMessageType("success"); // Default to success if a grade is determined
+  const removeSample = async (sampleId) => {
+    if (!window.confirm("Are you sure you want to delete this sample?")) return;
+    try {
+      await deleteSample(sampleId);
+      setSamples(prev => prev.filter(sample => sample.sample_id !== sampleId));
+      toast.success("Sample deleted.");
+    } catch (error) {
+      console.error("Error deleting sample:", error);
+      toast.error(`Error deleting sample: ${error.message}`);
     }
   };
 
+  const harvestLabel = (harvestId) => {
+    const harvest = harvests.find(h => h.harvest_id === harvestId);
+    return harvest ? `${new Date(harvest.harvest_date).toLocaleDateString()} harvest` : null;
+  };
+  const lotCode = (lotId) => lots.find(lot => lot.lot_id === lotId)?.lot_code;
+  const sampleStats = summarizeSamples(samples);
+
+  const inputClass = `w-full px-3 py-2 rounded-lg border ${
+    isDarkMode
+      ? 'bg-gray-700 border-gray-600 text-white focus:border-green-500'
+      : 'bg-white border-gray-300 text-gray-900 focus:border-green-500'
+  } focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 transition-colors`;
+  const labelClass = `block text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const headerClass = `px-4 py-3 text-left text-xs font-medium uppercase tracking-wider ${isDarkMode ? 'text-gray-300' : 'text-gray-500'}`;
+  const cellClass = `px-4 py-3 whitespace-nowrap text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const statLabelClass = `text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`;
+  const statValueClass = `mt-1 text-2xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`;
+
   const adminLinks = [
     { name: "Dashboard", path: "/dashboard" },
     { name: "Farmer Management", path: "/user-management" },
@@ -213,97 +310,200 @@ const CoffeeGrader = () => {
         {/* Main Content */}
         <div className="max-w-7xl mx-auto">
           <div className={`rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'} p-8`}>
-            <form onSubmit={e => { e.preventDefault(); gradeCoffee(); }} className="space-y-8">
-              <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
-                {/* Bean Size Input */}
-                <div className={`p-6 rounded-lg ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
-                  <label className={`block text-sm font-medium ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
-                    Coffee Bean Size (mm)
-                  </label>
-                  <div className="mt-2">
-                    <input
-                      type="number"
-                      step="0.01"
-                      value={beanSize}
-                      onChange={e => setBeanSize(e.target.value)}
-                      placeholder="e.g., 6.8"
-                      required
-                      className={`block w-full rounded-md border-2 ${
-                        isDarkMode 
-                          ? 'bg-gray-600 border-gray-500 text-white placeholder-gray-400' 
-                          : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'
-                      } focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-colors duration-200`}
-                    />
-                  </div>
-                  <p className={`mt-2 text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
-                    Average diameter of coffee beans
-                  </p>
-                </div>
+            {/* Grading Mode */}
+            <div className="flex space-x-2 mb-8">
+              {[["quick", "Quick Estimate"], ["defects", "Defect Count"]].map(([key, label]) => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => switchMode(key)}
+                  className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
+                    mode === key
+                      ? 'bg-indigo-600 text-white'
+                      : isDarkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-300' : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
 
-                {/* Bean Weight Input */}
-                <div className={`p-6 rounded-lg ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
-                  <label className={`block text-sm font-medium ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
-                    Weight (100 beans in grams)
-                  </label>
-                  <div className="mt-2">
-                    <input
-                      type="number"
-                      step="0.1"
-                      value={beanWeight}
-                      onChange={e => setBeanWeight(e.target.value)}
-                      placeholder="e.g., 9.2"
-                      required
-                      className={`block w-full rounded-md border-2 ${
-                        isDarkMode 
-                          ? 'bg-gray-600 border-gray-500 text-white placeholder-gray-400' 
-                          : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'
-                      } focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-colors duration-200`}
-                    />
+            {mode === "quick" && (
+              <form onSubmit={e => { e.preventDefault(); gradeCoffee(); }} className="space-y-8">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+                  {/* Bean Size Input */}
+                  <div className={`p-6 rounded-lg ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+                    <label className={`block text-sm font-medium ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                      Coffee Bean Size (mm)
+                    </label>
+                    <div className="mt-2">
+                      <input
+                        type="number"
+                        step="0.01"
+                        value={beanSize}
+                        onChange={e => setBeanSize(e.target.value)}
+                        placeholder="e.g., 6.8"
+                        required
+                        className={`block w-full rounded-md border-2 ${
+                          isDarkMode 
+                            ? 'bg-gray-600 border-gray-500 text-white placeholder-gray-400' 
+                            : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'
+                        } focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-colors duration-200`}
+                      />
+                    </div>
+                    <p className={`mt-2 text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                      Average diameter of coffee beans
+                    </p>
                   </div>
-                  <p className={`mt-2 text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
-                    Weight of 100 random coffee beans
-                  </p>
-                </div>
 
-                {/* Physical Description Select */}
-                <div className="md:col-span-2">
+                  {/* Bean Weight Input */}
                   <div className={`p-6 rounded-lg ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
                     <label className={`block text-sm font-medium ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
-                      Physical Description
+                      Weight (100 beans in grams)
                     </label>
                     <div className="mt-2">
-                      <select
-                        value={beanDescription}
-                        onChange={e => setBeanDescription(e.target.value)}
+                      <input
+                        type="number"
+                        step="0.1"
+                        value={beanWeight}
+                        onChange={e => setBeanWeight(e.target.value)}
+                        placeholder="e.g., 9.2"
                         required
                         className={`block w-full rounded-md border-2 ${
                           isDarkMode 
-                            ? 'bg-gray-600 border-gray-500 text-white' 
-                            : 'bg-white border-gray-300 text-gray-900'
+                            ? 'bg-gray-600 border-gray-500 text-white placeholder-gray-400' 
+                            : 'bg-white border-gray-300 text-gray-900 placeholder-gray-500'
                         } focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-colors duration-200`}
-                      >
-                        {descriptionOptions.map((option) => (
-                          <option key={option.value} value={option.value}>{option.label}</option>
-                        ))}
-                      </select>
+                      />
                     </div>
                     <p className={`mt-2 text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
-                      Select the best description of the beans' physical quality
+                      Weight of 100 random coffee beans
                     </p>
                   </div>
+
+                  {/* Physical Description Select */}
+                  <div className="md:col-span-2">
+                    <div className={`p-6 rounded-lg ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+                      <label className={`block text-sm font-medium ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                        Physical Description
+                      </label>
+                      <div className="mt-2">
+                        <select
+                          value={beanDescription}
+                          onChange={e => setBeanDescription(e.target.value)}
+                          required
+                          className={`block w-full rounded-md border-2 ${
+                            isDarkMode 
+                              ? 'bg-gray-600 border-gray-500 text-white' 
+                              : 'bg-white border-gray-300 text-gray-900'
+                          } focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500 transition-colors duration-200`}
+                        >
+                          {descriptionOptions.map((option) => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <p className={`mt-2 text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                        Select the best description of the beans' physical quality
+                      </p>
+                    </div>
+                  </div>
                 </div>
-              </div>
 
-              {/* Submit Button */}
-              <div className="flex justify-center pt-4">
-                <button
-                  type="submit"
-                  className="px-8 py-3 text-base font-medium rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transform transition-transform duration-200 hover:scale-105"
-                >
-                  Predict Grade
-                </button>
-              </div>
-            </form>
+                {/* Submit Button */}
+                <div className="flex justify-center pt-4">
+                  <button
+                    type="submit"
+                    className="px-8 py-3 text-base font-medium rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transform transition-transform duration-200 hover:scale-105"
+                  >
+                    Predict Grade
+                  </button>
+                </div>
+              </form>
+            )}
+
+            {mode === "defects" && (
+              <form onSubmit={e => { e.preventDefault(); gradeDefectSample(); }} className="space-y-8">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                  <div>
+                    <label className={labelClass}>Grading Standard</label>
+                    <select value={defectForm.standard_key} onChange={handleStandardChange} className={inputClass} required>
+                      {standards.map(standard => (
+                        <option key={standard.key} value={standard.key}>{standard.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className={labelClass}>Sample Weight (g)</label>
+                    <input type="number" step="0.1" min="0" name="sampleWeightG" value={defectForm.sampleWeightG} onChange={handleDefectFormChange} className={inputClass} required />
+                  </div>
+                  <div>
+                    <label className={labelClass}>Moisture (%)</label>
+                    <input type="number" step="0.1" min="0" max="100" name="moisturePct" value={defectForm.moisturePct} onChange={handleDefectFormChange} className={inputClass} required />
+                  </div>
+                </div>
+                {selectedStandard && (
+                  <p className={statLabelClass}>
+                    {selectedStandard.description} Counts from a sample of another weight are scaled to {selectedStandard.sampleWeightG} g.
+                    Moisture should be {selectedStandard.moistureMin}-{selectedStandard.moistureMax}%.
+                  </p>
+                )}
+
+                {selectedStandard && Object.entries(DEFECT_CATEGORIES).map(([category, { label }]) => (
+                  <div key={category} className={`p-6 rounded-lg ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+                    <h3 className={`text-lg font-medium mb-4 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>{label} Defects (beans counted)</h3>
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                      {selectedStandard.defects.filter(defect => defect.category === category).map(defect => (
+                        <div key={defect.key}>
+                          <label className={labelClass}>{defect.label}</label>
+                          <input
+                            type="number"
+                            step="1"
+                            min="0"
+                            value={defectForm.counts[defect.key] || ""}
+                            onChange={e => handleDefectCountChange("counts", defect.key, e.target.value)}
+                            className={inputClass}
+                          />
+                          <p className={`mt-1 text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                            {defect.beans_per_full === 1 ? 'Each bean is a full defect' : `${defect.beans_per_full} beans = 1 full defect`}
+                          </p>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+
+                <div className={`p-6 rounded-lg ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+                  <h3 className={`text-lg font-medium ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Screen Analysis (grams retained)</h3>
+                  <p className={`mt-1 mb-4 ${statLabelClass}`}>Optional unless the standard sets a screen size for a grade.</p>
+                  <div className="grid grid-cols-3 md:grid-cols-7 gap-4">
+                    {[...SCREEN_SIZES, SCREEN_BELOW].map(size => (
+                      <div key={size}>
+                        <label className={labelClass}>{size === SCREEN_BELOW ? `Below ${SCREEN_SIZES[SCREEN_SIZES.length - 1]}` : `Screen ${size}`}</label>
+                        <input
+                          type="number"
+                          step="0.1"
+                          min="0"
+                          value={defectForm.screens[size] || ""}
+                          onChange={e => handleDefectCountChange("screens", size, e.target.value)}
+                          className={inputClass}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="flex justify-center pt-4">
+                  <button
+                    type="submit"
+                    disabled={!selectedStandard}
+                    className="px-8 py-3 text-base font-medium rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+                  >
+                    Grade Sample
+                  </button>
+                </div>
+              </form>
+            )}
 
             {/* Enhanced Prediction Results */}
             {predictedGrade && (
@@ -343,9 +543,138 @@ const CoffeeGrader = () => {
                     } opacity-75`} />
                   )}
                 </div>
+                {defectResult && messageType === 'success' && (
+                  <ul className={`mt-4 space-y-1 text-sm list-disc list-inside ${isDarkMode ? 'text-green-100' : 'text-green-900'}`}>
+                    <li>
+                      {defectResult.primaryDefects} primary and {defectResult.secondaryDefects} secondary full defects
+                      {!defectResult.moistureOk && ', with moisture outside the standard range'}.
+                    </li>
+                    {explainDefectGrade(defectResult).map(line => <li key={line}>{line}</li>)}
+                  </ul>
+                )}
               </div>
             )}
+
+            {/* Save the graded sample */}
+            {isFarmer && gradedInputs && messageType === 'success' && (
+              <form onSubmit={submitSample} className={`mt-6 p-6 rounded-lg space-y-4 ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+                <h3 className={`text-lg font-medium ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Save This Sample</h3>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className={labelClass}>Sampled On</label>
+                    <input type="date" name="sampled_on" value={sampleForm.sampled_on} max={today()} onChange={handleSampleChange} className={inputClass} required />
+                  </div>
+                  <div>
+                    <label className={labelClass}>Harvest (optional)</label>
+                    <select name="harvest_id" value={sampleForm.harvest_id} onChange={handleSampleChange} className={inputClass}>
+                      <option value="">Not linked</option>
+                      {harvests.map(harvest => (
+                        <option key={harvest.harvest_id} value={harvest.harvest_id}>
+                          {new Date(harvest.harvest_date).toLocaleDateString()} — {harvest.coffee_dry_quantity} kg dry
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className={labelClass}>Lot (optional)</label>
+                    <select name="lot_id" value={sampleForm.lot_id} onChange={handleSampleChange} className={inputClass}>
+                      <option value="">Not linked</option>
+                      {lots.filter(lot => lot.status === 'active').map(lot => (
+                        <option key={lot.lot_id} value={lot.lot_id}>{lot.lot_code}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                <div>
+                  <label className={labelClass}>Notes</label>
+                  <input type="text" name="notes" value={sampleForm.notes} onChange={handleSampleChange} className={inputClass} />
+                </div>
+                <div className="flex justify-end">
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+                  >
+                    Save Sample
+                  </button>
+                </div>
+              </form>
+            )}
           </div>
+
+          {/* Sample History */}
+          {isFarmer && (
+            <div className={`mt-8 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'} p-8`}>
+              <h3 className={`text-xl font-medium mb-6 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Sample History</h3>
+              {samples.length === 0 ? (
+                <p className={statLabelClass}>No samples saved yet. Grade a sample above and save it to start your history.</p>
+              ) : (
+                <>
+                  <div className="grid grid-cols-2 md:grid-cols-6 gap-4 mb-6">
+                    <div>
+                      <p className={statLabelClass}>Samples</p>
+                      <p className={statValueClass}>{sampleStats.count}</p>
+                    </div>
+                    {sampleStats.grades.map(grade => (
+                      <div key={grade.key}>
+                        <p className={statLabelClass}>{grade.label}</p>
+                        <p className={statValueClass}>{grade.sharePct}%</p>
+                      </div>
+                    ))}
+                    <div>
+                      <p className={statLabelClass}>Avg. Size</p>
+                      <p className={statValueClass}>{sampleStats.avgSizeMm == null ? '—' : `${sampleStats.avgSizeMm} mm`}</p>
+                    </div>
+                    <div>
+                      <p className={statLabelClass}>Avg. 100-Bean Weight</p>
+                      <p className={statValueClass}>{sampleStats.avgWeightG == null ? '—' : `${sampleStats.avgWeightG} g`}</p>
+                    </div>
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className={`min-w-full divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                      <thead className={isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+                        <tr>
+                          <th className={headerClass}>Date</th>
+                          <th className={headerClass}>Size</th>
+                          <th className={headerClass}>Weight</th>
+                          <th className={headerClass}>Basis</th>
+                          <th className={headerClass}>Grade</th>
+                          <th className={headerClass}>Source</th>
+                          <th className={headerClass}></th>
+                        </tr>
+                      </thead>
+                      <tbody className={`divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                        {samples.map(sample => (
+                          <tr key={sample.sample_id}>
+                            <td className={cellClass}>{new Date(sample.sampled_on).toLocaleDateString()}</td>
+                            <td className={cellClass}>{sample.bean_size_mm == null ? '—' : `${sample.bean_size_mm} mm`}</td>
+                            <td className={cellClass}>{sample.bean_weight_g == null ? '—' : `${sample.bean_weight_g} g`}</td>
+                            <td className={cellClass}>
+                              {sample.method === 'defects'
+                                ? `${sample.full_defects} full defects, ${sample.moisture_pct}% moisture (${standards.find(s => s.key === sample.standard_key)?.name || sample.standard_key})`
+                                : DESCRIPTION_OPTIONS.find(o => o.value === sample.description)?.label}
+                            </td>
+                            <td className={cellClass}>
+                              {gradeLabel(sample.grade)}
+                              {sample.confidence && <span className={statLabelClass}> · {sample.confidence}</span>}
+                            </td>
+                            <td className={cellClass}>
+                              {[harvestLabel(sample.harvest_id), lotCode(sample.lot_id)].filter(Boolean).join(', ') || '—'}
+                            </td>
+                            <td className={`${cellClass} text-right`}>
+                              <button onClick={() => removeSample(sample.sample_id)} className={isDarkMode ? 'text-red-400 hover:text-red-300' : 'text-red-600 hover:text-red-700'}>
+                                Delete
+                              </button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
         </div>
       </div>
     </Layout>
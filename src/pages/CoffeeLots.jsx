@@ -0,0 +1,487 @@
+import React, { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { supabase } from "../lib/supabaseClient";
+import { useTheme } from "../lib/ThemeContext";
+import { useAuth } from "../lib/AuthProvider";
+import { toast } from 'react-toastify';
+import Layout from '../components/Layout';
+import { GRADE_FIELDS, normalizeHarvest } from '../lib/harvestMetrics';
+import { fetchBatches } from '../lib/processing';
+import {
+  LOT_STATUSES,
+  soldKg,
+  lotStatus,
+  lotSourceOptions,
+  sourceKey,
+  traceSources,
+  describeOrigin,
+  fetchLots,
+  createLot,
+  splitLot,
+  mergeLots,
+  canDeleteLot,
+  deleteLot
+} from '../lib/lots';
+import { lotLabelLines, lotLabelSvg, createLotLabelSheetPdf } from '../lib/lotLabels';
+
+const emptyLotForm = () => ({
+  grade: "premium",
+  quantities: {},
+  notes: "",
+});
+
+const STATUS_STYLES = {
+  active: { dark: 'bg-green-900 text-green-200', light: 'bg-green-100 text-green-800' },
+  sold: { dark: 'bg-blue-900 text-blue-200', light: 'bg-blue-100 text-blue-800' },
+  split: { dark: 'bg-gray-700 text-gray-200', light: 'bg-gray-100 text-gray-700' },
+  merged: { dark: 'bg-gray-700 text-gray-200', light: 'bg-gray-100 text-gray-700' }
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+const CoffeeLots = () => {
+  const { isDarkMode } = useTheme();
+  const { user } = useAuth();
+  const [harvests, setHarvests] = useState([]);
+  const [plants, setPlants] = useState([]);
+  const [batches, setBatches] = useState([]);
+  const [farm, setFarm] = useState({});
+  const [lotData, setLotData] = useState({ lots: [], links: [], sales: [] });
+  const [form, setForm] = useState(emptyLotForm());
+  const [selected, setSelected] = useState([]);
+  const [splitting, setSplitting] = useState(null); // { lotId, parts: string[] }
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const loadLots = async (farmerId) => {
+    const [harvestResult, plantResult, farmResult, batchRows, lotResult] = await Promise.all([
+      supabase.from("harvest_data").select("*").eq("farmer_id", farmerId).order("harvest_date", { ascending: false }),
+      supabase.from("plant_data").select("plant_id, coffee_variety").eq("farmer_id", farmerId),
+      supabase.from("farmer_detail").select("farm_location, farm_elevation").eq("id", farmerId).maybeSingle(),
+      fetchBatches(farmerId),
+      fetchLots(farmerId)
+    ]);
+    if (harvestResult.error) throw harvestResult.error;
+    if (plantResult.error) throw plantResult.error;
+    if (farmResult.error) throw farmResult.error;
+
+    setHarvests((harvestResult.data || []).map(normalizeHarvest));
+    setPlants(plantResult.data || []);
+    setFarm(farmResult.data || {});
+    setBatches(batchRows);
+    setLotData(lotResult);
+  };
+
+  useEffect(() => {
+    const loadInitial = async () => {
+      if (!user) return;
+      setLoading(true);
+      try {
+        await loadLots(user.id);
+      } catch (error) {
+        console.error("Error loading lots:", error);
+        toast.error("Error loading your lots. Please try refreshing the page.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadInitial();
+  }, [user]);
+
+  const { lots, links, sales } = lotData;
+  const sourceOptions = lotSourceOptions({ harvests, batches, lots }, form.grade || null);
+  const formTotal = round2(Object.values(form.quantities).reduce((sum, value) => sum + (parseFloat(value) || 0), 0));
+  const lotCode = (lotId) => lots.find(lot => lot.lot_id === lotId)?.lot_code || 'another lot';
+  const unsoldKg = (lot) => round2(lot.quantity_kg - soldKg(lot.lot_id, sales));
+  const originOf = (lot) => describeOrigin(traceSources(lot.lot_id, lots, links), { harvests, plants, batches });
+  const gradeLabel = (grade) => GRADE_FIELDS.find(({ key }) => key === grade)?.label || 'Mixed';
+
+  const describeSource = (option) => {
+    const plant = plants.find(p => p.plant_id === option.harvest.plant_id);
+    const harvest = `${formatDate(option.harvest.harvest_date)} · ${plant?.coffee_variety || 'Unknown variety'}`;
+    return option.batch ? `${harvest} · batch started ${formatDate(option.batch.started_on)}` : harvest;
+  };
+
+  // Where a lot came from and went, in the words of its split/merge links
+  const describeHistory = (lot) => {
+    const parents = links.filter(link => link.child_lot_id === lot.lot_id);
+    const children = links.filter(link => link.parent_lot_id === lot.lot_id);
+    const lines = [];
+    if (parents.length > 0) {
+      lines.push(`${parents[0].kind === 'split' ? 'Split from' : 'Merged from'} ${parents.map(link => lotCode(link.parent_lot_id)).join(', ')}`);
+    }
+    if (children.length > 0) {
+      lines.push(`${children[0].kind === 'split' ? 'Split into' : 'Merged into'} ${children.map(link => lotCode(link.child_lot_id)).join(', ')}`);
+    }
+    return lines;
+  };
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    // Availability depends on the grade, so quantities start over when it changes
+    setForm(prev => (name === "grade" ? { ...prev, grade: value, quantities: {} } : { ...prev, [name]: value }));
+  };
+
+  const handleQuantityChange = (key, value) => {
+    setForm(prev => ({ ...prev, quantities: { ...prev.quantities, [key]: value } }));
+  };
+
+  const submitLot = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const created = await createLot(form, sourceOptions);
+      await loadLots(user.id);
+      setForm(emptyLotForm());
+      toast.success(`Lot ${created.lot_code} created.`);
+    } catch (error) {
+      console.error("Error creating lot:", error);
+      toast.error(`Error creating lot: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleSelected = (lotId) => {
+    setSelected(prev => (prev.includes(lotId) ? prev.filter(id => id !== lotId) : [...prev, lotId]));
+  };
+
+  const submitMerge = async () => {
+    if (!window.confirm(`Merge ${selected.length} lots into one new lot?`)) return;
+    setSaving(true);
+    try {
+      const merged = await mergeLots(selected);
+      await loadLots(user.id);
+      setSelected([]);
+      toast.success(`Lots merged into ${merged.lot_code}.`);
+    } catch (error) {
+      console.error("Error merging lots:", error);
+      toast.error(`Error merging lots: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openSplit = (lot) => {
+    setSplitting(splitting?.lotId === lot.lot_id ? null : { lotId: lot.lot_id, parts: ["", ""] });
+  };
+
+  const handlePartChange = (index, value) => {
+    setSplitting(prev => ({ ...prev, parts: prev.parts.map((part, i) => (i === index ? value : part)) }));
+  };
+
+  const submitSplit = async (e, lot) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const parts = await splitLot(lot, splitting.parts, unsoldKg(lot));
+      await loadLots(user.id);
+      setSplitting(null);
+      toast.success(`${lot.lot_code} split into ${parts.map(part => part.lot_code).join(', ')}.`);
+    } catch (error) {
+      console.error("Error splitting lot:", error);
+      toast.error(`Error splitting lot: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeLot = async (lot) => {
+    if (!window.confirm(`Delete lot ${lot.lot_code}? Its coffee becomes available for other lots.`)) return;
+    try {
+      await deleteLot(lot.lot_id);
+      await loadLots(user.id);
+      setSelected(prev => prev.filter(id => id !== lot.lot_id));
+      toast.success("Lot deleted.");
+    } catch (error) {
+      console.error("Error deleting lot:", error);
+      toast.error(`Error deleting lot: ${error.message}`);
+    }
+  };
+
+  const downloadLabel = (lot) => {
+    const svg = lotLabelSvg(lot, lotLabelLines(lot, originOf(lot), farm));
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = `${lot.lot_code}.svg`;
+    anchor.click();
+    URL.revokeObjectURL(url);
+  };
+
+  // Prints the selected lots, or every active lot when none are selected
+  const printLabelSheet = () => {
+    const chosen = selected.length > 0
+      ? lots.filter(lot => selected.includes(lot.lot_id))
+      : lots.filter(lot => lotStatus(lot, sales) === 'active');
+    if (chosen.length === 0) {
+      toast.info("There are no active lots to print labels for.");
+      return;
+    }
+    try {
+      createLotLabelSheetPdf(chosen.map(lot => ({ lot, lines: lotLabelLines(lot, originOf(lot), farm) })))
+        .save('lot-labels.pdf');
+    } catch (error) {
+      console.error("Error creating label sheet:", error);
+      toast.error(`Error creating label sheet: ${error.message}`);
+    }
+  };
+
+  const inputClass = `w-full px-3 py-2 rounded-lg border ${
+    isDarkMode
+      ? 'bg-gray-700 border-gray-600 text-white focus:border-green-500'
+      : 'bg-white border-gray-300 text-gray-900 focus:border-green-500'
+  } focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 transition-colors`;
+  const labelClass = `block text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const hintClass = `mt-1 text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`;
+  const cardClass = `p-6 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'} hover:shadow-xl transition-shadow duration-200`;
+  const headerClass = `px-4 py-3 text-left text-xs font-medium uppercase tracking-wider ${isDarkMode ? 'text-gray-300' : 'text-gray-500'}`;
+  const cellClass = `px-4 py-3 text-sm align-top ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const linkButtonClass = `text-sm font-medium ${isDarkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'}`;
+  const secondaryButtonClass = `px-4 py-2 text-sm font-medium rounded-lg transition-colors disabled:opacity-50 ${
+    isDarkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-300' : 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+  }`;
+
+  if (loading) return (
+    <Layout>
+      <div className="flex-1 flex items-center justify-center">
+        <div className={`text-center ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Loading...</div>
+      </div>
+    </Layout>
+  );
+
+  return (
+    <Layout>
+      <div className="flex-1 overflow-auto">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          {/* Header */}
+          <div className={`mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6`}>
+            <h2 className={`text-3xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+              Coffee Lots
+            </h2>
+            <p className={`mt-2 text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+              Put graded coffee into lots, print QR labels and let buyers trace each lot back to the farm
+            </p>
+          </div>
+
+          {/* Create a lot */}
+          <div className={`mb-8 ${cardClass}`}>
+            <h3 className={`text-xl font-medium mb-6 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Create a Lot</h3>
+            <form onSubmit={submitLot} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className={labelClass}>Grade</label>
+                  <select name="grade" value={form.grade} onChange={handleFormChange} className={inputClass}>
+                    {GRADE_FIELDS.map(({ key, label }) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                    <option value="">Mixed grades</option>
+                  </select>
+                </div>
+                <div className="md:col-span-2">
+                  <label className={labelClass}>Notes</label>
+                  <input type="text" name="notes" value={form.notes} onChange={handleFormChange} className={inputClass} />
+                </div>
+              </div>
+
+              {sourceOptions.length === 0 ? (
+                <p className={hintClass}>
+                  No graded coffee of this grade is left to put into a lot. Grade a harvest or a processing batch first.
+                </p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className={`min-w-full divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                    <thead className={isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+                      <tr>
+                        <th className={headerClass}>Harvest</th>
+                        <th className={headerClass}>Available</th>
+                        <th className={headerClass}>Into This Lot (kg)</th>
+                      </tr>
+                    </thead>
+                    <tbody className={`divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                      {sourceOptions.map(option => (
+                        <tr key={sourceKey(option)}>
+                          <td className={cellClass}>{describeSource(option)}</td>
+                          <td className={cellClass}>{option.availableKg} kg</td>
+                          <td className={cellClass}>
+                            <input
+                              type="number"
+                              step="0.01"
+                              min="0"
+                              max={option.availableKg}
+                              value={form.quantities[sourceKey(option)] || ""}
+                              onChange={(e) => handleQuantityChange(sourceKey(option), e.target.value)}
+                              className={inputClass}
+                            />
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              <div className="flex items-center justify-between">
+                <p className={hintClass}>Lot size: {formTotal} kg</p>
+                <button
+                  type="submit"
+                  disabled={saving || sourceOptions.length === 0}
+                  className="px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+                >
+                  Create Lot
+                </button>
+              </div>
+            </form>
+          </div>
+
+          {/* Lots */}
+          <div className={cardClass}>
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+              <h3 className={`text-xl font-medium ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Lots</h3>
+              <div className="flex space-x-3">
+                <button type="button" onClick={submitMerge} disabled={saving || selected.length < 2} className={secondaryButtonClass}>
+                  Merge Selected
+                </button>
+                <button type="button" onClick={printLabelSheet} className={secondaryButtonClass}>
+                  {selected.length > 0 ? 'Print Selected Labels' : 'Print All Labels'}
+                </button>
+              </div>
+            </div>
+            {lots.length === 0 ? (
+              <p className={hintClass}>No lots yet.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className={`min-w-full divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                  <thead className={isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+                    <tr>
+                      <th className={headerClass}></th>
+                      <th className={headerClass}>Lot</th>
+                      <th className={headerClass}>Grade</th>
+                      <th className={headerClass}>Unsold / Total</th>
+                      <th className={headerClass}>Origin</th>
+                      <th className={headerClass}>History</th>
+                      <th className={headerClass}></th>
+                    </tr>
+                  </thead>
+                  <tbody className={`divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                    {lots.map(lot => {
+                      const status = lotStatus(lot, sales);
+                      const origin = originOf(lot);
+                      const style = STATUS_STYLES[status];
+                      return (
+                        <React.Fragment key={lot.lot_id}>
+                          <tr>
+                            <td className={cellClass}>
+                              {status === 'active' && (
+                                <input
+                                  type="checkbox"
+                                  checked={selected.includes(lot.lot_id)}
+                                  onChange={() => toggleSelected(lot.lot_id)}
+                                  aria-label={`Select ${lot.lot_code}`}
+                                />
+                              )}
+                            </td>
+                            <td className={cellClass}>
+                              <div className="font-medium">{lot.lot_code}</div>
+                              <span className={`inline-block mt-1 px-2 py-0.5 rounded-full text-xs font-medium ${isDarkMode ? style.dark : style.light}`}>
+                                {LOT_STATUSES[status].label}
+                              </span>
+                            </td>
+                            <td className={cellClass}>{gradeLabel(lot.grade)}</td>
+                            <td className={cellClass}>{unsoldKg(lot)} / {lot.quantity_kg} kg</td>
+                            <td className={cellClass}>
+                              <div>{origin.varieties.join(', ') || 'Unknown variety'}</div>
+                              {origin.harvestFrom && (
+                                <div className={hintClass}>
+                                  {origin.harvestFrom === origin.harvestTo
+                                    ? formatDate(origin.harvestFrom)
+                                    : `${formatDate(origin.harvestFrom)} – ${formatDate(origin.harvestTo)}`}
+                                  {origin.methods.length > 0 && ` · ${origin.methods.join(', ')}`}
+                                </div>
+                              )}
+                            </td>
+                            <td className={cellClass}>
+                              {describeHistory(lot).map(line => <div key={line}>{line}</div>)}
+                              {lot.notes && <div className={hintClass}>{lot.notes}</div>}
+                            </td>
+                            <td className={`${cellClass} whitespace-nowrap text-right space-x-3`}>
+                              <button type="button" onClick={() => downloadLabel(lot)} className={linkButtonClass}>Label</button>
+                              <Link to={`/lot/${encodeURIComponent(lot.lot_code)}`} target="_blank" rel="noreferrer" className={linkButtonClass}>
+                                Public Page
+                              </Link>
+                              {status === 'active' && (
+                                <button type="button" onClick={() => openSplit(lot)} className={linkButtonClass}>Split</button>
+                              )}
+                              {canDeleteLot(lot, links, sales) && (
+                                <button
+                                  type="button"
+                                  onClick={() => removeLot(lot)}
+                                  className={`text-sm font-medium ${isDarkMode ? 'text-red-400 hover:text-red-300' : 'text-red-600 hover:text-red-700'}`}
+                                >
+                                  Delete
+                                </button>
+                              )}
+                            </td>
+                          </tr>
+                          {splitting?.lotId === lot.lot_id && (
+                            <tr>
+                              <td colSpan={7} className={`px-4 pb-4 ${isDarkMode ? 'bg-gray-900' : 'bg-gray-50'}`}>
+                                <form onSubmit={(e) => submitSplit(e, lot)} className={`mt-4 p-4 rounded-lg space-y-3 ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
+                                  <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+                                    {splitting.parts.map((part, index) => (
+                                      <div key={index}>
+                                        <label className={labelClass}>Part {index + 1} (kg)</label>
+                                        <input
+                                          type="number"
+                                          step="0.01"
+                                          min="0"
+                                          value={part}
+                                          onChange={(e) => handlePartChange(index, e.target.value)}
+                                          className={inputClass}
+                                          required
+                                        />
+                                      </div>
+                                    ))}
+                                  </div>
+                                  <p className={hintClass}>
+                                    {unsoldKg(lot)} kg of {lot.lot_code} is left unsold, and the parts must add up to all of it. Each part becomes a new lot with its own code and label.
+                                  </p>
+                                  <div className="flex justify-end space-x-3">
+                                    <button
+                                      type="button"
+                                      onClick={() => setSplitting(prev => ({ ...prev, parts: [...prev.parts, ""] }))}
+                                      className={secondaryButtonClass}
+                                    >
+                                      Add Part
+                                    </button>
+                                    <button type="button" onClick={() => setSplitting(null)} className={secondaryButtonClass}>
+                                      Cancel
+                                    </button>
+                                    <button
+                                      type="submit"
+                                      disabled={saving}
+                                      className="px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+                                    >
+                                      Split Lot
+                                    </button>
+                                  </div>
+                                </form>
+                              </td>
+                            </tr>
+                          )}
+                        </React.Fragment>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default CoffeeLots;
@@ -0,0 +1,545 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { useTheme } from "../lib/ThemeContext";
+import { useAuth } from "../lib/AuthProvider";
+import { toast } from 'react-toastify';
+import Layout from '../components/Layout';
+import { gradeLabel } from '../lib/gradingSamples';
+import {
+  SCORED_ATTRIBUTES,
+  SCORE_RANGE,
+  CUP_ATTRIBUTES,
+  DEFECT_INTENSITIES,
+  CALIBRATION_TOLERANCE_PTS,
+  qualityClass,
+  validateScoreSheet,
+  calculateFinalScore,
+  summarizeLots,
+  calibrateSession,
+  fetchCuppingSessions,
+  fetchCuppableLots,
+  createCuppingSession,
+  deleteCuppingSession,
+  addLotToSession,
+  removeLotFromSession,
+  saveScoreSheet,
+  deleteScoreSheet
+} from '../lib/cupping';
+
+const emptySessionForm = () => ({
+  name: "",
+  held_on: new Date().toISOString().split('T')[0],
+  cups_per_sample: "5",
+  notes: "",
+});
+
+// A fresh sheet starts at the bottom of the scale with every cup earning its points
+const emptySheet = (cupsPerSample, cuppingLotId = "", cupperName = "") => ({
+  score_id: null,
+  cupping_lot_id: cuppingLotId,
+  cupper_name: cupperName,
+  ...Object.fromEntries(SCORED_ATTRIBUTES.map(({ key }) => [key, String(SCORE_RANGE.min)])),
+  ...Object.fromEntries(CUP_ATTRIBUTES.map(({ key }) => [key, String(cupsPerSample)])),
+  ...Object.fromEntries(DEFECT_INTENSITIES.map(({ key }) => [key, "0"])),
+  notes: "",
+});
+
+const toSheet = (score) => ({
+  ...Object.fromEntries(Object.entries(score).map(([key, value]) => [key, value === null ? "" : String(value)])),
+  score_id: score.score_id,
+});
+
+// Blind labels run A, B, C...; past Z they are numbered
+const nextLabel = (cuppingLots) => {
+  const used = new Set(cuppingLots.map(cuppingLot => cuppingLot.label));
+  for (let i = 0; ; i++) {
+    const label = i < 26 ? String.fromCharCode(65 + i) : String(i + 1);
+    if (!used.has(label)) return label;
+  }
+};
+
+const formatBias = (points) => `${points > 0 ? '+' : ''}${points.toFixed(2)}`;
+
+const CuppingSessions = () => {
+  const { isDarkMode } = useTheme();
+  const { user } = useAuth();
+  const [sessions, setSessions] = useState(null);
+  const [lots, setLots] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [sessionForm, setSessionForm] = useState(null);
+  const [lotForm, setLotForm] = useState({ lot_id: "", label: "" });
+  const [sheet, setSheet] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadSessions = useCallback(() => fetchCuppingSessions()
+    .then(setSessions)
+    .catch(error => toast.error(`Error loading cupping sessions: ${error.message}`)), []);
+
+  useEffect(() => {
+    loadSessions();
+    fetchCuppableLots()
+      .then(setLots)
+      .catch(error => toast.error(`Error loading lots: ${error.message}`));
+  }, [loadSessions]);
+
+  const session = sessions?.find(s => s.session_id === selectedId) || null;
+  const cuppingLots = session?.cupping_lots || [];
+  const cuppers = [...new Set(cuppingLots.flatMap(cuppingLot => (cuppingLot.cupping_scores || []).map(score => score.cupper_name)))].sort();
+  const results = summarizeLots(cuppingLots);
+  const calibration = calibrateSession(cuppingLots);
+  const lotById = Object.fromEntries(lots.map(lot => [lot.lot_id, lot]));
+  const openLots = lots.filter(lot => !cuppingLots.some(cuppingLot => cuppingLot.lot_id === lot.lot_id));
+
+  const sheetProblem = sheet && session ? validateScoreSheet(sheet, session.cups_per_sample) : null;
+  const sheetScore = sheet && session && !sheetProblem ? calculateFinalScore(sheet, session.cups_per_sample) : null;
+
+  const selectSession = (sessionId) => {
+    const chosen = sessions.find(s => s.session_id === sessionId);
+    setSelectedId(sessionId);
+    setLotForm({ lot_id: "", label: nextLabel(chosen.cupping_lots) });
+    setSheet(emptySheet(chosen.cups_per_sample, chosen.cupping_lots[0]?.cupping_lot_id || ""));
+  };
+
+  const handleCreateSession = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const created = await createCuppingSession(sessionForm, user?.id);
+      toast.success(`${created.name} created.`);
+      setSessionForm(null);
+      setSessions(prev => [{ ...created, cupping_lots: [] }, ...(prev || [])]);
+      setSelectedId(created.session_id);
+      setLotForm({ lot_id: "", label: nextLabel([]) });
+      setSheet(emptySheet(created.cups_per_sample));
+    } catch (error) {
+      console.error("Error creating cupping session:", error);
+      toast.error(`Error creating cupping session: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteSession = async () => {
+    if (!window.confirm(`Delete ${session.name} with all its score sheets?`)) return;
+    try {
+      await deleteCuppingSession(session.session_id);
+      toast.success(`${session.name} deleted.`);
+      setSelectedId(null);
+      setSheet(null);
+      await loadSessions();
+    } catch (error) {
+      toast.error(`Error deleting cupping session: ${error.message}`);
+    }
+  };
+
+  const handleAddLot = async (e) => {
+    e.preventDefault();
+    if (!lotForm.lot_id) {
+      toast.warning("Choose a lot to put on the table.");
+      return;
+    }
+    try {
+      const added = await addLotToSession(session.session_id, lotForm.lot_id, lotForm.label);
+      const updated = [...cuppingLots, added];
+      await loadSessions();
+      setLotForm({ lot_id: "", label: nextLabel(updated) });
+      if (!sheet.cupping_lot_id) setSheet(prev => ({ ...prev, cupping_lot_id: added.cupping_lot_id }));
+    } catch (error) {
+      console.error("Error adding lot to session:", error);
+      toast.error(`Error adding lot: ${error.message}`);
+    }
+  };
+
+  const handleRemoveLot = async (cuppingLot) => {
+    const sheets = cuppingLot.cupping_scores?.length || 0;
+    if (!window.confirm(`Take cup ${cuppingLot.label} off the table${sheets > 0 ? ` with its ${sheets} score sheet${sheets === 1 ? '' : 's'}` : ''}?`)) return;
+    try {
+      await removeLotFromSession(cuppingLot.cupping_lot_id);
+      if (sheet?.cupping_lot_id === cuppingLot.cupping_lot_id) setSheet(emptySheet(session.cups_per_sample));
+      await loadSessions();
+    } catch (error) {
+      toast.error(`Error removing lot: ${error.message}`);
+    }
+  };
+
+  const handleSheetChange = (e) => {
+    const { name, value } = e.target;
+    setSheet(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSaveSheet = async (e) => {
+    e.preventDefault();
+    if (!sheet.cupping_lot_id) {
+      toast.warning("Choose the cup this sheet is for.");
+      return;
+    }
+    if (sheetProblem) {
+      toast.warning(sheetProblem);
+      return;
+    }
+    setSaving(true);
+    try {
+      const saved = await saveScoreSheet(sheet.cupping_lot_id, sheet, session.cups_per_sample, user?.id);
+      toast.success(`Sheet saved: ${saved.final_score} points.`);
+      // Ready for the same cupper's next cup
+      const index = cuppingLots.findIndex(cuppingLot => cuppingLot.cupping_lot_id === sheet.cupping_lot_id);
+      const next = cuppingLots[index + 1]?.cupping_lot_id || sheet.cupping_lot_id;
+      setSheet(emptySheet(session.cups_per_sample, next, saved.cupper_name));
+      await loadSessions();
+    } catch (error) {
+      console.error("Error saving score sheet:", error);
+      toast.error(`Error saving score sheet: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteSheet = async () => {
+    if (!window.confirm(`Delete ${sheet.cupper_name}'s sheet for this cup?`)) return;
+    try {
+      await deleteScoreSheet(sheet.score_id);
+      setSheet(emptySheet(session.cups_per_sample, sheet.cupping_lot_id));
+      await loadSessions();
+    } catch (error) {
+      toast.error(`Error deleting score sheet: ${error.message}`);
+    }
+  };
+
+  const cardClass = `p-6 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`;
+  const headingClass = `text-xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`;
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+  const labelClass = `block text-sm font-medium mb-1 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const inputClass = `w-full px-3 py-2 rounded-lg border text-sm ${
+    isDarkMode
+      ? 'bg-gray-700 border-gray-600 text-white focus:border-green-500'
+      : 'bg-white border-gray-300 text-gray-900 focus:border-green-500'
+  }`;
+  const headerCellClass = `px-3 py-2 text-left font-medium ${mutedClass}`;
+  const cellClass = `px-3 py-2 ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`;
+  const rowClass = `border-t ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`;
+  const linkButtonClass = `text-sm ${isDarkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'}`;
+  const primaryButtonClass = "px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white disabled:opacity-50";
+
+  return (
+    <Layout>
+      <div className="flex-1 overflow-auto">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          {/* Header */}
+          <div className={`mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6`}>
+            <div className="flex items-center justify-between">
+              <div>
+                <h2 className={`text-3xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                  Cupping
+                </h2>
+                <p className={`mt-2 text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+                  Score farmers' lots on the SCA cupping form and see how closely the panel agrees.
+                </p>
+              </div>
+              <button onClick={() => setSessionForm(emptySessionForm())} className={primaryButtonClass}>
+                New Session
+              </button>
+            </div>
+          </div>
+
+          {sessionForm && (
+            <form onSubmit={handleCreateSession} className={`${cardClass} mb-6`}>
+              <h3 className={`${headingClass} mb-4`}>New session</h3>
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <div className="md:col-span-2">
+                  <label className={labelClass}>Name</label>
+                  <input
+                    value={sessionForm.name}
+                    onChange={(e) => setSessionForm(prev => ({ ...prev, name: e.target.value }))}
+                    className={inputClass}
+                    placeholder="October harvest cupping"
+                    required
+                  />
+                </div>
+                <div>
+                  <label className={labelClass}>Held on</label>
+                  <input type="date" value={sessionForm.held_on} onChange={(e) => setSessionForm(prev => ({ ...prev, held_on: e.target.value }))} className={inputClass} required />
+                </div>
+                <div>
+                  <label className={labelClass}>Cups per lot</label>
+                  <input type="number" min="1" max="10" step="1" value={sessionForm.cups_per_sample} onChange={(e) => setSessionForm(prev => ({ ...prev, cups_per_sample: e.target.value }))} className={inputClass} required />
+                </div>
+                <div className="md:col-span-4">
+                  <label className={labelClass}>Notes</label>
+                  <input value={sessionForm.notes} onChange={(e) => setSessionForm(prev => ({ ...prev, notes: e.target.value }))} className={inputClass} placeholder="Roast level, water, panel" />
+                </div>
+              </div>
+              <div className="mt-4 flex justify-end space-x-2">
+                <button type="button" onClick={() => setSessionForm(null)} className={linkButtonClass}>Cancel</button>
+                <button type="submit" disabled={saving} className={primaryButtonClass}>Create Session</button>
+              </div>
+            </form>
+          )}
+
+          {!sessions ? (
+            <p className={isDarkMode ? 'text-gray-300' : 'text-gray-600'}>Loading cupping sessions...</p>
+          ) : (
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+              {/* Session list */}
+              <div className="space-y-3">
+                {sessions.length === 0 && (
+                  <div className={cardClass}>
+                    <p className={`text-sm ${mutedClass}`}>No cupping sessions yet.</p>
+                  </div>
+                )}
+                {sessions.map(s => {
+                  const scored = summarizeLots(s.cupping_lots).filter(result => result.score !== null);
+                  return (
+                    <button
+                      key={s.session_id}
+                      onClick={() => selectSession(s.session_id)}
+                      className={`w-full text-left p-4 rounded-lg shadow transition-colors ${
+                        s.session_id === selectedId
+                          ? (isDarkMode ? 'bg-green-900' : 'bg-green-50')
+                          : (isDarkMode ? 'bg-gray-800 hover:bg-gray-700' : 'bg-white hover:bg-gray-50')
+                      }`}
+                    >
+                      <p className={`font-medium ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>{s.name}</p>
+                      <p className={`text-sm ${mutedClass}`}>
+                        {new Date(s.held_on).toLocaleDateString()} · {s.cupping_lots.length} lot{s.cupping_lots.length === 1 ? '' : 's'}
+                        {scored.length > 0 && ` · best ${Math.max(...scored.map(result => result.score)).toFixed(2)}`}
+                      </p>
+                    </button>
+                  );
+                })}
+              </div>
+
+              {!session ? (
+                <div className={`${cardClass} lg:col-span-2`}>
+                  <p className={`text-sm ${mutedClass}`}>Choose a session to put lots on the table and record score sheets.</p>
+                </div>
+              ) : (
+                <div className="lg:col-span-2 space-y-6">
+                  {/* Lots on the table */}
+                  <div className={cardClass}>
+                    <div className="flex items-start justify-between">
+                      <div>
+                        <h3 className={headingClass}>{session.name}</h3>
+                        <p className={`text-sm ${mutedClass}`}>
+                          {new Date(session.held_on).toLocaleDateString()} · {session.cups_per_sample} cups per lot
+                          {session.notes && ` · ${session.notes}`}
+                        </p>
+                      </div>
+                      <button onClick={handleDeleteSession} className="text-sm text-red-500 hover:text-red-600">Delete Session</button>
+                    </div>
+
+                    <table className="min-w-full text-sm mt-4">
+                      <thead>
+                        <tr>
+                          {['Cup', 'Lot', 'Farmer', 'Grade', 'Sheets', ''].map(heading => <th key={heading} className={headerCellClass}>{heading}</th>)}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {cuppingLots.map(cuppingLot => (
+                          <tr key={cuppingLot.cupping_lot_id} className={rowClass}>
+                            <td className={`${cellClass} font-semibold`}>{cuppingLot.label}</td>
+                            <td className={`${cellClass} font-mono`}>{cuppingLot.coffee_lots?.lot_code}</td>
+                            <td className={cellClass}>{lotById[cuppingLot.lot_id]?.farmerName || '—'}</td>
+                            <td className={cellClass}>{cuppingLot.coffee_lots?.grade ? gradeLabel(cuppingLot.coffee_lots.grade) : 'Mixed'}</td>
+                            <td className={cellClass}>{cuppingLot.cupping_scores?.length || 0}</td>
+                            <td className={`${cellClass} text-right`}>
+                              <button onClick={() => handleRemoveLot(cuppingLot)} className="text-sm text-red-500 hover:text-red-600">Remove</button>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    {cuppingLots.length === 0 && <p className={`text-sm mt-2 ${mutedClass}`}>No lots on the table yet.</p>}
+
+                    <form onSubmit={handleAddLot} className="mt-4 flex items-end space-x-2">
+                      <div className="flex-1">
+                        <label className={labelClass}>Lot</label>
+                        <select value={lotForm.lot_id} onChange={(e) => setLotForm(prev => ({ ...prev, lot_id: e.target.value }))} className={inputClass}>
+                          <option value="">Choose an active lot</option>
+                          {openLots.map(lot => (
+                            <option key={lot.lot_id} value={lot.lot_id}>
+                              {lot.lot_code} · {lot.farmerName} · {lot.grade ? gradeLabel(lot.grade) : 'Mixed'} · {lot.quantity_kg} kg
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="w-24">
+                        <label className={labelClass}>Cup label</label>
+                        <input value={lotForm.label} onChange={(e) => setLotForm(prev => ({ ...prev, label: e.target.value }))} className={inputClass} />
+                      </div>
+                      <button type="submit" className={primaryButtonClass}>Add Lot</button>
+                    </form>
+                  </div>
+
+                  {/* Score sheet */}
+                  {cuppingLots.length > 0 && sheet && (
+                    <form onSubmit={handleSaveSheet} className={cardClass}>
+                      <h3 className={`${headingClass} mb-4`}>{sheet.score_id ? `Edit ${sheet.cupper_name}'s sheet` : 'Score sheet'}</h3>
+                      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                        <div>
+                          <label className={labelClass}>Cup</label>
+                          <select name="cupping_lot_id" value={sheet.cupping_lot_id} onChange={handleSheetChange} className={inputClass} disabled={!!sheet.score_id}>
+                            <option value="">Choose a cup</option>
+                            {cuppingLots.map(cuppingLot => <option key={cuppingLot.cupping_lot_id} value={cuppingLot.cupping_lot_id}>{cuppingLot.label}</option>)}
+                          </select>
+                        </div>
+                        <div>
+                          <label className={labelClass}>Cupper</label>
+                          <input name="cupper_name" value={sheet.cupper_name} onChange={handleSheetChange} list="cupping-cuppers" className={inputClass} placeholder="Name" />
+                          <datalist id="cupping-cuppers">
+                            {cuppers.map(name => <option key={name} value={name} />)}
+                          </datalist>
+                        </div>
+                        {SCORED_ATTRIBUTES.map(({ key, label }) => (
+                          <div key={key}>
+                            <label className={labelClass}>{label}</label>
+                            <input
+                              type="number"
+                              name={key}
+                              min={SCORE_RANGE.min}
+                              max={SCORE_RANGE.max}
+                              step={SCORE_RANGE.step}
+                              value={sheet[key]}
+                              onChange={handleSheetChange}
+                              className={inputClass}
+                            />
+                          </div>
+                        ))}
+                      </div>
+
+                      <p className={`text-sm mt-4 mb-2 ${mutedClass}`}>
+                        Cups out of {session.cups_per_sample} earning each attribute, and cups with a taint (−2) or fault (−4)
+                      </p>
+                      <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+                        {[...CUP_ATTRIBUTES, ...DEFECT_INTENSITIES].map(({ key, label }) => (
+                          <div key={key}>
+                            <label className={labelClass}>{label}</label>
+                            <input type="number" name={key} min="0" max={session.cups_per_sample} step="1" value={sheet[key]} onChange={handleSheetChange} className={inputClass} />
+                          </div>
+                        ))}
+                      </div>
+
+                      <div className="mt-4">
+                        <label className={labelClass}>Notes</label>
+                        <input name="notes" value={sheet.notes} onChange={handleSheetChange} className={inputClass} placeholder="Flavor notes" />
+                      </div>
+
+                      <div className="mt-4 flex items-center justify-between">
+                        <p className={`text-sm ${sheetProblem ? 'text-red-500' : (isDarkMode ? 'text-gray-200' : 'text-gray-800')}`}>
+                          {sheetProblem || (
+                            <>
+                              Final score <span className="text-lg font-bold">{sheetScore.final.toFixed(2)}</span>{' '}
+                              ({qualityClass(sheetScore.final)}) = {sheetScore.attributes} + {sheetScore.cups} − {sheetScore.defects}
+                            </>
+                          )}
+                        </p>
+                        <div className="flex items-center space-x-3">
+                          {sheet.score_id && (
+                            <>
+                              <button type="button" onClick={handleDeleteSheet} className="text-sm text-red-500 hover:text-red-600">Delete</button>
+                              <button type="button" onClick={() => setSheet(emptySheet(session.cups_per_sample, sheet.cupping_lot_id))} className={linkButtonClass}>
+                                New Sheet
+                              </button>
+                            </>
+                          )}
+                          <button type="submit" disabled={saving} className={primaryButtonClass}>
+                            {saving ? 'Saving...' : 'Save Sheet'}
+                          </button>
+                        </div>
+                      </div>
+                    </form>
+                  )}
+
+                  {/* Results */}
+                  {cuppers.length > 0 && (
+                    <div className={cardClass}>
+                      <h3 className={`${headingClass} mb-1`}>Results</h3>
+                      <p className={`text-sm mb-4 ${mutedClass}`}>Click a score to open the sheet. Spread is the standard deviation of the cuppers' scores.</p>
+                      <div className="overflow-x-auto">
+                        <table className="min-w-full text-sm">
+                          <thead>
+                            <tr>
+                              <th className={headerCellClass}>Cup</th>
+                              {cuppers.map(name => <th key={name} className={headerCellClass}>{name}</th>)}
+                              <th className={headerCellClass}>Panel</th>
+                              <th className={headerCellClass}>Spread</th>
+                              <th className={headerCellClass}>Class</th>
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {cuppingLots.map((cuppingLot, index) => (
+                              <tr key={cuppingLot.cupping_lot_id} className={rowClass}>
+                                <td className={`${cellClass} font-semibold`}>{cuppingLot.label}</td>
+                                {cuppers.map(name => {
+                                  const score = cuppingLot.cupping_scores?.find(s => s.cupper_name === name);
+                                  return (
+                                    <td key={name} className={cellClass}>
+                                      {score ? (
+                                        <button onClick={() => setSheet(toSheet(score))} className={linkButtonClass}>
+                                          {Number(score.final_score).toFixed(2)}
+                                        </button>
+                                      ) : '—'}
+                                    </td>
+                                  );
+                                })}
+                                <td className={`${cellClass} font-semibold`}>{results[index].score?.toFixed(2) ?? '—'}</td>
+                                <td className={cellClass}>{results[index].spread?.toFixed(2) ?? '—'}</td>
+                                <td className={cellClass}>{results[index].quality || '—'}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    </div>
+                  )}
+
+                  {/* Calibration */}
+                  {cuppers.length > 1 && (
+                    <div className={cardClass}>
+                      <h3 className={`${headingClass} mb-1`}>Calibration</h3>
+                      <p className={`text-sm mb-4 ${mutedClass}`}>
+                        How far each cupper scored from the panel's median on the cups several cuppers scored.
+                        Cuppers more than {CALIBRATION_TOLERANCE_PTS} points off on average are flagged.
+                      </p>
+                      {calibration.length === 0 ? (
+                        <p className={`text-sm ${mutedClass}`}>No cup has been scored by two cuppers yet.</p>
+                      ) : (
+                        <table className="min-w-full text-sm">
+                          <thead>
+                            <tr>
+                              {['Cupper', 'Cups', 'Bias', 'Mean deviation', 'Furthest off on', ''].map(heading => <th key={heading} className={headerCellClass}>{heading}</th>)}
+                            </tr>
+                          </thead>
+                          <tbody>
+                            {calibration.map(entry => (
+                              <tr key={entry.cupper} className={rowClass}>
+                                <td className={`${cellClass} font-medium`}>{entry.cupper}</td>
+                                <td className={cellClass}>{entry.sheets}</td>
+                                <td className={cellClass}>{formatBias(entry.biasPts)}</td>
+                                <td className={cellClass}>{entry.meanDeviationPts.toFixed(2)}</td>
+                                <td className={cellClass}>
+                                  {entry.widestAttribute ? `${entry.widestAttribute.label} (${formatBias(entry.widestAttribute.biasPts)})` : '—'}
+                                </td>
+                                <td className={cellClass}>
+                                  {entry.outOfLine && (
+                                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${isDarkMode ? 'bg-yellow-900 text-yellow-200' : 'bg-yellow-100 text-yellow-800'}`}>
+                                      Recalibrate
+                                    </span>
+                                  )}
+                                </td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default CuppingSessions;
@@ -4,6 +4,16 @@ import { useNavigate, useLocation } from "react-router-dom";
 import { supabase } from "../lib/supabaseClient";
 import { useTheme } from "../lib/ThemeContext";
 import Layout from '../components/Layout';
+import PestRiskPanel from '../components/PestRiskPanel';
+import ConditionOutlook from '../components/analytics/ConditionOutlook';
+import { fetchFarmConditions } from '../lib/conditionModelService';
+import { summarizeHarvests } from '../lib/harvestMetrics';
+import { fetchStatusHistory, groupSeriesByPlant } from '../lib/plantStatusService';
+import { generateFarmRecommendations } from '../lib/farmRecommendations';
+import { evaluateRules, getDssRules, plantFacts } from '../lib/dssRules';
+import { describeVariety, getVariety, predominantVariety } from '../lib/coffeeVarieties';
+import { notifyRecommendationChanges } from '../lib/notifications';
+import { GROWTH_STAGES, FERTILIZER_PRODUCTS, getNitrogenSource, getLimeRate } from '../lib/fertilizationPlanner';
 import { Bar } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
@@ -39,6 +49,8 @@ const DSSRecommendations = () => {
   const [gradeDistribution, setGradeDistribution] = useState(null);
   const [recommendations, setRecommendations] = useState([]);
   const [selectedPlant, setSelectedPlant] = useState(null);
+  const [farmConditions, setFarmConditions] = useState(null);
+  const [dssRules, setDssRules] = useState([]);
 
   // DSS Input States
   const [soilType, setSoilType] = useState("");
@@ -99,11 +111,10 @@ const DSSRecommendations = () => {
       if (!harvestError && harvests) {
         // Calculate yield statistics
         const totalTrees = plantData.reduce((sum, p) => sum + (p.number_of_tree_planted || 0), 0);
-        const totalRawYield = harvests.reduce((sum, h) => sum + (h.coffee_raw_quantity || 0), 0);
-        const totalDryYield = harvests.reduce((sum, h) => sum + (h.coffee_dry_quantity || 0), 0);
-        const premiumGrade = harvests.reduce((sum, h) => sum + (h.coffee_premium_grade || 0), 0);
-        const fineGrade = harvests.reduce((sum, h) => sum + (h.coffee_fine_grade || 0), 0);
-        const commercialGrade = harvests.reduce((sum, h) => sum + (h.coffee_commercial_grade || 0), 0);
+        const totals = summarizeHarvests(harvests);
+        const totalRawYield = totals.rawKg;
+        const totalDryYield = totals.dryKg;
+        const { premium: premiumGrade, fine: fineGrade, commercial: commercialGrade } = totals.gradeKg;
 
         // Calculate averages and percentages
         const yieldPerTree = totalTrees > 0 ? totalDryYield / totalTrees : 0;
@@ -136,17 +147,22 @@ const DSSRecommendations = () => {
           .single();
 
         // Generate recommendations
-        const recs = generateRecommendations({
+        const rules = await getDssRules();
+        setDssRules(rules);
+        const recs = generateFarmRecommendations({
           yieldPerTree,
           premiumPercentage,
           totalTrees,
           farmSize: farmerDetails?.farm_size,
           elevation: farmerDetails?.farm_elevation,
           harvestCount: harvests.length,
-          totalDryYield
-        });
+          totalDryYield,
+          variety: predominantVariety(plantData)
+        }, rules);
 
         setRecommendations(recs);
+        notifyRecommendationChanges([{ userId: authUser.id, recommendations: recs }])
+          .catch(notifyError => console.error('Error recording recommendation changes:', notifyError));
       }
       
       setLoading(false);
@@ -154,21 +170,21 @@ const DSSRecommendations = () => {
     fetchUserAndPlants();
   }, [navigate]);
 
-  // Fetch latest status for each plant
+  // Current conditions for the ripeness and pest-incidence forecast
+  useEffect(() => {
+    if (!user) return;
+    fetchFarmConditions(user.id)
+      .then(setFarmConditions)
+      .catch(() => setFarmConditions({ month: new Date().getMonth() + 1 }));
+  }, [user]);
+
+  // Fetch the latest effective status of each plant, so corrected observations don't show
   useEffect(() => {
     const fetchStatuses = async () => {
-      const newStatuses = {};
-      for (const plant of plants) {
-        const { data, error } = await supabase
-          .from('plant_status')
-          .select('*')
-          .eq('plant_id', plant.plant_id)
-          .order('created_at', { ascending: false })
-          .limit(1)
-          .single();
-        if (!error && data) newStatuses[plant.plant_id] = data;
-      }
-      setStatuses(newStatuses);
+      const statusRows = await fetchStatusHistory(plants.map(plant => plant.plant_id)).catch(() => []);
+      setStatuses(Object.fromEntries(
+        Object.entries(groupSeriesByPlant(statusRows)).map(([plantId, series]) => [plantId, series[series.length - 1]])
+      ));
     };
     if (plants.length > 0) fetchStatuses();
   }, [plants]);
@@ -200,6 +216,13 @@ const DSSRecommendations = () => {
     };
   }, []);
 
+  const farmVariety = predominantVariety(plants);
+
+  // Plant rules that fire on the farm's soil pH alone, when it is known, for its main variety
+  const soilPhRules = () => (recommendationContext.soilPH
+    ? evaluateRules(dssRules, 'plant', { soilPh: recommendationContext.soilPH, species: farmVariety.species, variety: farmVariety })
+    : []);
+
   // Enhanced recommendation weights with dynamic adjustment
   const getRecommendationWeights = () => {
     const baseWeights = {
@@ -227,14 +250,12 @@ const DSSRecommendations = () => {
       adjustedWeights.waterManagement -= 0.05;
     }
 
-    // Adjust based on soil pH if available
-    if (recommendationContext.soilPH) {
-      if (recommendationContext.soilPH < 5.5 || recommendationContext.soilPH > 6.5) {
-        adjustedWeights.soilManagement += 0.05;
-        adjustedWeights.fertilization += 0.05;
-        adjustedWeights.pruning -= 0.05;
-        adjustedWeights.harvestTiming -= 0.05;
-      }
+    // Adjust when a soil pH rule fires for the farm's pH
+    if (soilPhRules().length > 0) {
+      adjustedWeights.soilManagement += 0.05;
+      adjustedWeights.fertilization += 0.05;
+      adjustedWeights.pruning -= 0.05;
+      adjustedWeights.harvestTiming -= 0.05;
     }
 
     return adjustedWeights;
@@ -310,8 +331,9 @@ const DSSRecommendations = () => {
 
     // Enhanced soil management analysis
     if (soilType === "loamy") {
-      if (recommendationContext.soilPH && recommendationContext.soilPH < 5.5) {
-        recommendations.push("Apply agricultural lime to raise soil pH.");
+      const acidic = soilPhRules().find(rule => rule.key === 'soil_ph_acidic');
+      if (acidic) {
+        recommendations.push(`${acidic.action}.`);
         score += 0.9;
       }
       recommendations.push("Maintain soil organic matter through regular composting.");
@@ -415,6 +437,19 @@ const DSSRecommendations = () => {
       score += 0.5;
     }
 
+    // Yearly rates from the fertilization planner, which dates them per plant batch
+    const stageKey = { young: "young", mature: "bearing", old: "old" }[plantAge];
+    const stage = GROWTH_STAGES.find(s => s.key === stageKey);
+    if (stage) {
+      const nitrogen = FERTILIZER_PRODUCTS[getNitrogenSource(recommendationContext.soilPH)].label;
+      recommendations.push(`Target ${stage.n} g N, ${stage.p} g P₂O₅ and ${stage.k} g K₂O per tree per year, topping up nitrogen with ${nitrogen}. The Fertilization Planner splits this into dated applications for each batch.`);
+      score += 0.3;
+    }
+    const limeRate = getLimeRate(recommendationContext.soilPH);
+    if (limeRate > 0) {
+      recommendations.push(`Apply about ${limeRate} g of agricultural lime per tree a month before fertilizing.`);
+    }
+
     return { recommendations, score };
   };
 
@@ -520,24 +555,14 @@ const DSSRecommendations = () => {
 
   const navLinks = user?.role === "admin" ? adminLinks : farmerLinks;
 
-  // DSS logic per plant (simple example, you can expand)
-  const getRecommendationsForPlant = (status) => {
+  // DSS logic per plant, from the plant-scope rules
+  const getRecommendationsForPlant = (plant, status) => {
     if (!status) return ["No status data available. Please update plant status."];
-    const recs = [];
-    if (status.status === 'healthy') {
-      recs.push("Maintain regular care and monitoring.");
-    } else if (status.status === 'diseased') {
-      recs.push("Apply appropriate disease management practices.");
-    } else if (status.status === 'pest-affected') {
-      recs.push("Implement pest control measures immediately.");
-    } else {
-      recs.push("Monitor plant closely and update status regularly.");
-    }
-    if (status.soil_ph && (status.soil_ph < 5.5 || status.soil_ph > 6.5)) {
-      recs.push("Adjust soil pH to optimal range (5.5-6.5) for coffee.");
-    }
-    if (status.moisture_level === 'dry') {
-      recs.push("Increase irrigation or mulching to retain soil moisture.");
+    const recs = evaluateRules(dssRules, 'plant', plantFacts({ plant, status })).map(rule => `${rule.action}.`);
+    if (recs.length === 0) {
+      recs.push(status.status === 'healthy'
+        ? "Maintain regular care and monitoring."
+        : "Monitor plant closely and update status regularly.");
     }
     return recs;
   };
@@ -569,79 +594,6 @@ const DSSRecommendations = () => {
     }
   };
 
-  // Generate recommendations based on metrics
-  const generateRecommendations = ({
-    yieldPerTree,
-    premiumPercentage,
-    totalTrees,
-    farmSize,
-    elevation,
-    harvestCount,
-    totalDryYield
-  }) => {
-    const recommendations = [];
-
-    // Yield-based recommendations
-    if (yieldPerTree < 2) {
-      recommendations.push({
-        type: 'critical',
-        category: 'Yield',
-        issue: 'Low yield per tree',
-        action: 'Implement proper fertilization and pruning techniques',
-        impact: 'Potential 20-30% yield increase'
-      });
-    }
-
-    // Quality-based recommendations
-    if (premiumPercentage < 30) {
-      recommendations.push({
-        type: 'high',
-        category: 'Quality',
-        issue: 'Low premium grade percentage',
-        action: 'Improve cherry selection and processing methods',
-        impact: 'Increase premium grade ratio by 15-20%'
-      });
-    }
-
-    // Farm utilization recommendations
-    if (farmSize && totalTrees) {
-      const treeDensity = totalTrees / farmSize;
-      if (treeDensity < 1000) {
-        recommendations.push({
-          type: 'medium',
-          category: 'Farm Utilization',
-          issue: 'Low tree density',
-          action: 'Consider planting more trees in available space',
-          impact: 'Optimize land usage and increase total yield'
-        });
-      }
-    }
-
-    // Harvest frequency recommendations
-    if (harvestCount < 2 && totalDryYield > 0) {
-      recommendations.push({
-        type: 'high',
-        category: 'Harvest Management',
-        issue: 'Low harvest frequency',
-        action: 'Implement regular harvest schedules',
-        impact: 'Better yield distribution and quality control'
-      });
-    }
-
-    // Elevation-based recommendations
-    if (elevation < 1000) {
-      recommendations.push({
-        type: 'medium',
-        category: 'Environment',
-        issue: 'Low elevation farming',
-        action: 'Implement shade management techniques',
-        impact: 'Improve coffee quality and plant health'
-      });
-    }
-
-    return recommendations;
-  };
-
   // Handle plant click
   const handlePlantClick = (plant) => {
     navigate(`/plant-status/${plant.plant_id}`);
@@ -692,6 +644,9 @@ const DSSRecommendations = () => {
                   <p className={`text-3xl font-bold mt-2 ${isDarkMode ? 'text-indigo-400' : 'text-indigo-600'}`}>
                     {yieldStats.yieldPerTree.toFixed(2)} kg
                   </p>
+                  <p className={`text-sm mt-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    About {farmVariety.yieldPerTree} kg expected of {farmVariety.name}
+                  </p>
                 </div>
                 <div className={`p-6 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
                   <h3 className={`text-lg font-semibold ${isDarkMode ? 'text-gray-200' : 'text-gray-700'}`}>
@@ -837,6 +792,20 @@ const DSSRecommendations = () => {
               </div>
             )}
 
+            {/* Pest & Disease Risk Section */}
+            {user && <PestRiskPanel farmerId={user.id} />}
+
+            {/* Ripeness & Pest Incidence Forecast Section */}
+            <div className={`${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6 mb-8`}>
+              <h3 className={`text-2xl font-semibold mb-2 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                Ripeness & Pest Incidence Forecast
+              </h3>
+              <p className={`text-sm mb-6 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                Predicted for this month from your latest soil pH and the last 30 days of weather, using models trained on the cooperative's field records.
+              </p>
+              <ConditionOutlook conditions={farmConditions} />
+            </div>
+
             {/* Plants Section */}
             <div className={`${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6`}>
               <h3 className={`text-2xl font-semibold mb-6 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
@@ -875,6 +844,14 @@ const DSSRecommendations = () => {
                           <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
                             Planted: {new Date(plant.planting_date).toLocaleDateString()}
                           </p>
+                          <p className="text-xs mt-1 text-gray-500">
+                            {getVariety(plant.coffee_variety).name} grows best at {describeVariety(getVariety(plant.coffee_variety))}
+                          </p>
+                          {statuses[plant.plant_id] && (
+                            <ul className={`mt-2 text-sm list-disc list-inside ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                              {getRecommendationsForPlant(plant, statuses[plant.plant_id]).map(rec => <li key={rec}>{rec}</li>)}
+                            </ul>
+                          )}
                         </div>
                         {statuses[plant.plant_id] && (
                           <div className={`px-4 py-2 rounded-full text-sm font-medium
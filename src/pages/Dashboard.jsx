@@ -4,6 +4,7 @@ import { supabase } from "../lib/supabaseClient";
 import { useTheme } from "../lib/ThemeContext";
 import { useAuth } from "../lib/AuthProvider";
 import Layout from '../components/Layout';
+import { summarizeHarvests } from '../lib/harvestMetrics';
 
 // Import Chart.js components
 import { Chart as ChartJS, ArcElement, Tooltip, Legend, CategoryScale, LinearScale, PointElement, LineElement, Title } from 'chart.js';
@@ -16,7 +17,7 @@ const Dashboard = () => {
   const navigate = useNavigate();
   const location = useLocation();
   const { isDarkMode, toggleTheme } = useTheme();
-  const { user } = useAuth();
+  const { user, signOut } = useAuth();
   const [totalFarmers, setTotalFarmers] = useState(0);
   const [totalHarvests, setTotalHarvests] = useState(0); // This will now be total quantity
   const [totalPlants, setTotalPlants] = useState(0);     // This will now be total number of trees
@@ -67,6 +68,7 @@ const Dashboard = () => {
           // Harvest data
           supabase.from("harvest_data").select(`
             coffee_raw_quantity,
+            coffee_dry_quantity,
             coffee_fine_grade,
             coffee_premium_grade,
             coffee_commercial_grade,
@@ -107,8 +109,8 @@ const Dashboard = () => {
 
         // Process harvest data
         const harvestData = harvestResult.data;
-        const sumRawQuantity = harvestData.reduce((sum, harvest) => 
-          sum + (harvest.coffee_raw_quantity || 0), 0);
+        const harvestTotals = summarizeHarvests(harvestData);
+        const sumRawQuantity = harvestTotals.rawKg;
         setTotalHarvests(sumRawQuantity);
 
         // Process plant data
@@ -118,9 +120,7 @@ const Dashboard = () => {
         setTotalPlants(sumTotalTrees);
 
         // Process grade distribution data
-        const totalFine = harvestData.reduce((sum, h) => sum + (h.coffee_fine_grade || 0), 0);
-        const totalPremium = harvestData.reduce((sum, h) => sum + (h.coffee_premium_grade || 0), 0);
-        const totalCommercial = harvestData.reduce((sum, h) => sum + (h.coffee_commercial_grade || 0), 0);
+        const { fine: totalFine, premium: totalPremium, commercial: totalCommercial } = harvestTotals.gradeKg;
         const totalGrades = totalFine + totalPremium + totalCommercial;
 
         setGradeDistributionData({
@@ -204,7 +204,7 @@ const Dashboard = () => {
   }, [navigate, user]);
 
   const handleLogout = async () => {
-    await supabase.auth.signOut();
+    await signOut();
     navigate("/login");
   };
 
@@ -2,12 +2,14 @@ import { useEffect, useState } from "react";
 import { useNavigate, useLocation } from "react-router-dom";
 import { supabase } from "../lib/supabaseClient";
 import Papa from "papaparse";
+import { useAuth } from "../lib/AuthProvider";
 import "../styles/Styles.css";
 
 const DataEntry = () => {
   const navigate = useNavigate();
   const location = useLocation();
   const [user, setUser] = useState(null);
+  const { signOut } = useAuth();
   const [coffeeData, setCoffeeData] = useState([]);
   const [csvData, setCsvData] = useState([]);
   const [fileName, setFileName] = useState("");
@@ -236,7 +238,7 @@ const DataEntry = () => {
         <div className="user-info">
           {user && <span>{user.role} | {user.first_name} {user.last_name}</span>}
           {user && (
-            <button onClick={() => supabase.auth.signOut()} className="logout-btn">Logout</button>
+            <button onClick={() => signOut()} className="logout-btn">Logout</button>
           )}
         </div>
       </header>
@@ -0,0 +1,521 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { useTheme } from "../lib/ThemeContext";
+import { useAuth } from "../lib/AuthProvider";
+import { toast } from 'react-toastify';
+import Layout from '../components/Layout';
+import { supabase } from '../lib/supabaseClient';
+import { ACTION_METRICS } from '../lib/recommendationActions';
+import {
+  RULE_OPERATORS,
+  RULE_SCOPES,
+  RULE_SEVERITIES,
+  deleteDssRule,
+  describeCondition,
+  fetchDssRules,
+  previewRulesForFarmer,
+  saveDssRule,
+  validateRule
+} from '../lib/dssRules';
+import { VARIETY_RANGES, varietyValueRefs } from '../lib/coffeeVarieties';
+
+const SEVERITY_STYLES = {
+  critical: { dark: 'bg-red-900 text-red-200', light: 'bg-red-100 text-red-800' },
+  high: { dark: 'bg-orange-900 text-orange-200', light: 'bg-orange-100 text-orange-800' },
+  medium: { dark: 'bg-yellow-900 text-yellow-200', light: 'bg-yellow-100 text-yellow-800' },
+  low: { dark: 'bg-green-900 text-green-200', light: 'bg-green-100 text-green-800' }
+};
+
+const NEW_RULE = {
+  id: null,
+  key: '',
+  scope: 'farm',
+  enabled: true,
+  severity: 'medium',
+  category: '',
+  conditions: [{ field: '', op: 'lt', ref: '', value: '' }],
+  issue: '',
+  action: '',
+  impact: '',
+  metric: '',
+  penalty: '0',
+  position: null
+};
+
+// The draft keeps numbers as typed; the rule it stands for has them parsed
+const toDraft = (rule) => ({
+  ...rule,
+  metric: rule.metric || '',
+  penalty: String(rule.penalty ?? 0),
+  conditions: rule.conditions.map(c => ({
+    ...c,
+    ref: c.ref || '',
+    value: c.value === undefined ? '' : String(c.value),
+    min: c.min === undefined ? '' : String(c.min),
+    max: c.max === undefined ? '' : String(c.max)
+  }))
+});
+
+const fromDraft = (draft) => ({
+  ...draft,
+  key: draft.key.trim(),
+  metric: draft.metric || null,
+  conditions: draft.conditions.map(({ field, op, ref, value, min, max }) => {
+    const operator = RULE_OPERATORS[op];
+    if (ref && !operator?.text) return { field, op, ref };
+    if (operator?.range) return { field, op, min: parseFloat(min), max: parseFloat(max) };
+    if (operator?.text) return { field, op, value };
+    return { field, op, value: parseFloat(value) };
+  })
+});
+
+const DssRules = () => {
+  const { isDarkMode } = useTheme();
+  const { user } = useAuth();
+  const [rules, setRules] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [farmers, setFarmers] = useState([]);
+  const [previewFarmer, setPreviewFarmer] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+
+  const loadRules = useCallback(() => fetchDssRules()
+    .then(setRules)
+    .catch(error => toast.error(`Error loading DSS rules: ${error.message}`)), []);
+
+  useEffect(() => {
+    loadRules();
+    supabase
+      .from('users')
+      .select('id, first_name, last_name')
+      .eq('role', 'farmer')
+      .order('first_name')
+      .then(({ data, error }) => {
+        if (error) throw error;
+        setFarmers(data || []);
+      })
+      .catch(error => console.error('Error fetching farmers:', error));
+  }, [loadRules]);
+
+  const draftRule = draft ? fromDraft(draft) : null;
+  const errors = draftRule ? validateRule(draftRule, rules || []) : {};
+
+  // The saved rules with the draft in place of the rule it edits
+  const rulesWithDraft = () => {
+    if (!draftRule) return rules;
+    const others = rules.filter(rule => !draftRule.id || rule.id !== draftRule.id);
+    const position = draftRule.position ?? Math.max(0, ...rules.map(r => r.position || 0)) + 1;
+    return [...others, { ...draftRule, position, penalty: Number(draftRule.penalty) || 0 }];
+  };
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const updateCondition = (index, changes) => {
+    setDraft(prev => ({
+      ...prev,
+      conditions: prev.conditions.map((c, i) => (i === index ? { ...c, ...changes } : c))
+    }));
+  };
+
+  // A range and a single number refer to different variety targets
+  const handleOperatorChange = (index, op) => {
+    const condition = draft.conditions[index];
+    const sameKind = Boolean(RULE_OPERATORS[op]?.range) === Boolean(RULE_OPERATORS[condition.op]?.range);
+    updateCondition(index, { op, ref: sameKind ? condition.ref : '' });
+  };
+
+  // A new fact may take different comparisons; start text facts on "is"
+  const handleFieldChange = (index, fieldKey) => {
+    const field = RULE_SCOPES[draft.scope].fields[fieldKey];
+    const op = draft.conditions[index].op;
+    const fits = field && Boolean(field.options) === Boolean(RULE_OPERATORS[op]?.text);
+    updateCondition(index, {
+      field: fieldKey,
+      op: fits ? op : field?.options ? 'is' : 'lt',
+      ref: field?.options ? '' : draft.conditions[index].ref,
+      value: field?.options ? field.options[0] : fits ? draft.conditions[index].value : ''
+    });
+  };
+
+  const handleScopeChange = (scope) => {
+    updateDraft({ scope, conditions: [{ field: '', op: 'lt', ref: '', value: '' }], metric: '' });
+  };
+
+  const handleSave = async () => {
+    if (Object.keys(errors).length > 0) {
+      toast.warning(Object.values(errors)[0]);
+      return;
+    }
+    setSaving(true);
+    try {
+      await saveDssRule({ ...draftRule, penalty: Number(draftRule.penalty) || 0 }, rules, user?.id);
+      toast.success(`Rule ${draftRule.key} saved.`);
+      setDraft(null);
+      await loadRules();
+    } catch (error) {
+      console.error("Error saving DSS rule:", error);
+      toast.error(`Error saving DSS rule: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      await saveDssRule({ ...rule, enabled: !rule.enabled }, rules, user?.id);
+      await loadRules();
+    } catch (error) {
+      toast.error(`Error updating DSS rule: ${error.message}`);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the rule ${rule.key}? Its advice will no longer be given.`)) return;
+    try {
+      await deleteDssRule(rule.id);
+      toast.success(`Rule ${rule.key} deleted.`);
+      if (draft?.id === rule.id) setDraft(null);
+      await loadRules();
+    } catch (error) {
+      toast.error(`Error deleting DSS rule: ${error.message}`);
+    }
+  };
+
+  const handlePreview = async () => {
+    if (!previewFarmer) return;
+    setPreviewing(true);
+    try {
+      setPreview(await previewRulesForFarmer(previewFarmer, rulesWithDraft()));
+    } catch (error) {
+      toast.error(`Error testing rules: ${error.message}`);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const cardClass = `p-6 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`;
+  const headingClass = `text-xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`;
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+  const labelClass = `block text-sm font-medium mb-1 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const inputClass = `w-full px-3 py-2 rounded-lg border text-sm ${
+    isDarkMode
+      ? 'bg-gray-700 border-gray-600 text-white focus:border-green-500'
+      : 'bg-white border-gray-300 text-gray-900 focus:border-green-500'
+  }`;
+  const linkButtonClass = `text-sm ${isDarkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'}`;
+  const fieldError = (key) => errors[key] && <p className="mt-1 text-xs text-red-500">{errors[key]}</p>;
+
+  const renderResults = (results) => results.length === 0 ? (
+    <p className={`text-sm ${mutedClass}`}>No rules fire.</p>
+  ) : (
+    <ul className="space-y-1">
+      {results.map(result => (
+        <li key={result.key} className={`text-sm ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+          <span className={`px-2 mr-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+            isDarkMode ? SEVERITY_STYLES[result.severity].dark : SEVERITY_STYLES[result.severity].light
+          }`}>
+            {RULE_SEVERITIES[result.severity].label}
+          </span>
+          {draftRule?.key === result.key && <span className="mr-2 text-xs font-semibold text-indigo-500">DRAFT</span>}
+          {result.issue}: {result.action}
+        </li>
+      ))}
+    </ul>
+  );
+
+  return (
+    <Layout>
+      <div className="flex-1 overflow-auto">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          {/* Header */}
+          <div className={`mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6`}>
+            <div className="flex items-center justify-between">
+              <div>
+                <h2 className={`text-3xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                  DSS Rules
+                </h2>
+                <p className={`mt-2 text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+                  The thresholds and advice behind every recommendation. Changes apply to DSS Insights, DSS Recommendations,
+                  plant analytics and predictive analytics the next time they load.
+                </p>
+              </div>
+              <button
+                onClick={() => setDraft(toDraft(NEW_RULE))}
+                className="px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white"
+              >
+                New Rule
+              </button>
+            </div>
+          </div>
+
+          {!rules ? (
+            <p className={isDarkMode ? 'text-gray-300' : 'text-gray-600'}>Loading DSS rules...</p>
+          ) : (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              {/* Rule list */}
+              <div className="space-y-6">
+                {Object.entries(RULE_SCOPES).map(([scope, { label, description }]) => (
+                  <div key={scope} className={cardClass}>
+                    <h3 className={headingClass}>{label} rules</h3>
+                    <p className={`text-sm mb-4 ${mutedClass}`}>{description}</p>
+                    <ul className={`divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                      {rules.filter(rule => rule.scope === scope).map(rule => (
+                        <li key={rule.id} className={`py-3 ${rule.enabled ? '' : 'opacity-60'}`}>
+                          <div className="flex items-center justify-between">
+                            <div className="flex items-center space-x-2">
+                              <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                                isDarkMode ? SEVERITY_STYLES[rule.severity].dark : SEVERITY_STYLES[rule.severity].light
+                              }`}>
+                                {RULE_SEVERITIES[rule.severity].label}
+                              </span>
+                              <span className={`font-medium ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>{rule.category}</span>
+                              <span className={`text-xs font-mono ${mutedClass}`}>{rule.key}</span>
+                            </div>
+                            <div className="flex items-center space-x-3">
+                              <label className={`flex items-center space-x-1 text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                                <input type="checkbox" checked={rule.enabled} onChange={() => handleToggle(rule)} />
+                                <span>On</span>
+                              </label>
+                              <button onClick={() => setDraft(toDraft(rule))} className={linkButtonClass}>Edit</button>
+                              <button onClick={() => handleDelete(rule)} className="text-sm text-red-500 hover:text-red-600">Delete</button>
+                            </div>
+                          </div>
+                          <p className={`text-sm mt-1 ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+                            When {rule.conditions.map(c => describeCondition(scope, c)).join(' and ')}: {rule.issue}
+                          </p>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+
+              <div className="space-y-6">
+                {/* Editor */}
+                {draft && (
+                  <div className={cardClass}>
+                    <h3 className={`${headingClass} mb-4`}>{draft.id ? `Edit ${draft.key}` : 'New rule'}</h3>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div>
+                        <label className={labelClass}>Key</label>
+                        <input value={draft.key} onChange={(e) => updateDraft({ key: e.target.value })} className={inputClass} placeholder="low_yield_per_tree" />
+                        {fieldError('key')}
+                      </div>
+                      <div>
+                        <label className={labelClass}>Applies to</label>
+                        <select value={draft.scope} onChange={(e) => handleScopeChange(e.target.value)} className={inputClass}>
+                          {Object.entries(RULE_SCOPES).map(([scope, { label }]) => <option key={scope} value={scope}>{label}</option>)}
+                        </select>
+                      </div>
+                      <div>
+                        <label className={labelClass}>Category</label>
+                        <input value={draft.category} onChange={(e) => updateDraft({ category: e.target.value })} className={inputClass} placeholder="Yield" />
+                        {fieldError('category')}
+                      </div>
+                      <div>
+                        <label className={labelClass}>Severity</label>
+                        <select value={draft.severity} onChange={(e) => updateDraft({ severity: e.target.value })} className={inputClass}>
+                          {Object.entries(RULE_SEVERITIES).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                        </select>
+                      </div>
+                    </div>
+
+                    <div className="mt-4">
+                      <label className={labelClass}>Fires when all of these hold</label>
+                      <div className="space-y-2">
+                        {draft.conditions.map((condition, index) => {
+                          const field = RULE_SCOPES[draft.scope].fields[condition.field];
+                          const operator = RULE_OPERATORS[condition.op];
+                          return (
+                            <div key={index}>
+                              <div className="flex items-center space-x-2">
+                                <select value={condition.field} onChange={(e) => handleFieldChange(index, e.target.value)} className={inputClass}>
+                                  <option value="">Choose a fact...</option>
+                                  {Object.entries(RULE_SCOPES[draft.scope].fields).map(([key, f]) => (
+                                    <option key={key} value={key}>{f.label}{f.unit ? ` (${f.unit})` : ''}</option>
+                                  ))}
+                                </select>
+                                <select value={condition.op} onChange={(e) => handleOperatorChange(index, e.target.value)} className={`${inputClass} w-32`}>
+                                  {Object.entries(RULE_OPERATORS)
+                                    .filter(([, o]) => Boolean(o.text) === Boolean(field?.options))
+                                    .map(([key, o]) => <option key={key} value={key}>{o.label}</option>)}
+                                </select>
+                                {!field?.options && (
+                                  <select value={condition.ref} onChange={(e) => updateCondition(index, { ref: e.target.value })} className={`${inputClass} w-48`}>
+                                    <option value="">{operator?.range ? 'these numbers' : 'this number'}</option>
+                                    {Object.entries(operator?.range ? VARIETY_RANGES : varietyValueRefs()).map(([ref, target]) => (
+                                      <option key={ref} value={ref}>{target.label ? `${target.label} range` : target} (variety)</option>
+                                    ))}
+                                  </select>
+                                )}
+                                {field?.options ? (
+                                  <select value={condition.value} onChange={(e) => updateCondition(index, { value: e.target.value })} className={inputClass}>
+                                    {field.options.map(option => <option key={option} value={option}>{option}</option>)}
+                                  </select>
+                                ) : condition.ref ? null : operator?.range ? (
+                                  <>
+                                    <input type="number" step="any" value={condition.min} onChange={(e) => updateCondition(index, { min: e.target.value })} className={`${inputClass} w-24`} placeholder="from" />
+                                    <input type="number" step="any" value={condition.max} onChange={(e) => updateCondition(index, { max: e.target.value })} className={`${inputClass} w-24`} placeholder="to" />
+                                  </>
+                                ) : (
+                                  <input type="number" step="any" value={condition.value} onChange={(e) => updateCondition(index, { value: e.target.value })} className={`${inputClass} w-28`} />
+                                )}
+                                <button
+                                  onClick={() => updateDraft({ conditions: draft.conditions.filter((_, i) => i !== index) })}
+                                  disabled={draft.conditions.length === 1}
+                                  className="text-sm text-red-500 hover:text-red-600 disabled:opacity-30"
+                                  aria-label="Remove condition"
+                                >
+                                  ✕
+                                </button>
+                              </div>
+                              {fieldError(`conditions.${index}`)}
+                            </div>
+                          );
+                        })}
+                      </div>
+                      {fieldError('conditions')}
+                      <button
+                        onClick={() => updateDraft({ conditions: [...draft.conditions, { field: '', op: 'lt', ref: '', value: '' }] })}
+                        className={`mt-2 ${linkButtonClass}`}
+                      >
+                        Add condition
+                      </button>
+                    </div>
+
+                    <div className="mt-4 space-y-4">
+                      <div>
+                        <label className={labelClass}>Issue</label>
+                        <input value={draft.issue} onChange={(e) => updateDraft({ issue: e.target.value })} className={inputClass} />
+                        {fieldError('issue')}
+                      </div>
+                      <div>
+                        <label className={labelClass}>Action</label>
+                        <input value={draft.action} onChange={(e) => updateDraft({ action: e.target.value })} className={inputClass} />
+                        {fieldError('action')}
+                      </div>
+                      <div>
+                        <label className={labelClass}>Expected impact</label>
+                        <input value={draft.impact} onChange={(e) => updateDraft({ impact: e.target.value })} className={inputClass} />
+                        <p className={`mt-1 text-xs ${mutedClass}`}>
+                          Text may include the value a rule fired on, e.g. {'{{'}{Object.keys(RULE_SCOPES[draft.scope].fields)[0]}{'}}'},
+                          and the variety's profile, e.g. {'{{variety.name}}'} or {'{{variety.ph.min}}'}.
+                        </p>
+                        {fieldError('text')}
+                      </div>
+                      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        {draft.scope === 'farm' ? (
+                          <div>
+                            <label className={labelClass}>Action item metric</label>
+                            <select value={draft.metric} onChange={(e) => updateDraft({ metric: e.target.value })} className={inputClass}>
+                              <option value="">Not measured</option>
+                              {Object.entries(ACTION_METRICS).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                            </select>
+                          </div>
+                        ) : (
+                          <div>
+                            <label className={labelClass}>{draft.scope === 'plant' ? 'Health score penalty' : 'Risk score points'}</label>
+                            <input type="number" min="0" max="100" step="any" value={draft.penalty} onChange={(e) => updateDraft({ penalty: e.target.value })} className={inputClass} />
+                            {fieldError('penalty')}
+                          </div>
+                        )}
+                        <label className={`flex items-center space-x-2 mt-6 text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                          <input type="checkbox" checked={draft.enabled} onChange={() => updateDraft({ enabled: !draft.enabled })} />
+                          <span>Enabled</span>
+                        </label>
+                      </div>
+                    </div>
+
+                    <div className="mt-6 flex justify-end space-x-2">
+                      <button
+                        onClick={() => setDraft(null)}
+                        className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
+                          isDarkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-200' : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+                        }`}
+                      >
+                        Cancel
+                      </button>
+                      <button
+                        onClick={handleSave}
+                        disabled={saving}
+                        className="px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+                      >
+                        {saving ? 'Saving...' : 'Save Rule'}
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                {/* Preview */}
+                <div className={cardClass}>
+                  <h3 className={headingClass}>Test Against a Farmer</h3>
+                  <p className={`text-sm mb-4 ${mutedClass}`}>
+                    Runs the rules{draft ? ', with your unsaved changes,' : ''} on one farmer's records without saving anything.
+                  </p>
+                  <div className="flex space-x-2">
+                    <select value={previewFarmer} onChange={(e) => setPreviewFarmer(e.target.value)} className={inputClass}>
+                      <option value="">Choose a farmer...</option>
+                      {farmers.map(farmer => (
+                        <option key={farmer.id} value={farmer.id}>{`${farmer.first_name || ''} ${farmer.last_name || ''}`.trim() || farmer.id}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={handlePreview}
+                      disabled={!previewFarmer || previewing}
+                      className="px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-indigo-600 hover:bg-indigo-700 text-white disabled:opacity-50"
+                    >
+                      {previewing ? 'Testing...' : 'Test'}
+                    </button>
+                  </div>
+
+                  {preview && (
+                    <div className="mt-6 space-y-5">
+                      <div>
+                        <h4 className={`font-semibold mb-2 ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>Farm, mostly {preview.farm.facts.variety.name}</h4>
+                        <p className={`text-xs mb-2 ${mutedClass}`}>
+                          {Object.entries(RULE_SCOPES.farm.fields)
+                            .map(([key, f]) => {
+                              const value = preview.farm.facts[key];
+                              return `${f.label}: ${value == null ? '-' : typeof value === 'number' ? Math.round(value * 100) / 100 : value}`;
+                            })
+                            .join(' · ')}
+                        </p>
+                        {renderResults(preview.farm.results)}
+                      </div>
+                      <div>
+                        <h4 className={`font-semibold mb-2 ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>Plants</h4>
+                        {preview.plants.length === 0 ? (
+                          <p className={`text-sm ${mutedClass}`}>This farmer has no plants declared.</p>
+                        ) : preview.plants.map(({ plant, facts, results }) => (
+                          <div key={plant.plant_id} className="mb-3">
+                            <p className={`text-sm font-medium mb-1 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                              {plant.coffee_variety || 'Plant'} ({plant.number_of_tree_planted || 0} trees)
+                              {plant.coffee_variety !== facts.variety.name && `, advised as ${facts.variety.name}`}
+                            </p>
+                            {renderResults(results)}
+                          </div>
+                        ))}
+                      </div>
+                      <div>
+                        <h4 className={`font-semibold mb-2 ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>Growing conditions</h4>
+                        <p className={`text-xs mb-2 ${mutedClass}`}>
+                          From the last 30 days of weather and the plants' latest soil pH. The growth trend is only known in predictive analytics.
+                        </p>
+                        {renderResults(preview.conditions.results)}
+                      </div>
+                      {draftRule && !draftRule.enabled && (
+                        <p className={`text-sm ${mutedClass}`}>The rule you are editing is switched off, so it does not fire.</p>
+                      )}
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default DssRules;
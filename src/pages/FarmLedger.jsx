@@ -0,0 +1,461 @@
+import React, { useEffect, useState } from "react";
+import { supabase } from "../lib/supabaseClient";
+import { useTheme } from "../lib/ThemeContext";
+import { useAuth } from "../lib/AuthProvider";
+import { toast } from 'react-toastify';
+import Layout from '../components/Layout';
+import SeasonFinanceSummary from '../components/SeasonFinanceSummary';
+import {
+  EXPENSE_CATEGORIES,
+  SALE_GRADES,
+  fetchLedger,
+  addExpense,
+  addSale,
+  deleteExpense,
+  deleteSale,
+  summarizeBySeason,
+  formatCurrency
+} from '../lib/ledgerService';
+import { fetchLots, lotStatus, soldKg } from '../lib/lots';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyExpenseForm = () => ({
+  category: "fertilizer",
+  expense_date: today(),
+  description: "",
+  quantity: "",
+  unit: "kg",
+  unit_cost: "",
+  plant_id: "",
+  harvest_id: "",
+});
+
+const emptySaleForm = () => ({
+  sale_date: today(),
+  grade: "premium",
+  quantity_kg: "",
+  price_per_kg: "",
+  buyer: "",
+  plant_id: "",
+  harvest_id: "",
+  lot_id: "",
+});
+
+const FarmLedger = () => {
+  const { isDarkMode } = useTheme();
+  const { user } = useAuth();
+  const [expenses, setExpenses] = useState([]);
+  const [sales, setSales] = useState([]);
+  const [plants, setPlants] = useState([]);
+  const [harvests, setHarvests] = useState([]);
+  const [lotData, setLotData] = useState({ lots: [], sales: [] });
+  const [expenseForm, setExpenseForm] = useState(emptyExpenseForm());
+  const [saleForm, setSaleForm] = useState(emptySaleForm());
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadLedger = async () => {
+      if (!user) return;
+      setLoading(true);
+      try {
+        const [ledger, lotResult, plantResult, harvestResult] = await Promise.all([
+          fetchLedger(user.id),
+          fetchLots(user.id),
+          supabase
+            .from("plant_data")
+            .select("plant_id, coffee_variety, planting_date")
+            .eq("farmer_id", user.id),
+          supabase
+            .from("harvest_data")
+            .select("harvest_id, plant_id, harvest_date, coffee_dry_quantity")
+            .eq("farmer_id", user.id)
+            .order("harvest_date", { ascending: false }),
+        ]);
+
+        if (plantResult.error) throw plantResult.error;
+        if (harvestResult.error) throw harvestResult.error;
+
+        setExpenses(ledger.expenses);
+        setSales(ledger.sales);
+        setLotData(lotResult);
+        setPlants(plantResult.data || []);
+        setHarvests(harvestResult.data || []);
+      } catch (error) {
+        console.error("Error loading ledger:", error);
+        toast.error("Error loading your ledger. Please try refreshing the page.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadLedger();
+  }, [user]);
+
+  const handleExpenseChange = (e) => {
+    const { name, value } = e.target;
+    setExpenseForm(prev => {
+      const next = { ...prev, [name]: value };
+      // Switching category suggests the unit it is usually counted in
+      if (name === "category") {
+        next.unit = EXPENSE_CATEGORIES.find(c => c.key === value)?.defaultUnit || prev.unit;
+      }
+      return next;
+    });
+  };
+
+  const handleSaleChange = (e) => {
+    const { name, value } = e.target;
+    setSaleForm(prev => {
+      const next = { ...prev, [name]: value };
+      // A graded lot can only be sold as its own grade
+      if (name === "lot_id") {
+        next.grade = lotData.lots.find(lot => lot.lot_id === value)?.grade || prev.grade;
+      }
+      return next;
+    });
+  };
+
+  const saveExpense = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const saved = await addExpense(user.id, expenseForm);
+      setExpenses(prev => [saved, ...prev].sort((a, b) => new Date(b.expense_date) - new Date(a.expense_date)));
+      setExpenseForm(emptyExpenseForm());
+      toast.success("Expense recorded.");
+    } catch (error) {
+      console.error("Error saving expense:", error);
+      toast.error(`Error saving expense: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const saveSale = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const saved = await addSale(user.id, saleForm);
+      setSales(prev => [saved, ...prev].sort((a, b) => new Date(b.sale_date) - new Date(a.sale_date)));
+      if (saved.lot_id) setLotData(prev => ({ ...prev, sales: [...prev.sales, saved] }));
+      setSaleForm(emptySaleForm());
+      toast.success("Sale recorded.");
+    } catch (error) {
+      console.error("Error saving sale:", error);
+      toast.error(`Error saving sale: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeExpense = async (expenseId) => {
+    if (!window.confirm("Are you sure you want to delete this expense?")) return;
+    try {
+      await deleteExpense(expenseId);
+      setExpenses(prev => prev.filter(expense => expense.expense_id !== expenseId));
+      toast.success("Expense deleted.");
+    } catch (error) {
+      console.error("Error deleting expense:", error);
+      toast.error(`Error deleting expense: ${error.message}`);
+    }
+  };
+
+  const removeSale = async (saleId) => {
+    if (!window.confirm("Are you sure you want to delete this sale?")) return;
+    try {
+      await deleteSale(saleId);
+      setSales(prev => prev.filter(sale => sale.sale_id !== saleId));
+      setLotData(prev => ({ ...prev, sales: prev.sales.filter(sale => sale.sale_id !== saleId) }));
+      toast.success("Sale deleted.");
+    } catch (error) {
+      console.error("Error deleting sale:", error);
+      toast.error(`Error deleting sale: ${error.message}`);
+    }
+  };
+
+  const seasons = summarizeBySeason({ expenses, sales, harvests });
+  const plantLabel = (plantId) => {
+    const plant = plants.find(p => p.plant_id === plantId);
+    return plant ? `${plant.coffee_variety} (${new Date(plant.planting_date).toLocaleDateString()})` : null;
+  };
+  const lotCode = (lotId) => lotData.lots.find(lot => lot.lot_id === lotId)?.lot_code;
+  const sellableLots = lotData.lots.filter(lot => lotStatus(lot, lotData.sales) === 'active');
+  const selectedLot = lotData.lots.find(lot => lot.lot_id === saleForm.lot_id);
+
+  const inputClass = `w-full px-3 py-2 rounded-lg border ${
+    isDarkMode
+      ? 'bg-gray-700 border-gray-600 text-white focus:border-green-500'
+      : 'bg-white border-gray-300 text-gray-900 focus:border-green-500'
+  } focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 transition-colors`;
+  const labelClass = `block text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const cardClass = `p-6 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'} hover:shadow-xl transition-shadow duration-200`;
+  const headerClass = `px-4 py-3 text-left text-xs font-medium uppercase tracking-wider ${isDarkMode ? 'text-gray-300' : 'text-gray-500'}`;
+  const cellClass = `px-4 py-3 whitespace-nowrap text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`;
+
+  // Plant batch and harvest links shared by both forms
+  const renderLinks = (form, onChange) => (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div>
+        <label className={labelClass}>Plant Batch (optional)</label>
+        <select name="plant_id" value={form.plant_id} onChange={onChange} className={inputClass}>
+          <option value="">Whole farm</option>
+          {plants.map(plant => (
+            <option key={plant.plant_id} value={plant.plant_id}>{plantLabel(plant.plant_id)}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className={labelClass}>Harvest (optional)</label>
+        <select name="harvest_id" value={form.harvest_id} onChange={onChange} className={inputClass}>
+          <option value="">Not linked</option>
+          {harvests
+            .filter(harvest => !form.plant_id || harvest.plant_id === form.plant_id)
+            .map(harvest => (
+              <option key={harvest.harvest_id} value={harvest.harvest_id}>
+                {new Date(harvest.harvest_date).toLocaleDateString()} — {harvest.coffee_dry_quantity} kg dry
+              </option>
+            ))}
+        </select>
+      </div>
+    </div>
+  );
+
+  if (loading) return (
+    <Layout>
+      <div className="flex-1 flex items-center justify-center">
+        <div className={`text-center ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Loading...</div>
+      </div>
+    </Layout>
+  );
+
+  return (
+    <Layout>
+      <div className="flex-1 overflow-auto">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          {/* Header */}
+          <div className={`mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6`}>
+            <h2 className={`text-3xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+              Farm Ledger
+            </h2>
+            <p className={`mt-2 text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+              Record input costs, labor and coffee sales to see your margin each season
+            </p>
+          </div>
+
+          {/* Season Summary */}
+          <div className={`mb-8 ${cardClass}`}>
+            <h3 className={`text-xl font-medium mb-4 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Season Summary</h3>
+            <SeasonFinanceSummary seasons={seasons} />
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+            {/* Expense Form */}
+            <div className={cardClass}>
+              <h3 className={`text-xl font-medium mb-6 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Record Expense</h3>
+              <form onSubmit={saveExpense} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className={labelClass}>Category</label>
+                    <select name="category" value={expenseForm.category} onChange={handleExpenseChange} className={inputClass} required>
+                      {EXPENSE_CATEGORIES.map(category => (
+                        <option key={category.key} value={category.key}>{category.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className={labelClass}>Date</label>
+                    <input type="date" name="expense_date" value={expenseForm.expense_date} onChange={handleExpenseChange} className={inputClass} required />
+                  </div>
+                </div>
+                <div>
+                  <label className={labelClass}>Description</label>
+                  <input
+                    type="text"
+                    name="description"
+                    value={expenseForm.description}
+                    onChange={handleExpenseChange}
+                    placeholder={expenseForm.category === "labor" ? "e.g. Pruning crew" : "e.g. Complete 14-14-14"}
+                    className={inputClass}
+                  />
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <div>
+                    <label className={labelClass}>{expenseForm.category === "labor" ? "Labor Days" : "Quantity"}</label>
+                    <input type="number" step="0.01" min="0" name="quantity" value={expenseForm.quantity} onChange={handleExpenseChange} className={inputClass} required />
+                  </div>
+                  <div>
+                    <label className={labelClass}>Unit</label>
+                    <input type="text" name="unit" value={expenseForm.unit} onChange={handleExpenseChange} className={inputClass} />
+                  </div>
+                  <div>
+                    <label className={labelClass}>{expenseForm.category === "labor" ? "Daily Rate (₱)" : "Unit Cost (₱)"}</label>
+                    <input type="number" step="0.01" min="0" name="unit_cost" value={expenseForm.unit_cost} onChange={handleExpenseChange} className={inputClass} required />
+                  </div>
+                </div>
+                {renderLinks(expenseForm, handleExpenseChange)}
+                <div className="flex items-center justify-between">
+                  <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    Total: {formatCurrency((parseFloat(expenseForm.quantity) || 0) * (parseFloat(expenseForm.unit_cost) || 0))}
+                  </p>
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+                  >
+                    Record Expense
+                  </button>
+                </div>
+              </form>
+            </div>
+
+            {/* Sale Form */}
+            <div className={cardClass}>
+              <h3 className={`text-xl font-medium mb-6 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Record Sale</h3>
+              <form onSubmit={saveSale} className="space-y-4">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className={labelClass}>Grade</label>
+                    <select name="grade" value={saleForm.grade} onChange={handleSaleChange} className={inputClass} disabled={Boolean(selectedLot?.grade)} required>
+                      {SALE_GRADES.map(grade => (
+                        <option key={grade.key} value={grade.key}>{grade.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className={labelClass}>Date</label>
+                    <input type="date" name="sale_date" value={saleForm.sale_date} onChange={handleSaleChange} className={inputClass} required />
+                  </div>
+                </div>
+                <div>
+                  <label className={labelClass}>Buyer</label>
+                  <input type="text" name="buyer" value={saleForm.buyer} onChange={handleSaleChange} className={inputClass} />
+                </div>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <label className={labelClass}>Quantity Sold (kg)</label>
+                    <input type="number" step="0.01" min="0" name="quantity_kg" value={saleForm.quantity_kg} onChange={handleSaleChange} className={inputClass} required />
+                  </div>
+                  <div>
+                    <label className={labelClass}>Price per kg (₱)</label>
+                    <input type="number" step="0.01" min="0" name="price_per_kg" value={saleForm.price_per_kg} onChange={handleSaleChange} className={inputClass} required />
+                  </div>
+                </div>
+                {renderLinks(saleForm, handleSaleChange)}
+                <div>
+                  <label className={labelClass}>Lot (optional)</label>
+                  <select name="lot_id" value={saleForm.lot_id} onChange={handleSaleChange} className={inputClass}>
+                    <option value="">Not from a lot</option>
+                    {sellableLots.map(lot => (
+                      <option key={lot.lot_id} value={lot.lot_id}>
+                        {lot.lot_code} — {Math.round((lot.quantity_kg - soldKg(lot.lot_id, lotData.sales)) * 100) / 100} kg left
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="flex items-center justify-between">
+                  <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    Total: {formatCurrency((parseFloat(saleForm.quantity_kg) || 0) * (parseFloat(saleForm.price_per_kg) || 0))}
+                  </p>
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+                  >
+                    Record Sale
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+
+          {/* Expense List */}
+          <div className={`mb-8 ${cardClass}`}>
+            <h3 className={`text-xl font-medium mb-4 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Expenses</h3>
+            {expenses.length === 0 ? (
+              <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>No expenses recorded yet.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className={`min-w-full divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                  <thead className={isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+                    <tr>
+                      <th className={headerClass}>Date</th>
+                      <th className={headerClass}>Category</th>
+                      <th className={headerClass}>Description</th>
+                      <th className={headerClass}>Quantity</th>
+                      <th className={headerClass}>Amount</th>
+                      <th className={headerClass}>Plant Batch</th>
+                      <th className={headerClass}></th>
+                    </tr>
+                  </thead>
+                  <tbody className={`divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                    {expenses.map(expense => (
+                      <tr key={expense.expense_id}>
+                        <td className={cellClass}>{new Date(expense.expense_date).toLocaleDateString()}</td>
+                        <td className={cellClass}>{EXPENSE_CATEGORIES.find(c => c.key === expense.category)?.label}</td>
+                        <td className={cellClass}>{expense.description || '—'}</td>
+                        <td className={cellClass}>{expense.quantity} {expense.unit} × {formatCurrency(expense.unit_cost)}</td>
+                        <td className={`${cellClass} font-medium`}>{formatCurrency(expense.amount)}</td>
+                        <td className={cellClass}>{plantLabel(expense.plant_id) || 'Whole farm'}</td>
+                        <td className={cellClass}>
+                          <button onClick={() => removeExpense(expense.expense_id)} className={isDarkMode ? 'text-red-400 hover:text-red-300' : 'text-red-600 hover:text-red-700'}>
+                            Delete
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* Sales List */}
+          <div className={cardClass}>
+            <h3 className={`text-xl font-medium mb-4 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Sales</h3>
+            {sales.length === 0 ? (
+              <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>No sales recorded yet.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className={`min-w-full divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                  <thead className={isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+                    <tr>
+                      <th className={headerClass}>Date</th>
+                      <th className={headerClass}>Grade</th>
+                      <th className={headerClass}>Buyer</th>
+                      <th className={headerClass}>Lot</th>
+                      <th className={headerClass}>Quantity</th>
+                      <th className={headerClass}>Amount</th>
+                      <th className={headerClass}>Plant Batch</th>
+                      <th className={headerClass}></th>
+                    </tr>
+                  </thead>
+                  <tbody className={`divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                    {sales.map(sale => (
+                      <tr key={sale.sale_id}>
+                        <td className={cellClass}>{new Date(sale.sale_date).toLocaleDateString()}</td>
+                        <td className={cellClass}>{SALE_GRADES.find(g => g.key === sale.grade)?.label}</td>
+                        <td className={cellClass}>{sale.buyer || '—'}</td>
+                        <td className={cellClass}>{lotCode(sale.lot_id) || '—'}</td>
+                        <td className={cellClass}>{sale.quantity_kg} kg × {formatCurrency(sale.price_per_kg)}</td>
+                        <td className={`${cellClass} font-medium`}>{formatCurrency(sale.amount)}</td>
+                        <td className={cellClass}>{plantLabel(sale.plant_id) || 'Whole farm'}</td>
+                        <td className={cellClass}>
+                          <button onClick={() => removeSale(sale.sale_id)} className={isDarkMode ? 'text-red-400 hover:text-red-300' : 'text-red-600 hover:text-red-700'}>
+                            Delete
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default FarmLedger;
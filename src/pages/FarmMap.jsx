@@ -0,0 +1,257 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useTheme } from "../lib/ThemeContext";
+import Layout from '../components/Layout';
+import MapView from '../components/MapView';
+import FarmerFilters from '../components/FarmerFilters';
+import { summarizeFarmers, filterHarvestsByDate, filterFarmers, EMPTY_FARMER_FILTERS } from '../lib/reports';
+import { FARM_MAP_LAYERS, HEALTH_STATUSES, fetchFarmMapData, layerColor } from '../lib/farmMap';
+import { clusterPoints } from '../lib/geo';
+
+// Pie slices of a health mix around (0, 0)
+const pieSlices = (mix, radius) => {
+  const total = HEALTH_STATUSES.reduce((sum, { key }) => sum + mix[key], 0);
+  let angle = -Math.PI / 2;
+  return HEALTH_STATUSES.filter(({ key }) => mix[key] > 0).map(({ key, color }) => {
+    const share = mix[key] / total;
+    if (share === 1) return { key, color, circle: true };
+    const start = angle;
+    angle += share * 2 * Math.PI;
+    const large = share > 0.5 ? 1 : 0;
+    const path = `M0 0 L${radius * Math.cos(start)} ${radius * Math.sin(start)} `
+      + `A${radius} ${radius} 0 ${large} 1 ${radius * Math.cos(angle)} ${radius * Math.sin(angle)} Z`;
+    return { key, color, path };
+  });
+};
+
+const FarmMap = () => {
+  const navigate = useNavigate();
+  const { isDarkMode } = useTheme();
+  const [mapData, setMapData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FARMER_FILTERS);
+  const [layer, setLayer] = useState('yield');
+  const { from, to } = filters;
+
+  useEffect(() => {
+    fetchFarmMapData()
+      .then(setMapData)
+      .catch(err => setError(`Failed to load the farm map: ${err.message}`))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const farmers = useMemo(() => {
+    if (!mapData) return [];
+    return summarizeFarmers({ ...mapData, harvests: filterHarvestsByDate(mapData.harvests, { from, to }) })
+      .map(farmer => ({ ...farmer, healthMix: mapData.healthByFarmer[farmer.id] }));
+  }, [mapData, from, to]);
+
+  const filtered = useMemo(() => filterFarmers(farmers, filters), [farmers, filters]);
+  const located = useMemo(() => filtered
+    .filter(farmer => farmer.farm_latitude != null && farmer.farm_longitude != null)
+    .map(farmer => ({ ...farmer, latitude: Number(farmer.farm_latitude), longitude: Number(farmer.farm_longitude) })),
+  [filtered]);
+  const unlocated = filtered.filter(farmer => farmer.farm_latitude == null || farmer.farm_longitude == null);
+
+  // Framed once, when the farms first load
+  const fitPoints = useMemo(
+    () => farmers
+      .filter(farmer => farmer.farm_latitude != null && farmer.farm_longitude != null)
+      .map(farmer => [Number(farmer.farm_latitude), Number(farmer.farm_longitude)]),
+    [farmers]
+  );
+
+  const definition = FARM_MAP_LAYERS[layer];
+  const range = useMemo(() => {
+    const values = located.map(farmer => definition.value([farmer])).filter(value => typeof value === 'number');
+    return values.length > 0 ? { min: Math.min(...values), max: Math.max(...values) } : { min: 0, max: 0 };
+  }, [located, definition]);
+
+  const uniqueNames = [...new Set(farmers.map(farmer => farmer.name))];
+  const uniqueLocations = [...new Set(farmers.map(farmer => farmer.farm_location).filter(Boolean))];
+  const mutedText = isDarkMode ? 'text-gray-400' : 'text-gray-600';
+
+  const renderMarkers = ({ toScreen, zoom, zoomTo, width, height }) => (
+    <svg className="absolute inset-0 pointer-events-none" width={width} height={height}>
+      {clusterPoints(located, zoom).map(cluster => {
+        const { x, y } = toScreen(cluster.latitude, cluster.longitude);
+        const count = cluster.items.length;
+        const value = definition.value(cluster.items);
+        const radius = count === 1 ? 9 : Math.min(24, 12 + Math.log2(count) * 3);
+        const title = `${count === 1 ? cluster.items[0].name : `${count} farms`}: ${
+          value === null ? 'no data' : definition.format(value)
+        }`;
+
+        return (
+          <g
+            key={cluster.items.map(farmer => farmer.id).join('-')}
+            transform={`translate(${x}, ${y})`}
+            style={{ pointerEvents: 'auto', cursor: 'pointer' }}
+            onPointerDown={e => e.stopPropagation()}
+            onClick={() => (count === 1
+              ? navigate(`/farmer-profile/${cluster.items[0].id}`)
+              : zoomTo(cluster.latitude, cluster.longitude, zoom + 2))}
+          >
+            <title>{title}</title>
+            {layer === 'health' && value !== null ? (
+              pieSlices(value, radius).map(slice => (slice.circle
+                ? <circle key={slice.key} r={radius} fill={slice.color} />
+                : <path key={slice.key} d={slice.path} fill={slice.color} />))
+            ) : (
+              <circle r={radius} fill={layerColor(layer, layer === 'health' ? null : value, range)} />
+            )}
+            <circle r={radius} fill="none" stroke="#ffffff" strokeWidth="2" />
+            {count > 1 && (
+              <text textAnchor="middle" dy="0.35em" fontSize="11" fontWeight="bold" fill="#ffffff" stroke="#1f2937" strokeWidth="0.5">
+                {count}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+
+  const renderLegend = () => {
+    if (layer === 'health') {
+      return HEALTH_STATUSES.map(status => (
+        <span key={status.key} className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: status.color }} />
+          {status.label}
+        </span>
+      ));
+    }
+    const stops = layer === 'premium' ? [0, 50, 100] : [range.min, (range.min + range.max) / 2, range.max];
+    return (
+      <>
+        {stops.map((stop, i) => (
+          <span key={i} className="flex items-center gap-1">
+            <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: layerColor(layer, stop, range) }} />
+            {definition.format(stop)}
+          </span>
+        ))}
+        <span className="flex items-center gap-1">
+          <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: layerColor(layer, null, range) }} />
+          No data
+        </span>
+      </>
+    );
+  };
+
+  return (
+    <Layout>
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className={`mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6`}>
+          <h1 className={`text-2xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+            Farm Map
+          </h1>
+          <p className={`mt-2 text-sm ${mutedText}`}>
+            Every farm with a map position. Click a farm to open its profile, or a numbered cluster to zoom in.
+          </p>
+        </div>
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-900 border border-red-700 rounded-md text-red-200">
+            <p>{error}</p>
+          </div>
+        )}
+
+        <div className={`rounded-lg p-6 mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
+          <div className="flex items-center justify-between mb-6">
+            <h2 className={`text-xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+              Filter Farmers
+            </h2>
+            <button
+              onClick={() => setFilters(EMPTY_FARMER_FILTERS)}
+              className={`px-4 py-2 rounded-lg transition-colors duration-200 ${
+                isDarkMode ? 'bg-gray-700 text-white hover:bg-gray-600' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+              }`}
+            >
+              Clear Filters
+            </button>
+          </div>
+          <FarmerFilters
+            filters={filters}
+            onChange={setFilters}
+            names={uniqueNames}
+            locations={uniqueLocations}
+            isDarkMode={isDarkMode}
+          />
+        </div>
+
+        <div className={`rounded-lg p-6 mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+            <div className="flex flex-wrap gap-2">
+              {Object.entries(FARM_MAP_LAYERS).map(([key, option]) => (
+                <button
+                  key={key}
+                  onClick={() => setLayer(key)}
+                  className={`px-3 py-1.5 text-sm font-medium rounded-lg transition-colors ${
+                    layer === key
+                      ? 'bg-blue-600 text-white'
+                      : isDarkMode
+                        ? 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                        : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <p className={`text-sm ${mutedText}`}>
+              {located.length} of {filtered.length} farms on the map
+            </p>
+          </div>
+
+          {loading ? (
+            <p className={mutedText}>Loading farms...</p>
+          ) : (
+            <>
+              <MapView fitPoints={fitPoints} height={520}>
+                {renderMarkers}
+              </MapView>
+              <div className={`flex flex-wrap gap-4 mt-3 text-sm ${mutedText}`}>{renderLegend()}</div>
+            </>
+          )}
+        </div>
+
+        {!loading && unlocated.length > 0 && (
+          <div className={`rounded-lg overflow-hidden ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
+            <div className="p-6 pb-2">
+              <h2 className={`text-xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                Farms Without a Map Position
+              </h2>
+              <p className={`mt-1 text-sm ${mutedText}`}>
+                These farmers have not placed their farm on the map in Land Declaration yet.
+              </p>
+            </div>
+            {unlocated.map(farmer => (
+              <div
+                key={farmer.id}
+                className={`flex items-center justify-between border-b p-4 ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}
+              >
+                <div>
+                  <p className={`font-medium ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>{farmer.name}</p>
+                  <p className={`text-sm ${mutedText}`}>
+                    {farmer.farm_location || 'No location given'} · {farmer.total_trees} trees · {farmer.totalDryYield.toFixed(1)} kg dry
+                  </p>
+                </div>
+                <button
+                  onClick={() => navigate(`/farmer-profile/${farmer.id}`)}
+                  className={`px-4 py-2 rounded-lg text-sm transition-colors ${
+                    isDarkMode ? 'bg-blue-600 text-white hover:bg-blue-500' : 'bg-blue-500 text-white hover:bg-blue-600'
+                  }`}
+                >
+                  View Details
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </Layout>
+  );
+};
+
+export default FarmMap;
@@ -2,7 +2,18 @@ import React, { useState, useEffect } from "react";
 import { useNavigate, useLocation } from "react-router-dom";
 import { supabase } from "../lib/supabaseClient";
 import { useTheme } from "../lib/ThemeContext";
+import { useAuth } from "../lib/AuthProvider";
 import "../styles/Styles.css"; // Ensure your styles are imported
+import { fetchLedger, summarizeBySeason } from "../lib/ledgerService";
+import SeasonFinanceSummary from "../components/SeasonFinanceSummary";
+import { summarizeHarvests } from "../lib/harvestMetrics";
+import { fetchStatusHistory, groupSeriesByPlant } from "../lib/plantStatusService";
+import ReportExport from "../components/ReportExport";
+import OnboardingChecklist from "../components/OnboardingChecklist";
+import { useOnboarding } from "../lib/useOnboarding";
+import WeatherAlertsPanel from "../components/WeatherAlertsPanel";
+import ActionItemsPanel from "../components/ActionItemsPanel";
+import { notifyHarvestDue } from "../lib/notifications";
 
 // Import Chart.js components
 import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend, ArcElement } from 'chart.js';
@@ -16,6 +27,8 @@ const FarmerDashboard = () => {
   const location = useLocation();
   const { isDarkMode, toggleTheme } = useTheme();
   const [user, setUser] = useState(null);
+  const { signOut } = useAuth();
+  const { onboarding } = useOnboarding();
   const [farmerDetails, setFarmerDetails] = useState(null); // Will be null if no details declared
   const [plants, setPlants] = useState([]); // Add plants state
   const [statuses, setStatuses] = useState({}); // Add statuses state
@@ -26,6 +39,7 @@ const FarmerDashboard = () => {
   const [totalFineKg, setTotalFineKg] = useState(0);       // Sum of fine grade in Kg
   const [totalCommercialKg, setTotalCommercialKg] = useState(0); // Sum of commercial grade in Kg
   const [recentFarmerActivities, setRecentFarmerActivities] = useState([]);
+  const [seasonFinances, setSeasonFinances] = useState([]); // Revenue, cost and margin per crop season
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
 
@@ -159,21 +173,11 @@ const FarmerDashboard = () => {
 
         setPlants(plantData);
 
-        // Fetch latest status for each plant
-        const newStatuses = {};
-        for (const plant of plantData) {
-          const { data: statusData, error: statusError } = await supabase
-            .from('plant_status')
-            .select('*')
-            .eq('plant_id', plant.plant_id)
-            .order('created_at', { ascending: false })
-            .limit(1)
-            .single();
-          if (!statusError && statusData) {
-            newStatuses[plant.plant_id] = statusData;
-          }
-        }
-        setStatuses(newStatuses);
+        // Latest effective status of each plant, so corrected observations don't show
+        const statusRows = await fetchStatusHistory(plantData.map(plant => plant.plant_id)).catch(() => []);
+        setStatuses(Object.fromEntries(
+          Object.entries(groupSeriesByPlant(statusRows)).map(([plantId, series]) => [plantId, series[series.length - 1]])
+        ));
 
         // Sum up the number_of_tree_planted
         const sumTotalTrees = plantData.reduce((sum, plant) => sum + (plant.number_of_tree_planted || 0), 0);
@@ -186,34 +190,17 @@ const FarmerDashboard = () => {
           .eq("farmer_id", authUser.id); // IMPORTANT: Filter by farmer's ID
         if (harvestsError) throw harvestsError;
 
-        // Sum up the coffee quantities
-        const sumRawQuantity = harvestData.reduce((sum, harvest) => sum + (harvest.coffee_raw_quantity || 0), 0);
+        // Sum up the coffee quantities; grades are kilograms of dry coffee
+        const harvestTotals = summarizeHarvests(harvestData);
+        const sumRawQuantity = harvestTotals.rawKg;
         setTotalRawHarvests(sumRawQuantity);
 
-        const sumDryQuantity = harvestData.reduce((sum, harvest) => sum + (harvest.coffee_dry_quantity || 0), 0);
+        const sumDryQuantity = harvestTotals.dryKg;
         setTotalDryHarvests(sumDryQuantity);
 
-        // Calculate total Kg for each grade (using dry quantity as base)
-        const sumPremiumKg = harvestData.reduce((sum, harvest) => {
-          const dryQuantity = harvest.coffee_dry_quantity || 0;
-          const premiumPercentage = harvest.coffee_premium_grade || 0;
-          return sum + (dryQuantity * (premiumPercentage / 100));
-        }, 0);
-        setTotalPremiumKg(Math.round(sumPremiumKg * 100) / 100);
-
-        const sumFineKg = harvestData.reduce((sum, harvest) => {
-          const dryQuantity = harvest.coffee_dry_quantity || 0;
-          const finePercentage = harvest.coffee_fine_grade || 0;
-          return sum + (dryQuantity * (finePercentage / 100));
-        }, 0);
-        setTotalFineKg(Math.round(sumFineKg * 100) / 100);
-
-        const sumCommercialKg = harvestData.reduce((sum, harvest) => {
-          const dryQuantity = harvest.coffee_dry_quantity || 0;
-          const commercialPercentage = harvest.coffee_commercial_grade || 0;
-          return sum + (dryQuantity * (commercialPercentage / 100));
-        }, 0);
-        setTotalCommercialKg(Math.round(sumCommercialKg * 100) / 100);
+        setTotalPremiumKg(harvestTotals.gradeKg.premium);
+        setTotalFineKg(harvestTotals.gradeKg.fine);
+        setTotalCommercialKg(harvestTotals.gradeKg.commercial);
 
         // Update Chart Data
         setHarvestBarChartData({
@@ -227,13 +214,7 @@ const FarmerDashboard = () => {
           }]
         });
 
-        // Calculate total graded yield and percentages for pie chart
-        const totalGradedYield = sumPremiumKg + sumFineKg + sumCommercialKg;
-        
-        // Calculate percentages
-        const premiumPercentage = totalGradedYield > 0 ? (sumPremiumKg / totalGradedYield) * 100 : 0;
-        const finePercentage = totalGradedYield > 0 ? (sumFineKg / totalGradedYield) * 100 : 0;
-        const commercialPercentage = totalGradedYield > 0 ? (sumCommercialKg / totalGradedYield) * 100 : 0;
+        const { premium: premiumPercentage, fine: finePercentage, commercial: commercialPercentage } = harvestTotals.gradePercent;
 
         // Update Pie Chart with percentage distribution
         setGradePieChartData({
@@ -264,23 +245,35 @@ const FarmerDashboard = () => {
           { 
             label: 'Premium', 
             percentage: Math.round(premiumPercentage * 10) / 10,
-            value: Math.round(sumPremiumKg * 100) / 100,
+            value: harvestTotals.gradeKg.premium,
             color: 'rgba(255, 99, 132, 0.6)'
           },
           { 
             label: 'Fine', 
             percentage: Math.round(finePercentage * 10) / 10,
-            value: Math.round(sumFineKg * 100) / 100,
+            value: harvestTotals.gradeKg.fine,
             color: 'rgba(54, 162, 235, 0.6)'
           },
           { 
             label: 'Commercial', 
             percentage: Math.round(commercialPercentage * 10) / 10,
-            value: Math.round(sumCommercialKg * 100) / 100,
+            value: harvestTotals.gradeKg.commercial,
             color: 'rgba(255, 206, 86, 0.6)'
           }
         ]);
 
+        // Remind the farmer when bearing trees are in season and nothing was harvested lately
+        notifyHarvestDue(authUser.id, { plants: plantData, harvests: harvestData })
+          .catch(notifyError => console.error("Error raising harvest reminder:", notifyError));
+
+        // Ledger totals per crop season; the dashboard still loads if the ledger can't be read
+        try {
+          const ledger = await fetchLedger(authUser.id);
+          setSeasonFinances(summarizeBySeason({ ...ledger, harvests: harvestData }));
+        } catch (ledgerError) {
+          console.error("Error fetching ledger:", ledgerError);
+        }
+
         // Fetch Recent Activities for this farmer
         // Get recent plant declarations
         const { data: recentPlants, error: recentPlantsError } = await supabase
@@ -332,7 +325,7 @@ const FarmerDashboard = () => {
   }, [navigate]); // navigate is a dependency
 
   const handleLogout = async () => {
-    await supabase.auth.signOut();
+    await signOut();
     navigate("/login");
   };
 
@@ -345,6 +338,8 @@ const FarmerDashboard = () => {
     { name: "Coffee Grade Predictor", path: "/coffee-grader" },
     { name: "Land & Plant Declaration", path: "/land-declaration" },
     { name: "Harvest Reporting", path: "/harvest-reporting" },
+    { name: "Farm Ledger", path: "/farm-ledger" },
+    { name: "Fertilization", path: "/fertilization" },
   ];
 
   const navLinks = farmerNavLinks;
@@ -555,6 +550,13 @@ const FarmerDashboard = () => {
             </p>
           </div>
 
+          {/* Setup checklist, until the farmer has finished onboarding */}
+          {onboarding && <OnboardingChecklist onboarding={onboarding} title="Finish setting up your farm" />}
+
+          {/* Forecast-driven alerts for the farmer's plants */}
+          {farmerDetails && <WeatherAlertsPanel farmerId={farmerDetails.id} />}
+          {farmerDetails && <ActionItemsPanel farmerId={farmerDetails.id} />}
+
           {/* Stats Grid */}
           <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
             <div className={`p-6 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'} hover:shadow-xl transition-shadow duration-200`}>
@@ -620,6 +622,30 @@ const FarmerDashboard = () => {
             </div>
           </div>
 
+          {/* Season Finances */}
+          <div className={`mb-8 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'} hover:shadow-xl transition-shadow duration-200`}>
+            <div className={`px-6 py-4 border-b flex items-center justify-between ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+              <div>
+                <h3 className={`text-lg font-medium ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Season Finances</h3>
+                <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                  Crop seasons run from October to September.
+                </p>
+              </div>
+              <button
+                className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors duration-200 text-sm"
+                onClick={() => navigate('/farm-ledger')}
+              >
+                Open Ledger
+              </button>
+            </div>
+            <div className="p-6">
+              <SeasonFinanceSummary seasons={seasonFinances} />
+            </div>
+          </div>
+
+          {/* Season Report Export */}
+          {user && <ReportExport farmerId={user.id} title="Export Season Report" />}
+
           {/* Your Current Plants Section */}
           <div className={`mt-8 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'} hover:shadow-xl transition-shadow duration-200`}>
             <div className={`px-6 py-4 border-b ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
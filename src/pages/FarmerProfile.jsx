@@ -4,6 +4,12 @@ import { useTheme } from '../lib/ThemeContext';
 import { useAuth } from '../lib/AuthProvider';
 import { supabase } from '../lib/supabaseClient';
 import Layout from '../components/Layout';
+import { summarizeHarvests } from '../lib/harvestMetrics';
+import { gradeLabel } from '../lib/gradingSamples';
+import { fetchFarmerCupScores, summarizeFarmerCupScores } from '../lib/cupping';
+import ReportExport from '../components/ReportExport';
+import { toast } from 'react-toastify';
+import { notify } from '../lib/notifications';
 import {
   Chart as ChartJS,
   CategoryScale,
@@ -40,6 +46,7 @@ const FarmerProfile = () => {
   const { user } = useAuth();
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [reviewing, setReviewing] = useState(false);
 
   // State for farmer data
   const [farmerData, setFarmerData] = useState({
@@ -47,6 +54,7 @@ const FarmerProfile = () => {
     plantStats: null,
     harvestData: null,
     qualityMetrics: null,
+    cupScores: null,
     financialData: null,
     sustainabilityData: null,
     supportHistory: null,
@@ -138,6 +146,14 @@ const FarmerProfile = () => {
 
       if (harvestError) throw harvestError;
 
+      // Cup scores only add to the quality metrics, so the profile still shows without them
+      let cuppedLots = [];
+      try {
+        cuppedLots = await fetchFarmerCupScores(farmerId);
+      } catch {
+        cuppedLots = [];
+      }
+
       // Process and set data
       const processedData = {
         basicInfo: {
@@ -157,7 +173,8 @@ const FarmerProfile = () => {
           ageDistribution: calculateAgeDistribution(plantData)
         },
         harvestData: processHarvestData(harvestData),
-        qualityMetrics: calculateQualityMetrics(harvestData)
+        qualityMetrics: calculateQualityMetrics(harvestData),
+        cupScores: summarizeFarmerCupScores(cuppedLots, harvestData)
       };
 
       setFarmerData(processedData);
@@ -224,10 +241,11 @@ const FarmerProfile = () => {
   };
 
   const calculateQualityMetrics = (harvestData) => {
+    const { gradeKg } = summarizeHarvests(harvestData);
     return {
-      premiumGrade: harvestData.reduce((sum, h) => sum + (parseFloat(h.coffee_premium_grade) || 0), 0),
-      fineGrade: harvestData.reduce((sum, h) => sum + (parseFloat(h.coffee_fine_grade) || 0), 0),
-      commercialGrade: harvestData.reduce((sum, h) => sum + (parseFloat(h.coffee_commercial_grade) || 0), 0)
+      premiumGrade: gradeKg.premium,
+      fineGrade: gradeKg.fine,
+      commercialGrade: gradeKg.commercial
     };
   };
 
@@ -270,6 +288,26 @@ const FarmerProfile = () => {
     return <Navigate to="/login" />;
   }
 
+  // Lets the farmer know their records were looked over; once a day at most
+  const handleMarkReviewed = async () => {
+    setReviewing(true);
+    try {
+      await notify(farmerId, {
+        kind: 'review',
+        title: 'Your farm records were reviewed',
+        body: `${user?.fullName || 'An administrator'} reviewed your farm, plant and harvest records.`,
+        link: '/farmer-dashboard',
+        dedupeKey: `review:profile:${new Date().toISOString().split('T')[0]}`
+      });
+      toast.success('The farmer has been notified of the review.');
+    } catch (err) {
+      console.error('Error notifying farmer:', err);
+      toast.error(`Error notifying farmer: ${err.message}`);
+    } finally {
+      setReviewing(false);
+    }
+  };
+
   return (
     <Layout>
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
@@ -300,6 +338,13 @@ const FarmerProfile = () => {
                 </p>
               )}
             </div>
+            <button
+              onClick={handleMarkReviewed}
+              disabled={reviewing || loading}
+              className="ml-auto px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+            >
+              {reviewing ? 'Notifying...' : 'Mark as Reviewed'}
+            </button>
           </div>
         </div>
 
@@ -590,7 +635,59 @@ const FarmerProfile = () => {
                   </div>
                 </div>
               </div>
+
+              {/* Cup scores from cupping sessions, next to the grades above */}
+              <div className="mt-6">
+                <div className="flex items-baseline justify-between mb-4">
+                  <h3 className={`text-lg font-medium ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+                    Cup Scores
+                  </h3>
+                  {farmerData.cupScores?.avgScore != null && (
+                    <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                      Average <span className={`text-lg font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>{farmerData.cupScores.avgScore.toFixed(2)}</span> over {farmerData.cupScores.count} cupped lot{farmerData.cupScores.count === 1 ? '' : 's'}
+                    </p>
+                  )}
+                </div>
+                {!farmerData.cupScores?.count ? (
+                  <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    None of this farmer's lots have been cupped yet.
+                  </p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full text-sm">
+                      <thead>
+                        <tr className={isDarkMode ? 'text-gray-400' : 'text-gray-500'}>
+                          {['Lot', 'Grade', 'Harvested', 'Session', 'Cuppers', 'Score', 'Class'].map(heading => (
+                            <th key={heading} className="px-3 py-2 text-left font-medium">{heading}</th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody className={isDarkMode ? 'text-gray-200' : 'text-gray-800'}>
+                        {farmerData.cupScores.lots.map(lot => (
+                          <tr key={lot.cuppingLotId} className={`border-t ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                            <td className="px-3 py-2 font-mono">{lot.lotCode}</td>
+                            <td className="px-3 py-2">{lot.grade ? gradeLabel(lot.grade) : 'Mixed'}</td>
+                            <td className="px-3 py-2">
+                              {lot.harvestDates.length > 0
+                                ? lot.harvestDates.map(date => new Date(date).toLocaleDateString()).join(', ')
+                                : '—'}
+                            </td>
+                            <td className="px-3 py-2">
+                              {lot.session}{lot.heldOn && ` (${new Date(lot.heldOn).toLocaleDateString()})`}
+                            </td>
+                            <td className="px-3 py-2">{lot.cuppers}</td>
+                            <td className="px-3 py-2 font-semibold">{lot.score.toFixed(2)}</td>
+                            <td className="px-3 py-2">{lot.quality}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
             </div>
+
+            <ReportExport farmerId={farmerId} title="Export Farmer Report" />
           </div>
         )}
       </div>
@@ -3,6 +3,14 @@ import { useAuth } from '../lib/AuthProvider';
 import { useTheme } from '../lib/ThemeContext';
 import Layout from '../components/Layout';
 import { supabase } from '../lib/supabaseClient';
+import { summarizeHarvests } from '../lib/harvestMetrics';
+import { generateFarmRecommendations } from '../lib/farmRecommendations';
+import { getDssRules } from '../lib/dssRules';
+import { predominantVariety } from '../lib/coffeeVarieties';
+import { notifyRecommendationChanges } from '../lib/notifications';
+import { assignActionItem, fetchActionItems } from '../lib/recommendationActions';
+import AssignedActionItems from '../components/AssignedActionItems';
+import { toast } from 'react-toastify';
 import { Bar } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
@@ -31,6 +39,11 @@ const FarmerRecommendations = () => {
   const [error, setError] = useState(null);
   const [farmers, setFarmers] = useState([]);
   const [selectedFarmer, setSelectedFarmer] = useState(null);
+  const [actionItems, setActionItems] = useState([]);
+  // The recommendation being assigned, as {farmerId, index}, and its form values
+  const [assigning, setAssigning] = useState(null);
+  const [assignForm, setAssignForm] = useState({ dueDate: '', notes: '' });
+  const [saving, setSaving] = useState(false);
 
   // Fetch farmers data
   const fetchFarmersData = useCallback(async () => {
@@ -62,7 +75,7 @@ const FarmerRecommendations = () => {
       // Fetch plant data
       const { data: plantData, error: plantError } = await supabase
         .from('plant_data')
-        .select('plant_id, farmer_id, number_of_tree_planted');
+        .select('plant_id, farmer_id, coffee_variety, number_of_tree_planted');
 
       if (plantError) throw plantError;
 
@@ -73,19 +86,21 @@ const FarmerRecommendations = () => {
 
       if (harvestError) throw harvestError;
 
+      const rules = await getDssRules();
+
       // Process and combine the data
       const processedData = users.map(farmer => {
         const details = farmerDetails.find(d => d.id === farmer.id) || {};
         const plants = plantData.filter(p => p.farmer_id === farmer.id);
         const farmerHarvests = harvests.filter(h => h.farmer_id === farmer.id);
+        const variety = predominantVariety(plants);
         
         // Calculate metrics
         const totalTrees = plants.reduce((sum, p) => sum + (p.number_of_tree_planted || 0), 0);
-        const totalRawYield = farmerHarvests.reduce((sum, h) => sum + (h.coffee_raw_quantity || 0), 0);
-        const totalDryYield = farmerHarvests.reduce((sum, h) => sum + (h.coffee_dry_quantity || 0), 0);
-        const premiumGrade = farmerHarvests.reduce((sum, h) => sum + (h.coffee_premium_grade || 0), 0);
-        const fineGrade = farmerHarvests.reduce((sum, h) => sum + (h.coffee_fine_grade || 0), 0);
-        const commercialGrade = farmerHarvests.reduce((sum, h) => sum + (h.coffee_commercial_grade || 0), 0);
+        const totals = summarizeHarvests(farmerHarvests);
+        const totalRawYield = totals.rawKg;
+        const totalDryYield = totals.dryKg;
+        const { premium: premiumGrade, fine: fineGrade, commercial: commercialGrade } = totals.gradeKg;
         
         // Calculate averages and percentages
         const yieldPerTree = totalTrees > 0 ? totalDryYield / totalTrees : 0;
@@ -99,6 +114,7 @@ const FarmerRecommendations = () => {
           farmLocation: details.farm_location,
           farmSize: details.farm_size,
           farmElevation: details.farm_elevation,
+          variety,
           totalTrees,
           totalRawYield,
           totalDryYield,
@@ -107,19 +123,26 @@ const FarmerRecommendations = () => {
           finePercentage,
           commercialPercentage,
           harvestCount: farmerHarvests.length,
-          recommendations: generateRecommendations({
+          recommendations: generateFarmRecommendations({
             yieldPerTree,
             premiumPercentage,
             totalTrees,
             farmSize: details.farm_size,
             elevation: details.farm_elevation,
             harvestCount: farmerHarvests.length,
-            totalDryYield
-          })
+            totalDryYield,
+            variety
+          }, rules)
         };
       });
 
       setFarmers(processedData);
+
+      // Farmers with harvest records hear when their recommendations change
+      notifyRecommendationChanges(processedData
+        .filter(farmer => farmer.harvestCount > 0)
+        .map(farmer => ({ userId: farmer.id, recommendations: farmer.recommendations })))
+        .catch(notifyError => console.error('Error recording recommendation changes:', notifyError));
     } catch (err) {
       console.error('Error fetching farmer data:', err);
       setError('Failed to load farmer data. Please try again later.');
@@ -128,82 +151,47 @@ const FarmerRecommendations = () => {
     }
   }, []);
 
+  const loadActionItems = useCallback(() => {
+    fetchActionItems()
+      .then(setActionItems)
+      .catch(err => toast.error(`Error loading action items: ${err.message}`));
+  }, []);
+
   useEffect(() => {
     fetchFarmersData();
-  }, [fetchFarmersData]);
-
-  // Generate recommendations based on metrics
-  const generateRecommendations = ({
-    yieldPerTree,
-    premiumPercentage,
-    totalTrees,
-    farmSize,
-    elevation,
-    harvestCount,
-    totalDryYield
-  }) => {
-    const recommendations = [];
-
-    // Yield-based recommendations
-    if (yieldPerTree < 2) {
-      recommendations.push({
-        type: 'critical',
-        category: 'Yield',
-        issue: 'Low yield per tree',
-        action: 'Implement proper fertilization and pruning techniques',
-        impact: 'Potential 20-30% yield increase'
-      });
-    }
+    loadActionItems();
+  }, [fetchFarmersData, loadActionItems]);
 
-    // Quality-based recommendations
-    if (premiumPercentage < 30) {
-      recommendations.push({
-        type: 'high',
-        category: 'Quality',
-        issue: 'Low premium grade percentage',
-        action: 'Improve cherry selection and processing methods',
-        impact: 'Increase premium grade ratio by 15-20%'
-      });
-    }
-
-    // Farm utilization recommendations
-    if (farmSize && totalTrees) {
-      const treeDensity = totalTrees / farmSize;
-      if (treeDensity < 1000) {
-        recommendations.push({
-          type: 'medium',
-          category: 'Farm Utilization',
-          issue: 'Low tree density',
-          action: 'Consider planting more trees in available space',
-          impact: 'Optimize land usage and increase total yield'
-        });
-      }
-    }
+  const openAssignForm = (farmerId, index) => {
+    setAssigning({ farmerId, index });
+    setAssignForm({ dueDate: '', notes: '' });
+  };
 
-    // Harvest frequency recommendations
-    if (harvestCount < 2 && totalDryYield > 0) {
-      recommendations.push({
-        type: 'high',
-        category: 'Harvest Management',
-        issue: 'Low harvest frequency',
-        action: 'Implement regular harvest schedules',
-        impact: 'Better yield distribution and quality control'
-      });
+  const handleAssign = async (farmer, rec) => {
+    setSaving(true);
+    try {
+      await assignActionItem(farmer.id, rec, assignForm, user.id);
+      toast.success(`Assigned to ${farmer.name}.`);
+      setAssigning(null);
+      loadActionItems();
+    } catch (err) {
+      console.error('Error assigning action item:', err);
+      toast.error(`Error assigning action item: ${err.message}`);
+    } finally {
+      setSaving(false);
     }
+  };
 
-    // Elevation-based recommendations
-    if (elevation < 1000) {
-      recommendations.push({
-        type: 'medium',
-        category: 'Environment',
-        issue: 'Low elevation farming',
-        action: 'Implement shade management techniques',
-        impact: 'Improve coffee quality and plant health'
-      });
-    }
+  // An open item already covers a recommendation when it asks for the same action
+  const hasOpenItem = (farmerId, rec) => actionItems.some(item =>
+    item.farmer_id === farmerId &&
+    item.category === rec.category &&
+    item.action === rec.action &&
+    (item.status === 'assigned' || item.status === 'in_progress'));
 
-    return recommendations;
-  };
+  const today = new Date().toISOString().split('T')[0];
+  const openItems = actionItems.filter(item => item.status === 'assigned' || item.status === 'in_progress');
+  const measuredItems = actionItems.filter(item => ['improved', 'no_change', 'worse'].includes(item.outcome.outcome));
 
   return (
     <Layout>
@@ -240,7 +228,7 @@ const FarmerRecommendations = () => {
         ) : (
           <div className="mt-6 space-y-8">
             {/* Summary Cards */}
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
               <div className={`p-6 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
                 <h3 className={`text-lg font-semibold ${isDarkMode ? 'text-gray-200' : 'text-gray-700'}`}>
                   Total Farmers
@@ -265,6 +253,18 @@ const FarmerRecommendations = () => {
                   {(farmers.reduce((sum, f) => sum + f.premiumPercentage, 0) / farmers.length).toFixed(1)}%
                 </p>
               </div>
+              <div className={`p-6 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
+                <h3 className={`text-lg font-semibold ${isDarkMode ? 'text-gray-200' : 'text-gray-700'}`}>
+                  Open Action Items
+                </h3>
+                <p className={`text-3xl font-bold mt-2 ${isDarkMode ? 'text-indigo-400' : 'text-indigo-600'}`}>
+                  {openItems.length}
+                </p>
+                <p className={`text-sm mt-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                  {openItems.filter(item => item.due_date && item.due_date < today).length} overdue ·{' '}
+                  {measuredItems.filter(item => item.outcome.outcome === 'improved').length} of {measuredItems.length} measured improved
+                </p>
+              </div>
             </div>
 
             {/* Farmer Cards */}
@@ -283,7 +283,7 @@ const FarmerRecommendations = () => {
                       {farmer.name}
                     </h2>
                     <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
-                      {farmer.farmLocation} • {farmer.farmElevation}m elevation
+                      {farmer.farmLocation} • {farmer.farmElevation}m elevation • mostly {farmer.variety.name}
                     </p>
                   </div>
                   <button
@@ -447,10 +447,74 @@ const FarmerRecommendations = () => {
                             }`}>
                               Expected Impact: {rec.impact}
                             </p>
+                            {hasOpenItem(farmer.id, rec) ? (
+                              <p className={`mt-3 text-sm font-medium ${isDarkMode ? 'text-indigo-400' : 'text-indigo-600'}`}>
+                                Assigned as an action item, see below
+                              </p>
+                            ) : assigning?.farmerId === farmer.id && assigning.index === index ? (
+                              <div className="mt-3 space-y-2">
+                                <label className={`block text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                                  Due date
+                                  <input
+                                    type="date"
+                                    value={assignForm.dueDate}
+                                    min={today}
+                                    onChange={(e) => setAssignForm(prev => ({ ...prev, dueDate: e.target.value }))}
+                                    className={`mt-1 block w-full px-3 py-2 text-sm rounded-md border ${
+                                      isDarkMode ? 'bg-gray-800 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+                                    }`}
+                                  />
+                                </label>
+                                <textarea
+                                  value={assignForm.notes}
+                                  onChange={(e) => setAssignForm(prev => ({ ...prev, notes: e.target.value }))}
+                                  placeholder="Notes for the farmer (optional)"
+                                  rows={2}
+                                  className={`block w-full px-3 py-2 text-sm rounded-md border ${
+                                    isDarkMode ? 'bg-gray-800 border-gray-600 text-white' : 'bg-white border-gray-300 text-gray-900'
+                                  }`}
+                                />
+                                <div className="flex space-x-2">
+                                  <button
+                                    onClick={() => handleAssign(farmer, rec)}
+                                    disabled={saving}
+                                    className="px-3 py-1 text-sm font-medium rounded-md bg-indigo-600 hover:bg-indigo-700 text-white disabled:opacity-50"
+                                  >
+                                    {saving ? 'Assigning...' : 'Assign to Farmer'}
+                                  </button>
+                                  <button
+                                    onClick={() => setAssigning(null)}
+                                    disabled={saving}
+                                    className={`px-3 py-1 text-sm rounded-md ${isDarkMode ? 'text-gray-300 hover:bg-gray-700' : 'text-gray-600 hover:bg-gray-100'}`}
+                                  >
+                                    Cancel
+                                  </button>
+                                </div>
+                              </div>
+                            ) : (
+                              <button
+                                onClick={() => openAssignForm(farmer.id, index)}
+                                className={`mt-3 text-sm font-medium ${isDarkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'}`}
+                              >
+                                Assign as action item
+                              </button>
+                            )}
                           </div>
                         ))}
                       </div>
                     </div>
+
+                    <div>
+                      <h3 className={`text-xl font-bold mb-4 ${
+                        isDarkMode ? 'text-white' : 'text-gray-900'
+                      }`}>
+                        Action Items
+                      </h3>
+                      <AssignedActionItems
+                        items={actionItems.filter(item => item.farmer_id === farmer.id)}
+                        onChanged={loadActionItems}
+                      />
+                    </div>
                   </div>
                 )}
               </div>
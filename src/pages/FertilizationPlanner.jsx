@@ -0,0 +1,443 @@
+import React, { useEffect, useState } from "react";
+import { supabase } from "../lib/supabaseClient";
+import { useTheme } from "../lib/ThemeContext";
+import { useAuth } from "../lib/AuthProvider";
+import { toast } from 'react-toastify';
+import Layout from '../components/Layout';
+import SyncBadge from '../components/SyncBadge';
+import { syncQueue, applyOutbox, describePendingWrite } from '../lib/offline';
+import { useSyncQueue } from '../lib/offline/useSyncQueue';
+import { fetchStatusHistory, groupSeriesByPlant } from '../lib/plantStatusService';
+import {
+  FERTILIZER_PRODUCTS,
+  APPLICATION_SPLITS,
+  buildApplicationPlan,
+  fetchApplications,
+  recordApplication,
+  withLastFertilized
+} from '../lib/fertilizationPlanner';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyForm = (plant) => ({
+  plant_id: plant?.plant_id || "",
+  applied_on: today(),
+  product: "complete",
+  grams_per_tree: "",
+  trees_covered: plant?.number_of_tree_planted ? String(plant.number_of_tree_planted) : "",
+  split_key: "",
+  notes: "",
+});
+
+const STATUS_STYLES = {
+  done: { label: 'Done', dark: 'bg-green-900 text-green-200', light: 'bg-green-100 text-green-800' },
+  due: { label: 'Due now', dark: 'bg-blue-900 text-blue-200', light: 'bg-blue-100 text-blue-800' },
+  overdue: { label: 'Overdue', dark: 'bg-red-900 text-red-200', light: 'bg-red-100 text-red-800' },
+  upcoming: { label: 'Upcoming', dark: 'bg-gray-700 text-gray-200', light: 'bg-gray-100 text-gray-700' }
+};
+
+const FertilizationPlanner = () => {
+  const { isDarkMode } = useTheme();
+  const { user } = useAuth();
+  const { entries: outbox } = useSyncQueue();
+  const [plants, setPlants] = useState([]);
+  const [statusRows, setStatusRows] = useState([]);
+  const [applications, setApplications] = useState([]);
+  const [selectedPlantId, setSelectedPlantId] = useState("");
+  const [form, setForm] = useState(emptyForm(null));
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const loadPlanner = async (farmerId) => {
+    const { data: plantData, error: plantError } = await supabase
+      .from("plant_data")
+      .select("plant_id, coffee_variety, planting_date, number_of_tree_planted")
+      .eq("farmer_id", farmerId)
+      .order("planting_date", { ascending: true });
+    if (plantError) throw plantError;
+
+    const [history, applied] = await Promise.all([
+      fetchStatusHistory((plantData || []).map(p => p.plant_id)),
+      fetchApplications(farmerId)
+    ]);
+    setPlants(plantData || []);
+    setStatusRows(history);
+    setApplications(applied);
+    return plantData || [];
+  };
+
+  useEffect(() => {
+    const loadInitial = async () => {
+      if (!user) return;
+      setLoading(true);
+      try {
+        const loadedPlants = await loadPlanner(user.id);
+        setSelectedPlantId(loadedPlants[0]?.plant_id || "");
+        setForm(emptyForm(loadedPlants[0]));
+      } catch (error) {
+        console.error("Error loading fertilization planner:", error);
+        toast.error("Error loading your plants. Please try refreshing the page.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadInitial();
+  }, [user]);
+
+  // Server rows with writes still waiting in the outbox laid over them
+  const plantIds = plants.map(p => p.plant_id);
+  const latestByPlant = Object.fromEntries(
+    Object.entries(groupSeriesByPlant(applyOutbox(statusRows, outbox, 'plant_status', (entry) => plantIds.includes(entry.payload.plant_id))))
+      .map(([plantId, series]) => [plantId, series[series.length - 1]])
+  );
+  const applicationRecords = applyOutbox(applications, outbox, 'fertilizer_applications', (entry) => entry.payload.farmer_id === user?.id)
+    .sort((a, b) => new Date(b.applied_on) - new Date(a.applied_on));
+
+  const selectedPlant = plants.find(p => p.plant_id === selectedPlantId);
+  const lastFertilized = withLastFertilized(latestByPlant[selectedPlantId] || null, applicationRecords, selectedPlantId)?.last_fertilized;
+  const plan = selectedPlant
+    ? buildApplicationPlan({
+        plant: selectedPlant,
+        latestStatus: latestByPlant[selectedPlant.plant_id] || null,
+        applications: applicationRecords.filter(a => a.plant_id === selectedPlant.plant_id)
+      })
+    : null;
+
+  const plantLabel = (plant) => `${plant.coffee_variety} (planted ${new Date(plant.planting_date).toLocaleDateString()})`;
+
+  const handleSelectPlant = (plantId) => {
+    setSelectedPlantId(plantId);
+    setForm(emptyForm(plants.find(p => p.plant_id === plantId)));
+  };
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => {
+      const next = { ...prev, [name]: value };
+      if (name === "plant_id") {
+        const plant = plants.find(p => p.plant_id === value);
+        next.trees_covered = plant?.number_of_tree_planted ? String(plant.number_of_tree_planted) : "";
+      }
+      return next;
+    });
+  };
+
+  // Fills the form from a calendar line, one product at a time
+  const prefillFromItem = (item, product) => {
+    setForm({
+      ...emptyForm(selectedPlant),
+      product: product.product,
+      grams_per_tree: String(product.gramsPerTree),
+      split_key: item.splitKey || "",
+    });
+    document.getElementById("record-application")?.scrollIntoView({ behavior: "smooth" });
+  };
+
+  const saveApplication = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const saved = await recordApplication(user.id, form, user.id);
+      if (saved._sync.state === "synced") {
+        await loadPlanner(user.id);
+        toast.success("Application recorded. Last fertilized date updated.");
+      } else if (saved._sync.state === "conflict") {
+        toast.warning(`Application is held for conflict review (${saved._sync.error}). Resolve it in the sync panel.`);
+      } else {
+        toast.info(describePendingWrite("application", syncQueue.isHeld(saved._sync.id)));
+      }
+      setForm(emptyForm(plants.find(p => p.plant_id === form.plant_id)));
+    } catch (error) {
+      console.error("Error recording application:", error);
+      toast.error(`Error recording application: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = `w-full px-3 py-2 rounded-lg border ${
+    isDarkMode
+      ? 'bg-gray-700 border-gray-600 text-white focus:border-green-500'
+      : 'bg-white border-gray-300 text-gray-900 focus:border-green-500'
+  } focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 transition-colors`;
+  const labelClass = `block text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const cardClass = `p-6 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'} hover:shadow-xl transition-shadow duration-200`;
+  const headerClass = `px-4 py-3 text-left text-xs font-medium uppercase tracking-wider ${isDarkMode ? 'text-gray-300' : 'text-gray-500'}`;
+  const cellClass = `px-4 py-3 text-sm align-top ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const statLabelClass = `text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`;
+  const statValueClass = `text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`;
+
+  if (loading) return (
+    <Layout>
+      <div className="flex-1 flex items-center justify-center">
+        <div className={`text-center ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Loading...</div>
+      </div>
+    </Layout>
+  );
+
+  return (
+    <Layout>
+      <div className="flex-1 overflow-auto">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          {/* Header */}
+          <div className={`mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6`}>
+            <h2 className={`text-3xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+              Fertilization Planner
+            </h2>
+            <p className={`mt-2 text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+              When to fertilize each plant batch, with what and how much, based on tree age, soil pH and the season
+            </p>
+          </div>
+
+          {plants.length === 0 ? (
+            <div className={cardClass}>
+              <p className={isDarkMode ? 'text-gray-300' : 'text-gray-600'}>
+                Add your plant batches in Land & Plant Declaration to get a fertilization plan.
+              </p>
+            </div>
+          ) : (
+            <>
+              {/* Batch selection and summary */}
+              <div className={`mb-8 ${cardClass}`}>
+                <div className="mb-6 max-w-md">
+                  <label className={labelClass}>Plant Batch</label>
+                  <select value={selectedPlantId} onChange={(e) => handleSelectPlant(e.target.value)} className={inputClass}>
+                    {plants.map(plant => (
+                      <option key={plant.plant_id} value={plant.plant_id}>{plantLabel(plant)}</option>
+                    ))}
+                  </select>
+                </div>
+
+                {plan && (
+                  <>
+                    <div className="grid grid-cols-2 md:grid-cols-5 gap-6">
+                      <div>
+                        <p className={statLabelClass}>Growth Stage</p>
+                        <p className={statValueClass}>{plan.stage.label}</p>
+                        <p className={statLabelClass}>{plan.ageYears} years old</p>
+                      </div>
+                      <div>
+                        <p className={statLabelClass}>Trees</p>
+                        <p className={statValueClass}>{plan.trees}</p>
+                      </div>
+                      <div>
+                        <p className={statLabelClass}>Soil pH</p>
+                        <p className={statValueClass}>{plan.soilPh ?? 'Not recorded'}</p>
+                      </div>
+                      <div>
+                        <p className={statLabelClass}>Yearly per Tree</p>
+                        <p className={statValueClass}>{plan.annual.n}-{plan.annual.p}-{plan.annual.k} g</p>
+                        <p className={statLabelClass}>N - P₂O₅ - K₂O</p>
+                      </div>
+                      <div>
+                        <p className={statLabelClass}>Last Fertilized</p>
+                        <p className={statValueClass}>
+                          {lastFertilized ? new Date(lastFertilized).toLocaleDateString() : 'Never'}
+                        </p>
+                      </div>
+                    </div>
+
+                    {plan.notes.length > 0 && (
+                      <ul className={`mt-6 p-4 rounded-lg space-y-1 text-sm list-disc list-inside ${
+                        isDarkMode ? 'bg-yellow-900 text-yellow-100' : 'bg-yellow-50 text-yellow-800'
+                      }`}>
+                        {plan.notes.map(note => <li key={note}>{note}</li>)}
+                      </ul>
+                    )}
+                  </>
+                )}
+              </div>
+
+              {/* Application Calendar */}
+              {plan && (
+                <div className={`mb-8 ${cardClass}`}>
+                  <h3 className={`text-xl font-medium mb-4 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Application Calendar</h3>
+                  {plan.items.length === 0 ? (
+                    <p className={isDarkMode ? 'text-gray-400' : 'text-gray-500'}>No applications fall in the next 12 months.</p>
+                  ) : (
+                    <div className="overflow-x-auto">
+                      <table className={`min-w-full divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                        <thead className={isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+                          <tr>
+                            <th className={headerClass}>Date</th>
+                            <th className={headerClass}>Window</th>
+                            <th className={headerClass}>Per Tree</th>
+                            <th className={headerClass}>For the Batch</th>
+                            <th className={headerClass}>Status</th>
+                          </tr>
+                        </thead>
+                        <tbody className={`divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                          {plan.items.map(item => (
+                            <tr key={item.key}>
+                              <td className={`${cellClass} whitespace-nowrap`}>
+                                {new Date(item.date).toLocaleDateString()}
+                                <span className={`block text-xs ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>{item.season}</span>
+                              </td>
+                              <td className={cellClass}>
+                                <span className="font-medium">{item.label}</span>
+                                <span className={`block text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>{item.purpose}</span>
+                              </td>
+                              <td className={cellClass}>
+                                {item.products.map(product => (
+                                  <div key={product.product} className="flex items-center space-x-2">
+                                    <span>{product.gramsPerTree} g {FERTILIZER_PRODUCTS[product.product].label}</span>
+                                    {item.status !== 'done' && (
+                                      <button
+                                        type="button"
+                                        onClick={() => prefillFromItem(item, product)}
+                                        className={`text-xs ${isDarkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'}`}
+                                      >
+                                        Record
+                                      </button>
+                                    )}
+                                  </div>
+                                ))}
+                              </td>
+                              <td className={cellClass}>
+                                {item.products.map(product => (
+                                  <div key={product.product}>
+                                    {product.totalKg} kg
+                                    {product.bags >= 0.1 && <span className={isDarkMode ? 'text-gray-500' : 'text-gray-400'}> ({product.bags} bags)</span>}
+                                  </div>
+                                ))}
+                              </td>
+                              <td className={cellClass}>
+                                <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                                  isDarkMode ? STATUS_STYLES[item.status].dark : STATUS_STYLES[item.status].light
+                                }`}>
+                                  {STATUS_STYLES[item.status].label}
+                                </span>
+                                {item.appliedOn && (
+                                  <span className={`block text-xs mt-1 ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                                    Applied {new Date(item.appliedOn).toLocaleDateString()}
+                                  </span>
+                                )}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+              )}
+
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+                {/* Record Application */}
+                <div id="record-application" className={cardClass}>
+                  <h3 className={`text-xl font-medium mb-6 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Record Application</h3>
+                  <form onSubmit={saveApplication} className="space-y-4">
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div>
+                        <label className={labelClass}>Plant Batch</label>
+                        <select name="plant_id" value={form.plant_id} onChange={handleFormChange} className={inputClass} required>
+                          {plants.map(plant => (
+                            <option key={plant.plant_id} value={plant.plant_id}>{plantLabel(plant)}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div>
+                        <label className={labelClass}>Date Applied</label>
+                        <input type="date" name="applied_on" value={form.applied_on} max={today()} onChange={handleFormChange} className={inputClass} required />
+                      </div>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div>
+                        <label className={labelClass}>Product</label>
+                        <select name="product" value={form.product} onChange={handleFormChange} className={inputClass} required>
+                          {Object.entries(FERTILIZER_PRODUCTS).map(([key, product]) => (
+                            <option key={key} value={key}>{product.label}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div>
+                        <label className={labelClass}>Window (optional)</label>
+                        <select name="split_key" value={form.split_key} onChange={handleFormChange} className={inputClass}>
+                          <option value="">Not part of the plan</option>
+                          {Object.entries(APPLICATION_SPLITS).map(([key, split]) => (
+                            <option key={key} value={key}>{split.label}</option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                      <div>
+                        <label className={labelClass}>Grams per Tree</label>
+                        <input type="number" step="any" min="0" name="grams_per_tree" value={form.grams_per_tree} onChange={handleFormChange} className={inputClass} required />
+                      </div>
+                      <div>
+                        <label className={labelClass}>Trees Covered</label>
+                        <input type="number" min="1" name="trees_covered" value={form.trees_covered} onChange={handleFormChange} className={inputClass} required />
+                      </div>
+                    </div>
+                    <div>
+                      <label className={labelClass}>Notes</label>
+                      <input type="text" name="notes" value={form.notes} onChange={handleFormChange} className={inputClass} />
+                    </div>
+                    <button
+                      type="submit"
+                      disabled={saving}
+                      className="w-full px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+                    >
+                      {saving ? 'Saving...' : 'Record Application'}
+                    </button>
+                  </form>
+                </div>
+
+                {/* Application History */}
+                <div className={cardClass}>
+                  <h3 className={`text-xl font-medium mb-6 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Applications Done</h3>
+                  {applicationRecords.length === 0 ? (
+                    <p className={isDarkMode ? 'text-gray-400' : 'text-gray-500'}>No applications recorded yet.</p>
+                  ) : (
+                    <div className="overflow-x-auto">
+                      <table className={`min-w-full divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                        <thead className={isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+                          <tr>
+                            <th className={headerClass}>Date</th>
+                            <th className={headerClass}>Batch</th>
+                            <th className={headerClass}>Product</th>
+                            <th className={headerClass}>Amount</th>
+                          </tr>
+                        </thead>
+                        <tbody className={`divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                          {applicationRecords.map(application => {
+                            const plant = plants.find(p => p.plant_id === application.plant_id);
+                            return (
+                              <tr key={application.application_id}>
+                                <td className={`${cellClass} whitespace-nowrap`}>
+                                  <div className="flex items-center space-x-2">
+                                    <span>{new Date(application.applied_on).toLocaleDateString()}</span>
+                                    <SyncBadge sync={application._sync} />
+                                  </div>
+                                </td>
+                                <td className={cellClass}>{plant?.coffee_variety || '—'}</td>
+                                <td className={cellClass}>
+                                  {FERTILIZER_PRODUCTS[application.product]?.label || application.product}
+                                  {application.split_key && (
+                                    <span className={`block text-xs ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                                      {APPLICATION_SPLITS[application.split_key]?.label}
+                                    </span>
+                                  )}
+                                </td>
+                                <td className={cellClass}>
+                                  {application.grams_per_tree} g × {application.trees_covered} trees
+                                </td>
+                              </tr>
+                            );
+                          })}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default FertilizationPlanner;
@@ -0,0 +1,352 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { useTheme } from "../lib/ThemeContext";
+import { useAuth } from "../lib/AuthProvider";
+import { toast } from 'react-toastify';
+import Layout from '../components/Layout';
+import { GRADE_FIELDS } from '../lib/harvestMetrics';
+import {
+  DEFECT_CATEGORIES,
+  DEFAULT_GRADING_STANDARDS,
+  SCREEN_SIZES,
+  deleteGradingStandard,
+  fetchGradingStandards,
+  saveGradingStandard,
+  validateStandard
+} from '../lib/defectGrading';
+
+const NEW_DEFECT = { key: '', label: '', category: 'secondary', beans_per_full: '5' };
+const NEW_GRADE = { grade: 'commercial', max_full_defects: '', max_primary_defects: '', min_screen: '', min_screen_pct: '' };
+
+// New standards start from the SCA defect list, which most tables share
+const NEW_STANDARD = {
+  id: null,
+  key: '',
+  name: '',
+  description: '',
+  sampleWeightG: 300,
+  moistureMin: 10,
+  moistureMax: 12,
+  defects: DEFAULT_GRADING_STANDARDS[1].defects,
+  grades: [{ ...NEW_GRADE, grade: 'fine' }],
+  position: null
+};
+
+const text = (value) => (value === null || value === undefined ? '' : String(value));
+const number = (value) => (value === '' ? NaN : Number(value));
+const optionalNumber = (value) => (value === '' ? null : Number(value));
+
+// The draft keeps numbers as typed; the standard it stands for has them parsed
+const toDraft = (standard) => ({
+  ...standard,
+  sampleWeightG: text(standard.sampleWeightG),
+  moistureMin: text(standard.moistureMin),
+  moistureMax: text(standard.moistureMax),
+  defects: standard.defects.map(defect => ({ ...defect, beans_per_full: text(defect.beans_per_full) })),
+  grades: standard.grades.map(requirement => ({
+    grade: requirement.grade,
+    max_full_defects: text(requirement.max_full_defects),
+    max_primary_defects: text(requirement.max_primary_defects),
+    min_screen: text(requirement.min_screen),
+    min_screen_pct: text(requirement.min_screen_pct)
+  }))
+});
+
+const fromDraft = (draft) => ({
+  ...draft,
+  key: draft.key.trim(),
+  sampleWeightG: number(draft.sampleWeightG),
+  moistureMin: number(draft.moistureMin),
+  moistureMax: number(draft.moistureMax),
+  defects: draft.defects.map(defect => ({ ...defect, key: defect.key.trim(), beans_per_full: number(defect.beans_per_full) })),
+  grades: draft.grades.map(requirement => ({
+    grade: requirement.grade,
+    max_full_defects: number(requirement.max_full_defects),
+    max_primary_defects: optionalNumber(requirement.max_primary_defects),
+    min_screen: optionalNumber(requirement.min_screen),
+    min_screen_pct: optionalNumber(requirement.min_screen_pct)
+  }))
+});
+
+const gradeName = (grade) => GRADE_FIELDS.find(({ key }) => key === grade)?.label || grade;
+
+// One grade's limits in a sentence, for the standards list
+const describeRequirement = (requirement) => [
+  `up to ${requirement.max_full_defects} full defects`,
+  requirement.max_primary_defects === 0
+    ? 'no primary defects'
+    : requirement.max_primary_defects != null && `up to ${requirement.max_primary_defects} primary`,
+  requirement.min_screen != null && `${requirement.min_screen_pct}% on screen ${requirement.min_screen}+`
+].filter(Boolean).join(', ');
+
+const GradingStandards = () => {
+  const { isDarkMode } = useTheme();
+  const { user } = useAuth();
+  const [standards, setStandards] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadStandards = useCallback(() => fetchGradingStandards()
+    .then(setStandards)
+    .catch(error => toast.error(`Error loading grading standards: ${error.message}`)), []);
+
+  useEffect(() => {
+    loadStandards();
+  }, [loadStandards]);
+
+  const draftStandard = draft ? fromDraft(draft) : null;
+  const errors = draftStandard ? validateStandard(draftStandard, standards || []) : {};
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const updateRow = (list, index, changes) => {
+    setDraft(prev => ({ ...prev, [list]: prev[list].map((row, i) => (i === index ? { ...row, ...changes } : row)) }));
+  };
+
+  const removeRow = (list, index) => {
+    setDraft(prev => ({ ...prev, [list]: prev[list].filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = async () => {
+    if (Object.keys(errors).length > 0) {
+      toast.warning(Object.values(errors)[0]);
+      return;
+    }
+    setSaving(true);
+    try {
+      await saveGradingStandard(draftStandard, standards, user?.id);
+      toast.success(`${draftStandard.name} saved.`);
+      setDraft(null);
+      await loadStandards();
+    } catch (error) {
+      console.error("Error saving grading standard:", error);
+      toast.error(`Error saving grading standard: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (standard) => {
+    if (!window.confirm(`Delete ${standard.name}? Samples already graded against it keep their grade.`)) return;
+    try {
+      await deleteGradingStandard(standard.id);
+      toast.success(`${standard.name} deleted.`);
+      if (draft?.id === standard.id) setDraft(null);
+      await loadStandards();
+    } catch (error) {
+      toast.error(`Error deleting grading standard: ${error.message}`);
+    }
+  };
+
+  const cardClass = `p-6 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`;
+  const headingClass = `text-xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`;
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+  const labelClass = `block text-sm font-medium mb-1 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const inputClass = `w-full px-3 py-2 rounded-lg border text-sm ${
+    isDarkMode
+      ? 'bg-gray-700 border-gray-600 text-white focus:border-green-500'
+      : 'bg-white border-gray-300 text-gray-900 focus:border-green-500'
+  }`;
+  const linkButtonClass = `text-sm ${isDarkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'}`;
+  const fieldError = (key) => errors[key] && <p className="mt-1 text-xs text-red-500">{errors[key]}</p>;
+
+  return (
+    <Layout>
+      <div className="flex-1 overflow-auto">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          {/* Header */}
+          <div className={`mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6`}>
+            <div className="flex items-center justify-between">
+              <div>
+                <h2 className={`text-3xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                  Grading Standards
+                </h2>
+                <p className={`mt-2 text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+                  The defect tables farmers grade green coffee samples against in the Coffee Grade Predictor.
+                  Samples already saved keep the grade they were given.
+                </p>
+              </div>
+              <button
+                onClick={() => setDraft(toDraft(NEW_STANDARD))}
+                className="px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white"
+              >
+                New Standard
+              </button>
+            </div>
+          </div>
+
+          {!standards ? (
+            <p className={isDarkMode ? 'text-gray-300' : 'text-gray-600'}>Loading grading standards...</p>
+          ) : (
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              {/* Standard list */}
+              <div className="space-y-6">
+                {standards.length === 0 && (
+                  <div className={cardClass}>
+                    <p className={`text-sm ${mutedClass}`}>No standards stored. The grader falls back to the built-in PNS and SCA tables.</p>
+                  </div>
+                )}
+                {standards.map(standard => (
+                  <div key={standard.id} className={cardClass}>
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-center space-x-2">
+                        <h3 className={headingClass}>{standard.name}</h3>
+                        <span className={`text-xs font-mono ${mutedClass}`}>{standard.key}</span>
+                      </div>
+                      <div className="flex items-center space-x-3">
+                        <button onClick={() => setDraft(toDraft(standard))} className={linkButtonClass}>Edit</button>
+                        <button onClick={() => handleDelete(standard)} className="text-sm text-red-500 hover:text-red-600">Delete</button>
+                      </div>
+                    </div>
+                    {standard.description && <p className={`text-sm mt-1 ${mutedClass}`}>{standard.description}</p>}
+                    <p className={`text-sm mt-3 ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+                      {standard.sampleWeightG} g sample · moisture {standard.moistureMin}-{standard.moistureMax}% ·{' '}
+                      {standard.defects.length} defects ({standard.defects.filter(d => d.category === 'primary').length} primary)
+                    </p>
+                    <ul className={`mt-2 text-sm space-y-1 ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+                      {standard.grades.map(requirement => (
+                        <li key={requirement.grade}>
+                          <span className="font-medium">{gradeName(requirement.grade)}:</span> {describeRequirement(requirement)}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+
+              {/* Editor */}
+              {draft && (
+                <div className={cardClass}>
+                  <h3 className={`${headingClass} mb-4`}>{draft.id ? `Edit ${draft.name}` : 'New standard'}</h3>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className={labelClass}>Key</label>
+                      <input value={draft.key} onChange={(e) => updateDraft({ key: e.target.value })} className={inputClass} placeholder="pns" />
+                      {fieldError('key')}
+                    </div>
+                    <div>
+                      <label className={labelClass}>Name</label>
+                      <input value={draft.name} onChange={(e) => updateDraft({ name: e.target.value })} className={inputClass} />
+                      {fieldError('name')}
+                    </div>
+                    <div className="md:col-span-2">
+                      <label className={labelClass}>Description</label>
+                      <input value={draft.description} onChange={(e) => updateDraft({ description: e.target.value })} className={inputClass} />
+                    </div>
+                    <div>
+                      <label className={labelClass}>Sample weight (g)</label>
+                      <input type="number" min="0" step="any" value={draft.sampleWeightG} onChange={(e) => updateDraft({ sampleWeightG: e.target.value })} className={inputClass} />
+                      {fieldError('sampleWeightG')}
+                    </div>
+                    <div>
+                      <label className={labelClass}>Moisture range (%)</label>
+                      <div className="flex items-center space-x-2">
+                        <input type="number" min="0" max="100" step="any" value={draft.moistureMin} onChange={(e) => updateDraft({ moistureMin: e.target.value })} className={inputClass} placeholder="from" />
+                        <input type="number" min="0" max="100" step="any" value={draft.moistureMax} onChange={(e) => updateDraft({ moistureMax: e.target.value })} className={inputClass} placeholder="to" />
+                      </div>
+                      {fieldError('moisture')}
+                    </div>
+                  </div>
+
+                  <div className="mt-6">
+                    <label className={labelClass}>Grades, best first</label>
+                    <p className={`text-xs mb-2 ${mutedClass}`}>
+                      A sample takes the first grade whose limits it meets, or is off-grade. Leave the primary limit or screen empty for no limit.
+                      Samples outside the moisture range can only take the last grade.
+                    </p>
+                    <div className="space-y-2">
+                      {draft.grades.map((requirement, index) => (
+                        <div key={index}>
+                          <div className="flex items-center space-x-2">
+                            <select value={requirement.grade} onChange={(e) => updateRow('grades', index, { grade: e.target.value })} className={`${inputClass} w-32`}>
+                              {GRADE_FIELDS.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+                            </select>
+                            <input type="number" min="0" step="1" value={requirement.max_full_defects} onChange={(e) => updateRow('grades', index, { max_full_defects: e.target.value })} className={inputClass} placeholder="max full" title="Most full defects allowed" />
+                            <input type="number" min="0" step="1" value={requirement.max_primary_defects} onChange={(e) => updateRow('grades', index, { max_primary_defects: e.target.value })} className={inputClass} placeholder="max primary" title="Most primary full defects allowed" />
+                            <select value={requirement.min_screen} onChange={(e) => updateRow('grades', index, { min_screen: e.target.value })} className={inputClass} title="Screen size">
+                              <option value="">Any screen</option>
+                              {SCREEN_SIZES.map(size => <option key={size} value={size}>Screen {size}+</option>)}
+                            </select>
+                            <input type="number" min="0" max="100" step="any" value={requirement.min_screen_pct} onChange={(e) => updateRow('grades', index, { min_screen_pct: e.target.value })} className={inputClass} placeholder="min %" title="Share that must stay on the screen" />
+                            <button
+                              onClick={() => removeRow('grades', index)}
+                              disabled={draft.grades.length === 1}
+                              className="text-sm text-red-500 hover:text-red-600 disabled:opacity-30"
+                              aria-label="Remove grade"
+                            >
+                              ✕
+                            </button>
+                          </div>
+                          {fieldError(`grades.${index}`)}
+                        </div>
+                      ))}
+                    </div>
+                    {fieldError('grades')}
+                    <button
+                      onClick={() => updateDraft({ grades: [...draft.grades, { ...NEW_GRADE }] })}
+                      disabled={draft.grades.length >= GRADE_FIELDS.length}
+                      className={`mt-2 ${linkButtonClass} disabled:opacity-30`}
+                    >
+                      Add grade
+                    </button>
+                  </div>
+
+                  <div className="mt-6">
+                    <label className={labelClass}>Defects</label>
+                    <p className={`text-xs mb-2 ${mutedClass}`}>How many beans of each defect count as one full defect.</p>
+                    <div className="space-y-2">
+                      {draft.defects.map((defect, index) => (
+                        <div key={index}>
+                          <div className="flex items-center space-x-2">
+                            <input value={defect.label} onChange={(e) => updateRow('defects', index, { label: e.target.value })} className={inputClass} placeholder="Full black" />
+                            <input value={defect.key} onChange={(e) => updateRow('defects', index, { key: e.target.value })} className={`${inputClass} w-40 font-mono`} placeholder="full_black" />
+                            <select value={defect.category} onChange={(e) => updateRow('defects', index, { category: e.target.value })} className={`${inputClass} w-32`}>
+                              {Object.entries(DEFECT_CATEGORIES).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                            </select>
+                            <input type="number" min="0" step="any" value={defect.beans_per_full} onChange={(e) => updateRow('defects', index, { beans_per_full: e.target.value })} className={`${inputClass} w-24`} title="Beans per full defect" />
+                            <button
+                              onClick={() => removeRow('defects', index)}
+                              disabled={draft.defects.length === 1}
+                              className="text-sm text-red-500 hover:text-red-600 disabled:opacity-30"
+                              aria-label="Remove defect"
+                            >
+                              ✕
+                            </button>
+                          </div>
+                          {fieldError(`defects.${index}`)}
+                        </div>
+                      ))}
+                    </div>
+                    {fieldError('defects')}
+                    <button onClick={() => updateDraft({ defects: [...draft.defects, { ...NEW_DEFECT }] })} className={`mt-2 ${linkButtonClass}`}>
+                      Add defect
+                    </button>
+                  </div>
+
+                  <div className="mt-6 flex justify-end space-x-2">
+                    <button
+                      onClick={() => setDraft(null)}
+                      className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
+                        isDarkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-200' : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+                      }`}
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      onClick={handleSave}
+                      disabled={saving}
+                      className="px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+                    >
+                      {saving ? 'Saving...' : 'Save Standard'}
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default GradingStandards;
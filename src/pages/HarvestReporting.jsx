@@ -1,16 +1,23 @@
 import React, { useState, useEffect, useRef } from "react";
-import { useNavigate, useLocation } from "react-router-dom";
+import { useNavigate, useLocation, Link } from "react-router-dom";
 import { supabase } from "../lib/supabaseClient";
 import { useTheme } from "../lib/ThemeContext";
 import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import Layout from '../components/Layout';
+import SyncBadge from '../components/SyncBadge';
+import { syncQueue, applyOutbox, describePendingWrite } from '../lib/offline';
+import { useSyncQueue } from '../lib/offline/useSyncQueue';
+import { normalizeHarvest, validateHarvestGrades, GRADE_TOLERANCE_KG } from '../lib/harvestMetrics';
+import { fetchBatches, summarizeHarvestBatches } from '../lib/processing';
+import { SPLIT_TOLERANCE_PCT, compareHarvestToSamples, fetchSamples } from '../lib/gradingSamples';
 
 const HarvestReporting = () => {
   const navigate = useNavigate();
   const location = useLocation();
   const { isDarkMode, toggleTheme } = useTheme();
   const initialLoadDone = useRef(false);
+  const { entries: outbox } = useSyncQueue();
 
   // Add global styles for dark mode select options
   React.useEffect(() => {
@@ -53,8 +60,8 @@ const HarvestReporting = () => {
   const [isEditingHarvest, setIsEditingHarvest] = useState(false);
   const [isModalOpen, setIsModalOpen] = useState(false);
 
-  // Add new state for maximum dry quantity
-  const [maxDryQuantity, setMaxDryQuantity] = useState(0);
+  const [batchList, setBatchList] = useState([]); // Processing batches, for what each harvest was processed into
+  const [samples, setSamples] = useState([]); // Graded bean samples, to cross-check each harvest's grade split
 
   useEffect(() => {
     const fetchUserAndData = async () => {
@@ -82,7 +89,10 @@ const HarvestReporting = () => {
 
       if (farmerError && farmerError.code === 'PGRST116') { // No rows found
         if (!initialLoadDone.current) {
-        toast.info("Please declare your farm details first in 'Land & Plant Declaration'.");
+          toast.info("Set up your farm before recording harvests.");
+        }
+        if (userData?.role === 'farmer') {
+          navigate("/onboarding");
         }
         setFarmerDetails(null);
         setPlantDataList([]); // Clear plant list if no farmer details
@@ -132,6 +142,18 @@ const HarvestReporting = () => {
             toast.error("Error loading data. Please try refreshing the page.");
           }
         }
+
+        // Batches only add processing detail to the harvest cards, so harvests still show without them
+        try {
+          setBatchList(await fetchBatches(farmerData.id));
+        } catch {
+          setBatchList([]);
+        }
+        try {
+          setSamples(await fetchSamples(farmerData.id));
+        } catch {
+          setSamples([]);
+        }
       } else if (farmerError) {
         console.error("Error fetching farmer details:", farmerError);
         if (!initialLoadDone.current) {
@@ -157,13 +179,6 @@ const HarvestReporting = () => {
       [name]: value,
     }));
 
-    // Calculate max dry quantity when raw quantity changes (approximately 20% weight loss during drying)
-    if (name === 'coffee_raw_quantity') {
-      const rawQuantity = parseFloat(value) || 0;
-      const maxDry = Math.round((rawQuantity * 1) * 100) / 100; // Round to 2 decimal places
-      setMaxDryQuantity(maxDry);
-    }
-
     // Calculate total dry quantity from grades
     if (['coffee_premium_grade', 'coffee_fine_grade', 'coffee_commercial_grade'].includes(name)) {
       const premiumGrade = parseFloat(name === 'coffee_premium_grade' ? value : harvestInputForm.coffee_premium_grade) || 0;
@@ -183,15 +198,6 @@ const HarvestReporting = () => {
   const saveHarvestData = async (e) => {
     e.preventDefault();
 
-    // Validate total dry quantity against max dry quantity
-    const currentDryQuantity = parseFloat(harvestInputForm.coffee_dry_quantity);
-    const currentRawQuantity = parseFloat(harvestInputForm.coffee_raw_quantity);
-    
-    if (currentDryQuantity > maxDryQuantity) {
-      toast.error(`Total dry quantity (${currentDryQuantity}kg) cannot exceed ${maxDryQuantity}(kg of raw quantity ${currentRawQuantity}kg)`);
-      return;
-    }
-
     if (!farmerDetails || !farmerDetails.id) {
       toast.error("Farmer details not loaded. Cannot save harvest data.");
       return;
@@ -207,29 +213,23 @@ const HarvestReporting = () => {
       return;
     }
 
-    const parsedRawQuantity = parseFloat(harvestInputForm.coffee_raw_quantity);
-    if (isNaN(parsedRawQuantity) || parsedRawQuantity < 0) {
-      toast.warning("Raw coffee quantity must be a non-negative number.");
+    // Grades are kilograms of dry coffee and must add up to the dry quantity
+    const gradeError = validateHarvestGrades(harvestInputForm);
+    if (gradeError) {
+      toast.warning(gradeError);
       return;
     }
 
-    const parsedPremiumGrade = parseFloat(harvestInputForm.coffee_premium_grade);
-    if (isNaN(parsedPremiumGrade) || parsedPremiumGrade < 0) {
-      toast.warning("Premium grade must be a non-negative number.");
+    // Cherry already split into processing batches has to stay covered by the harvest
+    if (parseFloat(harvestInputForm.coffee_raw_quantity) + GRADE_TOLERANCE_KG < formBatches.cherryKg) {
+      toast.warning(`Raw quantity cannot be less than the ${formBatches.cherryKg} kg already in processing batches.`);
       return;
     }
 
+    const parsedRawQuantity = parseFloat(harvestInputForm.coffee_raw_quantity);
+    const parsedPremiumGrade = parseFloat(harvestInputForm.coffee_premium_grade);
     const parsedFineGrade = parseFloat(harvestInputForm.coffee_fine_grade);
-    if (isNaN(parsedFineGrade) || parsedFineGrade < 0) {
-      toast.warning("Fine grade must be a non-negative number.");
-      return;
-    }
-
     const parsedCommercialGrade = parseFloat(harvestInputForm.coffee_commercial_grade);
-    if (isNaN(parsedCommercialGrade) || parsedCommercialGrade < 0) {
-      toast.warning("Commercial grade must be a non-negative number.");
-      return;
-    }
 
     // Calculate total dry quantity
     const totalDryQuantity = parsedPremiumGrade + parsedFineGrade + parsedCommercialGrade;
@@ -245,39 +245,43 @@ const HarvestReporting = () => {
         coffee_commercial_grade: parsedCommercialGrade,
       };
 
+      // Writes go through the offline outbox and are sent right away when there is a connection
+      let saved;
       if (harvestInputForm.harvest_id) {
         // Update existing record
-        const { error: updateError } = await supabase
-          .from("harvest_data")
-          .update(harvestDataToSave)
-          .eq("harvest_id", harvestInputForm.harvest_id)
-          .eq("farmer_id", farmerDetails.id); // Ensure user can only update their own records
-
-        if (updateError) throw updateError;
-        toast.success("Harvest data updated successfully!");
-
+        saved = await syncQueue.save("harvest_data", "update", {
+          key: harvestInputForm.harvest_id,
+          payload: harvestDataToSave,
+          base: harvestDataList.find(harvest => harvest.harvest_id === harvestInputForm.harvest_id),
+          match: { farmer_id: farmerDetails.id }, // Ensure user can only update their own records
+        });
       } else {
         // Insert new record
-        const { error: insertError } = await supabase
-          .from("harvest_data")
-          .insert({
+        saved = await syncQueue.save("harvest_data", "insert", {
+          payload: {
             ...harvestDataToSave,
             farmer_id: farmerDetails.id, // Link to the farmer
-          });
-
-        if (insertError) throw insertError;
-        toast.success("Harvest data added successfully!");
+          },
+        });
       }
 
-      // Re-fetch all harvest data to update the list
-      const { data: updatedHarvestList, error: fetchError } = await supabase
-        .from("harvest_data")
-        .select("*")
-        .eq("farmer_id", farmerDetails.id)
-        .order("harvest_date", { ascending: false });
+      if (saved.state === "synced") {
+        toast.success(harvestInputForm.harvest_id ? "Harvest data updated successfully!" : "Harvest data added successfully!");
 
-      if (fetchError) throw fetchError;
-      setHarvestDataList(updatedHarvestList || []);
+        // Re-fetch all harvest data to update the list
+        const { data: updatedHarvestList, error: fetchError } = await supabase
+          .from("harvest_data")
+          .select("*")
+          .eq("farmer_id", farmerDetails.id)
+          .order("harvest_date", { ascending: false });
+
+        if (fetchError) throw fetchError;
+        setHarvestDataList(updatedHarvestList || []);
+      } else if (saved.state === "conflict") {
+        toast.warning(`Harvest is held for conflict review (${saved.error}). Resolve it in the sync panel.`);
+      } else {
+        toast.info(describePendingWrite("harvest", syncQueue.isHeld(saved.id)));
+      }
 
       // Close modal and reset form after successful save
       if (isEditingHarvest) {
@@ -324,16 +328,20 @@ const HarvestReporting = () => {
     if (!window.confirm("Are you sure you want to delete this harvest entry?")) return;
 
     try {
-      const { error } = await supabase
-        .from("harvest_data")
-        .delete()
-        .eq("harvest_id", harvestId)
-        .eq("farmer_id", farmerDetails.id); // Ensure user can only delete their own records
-
-      if (error) throw error;
+      const deleted = await syncQueue.save("harvest_data", "delete", {
+        key: harvestId,
+        base: harvestDataList.find(harvest => harvest.harvest_id === harvestId),
+        match: { farmer_id: farmerDetails.id }, // Ensure user can only delete their own records
+      });
 
-      toast.success("Harvest data deleted successfully!");
-      setHarvestDataList(harvestDataList.filter(harvest => harvest.harvest_id !== harvestId));
+      if (!deleted || deleted.state === "synced") {
+        toast.success("Harvest data deleted successfully!");
+        setHarvestDataList(harvestDataList.filter(harvest => harvest.harvest_id !== harvestId));
+      } else if (deleted.state === "conflict") {
+        toast.warning(`Harvest deletion is held for conflict review (${deleted.error}). Resolve it in the sync panel.`);
+      } else {
+        toast.info(describePendingWrite("deletion", syncQueue.isHeld(deleted.id)));
+      }
 
       // If the deleted harvest was being edited, reset the form
       if (harvestInputForm.harvest_id === harvestId) {
@@ -402,13 +410,31 @@ const HarvestReporting = () => {
 
   const navLinks = user?.role === "admin" ? adminLinks : userLinks;
 
-  // Add helper function to validate grade input
-  const validateGradeInput = (value, name) => {
-    const premiumGrade = parseFloat(name === 'coffee_premium_grade' ? value : harvestInputForm.coffee_premium_grade) || 0;
-    const fineGrade = parseFloat(name === 'coffee_fine_grade' ? value : harvestInputForm.coffee_fine_grade) || 0;
-    const commercialGrade = parseFloat(name === 'coffee_commercial_grade' ? value : harvestInputForm.coffee_commercial_grade) || 0;
-    
-    return (premiumGrade + fineGrade + commercialGrade) <= maxDryQuantity;
+  // Server rows with any writes still waiting in the outbox laid over them
+  const ownsInsert = (entry) => entry.payload.farmer_id === farmerDetails?.id;
+  const plantOptions = applyOutbox(plantDataList, outbox, "plant_data", ownsInsert);
+  const harvestRecords = applyOutbox(harvestDataList, outbox, "harvest_data", ownsInsert)
+    .map(normalizeHarvest)
+    .sort((a, b) => new Date(b.harvest_date) - new Date(a.harvest_date));
+
+  const batchRecords = applyOutbox(batchList, outbox, "processing_batches", ownsInsert);
+
+  // Cherry of the harvest being edited that is already in processing batches
+  const formBatches = summarizeHarvestBatches(harvestInputForm.harvest_id, batchRecords);
+  const hasBatches = formBatches.count > 0;
+  const processingByHarvest = Object.fromEntries(
+    harvestRecords.map(harvest => [harvest.harvest_id, summarizeHarvestBatches(harvest.harvest_id, batchRecords)])
+  );
+  const sampleChecks = Object.fromEntries(
+    harvestRecords.map(harvest => [harvest.harvest_id, compareHarvestToSamples(harvest, samples)])
+  );
+  const describeProcessing = (processing) => {
+    if (processing.count === 0) return 'Not processed yet';
+    return [
+      `${processing.count} batch${processing.count > 1 ? 'es' : ''}, ${processing.cherryKg} kg of cherry`,
+      processing.cherryPerGreen != null && `${processing.cherryPerGreen} : 1 cherry to green`,
+      processing.allGraded && 'all graded'
+    ].filter(Boolean).join(', ');
   };
 
   return (
@@ -454,7 +480,7 @@ const HarvestReporting = () => {
                     required
                   >
                     <option value="">Select a plant</option>
-                    {plantDataList.map((plant) => (
+                    {plantOptions.map((plant) => (
                       <option key={plant.plant_id} value={plant.plant_id}>
                         {plant.coffee_variety} (Planted: {new Date(plant.planting_date).toLocaleDateString()})
                       </option>
@@ -499,9 +525,9 @@ const HarvestReporting = () => {
                     } focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 transition-colors`}
                     required
                   />
-                  {harvestInputForm.coffee_raw_quantity > 0 && (
+                  {hasBatches && (
                     <p className={`mt-1 text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
-                      Maximum dry quantity: {maxDryQuantity}kg (of raw quantity)
+                      {formBatches.cherryKg} kg of this harvest is in processing batches
                     </p>
                   )}
                 </div>
@@ -538,12 +564,7 @@ const HarvestReporting = () => {
                     step="0.01"
                     name="coffee_premium_grade"
                     value={harvestInputForm.coffee_premium_grade}
-                    onChange={(e) => {
-                      handleHarvestInputChange(e);
-                      if (!validateGradeInput(e.target.value, 'coffee_premium_grade')) {
-                        toast.warning(`Total dry quantity cannot exceed ${maxDryQuantity}kg`);
-                      }
-                    }}
+                    onChange={handleHarvestInputChange}
                     className={`w-full px-3 py-2 rounded-lg border ${
                       isDarkMode
                         ? 'bg-gray-700 border-gray-600 text-white focus:border-green-500'
@@ -562,12 +583,7 @@ const HarvestReporting = () => {
                     step="0.01"
                     name="coffee_fine_grade"
                     value={harvestInputForm.coffee_fine_grade}
-                    onChange={(e) => {
-                      handleHarvestInputChange(e);
-                      if (!validateGradeInput(e.target.value, 'coffee_fine_grade')) {
-                        toast.warning(`Total dry quantity cannot exceed ${maxDryQuantity}kg`);
-                      }
-                    }}
+                    onChange={handleHarvestInputChange}
                     className={`w-full px-3 py-2 rounded-lg border ${
                       isDarkMode
                         ? 'bg-gray-700 border-gray-600 text-white focus:border-green-500'
@@ -586,12 +602,7 @@ const HarvestReporting = () => {
                     step="0.01"
                     name="coffee_commercial_grade"
                     value={harvestInputForm.coffee_commercial_grade}
-                    onChange={(e) => {
-                      handleHarvestInputChange(e);
-                      if (!validateGradeInput(e.target.value, 'coffee_commercial_grade')) {
-                        toast.warning(`Total dry quantity cannot exceed ${maxDryQuantity}kg`);
-                      }
-                    }}
+                    onChange={handleHarvestInputChange}
                     className={`w-full px-3 py-2 rounded-lg border ${
                       isDarkMode
                         ? 'bg-gray-700 border-gray-600 text-white focus:border-green-500'
@@ -676,7 +687,7 @@ const HarvestReporting = () => {
                         required
                       >
                         <option value="">Select a plant</option>
-                        {plantDataList.map((plant) => (
+                        {plantOptions.map((plant) => (
                           <option key={plant.plant_id} value={plant.plant_id}>
                             {plant.coffee_variety} (Planted: {new Date(plant.planting_date).toLocaleDateString()})
                           </option>
@@ -722,9 +733,9 @@ const HarvestReporting = () => {
                         } focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 transition-colors`}
                         required
                       />
-                      {harvestInputForm.coffee_raw_quantity > 0 && (
+                      {hasBatches && (
                         <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
-                          Maximum dry quantity: {maxDryQuantity}kg (of raw quantity)
+                          {formBatches.cherryKg} kg of this harvest is in processing batches
                         </p>
                       )}
                     </div>
@@ -766,12 +777,7 @@ const HarvestReporting = () => {
                           step="0.01"
                           name="coffee_premium_grade"
                           value={harvestInputForm.coffee_premium_grade}
-                          onChange={(e) => {
-                            handleHarvestInputChange(e);
-                            if (!validateGradeInput(e.target.value, 'coffee_premium_grade')) {
-                              toast.warning(`Total dry quantity cannot exceed ${maxDryQuantity}kg`);
-                            }
-                          }}
+                          onChange={handleHarvestInputChange}
                           className={`w-full px-4 py-2.5 rounded-lg border ${
                             isDarkMode
                               ? 'bg-gray-700 border-gray-600 text-white focus:border-green-500'
@@ -790,12 +796,7 @@ const HarvestReporting = () => {
                           step="0.01"
                           name="coffee_fine_grade"
                           value={harvestInputForm.coffee_fine_grade}
-                          onChange={(e) => {
-                            handleHarvestInputChange(e);
-                            if (!validateGradeInput(e.target.value, 'coffee_fine_grade')) {
-                              toast.warning(`Total dry quantity cannot exceed ${maxDryQuantity}kg`);
-                            }
-                          }}
+                          onChange={handleHarvestInputChange}
                           className={`w-full px-4 py-2.5 rounded-lg border ${
                             isDarkMode
                               ? 'bg-gray-700 border-gray-600 text-white focus:border-green-500'
@@ -814,12 +815,7 @@ const HarvestReporting = () => {
                           step="0.01"
                           name="coffee_commercial_grade"
                           value={harvestInputForm.coffee_commercial_grade}
-                          onChange={(e) => {
-                            handleHarvestInputChange(e);
-                            if (!validateGradeInput(e.target.value, 'coffee_commercial_grade')) {
-                              toast.warning(`Total dry quantity cannot exceed ${maxDryQuantity}kg`);
-                            }
-                          }}
+                          onChange={handleHarvestInputChange}
                           className={`w-full px-4 py-2.5 rounded-lg border ${
                             isDarkMode
                               ? 'bg-gray-700 border-gray-600 text-white focus:border-green-500'
@@ -871,7 +867,7 @@ const HarvestReporting = () => {
             </div>
 
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-              {harvestDataList.map((harvest) => (
+              {harvestRecords.map((harvest) => (
                 <div
                   key={harvest.harvest_id}
                   className={`p-6 rounded-lg ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'} hover:shadow-lg transition-shadow duration-200`}
@@ -884,6 +880,9 @@ const HarvestReporting = () => {
                       <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
                         Plant ID: {harvest.plant_id}
                       </p>
+                      <div className="mt-1">
+                        <SyncBadge sync={harvest._sync} />
+                      </div>
                     </div>
                     <div className="flex space-x-2">
                       <button
@@ -943,6 +942,35 @@ const HarvestReporting = () => {
                         {harvest.coffee_commercial_grade} kg
                       </p>
                     </div>
+                    <div className="col-span-2">
+                      <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>Processing</p>
+                      <p className={`text-base font-medium ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                        {describeProcessing(processingByHarvest[harvest.harvest_id])}
+                      </p>
+                      <Link
+                        to={`/processing?harvest=${harvest.harvest_id}`}
+                        className={`text-sm font-medium ${isDarkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'}`}
+                      >
+                        {processingByHarvest[harvest.harvest_id].cherryKg < harvest.coffee_raw_quantity ? 'Start a batch' : 'View batches'}
+                      </Link>
+                    </div>
+                    {sampleChecks[harvest.harvest_id] && (
+                      <div className="col-span-2">
+                        <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                          Graded Samples ({sampleChecks[harvest.harvest_id].sampleCount})
+                        </p>
+                        <p className={`text-base font-medium ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                          {sampleChecks[harvest.harvest_id].grades.map(grade => `${grade.label} ${grade.sampledPct}%`).join(', ')}
+                          {sampleChecks[harvest.harvest_id].offGradeCount > 0 && ` (${sampleChecks[harvest.harvest_id].offGradeCount} off-grade left out)`}
+                        </p>
+                        {sampleChecks[harvest.harvest_id].mismatch && (
+                          <p className={`text-sm ${isDarkMode ? 'text-yellow-300' : 'text-yellow-700'}`}>
+                            The reported split ({sampleChecks[harvest.harvest_id].grades.map(grade => `${grade.label} ${grade.reportedPct}%`).join(', ')}) differs
+                            from the samples by more than {SPLIT_TOLERANCE_PCT} points. Check the grades entered for this harvest.
+                          </p>
+                        )}
+                      </div>
+                    )}
                   </div>
                 </div>
               ))}
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useRef, useMemo } from "react";
 import { useNavigate } from "react-router-dom";
 import { supabase } from "../lib/supabaseClient";
 import { useTheme } from "../lib/ThemeContext";
@@ -6,16 +6,29 @@ import { ToastContainer, toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 import Layout from '../components/Layout';
 import { useAuth } from "../lib/AuthProvider";
+import SyncBadge from '../components/SyncBadge';
+import OnboardingBanner from '../components/OnboardingBanner';
+import FarmMapPicker from '../components/FarmMapPicker';
+import { resolveLocation, searchGazetteer } from '../lib/gazetteer';
+import { formatCoordinates, polygonAreaHectares, polygonCentroid } from '../lib/geo';
+import { COFFEE_SPECIES, COFFEE_VARIETIES, describeVariety, getVariety, isCatalogVariety } from '../lib/coffeeVarieties';
+import { syncQueue, applyOutbox, describePendingWrite } from '../lib/offline';
+import { useSyncQueue } from '../lib/offline/useSyncQueue';
 
 const LandDeclaration = () => {
   const navigate = useNavigate();
   const { isDarkMode, toggleTheme } = useTheme();
   const { user: authUser } = useAuth();
   const initialLoadDone = useRef(false);
+  const { entries: outbox } = useSyncQueue();
   const [farmerDetails, setFarmerDetails] = useState({
     farm_location: "",
     farm_size: "",
     farm_elevation: "",
+    farm_latitude: null,
+    farm_longitude: null,
+    farm_boundary: null,
+    location_source: null,
     // plant_id is no longer needed here as a single link, it will be handled by foreign keys
   });
   const [plantDataList, setPlantDataList] = useState([]); // Array to hold multiple plant entries
@@ -29,6 +42,9 @@ const LandDeclaration = () => {
   const [isEditingFarmerDetail, setIsEditingFarmerDetail] = useState(false);
   const [isEditingPlant, setIsEditingPlant] = useState(false); // New state to manage editing an individual plant
   const [showPlantForm, setShowPlantForm] = useState(false); // Controls visibility of the plant data input form
+  const [mapMode, setMapMode] = useState('pin'); // 'pin' places the farm pin, 'boundary' adds boundary corners
+  const [locating, setLocating] = useState(false);
+  const savedFarmerDetails = useRef(null); // Restored when an edit is cancelled
 
   const fetchFarmerAndPlantData = async () => {
     if (!authUser) {
@@ -109,6 +125,80 @@ const LandDeclaration = () => {
     setFarmerDetails((prev) => ({ ...prev, [name]: value }));
   };
 
+  const locationSuggestions = useMemo(
+    () => searchGazetteer(farmerDetails.farm_location || ''),
+    [farmerDetails.farm_location]
+  );
+  const boundaryPoints = farmerDetails.farm_boundary || [];
+  const hasBoundary = boundaryPoints.length >= 3;
+  const hasCoordinates = farmerDetails.farm_latitude != null && farmerDetails.farm_longitude != null;
+
+  const setFarmPin = (latitude, longitude, source) => {
+    setFarmerDetails((prev) => ({
+      ...prev,
+      farm_latitude: Number(latitude.toFixed(6)),
+      farm_longitude: Number(longitude.toFixed(6)),
+      location_source: source,
+    }));
+  };
+
+  // A typed place only moves the pin until the farmer places or locates it themselves
+  const handleFarmLocationBlur = () => {
+    if (hasCoordinates && farmerDetails.location_source !== 'gazetteer') return;
+    const place = resolveLocation(farmerDetails.farm_location);
+    if (place) {
+      setFarmPin(place.latitude, place.longitude, 'gazetteer');
+    }
+  };
+
+  const handleUseMyLocation = () => {
+    if (!navigator.geolocation) {
+      toast.error("This browser cannot share your location. Place the pin on the map instead.");
+      return;
+    }
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setFarmPin(position.coords.latitude, position.coords.longitude, 'gps');
+        setLocating(false);
+        toast.success(`Farm located to within ${Math.round(position.coords.accuracy)} meters.`);
+      },
+      (error) => {
+        setLocating(false);
+        toast.error(`Could not get your location: ${error.message}`);
+      },
+      { enableHighAccuracy: true, timeout: 15000 }
+    );
+  };
+
+  const handleBoundaryChange = (points) => {
+    setFarmerDetails((prev) => {
+      const next = { ...prev, farm_boundary: points.length > 0 ? points : null };
+      if (points.length >= 3) {
+        next.farm_size = polygonAreaHectares(points).toFixed(2);
+        // The boundary is a better position than a town centre
+        if (prev.farm_latitude == null || prev.location_source === 'gazetteer' || prev.location_source === 'boundary') {
+          const centre = polygonCentroid(points);
+          next.farm_latitude = Number(centre.latitude.toFixed(6));
+          next.farm_longitude = Number(centre.longitude.toFixed(6));
+          next.location_source = 'boundary';
+        }
+      }
+      return next;
+    });
+  };
+
+  const startEditingFarmerDetail = () => {
+    savedFarmerDetails.current = farmerDetails;
+    setMapMode('pin');
+    setIsEditingFarmerDetail(true);
+  };
+
+  const cancelFarmerDetailEdit = () => {
+    setFarmerDetails(savedFarmerDetails.current);
+    setIsEditingFarmerDetail(false);
+  };
+
   const handlePlantInputChange = (e) => {
     const { name, value } = e.target;
     setPlantInputForm((prev) => ({ ...prev, [name]: value }));
@@ -132,6 +222,17 @@ const LandDeclaration = () => {
       return;
     }
 
+    // Fall back to the gazetteer so a typed place still gets the farm weather
+    let coordinates = hasCoordinates
+      ? { farm_latitude: farmerDetails.farm_latitude, farm_longitude: farmerDetails.farm_longitude, location_source: farmerDetails.location_source }
+      : null;
+    if (!coordinates) {
+      const place = resolveLocation(farmerDetails.farm_location);
+      coordinates = place
+        ? { farm_latitude: place.latitude, farm_longitude: place.longitude, location_source: 'gazetteer' }
+        : { farm_latitude: null, farm_longitude: null, location_source: null };
+    }
+
     try {
       const { data, error } = await supabase
         .from("farmer_detail")
@@ -141,6 +242,8 @@ const LandDeclaration = () => {
             farm_location: farmerDetails.farm_location,
             farm_size: parsedFarmSize,
             farm_elevation: parsedFarmElevation,
+            ...coordinates,
+            farm_boundary: hasBoundary ? boundaryPoints : null,
           },
           { onConflict: 'id' }
         )
@@ -154,7 +257,11 @@ const LandDeclaration = () => {
       setFarmerDetails(data);
       setHasFarmerDetail(true);
       setIsEditingFarmerDetail(false);
-      toast.success("Farmer details saved successfully!");
+      if (data.farm_latitude == null) {
+        toast.warning("Farm details saved, but without a map position weather forecasts are unavailable. Edit the details to place your farm on the map.");
+      } else {
+        toast.success("Farmer details saved successfully!");
+      }
     } catch (error) {
       console.error("Error saving farmer details:", error);
       toast.error(`Error saving farmer details: ${error.message}`);
@@ -179,46 +286,48 @@ const LandDeclaration = () => {
     }
 
     try {
+      // Writes go through the offline outbox and are sent right away when there is a connection
+      let saved;
       if (plantInputForm.plant_id) {
         // Update existing plant_data
-        const { error: updateError } = await supabase
-          .from("plant_data")
-          .update({
+        saved = await syncQueue.save("plant_data", "update", {
+          key: plantInputForm.plant_id,
+          payload: {
             coffee_variety: plantInputForm.coffee_variety,
             planting_date: plantInputForm.planting_date,
             number_of_tree_planted: parsedNumTrees,
             // Assuming farmer_id cannot change once set for a plant entry
-          })
-          .eq("plant_id", plantInputForm.plant_id);
-
-        if (updateError) throw updateError;
-        toast.success("Plant data updated successfully!");
-
+          },
+          base: plantDataList.find(plant => plant.plant_id === plantInputForm.plant_id),
+        });
       } else {
         // Insert new plant_data
-        const { data: newPlant, error: insertError } = await supabase
-          .from("plant_data")
-          .insert({
+        saved = await syncQueue.save("plant_data", "insert", {
+          payload: {
             farmer_id: farmerDetails.id, // Link to the farmer's UUID
             coffee_variety: plantInputForm.coffee_variety,
             planting_date: plantInputForm.planting_date,
             number_of_tree_planted: parsedNumTrees,
-          })
-          .select("plant_id") // Select only the ID to get the newly generated one
-          .single();
-
-        if (insertError) throw insertError;
-        toast.success("Plant data added successfully!");
+          },
+        });
       }
 
-      // Re-fetch all plant data to update the list
-      const { data: updatedPlantList, error: fetchError } = await supabase
-        .from("plant_data")
-        .select("*")
-        .eq("farmer_id", farmerDetails.id);
+      if (saved.state === "synced") {
+        toast.success(plantInputForm.plant_id ? "Plant data updated successfully!" : "Plant data added successfully!");
 
-      if (fetchError) throw fetchError;
-      setPlantDataList(updatedPlantList || []);
+        // Re-fetch all plant data to update the list
+        const { data: updatedPlantList, error: fetchError } = await supabase
+          .from("plant_data")
+          .select("*")
+          .eq("farmer_id", farmerDetails.id);
+
+        if (fetchError) throw fetchError;
+        setPlantDataList(updatedPlantList || []);
+      } else if (saved.state === "conflict") {
+        toast.warning(`Plant is held for conflict review (${saved.error}). Resolve it in the sync panel.`);
+      } else {
+        toast.info(describePendingWrite("plant", syncQueue.isHeld(saved.id)));
+      }
 
       // Reset form and hide it after successful save/update
       setPlantInputForm({
@@ -250,15 +359,19 @@ const LandDeclaration = () => {
     if (!window.confirm("Are you sure you want to delete this plant entry?")) return;
 
     try {
-      const { error } = await supabase
-        .from("plant_data")
-        .delete()
-        .eq("plant_id", plantId);
-
-      if (error) throw error;
+      const deleted = await syncQueue.save("plant_data", "delete", {
+        key: plantId,
+        base: plantDataList.find(plant => plant.plant_id === plantId),
+      });
 
-      toast.success("Plant data deleted successfully!");
-      setPlantDataList(plantDataList.filter(plant => plant.plant_id !== plantId));
+      if (!deleted || deleted.state === "synced") {
+        toast.success("Plant data deleted successfully!");
+        setPlantDataList(plantDataList.filter(plant => plant.plant_id !== plantId));
+      } else if (deleted.state === "conflict") {
+        toast.warning(`Plant deletion is held for conflict review (${deleted.error}). Resolve it in the sync panel.`);
+      } else {
+        toast.info(describePendingWrite("deletion", syncQueue.isHeld(deleted.id)));
+      }
 
       // If the deleted plant was being edited, reset the form
       if (plantInputForm.plant_id === plantId) {
@@ -300,6 +413,9 @@ const LandDeclaration = () => {
 
   const navLinks = authUser?.role === "admin" ? adminLinks : userLinks;
 
+  // Server rows with any writes still waiting in the outbox laid over them
+  const plantRecords = applyOutbox(plantDataList, outbox, "plant_data", (entry) => entry.payload.farmer_id === farmerDetails.id);
+
   return (
     <Layout>
       <div className="flex-1 overflow-auto">
@@ -314,14 +430,26 @@ const LandDeclaration = () => {
             </p>
           </div>
 
+          <OnboardingBanner refreshKey={`${hasFarmerDetail}-${plantDataList.length}`} />
+
           {/* Farm Details Section */}
           <div className={`mb-8 p-6 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'} hover:shadow-xl transition-shadow duration-200`}>
             <div className="flex items-center justify-between mb-6">
               <h3 className={`text-xl font-medium ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Farm Details</h3>
-              <div className={`p-3 rounded-full ${isDarkMode ? 'bg-green-900' : 'bg-green-100'}`}>
-                <svg className={`w-6 h-6 ${isDarkMode ? 'text-green-400' : 'text-green-600'}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6" />
-                </svg>
+              <div className="flex items-center space-x-4">
+                <div className={`p-3 rounded-full ${isDarkMode ? 'bg-green-900' : 'bg-green-100'}`}>
+                  <svg className={`w-6 h-6 ${isDarkMode ? 'text-green-400' : 'text-green-600'}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M3 12l2-2m0 0l7-7 7 7M5 10v10a1 1 0 001 1h3m10-11l2 2m-2-2v10a1 1 0 01-1 1h-3m-6 0a1 1 0 001-1v-4a1 1 0 011-1h2a1 1 0 011 1v4a1 1 0 001 1m-6 0h6" />
+                  </svg>
+                </div>
+                {hasFarmerDetail && !isEditingFarmerDetail && (
+                  <button
+                    onClick={startEditingFarmerDetail}
+                    className="px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white"
+                  >
+                    Edit Details
+                  </button>
+                )}
               </div>
             </div>
 
@@ -336,6 +464,9 @@ const LandDeclaration = () => {
                     name="farm_location"
                     value={farmerDetails.farm_location}
                     onChange={handleFarmerDetailChange}
+                    onBlur={handleFarmLocationBlur}
+                    list="farm-location-suggestions"
+                    placeholder="Barangay, municipality, province"
                     className={`w-full px-3 py-2 rounded-lg border ${
                       isDarkMode
                         ? 'bg-gray-700 border-gray-600 text-white focus:border-green-500'
@@ -343,6 +474,83 @@ const LandDeclaration = () => {
                     } focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 transition-colors`}
                     required
                   />
+                  <datalist id="farm-location-suggestions">
+                    {locationSuggestions.map(place => (
+                      <option key={place.label} value={place.label} />
+                    ))}
+                  </datalist>
+                </div>
+
+                <div>
+                  <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+                    <label className={`block text-sm font-medium ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                      Farm on the Map
+                    </label>
+                    <div className="flex flex-wrap gap-2">
+                      <button
+                        type="button"
+                        onClick={handleUseMyLocation}
+                        disabled={locating}
+                        className="px-3 py-1 text-sm font-medium rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+                      >
+                        {locating ? 'Locating...' : 'Use My Location'}
+                      </button>
+                      {['pin', 'boundary'].map(mode => (
+                        <button
+                          key={mode}
+                          type="button"
+                          onClick={() => setMapMode(mode)}
+                          className={`px-3 py-1 text-sm font-medium rounded-lg transition-colors ${
+                            mapMode === mode
+                              ? 'bg-indigo-600 text-white'
+                              : isDarkMode
+                                ? 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                                : 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+                          }`}
+                        >
+                          {mode === 'pin' ? 'Place Pin' : 'Draw Boundary'}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <FarmMapPicker
+                    latitude={farmerDetails.farm_latitude}
+                    longitude={farmerDetails.farm_longitude}
+                    boundary={boundaryPoints}
+                    mode={mapMode}
+                    onPinChange={(latitude, longitude) => setFarmPin(latitude, longitude, 'pin')}
+                    onBoundaryChange={handleBoundaryChange}
+                  />
+                  <div className={`flex flex-wrap items-center justify-between gap-2 mt-2 text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    <span>
+                      {hasCoordinates
+                        ? `${formatCoordinates(farmerDetails.farm_latitude, farmerDetails.farm_longitude)}${
+                          farmerDetails.location_source === 'gazetteer' ? ' (town centre from the typed location, place the pin to refine)' : ''
+                        }`
+                        : mapMode === 'boundary'
+                          ? 'Click each corner of the farm in order.'
+                          : 'Click the map where the farm is, or type a barangay or municipality above.'}
+                    </span>
+                    {boundaryPoints.length > 0 && (
+                      <span className="flex items-center gap-3">
+                        <span>{boundaryPoints.length} corner{boundaryPoints.length === 1 ? '' : 's'}</span>
+                        <button
+                          type="button"
+                          onClick={() => handleBoundaryChange(boundaryPoints.slice(0, -1))}
+                          className="text-indigo-500 hover:text-indigo-700"
+                        >
+                          Undo Corner
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleBoundaryChange([])}
+                          className="text-red-500 hover:text-red-700"
+                        >
+                          Clear Boundary
+                        </button>
+                      </span>
+                    )}
+                  </div>
                 </div>
 
                 <div>
@@ -355,6 +563,7 @@ const LandDeclaration = () => {
                     name="farm_size"
                     value={farmerDetails.farm_size}
                     onChange={handleFarmerDetailChange}
+                    readOnly={hasBoundary}
                     className={`w-full px-3 py-2 rounded-lg border ${
                       isDarkMode
                         ? 'bg-gray-700 border-gray-600 text-white focus:border-green-500'
@@ -362,6 +571,11 @@ const LandDeclaration = () => {
                     } focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 transition-colors`}
                     required
                   />
+                  {hasBoundary && (
+                    <p className={`mt-1 text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                      Calculated from the boundary drawn on the map.
+                    </p>
+                  )}
                 </div>
 
                 <div>
@@ -382,16 +596,31 @@ const LandDeclaration = () => {
                   />
                 </div>
 
-                <button
-                  type="submit"
-                  className={`w-full px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
-                    isDarkMode
-                      ? 'bg-green-600 hover:bg-green-700 text-white'
-                      : 'bg-green-600 hover:bg-green-700 text-white'
-                  }`}
-                >
-                  Save Farm Details
-                </button>
+                <div className="flex space-x-4">
+                  {hasFarmerDetail && (
+                    <button
+                      type="button"
+                      onClick={cancelFarmerDetailEdit}
+                      className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
+                        isDarkMode
+                          ? 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                          : 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+                      }`}
+                    >
+                      Cancel
+                    </button>
+                  )}
+                  <button
+                    type="submit"
+                    className={`flex-1 px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
+                      isDarkMode
+                        ? 'bg-green-600 hover:bg-green-700 text-white'
+                        : 'bg-green-600 hover:bg-green-700 text-white'
+                    }`}
+                  >
+                    Save Farm Details
+                  </button>
+                </div>
               </form>
             ) : (
               <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
@@ -413,6 +642,27 @@ const LandDeclaration = () => {
                     {farmerDetails.farm_elevation} meters
                   </p>
                 </div>
+                <div className="space-y-2 md:col-span-3">
+                  <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>Coordinates</p>
+                  {hasCoordinates ? (
+                    <>
+                      <p className={`text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                        {formatCoordinates(farmerDetails.farm_latitude, farmerDetails.farm_longitude)}
+                      </p>
+                      <FarmMapPicker
+                        latitude={farmerDetails.farm_latitude}
+                        longitude={farmerDetails.farm_longitude}
+                        boundary={boundaryPoints}
+                        mode="view"
+                        height={240}
+                      />
+                    </>
+                  ) : (
+                    <p className={`text-sm ${isDarkMode ? 'text-yellow-300' : 'text-yellow-700'}`}>
+                      Not set. Edit the details to place your farm on the map so weather forecasts and risk alerts can use it.
+                    </p>
+                  )}
+                </div>
               </div>
             )}
           </div>
@@ -446,8 +696,7 @@ const LandDeclaration = () => {
                   <label className={`block text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
                     Coffee Variety
                   </label>
-                  <input
-                    type="text"
+                  <select
                     name="coffee_variety"
                     value={plantInputForm.coffee_variety}
                     onChange={handlePlantInputChange}
@@ -457,7 +706,25 @@ const LandDeclaration = () => {
                         : 'bg-white border-gray-300 text-gray-900 focus:border-indigo-500'
                     } focus:ring-2 focus:ring-indigo-500 focus:ring-opacity-50 transition-colors`}
                     required
-                  />
+                  >
+                    <option value="">Select a variety</option>
+                    {plantInputForm.coffee_variety && !isCatalogVariety(plantInputForm.coffee_variety) && (
+                      <option value={plantInputForm.coffee_variety}>{plantInputForm.coffee_variety} (as declared)</option>
+                    )}
+                    {Object.entries(COFFEE_SPECIES).map(([species, { label }]) => (
+                      <optgroup key={species} label={label}>
+                        {COFFEE_VARIETIES.filter(variety => variety.species === species).map(variety => (
+                          <option key={variety.key} value={variety.name}>{variety.name}</option>
+                        ))}
+                      </optgroup>
+                    ))}
+                  </select>
+                  {plantInputForm.coffee_variety && (
+                    <p className={`mt-1 text-xs ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                      {!isCatalogVariety(plantInputForm.coffee_variety) && `Advised as ${getVariety(plantInputForm.coffee_variety).name}. `}
+                      Grows best at {describeVariety(getVariety(plantInputForm.coffee_variety))}.
+                    </p>
+                  )}
                 </div>
 
                 <div>
@@ -533,15 +800,18 @@ const LandDeclaration = () => {
 
             {/* Plant List */}
             <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-              {plantDataList.map((plant) => (
+              {plantRecords.map((plant) => (
                 <div
                   key={plant.plant_id}
                   className={`p-6 rounded-lg ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'} hover:shadow-lg transition-shadow duration-200`}
                 >
                   <div className="flex items-center justify-between mb-4">
-                    <h4 className={`text-lg font-medium ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
-                      {plant.coffee_variety}
-                    </h4>
+                    <div className="flex items-center space-x-2">
+                      <h4 className={`text-lg font-medium ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                        {plant.coffee_variety}
+                      </h4>
+                      <SyncBadge sync={plant._sync} />
+                    </div>
                     <div className="flex space-x-2">
                       <button
                         onClick={() => editPlant(plant)}
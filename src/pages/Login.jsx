@@ -45,9 +45,11 @@ const Login = () => {
         fullName: `${userData.first_name} ${userData.last_name}`
       });
 
-      // Redirect based on role
+      // Redirect based on role; farmers who haven't finished setting up go to the setup wizard
       if (userData.role === 'admin') {
         navigate('/dashboard');
+      } else if (!userData.onboarding_completed_at) {
+        navigate('/onboarding');
       } else {
         navigate('/dashboard');
       }
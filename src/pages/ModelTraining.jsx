@@ -0,0 +1,216 @@
+import React, { useEffect, useState } from "react";
+import { useAuth } from "../lib/AuthProvider";
+import { useTheme } from "../lib/ThemeContext";
+import { toast } from 'react-toastify';
+import Layout from '../components/Layout';
+import { CONDITION_MODELS } from '../lib/ml/ConditionPredictor';
+import {
+  fetchConditionModels,
+  trainConditionModel,
+  activateConditionModel
+} from '../lib/conditionModelService';
+
+const formatMetric = (value, digits = 1) => (value === null || value === undefined ? '—' : value.toFixed(digits));
+
+// Averages a metric over the targets that could be validated
+const averageMetric = (evaluation, field) => {
+  const values = evaluation.targets.map(target => target[field]).filter(value => value !== null);
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+};
+
+const ModelTraining = () => {
+  const { user } = useAuth();
+  const { isDarkMode } = useTheme();
+  const [models, setModels] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [training, setTraining] = useState(null);
+  const [selected, setSelected] = useState({});
+
+  const loadModels = async () => {
+    try {
+      setModels(await fetchConditionModels());
+    } catch (error) {
+      toast.error(`Error loading models: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadModels();
+  }, []);
+
+  const handleTrain = async (kind) => {
+    setTraining(kind);
+    try {
+      const model = await trainConditionModel(kind, user?.id);
+      toast.success(`Trained ${CONDITION_MODELS[kind].label} v${model.version}${model.is_active ? ' and made it active' : ''}`);
+      setSelected(prev => ({ ...prev, [kind]: model.model_id }));
+      await loadModels();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setTraining(null);
+    }
+  };
+
+  const handleActivate = async (model) => {
+    try {
+      await activateConditionModel(model.model_id);
+      toast.success(`${CONDITION_MODELS[model.kind].label} v${model.version} is now active`);
+      await loadModels();
+    } catch (error) {
+      toast.error(`Error activating model: ${error.message}`);
+    }
+  };
+
+  const headerClass = `px-4 py-3 text-left text-xs font-medium uppercase tracking-wider ${isDarkMode ? 'text-gray-300' : 'text-gray-500'}`;
+  const cellClass = `px-4 py-3 text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+
+  const renderTargets = (model) => (
+    <table className={`min-w-full divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+      <thead className={isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+        <tr>
+          <th className={headerClass}>Predicts</th>
+          <th className={headerClass}>Rows</th>
+          <th className={headerClass}>MAE</th>
+          <th className={headerClass}>RMSE</th>
+          <th className={headerClass}>R²</th>
+          <th className={headerClass}>Average-Only MAE</th>
+        </tr>
+      </thead>
+      <tbody className={`divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+        {model.evaluation.targets.map(target => (
+          <tr key={target.key}>
+            <td className={cellClass}>{target.label}</td>
+            <td className={cellClass}>{target.rows}</td>
+            <td className={cellClass}>{formatMetric(target.mae)}</td>
+            <td className={cellClass}>{formatMetric(target.rmse)}</td>
+            <td className={cellClass}>{formatMetric(target.r2, 2)}</td>
+            <td className={cellClass}>{formatMetric(target.baselineMae)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  const renderKind = (kind) => {
+    const versions = models.filter(model => model.kind === kind);
+    const shown = versions.find(model => model.model_id === selected[kind])
+      || versions.find(model => model.is_active)
+      || versions[0];
+
+    return (
+      <div key={kind} className={`mb-8 p-6 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className={`text-xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+              {CONDITION_MODELS[kind].label}
+            </h3>
+            <p className={`text-sm ${mutedClass}`}>
+              Predicts {CONDITION_MODELS[kind].targets.map(target => target.label.toLowerCase()).join(', ')} (%)
+            </p>
+          </div>
+          <button
+            onClick={() => handleTrain(kind)}
+            disabled={training !== null}
+            className="px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-indigo-600 hover:bg-indigo-700 text-white disabled:opacity-50"
+          >
+            {training === kind ? 'Training...' : 'Train New Version'}
+          </button>
+        </div>
+
+        {versions.length === 0 ? (
+          <p className={mutedClass}>No version has been trained yet.</p>
+        ) : (
+          <>
+            <div className="overflow-x-auto mb-6">
+              <table className={`min-w-full divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                <thead className={isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+                  <tr>
+                    <th className={headerClass}>Version</th>
+                    <th className={headerClass}>Trained</th>
+                    <th className={headerClass}>Rows</th>
+                    <th className={headerClass}>Avg MAE</th>
+                    <th className={headerClass}>Avg RMSE</th>
+                    <th className={headerClass}>Avg R²</th>
+                    <th className={headerClass}>Status</th>
+                  </tr>
+                </thead>
+                <tbody className={`divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                  {versions.map(model => (
+                    <tr
+                      key={model.model_id}
+                      onClick={() => setSelected(prev => ({ ...prev, [kind]: model.model_id }))}
+                      className={`cursor-pointer ${
+                        model.model_id === shown.model_id ? (isDarkMode ? 'bg-gray-700' : 'bg-indigo-50') : ''
+                      }`}
+                    >
+                      <td className={cellClass}>v{model.version}</td>
+                      <td className={cellClass}>{new Date(model.trained_at).toLocaleString()}</td>
+                      <td className={cellClass}>{model.training_rows}</td>
+                      <td className={cellClass}>{formatMetric(averageMetric(model.evaluation, 'mae'))}</td>
+                      <td className={cellClass}>{formatMetric(averageMetric(model.evaluation, 'rmse'))}</td>
+                      <td className={cellClass}>{formatMetric(averageMetric(model.evaluation, 'r2'), 2)}</td>
+                      <td className={cellClass}>
+                        {model.is_active ? (
+                          <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                            isDarkMode ? 'bg-green-900 text-green-200' : 'bg-green-100 text-green-800'
+                          }`}>
+                            Active
+                          </span>
+                        ) : (
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleActivate(model);
+                            }}
+                            className={`text-sm font-medium ${isDarkMode ? 'text-indigo-300 hover:text-indigo-200' : 'text-indigo-600 hover:text-indigo-800'}`}
+                          >
+                            Activate
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <h4 className={`text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+              v{shown.version} validation ({shown.evaluation.folds}-fold cross-validation, in percentage points)
+            </h4>
+            <div className="overflow-x-auto">{renderTargets(shown)}</div>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <Layout>
+      <div className="flex-1 overflow-auto">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <div className={`mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6`}>
+            <h2 className={`text-3xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+              Model Training
+            </h2>
+            <p className={`mt-2 text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+              Fit ripeness and pest-incidence predictors on the field records uploaded through Data Entry.
+              Farmers' forecasts use the active version of each model.
+            </p>
+          </div>
+
+          {loading ? (
+            <p className={mutedClass}>Loading models...</p>
+          ) : (
+            Object.keys(CONDITION_MODELS).map(renderKind)
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default ModelTraining;
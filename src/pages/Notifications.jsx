@@ -0,0 +1,259 @@
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useTheme } from "../lib/ThemeContext";
+import { useAuth } from "../lib/AuthProvider";
+import { toast } from 'react-toastify';
+import Layout from '../components/Layout';
+import {
+  NOTIFICATION_KINDS,
+  DIGEST_INTERVAL_DAYS,
+  fetchNotifications,
+  fetchNotificationPreferences,
+  getDigestTransportName,
+  markAllNotificationsRead,
+  markNotificationsRead,
+  saveNotificationPreferences,
+  sendDueDigests,
+  subscribeNotifications
+} from '../lib/notifications';
+
+const INBOX_LIMIT = 100;
+
+const Notifications = () => {
+  const navigate = useNavigate();
+  const { isDarkMode } = useTheme();
+  const { user } = useAuth();
+  const [items, setItems] = useState([]);
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [preferences, setPreferences] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [digestResult, setDigestResult] = useState(null);
+
+  useEffect(() => {
+    if (!user) return;
+    const loadInbox = () => fetchNotifications(user.id, { limit: INBOX_LIMIT, unreadOnly })
+      .then(setItems)
+      .catch(error => toast.error(`Error loading notifications: ${error.message}`))
+      .finally(() => setLoading(false));
+    loadInbox();
+    return subscribeNotifications(loadInbox);
+  }, [user, unreadOnly]);
+
+  useEffect(() => {
+    if (!user) return;
+    fetchNotificationPreferences(user.id)
+      .then(setPreferences)
+      .catch(error => toast.error(`Error loading notification settings: ${error.message}`));
+  }, [user]);
+
+  const handleOpen = (item) => {
+    if (!item.read_at) {
+      markNotificationsRead([item.notification_id]).catch(error => toast.error(error.message));
+    }
+    if (item.link) navigate(item.link);
+  };
+
+  const handleMarkAll = async () => {
+    try {
+      await markAllNotificationsRead(user.id);
+    } catch (error) {
+      toast.error(`Error marking notifications read: ${error.message}`);
+    }
+  };
+
+  const toggleKind = (kind) => {
+    setPreferences(prev => ({
+      ...prev,
+      muted_kinds: prev.muted_kinds.includes(kind)
+        ? prev.muted_kinds.filter(k => k !== kind)
+        : [...prev.muted_kinds, kind]
+    }));
+  };
+
+  const handleSavePreferences = async () => {
+    setSaving(true);
+    try {
+      setPreferences(await saveNotificationPreferences(user.id, preferences));
+      toast.success("Notification settings saved.");
+    } catch (error) {
+      console.error("Error saving notification settings:", error);
+      toast.error(`Error saving notification settings: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSendDigests = async (force) => {
+    setSending(true);
+    try {
+      const result = await sendDueDigests({ force });
+      setDigestResult(result);
+      if (result.failed.length > 0) {
+        toast.warning(`${result.failed.length} digest${result.failed.length === 1 ? '' : 's'} could not be sent.`);
+      } else {
+        toast.success(`Sent ${result.sent} digest${result.sent === 1 ? '' : 's'}.`);
+      }
+    } catch (error) {
+      toast.error(`Error sending digests: ${error.message}`);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const cardClass = `p-6 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`;
+  const mutedClass = isDarkMode ? 'text-gray-400' : 'text-gray-500';
+  const linkButtonClass = `text-sm ${isDarkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'}`;
+
+  return (
+    <Layout>
+      <div className="flex-1 overflow-auto">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          {/* Header */}
+          <div className={`mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6`}>
+            <h2 className={`text-3xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+              Notifications
+            </h2>
+            <p className={`mt-2 text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+              Reviews of your records, harvest reminders and changes to your recommendations.
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            {/* Inbox */}
+            <div className={`lg:col-span-2 ${cardClass}`}>
+              <div className="flex items-center justify-between mb-4">
+                <div className="flex items-center space-x-4">
+                  <h3 className={`text-xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Inbox</h3>
+                  <label className={`flex items-center space-x-2 text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                    <input type="checkbox" checked={unreadOnly} onChange={() => setUnreadOnly(prev => !prev)} />
+                    <span>Unread only</span>
+                  </label>
+                </div>
+                <button onClick={handleMarkAll} className={linkButtonClass}>Mark all read</button>
+              </div>
+
+              {loading ? (
+                <p className={mutedClass}>Loading notifications...</p>
+              ) : items.length === 0 ? (
+                <p className={mutedClass}>{unreadOnly ? 'Nothing unread.' : 'No notifications yet.'}</p>
+              ) : (
+                <ul className={`divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                  {items.map(item => (
+                    <li key={item.notification_id}>
+                      <button
+                        onClick={() => handleOpen(item)}
+                        className={`w-full text-left py-3 px-2 rounded ${isDarkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-50'}`}
+                      >
+                        <div className="flex items-start space-x-3">
+                          <span className={`mt-2 w-2 h-2 rounded-full flex-shrink-0 ${item.read_at ? 'bg-transparent' : 'bg-indigo-500'}`} />
+                          <div className="flex-1">
+                            <div className="flex items-center justify-between">
+                              <p className={`${item.read_at ? '' : 'font-semibold'} ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>{item.title}</p>
+                              <span className={`text-xs ${mutedClass}`}>{new Date(item.created_at).toLocaleString()}</span>
+                            </div>
+                            <p className={`text-sm mt-1 ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>{item.body}</p>
+                            <p className={`text-xs mt-1 ${mutedClass}`}>{NOTIFICATION_KINDS[item.kind]?.label}</p>
+                          </div>
+                        </div>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div className="space-y-6">
+              {/* Preferences */}
+              <div className={cardClass}>
+                <h3 className={`text-xl font-semibold mb-4 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Settings</h3>
+                {!preferences ? (
+                  <p className={mutedClass}>Loading settings...</p>
+                ) : (
+                  <>
+                    <div className="space-y-4">
+                      {Object.entries(NOTIFICATION_KINDS).map(([kind, { label, description }]) => (
+                        <label key={kind} className="flex items-start space-x-3">
+                          <input
+                            type="checkbox"
+                            className="mt-1"
+                            checked={!preferences.muted_kinds.includes(kind)}
+                            onChange={() => toggleKind(kind)}
+                          />
+                          <span>
+                            <span className={`block text-sm font-medium ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>{label}</span>
+                            <span className={`block text-xs ${mutedClass}`}>{description}</span>
+                          </span>
+                        </label>
+                      ))}
+                      <label className={`flex items-start space-x-3 pt-4 border-t ${isDarkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+                        <input
+                          type="checkbox"
+                          className="mt-1"
+                          checked={preferences.email_digest}
+                          onChange={() => setPreferences(prev => ({ ...prev, email_digest: !prev.email_digest }))}
+                        />
+                        <span>
+                          <span className={`block text-sm font-medium ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>Weekly email digest</span>
+                          <span className={`block text-xs ${mutedClass}`}>
+                            Unread notifications from the past week, sent to {user?.email}.
+                            {preferences.last_digest_at && ` Last sent ${new Date(preferences.last_digest_at).toLocaleDateString()}.`}
+                          </span>
+                        </span>
+                      </label>
+                    </div>
+                    <button
+                      onClick={handleSavePreferences}
+                      disabled={saving}
+                      className="mt-6 w-full px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+                    >
+                      {saving ? 'Saving...' : 'Save Settings'}
+                    </button>
+                  </>
+                )}
+              </div>
+
+              {/* Digest sending, for admins */}
+              {user?.role === 'admin' && (
+                <div className={cardClass}>
+                  <h3 className={`text-xl font-semibold mb-2 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Weekly Digest</h3>
+                  <p className={`text-sm mb-4 ${mutedClass}`}>
+                    Users get a digest when their last one is {DIGEST_INTERVAL_DAYS} days old and they have unread
+                    notifications. Digests go through the <span className="font-semibold">{getDigestTransportName()}</span> transport.
+                  </p>
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => handleSendDigests(false)}
+                      disabled={sending}
+                      className="flex-1 px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-indigo-600 hover:bg-indigo-700 text-white disabled:opacity-50"
+                    >
+                      {sending ? 'Sending...' : 'Send Due Digests'}
+                    </button>
+                    <button
+                      onClick={() => handleSendDigests(true)}
+                      disabled={sending}
+                      className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors disabled:opacity-50 ${
+                        isDarkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-200' : 'bg-gray-100 hover:bg-gray-200 text-gray-700'
+                      }`}
+                    >
+                      Send to All
+                    </button>
+                  </div>
+                  {digestResult && (
+                    <p className={`text-sm mt-4 ${mutedClass}`}>
+                      Sent {digestResult.sent}, skipped {digestResult.skipped} with nothing unread
+                      {digestResult.failed.length > 0 && `, failed for ${digestResult.failed.map(f => f.email).join(', ')}`}.
+                    </p>
+                  )}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default Notifications;
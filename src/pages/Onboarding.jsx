@@ -0,0 +1,66 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { useTheme } from "../lib/ThemeContext";
+import { useAuth } from "../lib/AuthProvider";
+import Layout from '../components/Layout';
+import OnboardingChecklist from '../components/OnboardingChecklist';
+import { useOnboarding } from '../lib/useOnboarding';
+
+// Where farmers land after logging in until their farm is set up
+const Onboarding = () => {
+  const { isDarkMode } = useTheme();
+  const { user } = useAuth();
+  const { required, onboarding } = useOnboarding();
+
+  const secondaryButtonClass = `px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
+    isDarkMode ? 'bg-gray-700 text-gray-200 hover:bg-gray-600' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+  }`;
+
+  return (
+    <Layout>
+      <div className="flex-1 overflow-auto">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          {/* Header */}
+          <div className={`mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6`}>
+            <h2 className={`text-3xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+              Welcome{user?.first_name ? `, ${user.first_name}` : ''}!
+            </h2>
+            <p className={`mt-2 text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+              Set up your farm in three steps. Your harvest records, recommendations and forecasts all build on them.
+            </p>
+          </div>
+
+          {!required ? (
+            <div className={`rounded-lg shadow-lg p-6 ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
+              <h3 className={`text-xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Your farm is set up</h3>
+              <p className={`mt-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+                Record each harvest as you sell or process it, and update plant status whenever you check your trees.
+              </p>
+              <div className="mt-6 flex flex-wrap gap-3">
+                <Link to="/farmer-dashboard" className="px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white">
+                  Go to Dashboard
+                </Link>
+                <Link to="/harvest-reporting" className={secondaryButtonClass}>
+                  Record a Harvest
+                </Link>
+              </div>
+            </div>
+          ) : !onboarding ? (
+            <p className={isDarkMode ? 'text-gray-300' : 'text-gray-600'}>Checking your farm setup...</p>
+          ) : (
+            <>
+              <OnboardingChecklist onboarding={onboarding} />
+              <div className="flex justify-end">
+                <Link to="/farmer-dashboard" className={secondaryButtonClass}>
+                  Skip for now
+                </Link>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default Onboarding;
@@ -2,26 +2,61 @@ import React, { useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { supabase } from '../lib/supabaseClient';
 import { useTheme } from '../lib/ThemeContext';
+import { useAuth } from '../lib/AuthProvider';
 import Layout from '../components/Layout';
+import SyncBadge from '../components/SyncBadge';
+import OnboardingBanner from '../components/OnboardingBanner';
+import { applyOutbox } from '../lib/offline';
+import { useSyncQueue } from '../lib/offline/useSyncQueue';
+import {
+  fetchStatusHistory,
+  resolveEffectiveSeries,
+  getLatestStatus,
+  diffObservations,
+  recordObservation,
+  correctObservation
+} from '../lib/plantStatusService';
+
+const today = () => new Date().toISOString().split('T')[0];
 
 const PlantStatus = () => {
   const { plantId } = useParams();
   const navigate = useNavigate();
   const { isDarkMode } = useTheme();
+  const { user } = useAuth();
+  const { entries: outbox } = useSyncQueue();
   const [plant, setPlant] = useState(null);
-  const [status, setStatus] = useState(null);
+  const [history, setHistory] = useState([]); // Every plant_status row, including superseded ones
+  const [correcting, setCorrecting] = useState(null); // Row being corrected, null for a new observation
+  const [correctionNote, setCorrectionNote] = useState("");
   const [form, setForm] = useState({
     status: '',
     age_stage: '',
     soil_ph: '',
     moisture_level: '',
-    last_fertilized: ''
+    last_fertilized: '',
+    observed_at: today()
   });
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [errorMsg, setErrorMsg] = useState("");
   const [successMsg, setSuccessMsg] = useState("");
 
+  const formFromStatus = (statusData, observedAt) => ({
+    status: statusData?.status || '',
+    age_stage: statusData?.age_stage || '',
+    soil_ph: statusData?.soil_ph ?? '',
+    moisture_level: statusData?.moisture_level || '',
+    last_fertilized: statusData?.last_fertilized || '',
+    observed_at: observedAt
+  });
+
+  const loadHistory = async () => {
+    const rows = await fetchStatusHistory(plantId);
+    setHistory(rows);
+    return getLatestStatus(rows);
+  };
+
   useEffect(() => {
     const fetchPlantAndStatus = async () => {
       setLoading(true);
@@ -32,23 +67,15 @@ const PlantStatus = () => {
         .eq('plant_id', plantId)
         .single();
       if (!plantError) setPlant(plantData);
-      // Fetch latest status
-      const { data: statusData, error: statusError } = await supabase
-        .from('plant_status')
-        .select('*')
-        .eq('plant_id', plantId)
-        .order('created_at', { ascending: false })
-        .limit(1)
-        .single();
-      if (!statusError && statusData) {
-        setStatus(statusData);
-        setForm({
-          status: statusData.status || '',
-          age_stage: statusData.age_stage || '',
-          soil_ph: statusData.soil_ph || '',
-          moisture_level: statusData.moisture_level || '',
-          last_fertilized: statusData.last_fertilized || ''
-        });
+      // Fetch the full observation log; the form starts from the latest values
+      try {
+        const rows = await fetchStatusHistory(plantId);
+        const latest = getLatestStatus(rows);
+        setHistory(rows);
+        if (latest) setForm(formFromStatus(latest, today()));
+      } catch (error) {
+        console.error('Error fetching status history:', error);
+        setErrorMsg("Failed to load status history.");
       }
       setLoading(false);
     };
@@ -59,6 +86,21 @@ const PlantStatus = () => {
     setForm({ ...form, [e.target.name]: e.target.value });
   };
 
+  const startCorrection = (entry) => {
+    setCorrecting(entry);
+    setCorrectionNote("");
+    setForm(formFromStatus(entry, entry.observed_at));
+    setErrorMsg("");
+    setSuccessMsg("");
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const cancelCorrection = () => {
+    setCorrecting(null);
+    setCorrectionNote("");
+    setForm(formFromStatus(status, today()));
+  };
+
   const handleFormSubmit = async (e) => {
     e.preventDefault();
     setSaving(true);
@@ -66,40 +108,28 @@ const PlantStatus = () => {
     setSuccessMsg("");
     
     try {
-      // First, delete existing status for this plant
-      await supabase
-        .from('plant_status')
-        .delete()
-        .eq('plant_id', plantId);
-
-      // Then insert the new status
-      const { error } = await supabase
-        .from('plant_status')
-        .insert([
-          {
-            plant_id: plantId,
-            status: form.status,
-            age_stage: form.age_stage,
-            soil_ph: form.soil_ph,
-            moisture_level: form.moisture_level,
-            last_fertilized: form.last_fertilized
-          }
-        ]);
+      let saved;
+      if (correcting) {
+        if (!correctionNote.trim()) {
+          throw new Error("Please describe why this entry is being corrected.");
+        }
+        saved = await correctObservation(correcting, form, correctionNote.trim(), user?.id);
+        setSuccessMsg("Entry corrected. The original observation is kept in the history.");
+        setCorrecting(null);
+        setCorrectionNote("");
+      } else {
+        saved = await recordObservation(plantId, form, user?.id);
+        setSuccessMsg("Status updated successfully!");
+      }
 
-      if (error) throw error;
-      
-      setSuccessMsg("Status updated successfully!");
-      
-      // Refetch status
-      const { data: statusData } = await supabase
-        .from('plant_status')
-        .select('*')
-        .eq('plant_id', plantId)
-        .order('created_at', { ascending: false })
-        .limit(1)
-        .single();
-        
-      setStatus(statusData);
+      if (saved._sync.state === 'synced') {
+        const latest = await loadHistory();
+        setForm(formFromStatus(latest, today()));
+      } else {
+        // Shown from the outbox until the connection returns
+        setSuccessMsg("Saved on this device. It will sync when the connection returns.");
+        setForm(formFromStatus(saved, today()));
+      }
     } catch (error) {
       console.error('Error updating status:', error);
       setErrorMsg(error.message || "Failed to save. Please try again.");
@@ -108,6 +138,22 @@ const PlantStatus = () => {
     }
   };
 
+  // Server rows plus observations still waiting in the outbox
+  const rows = applyOutbox(history, outbox, 'plant_status', (entry) => entry.payload.plant_id === plantId);
+  const status = getLatestStatus(rows);
+
+  // Effective observations newest first, each paired with what changed since the one before it
+  const effectiveSeries = resolveEffectiveSeries(rows);
+  const timeline = effectiveSeries
+    .map((entry, index) => ({
+      entry,
+      changes: diffObservations(effectiveSeries[index - 1] || null, entry),
+      original: entry.supersedes_id ? rows.find(h => h.status_id === entry.supersedes_id) : null
+    }))
+    .reverse();
+
+  const formatValue = (value) => (value === null || value === undefined || value === '' ? 'N/A' : value);
+
   if (loading) return (
     <Layout>
       <div className="flex-1 flex items-center justify-center">
@@ -150,6 +196,8 @@ const PlantStatus = () => {
             </div>
           </div>
 
+          <OnboardingBanner refreshKey={history.length} />
+
           {/* Plant Overview Card */}
           <div className={`mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6`}>
             <h2 className={`text-xl font-bold mb-4 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Plant Overview</h2>
@@ -177,7 +225,14 @@ const PlantStatus = () => {
 
           {/* Status Update Form */}
           <div className={`mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6`}>
-            <h2 className={`text-xl font-bold mb-4 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Update Status</h2>
+            <h2 className={`text-xl font-bold mb-4 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+              {correcting ? 'Correct Past Entry' : 'Record Observation'}
+            </h2>
+            {correcting && (
+              <div className={`mb-4 p-4 rounded-lg border ${isDarkMode ? 'bg-yellow-900/20 border-yellow-700 text-yellow-200' : 'bg-yellow-50 border-yellow-300 text-yellow-800'}`}>
+                Correcting the observation from {correcting.observed_at}. The original entry stays in the history.
+              </div>
+            )}
             {errorMsg && <div className="mb-4 p-4 rounded-lg bg-red-100 border border-red-400 text-red-700">{errorMsg}</div>}
             {successMsg && <div className="mb-4 p-4 rounded-lg bg-green-100 border border-green-400 text-green-700">{successMsg}</div>}
             
@@ -296,30 +351,89 @@ const PlantStatus = () => {
                 </div>
               </div>
 
-              <div>
-                <label className={`block text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
-                  Last Fertilized
-                  <span className="ml-1 cursor-pointer group relative">
-                    <span className={`inline-block ${isDarkMode ? 'bg-gray-600' : 'bg-gray-200'} text-white rounded-full w-4 h-4 text-xs text-center`}>?</span>
-                    <span className={`absolute left-5 top-1/2 -translate-y-1/2 z-10 hidden group-hover:block ${isDarkMode ? 'bg-gray-700' : 'bg-gray-600'} text-white text-xs rounded px-2 py-1 whitespace-nowrap`}>
-                      Date of last fertilization
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <div>
+                  <label className={`block text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                    Last Fertilized
+                    <span className="ml-1 cursor-pointer group relative">
+                      <span className={`inline-block ${isDarkMode ? 'bg-gray-600' : 'bg-gray-200'} text-white rounded-full w-4 h-4 text-xs text-center`}>?</span>
+                      <span className={`absolute left-5 top-1/2 -translate-y-1/2 z-10 hidden group-hover:block ${isDarkMode ? 'bg-gray-700' : 'bg-gray-600'} text-white text-xs rounded px-2 py-1 whitespace-nowrap`}>
+                        Date of last fertilization
+                      </span>
                     </span>
-                  </span>
-                </label>
-                <input
-                  type="date"
-                  name="last_fertilized"
-                  value={form.last_fertilized}
-                  onChange={handleFormChange}
-                  className={`w-full px-3 py-2 rounded-lg border ${
-                    isDarkMode
-                      ? 'bg-gray-700 border-gray-600 text-white focus:border-green-500'
-                      : 'bg-white border-gray-300 text-gray-900 focus:border-green-500'
-                  } focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 transition-colors`}
-                />
+                  </label>
+                  <input
+                    type="date"
+                    name="last_fertilized"
+                    value={form.last_fertilized}
+                    onChange={handleFormChange}
+                    className={`w-full px-3 py-2 rounded-lg border ${
+                      isDarkMode
+                        ? 'bg-gray-700 border-gray-600 text-white focus:border-green-500'
+                        : 'bg-white border-gray-300 text-gray-900 focus:border-green-500'
+                    } focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 transition-colors`}
+                  />
+                </div>
+                <div>
+                  <label className={`block text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                    Observation Date
+                    <span className="ml-1 cursor-pointer group relative">
+                      <span className={`inline-block ${isDarkMode ? 'bg-gray-600' : 'bg-gray-200'} text-white rounded-full w-4 h-4 text-xs text-center`}>?</span>
+                      <span className={`absolute left-5 top-1/2 -translate-y-1/2 z-10 hidden group-hover:block ${isDarkMode ? 'bg-gray-700' : 'bg-gray-600'} text-white text-xs rounded px-2 py-1 whitespace-nowrap`}>
+                        Day these conditions were observed
+                      </span>
+                    </span>
+                  </label>
+                  <input
+                    type="date"
+                    name="observed_at"
+                    value={form.observed_at}
+                    onChange={handleFormChange}
+                    max={today()}
+                    required
+                    className={`w-full px-3 py-2 rounded-lg border ${
+                      isDarkMode
+                        ? 'bg-gray-700 border-gray-600 text-white focus:border-green-500'
+                        : 'bg-white border-gray-300 text-gray-900 focus:border-green-500'
+                    } focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 transition-colors`}
+                  />
+                </div>
               </div>
 
-              <div className="flex justify-end">
+              {correcting && (
+                <div>
+                  <label className={`block text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                    Reason for Correction
+                  </label>
+                  <input
+                    type="text"
+                    value={correctionNote}
+                    onChange={(e) => setCorrectionNote(e.target.value)}
+                    placeholder="e.g. pH meter was not calibrated"
+                    required
+                    className={`w-full px-3 py-2 rounded-lg border ${
+                      isDarkMode
+                        ? 'bg-gray-700 border-gray-600 text-white focus:border-green-500'
+                        : 'bg-white border-gray-300 text-gray-900 focus:border-green-500'
+                    } focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 transition-colors`}
+                  />
+                </div>
+              )}
+
+              <div className="flex justify-end space-x-4">
+                {correcting && (
+                  <button
+                    type="button"
+                    onClick={cancelCorrection}
+                    className={`px-6 py-2.5 rounded-lg font-medium transition-colors ${
+                      isDarkMode
+                        ? 'bg-gray-700 text-gray-300 hover:bg-gray-600'
+                        : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+                    }`}
+                  >
+                    Cancel
+                  </button>
+                )}
                 <button
                   type="submit"
                   disabled={saving}
@@ -329,7 +443,7 @@ const PlantStatus = () => {
                       : 'bg-green-600 text-white hover:bg-green-700'
                   } disabled:opacity-50 disabled:cursor-not-allowed`}
                 >
-                  {saving ? 'Saving...' : 'Save Changes'}
+                  {saving ? 'Saving...' : correcting ? 'Save Correction' : 'Record Observation'}
                 </button>
               </div>
             </form>
@@ -337,8 +451,13 @@ const PlantStatus = () => {
 
           {/* Latest Status Card */}
           {status && (
-            <div className={`${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6`}>
-              <h2 className={`text-xl font-bold mb-4 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Latest Status</h2>
+            <div className={`mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6`}>
+              <h2 className={`text-xl font-bold mb-4 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                Latest Status
+                <span className={`ml-2 text-sm font-normal ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                  observed {status.observed_at}
+                </span>
+              </h2>
               <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
                 <div className={`p-4 rounded-lg ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
                   <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>Health Status</p>
@@ -373,10 +492,75 @@ const PlantStatus = () => {
               </div>
             </div>
           )}
+
+          {/* Status Timeline */}
+          <div className={`${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6`}>
+            <h2 className={`text-xl font-bold mb-4 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Status History</h2>
+            {timeline.length === 0 ? (
+              <p className={`${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>No observations recorded yet.</p>
+            ) : (
+              <ol className={`relative border-l ${isDarkMode ? 'border-gray-600' : 'border-gray-300'}`}>
+                {timeline.map(({ entry, changes, original }, index) => (
+                  <li key={entry.status_id || entry.created_at} className="mb-6 ml-4">
+                    <div className={`absolute w-3 h-3 rounded-full -left-1.5 mt-1.5 ${
+                      index === 0 ? 'bg-green-500' : isDarkMode ? 'bg-gray-500' : 'bg-gray-400'
+                    }`} />
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-center space-x-2">
+                        <time className={`text-sm font-medium ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                          {entry.observed_at || entry.created_at?.split('T')[0]}
+                        </time>
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${isDarkMode ? 'bg-gray-700 text-gray-200' : 'bg-gray-100 text-gray-800'}`}>
+                          {entry.status}
+                        </span>
+                        {original && (
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${isDarkMode ? 'bg-yellow-900 text-yellow-200' : 'bg-yellow-100 text-yellow-800'}`}>
+                            Corrected
+                          </span>
+                        )}
+                        <SyncBadge sync={entry._sync} />
+                      </div>
+                      {entry.status_id && (
+                        <button
+                          onClick={() => startCorrection(entry)}
+                          className={`text-sm ${isDarkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'}`}
+                        >
+                          Correct
+                        </button>
+                      )}
+                    </div>
+                    <p className={`mt-1 text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                      pH {formatValue(entry.soil_ph)} · Moisture {formatValue(entry.moisture_level)} · Stage {formatValue(entry.age_stage)} · Fertilized {formatValue(entry.last_fertilized)}
+                    </p>
+                    {changes.length > 0 && (
+                      <ul className="mt-2 space-y-1">
+                        {changes.map(change => (
+                          <li key={change.key} className={`text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                            {change.label}: {formatValue(change.from)} → {formatValue(change.to)}
+                            {change.delta !== null && (
+                              <span className={`ml-1 ${change.delta < 0 ? 'text-red-500' : 'text-green-500'}`}>
+                                ({change.delta > 0 ? '+' : ''}{change.delta})
+                              </span>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {original && (
+                      <p className={`mt-2 text-xs italic ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                        Originally recorded as {original.status}, pH {formatValue(original.soil_ph)}, moisture {formatValue(original.moisture_level)}
+                        {entry.correction_note && ` — ${entry.correction_note}`}
+                      </p>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
         </div>
       </div>
     </Layout>
   );
 };
 
-export default PlantStatus; 
\ No newline at end of file
+export default PlantStatus;
@@ -3,7 +3,7 @@ import React, { useState, useEffect } from "react";
 import { useNavigate, useLocation } from "react-router-dom";
 import { supabase } from "../lib/supabaseClient";
 import { useTheme } from "../lib/ThemeContext";
-import { fetchWeatherData, fetchWeatherForecast } from "../lib/weatherService";
+import { fetchWeatherData, fetchWeatherForecast } from "../lib/weather";
 import { Line } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
@@ -20,8 +20,17 @@ import "../styles/Styles.css"; // Ensure your styles are imported
 import Layout from '../components/Layout';
 import { useAuth } from "../lib/AuthProvider";
 import { AdvancedAnalytics } from "../lib/ml/AdvancedAnalytics";
+import { getDssRules } from "../lib/dssRules";
+import { getVariety, predominantVariety } from "../lib/coffeeVarieties";
 import MLInsights from "../components/analytics/MLInsights";
 import { QualityPredictor } from '../lib/ml/QualityPredictor';
+import { fetchStatusHistory, resolveEffectiveSeries, groupSeriesByPlant, getFieldTrend } from '../lib/plantStatusService';
+import { fetchYieldModel } from '../lib/yieldModelService';
+import { predictNextHarvest } from '../lib/ml/YieldModel';
+import { calculateConfidenceInterval } from '../lib/revenueForecast';
+import { normalizeHarvest, summarizeHarvests } from '../lib/harvestMetrics';
+import RevenueForecast from '../components/analytics/RevenueForecast';
+import ConditionOutlook from '../components/analytics/ConditionOutlook';
 
 // Register Chart.js components
 ChartJS.register(
@@ -38,7 +47,11 @@ ChartJS.register(
 const PlantSubAnalytics = ({ plant, historicalHarvests, plantStatuses, weatherForecast, isDarkMode }) => {
   // Calculate plant-specific metrics
   const plantHarvests = historicalHarvests.filter(h => h.plant_id === plant.plant_id);
-  const plantStatus = plantStatuses.find(s => s.plant_id === plant.plant_id);
+  // plantStatuses is newest first; the series for trends needs oldest first
+  const plantSeries = plantStatuses.filter(s => s.plant_id === plant.plant_id).reverse();
+  const plantStatus = plantSeries[plantSeries.length - 1];
+  const phTrend = getFieldTrend(plantSeries, 'measured_soil_ph');
+  const variety = getVariety(plant.coffee_variety);
   
   // Calculate total yield
   const totalYield = plantHarvests.reduce((sum, h) => sum + h.coffee_raw_quantity, 0);
@@ -64,9 +77,9 @@ const PlantSubAnalytics = ({ plant, historicalHarvests, plantStatuses, weatherFo
       if (plantStatus.status === 'diseased') score -= 30;
       if (plantStatus.status === 'pest-affected') score -= 20;
       
-      // Check soil pH (optimal range: 5.5-6.5)
+      // Check soil pH against the variety's optimal range
       const pH = parseFloat(plantStatus.soil_ph);
-      if (pH && (pH < 5.5 || pH > 6.5)) {
+      if (pH && (pH < variety.ph.min || pH > variety.ph.max)) {
         score -= 15;
       }
       
@@ -75,11 +88,16 @@ const PlantSubAnalytics = ({ plant, historicalHarvests, plantStatuses, weatherFo
         score -= 15;
       }
     }
+
+    // Penalize soil that keeps acidifying across observations
+    if (phTrend?.direction === 'decreasing') {
+      score -= 5;
+    }
     
     // Adjust for weather conditions if available
     if (weatherForecast) {
-      if (weatherForecast.temperature > 24) score -= 10;
-      if (weatherForecast.rainfall * 12 < 1500) score -= 10;
+      if (weatherForecast.temperature > variety.temperature.max) score -= 10;
+      if (weatherForecast.rainfall * 12 < variety.rainfall.min) score -= 10;
     }
     
     return Math.max(0, score);
@@ -112,22 +130,29 @@ const PlantSubAnalytics = ({ plant, historicalHarvests, plantStatuses, weatherFo
       }
       
       const pH = parseFloat(plantStatus.soil_ph);
-      if (pH && (pH < 5.5 || pH > 6.5)) {
+      if (pH && (pH < variety.ph.min || pH > variety.ph.max)) {
         recs.push({
           type: 'high',
-          message: `Adjust soil pH (current: ${pH}) to optimal range (5.5-6.5)`
+          message: `Adjust soil pH (current: ${pH}) to the optimal range for ${variety.name} (${variety.ph.min}-${variety.ph.max})`
         });
       }
     }
+
+    if (phTrend?.direction === 'decreasing') {
+      recs.push({
+        type: 'medium',
+        message: `Soil pH has been falling by ${Math.abs(phTrend.perMonth)} per month over ${phTrend.points} readings; plan liming before it leaves the optimal range`
+      });
+    }
     
     if (weatherForecast) {
-      if (weatherForecast.temperature > 24) {
+      if (weatherForecast.temperature > variety.temperature.max) {
         recs.push({
           type: 'medium',
-          message: 'Consider additional shade measures due to high temperatures'
+          message: `Consider additional shade measures: the forecast is above the ${variety.temperature.max}°C ${variety.name} grows best under`
         });
       }
-      if (weatherForecast.rainfall * 12 < 1500) {
+      if (weatherForecast.rainfall * 12 < variety.rainfall.min) {
         recs.push({
           type: 'medium',
           message: 'Plan for supplementary irrigation due to low rainfall forecast'
@@ -155,7 +180,7 @@ const PlantSubAnalytics = ({ plant, historicalHarvests, plantStatuses, weatherFo
         </span>
       </div>
 
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-4">
         <div className={`p-4 rounded ${isDarkMode ? 'bg-gray-800' : 'bg-gray-50'}`}>
           <div className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>Total Yield</div>
           <div className={`text-xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
@@ -168,6 +193,14 @@ const PlantSubAnalytics = ({ plant, historicalHarvests, plantStatuses, weatherFo
             {avgYield.toFixed(2)} kg
           </div>
         </div>
+        <div className={`p-4 rounded ${isDarkMode ? 'bg-gray-800' : 'bg-gray-50'}`}>
+          <div className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>Soil pH Trend</div>
+          <div className={`text-xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+            {phTrend
+              ? `${phTrend.perMonth > 0 ? '+' : ''}${phTrend.perMonth}/month`
+              : plantStatus?.measured_soil_ph ? `${plantStatus.measured_soil_ph} (1 reading)` : 'No readings'}
+          </div>
+        </div>
         <div className={`p-4 rounded ${isDarkMode ? 'bg-gray-800' : 'bg-gray-50'}`}>
           <div className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>Yield Trend</div>
           <div className={`text-xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'} flex items-center`}>
@@ -235,6 +268,8 @@ const PredictiveAnalytics = () => {
 
   // Prediction Output States
   const [predictedYield, setPredictedYield] = useState("");
+  const [predictedYieldKg, setPredictedYieldKg] = useState(null);
+  const [predictionError, setPredictionError] = useState(null);
   const [recommendations, setRecommendations] = useState([]);
   const [confidenceScore, setConfidenceScore] = useState(0);
   const [message, setMessage] = useState("");
@@ -244,6 +279,8 @@ const PredictiveAnalytics = () => {
   const [historicalHarvests, setHistoricalHarvests] = useState([]);
   const [plantStatuses, setPlantStatuses] = useState([]);
   const [weatherForecast, setWeatherForecast] = useState(null);
+  const [seriesByPlant, setSeriesByPlant] = useState({});
+  const [yieldModel, setYieldModel] = useState(null);
 
   // Chart data state
   const [yieldChartData, setYieldChartData] = useState(null);
@@ -329,7 +366,7 @@ const PredictiveAnalytics = () => {
     return harvests
       .filter(h => h && typeof h === 'object' && h.coffee_raw_quantity != null && h.harvest_date != null)
       .map(h => ({
-        ...h,
+        ...normalizeHarvest(h),
         coffee_raw_quantity: safeParseFloat(h.coffee_raw_quantity, 0),
         harvest_date: new Date(h.harvest_date).toISOString()
       }))
@@ -397,14 +434,26 @@ const PredictiveAnalytics = () => {
         const processedHarvests = processHarvestData(harvests || []);
         setHistoricalHarvests(processedHarvests);
 
-        // Fetch plant statuses (which includes environmental data)
-        const { data: statuses, error: statusError } = await supabase
-          .from('plant_status')
-          .select('*')
-          .in('plant_id', validPlants.map(p => p.plant_id))
-          .order('created_at', { ascending: false });
-
-        if (statusError) throw statusError;
+        // Fetch the full plant status history (which includes environmental data),
+        // dropping corrected entries and ordering newest first
+        const statusRows = await fetchStatusHistory(validPlants.map(p => p.plant_id));
+        const statuses = resolveEffectiveSeries(statusRows).reverse();
+        const statusesByPlant = groupSeriesByPlant(statusRows);
+        setSeriesByPlant(statusesByPlant);
+
+        // The shared trained yield model; forecasts are unavailable until an admin trains one
+        const modelRecord = await fetchYieldModel().catch(() => null);
+        setYieldModel(modelRecord);
+        if (modelRecord) {
+          analytics.setYieldModel(modelRecord.model, {
+            plants: validPlants,
+            farm: farmerData,
+            seriesByPlant: statusesByPlant,
+            harvests: processedHarvests
+          });
+        }
+        analytics.setDssRules(await getDssRules());
+        analytics.setVariety(predominantVariety(validPlants));
 
         // Process plant statuses to create environmental data
         const validStatuses = (statuses || [])
@@ -414,7 +463,8 @@ const PredictiveAnalytics = () => {
             temperature: 25, // Default temperature since it's not in the schema
             humidity: moistureToNumeric(status.moisture_level),
             soil_ph: safeParseFloat(status.soil_ph, 6.5),
-            timestamp: status.created_at,
+            measured_soil_ph: status.soil_ph, // Unlike soil_ph, stays empty when no reading was taken
+            timestamp: status.observed_at || status.created_at,
             fertilizer_level: getDaysSinceLastFertilized(status.last_fertilized) < 30 ? 1 : 0
           }))
           .filter(s => 
@@ -445,7 +495,7 @@ const PredictiveAnalytics = () => {
             temperature: safeParseFloat(status.temperature, 25),
             humidity: safeParseFloat(status.humidity, 70),
             soil_ph: safeParseFloat(status.soil_ph, 6.5),
-            timestamp: status.created_at,
+            timestamp: status.observed_at || status.created_at,
             fertilizer_level: getDaysSinceLastFertilized(status.last_fertilized) < 30 ? 1 : 0
           }));
 
@@ -589,85 +639,64 @@ const PredictiveAnalytics = () => {
   const predictYield = async () => {
     setIsLoading(true);
     setPredictedYield("");
+    setPredictedYieldKg(null);
     setRecommendations([]);
-    setError("");
+    setPredictionError(null);
 
     try {
-      if (!historicalHarvests.length) {
-        throw new Error("No historical harvest data available for prediction");
+      if (!yieldModel) {
+        throw new Error("No yield model has been trained yet. An administrator can train one from the Analytics page.");
       }
 
-      // Calculate base prediction from historical data
-      const recentHarvests = historicalHarvests.slice(-3);
-      const avgHistoricalYield = recentHarvests.reduce((sum, h) => sum + h.coffee_raw_quantity, 0) / recentHarvests.length;
-
-      // Adjust prediction based on weather
-      let weatherImpact = 0;
-      if (weatherForecast) {
-        // Optimal conditions: Temperature 18-24°C, Rainfall 1500-2500mm annually
-        const tempDiff = Math.abs(weatherForecast.temperature - 21); // 21°C is ideal
-        const rainDiff = Math.abs(weatherForecast.rainfall * 12 - 2000); // Scale to annual rainfall
+      // Sum the trained model's forecast for every plant batch
+      const predictedAmount = plants.reduce((sum, plant) => sum + predictNextHarvest(yieldModel.model, {
+        plant,
+        farm: farmerDetails,
+        series: seriesByPlant[plant.plant_id],
+        harvests: historicalHarvests.filter(h => h.plant_id === plant.plant_id)
+      }).amount, 0);
 
-        weatherImpact = (tempDiff > 3 ? -0.1 : 0.1) + (rainDiff > 500 ? -0.1 : 0.1);
-      }
-
-      // Get latest plant status
-      const { data: latestStatus } = await supabase
-        .from("plant_status")
-        .select("*")
-        .eq("farmer_id", user.id)
-        .order("created_at", { ascending: false })
-        .limit(1)
-        .single();
-
-      // Adjust prediction based on plant status
-      let statusImpact = 0;
+      // Latest plant status (plantStatuses is newest first)
+      const latestStatus = plantStatuses[0];
       const recommendations = [];
+      const variety = predominantVariety(plants);
 
       if (latestStatus) {
-        // Soil pH impact (optimal range: 5.5-6.5)
+        // Soil pH against the optimal range of the farm's main variety
         if (latestStatus.soil_ph) {
           const pH = parseFloat(latestStatus.soil_ph);
-          if (pH < 5.5 || pH > 6.5) {
-            statusImpact -= 0.1;
-            recommendations.push(`Adjust soil pH to optimal range (5.5-6.5). Current pH: ${pH}`);
+          if (pH < variety.ph.min || pH > variety.ph.max) {
+            recommendations.push(`Adjust soil pH to the optimal range for ${variety.name} (${variety.ph.min}-${variety.ph.max}). Current pH: ${pH}`);
           }
         }
 
-        // Moisture impact
         if (latestStatus.moisture_level === 'dry') {
-          statusImpact -= 0.15;
           recommendations.push("Increase irrigation to improve soil moisture");
         }
 
-        // Disease impact
         if (latestStatus.status === 'diseased') {
-          statusImpact -= 0.2;
           recommendations.push("Implement disease management practices immediately");
         }
       }
 
-      // Calculate final prediction
-      const predictedAmount = avgHistoricalYield * (1 + weatherImpact + statusImpact);
-      const confidenceScore = calculateConfidenceScore(weatherImpact, statusImpact, historicalHarvests.length);
-
       // Add weather-based recommendations
       if (weatherForecast) {
-        if (weatherForecast.temperature > 24) {
+        if (weatherForecast.temperature > variety.temperature.max) {
           recommendations.push("Consider additional shade measures due to high temperatures");
         }
-        if (weatherForecast.rainfall * 12 < 1500) {
+        if (weatherForecast.rainfall * 12 < variety.rainfall.min) {
           recommendations.push("Plan for supplementary irrigation due to expected low rainfall");
         }
       }
 
-      setPredictedYield(`${predictedAmount.toFixed(2)} kg/hectare`);
+      setPredictedYield(`${predictedAmount.toFixed(2)} kg`);
+      setPredictedYieldKg(predictedAmount);
       setRecommendations(recommendations);
-      setConfidenceScore(confidenceScore);
+      setConfidenceScore(yieldModel.evaluation.confidence);
 
     } catch (error) {
       console.error("Prediction error:", error);
-      setError(error.message);
+      setPredictionError(error.message);
     } finally {
       setIsLoading(false);
     }
@@ -705,27 +734,6 @@ const PredictiveAnalytics = () => {
     }
   };
 
-  const calculateConfidenceScore = (weatherImpact, statusImpact, dataPoints) => {
-    // Base confidence from amount of historical data
-    let confidence = Math.min(dataPoints / 10, 1) * 0.4;
-    
-    // Weather data reliability
-    confidence += weatherForecast ? 0.3 : 0;
-    
-    // Status data reliability
-    confidence += Math.abs(statusImpact) < 0.2 ? 0.3 : 0.15;
-    
-    return confidence;
-  };
-
-  const calculateConfidenceInterval = (prediction, confidenceScore) => {
-    const margin = prediction * (1 - confidenceScore) * 0.2; // 20% margin based on confidence
-    return {
-      min: prediction - margin,
-      max: prediction + margin
-    };
-  };
-
   const getConfidenceLevel = (score) => {
     if (score >= 0.8) return "High Confidence";
     if (score >= 0.6) return "Moderate Confidence";
@@ -885,6 +893,9 @@ const PredictiveAnalytics = () => {
     return <div className="text-red-600 p-4">Error: {error}</div>;
   }
 
+  // Each grade's share of the graded dry coffee across all harvests
+  const gradeShares = summarizeHarvests(historicalHarvests).gradePercent;
+
   return (
     <Layout>
       <div className={`container mx-auto px-4 py-8 ${isDarkMode ? 'bg-gray-900 text-white' : 'bg-gray-50 text-gray-900'}`}>
@@ -910,11 +921,7 @@ const PredictiveAnalytics = () => {
                   <span className={`px-2 py-1 rounded-full text-sm ${
                     isDarkMode ? 'bg-green-900 text-green-200' : 'bg-green-100 text-green-800'
                   }`}>
-                    {historicalHarvests.length > 0 ? 
-                      `${((historicalHarvests.reduce((sum, h) => sum + (h.coffee_premium_grade || 0), 0) / 
-                      historicalHarvests.reduce((sum, h) => sum + (h.coffee_raw_quantity || 0), 0)) * 100).toFixed(1)}%` : 
-                      'No data'
-                    }
+                    {historicalHarvests.length > 0 ? `${gradeShares.premium.toFixed(1)}%` : 'No data'}
                   </span>
               </div>
                 <div className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
@@ -928,11 +935,7 @@ const PredictiveAnalytics = () => {
                   <span className={`px-2 py-1 rounded-full text-sm ${
                     isDarkMode ? 'bg-blue-900 text-blue-200' : 'bg-blue-100 text-blue-800'
                   }`}>
-                    {historicalHarvests.length > 0 ? 
-                      `${((historicalHarvests.reduce((sum, h) => sum + (h.coffee_fine_grade || 0), 0) / 
-                      historicalHarvests.reduce((sum, h) => sum + (h.coffee_raw_quantity || 0), 0)) * 100).toFixed(1)}%` : 
-                      'No data'
-                    }
+                    {historicalHarvests.length > 0 ? `${gradeShares.fine.toFixed(1)}%` : 'No data'}
                   </span>
               </div>
                 <div className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
@@ -946,11 +949,7 @@ const PredictiveAnalytics = () => {
                   <span className={`px-2 py-1 rounded-full text-sm ${
                     isDarkMode ? 'bg-yellow-900 text-yellow-200' : 'bg-yellow-100 text-yellow-800'
                   }`}>
-                    {historicalHarvests.length > 0 ? 
-                      `${((historicalHarvests.reduce((sum, h) => sum + (h.coffee_commercial_grade || 0), 0) / 
-                      historicalHarvests.reduce((sum, h) => sum + (h.coffee_raw_quantity || 0), 0)) * 100).toFixed(1)}%` : 
-                      'No data'
-                    }
+                    {historicalHarvests.length > 0 ? `${gradeShares.commercial.toFixed(1)}%` : 'No data'}
                   </span>
                 </div>
                 <div className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
@@ -1016,6 +1015,82 @@ const PredictiveAnalytics = () => {
               </div>
             </div>
 
+          {/* Next Harvest and Revenue Forecast */}
+          <div className="mt-8">
+            <h3 className={`text-xl font-semibold mb-4 ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+              Next Harvest Forecast
+            </h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className={`p-4 rounded-lg ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+                <div className="flex items-center justify-between mb-2">
+                  <div className="flex items-center gap-2">
+                    <span className="text-xl">☕</span>
+                    <span className={`font-medium ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>Expected Yield</span>
+                  </div>
+                  <button
+                    onClick={predictYield}
+                    disabled={isLoading}
+                    className="px-3 py-1 text-sm font-medium rounded-lg transition-colors bg-blue-600 hover:bg-blue-700 text-white disabled:opacity-50"
+                  >
+                    {isLoading ? 'Forecasting...' : predictedYieldKg !== null ? 'Refresh' : 'Forecast'}
+                  </button>
+                </div>
+                {predictionError ? (
+                  <p className="text-sm text-red-500">{predictionError}</p>
+                ) : predictedYieldKg !== null ? (
+                  <>
+                    <div className={`text-2xl font-bold mb-1 ${isDarkMode ? 'text-blue-400' : 'text-blue-600'}`}>
+                      {predictedYieldKg.toFixed(1)} kg
+                    </div>
+                    <div className={`text-sm mb-2 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                      {getConfidenceLevel(confidenceScore)}: {calculateConfidenceInterval(predictedYieldKg, confidenceScore).min.toFixed(1)} - {calculateConfidenceInterval(predictedYieldKg, confidenceScore).max.toFixed(1)} kg raw coffee
+                    </div>
+                    {recommendations.length > 0 && (
+                      <ul className={`list-disc list-inside text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                        {recommendations.map((rec, index) => (
+                          <li key={index}>{rec}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </>
+                ) : (
+                  <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+                    Uses the cooperative's trained yield model with your trees' age and count, farm elevation, latest plant status and previous harvests.
+                  </p>
+                )}
+                {yieldModel && (
+                  <p className={`mt-2 text-xs ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                    Model trained {new Date(yieldModel.trainedAt).toLocaleDateString()} on {yieldModel.trainingRows} harvests; on recent harvests it was off by {yieldModel.evaluation.mae.toFixed(1)} kg on average (RMSE {yieldModel.evaluation.rmse.toFixed(1)} kg).
+                  </p>
+                )}
+              </div>
+
+              <RevenueForecast
+                harvests={historicalHarvests}
+                yieldKg={predictedYieldKg}
+                confidenceScore={confidenceScore}
+              />
+            </div>
+          </div>
+
+          {/* Ripeness and Pest Incidence Forecast */}
+          <div className="mt-8">
+            <h3 className={`text-xl font-semibold mb-4 ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>
+              Ripeness & Pest Incidence Forecast
+            </h3>
+            <p className={`text-sm mb-4 ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+              For this month with your current soil pH and environment readings, using models trained on the cooperative's field records.
+            </p>
+            <ConditionOutlook
+              conditions={{
+                month: new Date().getMonth() + 1,
+                ph_level: currentConditions.pH,
+                avg_temperature: weatherForecast?.temperature,
+                avg_rainfall: weatherForecast?.rainfall
+              }}
+            />
+          </div>
+
           {/* Quality Improvement Recommendations */}
           <div className="mt-8">
             <h3 className={`text-xl font-semibold mb-4 ${isDarkMode ? 'text-gray-200' : 'text-gray-800'}`}>
@@ -1105,6 +1180,7 @@ const PredictiveAnalytics = () => {
         {mlAnalysis && historicalHarvests.length > 0 && (
           <div className={`${isDarkMode ? 'bg-gray-800' : 'bg-white'} p-6 rounded-lg shadow-lg mb-8`}>
             <MLInsights
+              variety={predominantVariety(plants)}
               environmentalData={plantStatuses.map(status => ({
                 timestamp: status.timestamp,
                 temperature: safeParseFloat(status.temperature, 25),
@@ -0,0 +1,180 @@
+import React, { useEffect, useState } from "react";
+import { useTheme } from "../lib/ThemeContext";
+import { useAuth } from "../lib/AuthProvider";
+import { toast } from 'react-toastify';
+import Layout from '../components/Layout';
+import { SALE_GRADES } from '../lib/ledgerService';
+import { MONTHS, fetchPriceTable, savePriceTable } from '../lib/revenueForecast';
+
+// grade -> 12 input strings, so half-typed values survive re-renders
+const toGrid = (rows) => Object.fromEntries(SALE_GRADES.map(({ key }) => {
+  const monthly = Array(12).fill("");
+  rows.filter(r => r.grade === key).forEach(r => { monthly[r.month - 1] = String(r.price_per_kg); });
+  return [key, monthly];
+}));
+
+const PriceTable = () => {
+  const { isDarkMode } = useTheme();
+  const { user } = useAuth();
+  const [grid, setGrid] = useState(toGrid([]));
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadPrices = async () => {
+      try {
+        const rows = await fetchPriceTable();
+        setGrid(toGrid(rows));
+        const latest = rows.map(r => r.updated_at).sort().pop();
+        setLastUpdated(latest || null);
+      } catch (error) {
+        toast.error(`Error loading prices: ${error.message}`);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadPrices();
+  }, []);
+
+  const handleChange = (grade, monthIndex, value) => {
+    setGrid(prev => ({
+      ...prev,
+      [grade]: prev[grade].map((v, i) => (i === monthIndex ? value : v))
+    }));
+  };
+
+  // Copies the first price entered for a grade into its empty months
+  const fillRow = (grade) => {
+    const first = grid[grade].find(v => v !== "");
+    if (first === undefined) return;
+    setGrid(prev => ({ ...prev, [grade]: prev[grade].map(v => (v === "" ? first : v)) }));
+  };
+
+  const handleSave = async () => {
+    const prices = [];
+    for (const { key, label } of SALE_GRADES) {
+      for (let i = 0; i < 12; i++) {
+        const value = grid[key][i];
+        if (value === "") continue;
+        const price = parseFloat(value);
+        if (isNaN(price) || price < 0) {
+          toast.warning(`${label} price for ${MONTHS[i]} must be a non-negative number.`);
+          return;
+        }
+        prices.push({ grade: key, month: i + 1, price_per_kg: price });
+      }
+    }
+
+    if (prices.length === 0) {
+      toast.warning("Enter at least one price before saving.");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await savePriceTable(prices, user?.id);
+      setLastUpdated(new Date().toISOString());
+      toast.success("Price table saved.");
+    } catch (error) {
+      console.error("Error saving price table:", error);
+      toast.error(`Error saving price table: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = `w-24 px-2 py-1 rounded border text-sm ${
+    isDarkMode
+      ? 'bg-gray-700 border-gray-600 text-white focus:border-green-500'
+      : 'bg-white border-gray-300 text-gray-900 focus:border-green-500'
+  }`;
+
+  return (
+    <Layout>
+      <div className="flex-1 overflow-auto">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          {/* Header */}
+          <div className={`mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6`}>
+            <h2 className={`text-3xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+              Coffee Prices
+            </h2>
+            <p className={`mt-2 text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+              Farm-gate prices per kg of dry coffee, by grade and month. Farmers' revenue forecasts use these prices.
+            </p>
+            {lastUpdated && (
+              <p className={`mt-1 text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                Last updated {new Date(lastUpdated).toLocaleString()}
+              </p>
+            )}
+          </div>
+
+          <div className={`p-6 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
+            {loading ? (
+              <p className={isDarkMode ? 'text-gray-300' : 'text-gray-600'}>Loading prices...</p>
+            ) : (
+              <>
+                <div className="overflow-x-auto">
+                  <table className={`min-w-full divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                    <thead className={isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+                      <tr>
+                        <th className={`px-4 py-3 text-left text-xs font-medium uppercase tracking-wider ${isDarkMode ? 'text-gray-300' : 'text-gray-500'}`}>Month</th>
+                        {SALE_GRADES.map(grade => (
+                          <th key={grade.key} className={`px-4 py-3 text-left text-xs font-medium uppercase tracking-wider ${isDarkMode ? 'text-gray-300' : 'text-gray-500'}`}>
+                            <div className="flex items-center space-x-2">
+                              <span>{grade.label} (₱/kg)</span>
+                              <button
+                                type="button"
+                                onClick={() => fillRow(grade.key)}
+                                className={`normal-case font-normal ${isDarkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'}`}
+                              >
+                                Fill empty
+                              </button>
+                            </div>
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className={`divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                      {MONTHS.map((month, index) => (
+                        <tr key={month}>
+                          <td className={`px-4 py-2 text-sm font-medium ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>{month}</td>
+                          {SALE_GRADES.map(grade => (
+                            <td key={grade.key} className="px-4 py-2">
+                              <input
+                                type="number"
+                                step="0.01"
+                                min="0"
+                                value={grid[grade.key][index]}
+                                onChange={(e) => handleChange(grade.key, index, e.target.value)}
+                                className={inputClass}
+                              />
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <div className="mt-6 flex items-center justify-between">
+                  <p className={`text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    Months left empty use the average of that grade's other months.
+                  </p>
+                  <button
+                    onClick={handleSave}
+                    disabled={saving}
+                    className="px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+                  >
+                    {saving ? 'Saving...' : 'Save Prices'}
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default PriceTable;
@@ -0,0 +1,663 @@
+import React, { useEffect, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+import { supabase } from "../lib/supabaseClient";
+import { useTheme } from "../lib/ThemeContext";
+import { useAuth } from "../lib/AuthProvider";
+import { toast } from 'react-toastify';
+import Layout from '../components/Layout';
+import SyncBadge from '../components/SyncBadge';
+import { syncQueue, applyOutbox, describePendingWrite } from '../lib/offline';
+import { useSyncQueue } from '../lib/offline/useSyncQueue';
+import { normalizeHarvest } from '../lib/harvestMetrics';
+import {
+  PROCESSING_METHODS,
+  DRYING_METHODS,
+  BATCH_STAGES,
+  BATCH_GRADE_FIELDS,
+  TARGET_MOISTURE_PCT,
+  sortReadings,
+  batchStage,
+  moistureStatus,
+  dryingDays,
+  conversionRatios,
+  allocatedCherry,
+  summarizeProcessing,
+  fetchBatches,
+  fetchMoistureReadings,
+  saveBatch,
+  recordHulling,
+  recordGrading,
+  deleteBatch,
+  addMoistureReading,
+  deleteMoistureReading
+} from '../lib/processing';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const emptyBatchForm = (harvestId = "") => ({
+  harvest_id: harvestId,
+  method: "washed",
+  started_on: today(),
+  cherry_kg: "",
+  fermentation_hours: "",
+  drying_method: "raised_beds",
+  drying_started_on: "",
+  notes: "",
+});
+
+const actionForm = (kind, batch) => {
+  if (kind === "moisture") return { read_on: today(), moisture_pct: "", notes: "" };
+  if (kind === "hulling") return { dried_kg: batch.dried_kg ?? "", green_kg: batch.green_kg ?? "", hulled_on: batch.hulled_on || today() };
+  return {
+    ...Object.fromEntries(BATCH_GRADE_FIELDS.map(({ field }) => [field, batch[field] ?? ""])),
+    graded_on: batch.graded_on || today(),
+  };
+};
+
+const STAGE_STYLES = {
+  received: { dark: 'bg-gray-700 text-gray-200', light: 'bg-gray-100 text-gray-700' },
+  drying: { dark: 'bg-yellow-900 text-yellow-200', light: 'bg-yellow-100 text-yellow-800' },
+  hulled: { dark: 'bg-blue-900 text-blue-200', light: 'bg-blue-100 text-blue-800' },
+  graded: { dark: 'bg-green-900 text-green-200', light: 'bg-green-100 text-green-800' }
+};
+
+const MOISTURE_LABELS = {
+  wet: 'Still drying',
+  ready: 'Ready to hull',
+  overdried: 'Over-dried'
+};
+
+const formatRatio = (value) => (value == null ? '—' : `${Math.round(value * 1000) / 10}%`);
+
+const ProcessingBatches = () => {
+  const { isDarkMode } = useTheme();
+  const { user } = useAuth();
+  const { entries: outbox } = useSyncQueue();
+  const [searchParams] = useSearchParams();
+  const [harvests, setHarvests] = useState([]);
+  const [plants, setPlants] = useState([]);
+  const [batches, setBatches] = useState([]);
+  const [readings, setReadings] = useState([]);
+  const [form, setForm] = useState(emptyBatchForm(searchParams.get("harvest") || ""));
+  const [editingBatch, setEditingBatch] = useState(null);
+  const [action, setAction] = useState(null); // { batchId, kind: 'moisture' | 'hulling' | 'grading', form }
+  const [groupBy, setGroupBy] = useState("method");
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const loadProcessing = async (farmerId) => {
+    const [harvestResult, plantResult, batchRows, readingRows] = await Promise.all([
+      supabase.from("harvest_data").select("*").eq("farmer_id", farmerId).order("harvest_date", { ascending: false }),
+      supabase.from("plant_data").select("plant_id, coffee_variety").eq("farmer_id", farmerId),
+      fetchBatches(farmerId),
+      fetchMoistureReadings(farmerId)
+    ]);
+    if (harvestResult.error) throw harvestResult.error;
+    if (plantResult.error) throw plantResult.error;
+
+    setHarvests(harvestResult.data || []);
+    setPlants(plantResult.data || []);
+    setBatches(batchRows);
+    setReadings(readingRows);
+  };
+
+  useEffect(() => {
+    const loadInitial = async () => {
+      if (!user) return;
+      setLoading(true);
+      try {
+        await loadProcessing(user.id);
+      } catch (error) {
+        console.error("Error loading processing batches:", error);
+        toast.error("Error loading your batches. Please try refreshing the page.");
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadInitial();
+  }, [user]);
+
+  // Server rows with writes still waiting in the outbox laid over them
+  const ownsInsert = (entry) => entry.payload.farmer_id === user?.id;
+  const harvestRecords = applyOutbox(harvests, outbox, "harvest_data", ownsInsert).map(normalizeHarvest);
+  const batchRecords = applyOutbox(batches, outbox, "processing_batches", ownsInsert)
+    .sort((a, b) => b.started_on.localeCompare(a.started_on));
+  const readingsByBatch = {};
+  sortReadings(applyOutbox(readings, outbox, "processing_moisture_readings", ownsInsert)).forEach(reading => {
+    (readingsByBatch[reading.batch_id] = readingsByBatch[reading.batch_id] || []).push(reading);
+  });
+  const outcomes = summarizeProcessing(batchRecords, readingsByBatch, groupBy);
+
+  const harvestLabel = (harvest) => {
+    if (!harvest) return 'Unknown harvest';
+    const plant = plants.find(p => p.plant_id === harvest.plant_id);
+    return `${new Date(harvest.harvest_date).toLocaleDateString()} · ${plant?.coffee_variety || 'Unknown variety'} · ${harvest.coffee_raw_quantity} kg`;
+  };
+  const selectedHarvest = harvestRecords.find(h => h.harvest_id === form.harvest_id);
+  const availableCherry = selectedHarvest
+    ? Math.max(Math.round((selectedHarvest.coffee_raw_quantity - allocatedCherry(selectedHarvest.harvest_id, batchRecords, editingBatch?.batch_id)) * 100) / 100, 0)
+    : null;
+
+  // Tells the farmer where a write ended up and reloads once it reached the server
+  const reportSave = async (sync, what, successMessage) => {
+    if (!sync || sync.state === "synced") {
+      await loadProcessing(user.id);
+      toast.success(successMessage);
+    } else if (sync.state === "conflict") {
+      toast.warning(`${what} is held for conflict review (${sync.error}). Resolve it in the sync panel.`);
+    } else {
+      toast.info(describePendingWrite(what.toLowerCase(), syncQueue.isHeld(sync.id)));
+    }
+  };
+
+  const handleFormChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const submitBatch = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const saved = await saveBatch(user.id, form, { harvest: selectedHarvest, batches: batchRecords, batch: editingBatch }, user.id);
+      await reportSave(saved._sync, "Batch", editingBatch ? "Batch updated." : "Batch started.");
+      setEditingBatch(null);
+      setForm(emptyBatchForm());
+    } catch (error) {
+      console.error("Error saving batch:", error);
+      toast.error(`Error saving batch: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startEdit = (batch) => {
+    setEditingBatch(batch);
+    setForm({
+      harvest_id: batch.harvest_id,
+      method: batch.method,
+      started_on: batch.started_on,
+      cherry_kg: String(batch.cherry_kg),
+      fermentation_hours: batch.fermentation_hours ?? "",
+      drying_method: batch.drying_method || "",
+      drying_started_on: batch.drying_started_on || "",
+      notes: batch.notes || "",
+    });
+    document.getElementById("batch-form")?.scrollIntoView({ behavior: "smooth" });
+  };
+
+  const cancelEdit = () => {
+    setEditingBatch(null);
+    setForm(emptyBatchForm());
+  };
+
+  const removeBatch = async (batch) => {
+    if (!window.confirm("Delete this batch and its moisture readings?")) return;
+    try {
+      const deleted = await deleteBatch(user.id, batch);
+      await reportSave(deleted, "Deletion", "Batch deleted.");
+      if (editingBatch?.batch_id === batch.batch_id) cancelEdit();
+    } catch (error) {
+      console.error("Error deleting batch:", error);
+      toast.error(`Error deleting batch: ${error.message}`);
+    }
+  };
+
+  const openAction = (batch, kind) => {
+    setAction(action?.batchId === batch.batch_id && action.kind === kind
+      ? null
+      : { batchId: batch.batch_id, kind, form: actionForm(kind, batch) });
+  };
+
+  const handleActionChange = (e) => {
+    const { name, value } = e.target;
+    setAction(prev => ({ ...prev, form: { ...prev.form, [name]: value } }));
+  };
+
+  const submitAction = async (e, batch) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      if (action.kind === "moisture") {
+        const saved = await addMoistureReading(user.id, batch, action.form);
+        await reportSave(saved._sync, "Reading", "Moisture reading added.");
+      } else if (action.kind === "hulling") {
+        const saved = await recordHulling(user.id, batch, action.form);
+        await reportSave(saved._sync, "Hulling", "Hulling output recorded.");
+      } else {
+        const saved = await recordGrading(user.id, batch, action.form);
+        await reportSave(saved._sync, "Grading", "Grades recorded.");
+      }
+      setAction(null);
+    } catch (error) {
+      console.error("Error saving batch step:", error);
+      toast.error(`Error saving: ${error.message}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeReading = async (reading) => {
+    try {
+      const deleted = await deleteMoistureReading(user.id, reading);
+      await reportSave(deleted, "Deletion", "Reading deleted.");
+    } catch (error) {
+      console.error("Error deleting moisture reading:", error);
+      toast.error(`Error deleting reading: ${error.message}`);
+    }
+  };
+
+  const inputClass = `w-full px-3 py-2 rounded-lg border ${
+    isDarkMode
+      ? 'bg-gray-700 border-gray-600 text-white focus:border-green-500'
+      : 'bg-white border-gray-300 text-gray-900 focus:border-green-500'
+  } focus:ring-2 focus:ring-green-500 focus:ring-opacity-50 transition-colors`;
+  const labelClass = `block text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const hintClass = `mt-1 text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`;
+  const cardClass = `p-6 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'} hover:shadow-xl transition-shadow duration-200`;
+  const headerClass = `px-4 py-3 text-left text-xs font-medium uppercase tracking-wider ${isDarkMode ? 'text-gray-300' : 'text-gray-500'}`;
+  const cellClass = `px-4 py-3 text-sm align-top ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const statLabelClass = `text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`;
+  const statValueClass = `text-base font-medium ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const linkButtonClass = `text-sm font-medium ${isDarkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'}`;
+
+  const renderActionForm = (batch) => {
+    const driedLabel = PROCESSING_METHODS[batch.method]?.dried || 'dried coffee';
+    return (
+      <form onSubmit={(e) => submitAction(e, batch)} className={`mt-4 p-4 rounded-lg space-y-3 ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
+        {action.kind === "moisture" && (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <div>
+              <label className={labelClass}>Date</label>
+              <input type="date" name="read_on" value={action.form.read_on} max={today()} onChange={handleActionChange} className={inputClass} required />
+            </div>
+            <div>
+              <label className={labelClass}>Moisture (%)</label>
+              <input type="number" step="0.1" min="0" max="100" name="moisture_pct" value={action.form.moisture_pct} onChange={handleActionChange} className={inputClass} required />
+            </div>
+            <div>
+              <label className={labelClass}>Notes</label>
+              <input type="text" name="notes" value={action.form.notes} onChange={handleActionChange} className={inputClass} />
+            </div>
+          </div>
+        )}
+        {action.kind === "hulling" && (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <div>
+              <label className={labelClass}>Hulled On</label>
+              <input type="date" name="hulled_on" value={action.form.hulled_on} max={today()} onChange={handleActionChange} className={inputClass} required />
+            </div>
+            <div>
+              <label className={labelClass}>Dried {driedLabel} (kg)</label>
+              <input type="number" step="0.01" min="0" name="dried_kg" value={action.form.dried_kg} onChange={handleActionChange} className={inputClass} required />
+            </div>
+            <div>
+              <label className={labelClass}>Green Coffee (kg)</label>
+              <input type="number" step="0.01" min="0" name="green_kg" value={action.form.green_kg} onChange={handleActionChange} className={inputClass} required />
+            </div>
+          </div>
+        )}
+        {action.kind === "grading" && (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+              <div>
+                <label className={labelClass}>Graded On</label>
+                <input type="date" name="graded_on" value={action.form.graded_on} max={today()} onChange={handleActionChange} className={inputClass} required />
+              </div>
+              {BATCH_GRADE_FIELDS.map(({ field, label }) => (
+                <div key={field}>
+                  <label className={labelClass}>{label} (kg)</label>
+                  <input type="number" step="0.01" min="0" name={field} value={action.form[field]} onChange={handleActionChange} className={inputClass} required />
+                </div>
+              ))}
+            </div>
+            <p className={hintClass}>
+              Sorted from {batch.green_kg} kg of green coffee. Once every batch of this harvest is graded, the harvest record shows their graded green coffee.
+            </p>
+          </>
+        )}
+        <div className="flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={() => setAction(null)}
+            className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
+              isDarkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-300' : 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+            }`}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </form>
+    );
+  };
+
+  if (loading) return (
+    <Layout>
+      <div className="flex-1 flex items-center justify-center">
+        <div className={`text-center ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Loading...</div>
+      </div>
+    </Layout>
+  );
+
+  return (
+    <Layout>
+      <div className="flex-1 overflow-auto">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          {/* Header */}
+          <div className={`mb-8 ${isDarkMode ? 'bg-gray-800' : 'bg-white'} rounded-lg shadow-lg p-6`}>
+            <h2 className={`text-3xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+              Processing
+            </h2>
+            <p className={`mt-2 text-lg ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>
+              Follow each harvest from cherry to graded green coffee and see how processing choices affect yield and quality
+            </p>
+          </div>
+
+          {harvestRecords.length === 0 ? (
+            <div className={cardClass}>
+              <p className={isDarkMode ? 'text-gray-300' : 'text-gray-600'}>
+                Record a harvest in Harvest Reporting before starting a processing batch.
+              </p>
+            </div>
+          ) : (
+            <>
+              {/* Start or edit a batch */}
+              <div id="batch-form" className={`mb-8 ${cardClass}`}>
+                <h3 className={`text-xl font-medium mb-6 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                  {editingBatch ? 'Edit Batch' : 'Start a Batch'}
+                </h3>
+                <form onSubmit={submitBatch} className="space-y-4">
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div className="md:col-span-2">
+                      <label className={labelClass}>Harvest</label>
+                      <select name="harvest_id" value={form.harvest_id} onChange={handleFormChange} className={inputClass} required>
+                        <option value="">Select a harvest</option>
+                        {harvestRecords.map(harvest => (
+                          <option key={harvest.harvest_id} value={harvest.harvest_id}>{harvestLabel(harvest)}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className={labelClass}>Started On</label>
+                      <input type="date" name="started_on" value={form.started_on} max={today()} onChange={handleFormChange} className={inputClass} required />
+                    </div>
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                      <label className={labelClass}>Method</label>
+                      <select name="method" value={form.method} onChange={handleFormChange} className={inputClass} required>
+                        {Object.entries(PROCESSING_METHODS).map(([key, method]) => (
+                          <option key={key} value={key}>{method.label}</option>
+                        ))}
+                      </select>
+                      <p className={hintClass}>{PROCESSING_METHODS[form.method]?.description}</p>
+                    </div>
+                    <div>
+                      <label className={labelClass}>Cherry (kg)</label>
+                      <input type="number" step="0.01" min="0" name="cherry_kg" value={form.cherry_kg} onChange={handleFormChange} className={inputClass} required />
+                      {availableCherry != null && (
+                        <p className={hintClass}>{availableCherry} kg of this harvest left to process</p>
+                      )}
+                    </div>
+                    <div>
+                      <label className={labelClass}>Fermentation (hours)</label>
+                      <input
+                        type="number"
+                        step="0.5"
+                        min="0"
+                        name="fermentation_hours"
+                        value={form.fermentation_hours}
+                        onChange={handleFormChange}
+                        className={inputClass}
+                        required={form.method === "washed"}
+                      />
+                      {form.method !== "washed" && <p className={hintClass}>Optional</p>}
+                    </div>
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                      <label className={labelClass}>Drying Method</label>
+                      <select name="drying_method" value={form.drying_method} onChange={handleFormChange} className={inputClass}>
+                        <option value="">Not decided yet</option>
+                        {Object.entries(DRYING_METHODS).map(([key, method]) => (
+                          <option key={key} value={key}>{method.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className={labelClass}>Drying Started On</label>
+                      <input type="date" name="drying_started_on" value={form.drying_started_on} max={today()} onChange={handleFormChange} className={inputClass} />
+                    </div>
+                    <div>
+                      <label className={labelClass}>Notes</label>
+                      <input type="text" name="notes" value={form.notes} onChange={handleFormChange} className={inputClass} />
+                    </div>
+                  </div>
+                  <div className="flex justify-end space-x-4">
+                    {editingBatch && (
+                      <button
+                        type="button"
+                        onClick={cancelEdit}
+                        className={`px-4 py-2 text-sm font-medium rounded-lg transition-colors ${
+                          isDarkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-300' : 'bg-gray-200 hover:bg-gray-300 text-gray-700'
+                        }`}
+                      >
+                        Cancel
+                      </button>
+                    )}
+                    <button
+                      type="submit"
+                      disabled={saving}
+                      className="px-4 py-2 text-sm font-medium rounded-lg transition-colors bg-green-600 hover:bg-green-700 text-white disabled:opacity-50"
+                    >
+                      {saving ? 'Saving...' : editingBatch ? 'Update Batch' : 'Start Batch'}
+                    </button>
+                  </div>
+                </form>
+              </div>
+
+              {/* Batches */}
+              <div className={`mb-8 ${cardClass}`}>
+                <h3 className={`text-xl font-medium mb-6 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Batches</h3>
+                {batchRecords.length === 0 ? (
+                  <p className={isDarkMode ? 'text-gray-400' : 'text-gray-500'}>No batches started yet.</p>
+                ) : (
+                  <div className="space-y-6">
+                    {batchRecords.map(batch => {
+                      const batchReadings = readingsByBatch[batch.batch_id] || [];
+                      const latest = batchReadings[batchReadings.length - 1];
+                      const stage = batchStage(batch, batchReadings);
+                      const ratios = conversionRatios(batch);
+                      const days = dryingDays(batch, batchReadings);
+                      const driedLabel = PROCESSING_METHODS[batch.method]?.dried || 'dried coffee';
+                      return (
+                        <div key={batch.batch_id} className={`p-6 rounded-lg ${isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}`}>
+                          <div className="flex flex-wrap items-start justify-between gap-4 mb-4">
+                            <div>
+                              <h4 className={`text-lg font-medium ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+                                {PROCESSING_METHODS[batch.method]?.label || batch.method} · started {new Date(batch.started_on).toLocaleDateString()}
+                              </h4>
+                              <p className={statLabelClass}>
+                                Harvest {harvestLabel(harvestRecords.find(h => h.harvest_id === batch.harvest_id))}
+                              </p>
+                              <div className="mt-1 flex items-center space-x-2">
+                                <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
+                                  isDarkMode ? STAGE_STYLES[stage].dark : STAGE_STYLES[stage].light
+                                }`}>
+                                  {BATCH_STAGES[stage].label}
+                                </span>
+                                <SyncBadge sync={batch._sync} />
+                              </div>
+                            </div>
+                            <div className="flex flex-wrap gap-3">
+                              {stage !== 'hulled' && stage !== 'graded' && (
+                                <button type="button" onClick={() => openAction(batch, "moisture")} className={linkButtonClass}>Add Reading</button>
+                              )}
+                              {stage !== 'graded' && (
+                                <button type="button" onClick={() => openAction(batch, "hulling")} className={linkButtonClass}>
+                                  {stage === 'hulled' ? 'Edit Hulling' : 'Log Hulling'}
+                                </button>
+                              )}
+                              {(stage === 'hulled' || stage === 'graded') && (
+                                <button type="button" onClick={() => openAction(batch, "grading")} className={linkButtonClass}>
+                                  {stage === 'graded' ? 'Edit Grades' : 'Grade'}
+                                </button>
+                              )}
+                              <button type="button" onClick={() => startEdit(batch)} className={linkButtonClass}>Edit</button>
+                              <button
+                                type="button"
+                                onClick={() => removeBatch(batch)}
+                                className={`text-sm font-medium ${isDarkMode ? 'text-red-400 hover:text-red-300' : 'text-red-600 hover:text-red-700'}`}
+                              >
+                                Delete
+                              </button>
+                            </div>
+                          </div>
+
+                          <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+                            <div>
+                              <p className={statLabelClass}>Cherry</p>
+                              <p className={statValueClass}>{batch.cherry_kg} kg</p>
+                            </div>
+                            <div>
+                              <p className={statLabelClass}>Fermentation</p>
+                              <p className={statValueClass}>{batch.fermentation_hours != null ? `${batch.fermentation_hours} h` : '—'}</p>
+                            </div>
+                            <div>
+                              <p className={statLabelClass}>Drying</p>
+                              <p className={statValueClass}>
+                                {DRYING_METHODS[batch.drying_method]?.label || '—'}
+                                {days != null && <span className={statLabelClass}> · {days} days</span>}
+                              </p>
+                            </div>
+                            <div>
+                              <p className={statLabelClass}>Dried ({driedLabel})</p>
+                              <p className={statValueClass}>
+                                {batch.dried_kg != null ? `${batch.dried_kg} kg` : '—'}
+                                {ratios.drying != null && <span className={statLabelClass}> · {formatRatio(ratios.drying)}</span>}
+                              </p>
+                            </div>
+                            <div>
+                              <p className={statLabelClass}>Green</p>
+                              <p className={statValueClass}>
+                                {batch.green_kg != null ? `${batch.green_kg} kg` : '—'}
+                                {ratios.hulling != null && <span className={statLabelClass}> · {formatRatio(ratios.hulling)}</span>}
+                              </p>
+                            </div>
+                            <div>
+                              <p className={statLabelClass}>Cherry to Green</p>
+                              <p className={statValueClass}>
+                                {ratios.cherryPerGreen != null ? `${Math.round(ratios.cherryPerGreen * 100) / 100} : 1` : '—'}
+                              </p>
+                            </div>
+                          </div>
+
+                          {batch.graded_on && (
+                            <p className={`mt-4 text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+                              Graded {new Date(batch.graded_on).toLocaleDateString()}:{' '}
+                              {BATCH_GRADE_FIELDS.map(({ field, label }) => `${label} ${batch[field]} kg`).join(', ')}
+                              {ratios.premiumShare != null && ` (${formatRatio(ratios.premiumShare)} premium)`}
+                            </p>
+                          )}
+
+                          {batchReadings.length > 0 && (
+                            <div className="mt-4">
+                              <p className={statLabelClass}>
+                                Moisture (target {TARGET_MOISTURE_PCT.min}-{TARGET_MOISTURE_PCT.max}%)
+                                {latest && stage === 'drying' && ` · latest ${latest.moisture_pct}%, ${MOISTURE_LABELS[moistureStatus(latest.moisture_pct)].toLowerCase()}`}
+                              </p>
+                              <div className="mt-2 flex flex-wrap gap-2">
+                                {batchReadings.map(reading => (
+                                  <span
+                                    key={reading.reading_id}
+                                    className={`inline-flex items-center space-x-2 px-2 py-1 rounded text-xs ${
+                                      isDarkMode ? 'bg-gray-800 text-gray-300' : 'bg-white text-gray-700'
+                                    }`}
+                                    title={reading.notes || undefined}
+                                  >
+                                    <span>{new Date(reading.read_on).toLocaleDateString()}: {reading.moisture_pct}%</span>
+                                    <SyncBadge sync={reading._sync} />
+                                    {stage === 'drying' && (
+                                      <button
+                                        type="button"
+                                        onClick={() => removeReading(reading)}
+                                        className={isDarkMode ? 'text-red-400 hover:text-red-300' : 'text-red-600 hover:text-red-700'}
+                                        aria-label="Delete reading"
+                                      >
+                                        ×
+                                      </button>
+                                    )}
+                                  </span>
+                                ))}
+                              </div>
+                            </div>
+                          )}
+
+                          {action?.batchId === batch.batch_id && renderActionForm(batch)}
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+              </div>
+
+              {/* Outcomes by processing choice */}
+              <div className={cardClass}>
+                <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+                  <h3 className={`text-xl font-medium ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Outcomes</h3>
+                  <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} className={`${inputClass} max-w-xs`}>
+                    <option value="method">By processing method</option>
+                    <option value="drying_method">By drying method</option>
+                  </select>
+                </div>
+                {outcomes.length === 0 ? (
+                  <p className={isDarkMode ? 'text-gray-400' : 'text-gray-500'}>Outcomes appear once batches are hulled.</p>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className={`min-w-full divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                      <thead className={isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+                        <tr>
+                          <th className={headerClass}>{groupBy === 'method' ? 'Method' : 'Drying'}</th>
+                          <th className={headerClass}>Batches</th>
+                          <th className={headerClass}>Cherry</th>
+                          <th className={headerClass}>Green</th>
+                          <th className={headerClass}>Cherry to Green</th>
+                          <th className={headerClass}>Premium Share</th>
+                          <th className={headerClass}>Avg Fermentation</th>
+                          <th className={headerClass}>Avg Drying</th>
+                        </tr>
+                      </thead>
+                      <tbody className={`divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                        {outcomes.map(group => (
+                          <tr key={group.key}>
+                            <td className={`${cellClass} font-medium`}>{group.label}</td>
+                            <td className={cellClass}>{group.batches}</td>
+                            <td className={cellClass}>{group.cherryKg} kg</td>
+                            <td className={cellClass}>{group.greenKg} kg</td>
+                            <td className={cellClass}>{group.cherryPerGreen != null ? `${group.cherryPerGreen} : 1` : '—'}</td>
+                            <td className={cellClass}>{group.premiumShare != null ? `${group.premiumShare}%` : 'Not graded'}</td>
+                            <td className={cellClass}>{group.avgFermentationHours != null ? `${group.avgFermentationHours} h` : '—'}</td>
+                            <td className={cellClass}>{group.avgDryingDays != null ? `${group.avgDryingDays} days` : '—'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default ProcessingBatches;
@@ -0,0 +1,152 @@
+import React, { useEffect, useState } from "react";
+import { Link, useParams } from "react-router-dom";
+import { useTheme } from "../lib/ThemeContext";
+import { GRADE_FIELDS, GRADE_TOLERANCE_KG } from '../lib/harvestMetrics';
+import { PROCESSING_METHODS, DRYING_METHODS } from '../lib/processing';
+import { LOT_STATUSES, fetchPublicLot } from '../lib/lots';
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+// Public, read-only page a lot's QR label points to
+const PublicLot = () => {
+  const { isDarkMode } = useTheme();
+  const { code } = useParams();
+  const [lot, setLot] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    const loadLot = async () => {
+      setLoading(true);
+      try {
+        setLot(await fetchPublicLot(code));
+      } catch (error) {
+        console.error("Error loading lot:", error);
+        setFailed(true);
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadLot();
+  }, [code]);
+
+  const cardClass = `p-6 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`;
+  const headerClass = `px-4 py-3 text-left text-xs font-medium uppercase tracking-wider ${isDarkMode ? 'text-gray-300' : 'text-gray-500'}`;
+  const cellClass = `px-4 py-3 text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`;
+  const statLabelClass = `text-sm ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`;
+  const statValueClass = `mt-1 text-lg font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`;
+
+  const renderBody = () => {
+    if (loading) {
+      return <div className={`text-center ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Loading...</div>;
+    }
+    if (failed || !lot) {
+      return (
+        <div className={cardClass}>
+          <p className={isDarkMode ? 'text-gray-300' : 'text-gray-600'}>
+            {failed ? 'This lot could not be loaded. Please try again later.' : `No coffee lot has the code ${code}.`}
+          </p>
+        </div>
+      );
+    }
+
+    const status = lot.status === 'active' && lot.quantity_kg - lot.sold_kg <= GRADE_TOLERANCE_KG ? 'sold' : lot.status;
+    const farms = [...new Set(lot.origins.map(origin =>
+      [origin.farm_location, origin.farm_elevation ? `${origin.farm_elevation} m` : null].filter(Boolean).join(', ')
+    ).filter(Boolean))];
+    const harvestWindow = !lot.harvest_from
+      ? '—'
+      : lot.harvest_from === lot.harvest_to
+        ? formatDate(lot.harvest_from)
+        : `${formatDate(lot.harvest_from)} – ${formatDate(lot.harvest_to)}`;
+
+    return (
+      <>
+        <div className={`mb-8 ${cardClass}`}>
+          <p className={statLabelClass}>Coffee lot</p>
+          <h2 className={`text-3xl font-bold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>{lot.lot_code}</h2>
+          <div className="mt-6 grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div>
+              <p className={statLabelClass}>Grade</p>
+              <p className={statValueClass}>{GRADE_FIELDS.find(({ key }) => key === lot.grade)?.label || 'Mixed'}</p>
+            </div>
+            <div>
+              <p className={statLabelClass}>Lot Size</p>
+              <p className={statValueClass}>{lot.quantity_kg} kg</p>
+            </div>
+            <div>
+              <p className={statLabelClass}>Harvested</p>
+              <p className={statValueClass}>{harvestWindow}</p>
+            </div>
+            <div>
+              <p className={statLabelClass}>Status</p>
+              <p className={statValueClass}>{LOT_STATUSES[status]?.label || status}</p>
+            </div>
+          </div>
+          {farms.length > 0 && (
+            <p className={`mt-6 ${isDarkMode ? 'text-gray-300' : 'text-gray-600'}`}>Grown at {farms.join('; ')}</p>
+          )}
+        </div>
+
+        <div className={`mb-8 ${cardClass}`}>
+          <h3 className={`text-xl font-medium mb-4 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Origin</h3>
+          <div className="overflow-x-auto">
+            <table className={`min-w-full divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+              <thead className={isDarkMode ? 'bg-gray-700' : 'bg-gray-50'}>
+                <tr>
+                  <th className={headerClass}>Harvested</th>
+                  <th className={headerClass}>Variety</th>
+                  <th className={headerClass}>Processing</th>
+                  <th className={headerClass}>Farm</th>
+                  <th className={headerClass}>Elevation</th>
+                </tr>
+              </thead>
+              <tbody className={`divide-y ${isDarkMode ? 'divide-gray-700' : 'divide-gray-200'}`}>
+                {lot.origins.map((origin, index) => (
+                  <tr key={index}>
+                    <td className={cellClass}>{formatDate(origin.harvest_date)}</td>
+                    <td className={cellClass}>{origin.coffee_variety || '—'}</td>
+                    <td className={cellClass}>
+                      {origin.method
+                        ? [PROCESSING_METHODS[origin.method]?.label, DRYING_METHODS[origin.drying_method]?.label].filter(Boolean).join(', ')
+                        : '—'}
+                    </td>
+                    <td className={cellClass}>{origin.farm_location || '—'}</td>
+                    <td className={cellClass}>{origin.farm_elevation ? `${origin.farm_elevation} m` : '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {lot.history.length > 0 && (
+          <div className={cardClass}>
+            <h3 className={`text-xl font-medium mb-4 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>Lot History</h3>
+            <ul className={`space-y-2 text-sm ${isDarkMode ? 'text-gray-300' : 'text-gray-700'}`}>
+              {lot.history.map((entry, index) => (
+                <li key={index}>
+                  {formatDate(entry.created_at)}: {entry.quantity_kg} kg of {entry.parent_code}
+                  {entry.kind === 'split' ? ' split off into ' : ' merged into '}
+                  <Link to={`/lot/${encodeURIComponent(entry.child_code)}`} className={isDarkMode ? 'text-indigo-400 hover:text-indigo-300' : 'text-indigo-600 hover:text-indigo-700'}>
+                    {entry.child_code}
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className={`min-h-screen py-12 px-4 sm:px-6 lg:px-8 ${isDarkMode ? 'bg-gray-900' : 'bg-gray-50'}`}>
+      <div className="max-w-4xl mx-auto">
+        {renderBody()}
+      </div>
+    </div>
+  );
+};
+
+export default PublicLot;
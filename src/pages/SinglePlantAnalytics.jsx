@@ -2,9 +2,18 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { supabase } from '../lib/supabaseClient';
 import { useTheme } from '../lib/ThemeContext';
-import { fetchWeatherData, fetchWeatherForecast } from '../lib/weatherService';
+import { fetchFarmWeather } from '../lib/weather';
+import {
+  fetchStatusHistory,
+  resolveEffectiveSeries,
+  recordObservation
+} from '../lib/plantStatusService';
+import { fetchYieldModel } from '../lib/yieldModelService';
+import { evaluateRules, getDssRules, plantFacts } from '../lib/dssRules';
+import { predictNextHarvest } from '../lib/ml/YieldModel';
 import { Line } from 'react-chartjs-2';
 import Layout from '../components/Layout';
+import WeatherHistoryChart from '../components/analytics/WeatherHistoryChart';
 
 const SinglePlantAnalytics = () => {
   const { plantId } = useParams();
@@ -14,15 +23,19 @@ const SinglePlantAnalytics = () => {
   // Data states
   const [plant, setPlant] = useState(null);
   const [plantStatus, setPlantStatus] = useState(null);
+  const [statusSeries, setStatusSeries] = useState([]); // Effective observations, oldest first
   const [harvestHistory, setHarvestHistory] = useState([]);
   const [weatherData, setWeatherData] = useState(null);
   const [weatherForecast, setWeatherForecast] = useState(null);
+  const [dailyWeather, setDailyWeather] = useState([]); // Farm's stored daily weather, past and forecast
   
   // Analysis states
+  const [yieldModel, setYieldModel] = useState(null);
   const [yieldPrediction, setYieldPrediction] = useState(null);
   const [healthScore, setHealthScore] = useState(null);
   const [recommendations, setRecommendations] = useState([]);
   const [riskFactors, setRiskFactors] = useState([]);
+  const [dssRules, setDssRules] = useState([]);
   
   // UI states
   const [loading, setLoading] = useState(true);
@@ -69,24 +82,23 @@ const SinglePlantAnalytics = () => {
   const handleStatusUpdate = async (e) => {
     e.preventDefault();
     try {
-      const { data, error } = await supabase
-        .from('plant_status')
-        .insert([{
-          plant_id: plantId,
-          soil_ph: parseFloat(manualStatus.soil_ph),
-          moisture_level: manualStatus.moisture_level,
-          status: manualStatus.status
-        }]);
-
-      if (error) throw error;
-      
-      setPlantStatus({
+      const saved = await recordObservation(plantId, {
         ...manualStatus,
-        created_at: new Date().toISOString()
+        age_stage: plantStatus?.age_stage,
+        last_fertilized: plantStatus?.last_fertilized
       });
+
+      // An observation queued offline is added to the series locally until it syncs
+      const series = saved._sync.state === 'synced'
+        ? resolveEffectiveSeries(await fetchStatusHistory(plantId))
+        : resolveEffectiveSeries([...statusSeries, saved]);
+      const latest = series[series.length - 1] || null;
+      setStatusSeries(series);
+      setPlantStatus(latest);
       
       // Regenerate analytics with new status
-      generateAnalytics(plant, manualStatus, harvestHistory, weatherData, weatherForecast);
+      updateCharts(harvestHistory, series);
+      generateAnalytics(plant, latest, harvestHistory, weatherData, weatherForecast, series, yieldModel, dssRules);
       handleCancelEdit('status');
     } catch (error) {
       console.error('Error updating status:', error);
@@ -109,16 +121,11 @@ const SinglePlantAnalytics = () => {
         if (plantError) throw plantError;
         setPlant(plantData);
 
-        // Fetch latest status
-        const { data: statusData, error: statusError } = await supabase
-          .from('plant_status')
-          .select('*')
-          .eq('plant_id', plantId)
-          .order('created_at', { ascending: false })
-          .limit(1)
-          .single();
-
-        if (!statusError) setPlantStatus(statusData);
+        // Fetch the full status history; the latest effective entry is the current status
+        const series = resolveEffectiveSeries(await fetchStatusHistory(plantId));
+        const statusData = series[series.length - 1] || null;
+        setStatusSeries(series);
+        setPlantStatus(statusData);
 
         // Fetch harvest history
         const { data: harvestData, error: harvestError } = await supabase
@@ -135,24 +142,26 @@ const SinglePlantAnalytics = () => {
         let forecastData = null;
         
         if (plantData.farmer_detail?.farm_latitude && plantData.farmer_detail?.farm_longitude) {
-          weatherData = await fetchWeatherData(
-            plantData.farmer_detail.farm_latitude,
-            plantData.farmer_detail.farm_longitude
-          );
+          const farmWeather = await fetchFarmWeather(plantData.farmer_detail);
+          weatherData = farmWeather.recent.days > 0 ? farmWeather.recent : null;
+          forecastData = farmWeather.forecast.days > 0 ? farmWeather.forecast : null;
           setWeatherData(weatherData);
-
-          forecastData = await fetchWeatherForecast(
-            plantData.farmer_detail.farm_latitude,
-            plantData.farmer_detail.farm_longitude
-          );
           setWeatherForecast(forecastData);
+          setDailyWeather(farmWeather.daily);
         }
 
+        // The shared trained yield model; no forecast until an admin trains one
+        const modelRecord = await fetchYieldModel().catch(() => null);
+        setYieldModel(modelRecord);
+
+        const rules = await getDssRules();
+        setDssRules(rules);
+
         // Update charts
-        updateCharts(harvestData || [], statusData);
+        updateCharts(harvestData || [], series);
         
         // Generate analytics with the correct weather data
-        generateAnalytics(plantData, statusData, harvestData || [], weatherData, forecastData);
+        generateAnalytics(plantData, statusData, harvestData || [], weatherData, forecastData, series, modelRecord, rules);
 
       } catch (error) {
         console.error('Error fetching plant data:', error);
@@ -165,7 +174,7 @@ const SinglePlantAnalytics = () => {
     if (plantId) fetchPlantData();
   }, [plantId]);
 
-  const updateCharts = (harvests, status) => {
+  const updateCharts = (harvests, series) => {
     // Update yield trend chart
     if (harvests.length > 0) {
       setYieldTrendData({
@@ -179,98 +188,53 @@ const SinglePlantAnalytics = () => {
       });
     }
 
-    // Update health indicators chart if we have status history
-    // This would require adding status history tracking
+    // Update soil pH chart from the status history
+    const phSeries = series.filter(s => s.soil_ph !== null && s.soil_ph !== undefined && s.soil_ph !== '');
+    if (phSeries.length > 0) {
+      setHealthTrendData({
+        labels: phSeries.map(s => new Date(s.observed_at || s.created_at).toLocaleDateString()),
+        datasets: [{
+          label: 'Soil pH',
+          data: phSeries.map(s => parseFloat(s.soil_ph)),
+          borderColor: isDarkMode ? 'rgba(110, 231, 183, 1)' : 'rgba(16, 185, 129, 1)',
+          backgroundColor: isDarkMode ? 'rgba(110, 231, 183, 0.5)' : 'rgba(16, 185, 129, 0.5)',
+        }]
+      });
+    } else {
+      setHealthTrendData(null);
+    }
   };
 
-  const generateAnalytics = (plant, status, harvests, weather, forecast) => {
+  const generateAnalytics = (plant, status, harvests, weather, forecast, series = [], modelRecord = null, rules = []) => {
     if (!plant || !status) return;
 
-    // Calculate health score (0-100)
-    let healthScore = 100;
-    const risks = [];
-
-    // Age-based analysis
-    const plantingDate = new Date(plant.planting_date);
-    const plantAge = (new Date() - plantingDate) / (1000 * 60 * 60 * 24 * 365); // Age in years
-    
-    if (plantAge < 3) {
-      healthScore -= 10;
-      risks.push('Young plant - requires careful nurturing');
-    } else if (plantAge > 20) {
-      healthScore -= 20;
-      risks.push('Aging plant - may have reduced yield');
-    }
-
-    // Soil pH analysis
-    if (status.soil_ph) {
-      const pH = parseFloat(status.soil_ph);
-      if (pH < 5.5 || pH > 6.5) {
-        healthScore -= 15;
-        risks.push(`Suboptimal soil pH (${pH}). Optimal range is 5.5-6.5`);
-      }
-    }
-
-    // Moisture analysis
-    if (status.moisture_level === 'dry') {
-      healthScore -= 20;
-      risks.push('Low soil moisture - risk of drought stress');
-    }
-
-    // Disease/pest analysis
-    if (status.status === 'diseased') {
-      healthScore -= 25;
-      risks.push('Plant is currently diseased - requires immediate attention');
-    } else if (status.status === 'pest-affected') {
-      healthScore -= 20;
-      risks.push('Plant is affected by pests - requires treatment');
-    }
-
-    // Weather-based analysis
-    if (weather && forecast) {
-      if (forecast.temperature > 24) {
-        healthScore -= 10;
-        risks.push('High temperature forecast - risk of heat stress');
-      }
-      if (forecast.rainfall * 12 < 1500) {
-        healthScore -= 10;
-        risks.push('Low rainfall forecast - irrigation may be needed');
-      }
-    }
-
-    // Generate recommendations based on risks
-    const recs = risks.map(risk => {
-      if (risk.includes('soil pH')) {
-        return 'Apply appropriate soil amendments to adjust pH level';
-      } else if (risk.includes('moisture')) {
-        return 'Increase irrigation frequency and consider mulching';
-      } else if (risk.includes('diseased')) {
-        return 'Apply fungicide treatment and improve air circulation';
-      } else if (risk.includes('pest')) {
-        return 'Implement integrated pest management strategies';
-      } else if (risk.includes('temperature')) {
-        return 'Provide additional shade and increase irrigation';
-      } else if (risk.includes('rainfall')) {
-        return 'Set up irrigation system and apply mulch for water retention';
-      }
-      return 'Monitor plant health and maintain regular care';
-    });
-
-    // Predict next yield
-    if (harvests.length > 0) {
-      const recentHarvests = harvests.slice(-3);
-      const avgYield = recentHarvests.reduce((sum, h) => sum + h.coffee_raw_quantity, 0) / recentHarvests.length;
-      
-      // Adjust prediction based on health score and weather
-      const healthFactor = healthScore / 100;
-      const weatherFactor = weather && forecast ? 
-        (forecast.temperature > 24 || forecast.rainfall * 12 < 1500 ? 0.9 : 1.1) : 1;
-      
-      const predictedYield = avgYield * healthFactor * weatherFactor;
+    // Each plant rule that fires is a risk, its action the recommendation, and
+    // its penalty comes off a health score of 100
+    const fired = evaluateRules(rules, 'plant', plantFacts({
+      plant,
+      status,
+      series,
+      forecast: weather ? forecast : null
+    }));
+    const healthScore = Math.max(0, 100 - fired.reduce((sum, rule) => sum + rule.penalty, 0));
+    const risks = fired.map(rule => rule.issue);
+    const recs = fired.map(rule => rule.action);
+
+    // Predict the next harvest with the same trained model as the farm forecast
+    if (modelRecord) {
+      const next = predictNextHarvest(modelRecord.model, {
+        plant,
+        farm: plant.farmer_detail,
+        series,
+        harvests
+      });
       setYieldPrediction({
-        amount: predictedYield,
-        confidence: Math.min((healthScore / 100) * (harvests.length / 10), 1)
+        amount: next.amount,
+        date: next.date,
+        confidence: modelRecord.evaluation.confidence
       });
+    } else {
+      setYieldPrediction(null);
     }
 
     setHealthScore(healthScore);
@@ -485,8 +449,13 @@ const SinglePlantAnalytics = () => {
                     {yieldPrediction.amount.toFixed(2)} kg
                   </div>
                   <div className={`text-sm mt-1 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
-                    Confidence: {(yieldPrediction.confidence * 100).toFixed(0)}%
+                    Expected around {yieldPrediction.date.toLocaleDateString()} · Confidence: {(yieldPrediction.confidence * 100).toFixed(0)}%
                   </div>
+                  {yieldModel && (
+                    <div className={`text-xs mt-1 ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                      Model error on recent harvests: {yieldModel.evaluation.mae.toFixed(1)} kg (RMSE {yieldModel.evaluation.rmse.toFixed(1)} kg)
+                    </div>
+                  )}
                 </div>
                 <div className="mt-4">
                   <h4 className={`text-sm font-medium mb-2 ${isDarkMode ? 'text-indigo-300' : 'text-indigo-700'}`}>
@@ -501,7 +470,7 @@ const SinglePlantAnalytics = () => {
               </>
             ) : (
               <p className={`text-center ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
-                Not enough harvest data for prediction
+                {yieldModel ? 'Record a plant status to forecast this batch' : 'No yield model has been trained yet'}
               </p>
             )}
           </div>
@@ -554,6 +523,58 @@ const SinglePlantAnalytics = () => {
             )}
           </div>
 
+          {/* Soil pH History Chart */}
+          <div className={`p-6 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
+            <h3 className={`text-lg font-semibold mb-4 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
+              Soil pH History
+              <span className={`ml-2 text-sm font-normal ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                {statusSeries.length} observation{statusSeries.length === 1 ? '' : 's'}
+              </span>
+            </h3>
+            {healthTrendData ? (
+              <div className="h-64">
+                <Line
+                  data={healthTrendData}
+                  options={{
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                      y: {
+                        suggestedMin: 4.5,
+                        suggestedMax: 7.5,
+                        grid: {
+                          color: isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)',
+                        },
+                        ticks: {
+                          color: isDarkMode ? '#e5e7eb' : '#374151',
+                        }
+                      },
+                      x: {
+                        grid: {
+                          color: isDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)',
+                        },
+                        ticks: {
+                          color: isDarkMode ? '#e5e7eb' : '#374151',
+                        }
+                      }
+                    },
+                    plugins: {
+                      legend: {
+                        labels: {
+                          color: isDarkMode ? '#e5e7eb' : '#374151',
+                        }
+                      }
+                    }
+                  }}
+                />
+              </div>
+            ) : (
+              <p className={`text-center ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                No soil pH readings recorded
+              </p>
+            )}
+          </div>
+
           {/* Weather Data */}
           <div className={`p-6 rounded-lg shadow-lg ${isDarkMode ? 'bg-gray-800' : 'bg-white'}`}>
             <h3 className={`text-lg font-semibold mb-4 ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
@@ -582,6 +603,12 @@ const SinglePlantAnalytics = () => {
                     Location: {plant?.farmer_detail?.farm_latitude?.toFixed(4)}, {plant?.farmer_detail?.farm_longitude?.toFixed(4)}
                   </p>
                 </div>
+                <div>
+                  <p className={`text-sm font-medium mb-2 ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                    Daily Weather (last 30 days and forecast)
+                  </p>
+                  <WeatherHistoryChart daily={dailyWeather} />
+                </div>
               </div>
             ) : (
               <p className={`text-center ${isDarkMode ? 'text-gray-400' : 'text-gray-500'}`}>
@@ -4,6 +4,13 @@ import { supabase } from "../lib/supabaseClient";
 import { useTheme } from "../lib/ThemeContext";
 import Layout from '../components/Layout';
 import SearchableDropdown from '../components/SearchableDropdown';
+import { ACTIVE_WINDOW_DAYS, fetchLastActivity, getActivityStatus } from '../lib/activityLog';
+
+const activityBadges = {
+  active: { label: 'Active', dark: 'bg-green-900 text-green-200', light: 'bg-green-100 text-green-800' },
+  inactive: { label: 'Inactive', dark: 'bg-yellow-900 text-yellow-200', light: 'bg-yellow-100 text-yellow-800' },
+  never: { label: 'No activity', dark: 'bg-gray-600 text-gray-200', light: 'bg-gray-200 text-gray-700' }
+};
 
 const UserManagement = () => {
   const navigate = useNavigate();
@@ -17,6 +24,7 @@ const UserManagement = () => {
   const [searchQuery, setSearchQuery] = useState(""); // New state for search query
   const [loading, setLoading] = useState(false);
   const [searchSuggestions, setSearchSuggestions] = useState([]);
+  const [lastActivity, setLastActivity] = useState({}); // user id -> latest activity log entry
 
   const [formData, setFormData] = useState({
     first_name: "",
@@ -58,8 +66,16 @@ const UserManagement = () => {
       );
       setSearchSuggestions([...new Set(suggestions)]);
     }
+
+    try {
+      setLastActivity(await fetchLastActivity());
+    } catch (activityError) {
+      console.error("Error fetching farmer activity:", activityError.message);
+    }
   }, []);
 
+  const activityStatusOf = (userId) => getActivityStatus(lastActivity[userId]?.lastActivityAt);
+
   useEffect(() => {
     const fetchUserDataAndUsers = async () => {
       const { data: { user: authUser } } = await supabase.auth.getUser();
@@ -310,7 +326,10 @@ const UserManagement = () => {
               <div className="ml-4">
                 <p className={`text-sm font-medium ${isDarkMode ? 'text-gray-400' : 'text-gray-600'}`}>Active Farmers</p>
                 <p className={`text-2xl font-semibold ${isDarkMode ? 'text-white' : 'text-gray-900'}`}>
-                  {allUsers.filter(u => u.role === 'farmer').length}
+                  {allUsers.filter(u => u.role === 'farmer' && activityStatusOf(u.id) === 'active').length}
+                </p>
+                <p className={`text-xs ${isDarkMode ? 'text-gray-500' : 'text-gray-400'}`}>
+                  Last {ACTIVE_WINDOW_DAYS} days
                 </p>
               </div>
             </div>
@@ -382,11 +401,15 @@ const UserManagement = () => {
                     </div>
 
                     <div className="flex items-center space-x-3">
-                      <span className={`px-3 py-1 rounded-full text-xs font-medium
-                        ${isDarkMode 
-                          ? 'bg-green-900 text-green-200' 
-                          : 'bg-green-100 text-green-800'}`}>
-                        Active
+                      <span
+                        title={lastActivity[user.id]
+                          ? `Last active ${new Date(lastActivity[user.id].lastActivityAt).toLocaleString()}`
+                          : 'No logged activity'}
+                        className={`px-3 py-1 rounded-full text-xs font-medium
+                        ${isDarkMode
+                          ? activityBadges[activityStatusOf(user.id)].dark
+                          : activityBadges[activityStatusOf(user.id)].light}`}>
+                        {activityBadges[activityStatusOf(user.id)].label}
                       </span>
                       <span className={`px-3 py-1 rounded-full text-xs font-medium
                         ${isDarkMode 
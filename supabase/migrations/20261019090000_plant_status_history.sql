@@ -0,0 +1,36 @@
+-- plant_status becomes an append-only log: every observation is kept, and a
+-- correction is a new row pointing at the row it replaces.
+
+alter table public.plant_status
+  add column if not exists status_id uuid not null default gen_random_uuid(),
+  add column if not exists observed_at date,
+  add column if not exists supersedes_id uuid,
+  add column if not exists correction_note text,
+  add column if not exists recorded_by uuid references auth.users (id);
+
+create unique index if not exists plant_status_status_id_key
+  on public.plant_status (status_id);
+
+do $$
+begin
+  if not exists (select 1 from pg_constraint where conname = 'plant_status_supersedes_id_fkey') then
+    alter table public.plant_status
+      add constraint plant_status_supersedes_id_fkey
+      foreign key (supersedes_id) references public.plant_status (status_id);
+  end if;
+end $$;
+
+-- Existing rows were observed on the day they were saved.
+update public.plant_status
+  set observed_at = created_at::date
+  where observed_at is null;
+
+alter table public.plant_status
+  alter column observed_at set default current_date,
+  alter column observed_at set not null;
+
+create index if not exists plant_status_plant_observed_idx
+  on public.plant_status (plant_id, observed_at desc, created_at desc);
+
+-- Rows are never edited or removed from the client; corrections are inserts.
+revoke update, delete on public.plant_status from anon, authenticated;
@@ -0,0 +1,54 @@
+-- Farm ledger: what a farmer spends on inputs and labor and what they earn
+-- from coffee sales. Entries can point at the plant batch or harvest they
+-- belong to so costs can later be traced to a lot.
+
+create table if not exists public.farm_expenses (
+  expense_id uuid primary key default gen_random_uuid(),
+  farmer_id uuid not null references public.farmer_detail (id) on delete cascade,
+  plant_id uuid references public.plant_data (plant_id) on delete set null,
+  harvest_id uuid references public.harvest_data (harvest_id) on delete set null,
+  category text not null check (category in ('fertilizer', 'pesticide', 'labor', 'equipment', 'processing')),
+  expense_date date not null default current_date,
+  description text,
+  quantity numeric not null check (quantity >= 0),
+  unit text,
+  unit_cost numeric not null check (unit_cost >= 0),
+  amount numeric not null check (amount >= 0),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists farm_expenses_farmer_date_idx
+  on public.farm_expenses (farmer_id, expense_date desc);
+
+create table if not exists public.coffee_sales (
+  sale_id uuid primary key default gen_random_uuid(),
+  farmer_id uuid not null references public.farmer_detail (id) on delete cascade,
+  plant_id uuid references public.plant_data (plant_id) on delete set null,
+  harvest_id uuid references public.harvest_data (harvest_id) on delete set null,
+  sale_date date not null default current_date,
+  grade text not null check (grade in ('premium', 'fine', 'commercial')),
+  quantity_kg numeric not null check (quantity_kg > 0),
+  price_per_kg numeric not null check (price_per_kg >= 0),
+  amount numeric not null check (amount >= 0),
+  buyer text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists coffee_sales_farmer_date_idx
+  on public.coffee_sales (farmer_id, sale_date desc);
+
+alter table public.farm_expenses enable row level security;
+alter table public.coffee_sales enable row level security;
+
+-- Farmers keep their own books; admins can read everyone's for reporting.
+create policy "Farmers manage their expenses" on public.farm_expenses
+  for all using (farmer_id = auth.uid()) with check (farmer_id = auth.uid());
+
+create policy "Admins read expenses" on public.farm_expenses
+  for select using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
+
+create policy "Farmers manage their sales" on public.coffee_sales
+  for all using (farmer_id = auth.uid()) with check (farmer_id = auth.uid());
+
+create policy "Admins read sales" on public.coffee_sales
+  for select using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
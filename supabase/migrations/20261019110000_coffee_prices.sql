@@ -0,0 +1,22 @@
+-- Price table used by the revenue forecast: one price per grade and calendar
+-- month, in pesos per kg of dry coffee. Maintained by admins.
+
+create table if not exists public.coffee_prices (
+  price_id uuid primary key default gen_random_uuid(),
+  grade text not null check (grade in ('premium', 'fine', 'commercial')),
+  month smallint not null check (month between 1 and 12),
+  price_per_kg numeric not null check (price_per_kg >= 0),
+  updated_by uuid references auth.users (id),
+  updated_at timestamptz not null default now(),
+  unique (grade, month)
+);
+
+alter table public.coffee_prices enable row level security;
+
+create policy "Signed-in users read prices" on public.coffee_prices
+  for select using (auth.role() = 'authenticated');
+
+create policy "Admins maintain prices" on public.coffee_prices
+  for all
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'))
+  with check (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
@@ -0,0 +1,23 @@
+-- Coffee grades in harvest_data are kilograms of dry coffee that add up to
+-- coffee_dry_quantity (see src/lib/harvestMetrics.js). Rows whose grades were
+-- entered as percentages of the dry weight are converted to kilograms here.
+
+update public.harvest_data
+set
+  coffee_premium_grade = round((coffee_dry_quantity * coffee_premium_grade / 100)::numeric, 2),
+  coffee_fine_grade = round((coffee_dry_quantity * coffee_fine_grade / 100)::numeric, 2),
+  coffee_commercial_grade = round((coffee_dry_quantity * coffee_commercial_grade / 100)::numeric, 2)
+where coffee_dry_quantity > 0
+  and abs(coalesce(coffee_premium_grade, 0) + coalesce(coffee_fine_grade, 0) + coalesce(coffee_commercial_grade, 0) - 100) <= 0.5
+  and abs(coalesce(coffee_premium_grade, 0) + coalesce(coffee_fine_grade, 0) + coalesce(coffee_commercial_grade, 0) - coffee_dry_quantity) > 0.05;
+
+-- New and edited rows must keep grades in kilograms. Not validated against
+-- existing rows, so any that neither matched above nor add up stay readable
+-- until someone corrects them.
+alter table public.harvest_data
+  add constraint harvest_grades_match_dry_quantity check (
+    coffee_premium_grade >= 0
+    and coffee_fine_grade >= 0
+    and coffee_commercial_grade >= 0
+    and abs(coffee_premium_grade + coffee_fine_grade + coffee_commercial_grade - coffee_dry_quantity) <= 0.05
+  ) not valid;
@@ -0,0 +1,92 @@
+-- Activity log: sessions reported by the app plus every create/update/delete on
+-- farm data, captured by triggers so offline replays and direct edits are
+-- included. farmer_id is the user whose data or session the entry is about;
+-- actor_id is who made the change (an admin may edit a farmer's records).
+
+create table if not exists public.activity_log (
+  log_id uuid primary key default gen_random_uuid(),
+  actor_id uuid references auth.users (id) on delete set null,
+  farmer_id uuid,
+  action text not null check (action in ('login', 'logout', 'insert', 'update', 'delete')),
+  entity text not null check (entity in ('session', 'farmer_detail', 'plant_data', 'harvest_data', 'plant_status')),
+  entity_id text,
+  before_values jsonb,
+  after_values jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists activity_log_farmer_idx on public.activity_log (farmer_id, created_at desc);
+create index if not exists activity_log_entity_idx on public.activity_log (entity, created_at desc);
+
+alter table public.activity_log enable row level security;
+
+create policy "Admins read the activity log" on public.activity_log
+  for select using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
+
+-- Data changes are written by the trigger below; the app only reports sessions
+create policy "Users record their own sessions" on public.activity_log
+  for insert with check (
+    entity = 'session'
+    and action in ('login', 'logout')
+    and actor_id = auth.uid()
+    and farmer_id = auth.uid()
+  );
+
+-- tg_argv[0] names the table's primary key column
+create or replace function public.log_farm_activity()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  before_row jsonb := case when tg_op in ('UPDATE', 'DELETE') then to_jsonb(old) end;
+  after_row jsonb := case when tg_op in ('INSERT', 'UPDATE') then to_jsonb(new) end;
+  row_data jsonb := coalesce(after_row, before_row);
+  subject uuid;
+begin
+  if tg_op = 'UPDATE' and before_row = after_row then
+    return new;
+  end if;
+
+  subject := case tg_table_name
+    when 'farmer_detail' then (row_data ->> 'id')::uuid
+    when 'plant_status' then (
+      select p.farmer_id from public.plant_data p where p.plant_id::text = row_data ->> 'plant_id'
+    )
+    else (row_data ->> 'farmer_id')::uuid
+  end;
+
+  insert into public.activity_log (actor_id, farmer_id, action, entity, entity_id, before_values, after_values)
+  values (auth.uid(), subject, lower(tg_op), tg_table_name, row_data ->> tg_argv[0], before_row, after_row);
+
+  return coalesce(new, old);
+end;
+$$;
+
+create trigger farmer_detail_activity
+  after insert or update or delete on public.farmer_detail
+  for each row execute function public.log_farm_activity('id');
+
+create trigger plant_data_activity
+  after insert or update or delete on public.plant_data
+  for each row execute function public.log_farm_activity('plant_id');
+
+create trigger harvest_data_activity
+  after insert or update or delete on public.harvest_data
+  for each row execute function public.log_farm_activity('harvest_id');
+
+create trigger plant_status_activity
+  after insert or update or delete on public.plant_status
+  for each row execute function public.log_farm_activity('status_id');
+
+-- Latest entry per user, for activity status on the admin screens
+create or replace view public.farmer_last_activity
+with (security_invoker = true) as
+select
+  farmer_id,
+  max(created_at) as last_activity_at,
+  max(created_at) filter (where action = 'login') as last_login_at
+from public.activity_log
+where farmer_id is not null
+group by farmer_id;
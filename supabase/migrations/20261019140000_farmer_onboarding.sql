@@ -0,0 +1,18 @@
+-- Farmer onboarding: set once a farmer has declared their farm, added plants
+-- and recorded a first plant status. Until then they are routed to setup.
+
+alter table public.users
+  add column if not exists onboarding_completed_at timestamptz;
+
+-- Farmers who already have everything in place skip the wizard
+update public.users u
+set onboarding_completed_at = now()
+where u.role = 'farmer'
+  and u.onboarding_completed_at is null
+  and exists (select 1 from public.farmer_detail f where f.id = u.id)
+  and exists (
+    select 1
+    from public.plant_data p
+    join public.plant_status s on s.plant_id = p.plant_id
+    where p.farmer_id = u.id
+  );
@@ -0,0 +1,68 @@
+-- Fertilizer applications actually carried out on a plant batch. The planner
+-- compares them with its calendar, and each one also moves last_fertilized
+-- forward on the batch's plant status.
+
+create table if not exists public.fertilizer_applications (
+  application_id uuid primary key default gen_random_uuid(),
+  farmer_id uuid not null references public.farmer_detail (id) on delete cascade,
+  plant_id uuid not null references public.plant_data (plant_id) on delete cascade,
+  applied_on date not null default current_date,
+  product text not null check (product in ('complete', 'urea', 'ammonium_sulfate', 'muriate_of_potash', 'lime', 'organic')),
+  grams_per_tree numeric not null check (grams_per_tree > 0),
+  trees_covered integer not null check (trees_covered > 0),
+  split_key text,
+  notes text,
+  recorded_by uuid references auth.users (id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists fertilizer_applications_plant_idx
+  on public.fertilizer_applications (plant_id, applied_on desc);
+
+create index if not exists fertilizer_applications_farmer_idx
+  on public.fertilizer_applications (farmer_id, applied_on desc);
+
+alter table public.fertilizer_applications enable row level security;
+
+create policy "Farmers manage their applications" on public.fertilizer_applications
+  for all using (farmer_id = auth.uid()) with check (farmer_id = auth.uid());
+
+create policy "Admins read applications" on public.fertilizer_applications
+  for select using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
+
+-- Sets last_fertilized on the batch's observations from the day of the
+-- application on, and on its current observation, rather than adding an
+-- observation nobody made. Lime corrects the soil and does not count. Runs as
+-- its owner, since plant_status rows cannot be updated from the client.
+create or replace function public.fertilizer_applications_set_last_fertilized()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.product = 'lime'
+     or not exists (select 1 from plant_data where plant_id = new.plant_id and farmer_id = new.farmer_id) then
+    return null;
+  end if;
+
+  update plant_status s
+  set last_fertilized = new.applied_on
+  where s.plant_id = new.plant_id
+    and (s.last_fertilized is null or s.last_fertilized < new.applied_on)
+    and (s.observed_at >= new.applied_on
+         or s.status_id = (
+           select c.status_id
+           from plant_status c
+           where c.plant_id = new.plant_id
+             and not exists (select 1 from plant_status n where n.supersedes_id = c.status_id)
+           order by c.observed_at desc, c.created_at desc
+           limit 1
+         ));
+  return null;
+end;
+$$;
+
+create trigger fertilizer_applications_set_last_fertilized
+  after insert or update of plant_id, applied_on, product on public.fertilizer_applications
+  for each row execute function public.fertilizer_applications_set_last_fertilized();
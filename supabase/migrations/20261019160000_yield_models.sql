@@ -0,0 +1,26 @@
+-- Trained yield models. Admins train on every farm's harvests from the
+-- analytics page; the newest row is the model all yield forecasts use.
+-- parameters holds the fitted weights and feature scaling, evaluation the
+-- holdout report and feature_importance the permutation importance per input.
+
+create table if not exists public.yield_models (
+  model_id uuid primary key default gen_random_uuid(),
+  algorithm text not null default 'ridge',
+  features jsonb not null,
+  parameters jsonb not null,
+  evaluation jsonb not null,
+  feature_importance jsonb not null,
+  training_rows integer not null check (training_rows > 0),
+  trained_by uuid references auth.users (id),
+  trained_at timestamptz not null default now()
+);
+
+create index if not exists yield_models_trained_idx on public.yield_models (trained_at desc);
+
+alter table public.yield_models enable row level security;
+
+create policy "Signed-in users read yield models" on public.yield_models
+  for select using (auth.role() = 'authenticated');
+
+create policy "Admins train yield models" on public.yield_models
+  for insert with check (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
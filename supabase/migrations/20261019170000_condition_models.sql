@@ -0,0 +1,52 @@
+-- Ripeness and pest-incidence predictors trained by admins on coffee_data.
+-- Every training run is kept as a new version per kind; at most one version of
+-- each kind is active, and that is the one farmers' forecasts use.
+
+create table if not exists public.condition_models (
+  model_id uuid primary key default gen_random_uuid(),
+  kind text not null check (kind in ('ripeness', 'pest_incidence')),
+  version integer not null check (version > 0),
+  is_active boolean not null default false,
+  parameters jsonb not null,
+  evaluation jsonb not null,
+  training_rows integer not null check (training_rows > 0),
+  trained_by uuid references auth.users (id),
+  trained_at timestamptz not null default now(),
+  activated_at timestamptz,
+  unique (kind, version)
+);
+
+create unique index if not exists condition_models_active_idx
+  on public.condition_models (kind) where is_active;
+
+alter table public.condition_models enable row level security;
+
+create policy "Signed-in users read condition models" on public.condition_models
+  for select using (auth.role() = 'authenticated');
+
+create policy "Admins train condition models" on public.condition_models
+  for insert with check (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
+
+-- Switches the active version of a kind in one transaction. The old version is
+-- cleared first because the partial unique index is checked row by row.
+create or replace function public.activate_condition_model(target uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin') then
+    raise exception 'Only admins can activate models';
+  end if;
+
+  update public.condition_models
+  set is_active = false
+  where is_active
+    and kind = (select kind from public.condition_models where model_id = target);
+
+  update public.condition_models
+  set is_active = true, activated_at = now()
+  where model_id = target;
+end;
+$$;
@@ -0,0 +1,23 @@
+-- Farm geolocation: the farm pin used for weather, an optional boundary traced
+-- on the map (which sets farm_size) and where the pin came from.
+
+alter table public.farmer_detail
+  add column if not exists farm_latitude double precision,
+  add column if not exists farm_longitude double precision,
+  add column if not exists farm_boundary jsonb,
+  add column if not exists location_source text;
+
+alter table public.farmer_detail
+  drop constraint if exists farmer_detail_location_source_check;
+
+alter table public.farmer_detail
+  add constraint farmer_detail_location_source_check
+  check (location_source is null or location_source in ('pin', 'gps', 'boundary', 'gazetteer'));
+
+-- [[latitude, longitude], ...] with at least three corners
+alter table public.farmer_detail
+  drop constraint if exists farmer_detail_farm_boundary_check;
+
+alter table public.farmer_detail
+  add constraint farmer_detail_farm_boundary_check
+  check (farm_boundary is null or (jsonb_typeof(farm_boundary) = 'array' and jsonb_array_length(farm_boundary) >= 3));
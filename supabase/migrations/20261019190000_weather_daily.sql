@@ -0,0 +1,31 @@
+-- Daily weather per farm, filled in from the weather provider the first time a
+-- day is needed. Forecast days are overwritten once they have been observed.
+
+create table if not exists public.weather_daily (
+  farmer_id uuid not null references public.farmer_detail (id) on delete cascade,
+  date date not null,
+  temperature_mean double precision,
+  temperature_min double precision,
+  temperature_max double precision,
+  rainfall double precision,
+  humidity double precision,
+  wind_speed_max double precision,
+  evapotranspiration double precision,
+  is_forecast boolean not null default false,
+  latitude double precision not null,
+  longitude double precision not null,
+  provider text not null,
+  fetched_at timestamptz not null default now(),
+  primary key (farmer_id, date)
+);
+
+alter table public.weather_daily enable row level security;
+
+create policy "Farmers manage their weather history" on public.weather_daily
+  for all using (farmer_id = auth.uid()) with check (farmer_id = auth.uid());
+
+-- Admins open farmers' analytics, which backfill the same history
+create policy "Admins manage weather history" on public.weather_daily
+  for all
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'))
+  with check (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
@@ -0,0 +1,61 @@
+-- Weather-triggered intervention alerts. alert_rules holds the thresholds each
+-- rule checks a farm's forecast against, editable by admins; weather_alerts
+-- keeps every alert raised for a farm so acknowledging or snoozing one sticks
+-- when the rules run again.
+
+create table if not exists public.alert_rules (
+  rule_key text primary key,
+  enabled boolean not null default true,
+  thresholds jsonb not null default '{}'::jsonb check (jsonb_typeof(thresholds) = 'object'),
+  updated_by uuid references auth.users (id),
+  updated_at timestamptz not null default now()
+);
+
+insert into public.alert_rules (rule_key, thresholds) values
+  ('heavy_rain_fertilizer', '{"rain_mm": 25, "lookahead_days": 3}'),
+  ('heat_stress', '{"arabica_max_c": 30, "robusta_max_c": 35, "min_days": 2}'),
+  ('drought_streak', '{"dry_day_mm": 1, "min_days": 14}'),
+  ('rust_humid_spell', '{"min_humidity": 85, "min_temp_c": 18, "max_temp_c": 28, "min_days": 3}')
+on conflict (rule_key) do nothing;
+
+alter table public.alert_rules enable row level security;
+
+create policy "Signed-in users read alert rules" on public.alert_rules
+  for select using (auth.role() = 'authenticated');
+
+create policy "Admins maintain alert rules" on public.alert_rules
+  for all
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'))
+  with check (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
+
+create table if not exists public.weather_alerts (
+  alert_id uuid primary key default gen_random_uuid(),
+  farmer_id uuid not null references public.farmer_detail (id) on delete cascade,
+  -- Rule plus the first day of the spell, so the same spell is raised once
+  alert_key text not null,
+  rule_key text not null,
+  severity text not null check (severity in ('warning', 'critical')),
+  title text not null,
+  message text not null,
+  plant_ids uuid[] not null default '{}',
+  starts_on date not null,
+  ends_on date not null,
+  acknowledged_at timestamptz,
+  snoozed_until timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (farmer_id, alert_key),
+  check (ends_on >= starts_on)
+);
+
+create index if not exists weather_alerts_farmer_ends_idx
+  on public.weather_alerts (farmer_id, ends_on desc);
+
+alter table public.weather_alerts enable row level security;
+
+create policy "Farmers manage their own alerts" on public.weather_alerts
+  for all using (farmer_id = auth.uid()) with check (farmer_id = auth.uid());
+
+create policy "Admins read all alerts" on public.weather_alerts
+  for select
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
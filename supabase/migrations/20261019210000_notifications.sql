@@ -0,0 +1,136 @@
+-- In-app notifications and the weekly email digest. notifications is each
+-- user's inbox; dedupe_key lets a producer raise the same event once however
+-- often it runs. notification_preferences holds the kinds a user has muted,
+-- whether they want the digest and when the last one went out.
+
+create table if not exists public.notifications (
+  notification_id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  kind text not null check (kind in ('review', 'harvest_due', 'recommendation')),
+  title text not null,
+  body text not null default '',
+  link text,
+  data jsonb not null default '{}'::jsonb,
+  dedupe_key text,
+  read_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (user_id, dedupe_key)
+);
+
+create index if not exists notifications_user_created_idx
+  on public.notifications (user_id, created_at desc);
+
+alter table public.notifications enable row level security;
+
+create policy "Users read their own notifications" on public.notifications
+  for select using (user_id = auth.uid());
+
+-- Farmers raise reminders for themselves; admins notify anyone
+create policy "Users notify themselves" on public.notifications
+  for insert with check (user_id = auth.uid());
+
+create policy "Users mark their own notifications" on public.notifications
+  for update using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+create policy "Users delete their own notifications" on public.notifications
+  for delete using (user_id = auth.uid());
+
+create policy "Admins read and send notifications" on public.notifications
+  for all
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'))
+  with check (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
+
+create table if not exists public.notification_preferences (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  muted_kinds text[] not null default '{}',
+  email_digest boolean not null default true,
+  last_digest_at timestamptz,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.notification_preferences enable row level security;
+
+create policy "Users manage their own preferences" on public.notification_preferences
+  for all using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+-- Admins send the digest, so they read everyone's settings and stamp last_digest_at
+create policy "Admins manage preferences" on public.notification_preferences
+  for all
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'))
+  with check (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
+
+-- Muted kinds are dropped here, so every producer respects them
+create or replace function public.skip_muted_notification()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if exists (
+    select 1 from public.notification_preferences p
+    where p.user_id = new.user_id and new.kind = any (p.muted_kinds)
+  ) then
+    return null;
+  end if;
+  return new;
+end;
+$$;
+
+create trigger notifications_skip_muted
+  before insert on public.notifications
+  for each row execute function public.skip_muted_notification();
+
+-- An admin changing a farmer's records counts as a review. One notification
+-- per record and day, however many fields the admin touches.
+create or replace function public.notify_admin_review()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  labels constant jsonb := '{
+    "farmer_detail": "farm details",
+    "plant_data": "plant declaration",
+    "harvest_data": "harvest record",
+    "plant_status": "plant status"
+  }';
+  link text;
+begin
+  if new.entity = 'session'
+    or new.farmer_id is null
+    or new.actor_id is null
+    or new.actor_id = new.farmer_id
+    or not exists (select 1 from public.users u where u.id = new.actor_id and u.role = 'admin') then
+    return new;
+  end if;
+
+  link := case new.entity
+    when 'farmer_detail' then '/land-declaration'
+    when 'plant_data' then '/land-declaration'
+    when 'harvest_data' then '/harvest-reporting'
+    else '/farmer-dashboard'
+  end;
+
+  insert into public.notifications (user_id, kind, title, body, link, data, dedupe_key)
+  values (
+    new.farmer_id,
+    'review',
+    'An admin reviewed your ' || (labels ->> new.entity),
+    'Your ' || (labels ->> new.entity) || ' was ' ||
+      case new.action when 'insert' then 'added' when 'delete' then 'removed' else 'updated' end ||
+      ' by an administrator. Check that it still matches your records.',
+    link,
+    jsonb_build_object('entity', new.entity, 'entity_id', new.entity_id, 'action', new.action),
+    'review:' || new.entity || ':' || coalesce(new.entity_id, '') || ':' || to_char(new.created_at, 'YYYY-MM-DD')
+  )
+  on conflict (user_id, dedupe_key) do nothing;
+
+  return new;
+end;
+$$;
+
+create trigger activity_log_notify_review
+  after insert on public.activity_log
+  for each row execute function public.notify_admin_review();
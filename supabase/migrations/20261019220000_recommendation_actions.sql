@@ -0,0 +1,120 @@
+-- Action items: DSS recommendations an admin has assigned to a farmer, with a
+-- due date and notes. The farmer moves them along and adds notes; the metric
+-- the recommendation targets is measured against baseline_value, the value
+-- when it was assigned.
+
+create table if not exists public.recommendation_actions (
+  action_id uuid primary key default gen_random_uuid(),
+  farmer_id uuid not null references auth.users (id) on delete cascade,
+  assigned_by uuid references auth.users (id) on delete set null,
+  priority text not null check (priority in ('critical', 'high', 'medium', 'low')),
+  category text not null,
+  issue text not null,
+  action text not null,
+  impact text,
+  metric text check (metric in ('yield_per_tree', 'premium_percentage', 'tree_density', 'harvests_per_season')),
+  baseline_value numeric,
+  assigned_on date not null default current_date,
+  due_date date,
+  admin_notes text,
+  farmer_notes text,
+  status text not null default 'assigned' check (status in ('assigned', 'in_progress', 'done', 'dismissed')),
+  completed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (due_date is null or due_date >= assigned_on)
+);
+
+create index if not exists recommendation_actions_farmer_idx
+  on public.recommendation_actions (farmer_id, status, due_date);
+
+alter table public.recommendation_actions enable row level security;
+
+create policy "Admins manage action items" on public.recommendation_actions
+  for all
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'))
+  with check (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
+
+create policy "Farmers read their action items" on public.recommendation_actions
+  for select using (farmer_id = auth.uid());
+
+create policy "Farmers update their action items" on public.recommendation_actions
+  for update using (farmer_id = auth.uid()) with check (farmer_id = auth.uid());
+
+-- Farmers may only move the status along and write their own notes; only an
+-- admin dismisses an item. completed_at follows the status either way.
+create or replace function public.guard_recommendation_action()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if not exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin') then
+    new.farmer_id := old.farmer_id;
+    new.assigned_by := old.assigned_by;
+    new.priority := old.priority;
+    new.category := old.category;
+    new.issue := old.issue;
+    new.action := old.action;
+    new.impact := old.impact;
+    new.metric := old.metric;
+    new.baseline_value := old.baseline_value;
+    new.assigned_on := old.assigned_on;
+    new.due_date := old.due_date;
+    new.admin_notes := old.admin_notes;
+    new.created_at := old.created_at;
+    if new.status = 'dismissed' or old.status = 'dismissed' then
+      new.status := old.status;
+    end if;
+  end if;
+
+  if new.status = 'done' and old.status <> 'done' then
+    new.completed_at := now();
+  elsif new.status <> 'done' then
+    new.completed_at := null;
+  end if;
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+create trigger recommendation_actions_guard
+  before update on public.recommendation_actions
+  for each row execute function public.guard_recommendation_action();
+
+-- Action items get their own notification kind
+alter table public.notifications drop constraint if exists notifications_kind_check;
+alter table public.notifications add constraint notifications_kind_check
+  check (kind in ('review', 'harvest_due', 'recommendation', 'action'));
+
+-- The admin who assigned an item hears when the farmer finishes it
+create or replace function public.notify_action_done()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.status = 'done' and old.status <> 'done' and new.assigned_by is not null then
+    insert into public.notifications (user_id, kind, title, body, link, data, dedupe_key)
+    select
+      new.assigned_by,
+      'action',
+      u.first_name || ' ' || u.last_name || ' finished an action item',
+      new.action || ' (' || new.issue || ').' ||
+        case when new.farmer_notes is not null and new.farmer_notes <> '' then ' Notes: ' || new.farmer_notes else '' end,
+      '/farmer-recommendations',
+      jsonb_build_object('action_id', new.action_id, 'farmer_id', new.farmer_id),
+      'action_done:' || new.action_id
+    from public.users u
+    where u.id = new.farmer_id
+    on conflict (user_id, dedupe_key) do nothing;
+  end if;
+  return new;
+end;
+$$;
+
+create trigger recommendation_actions_notify_done
+  after update on public.recommendation_actions
+  for each row execute function public.notify_action_done();
@@ -0,0 +1,149 @@
+-- DSS rules: the thresholds behind the farm, plant and growing-condition
+-- recommendations, so agronomists can tune the advice without a code change.
+-- conditions is a list of {field, op, value} or {field, op, min, max} tests
+-- that must all hold; the app validates fields and operators per scope.
+
+create table if not exists public.dss_rules (
+  rule_id uuid primary key default gen_random_uuid(),
+  rule_key text not null unique check (rule_key ~ '^[a-z][a-z0-9_]*$'),
+  scope text not null check (scope in ('farm', 'plant', 'conditions')),
+  enabled boolean not null default true,
+  severity text not null check (severity in ('critical', 'high', 'medium', 'low')),
+  category text not null,
+  conditions jsonb not null check (jsonb_typeof(conditions) = 'array' and jsonb_array_length(conditions) > 0),
+  issue text not null,
+  action text not null,
+  impact text,
+  -- Action item metric for farm rules; see recommendation_actions.metric
+  metric text check (metric in ('yield_per_tree', 'premium_percentage', 'tree_density', 'harvests_per_season')),
+  -- Health score points (plant) or risk score points (conditions) the rule is worth
+  penalty numeric not null default 0 check (penalty between 0 and 100),
+  position integer not null default 0,
+  updated_by uuid references auth.users (id) on delete set null,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists dss_rules_scope_idx on public.dss_rules (scope, position);
+
+insert into public.dss_rules (rule_key, scope, severity, category, conditions, issue, action, impact, metric, penalty, position) values
+  ('low_yield_per_tree', 'farm', 'critical', 'Yield',
+   '[{"field":"yieldPerTree","op":"lt","value":2}]',
+   'Low yield per tree',
+   'Implement proper fertilization and pruning techniques',
+   'Potential 20-30% yield increase', 'yield_per_tree', 0, 1),
+  ('low_premium_share', 'farm', 'high', 'Quality',
+   '[{"field":"premiumPercentage","op":"lt","value":30}]',
+   'Low premium grade percentage',
+   'Improve cherry selection and processing methods',
+   'Increase premium grade ratio by 15-20%', 'premium_percentage', 0, 2),
+  ('low_tree_density', 'farm', 'medium', 'Farm Utilization',
+   '[{"field":"treeDensity","op":"lt","value":1000}]',
+   'Low tree density',
+   'Consider planting more trees in available space',
+   'Optimize land usage and increase total yield', 'tree_density', 0, 3),
+  ('low_harvest_frequency', 'farm', 'high', 'Harvest Management',
+   '[{"field":"harvestCount","op":"lt","value":2},{"field":"totalDryYield","op":"gt","value":0}]',
+   'Low harvest frequency',
+   'Implement regular harvest schedules',
+   'Better yield distribution and quality control', 'harvests_per_season', 0, 4),
+  ('low_elevation', 'farm', 'medium', 'Environment',
+   '[{"field":"elevation","op":"lt","value":1000}]',
+   'Low elevation farming',
+   'Implement shade management techniques',
+   'Improve coffee quality and plant health', 'premium_percentage', 0, 5),
+  ('young_plant', 'plant', 'low', 'Age',
+   '[{"field":"ageYears","op":"lt","value":3}]',
+   'Young plant - requires careful nurturing',
+   'Monitor plant health and maintain regular care',
+   null, null, 10, 6),
+  ('aging_plant', 'plant', 'medium', 'Age',
+   '[{"field":"ageYears","op":"gt","value":20}]',
+   'Aging plant - may have reduced yield',
+   'Consider stumping or replacing the plant to restore yield',
+   null, null, 20, 7),
+  ('soil_ph_acidic', 'plant', 'medium', 'Soil',
+   '[{"field":"soilPh","op":"lt","value":5.5}]',
+   'Soil pH is too acidic ({{soilPh}}). Optimal range is 5.5-6.5',
+   'Apply agricultural lime to raise soil pH',
+   null, null, 15, 8),
+  ('soil_ph_alkaline', 'plant', 'medium', 'Soil',
+   '[{"field":"soilPh","op":"gt","value":6.5}]',
+   'Soil pH is too alkaline ({{soilPh}}). Optimal range is 5.5-6.5',
+   'Apply sulfur or ammonium-based fertilizers to lower soil pH',
+   null, null, 15, 9),
+  ('soil_acidifying', 'plant', 'medium', 'Soil',
+   '[{"field":"phTrend","op":"is","value":"decreasing"}]',
+   'Soil pH is falling ({{phTrendPerMonth}} per month over {{phTrendPoints}} readings) - soil is acidifying',
+   'Schedule liming and reduce ammonium-based fertilizers to halt soil acidification',
+   null, null, 5, 10),
+  ('dry_soil', 'plant', 'high', 'Water',
+   '[{"field":"moistureLevel","op":"is","value":"dry"}]',
+   'Low soil moisture - risk of drought stress',
+   'Increase irrigation frequency and consider mulching',
+   null, null, 20, 11),
+  ('diseased_plant', 'plant', 'critical', 'Health',
+   '[{"field":"status","op":"is","value":"diseased"}]',
+   'Plant is currently diseased - requires immediate attention',
+   'Apply fungicide treatment and improve air circulation',
+   null, null, 25, 12),
+  ('pest_affected_plant', 'plant', 'high', 'Health',
+   '[{"field":"status","op":"is","value":"pest-affected"}]',
+   'Plant is affected by pests - requires treatment',
+   'Implement integrated pest management strategies',
+   null, null, 20, 13),
+  ('heat_forecast', 'plant', 'medium', 'Weather',
+   '[{"field":"forecastTemperature","op":"gt","value":24}]',
+   'High temperature forecast - risk of heat stress',
+   'Provide additional shade and increase irrigation',
+   null, null, 10, 14),
+  ('dry_forecast', 'plant', 'medium', 'Weather',
+   '[{"field":"forecastRainfall","op":"lt","value":125}]',
+   'Low rainfall forecast - irrigation may be needed',
+   'Set up irrigation system and apply mulch for water retention',
+   null, null, 10, 15),
+  ('cold_conditions', 'conditions', 'high', 'Temperature',
+   '[{"field":"temperature","op":"lt","value":20}]',
+   'Temperature is too low',
+   'Consider increasing greenhouse temperature.',
+   null, null, 25, 16),
+  ('hot_conditions', 'conditions', 'high', 'Temperature',
+   '[{"field":"temperature","op":"gt","value":28}]',
+   'Temperature is too high',
+   'Consider cooling measures.',
+   null, null, 25, 17),
+  ('dry_air', 'conditions', 'medium', 'Humidity',
+   '[{"field":"humidity","op":"lt","value":60}]',
+   'Humidity is low',
+   'Consider increasing misting frequency.',
+   null, null, 25, 18),
+  ('humid_air', 'conditions', 'high', 'Humidity',
+   '[{"field":"humidity","op":"gt","value":80}]',
+   'Humidity is too high',
+   'Improve ventilation.',
+   null, null, 25, 19),
+  ('acidic_conditions', 'conditions', 'medium', 'Soil',
+   '[{"field":"pH","op":"lt","value":6}]',
+   'Soil pH is too acidic',
+   'Consider pH adjustment.',
+   null, null, 25, 20),
+  ('alkaline_conditions', 'conditions', 'medium', 'Soil',
+   '[{"field":"pH","op":"gt","value":7}]',
+   'Soil pH is too alkaline',
+   'Consider pH adjustment.',
+   null, null, 25, 21),
+  ('declining_growth', 'conditions', 'high', 'Growth',
+   '[{"field":"growthTrend","op":"is","value":"decreasing"}]',
+   'Growth rate is declining',
+   'Review recent environmental changes.',
+   null, null, 25, 22)
+on conflict (rule_key) do nothing;
+
+alter table public.dss_rules enable row level security;
+
+create policy "Signed-in users read DSS rules" on public.dss_rules
+  for select using (auth.role() = 'authenticated');
+
+create policy "Admins maintain DSS rules" on public.dss_rules
+  for all
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'))
+  with check (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
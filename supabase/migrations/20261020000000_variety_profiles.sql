@@ -0,0 +1,64 @@
+-- Variety-aware DSS rules: a condition may carry a ref to the coffee variety's
+-- own target ({field, op, ref: 'ph.min'}, or ref: 'ph' for between/outside)
+-- instead of a fixed number, resolved from the catalog in coffeeVarieties.js.
+-- The seeded rules whose thresholds are really variety targets move to refs;
+-- conditions or text an admin has already edited are left as they are.
+
+update public.dss_rules r
+set conditions = case when r.conditions = v.old_conditions::jsonb then v.new_conditions::jsonb else r.conditions end,
+    issue = case when r.issue = v.old_issue then v.new_issue else r.issue end,
+    updated_at = now()
+from (values
+  ('low_yield_per_tree',
+   '[{"field":"yieldPerTree","op":"lt","value":2}]',
+   '[{"field":"yieldPerTree","op":"lt","ref":"yieldPerTree"}]',
+   'Low yield per tree',
+   'Low yield per tree - below the {{variety.yieldPerTree}} kg expected of {{variety.name}}'),
+  ('low_elevation',
+   '[{"field":"elevation","op":"lt","value":1000}]',
+   '[{"field":"elevation","op":"lt","ref":"elevation.min"}]',
+   'Low elevation farming',
+   'Low elevation farming - {{variety.name}} grows best from {{variety.elevation.min}} m'),
+  ('young_plant',
+   '[{"field":"ageYears","op":"lt","value":3}]',
+   '[{"field":"ageYears","op":"lt","ref":"maturityYears"}]',
+   'Young plant - requires careful nurturing',
+   'Young plant - requires careful nurturing until {{variety.name}} bears at about {{variety.maturityYears}} years'),
+  ('soil_ph_acidic',
+   '[{"field":"soilPh","op":"lt","value":5.5}]',
+   '[{"field":"soilPh","op":"lt","ref":"ph.min"}]',
+   'Soil pH is too acidic ({{soilPh}}). Optimal range is 5.5-6.5',
+   'Soil pH is too acidic ({{soilPh}}). Optimal range for {{variety.name}} is {{variety.ph.min}}-{{variety.ph.max}}'),
+  ('soil_ph_alkaline',
+   '[{"field":"soilPh","op":"gt","value":6.5}]',
+   '[{"field":"soilPh","op":"gt","ref":"ph.max"}]',
+   'Soil pH is too alkaline ({{soilPh}}). Optimal range is 5.5-6.5',
+   'Soil pH is too alkaline ({{soilPh}}). Optimal range for {{variety.name}} is {{variety.ph.min}}-{{variety.ph.max}}'),
+  ('heat_forecast',
+   '[{"field":"forecastTemperature","op":"gt","value":24}]',
+   '[{"field":"forecastTemperature","op":"gt","ref":"temperature.max"}]',
+   'High temperature forecast - risk of heat stress',
+   'High temperature forecast - risk of heat stress above the {{variety.temperature.max}}°C {{variety.name}} grows best under'),
+  ('cold_conditions',
+   '[{"field":"temperature","op":"lt","value":20}]',
+   '[{"field":"temperature","op":"lt","ref":"temperature.min"}]',
+   'Temperature is too low',
+   'Temperature is too low for {{variety.name}}'),
+  ('hot_conditions',
+   '[{"field":"temperature","op":"gt","value":28}]',
+   '[{"field":"temperature","op":"gt","ref":"temperature.max"}]',
+   'Temperature is too high',
+   'Temperature is too high for {{variety.name}}'),
+  ('acidic_conditions',
+   '[{"field":"pH","op":"lt","value":6}]',
+   '[{"field":"pH","op":"lt","ref":"ph.min"}]',
+   'Soil pH is too acidic',
+   'Soil pH is too acidic for {{variety.name}}'),
+  ('alkaline_conditions',
+   '[{"field":"pH","op":"gt","value":7}]',
+   '[{"field":"pH","op":"gt","ref":"ph.max"}]',
+   'Soil pH is too alkaline',
+   'Soil pH is too alkaline for {{variety.name}}')
+) as v (rule_key, old_conditions, new_conditions, old_issue, new_issue)
+where r.rule_key = v.rule_key
+  and (r.conditions = v.old_conditions::jsonb or r.issue = v.old_issue);
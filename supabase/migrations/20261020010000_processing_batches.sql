@@ -0,0 +1,147 @@
+-- Post-harvest processing. Each harvest_data row feeds one or more batches
+-- (washed, natural or honey) that log fermentation, drying, daily moisture
+-- readings and hulling output (see src/lib/processing.js). Once every batch of
+-- a harvest is graded, the harvest records their graded green coffee next to
+-- the dry quantity and grades the farmer reported, so graded output can be
+-- traced back to how it was processed.
+
+alter table public.harvest_data
+  add column if not exists green_premium_kg numeric,
+  add column if not exists green_fine_kg numeric,
+  add column if not exists green_commercial_kg numeric;
+
+create table if not exists public.processing_batches (
+  batch_id uuid primary key default gen_random_uuid(),
+  farmer_id uuid not null references public.farmer_detail (id) on delete cascade,
+  harvest_id uuid not null references public.harvest_data (harvest_id) on delete cascade,
+  method text not null check (method in ('washed', 'natural', 'honey')),
+  started_on date not null default current_date,
+  cherry_kg numeric not null check (cherry_kg > 0),
+  fermentation_hours numeric check (fermentation_hours >= 0),
+  drying_method text check (drying_method in ('raised_beds', 'patio', 'tarpaulin', 'mechanical')),
+  drying_started_on date,
+  dried_kg numeric check (dried_kg > 0 and dried_kg <= cherry_kg),
+  hulled_on date,
+  green_kg numeric check (green_kg > 0 and green_kg <= dried_kg),
+  premium_kg numeric check (premium_kg >= 0),
+  fine_kg numeric check (fine_kg >= 0),
+  commercial_kg numeric check (commercial_kg >= 0),
+  graded_on date,
+  notes text,
+  recorded_by uuid references auth.users (id),
+  created_at timestamptz not null default now(),
+  check (graded_on is null or (
+    green_kg is not null
+    and premium_kg is not null and fine_kg is not null and commercial_kg is not null
+    and premium_kg + fine_kg + commercial_kg <= green_kg + 0.05
+  ))
+);
+
+create index if not exists processing_batches_harvest_idx
+  on public.processing_batches (harvest_id);
+
+create index if not exists processing_batches_farmer_idx
+  on public.processing_batches (farmer_id, started_on desc);
+
+-- Moisture of the drying coffee, read about once a day until it is ready to hull
+create table if not exists public.processing_moisture_readings (
+  reading_id uuid primary key default gen_random_uuid(),
+  batch_id uuid not null references public.processing_batches (batch_id) on delete cascade,
+  farmer_id uuid not null references public.farmer_detail (id) on delete cascade,
+  read_on date not null default current_date,
+  moisture_pct numeric not null check (moisture_pct >= 0 and moisture_pct <= 100),
+  notes text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists processing_moisture_readings_batch_idx
+  on public.processing_moisture_readings (batch_id, read_on);
+
+alter table public.processing_batches enable row level security;
+alter table public.processing_moisture_readings enable row level security;
+
+create policy "Farmers manage their batches" on public.processing_batches
+  for all using (farmer_id = auth.uid()) with check (farmer_id = auth.uid());
+
+create policy "Admins read batches" on public.processing_batches
+  for select using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
+
+create policy "Farmers manage their moisture readings" on public.processing_moisture_readings
+  for all using (farmer_id = auth.uid()) with check (farmer_id = auth.uid());
+
+create policy "Admins read moisture readings" on public.processing_moisture_readings
+  for select using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
+
+-- A batch belongs to the farmer who harvested it, and a harvest cannot feed
+-- more cherry into batches than was picked
+create or replace function public.check_processing_batch()
+returns trigger
+language plpgsql
+as $$
+declare
+  harvest record;
+  allocated numeric;
+begin
+  select farmer_id, coffee_raw_quantity into harvest
+  from public.harvest_data
+  where harvest_id = new.harvest_id;
+
+  if harvest.farmer_id is distinct from new.farmer_id then
+    raise exception 'A batch must come from one of the farmer''s own harvests';
+  end if;
+
+  select coalesce(sum(cherry_kg), 0) into allocated
+  from public.processing_batches
+  where harvest_id = new.harvest_id and batch_id <> new.batch_id;
+
+  if allocated + new.cherry_kg > harvest.coffee_raw_quantity + 0.05 then
+    raise exception 'Batches would use % kg of cherry but the harvest was % kg',
+      allocated + new.cherry_kg, harvest.coffee_raw_quantity;
+  end if;
+
+  return new;
+end;
+$$;
+
+create trigger processing_batches_check
+  before insert or update of harvest_id, farmer_id, cherry_kg on public.processing_batches
+  for each row execute function public.check_processing_batch();
+
+-- Keeps a harvest's graded green coffee in step with its batches: the sum of
+-- their grades once all of them are graded, otherwise empty. The farmer's own
+-- dry quantity and grades are left alone. Only runs as a trigger, so a caller
+-- cannot point it at someone else's harvest.
+create or replace function public.processing_batches_sync_harvest()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  target uuid;
+begin
+  foreach target in array array_remove(array[
+    case when tg_op <> 'INSERT' then old.harvest_id end,
+    case when tg_op <> 'DELETE' and (tg_op = 'INSERT' or new.harvest_id is distinct from old.harvest_id) then new.harvest_id end
+  ], null)
+  loop
+    update harvest_data h
+    set green_premium_kg = s.premium,
+        green_fine_kg = s.fine,
+        green_commercial_kg = s.commercial
+    from (
+      select case when count(*) > 0 and bool_and(graded_on is not null) then round(sum(premium_kg)::numeric, 2) end as premium,
+             case when count(*) > 0 and bool_and(graded_on is not null) then round(sum(fine_kg)::numeric, 2) end as fine,
+             case when count(*) > 0 and bool_and(graded_on is not null) then round(sum(commercial_kg)::numeric, 2) end as commercial
+      from processing_batches
+      where harvest_id = target
+    ) s
+    where h.harvest_id = target;
+  end loop;
+  return null;
+end;
+$$;
+
+create trigger processing_batches_sync_harvest
+  after insert or update or delete on public.processing_batches
+  for each row execute function public.processing_batches_sync_harvest();
@@ -0,0 +1,408 @@
+-- Lots: what a buyer receives, traceable back to harvests, processing batches
+-- and plant batches. A lot is made from graded coffee of harvests (or of their
+-- processing batches), or split from or merged out of other lots; coffee_sales
+-- can name the lot sold. Anyone holding the lot code can read the lot's origin
+-- through get_public_lot(), which the public lot page and its QR label use.
+
+create or replace function public.new_lot_code()
+returns text
+language sql
+as $$
+  select 'CF' || to_char(current_date, 'YY') || '-' || upper(substr(md5(gen_random_uuid()::text), 1, 6));
+$$;
+
+create table if not exists public.coffee_lots (
+  lot_id uuid primary key default gen_random_uuid(),
+  lot_code text not null unique default public.new_lot_code(),
+  farmer_id uuid not null references public.farmer_detail (id) on delete cascade,
+  grade text check (grade in ('premium', 'fine', 'commercial')),
+  quantity_kg numeric not null check (quantity_kg > 0),
+  status text not null default 'active' check (status in ('active', 'split', 'merged')),
+  notes text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists coffee_lots_farmer_idx
+  on public.coffee_lots (farmer_id, created_at desc);
+
+-- Coffee a lot was made from. Harvests and batches in a lot cannot be deleted,
+-- so the trail stays intact.
+create table if not exists public.coffee_lot_sources (
+  source_id uuid primary key default gen_random_uuid(),
+  lot_id uuid not null references public.coffee_lots (lot_id) on delete cascade,
+  harvest_id uuid not null references public.harvest_data (harvest_id) on delete restrict,
+  batch_id uuid references public.processing_batches (batch_id) on delete restrict,
+  quantity_kg numeric not null check (quantity_kg > 0)
+);
+
+create index if not exists coffee_lot_sources_lot_idx
+  on public.coffee_lot_sources (lot_id);
+
+create index if not exists coffee_lot_sources_harvest_idx
+  on public.coffee_lot_sources (harvest_id, batch_id);
+
+-- Split and merge history: each row moves quantity_kg from a parent lot into a child
+create table if not exists public.coffee_lot_links (
+  parent_lot_id uuid not null references public.coffee_lots (lot_id) on delete cascade,
+  child_lot_id uuid not null references public.coffee_lots (lot_id) on delete cascade,
+  kind text not null check (kind in ('split', 'merge')),
+  quantity_kg numeric not null check (quantity_kg > 0),
+  created_at timestamptz not null default now(),
+  primary key (parent_lot_id, child_lot_id)
+);
+
+create index if not exists coffee_lot_links_child_idx
+  on public.coffee_lot_links (child_lot_id);
+
+alter table public.coffee_sales
+  add column if not exists lot_id uuid references public.coffee_lots (lot_id) on delete set null;
+
+alter table public.coffee_lots enable row level security;
+alter table public.coffee_lot_sources enable row level security;
+alter table public.coffee_lot_links enable row level security;
+
+-- Farmers change lots, sources and links only through create_lot, split_lot
+-- and merge_lots, so a lot's grade, size and history always match its sources.
+-- The one direct write left is deleting a lot nothing has happened to yet.
+create policy "Farmers read their lots" on public.coffee_lots
+  for select using (farmer_id = auth.uid());
+
+create policy "Farmers delete their unused lots" on public.coffee_lots
+  for delete using (
+    farmer_id = auth.uid()
+    and status = 'active'
+    and not exists (select 1 from public.coffee_lot_links k where k.child_lot_id = coffee_lots.lot_id or k.parent_lot_id = coffee_lots.lot_id)
+    and not exists (select 1 from public.coffee_sales s where s.lot_id = coffee_lots.lot_id)
+  );
+
+create policy "Admins read lots" on public.coffee_lots
+  for select using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
+
+create policy "Farmers read their lot sources" on public.coffee_lot_sources
+  for select using (exists (select 1 from public.coffee_lots l where l.lot_id = coffee_lot_sources.lot_id and l.farmer_id = auth.uid()));
+
+create policy "Admins read lot sources" on public.coffee_lot_sources
+  for select using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
+
+create policy "Farmers read their lot links" on public.coffee_lot_links
+  for select using (exists (select 1 from public.coffee_lots l where l.lot_id = coffee_lot_links.child_lot_id and l.farmer_id = auth.uid()));
+
+create policy "Admins read lot links" on public.coffee_lot_links
+  for select using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
+
+-- Graded coffee of a source that is not yet in a lot. A harvest that went
+-- into processing batches is only available through its batches; one already
+-- lotted as a whole cannot go into batches (see check_batch_harvest_unlotted).
+create or replace function public.lot_source_available(p_harvest uuid, p_batch uuid, p_grade text, p_except uuid default null)
+returns numeric
+language plpgsql
+stable
+as $$
+declare
+  graded numeric;
+  used numeric;
+begin
+  if p_batch is null then
+    if exists (select 1 from public.processing_batches where harvest_id = p_harvest) then
+      return 0;
+    end if;
+    select case p_grade
+             when 'premium' then coffee_premium_grade
+             when 'fine' then coffee_fine_grade
+             when 'commercial' then coffee_commercial_grade
+             else coffee_dry_quantity
+           end
+    into graded
+    from public.harvest_data
+    where harvest_id = p_harvest;
+  else
+    select case p_grade
+             when 'premium' then premium_kg
+             when 'fine' then fine_kg
+             when 'commercial' then commercial_kg
+             else coalesce(premium_kg, 0) + coalesce(fine_kg, 0) + coalesce(commercial_kg, 0)
+           end
+    into graded
+    from public.processing_batches
+    where batch_id = p_batch and harvest_id = p_harvest and graded_on is not null;
+  end if;
+
+  select coalesce(sum(s.quantity_kg), 0) into used
+  from public.coffee_lot_sources s
+  join public.coffee_lots l on l.lot_id = s.lot_id
+  where s.harvest_id = p_harvest
+    and s.batch_id is not distinct from p_batch
+    and s.source_id is distinct from p_except
+    and (p_grade is null or l.grade is null or l.grade = p_grade);
+
+  return coalesce(graded, 0) - used;
+end;
+$$;
+
+-- A source must be the farmer's own graded coffee, and no more of it than is left
+create or replace function public.check_lot_source()
+returns trigger
+language plpgsql
+as $$
+declare
+  lot record;
+begin
+  select farmer_id, grade into lot from public.coffee_lots where lot_id = new.lot_id;
+
+  if not exists (select 1 from public.harvest_data where harvest_id = new.harvest_id and farmer_id = lot.farmer_id) then
+    raise exception 'A lot can only hold the farmer''s own harvests';
+  end if;
+
+  if new.quantity_kg > public.lot_source_available(new.harvest_id, new.batch_id, lot.grade, new.source_id) + 0.05 then
+    raise exception 'Only % kg of that coffee is left to put in a lot',
+      greatest(public.lot_source_available(new.harvest_id, new.batch_id, lot.grade, new.source_id), 0);
+  end if;
+
+  return new;
+end;
+$$;
+
+create trigger coffee_lot_sources_check
+  before insert or update on public.coffee_lot_sources
+  for each row execute function public.check_lot_source();
+
+-- Coffee lotted straight from a harvest is not processed again in batches,
+-- or their graded output would be offered for a second lot
+create or replace function public.check_batch_harvest_unlotted()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'UPDATE' and new.harvest_id = old.harvest_id then
+    return new;
+  end if;
+  if exists (select 1 from public.coffee_lot_sources where harvest_id = new.harvest_id and batch_id is null) then
+    raise exception 'This harvest is already in a lot, so it cannot go into processing batches';
+  end if;
+  return new;
+end;
+$$;
+
+create trigger processing_batches_unlotted_check
+  before insert or update of harvest_id on public.processing_batches
+  for each row execute function public.check_batch_harvest_unlotted();
+
+-- Kilograms of a lot not yet sold
+create or replace function public.lot_unsold_kg(p_lot uuid)
+returns numeric
+language sql
+stable
+as $$
+  select l.quantity_kg - coalesce((select sum(quantity_kg) from public.coffee_sales where lot_id = p_lot), 0)
+  from public.coffee_lots l
+  where l.lot_id = p_lot;
+$$;
+
+-- A sale of a lot must be the farmer's own and no more than is left unsold
+create or replace function public.check_lot_sale()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.lot_id is null then
+    return new;
+  end if;
+  if not exists (select 1 from public.coffee_lots where lot_id = new.lot_id and farmer_id = new.farmer_id and status = 'active') then
+    raise exception 'Only an active lot of your own can be sold';
+  end if;
+  if new.quantity_kg > public.lot_unsold_kg(new.lot_id)
+       + case when tg_op = 'UPDATE' and old.lot_id = new.lot_id then old.quantity_kg else 0 end + 0.05 then
+    raise exception 'Only % kg of the lot is left unsold', public.lot_unsold_kg(new.lot_id);
+  end if;
+  return new;
+end;
+$$;
+
+create trigger coffee_sales_lot_check
+  before insert or update of lot_id, quantity_kg on public.coffee_sales
+  for each row execute function public.check_lot_sale();
+
+-- Creates a lot and its sources in one transaction.
+-- p_sources: [{"harvest_id": ..., "batch_id": ... or null, "quantity_kg": ...}, ...]
+-- This and split_lot and merge_lots run as their owner, since farmers cannot
+-- write lots, sources or links themselves; each checks the caller instead.
+create or replace function public.create_lot(p_grade text, p_sources jsonb, p_notes text default null)
+returns public.coffee_lots
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  created public.coffee_lots;
+begin
+  if auth.uid() is null or not exists (select 1 from public.farmer_detail where id = auth.uid()) then
+    raise exception 'Only a farmer can create a lot';
+  end if;
+  if jsonb_array_length(coalesce(p_sources, '[]'::jsonb)) = 0 then
+    raise exception 'A lot needs at least one source';
+  end if;
+
+  insert into public.coffee_lots (farmer_id, grade, quantity_kg, notes)
+  values (auth.uid(), p_grade, (select sum((s ->> 'quantity_kg')::numeric) from jsonb_array_elements(p_sources) s), p_notes)
+  returning * into created;
+
+  insert into public.coffee_lot_sources (lot_id, harvest_id, batch_id, quantity_kg)
+  select created.lot_id, (s ->> 'harvest_id')::uuid, nullif(s ->> 'batch_id', '')::uuid, (s ->> 'quantity_kg')::numeric
+  from jsonb_array_elements(p_sources) s;
+
+  return created;
+end;
+$$;
+
+-- Splits the unsold part of a lot into new lots of the given sizes, which
+-- must take all of it so no coffee drops out of the trace
+create or replace function public.split_lot(p_lot uuid, p_quantities numeric[])
+returns setof public.coffee_lots
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  parent public.coffee_lots;
+  child public.coffee_lots;
+  quantity numeric;
+begin
+  select * into parent from public.coffee_lots where lot_id = p_lot and farmer_id = auth.uid() for update;
+  if parent.lot_id is null or parent.status <> 'active' then
+    raise exception 'Only an active lot of your own can be split';
+  end if;
+  if coalesce(array_length(p_quantities, 1), 0) < 2 then
+    raise exception 'Split a lot into at least two parts';
+  end if;
+  if abs((select sum(q) from unnest(p_quantities) q) - public.lot_unsold_kg(p_lot)) > 0.05 then
+    raise exception 'The parts must add up to the % kg left unsold', public.lot_unsold_kg(p_lot);
+  end if;
+
+  foreach quantity in array p_quantities loop
+    insert into public.coffee_lots (farmer_id, grade, quantity_kg, notes)
+    values (parent.farmer_id, parent.grade, quantity, 'Split from ' || parent.lot_code)
+    returning * into child;
+    insert into public.coffee_lot_links (parent_lot_id, child_lot_id, kind, quantity_kg)
+    values (parent.lot_id, child.lot_id, 'split', quantity);
+    return next child;
+  end loop;
+
+  update public.coffee_lots set status = 'split' where lot_id = parent.lot_id;
+end;
+$$;
+
+-- Merges the unsold coffee of several lots into one new lot. Lots of
+-- different grades make an ungraded (mixed) lot.
+create or replace function public.merge_lots(p_lots uuid[], p_notes text default null)
+returns public.coffee_lots
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  merged public.coffee_lots;
+begin
+  if coalesce(array_length(p_lots, 1), 0) < 2 then
+    raise exception 'Choose at least two lots to merge';
+  end if;
+  if (select count(*) from public.coffee_lots
+      where lot_id = any (p_lots) and farmer_id = auth.uid() and status = 'active') <> array_length(p_lots, 1) then
+    raise exception 'Only active lots of your own can be merged';
+  end if;
+  if exists (select 1 from unnest(p_lots) id where public.lot_unsold_kg(id) <= 0) then
+    raise exception 'A sold-out lot cannot be merged';
+  end if;
+
+  insert into public.coffee_lots (farmer_id, grade, quantity_kg, notes)
+  select auth.uid(),
+         case when count(distinct grade) = 1 and count(grade) = count(*) then min(grade) end,
+         sum(public.lot_unsold_kg(lot_id)),
+         p_notes
+  from public.coffee_lots
+  where lot_id = any (p_lots)
+  returning * into merged;
+
+  insert into public.coffee_lot_links (parent_lot_id, child_lot_id, kind, quantity_kg)
+  select lot_id, merged.lot_id, 'merge', public.lot_unsold_kg(lot_id)
+  from public.coffee_lots
+  where lot_id = any (p_lots);
+
+  update public.coffee_lots set status = 'merged' where lot_id = any (p_lots);
+  return merged;
+end;
+$$;
+
+-- What a buyer may see about a lot: origin farms, varieties, harvest window,
+-- processing, grade and its split/merge history. Farmers' names, prices and
+-- buyers stay private, as lot codes can be guessed.
+create or replace function public.get_public_lot(p_code text)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  target public.coffee_lots;
+begin
+  select * into target from coffee_lots where lot_code = upper(trim(p_code));
+  if target.lot_id is null then
+    return null;
+  end if;
+
+  return (
+    with recursive ancestors (lot_id) as (
+      select target.lot_id
+      union
+      select k.parent_lot_id from coffee_lot_links k join ancestors a on k.child_lot_id = a.lot_id
+    ),
+    descendants (lot_id) as (
+      select target.lot_id
+      union
+      select k.child_lot_id from coffee_lot_links k join descendants d on k.parent_lot_id = d.lot_id
+    ),
+    origins as (
+      select distinct on (s.harvest_id, s.batch_id)
+        h.harvest_date,
+        p.coffee_variety,
+        b.method,
+        b.drying_method,
+        f.farm_location,
+        f.farm_elevation
+      from coffee_lot_sources s
+      join ancestors a on a.lot_id = s.lot_id
+      join harvest_data h on h.harvest_id = s.harvest_id
+      left join plant_data p on p.plant_id = h.plant_id
+      left join processing_batches b on b.batch_id = s.batch_id
+      join farmer_detail f on f.id = h.farmer_id
+    )
+    select jsonb_build_object(
+      'lot_code', target.lot_code,
+      'grade', target.grade,
+      'quantity_kg', target.quantity_kg,
+      'status', target.status,
+      'created_at', target.created_at,
+      'sold_kg', coalesce((select sum(quantity_kg) from coffee_sales where lot_id = target.lot_id), 0),
+      'harvest_from', (select min(harvest_date) from origins),
+      'harvest_to', (select max(harvest_date) from origins),
+      'origins', coalesce((select jsonb_agg(to_jsonb(o) order by o.harvest_date) from origins o), '[]'::jsonb),
+      'history', coalesce((
+        select jsonb_agg(jsonb_build_object(
+          'kind', k.kind,
+          'parent_code', pl.lot_code,
+          'child_code', cl.lot_code,
+          'quantity_kg', k.quantity_kg,
+          'created_at', k.created_at
+        ) order by k.created_at)
+        from coffee_lot_links k
+        join coffee_lots pl on pl.lot_id = k.parent_lot_id
+        join coffee_lots cl on cl.lot_id = k.child_lot_id
+        where k.child_lot_id in (select lot_id from ancestors)
+           or k.parent_lot_id in (select lot_id from descendants)
+      ), '[]'::jsonb)
+    )
+  );
+end;
+$$;
+
+grant execute on function public.get_public_lot(text) to anon, authenticated;
@@ -0,0 +1,61 @@
+-- Graded bean samples. The Coffee Grade Predictor scores bean size, weight
+-- and a physical description into a grade (see src/lib/gradingSamples.js);
+-- each saved sample keeps those inputs with the grade and confidence, and can
+-- name the harvest or lot it was drawn from so the grade split reported for a
+-- harvest can be checked against measured samples.
+
+create table if not exists public.grading_samples (
+  sample_id uuid primary key default gen_random_uuid(),
+  farmer_id uuid not null references public.farmer_detail (id) on delete cascade,
+  harvest_id uuid references public.harvest_data (harvest_id) on delete set null,
+  lot_id uuid references public.coffee_lots (lot_id) on delete set null,
+  sampled_on date not null default current_date,
+  bean_size_mm numeric not null check (bean_size_mm > 0),
+  bean_weight_g numeric not null check (bean_weight_g > 0),
+  description text not null check (description in ('uniform_minimal_defects', 'slight_variation_few_defects', 'mixed_sizes_more_defects')),
+  grade text not null check (grade in ('premium', 'fine', 'commercial')),
+  confidence text not null check (confidence in ('high', 'moderate', 'low')),
+  tied boolean not null default false,
+  scores jsonb not null,
+  notes text,
+  recorded_by uuid references auth.users (id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists grading_samples_farmer_idx
+  on public.grading_samples (farmer_id, sampled_on desc);
+
+create index if not exists grading_samples_harvest_idx
+  on public.grading_samples (harvest_id);
+
+alter table public.grading_samples enable row level security;
+
+create policy "Farmers manage their grading samples" on public.grading_samples
+  for all using (farmer_id = auth.uid()) with check (farmer_id = auth.uid());
+
+create policy "Admins read grading samples" on public.grading_samples
+  for select using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
+
+-- A sample can only be linked to the farmer's own harvests and lots
+create or replace function public.check_grading_sample()
+returns trigger
+language plpgsql
+as $$
+begin
+  if new.harvest_id is not null and not exists (
+    select 1 from public.harvest_data where harvest_id = new.harvest_id and farmer_id = new.farmer_id
+  ) then
+    raise exception 'A sample must come from one of the farmer''s own harvests';
+  end if;
+  if new.lot_id is not null and not exists (
+    select 1 from public.coffee_lots where lot_id = new.lot_id and farmer_id = new.farmer_id
+  ) then
+    raise exception 'A sample must come from one of the farmer''s own lots';
+  end if;
+  return new;
+end;
+$$;
+
+create trigger grading_samples_check
+  before insert or update of farmer_id, harvest_id, lot_id on public.grading_samples
+  for each row execute function public.check_grading_sample();
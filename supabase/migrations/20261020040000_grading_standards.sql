@@ -0,0 +1,99 @@
+-- Defect-count grading. grading_standards holds the tables a hand-sorted
+-- green coffee sample is graded against: how many beans of each defect make
+-- one full defect (defects) and, best grade first, the full defects, primary
+-- defects and screen sizes each grade allows (grades). Admins maintain them;
+-- src/lib/defectGrading.js keeps the same two standards as a fallback.
+-- grading_samples gains the inputs and result of defect-count grading next to
+-- the quick size/weight/description estimate.
+
+create table if not exists public.grading_standards (
+  standard_id uuid primary key default gen_random_uuid(),
+  standard_key text not null unique check (standard_key ~ '^[a-z][a-z0-9_]*$'),
+  name text not null,
+  description text,
+  sample_weight_g numeric not null default 300 check (sample_weight_g > 0),
+  moisture_min numeric not null check (moisture_min >= 0),
+  moisture_max numeric not null check (moisture_max <= 100 and moisture_max >= moisture_min),
+  -- [{key, label, category: primary | secondary, beans_per_full}]
+  defects jsonb not null check (jsonb_typeof(defects) = 'array' and jsonb_array_length(defects) > 0),
+  -- [{grade, max_full_defects, max_primary_defects, min_screen, min_screen_pct}], best first
+  grades jsonb not null check (jsonb_typeof(grades) = 'array' and jsonb_array_length(grades) > 0),
+  position integer not null default 0,
+  updated_by uuid references auth.users (id) on delete set null,
+  updated_at timestamptz not null default now()
+);
+
+-- The PNS limits are a starting point; check them against the edition the
+-- buyers grade to
+insert into public.grading_standards (standard_key, name, description, sample_weight_g, moisture_min, moisture_max, defects, grades, position)
+select standard_key, name, description, sample_weight_g, moisture_min, moisture_max, defects.list, grades::jsonb, position
+from (values
+  ('pns', 'Philippine National Standard (PNS/BAFS)',
+   'Defect count on a 300 g sample of green coffee beans. Check the limits against the edition your buyers grade to.',
+   300, 10, 13,
+   '[{"grade":"fine","max_full_defects":8,"max_primary_defects":0,"min_screen":15,"min_screen_pct":80},
+     {"grade":"premium","max_full_defects":15,"max_primary_defects":null,"min_screen":14,"min_screen_pct":60},
+     {"grade":"commercial","max_full_defects":30,"max_primary_defects":null,"min_screen":null,"min_screen_pct":null}]',
+   1),
+  ('sca', 'SCA green arabica',
+   'Specialty Coffee Association defect count on a 350 g sample. Specialty maps to Fine, Premium to Premium and Exchange to Commercial.',
+   350, 10, 12,
+   '[{"grade":"fine","max_full_defects":5,"max_primary_defects":0,"min_screen":null,"min_screen_pct":null},
+     {"grade":"premium","max_full_defects":8,"max_primary_defects":null,"min_screen":null,"min_screen_pct":null},
+     {"grade":"commercial","max_full_defects":23,"max_primary_defects":null,"min_screen":null,"min_screen_pct":null}]',
+   2)
+) as s (standard_key, name, description, sample_weight_g, moisture_min, moisture_max, grades, position)
+cross join (select '[
+    {"key":"full_black","label":"Full black","category":"primary","beans_per_full":1},
+    {"key":"full_sour","label":"Full sour","category":"primary","beans_per_full":1},
+    {"key":"dried_cherry","label":"Dried cherry / pod","category":"primary","beans_per_full":1},
+    {"key":"fungus_damaged","label":"Fungus damaged","category":"primary","beans_per_full":1},
+    {"key":"foreign_matter","label":"Foreign matter","category":"primary","beans_per_full":1},
+    {"key":"severe_insect","label":"Severe insect damage","category":"primary","beans_per_full":5},
+    {"key":"partial_black","label":"Partial black","category":"secondary","beans_per_full":3},
+    {"key":"partial_sour","label":"Partial sour","category":"secondary","beans_per_full":3},
+    {"key":"parchment","label":"Parchment","category":"secondary","beans_per_full":5},
+    {"key":"floater","label":"Floater","category":"secondary","beans_per_full":5},
+    {"key":"immature","label":"Immature / unripe","category":"secondary","beans_per_full":5},
+    {"key":"withered","label":"Withered","category":"secondary","beans_per_full":5},
+    {"key":"shell","label":"Shell","category":"secondary","beans_per_full":5},
+    {"key":"broken","label":"Broken / chipped / cut","category":"secondary","beans_per_full":5},
+    {"key":"hull_husk","label":"Hull / husk","category":"secondary","beans_per_full":5},
+    {"key":"slight_insect","label":"Slight insect damage","category":"secondary","beans_per_full":10}
+  ]'::jsonb as list) as defects
+on conflict (standard_key) do nothing;
+
+alter table public.grading_standards enable row level security;
+
+create policy "Signed-in users read grading standards" on public.grading_standards
+  for select using (auth.role() = 'authenticated');
+
+create policy "Admins maintain grading standards" on public.grading_standards
+  for all
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'))
+  with check (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
+
+-- Samples graded by defect count keep their counts, screen analysis and
+-- moisture, and can miss every grade of the standard
+alter table public.grading_samples
+  add column if not exists method text not null default 'quick' check (method in ('quick', 'defects')),
+  add column if not exists standard_key text,
+  add column if not exists sample_weight_g numeric check (sample_weight_g > 0),
+  add column if not exists moisture_pct numeric check (moisture_pct >= 0 and moisture_pct <= 100),
+  add column if not exists defect_counts jsonb,
+  add column if not exists screen_grams jsonb,
+  add column if not exists full_defects integer check (full_defects >= 0),
+  alter column bean_size_mm drop not null,
+  alter column bean_weight_g drop not null,
+  alter column description drop not null,
+  alter column confidence drop not null,
+  alter column scores drop not null;
+
+alter table public.grading_samples drop constraint if exists grading_samples_grade_check;
+alter table public.grading_samples
+  add constraint grading_samples_grade_check check (grade in ('premium', 'fine', 'commercial', 'off_grade')),
+  add constraint grading_samples_method_inputs check (
+    (method = 'quick' and bean_size_mm is not null and bean_weight_g is not null and description is not null and confidence is not null)
+    or (method = 'defects' and standard_key is not null and sample_weight_g is not null and moisture_pct is not null
+        and defect_counts is not null and full_defects is not null)
+  );
@@ -0,0 +1,74 @@
+-- Cupping. A session cups several lots, each brewed as cups_per_sample cups,
+-- and every cupper on the panel fills in one score sheet per lot following the
+-- SCA cupping form: seven attributes scored 6-10, uniformity, clean cup and
+-- sweetness earned per cup, and taints or faults taken off per cup. The final
+-- score is worked out in src/lib/cupping.js and stored with the sheet.
+-- Cuppers are recorded by name, as Q-graders on a panel often have no account.
+
+create table if not exists public.cupping_sessions (
+  session_id uuid primary key default gen_random_uuid(),
+  name text not null,
+  held_on date not null default current_date,
+  cups_per_sample integer not null default 5 check (cups_per_sample between 1 and 10),
+  notes text,
+  created_by uuid references auth.users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+-- A lot on a session's table, under a blind label
+create table if not exists public.cupping_lots (
+  cupping_lot_id uuid primary key default gen_random_uuid(),
+  session_id uuid not null references public.cupping_sessions (session_id) on delete cascade,
+  lot_id uuid not null references public.coffee_lots (lot_id) on delete cascade,
+  label text not null,
+  created_at timestamptz not null default now(),
+  unique (session_id, lot_id),
+  unique (session_id, label)
+);
+
+create index if not exists cupping_lots_lot_idx
+  on public.cupping_lots (lot_id);
+
+create table if not exists public.cupping_scores (
+  score_id uuid primary key default gen_random_uuid(),
+  cupping_lot_id uuid not null references public.cupping_lots (cupping_lot_id) on delete cascade,
+  cupper_name text not null check (length(trim(cupper_name)) > 0),
+  fragrance numeric not null check (fragrance between 6 and 10),
+  flavor numeric not null check (flavor between 6 and 10),
+  aftertaste numeric not null check (aftertaste between 6 and 10),
+  acidity numeric not null check (acidity between 6 and 10),
+  body numeric not null check (body between 6 and 10),
+  balance numeric not null check (balance between 6 and 10),
+  overall numeric not null check (overall between 6 and 10),
+  -- Cups that earned uniformity, clean cup and sweetness
+  uniform_cups integer not null check (uniform_cups >= 0),
+  clean_cups integer not null check (clean_cups >= 0),
+  sweet_cups integer not null check (sweet_cups >= 0),
+  -- Cups with a taint (2 points each) or a fault (4 points each)
+  taint_cups integer not null default 0 check (taint_cups >= 0),
+  fault_cups integer not null default 0 check (fault_cups >= 0),
+  final_score numeric not null check (final_score <= 100),
+  notes text,
+  recorded_by uuid references auth.users (id) on delete set null,
+  updated_at timestamptz not null default now(),
+  unique (cupping_lot_id, cupper_name)
+);
+
+alter table public.cupping_sessions enable row level security;
+alter table public.cupping_lots enable row level security;
+alter table public.cupping_scores enable row level security;
+
+create policy "Admins manage cupping sessions" on public.cupping_sessions
+  for all
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'))
+  with check (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
+
+create policy "Admins manage cupping lots" on public.cupping_lots
+  for all
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'))
+  with check (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));
+
+create policy "Admins manage cupping scores" on public.cupping_scores
+  for all
+  using (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'))
+  with check (exists (select 1 from public.users u where u.id = auth.uid() and u.role = 'admin'));